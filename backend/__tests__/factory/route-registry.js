@@ -91,6 +91,82 @@ module.exports = {
         description: "Set maintenance mode",
       },
 
+      // Lifecycle sweep
+      {
+        method: "POST",
+        path: "/system/lifecycle-sweep",
+        behavior: "action",
+        description: "Run the overdue/expiry sweep now",
+      },
+
+      // Scheduled jobs
+      {
+        method: "GET",
+        path: "/system/jobs",
+        behavior: "list",
+        description: "List scheduled jobs with last/next run",
+      },
+      {
+        method: "GET",
+        path: "/system/jobs/:name/runs",
+        behavior: "list",
+        paramTypes: { name: "string" },
+        description: "Get a job's run history",
+      },
+      {
+        method: "POST",
+        path: "/system/jobs/:name/pause",
+        behavior: "action",
+        paramTypes: { name: "string" },
+        description: "Pause a scheduled job",
+      },
+      {
+        method: "POST",
+        path: "/system/jobs/:name/resume",
+        behavior: "action",
+        paramTypes: { name: "string" },
+        description: "Resume a scheduled job",
+      },
+      {
+        method: "POST",
+        path: "/system/jobs/:name/run",
+        behavior: "action",
+        paramTypes: { name: "string" },
+        description: "Run a scheduled job now",
+      },
+
+      // Outbox
+      {
+        method: "GET",
+        path: "/system/outbox",
+        behavior: "list",
+        pagination: true,
+        description: "List outbox messages with delivery status",
+      },
+      {
+        method: "POST",
+        path: "/system/outbox/:id/retry",
+        behavior: "action",
+        paramTypes: { id: "id" },
+        description: "Retry a failed outbox message",
+      },
+
+      // Webhooks
+      {
+        method: "GET",
+        path: "/system/webhooks/deliveries",
+        behavior: "list",
+        pagination: true,
+        description: "List webhook deliveries with status and response",
+      },
+      {
+        method: "POST",
+        path: "/system/webhooks/deliveries/:id/redeliver",
+        behavior: "action",
+        paramTypes: { id: "id" },
+        description: "Redeliver a webhook delivery",
+      },
+
       // Sessions
       {
         method: "GET",
@@ -190,11 +266,11 @@ module.exports = {
     auth: { required: true, minRole: "viewer" },
     endpoints: [
       {
-        method: "GET",
+        method: "POST",
         path: "/:entity",
-        behavior: "download",
+        behavior: "action",
         paramTypes: { entity: "string" },
-        description: "Export entity as CSV",
+        description: "Queue a CSV export (background job)",
       },
       {
         method: "GET",
@@ -206,6 +282,20 @@ module.exports = {
     ],
   },
 
+  jobs: {
+    basePath: "/api/jobs",
+    auth: { required: true, minRole: "viewer" },
+    endpoints: [
+      {
+        method: "GET",
+        path: "/:id",
+        behavior: "getOne",
+        paramTypes: { id: "id" },
+        description: "Poll a background job (submitter only)",
+      },
+    ],
+  },
+
   // NOTE: files routes removed - file attachments now use sub-resource pattern
   // /api/:tableName/:id/files (tested in files-api.test.js)
 
@@ -254,6 +254,165 @@ function invalidPagination(meta, ctx) {
   );
 }
 
+/**
+ * Scenario: Boolean filter groups (filter JSON param and POST /search)
+ *
+ * Preconditions: 'id' is filterable
+ * Tests: or/not groups select the expected rows, in the query string and body
+ */
+function filterGroups(meta, ctx) {
+  const { filterableFields, tableName, entityName } = meta;
+  if (!filterableFields?.includes("id")) return;
+
+  ctx.it(
+    `GET /api/${tableName}?filter={"or":[...]} - applies boolean groups`,
+    async () => {
+      const first = await ctx.factory.create(entityName);
+      const second = await ctx.factory.create(entityName);
+      const auth = await ctx.authHeader("admin");
+
+      const response = await ctx.request
+        .get(`/api/${tableName}`)
+        .query({
+          filter: JSON.stringify({
+            or: [{ id: first.id }, { id: second.id }],
+            not: { id: second.id },
+          }),
+          limit: 10,
+        })
+        .set(auth);
+
+      ctx.expect(response.status).toBe(200);
+      const ids = response.body.data.map((item) => item.id);
+      ctx.expect(ids).toEqual([first.id]);
+    },
+  );
+
+  ctx.it(
+    `POST /api/${tableName}/search - applies a filter from the body`,
+    async () => {
+      const first = await ctx.factory.create(entityName);
+      const second = await ctx.factory.create(entityName);
+      const auth = await ctx.authHeader("admin");
+
+      const response = await ctx.request
+        .post(`/api/${tableName}/search`)
+        .send({
+          filter: { or: [{ id: first.id }, { id: second.id }] },
+          limit: 10,
+        })
+        .set(auth);
+
+      ctx.expect(response.status).toBe(200);
+      const ids = response.body.data.map((item) => item.id).sort();
+      ctx.expect(ids).toEqual([first.id, second.id].sort());
+    },
+  );
+}
+
+/**
+ * Scenario: Typed filter operators and relative dates
+ *
+ * Preconditions: 'id' and 'created_at' are filterable
+ * Tests: between/nin narrow by id, relative dates select today's rows,
+ *        and an operator the field type does not take is rejected
+ */
+function typedFilterOperators(meta, ctx) {
+  const { filterableFields, tableName, entityName } = meta;
+  if (!filterableFields?.includes("id")) return;
+  if (!filterableFields.includes("created_at")) return;
+
+  ctx.it(
+    `GET /api/${tableName}?id[between]=&id[nin]= - applies range and exclusion`,
+    async () => {
+      const first = await ctx.factory.create(entityName);
+      const second = await ctx.factory.create(entityName);
+      const auth = await ctx.authHeader("admin");
+
+      const response = await ctx.request
+        .get(`/api/${tableName}`)
+        .query({
+          "id[between]": `${first.id},${second.id}`,
+          "id[nin]": `${second.id}`,
+          "created_at[gte]": "today",
+          limit: 10,
+        })
+        .set(auth);
+
+      ctx.expect(response.status).toBe(200);
+      const ids = response.body.data.map((item) => item.id);
+      ctx.expect(ids).toContain(first.id);
+      ctx.expect(ids).not.toContain(second.id);
+    },
+  );
+
+  ctx.it(
+    `GET /api/${tableName}?created_at[lt]=today - excludes rows created today`,
+    async () => {
+      const record = await ctx.factory.create(entityName);
+      const auth = await ctx.authHeader("admin");
+
+      const response = await ctx.request
+        .get(`/api/${tableName}`)
+        .query({ "id[eq]": record.id, "created_at[lt]": "today" })
+        .set(auth);
+
+      ctx.expect(response.status).toBe(200);
+      ctx.expect(response.body.data).toHaveLength(0);
+    },
+  );
+
+  ctx.it(
+    `GET /api/${tableName}?id[contains]=1 - rejects an operator the type does not take`,
+    async () => {
+      const auth = await ctx.authHeader("admin");
+
+      const response = await ctx.request
+        .get(`/api/${tableName}`)
+        .query({ "id[contains]": "1" })
+        .set(auth);
+
+      ctx.expect(response.status).toBe(400);
+    },
+  );
+}
+
+/**
+ * Scenario: Invalid filter expression rejected
+ *
+ * Preconditions: None
+ * Tests: Fields outside filterableFields and malformed JSON are rejected
+ */
+function invalidFilterExpression(meta, ctx) {
+  ctx.it(
+    `GET /api/${meta.tableName}?filter={"or":[{"hackerField":1}]} - rejects unknown field`,
+    async () => {
+      const auth = await ctx.authHeader("admin");
+
+      const response = await ctx.request
+        .get(`/api/${meta.tableName}`)
+        .query({ filter: '{"or":[{"hackerField":1}]}', limit: 10 })
+        .set(auth);
+
+      ctx.expect(response.status).toBe(400);
+    },
+  );
+
+  ctx.it(
+    `GET /api/${meta.tableName}?filter=<not JSON> - rejects malformed filter`,
+    async () => {
+      const auth = await ctx.authHeader("admin");
+
+      const response = await ctx.request
+        .get(`/api/${meta.tableName}`)
+        .query({ filter: "{or:", limit: 10 })
+        .set(auth);
+
+      ctx.expect(response.status).toBe(400);
+    },
+  );
+}
+
 module.exports = {
   textSearch,
   pagination,
@@ -261,4 +420,7 @@ module.exports = {
   invalidSortField,
   invalidSortOrder,
   invalidPagination,
+  filterGroups,
+  typedFilterOperators,
+  invalidFilterExpression,
 };
@@ -270,7 +270,8 @@ function setupGenericEntityServiceMock(
 
 /**
  * Create a configured Express test app with a router
- * Includes global error handler that mimics production behavior (pattern-matching)
+ * Includes global error handler that mimics production behavior (explicit
+ * statusCode/code from AppError, else pattern-matching)
  *
  * @param {Router} router - Express router to mount
  * @param {string} path - Path to mount router at (default: '/api/users')
@@ -281,42 +282,45 @@ function createRouteTestApp(router, path = "/api/users") {
   app.use(express.json());
   app.use(path, router);
 
-  // Global error handler - mimics server.js pattern-matching behavior
+  // Global error handler - mimics server.js: an explicit status (AppError)
+  // wins, otherwise pattern-match the message
   // eslint-disable-next-line no-unused-vars
   app.use((err, req, res, next) => {
     const messageLower = (err.message || "").toLowerCase();
-    let statusCode = 500;
+    let statusCode = err.statusCode || err.status || 500;
 
     // Pattern match error messages to determine HTTP status (same as server.js)
     // Note: "Cannot read properties" is an internal JS error, NOT a 400 validation error
-    if (
-      messageLower.includes("not found") ||
-      messageLower.includes("does not exist")
-    ) {
-      statusCode = 404;
-    } else if (
-      messageLower.includes("invalid") ||
-      messageLower.includes("required") ||
-      messageLower.includes("must be") ||
-      messageLower.includes("already") ||
-      messageLower.includes("yourself") ||
-      messageLower.includes("not a foreign key") ||
-      (messageLower.includes("cannot") &&
-        !messageLower.includes("cannot read properties"))
-    ) {
-      statusCode = 400;
-    } else if (
-      messageLower.includes("expired") ||
-      messageLower.includes("unauthorized")
-    ) {
-      statusCode = 401;
-    } else if (
-      messageLower.includes("permission") ||
-      messageLower.includes("forbidden") ||
-      messageLower.includes("access denied") ||
-      messageLower.includes("not allowed")
-    ) {
-      statusCode = 403;
+    if (!err.statusCode && !err.status) {
+      if (
+        messageLower.includes("not found") ||
+        messageLower.includes("does not exist")
+      ) {
+        statusCode = 404;
+      } else if (
+        messageLower.includes("invalid") ||
+        messageLower.includes("required") ||
+        messageLower.includes("must be") ||
+        messageLower.includes("already") ||
+        messageLower.includes("yourself") ||
+        messageLower.includes("not a foreign key") ||
+        (messageLower.includes("cannot") &&
+          !messageLower.includes("cannot read properties"))
+      ) {
+        statusCode = 400;
+      } else if (
+        messageLower.includes("expired") ||
+        messageLower.includes("unauthorized")
+      ) {
+        statusCode = 401;
+      } else if (
+        messageLower.includes("permission") ||
+        messageLower.includes("forbidden") ||
+        messageLower.includes("access denied") ||
+        messageLower.includes("not allowed")
+      ) {
+        statusCode = 403;
+      }
     }
 
     const errorMessage = err.message || "Internal server error";
@@ -324,6 +328,7 @@ function createRouteTestApp(router, path = "/api/users") {
       success: false,
       error: errorMessage,
       message: errorMessage,
+      code: err.code,
       timestamp: new Date().toISOString(),
     });
   });
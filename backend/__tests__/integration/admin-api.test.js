@@ -5,6 +5,7 @@
  * - Sessions management (active sessions, force logout)
  * - Entity metadata (permission matrices, validation rules)
  * - Logs (data and auth logs with filtering)
+ * - Lifecycle sweep (manual trigger)
  *
  * All endpoints require admin role.
  */
@@ -626,6 +627,257 @@ describe("Admin API - Integration Tests", () => {
     });
   });
 
+  // ============================================================================
+  // LIFECYCLE SWEEP TESTS
+  // ============================================================================
+  describe("POST /api/admin/system/lifecycle-sweep", () => {
+    test("should run the sweep and audit the trigger", async () => {
+      const response = await request(app)
+        .post("/api/admin/system/lifecycle-sweep")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveProperty("asOf");
+      expect(response.body.data.invoices).toHaveProperty("updated");
+      expect(response.body.data.contracts).toHaveProperty("updated");
+      expect(response.body.data.reminders).toHaveProperty("notified");
+
+      const audit = await pool.query(
+        "SELECT user_id FROM audit_logs WHERE action = 'lifecycle_sweep_run'",
+      );
+      expect(audit.rows).toEqual([{ user_id: adminUser.id }]);
+    });
+
+    test("should return 403 for managers", async () => {
+      const response = await request(app)
+        .post("/api/admin/system/lifecycle-sweep")
+        .set("Authorization", `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================================================
+  // SCHEDULED JOBS TESTS
+  // ============================================================================
+  describe("/api/admin/system/jobs", () => {
+    beforeEach(async () => {
+      await pool.query(
+        "TRUNCATE TABLE scheduled_job_runs, scheduled_jobs RESTART IDENTITY",
+      );
+    });
+
+    test("should list every scheduled job", async () => {
+      const response = await request(app)
+        .get("/api/admin/system/jobs")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      const names = response.body.data.map((job) => job.name);
+      expect(names).toEqual(
+        expect.arrayContaining(["lifecycle-sweep", "refresh-token-cleanup"]),
+      );
+      expect(response.body.data[0]).toHaveProperty("next_run_at");
+    });
+
+    test("should run a job now and record the run", async () => {
+      const response = await request(app)
+        .post("/api/admin/system/jobs/refresh-token-cleanup/run")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        job_name: "refresh-token-cleanup",
+        trigger_type: "manual",
+        status: "succeeded",
+        triggered_by: adminUser.id,
+      });
+      expect(response.body.data.result).toHaveProperty("deleted");
+
+      const runs = await request(app)
+        .get("/api/admin/system/jobs/refresh-token-cleanup/runs")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(runs.body.data).toHaveLength(1);
+    });
+
+    test("should pause and resume a job", async () => {
+      const paused = await request(app)
+        .post("/api/admin/system/jobs/lifecycle-sweep/pause")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(paused.status).toBe(200);
+      expect(paused.body.data).toMatchObject({
+        paused: true,
+        paused_by: adminUser.id,
+      });
+
+      const resumed = await request(app)
+        .post("/api/admin/system/jobs/lifecycle-sweep/resume")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(resumed.body.data.paused).toBe(false);
+
+      const audit = await pool.query(
+        "SELECT action FROM audit_logs WHERE action IN ('job_paused', 'job_resumed') ORDER BY id",
+      );
+      expect(audit.rows.map((row) => row.action)).toEqual([
+        "job_paused",
+        "job_resumed",
+      ]);
+    });
+
+    test("should return 404 for an unknown job", async () => {
+      const response = await request(app)
+        .post("/api/admin/system/jobs/nope/run")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should return 403 for managers", async () => {
+      const response = await request(app)
+        .get("/api/admin/system/jobs")
+        .set("Authorization", `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================================================
+  // OUTBOX TESTS
+  // ============================================================================
+  describe("/api/admin/system/outbox", () => {
+    let failedId;
+
+    beforeEach(async () => {
+      await pool.query(
+        "TRUNCATE TABLE outbox, background_jobs RESTART IDENTITY",
+      );
+      const result = await pool.query(
+        `INSERT INTO outbox (channel, user_id, recipient, subject, body_text, status, attempts, last_error)
+         VALUES ('email', $1, 'admin@example.com', 'Hello', 'Hi', 'failed', 5, '550 mailbox unavailable'),
+                ('email', $1, 'admin@example.com', 'Hello again', 'Hi', 'sent', 1, NULL)
+         RETURNING id`,
+        [adminUser.id],
+      );
+      failedId = result.rows[0].id;
+    });
+
+    test("should list messages with counts per status", async () => {
+      const response = await request(app)
+        .get("/api/admin/system/outbox?status=failed")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.data).toHaveLength(1);
+      expect(response.body.data.data[0]).toMatchObject({
+        id: failedId,
+        status: "failed",
+        last_error: "550 mailbox unavailable",
+      });
+      expect(response.body.data.counts).toEqual({
+        pending: 0,
+        sent: 1,
+        failed: 1,
+      });
+    });
+
+    test("should requeue a failed message", async () => {
+      const response = await request(app)
+        .post(`/api/admin/system/outbox/${failedId}/retry`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        status: "pending",
+        attempts: 0,
+      });
+      const jobs = await pool.query(
+        "SELECT type, payload FROM background_jobs",
+      );
+      expect(jobs.rows).toEqual([
+        { type: "outbox.deliver", payload: { outboxId: failedId } },
+      ]);
+    });
+
+    test("should refuse to retry a message that did not fail", async () => {
+      const response = await request(app)
+        .post(`/api/admin/system/outbox/${failedId + 1}/retry`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  // ============================================================================
+  // WEBHOOK DELIVERY TESTS
+  // ============================================================================
+  describe("/api/admin/system/webhooks/deliveries", () => {
+    let deliveredId;
+
+    beforeEach(async () => {
+      await pool.query(
+        "TRUNCATE TABLE webhook_subscriptions, webhook_deliveries, background_jobs RESTART IDENTITY CASCADE",
+      );
+      await pool.query(
+        `INSERT INTO webhook_subscriptions (name, url, secret)
+         VALUES ('ERP', 'http://localhost:4001/hooks', 'a-test-secret-of-32-characters!!')`,
+      );
+      const result = await pool.query(
+        `INSERT INTO webhook_deliveries
+           (subscription_id, event_id, event_type, payload, status, attempts, response_status)
+         VALUES (1, gen_random_uuid(), 'work_order.created', '{"type": "work_order.created"}', 'delivered', 1, 200),
+                (1, gen_random_uuid(), 'work_order.updated', '{"type": "work_order.updated"}', 'pending', 2, 503)
+         RETURNING id`,
+      );
+      deliveredId = result.rows[0].id;
+    });
+
+    test("should list deliveries with counts per status", async () => {
+      const response = await request(app)
+        .get("/api/admin/system/webhooks/deliveries?subscription_id=1")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.data).toHaveLength(2);
+      expect(response.body.data.counts).toEqual({
+        pending: 1,
+        delivered: 1,
+        failed: 0,
+      });
+    });
+
+    test("should queue a redelivery of the same event", async () => {
+      const response = await request(app)
+        .post(`/api/admin/system/webhooks/deliveries/${deliveredId}/redeliver`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        status: "pending",
+        attempts: 0,
+        redelivery_of: deliveredId,
+      });
+      const jobs = await pool.query(
+        "SELECT type, payload FROM background_jobs",
+      );
+      expect(jobs.rows).toEqual([
+        {
+          type: "webhook.deliver",
+          payload: { deliveryId: response.body.data.id },
+        },
+      ]);
+    });
+
+    test("should refuse to redeliver a pending delivery", async () => {
+      const response = await request(app)
+        .post(
+          `/api/admin/system/webhooks/deliveries/${deliveredId + 1}/redeliver`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
   // ============================================================================
   // SYSTEM SETTINGS TESTS
   // ============================================================================
@@ -5,6 +5,8 @@
  * - requirePermission reads resource from req.entityMetadata.rlsResource
  * - enforceRLS reads resource from req.entityMetadata.rlsResource
  * - extractEntity sets req.entityMetadata from URL param
+ * - POST /api/export/:entity queues an 'export.csv' job (the CSV itself is
+ *   covered by export-service and job-types unit tests)
  */
 
 const request = require("supertest");
@@ -19,6 +21,7 @@ app.use(express.json());
 jest.mock("../../middleware/auth", () => ({
   authenticateToken: (req, res, next) => {
     req.user = { role: "admin", userId: 1, email: "admin@test.com" };
+    req.dbUser = { id: 1, role: "admin" };
     next();
   },
   requireMinimumRole: () => (req, res, next) => next(),
@@ -28,7 +31,8 @@ jest.mock("../../middleware/auth", () => ({
 // Mock RLS middleware - unified signature (no args)
 jest.mock("../../middleware/row-level-security", () => ({
   enforceRLS: (req, res, next) => {
-    req.rlsContext = { policy: "all_records", userId: 1 };
+    req.rlsPolicy = "all_records";
+    req.rlsUserId = 1;
     next();
   },
 }));
@@ -52,12 +56,16 @@ jest.mock("../../middleware/generic-entity", () => ({
   },
 }));
 
-// Mock database
-jest.mock("../../db/connection", () => ({
-  query: jest.fn(),
-}));
+// Mock the job queue (toStatus stays real)
+jest.mock("../../services/job-queue-service", () => {
+  const actual = jest.requireActual("../../services/job-queue-service");
+  return {
+    enqueue: jest.fn(),
+    toStatus: (job) => actual.toStatus(job),
+  };
+});
 
-const db = require("../../db/connection");
+const JobQueueService = require("../../services/job-queue-service");
 
 // Mount routes
 app.use("/api/export", exportRoutes);
@@ -67,72 +75,66 @@ describe("Export API", () => {
     jest.clearAllMocks();
   });
 
-  describe("GET /api/export/:entity", () => {
-    it("should return CSV file for customer export", async () => {
-      db.query.mockResolvedValue({
-        rows: [
-          {
-            id: 1,
-            first_name: "John",
-            last_name: "Doe",
-            email: "john@example.com",
-          },
-          {
-            id: 2,
-            first_name: "Jane",
-            last_name: "Smith",
-            email: "jane@example.com",
-          },
-        ],
-      });
-
-      const response = await request(app)
-        .get("/api/export/customer")
-        .expect(200);
-
-      // Check content type
-      expect(response.headers["content-type"]).toContain("text/csv");
+  describe("POST /api/export/:entity", () => {
+    const queued = {
+      id: 55,
+      type: "export.csv",
+      status: "queued",
+      progress: 0,
+      attempts: 0,
+      max_attempts: 3,
+      payload: {},
+    };
 
-      // Check content disposition for download
-      expect(response.headers["content-disposition"]).toContain("attachment");
-      expect(response.headers["content-disposition"]).toContain(".csv");
-
-      // Check row count header
-      expect(response.headers["x-row-count"]).toBe("2");
-
-      // Check CSV content
-      expect(response.text).toContain("john@example.com");
-      expect(response.text).toContain("jane@example.com");
-    });
-
-    it("should return CSV with headers only when no data", async () => {
-      db.query.mockResolvedValue({ rows: [] });
+    it("should queue an export job and answer 202 with its location", async () => {
+      JobQueueService.enqueue.mockResolvedValue(queued);
 
       const response = await request(app)
-        .get("/api/export/customer")
-        .expect(200);
-
-      expect(response.headers["x-row-count"]).toBe("0");
-      // Should have header row
-      expect(response.text.split("\n").filter(Boolean).length).toBe(1);
+        .post("/api/export/customer")
+        .expect(202);
+
+      expect(response.headers.location).toBe("/api/jobs/55");
+      expect(response.body.data).toMatchObject({
+        id: 55,
+        type: "export.csv",
+        status: "queued",
+        result: null,
+      });
+      expect(response.body.data.payload).toBeUndefined();
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "export.csv",
+        {
+          entity: "customer",
+          query: expect.objectContaining({
+            filters: {},
+            includeInactive: false,
+          }),
+          rlsContext: { policy: "all_records", userId: 1 },
+          fields: null,
+        },
+        { submittedBy: 1 },
+      );
     });
 
-    it("should apply filters to export query", async () => {
-      db.query.mockResolvedValue({ rows: [] });
+    it("should pass filters and selected fields to the job", async () => {
+      JobQueueService.enqueue.mockResolvedValue(queued);
 
-      await request(app).get("/api/export/customer?status=active").expect(200);
+      await request(app)
+        .post("/api/export/customer?status=active&fields=email,%20first_name")
+        .expect(202);
 
-      // Check that filter was passed to query
-      const queryCall = db.query.mock.calls[0];
-      expect(queryCall[0]).toContain("WHERE");
+      const [, payload] = JobQueueService.enqueue.mock.calls[0];
+      expect(payload.query.filters).toEqual({ status: "active" });
+      expect(payload.fields).toEqual(["email", "first_name"]);
     });
 
     it("should return 404 for unknown entity", async () => {
       const response = await request(app)
-        .get("/api/export/unknown_entity")
+        .post("/api/export/unknown_entity")
         .expect(404);
 
       expect(response.body.error).toContain("not found");
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
     });
   });
 
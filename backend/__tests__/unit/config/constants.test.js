@@ -97,6 +97,7 @@ describe("Constants Service", () => {
       const expectedStatuses = {
         OK: 200,
         CREATED: 201,
+        ACCEPTED: 202,
         BAD_REQUEST: 400,
         UNAUTHORIZED: 401,
         FORBIDDEN: 403,
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests: Background Job Types
+ *
+ * Tests for: backend/config/job-types.js
+ *
+ * Every type must have a schema, a retry limit and a handle(); the
+ * notification fan-out must throw on failure so the queue retries it, and
+ * a CSV export reports progress and returns the file as its result.
+ */
+
+const jobTypes = require("../../../config/job-types");
+const NotificationService = require("../../../services/notification-service");
+const ExportService = require("../../../services/export-service");
+
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn(),
+  notifyCustomer: jest.fn(),
+}));
+jest.mock("../../../services/export-service", () => ({
+  exportToCSV: jest.fn(),
+}));
+
+describe("Background Job Types", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test.each(Object.entries(jobTypes))(
+    "%s has a schema, maxAttempts and handle()",
+    (type, definition) => {
+      expect(typeof definition.schema.validate).toBe("function");
+      expect(definition.maxAttempts).toBeGreaterThan(0);
+      expect(typeof definition.handle).toBe("function");
+    },
+  );
+
+  describe("export.csv", () => {
+    const { schema, handle } = jobTypes["export.csv"];
+    const payload = {
+      entity: "customer",
+      query: { filters: { status: "active" }, includeInactive: false },
+      rlsContext: { policy: "all_records", userId: 1 },
+      fields: ["email"],
+    };
+
+    test("should accept an export query and require the entity", () => {
+      expect(schema.validate(payload).error).toBeUndefined();
+      expect(schema.validate({ entity: "customer" }).value.query).toEqual({});
+      expect(schema.validate({ query: {} }).error).toBeDefined();
+    });
+
+    test("should export with the caller's query and RLS, reporting progress", async () => {
+      const file = {
+        csv: "Email\na@x.com\n",
+        filename: "customer_export_2026-10-19.csv",
+        count: 1,
+        columns: ["Email"],
+      };
+      ExportService.exportToCSV.mockResolvedValue(file);
+      const job = { reportProgress: jest.fn() };
+
+      await expect(handle(payload, job)).resolves.toEqual(file);
+      expect(ExportService.exportToCSV).toHaveBeenCalledWith(
+        "customer",
+        payload.query,
+        payload.rlsContext,
+        ["email"],
+        { onProgress: job.reportProgress },
+      );
+    });
+  });
+
+  describe("notification.fan-out", () => {
+    const { handle } = jobTypes["notification.fan-out"];
+    const notification = { title: "Yard closed Friday" };
+
+    test("should notify a role and report how many were notified", async () => {
+      NotificationService.notifyRole.mockResolvedValue(5);
+
+      await expect(
+        handle({ role: "technician", notification }),
+      ).resolves.toEqual({ notified: 5 });
+      expect(NotificationService.notifyRole).toHaveBeenCalledWith(
+        "technician",
+        notification,
+        { throwOnError: true },
+      );
+    });
+
+    test("should notify a customer's portal users", async () => {
+      NotificationService.notifyCustomer.mockResolvedValue(2);
+
+      await expect(handle({ customerId: 3, notification })).resolves.toEqual({
+        notified: 2,
+      });
+      expect(NotificationService.notifyCustomer).toHaveBeenCalledWith(
+        3,
+        notification,
+        { throwOnError: true },
+      );
+    });
+
+    test("should throw when the notifications cannot be created", async () => {
+      NotificationService.notifyRole.mockRejectedValue(
+        new Error("connection lost"),
+      );
+
+      await expect(
+        handle({ role: "technician", notification }),
+      ).rejects.toThrow("connection lost");
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Unit Tests: Notification Rules
+ *
+ * Tests for: backend/config/notification-rules.js
+ *
+ * Every rule must have a unique name, watch a known entity and action,
+ * and name recipients the engine understands.
+ */
+
+const rules = require("../../../config/notification-rules");
+const allMetadata = require("../../../config/models");
+const { ENTITY_EVENTS } = require("../../../config/constants");
+
+describe("Notification Rules", () => {
+  test("rule names are unique", () => {
+    const names = rules.map((rule) => rule.name);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test.each(rules.map((rule) => [rule.name, rule]))(
+    "%s is well formed",
+    (name, rule) => {
+      expect(allMetadata[rule.entity]).toBeDefined();
+      for (const action of rule.on) {
+        expect(Object.values(ENTITY_EVENTS)).toContain(action);
+      }
+      expect(rule.notify.length).toBeGreaterThan(0);
+      for (const target of rule.notify) {
+        const kinds = ["technician", "customer", "role"].filter(
+          (kind) => target[kind],
+        );
+        expect(kinds).toHaveLength(1);
+        expect(target.title || rule.title).toEqual(expect.any(String));
+      }
+    },
+  );
+});
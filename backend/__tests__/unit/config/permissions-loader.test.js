@@ -311,7 +311,9 @@ describe("Permission System - Data-Driven Tests", () => {
         "own_record_only",
         "own_work_orders_only",
         "own_invoices_only",
+        "own_payments_only",
         "own_contracts_only",
+        "own_time_entries_only",
         "assigned_work_orders_only",
         "all_records",
         "deny_all",
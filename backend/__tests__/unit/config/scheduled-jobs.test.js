@@ -0,0 +1,26 @@
+/**
+ * Unit Tests: Scheduled Job Definitions
+ *
+ * Tests for: backend/config/scheduled-jobs.js
+ *
+ * Every job must have a unique name, a valid cron schedule and a run().
+ */
+
+const jobs = require("../../../config/scheduled-jobs");
+const { parseCron } = require("../../../utils/cron");
+
+describe("Scheduled Job Definitions", () => {
+  test("job names are unique", () => {
+    const names = jobs.map((job) => job.name);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test.each(jobs.map((job) => [job.name, job]))(
+    "%s has a valid schedule, description and run()",
+    (name, job) => {
+      expect(() => parseCron(job.schedule)).not.toThrow();
+      expect(job.description).toEqual(expect.any(String));
+      expect(typeof job.run).toBe("function");
+    },
+  );
+});
@@ -0,0 +1,69 @@
+/**
+ * Search Vector Unit Tests
+ *
+ * The search_vector columns in schema.sql and migration 016 are generated
+ * from metadata.searchWeights. These tests keep the SQL in step with the
+ * metadata (QueryBuilderService.buildSearchVectorExpression).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const allMetadata = require("../../../config/models");
+const QueryBuilderService = require("../../../services/query-builder-service");
+
+const BACKEND_DIR = path.join(__dirname, "../../..");
+const SCHEMA_SQL = fs.readFileSync(
+  path.join(BACKEND_DIR, "schema.sql"),
+  "utf8",
+);
+const MIGRATION_SQL = fs.readFileSync(
+  path.join(BACKEND_DIR, "migrations/016_full_text_search.sql"),
+  "utf8",
+);
+
+// Collapse whitespace so indentation and line breaks don't matter
+const normalize = (sql) => sql.replace(/\s+/g, " ");
+
+const generatedColumn = (searchWeights) =>
+  "search_vector tsvector GENERATED ALWAYS AS ( " +
+  `${QueryBuilderService.buildSearchVectorExpression(searchWeights)} ) STORED`;
+
+const searchableEntities = Object.entries(allMetadata).filter(
+  ([, metadata]) =>
+    metadata.searchWeights && Object.keys(metadata.searchWeights).length > 0,
+);
+
+describe("search vectors", () => {
+  test("there are entities with searchWeights", () => {
+    expect(searchableEntities.length).toBeGreaterThan(0);
+  });
+
+  describe.each(searchableEntities)("%s", (entityName, metadata) => {
+    const { tableName, searchWeights } = metadata;
+
+    test("schema.sql table generates search_vector from searchWeights", () => {
+      const table = new RegExp(
+        `CREATE TABLE IF NOT EXISTS ${tableName} \\(([\\s\\S]*?)\\n\\);`,
+      ).exec(SCHEMA_SQL);
+
+      expect(table).not.toBeNull();
+      expect(normalize(table[1])).toContain(generatedColumn(searchWeights));
+    });
+
+    test("migration 016 adds the same column", () => {
+      expect(normalize(MIGRATION_SQL)).toContain(
+        `ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS ` +
+          generatedColumn(searchWeights),
+      );
+    });
+
+    test("schema.sql and migration 016 index it with GIN", () => {
+      const index =
+        `CREATE INDEX IF NOT EXISTS idx_${tableName}_search ` +
+        `ON ${tableName} USING GIN (search_vector);`;
+
+      expect(normalize(SCHEMA_SQL)).toContain(index);
+      expect(normalize(MIGRATION_SQL)).toContain(index);
+    });
+  });
+});
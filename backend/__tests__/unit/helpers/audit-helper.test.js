@@ -5,6 +5,8 @@
  *
  * Test Coverage:
  * - logEntityAudit: Core audit logging function
+ * - logEntityEvent: Domain event (non-CRUD action) logging
+ * - logScheduleConflictOverride: Forced double-booking audit entry
  * - buildAuditContext: Request context extraction
  * - getClientIp: IP extraction with proxy support
  * - getUserAgent: User agent extraction
@@ -23,6 +25,8 @@ jest.mock("../../../config/logger", () => ({
 
 const {
   logEntityAudit,
+  logEntityEvent,
+  logScheduleConflictOverride,
   buildAuditContext,
   getClientIp,
   getUserAgent,
@@ -268,6 +272,119 @@ describe("db/helpers/audit-helper.js", () => {
     });
   });
 
+  // ==========================================================================
+  // logEntityEvent
+  // ==========================================================================
+  describe("logEntityEvent", () => {
+    const auditContext = {
+      userId: 1,
+      ipAddress: "127.0.0.1",
+      userAgent: "Test Agent",
+    };
+
+    test("should log the action with old and new values", async () => {
+      await logEntityEvent(
+        AuditActions.WORK_ORDER_ASSIGN,
+        "work_order",
+        { id: 9 },
+        auditContext,
+        {
+          oldValues: { assigned_technician_id: null },
+          newValues: { assigned_technician_id: 7 },
+        },
+      );
+
+      expect(auditService.log).toHaveBeenCalledWith({
+        userId: 1,
+        action: AuditActions.WORK_ORDER_ASSIGN,
+        resourceType: ResourceTypes.WORK_ORDER,
+        resourceId: 9,
+        oldValues: { assigned_technician_id: null },
+        newValues: { assigned_technician_id: 7 },
+        ipAddress: "127.0.0.1",
+        userAgent: "Test Agent",
+        result: AuditResults.SUCCESS,
+      });
+    });
+
+    test("should default values to null", async () => {
+      await logEntityEvent(
+        AuditActions.WORK_ORDER_ASSIGN,
+        "work_order",
+        { id: 9 },
+        auditContext,
+      );
+
+      expect(auditService.log).toHaveBeenCalledWith(
+        expect.objectContaining({ oldValues: null, newValues: null }),
+      );
+    });
+
+    test.each([
+      ["missing action", [undefined, "work_order"]],
+      ["unknown entity", [AuditActions.WORK_ORDER_ASSIGN, "unknown_entity"]],
+    ])("should skip on %s", async (_label, [action, entityName]) => {
+      await logEntityEvent(action, entityName, { id: 9 }, auditContext);
+
+      expect(auditService.log).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // logScheduleConflictOverride
+  // ==========================================================================
+  describe("logScheduleConflictOverride", () => {
+    const conflicts = [{ id: 2, work_order_number: "WO-2025-0002" }];
+    const auditContext = {
+      userId: 1,
+      ipAddress: "127.0.0.1",
+      userAgent: "Test Agent",
+    };
+
+    test("should log the override with the overridden conflicts", async () => {
+      await logScheduleConflictOverride(
+        "work_order",
+        { id: 9 },
+        conflicts,
+        auditContext,
+      );
+
+      expect(auditService.log).toHaveBeenCalledWith({
+        userId: 1,
+        action: AuditActions.SCHEDULE_CONFLICT_OVERRIDE,
+        resourceType: ResourceTypes.WORK_ORDER,
+        resourceId: 9,
+        oldValues: null,
+        newValues: { forced: true, conflicts },
+        ipAddress: "127.0.0.1",
+        userAgent: "Test Agent",
+        result: AuditResults.SUCCESS,
+      });
+    });
+
+    test("should not throw when audit service fails", async () => {
+      auditService.log.mockRejectedValue(new Error("DB down"));
+
+      await expect(
+        logScheduleConflictOverride(
+          "work_order",
+          { id: 9 },
+          conflicts,
+          auditContext,
+        ),
+      ).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test("should skip without audit context", async () => {
+      await logScheduleConflictOverride("work_order", { id: 9 }, conflicts);
+
+      expect(auditService.log).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
+
   // ==========================================================================
   // buildAuditContext
   // ==========================================================================
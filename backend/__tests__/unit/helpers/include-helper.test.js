@@ -0,0 +1,216 @@
+/**
+ * Include Helper Unit Tests
+ *
+ * Tests for: backend/db/helpers/include-helper.js
+ *
+ * Coverage:
+ * - getIncludableRelationships() / resolveIncludes() - metadata validation
+ * - buildIncludeJoins() - belongsTo LATERAL joins, RLS and param offsets
+ * - attachIncludes() - nesting, batched hasMany/hasOne queries, filtering
+ */
+
+const {
+  INCLUDED_KEY,
+  getIncludableRelationships,
+  resolveIncludes,
+  buildIncludeJoins,
+  attachIncludes,
+} = require("../../../db/helpers/include-helper");
+const allMetadata = require("../../../config/models");
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe("Include Helper", () => {
+  const workOrderMetadata = allMetadata.work_order;
+  const customerMetadata = allMetadata.customer;
+
+  describe("getIncludableRelationships", () => {
+    test("lists relationships whose table belongs to an entity", () => {
+      expect(getIncludableRelationships(workOrderMetadata)).toEqual(
+        expect.arrayContaining([
+          "customer",
+          "assignedTechnician",
+          "invoices",
+          "parts",
+        ]),
+      );
+    });
+
+    test("returns [] without relationships", () => {
+      expect(getIncludableRelationships({})).toEqual([]);
+    });
+  });
+
+  describe("resolveIncludes", () => {
+    test("resolves names to relationship and related metadata", () => {
+      const [customer, invoices] = resolveIncludes(workOrderMetadata, [
+        "customer",
+        "invoices",
+        "customer",
+      ]);
+
+      expect(customer.entityName).toBe("customer");
+      expect(customer.relationship.type).toBe("belongsTo");
+      expect(customer.metadata).toBe(customerMetadata);
+      expect(invoices.entityName).toBe("invoice");
+      expect(invoices.relationship.type).toBe("hasMany");
+    });
+
+    test("defaults to no includes", () => {
+      expect(resolveIncludes(workOrderMetadata)).toEqual([]);
+    });
+
+    test("throws 400 for an unknown relationship", () => {
+      expect(() => resolveIncludes(workOrderMetadata, ["owner"])).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          message: expect.stringContaining("Allowed: customer"),
+        }),
+      );
+    });
+  });
+
+  describe("buildIncludeJoins", () => {
+    test("joins each belongsTo as one JSON column", () => {
+      const includes = resolveIncludes(workOrderMetadata, [
+        "customer",
+        "invoices",
+      ]);
+
+      const { selectParts, joinParts, params } = buildIncludeJoins(
+        "work_orders",
+        includes,
+      );
+
+      expect(selectParts).toEqual(["include_customer.include_customer"]);
+      expect(joinParts).toHaveLength(1);
+      expect(joinParts[0]).toContain("LEFT JOIN LATERAL");
+      expect(joinParts[0]).toContain("FROM customers related");
+      expect(joinParts[0]).toContain(
+        "WHERE related.id = work_orders.customer_id",
+      );
+      expect(params).toEqual([]);
+    });
+
+    test("applies the related entity's RLS after paramOffset", () => {
+      const includes = resolveIncludes(workOrderMetadata, ["customer"]);
+
+      const { joinParts, params } = buildIncludeJoins(
+        "work_orders",
+        includes,
+        { customer: { policy: "own_record_only", userId: 7 } },
+        3,
+      );
+
+      expect(joinParts[0]).toContain(
+        "related.id = work_orders.customer_id AND id = $4",
+      );
+      expect(params).toEqual([7]);
+    });
+
+    test("denies all rows for deny_all", () => {
+      const includes = resolveIncludes(workOrderMetadata, ["contract"]);
+
+      const { joinParts } = buildIncludeJoins("work_orders", includes, {
+        contract: { policy: "deny_all", userId: 7 },
+      });
+
+      expect(joinParts[0]).toContain("AND 1=0");
+    });
+  });
+
+  describe("attachIncludes", () => {
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn() };
+    });
+
+    test("returns rows unchanged without includes", async () => {
+      const rows = [{ id: 1 }];
+
+      await expect(attachIncludes(client, rows, [])).resolves.toBe(rows);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test("nests belongsTo columns under included", async () => {
+      const includes = resolveIncludes(workOrderMetadata, [
+        "customer",
+        "contract",
+      ]);
+      const rows = [
+        {
+          id: 1,
+          include_customer: { id: 4, first_name: "Ada", auth0_id: "x" },
+          include_contract: null,
+        },
+      ];
+
+      const [record] = await attachIncludes(client, rows, includes);
+
+      expect(record).toEqual({
+        id: 1,
+        [INCLUDED_KEY]: {
+          customer: { id: 4, first_name: "Ada" },
+          contract: null,
+        },
+      });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test("loads hasMany with one batched query", async () => {
+      const includes = resolveIncludes(workOrderMetadata, ["invoices"]);
+      client.query.mockResolvedValue({
+        rows: [
+          { id: 10, invoice_number: "INV-10", work_order_id: 1 },
+          { id: 11, invoice_number: "INV-11", work_order_id: 1 },
+        ],
+      });
+
+      const records = await attachIncludes(
+        client,
+        [{ id: 1 }, { id: 2 }],
+        includes,
+        { invoices: { policy: "own_invoices_only", userId: 7 } },
+      );
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("FROM invoices WHERE work_order_id = ANY($1)");
+      expect(sql).toContain("is_active = true");
+      expect(sql).toContain("customer_id = $2");
+      expect(params).toEqual([[1, 2], 7]);
+      expect(records[0][INCLUDED_KEY].invoices).toEqual([
+        { id: 10, invoice_number: "INV-10" },
+        { id: 11, invoice_number: "INV-11" },
+      ]);
+      expect(records[1][INCLUDED_KEY].invoices).toEqual([]);
+    });
+
+    test("gives hasOne as an object or null", async () => {
+      const includes = resolveIncludes(customerMetadata, ["userAccount"]);
+      const { foreignKey } = includes[0].relationship;
+      client.query.mockResolvedValue({
+        rows: [{ id: 30, email: "ada@example.com", [foreignKey]: 4 }],
+      });
+
+      const records = await attachIncludes(
+        client,
+        [{ id: 4 }, { id: 5 }],
+        includes,
+      );
+
+      expect(records[0][INCLUDED_KEY].userAccount).toEqual(
+        expect.objectContaining({ id: 30, email: "ada@example.com" }),
+      );
+      expect(records[1][INCLUDED_KEY].userAccount).toBeNull();
+    });
+  });
+});
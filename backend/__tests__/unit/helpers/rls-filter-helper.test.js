@@ -232,6 +232,90 @@ describe("RLS Filter Helper", () => {
       });
     });
 
+    describe("own_payments_only policy", () => {
+      it("should match payments on the customer's invoices", () => {
+        const result = buildRLSFilter(
+          { policy: "own_payments_only", userId: 80 },
+          { tableName: "payments" },
+          1,
+        );
+
+        expect(result).toEqual({
+          clause:
+            "invoice_id IN (SELECT id FROM invoices WHERE customer_id = $2)",
+          params: [80],
+          applied: true,
+        });
+      });
+
+      it("should use custom invoiceField from rlsFilterConfig", () => {
+        const result = buildRLSFilter(
+          { policy: "own_payments_only", userId: 80 },
+          {
+            tableName: "payments",
+            rlsFilterConfig: { invoiceField: "payments.invoice_id" },
+          },
+          0,
+        );
+
+        expect(result.clause).toBe(
+          "payments.invoice_id IN (SELECT id FROM invoices WHERE customer_id = $1)",
+        );
+      });
+
+      it("should deny access when userId is null", () => {
+        const result = buildRLSFilter(
+          { policy: "own_payments_only", userId: null },
+          { tableName: "payments" },
+          0,
+        );
+
+        expect(result).toEqual({ clause: "1=0", params: [], applied: true });
+      });
+    });
+
+    describe("own_time_entries_only policy", () => {
+      it("should match technician_id against the user's technician profile", () => {
+        const result = buildRLSFilter(
+          { policy: "own_time_entries_only", userId: 12 },
+          { tableName: "time_entries" },
+          2,
+        );
+
+        expect(result).toEqual({
+          clause:
+            "technician_id = (SELECT technician_profile_id FROM users WHERE id = $3)",
+          params: [12],
+          applied: true,
+        });
+      });
+
+      it("should use custom technicianField from rlsFilterConfig", () => {
+        const result = buildRLSFilter(
+          { policy: "own_time_entries_only", userId: 12 },
+          {
+            tableName: "time_entries",
+            rlsFilterConfig: { technicianField: "time_entries.technician_id" },
+          },
+          0,
+        );
+
+        expect(result.clause).toBe(
+          "time_entries.technician_id = (SELECT technician_profile_id FROM users WHERE id = $1)",
+        );
+      });
+
+      it("should deny access when userId is null", () => {
+        const result = buildRLSFilter(
+          { policy: "own_time_entries_only", userId: null },
+          { tableName: "time_entries" },
+          0,
+        );
+
+        expect(result).toEqual({ clause: "1=0", params: [], applied: true });
+      });
+    });
+
     describe("deny_all policy", () => {
       it("should return 1=0 to block all access", () => {
         const result = buildRLSFilter(
@@ -401,12 +485,14 @@ describe("RLS Filter Helper", () => {
       expect(policies).toContain("own_work_orders_only");
       expect(policies).toContain("assigned_work_orders_only");
       expect(policies).toContain("own_invoices_only");
+      expect(policies).toContain("own_payments_only");
       expect(policies).toContain("own_contracts_only");
+      expect(policies).toContain("own_time_entries_only");
       expect(policies).toContain("deny_all");
     });
 
-    it("should have 8 supported policies", () => {
-      expect(getSupportedPolicies().length).toBe(8);
+    it("should have 10 supported policies", () => {
+      expect(getSupportedPolicies().length).toBe(10);
     });
   });
 
@@ -423,7 +509,9 @@ describe("RLS Filter Helper", () => {
         "own_work_orders_only",
         "assigned_work_orders_only",
         "own_invoices_only",
+        "own_payments_only",
         "own_contracts_only",
+        "own_time_entries_only",
         "deny_all",
       ];
 
@@ -435,7 +523,7 @@ describe("RLS Filter Helper", () => {
 
     it("should not have any extra undocumented handlers", () => {
       const handlerCount = Object.keys(_POLICY_HANDLERS).length;
-      expect(handlerCount).toBe(8);
+      expect(handlerCount).toBe(10);
     });
   });
 
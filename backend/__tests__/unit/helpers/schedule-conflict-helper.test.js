@@ -0,0 +1,302 @@
+/**
+ * Schedule Conflict Helper Unit Tests
+ *
+ * Tests for: backend/db/helpers/schedule-conflict-helper.js
+ *
+ * Coverage:
+ * - getScheduleConfig() / touchesSchedule() / booksResource() - opt-in detection
+ * - findScheduleConflicts() - overlap query and skip conditions
+ * - assertNoScheduleConflicts() - 400 / 403 / 409 enforcement, force
+ *   override, resource lock
+ * - Real work_order metadata sanity check
+ */
+
+const {
+  getScheduleConfig,
+  touchesSchedule,
+  booksResource,
+  findScheduleConflicts,
+  assertNoScheduleConflicts,
+} = require("../../../db/helpers/schedule-conflict-helper");
+const allMetadata = require("../../../config/models");
+
+describe("Schedule Conflict Helper", () => {
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const metadata = {
+    tableName: "visits",
+    primaryKey: "id",
+    identityField: "visit_number",
+    scheduleConflicts: {
+      resourceField: "tech_id",
+      startField: "starts_at",
+      endField: "ends_at",
+      ignoreStatuses: ["done"],
+    },
+  };
+
+  const booking = {
+    tech_id: 7,
+    starts_at: "2025-06-02T09:00:00Z",
+    ends_at: "2025-06-02T11:00:00Z",
+    status: "open",
+  };
+
+  const conflictRow = {
+    id: 3,
+    visit_number: "V-3",
+    starts_at: "2025-06-02T10:00:00Z",
+    ends_at: "2025-06-02T12:00:00Z",
+  };
+
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  });
+
+  // ============================================================================
+  // getScheduleConfig / touchesSchedule
+  // ============================================================================
+
+  describe("getScheduleConfig()", () => {
+    test("should return null for entities without scheduleConflicts", () => {
+      expect(getScheduleConfig({ tableName: "things" })).toBeNull();
+      expect(getScheduleConfig(undefined)).toBeNull();
+    });
+
+    test("should return the config when declared", () => {
+      expect(getScheduleConfig(metadata)).toBe(metadata.scheduleConflicts);
+    });
+  });
+
+  describe("touchesSchedule()", () => {
+    test.each([["tech_id"], ["starts_at"], ["ends_at"], ["status"]])(
+      "should detect changes to %s",
+      (field) => {
+        expect(touchesSchedule(metadata, { [field]: null })).toBe(true);
+      },
+    );
+
+    test("should ignore unrelated changes", () => {
+      expect(touchesSchedule(metadata, { summary: "x" })).toBe(false);
+    });
+
+    test("should be false for unscheduled entities", () => {
+      expect(touchesSchedule({}, { starts_at: "x" })).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // findScheduleConflicts
+  // ============================================================================
+
+  describe("findScheduleConflicts()", () => {
+    test("should query overlapping active bookings for the resource", async () => {
+      client.query.mockResolvedValue({ rows: [conflictRow] });
+
+      const result = await findScheduleConflicts(client, metadata, booking);
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("FROM visits");
+      expect(sql).toContain("starts_at < $3");
+      expect(sql).toContain("ends_at > $2");
+      expect(sql).toContain("is_active = true");
+      expect(sql).not.toContain("id <>");
+      expect(params).toEqual([7, booking.starts_at, booking.ends_at, ["done"]]);
+      expect(result).toEqual([conflictRow]);
+    });
+
+    test("should exclude the record itself when excludeId is given", async () => {
+      await findScheduleConflicts(client, metadata, booking, 12);
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("id <> $5");
+      expect(params[4]).toBe(12);
+    });
+
+    test.each([["tech_id"], ["starts_at"], ["ends_at"]])(
+      "should skip the query when %s is not set",
+      async (field) => {
+        const result = await findScheduleConflicts(client, metadata, {
+          ...booking,
+          [field]: null,
+        });
+
+        expect(result).toEqual([]);
+        expect(client.query).not.toHaveBeenCalled();
+      },
+    );
+
+    test("should skip records in an ignored status", async () => {
+      await findScheduleConflicts(client, metadata, {
+        ...booking,
+        status: "done",
+      });
+
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // booksResource
+  // ============================================================================
+
+  describe("booksResource()", () => {
+    test("should be true once resource and window are set", () => {
+      expect(booksResource(metadata, booking)).toBe(true);
+    });
+
+    test("should be false without a resource, or in an ignored status", () => {
+      expect(booksResource(metadata, { ...booking, tech_id: null })).toBe(
+        false,
+      );
+      expect(booksResource(metadata, { ...booking, status: "done" })).toBe(
+        false,
+      );
+      expect(booksResource({ tableName: "things" }, booking)).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // assertNoScheduleConflicts
+  // ============================================================================
+
+  describe("assertNoScheduleConflicts()", () => {
+    test("should resolve to [] when there is no overlap", async () => {
+      await expect(
+        assertNoScheduleConflicts(client, metadata, booking),
+      ).resolves.toEqual([]);
+    });
+
+    test("should throw 409 listing conflicting identifiers", async () => {
+      client.query.mockResolvedValue({
+        rows: [conflictRow, { ...conflictRow, id: 4, visit_number: "V-4" }],
+      });
+
+      const error = await assertNoScheduleConflicts(
+        client,
+        metadata,
+        booking,
+      ).catch((e) => e);
+
+      expect(error.statusCode).toBe(409);
+      expect(error.code).toBe("SCHEDULE_CONFLICT");
+      expect(error.message).toContain("V-3, V-4");
+      expect(error.details).toMatchObject({
+        resourceField: "tech_id",
+        resourceId: 7,
+        conflicts: [{ id: 3 }, { id: 4 }],
+      });
+    });
+
+    test("should return conflicts instead of throwing when forced", async () => {
+      client.query.mockResolvedValue({ rows: [conflictRow] });
+
+      const result = await assertNoScheduleConflicts(
+        client,
+        metadata,
+        booking,
+        {
+          force: true,
+        },
+      );
+
+      expect(result).toEqual([conflictRow]);
+    });
+
+    test("should lock the resource before checking for overlaps", async () => {
+      await assertNoScheduleConflicts(client, metadata, booking);
+
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(client.query.mock.calls[0]).toEqual([
+        expect.stringContaining("pg_advisory_xact_lock"),
+        ["visits.tech_id", 7],
+      ]);
+      expect(client.query.mock.calls[1][0]).toContain("FROM visits");
+    });
+
+    test("should not lock a record that books nothing", async () => {
+      await assertNoScheduleConflicts(client, metadata, {
+        ...booking,
+        tech_id: null,
+      });
+
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test("should let a manager force a booking", async () => {
+      client.query.mockResolvedValue({ rows: [conflictRow] });
+
+      await expect(
+        assertNoScheduleConflicts(client, metadata, booking, {
+          force: true,
+          userRole: "manager",
+        }),
+      ).resolves.toEqual([conflictRow]);
+    });
+
+    test("should throw 403 when force is set below the override role", async () => {
+      const error = await assertNoScheduleConflicts(client, metadata, booking, {
+        force: true,
+        userRole: "dispatcher",
+      }).catch((e) => e);
+
+      expect(error.statusCode).toBe(403);
+      expect(error.code).toBe("FORBIDDEN");
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test("should honor a declared overrideRole", async () => {
+      const dispatcherOverride = {
+        ...metadata,
+        scheduleConflicts: {
+          ...metadata.scheduleConflicts,
+          overrideRole: "dispatcher",
+        },
+      };
+
+      await expect(
+        assertNoScheduleConflicts(client, dispatcherOverride, booking, {
+          force: true,
+          userRole: "dispatcher",
+        }),
+      ).resolves.toEqual([]);
+    });
+
+    test("should reject a window that ends before it starts", async () => {
+      const error = await assertNoScheduleConflicts(client, metadata, {
+        ...booking,
+        ends_at: booking.starts_at,
+      }).catch((e) => e);
+
+      expect(error.statusCode).toBe(400);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test("should be a no-op for unscheduled entities", async () => {
+      await expect(
+        assertNoScheduleConflicts(client, { tableName: "things" }, booking),
+      ).resolves.toEqual([]);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // REAL METADATA
+  // ============================================================================
+
+  describe("work_order metadata", () => {
+    test("should book technicians on scheduled_start..scheduled_end", () => {
+      expect(getScheduleConfig(allMetadata.work_order)).toMatchObject({
+        resourceField: "assigned_technician_id",
+        startField: "scheduled_start",
+        endField: "scheduled_end",
+        ignoreStatuses: ["completed", "cancelled"],
+        overrideRole: "manager",
+      });
+    });
+  });
+});
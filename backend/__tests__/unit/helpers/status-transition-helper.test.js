@@ -0,0 +1,385 @@
+/**
+ * Status Transition Helper Unit Tests
+ *
+ * Tests for: backend/db/helpers/status-transition-helper.js
+ *
+ * Coverage:
+ * - getStatusField() - opt-in detection
+ * - getAllowedTransitions() - per-state listing with role filtering
+ * - describeStatusTransitions() - full state machine for schema exposure
+ * - assertStatusTransition() - 409 / 403 / 422 enforcement, initial states on create
+ * - Real metadata (work_order, invoice, contract) sanity checks
+ */
+
+const {
+  getStatusField,
+  getAllowedTransitions,
+  describeStatusTransitions,
+  assertStatusTransition,
+} = require("../../../db/helpers/status-transition-helper");
+const allMetadata = require("../../../config/models");
+
+describe("Status Transition Helper", () => {
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const metadata = {
+    tableName: "tickets",
+    fields: {
+      status: { type: "enum", values: ["open", "closed", "archived"] },
+      closed_at: { type: "timestamp" },
+    },
+    statusTransitions: {
+      field: "status",
+      transitions: [
+        { from: "open", to: "closed", minimumRole: "technician" },
+        { from: ["open", "closed"], to: "archived", minimumRole: "manager" },
+      ],
+      requiredOnEntry: {
+        closed: ["closed_at"],
+      },
+      initialStates: { open: "customer", closed: "manager" },
+    },
+  };
+
+  // ============================================================================
+  // getStatusField
+  // ============================================================================
+
+  describe("getStatusField()", () => {
+    test("should return configured field", () => {
+      expect(getStatusField(metadata)).toBe("status");
+    });
+
+    test("should return null when entity has no state machine", () => {
+      expect(getStatusField({ tableName: "customers" })).toBeNull();
+      expect(getStatusField(undefined)).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // getAllowedTransitions
+  // ============================================================================
+
+  describe("getAllowedTransitions()", () => {
+    test("should list all transitions from a state when no role given", () => {
+      expect(getAllowedTransitions(metadata, "open")).toEqual([
+        {
+          to: "closed",
+          minimumRole: "technician",
+          requiredFields: ["closed_at"],
+        },
+        { to: "archived", minimumRole: "manager", requiredFields: [] },
+      ]);
+    });
+
+    test("should filter by role", () => {
+      const result = getAllowedTransitions(metadata, "open", "technician");
+      expect(result.map((t) => t.to)).toEqual(["closed"]);
+    });
+
+    test("should return empty array for terminal state", () => {
+      expect(getAllowedTransitions(metadata, "archived")).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // describeStatusTransitions
+  // ============================================================================
+
+  describe("describeStatusTransitions()", () => {
+    test("should key transitions by every enum value", () => {
+      const result = describeStatusTransitions(metadata, "admin");
+      expect(result.field).toBe("status");
+      expect(Object.keys(result.states)).toEqual([
+        "open",
+        "closed",
+        "archived",
+      ]);
+      expect(result.states.closed.map((t) => t.to)).toEqual(["archived"]);
+    });
+
+    test("should return null for entities without statusTransitions", () => {
+      expect(describeStatusTransitions({ tableName: "customers" })).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // assertStatusTransition
+  // ============================================================================
+
+  describe("assertStatusTransition()", () => {
+    test("should pass for declared transition with required fields", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          { status: "open" },
+          { status: "closed", closed_at: "2025-01-01T00:00:00Z" },
+          "technician",
+        ),
+      ).not.toThrow();
+    });
+
+    test("should accept required field already present on record", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          { status: "open", closed_at: "2025-01-01T00:00:00Z" },
+          { status: "closed" },
+        ),
+      ).not.toThrow();
+    });
+
+    test("should ignore updates that do not change status", () => {
+      expect(() =>
+        assertStatusTransition(metadata, { status: "archived" }, { name: "x" }),
+      ).not.toThrow();
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          { status: "archived" },
+          { status: "archived" },
+        ),
+      ).not.toThrow();
+    });
+
+    test("should ignore entities without statusTransitions", () => {
+      expect(() =>
+        assertStatusTransition(
+          { tableName: "customers" },
+          { status: "active" },
+          { status: "anything" },
+        ),
+      ).not.toThrow();
+    });
+
+    test("should throw 409 with allowed transitions for undeclared pair", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          { status: "archived" },
+          { status: "open" },
+        ),
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 409,
+          code: "INVALID_STATUS_TRANSITION",
+          details: {
+            field: "status",
+            from: "archived",
+            to: "open",
+            allowedTransitions: [],
+          },
+        }),
+      );
+    });
+
+    test("should throw 403 when role is below transition minimum", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          { status: "open" },
+          { status: "archived" },
+          "dispatcher",
+        ),
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 403,
+          code: "FORBIDDEN",
+          details: expect.objectContaining({ requiredRole: "manager" }),
+        }),
+      );
+    });
+
+    test("should skip role check for internal operations", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          { status: "open" },
+          { status: "archived" },
+        ),
+      ).not.toThrow();
+    });
+
+    test("should throw 422 when required entry fields are missing", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          { status: "open", closed_at: null },
+          { status: "closed" },
+          "admin",
+        ),
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 422,
+          code: "MISSING_REQUIRED_FIELDS",
+          details: expect.objectContaining({ missingFields: ["closed_at"] }),
+        }),
+      );
+    });
+  });
+
+  // ============================================================================
+  // assertStatusTransition on create (no current record)
+  // ============================================================================
+
+  describe("assertStatusTransition() on create", () => {
+    test("should pass for an initial state the role may use", () => {
+      expect(() =>
+        assertStatusTransition(metadata, null, { status: "open" }, "customer"),
+      ).not.toThrow();
+    });
+
+    test("should leave the status to the column default when not given", () => {
+      expect(() =>
+        assertStatusTransition(metadata, null, { name: "x" }, "customer"),
+      ).not.toThrow();
+    });
+
+    test("should throw 409 for a status that is not an initial state", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          null,
+          { status: "archived" },
+          "customer",
+        ),
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 409,
+          code: "INVALID_STATUS_TRANSITION",
+          details: expect.objectContaining({
+            from: null,
+            to: "archived",
+            allowedTransitions: ["open"],
+          }),
+        }),
+      );
+    });
+
+    test("should throw 403 when role is below the initial state minimum", () => {
+      expect(() =>
+        assertStatusTransition(
+          metadata,
+          null,
+          { status: "closed", closed_at: "2025-01-01T00:00:00Z" },
+          "customer",
+        ),
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 403,
+          details: expect.objectContaining({ requiredRole: "manager" }),
+        }),
+      );
+    });
+
+    test("should throw 422 when required entry fields are missing", () => {
+      expect(() =>
+        assertStatusTransition(metadata, null, { status: "closed" }, "admin"),
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 422,
+          details: expect.objectContaining({ missingFields: ["closed_at"] }),
+        }),
+      );
+    });
+
+    test("should still check initial states for internal operations", () => {
+      expect(() =>
+        assertStatusTransition(metadata, null, { status: "archived" }),
+      ).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test("should not check creates without initialStates", () => {
+      const { initialStates, ...config } = metadata.statusTransitions;
+      expect(() =>
+        assertStatusTransition(
+          { ...metadata, statusTransitions: config },
+          null,
+          { status: "archived" },
+          "customer",
+        ),
+      ).not.toThrow();
+    });
+  });
+
+  // ============================================================================
+  // REAL METADATA
+  // ============================================================================
+
+  describe("entity metadata", () => {
+    test.each(["work_order", "invoice", "contract"])(
+      "%s should declare a status state machine",
+      (entityName) => {
+        expect(getStatusField(allMetadata[entityName])).toBe("status");
+      },
+    );
+
+    test("work order cannot go from completed back to pending", () => {
+      expect(() =>
+        assertStatusTransition(
+          allMetadata.work_order,
+          { status: "completed" },
+          { status: "pending" },
+          "admin",
+        ),
+      ).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test("invoice cannot go from void to paid", () => {
+      expect(() =>
+        assertStatusTransition(
+          allMetadata.invoice,
+          { status: "void" },
+          { status: "paid", paid_at: "2025-01-01T00:00:00Z" },
+          "admin",
+        ),
+      ).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test("work order cannot be created as completed", () => {
+      expect(() =>
+        assertStatusTransition(
+          allMetadata.work_order,
+          null,
+          { status: "completed" },
+          "admin",
+        ),
+      ).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test("invoice cannot be created as paid", () => {
+      expect(() =>
+        assertStatusTransition(
+          allMetadata.invoice,
+          null,
+          { status: "paid", paid_at: "2025-01-01T00:00:00Z" },
+          "admin",
+        ),
+      ).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test("work order booked on create requires a technician", () => {
+      expect(() =>
+        assertStatusTransition(
+          allMetadata.work_order,
+          null,
+          { status: "assigned" },
+          "dispatcher",
+        ),
+      ).toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+
+    test("work order completion requires completed_at", () => {
+      expect(() =>
+        assertStatusTransition(
+          allMetadata.work_order,
+          { status: "in_progress" },
+          { status: "completed" },
+          "dispatcher",
+        ),
+      ).toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+  });
+});
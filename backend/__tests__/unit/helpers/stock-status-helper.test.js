@@ -0,0 +1,281 @@
+/**
+ * Stock Status Helper Unit Tests
+ *
+ * Tests for: backend/db/helpers/stock-status-helper.js
+ *
+ * Coverage:
+ * - getStockStatusConfig() / touchesStockLevel() - opt-in detection
+ * - deriveStockStatus() / stockStatusChanges() - derivation and manual states
+ * - isBelowReorder() / crossedBelowReorder() - reorder crossing
+ * - buildStockStatusSql() - CASE expression for raw updates
+ * - alertBelowReorder() - NotificationService hand-off
+ * - Real inventory metadata sanity check
+ */
+
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn().mockResolvedValue(2),
+}));
+
+const {
+  getStockStatusConfig,
+  touchesStockLevel,
+  deriveStockStatus,
+  stockStatusChanges,
+  isBelowReorder,
+  crossedBelowReorder,
+  buildStockStatusSql,
+  alertBelowReorder,
+} = require("../../../db/helpers/stock-status-helper");
+const NotificationService = require("../../../services/notification-service");
+const allMetadata = require("../../../config/models");
+
+describe("Stock Status Helper", () => {
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const metadata = {
+    entityKey: "part",
+    primaryKey: "id",
+    identityField: "code",
+    displayField: "label",
+    fields: {
+      on_hand: { type: "integer", default: 0 },
+      min_level: { type: "integer", default: 5 },
+      state: { type: "enum" },
+    },
+    stockStatus: {
+      quantityField: "on_hand",
+      thresholdField: "min_level",
+      statusField: "state",
+      manualStatuses: ["retired"],
+      supplierField: "vendor",
+      alertRole: "manager",
+    },
+  };
+
+  const part = {
+    id: 3,
+    code: "P-3",
+    label: "Gasket",
+    on_hand: 8,
+    min_level: 5,
+    state: "in_stock",
+    vendor: "Acme",
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ============================================================================
+  // getStockStatusConfig / touchesStockLevel
+  // ============================================================================
+
+  describe("getStockStatusConfig()", () => {
+    test("should return null for entities without stockStatus", () => {
+      expect(getStockStatusConfig({ tableName: "customers" })).toBeNull();
+      expect(getStockStatusConfig(undefined)).toBeNull();
+    });
+
+    test("should default statusField and manualStatuses", () => {
+      const config = getStockStatusConfig({
+        stockStatus: { quantityField: "qty", thresholdField: "min" },
+      });
+
+      expect(config).toMatchObject({
+        statusField: "status",
+        manualStatuses: [],
+      });
+    });
+  });
+
+  describe("touchesStockLevel()", () => {
+    test.each([["on_hand"], ["min_level"], ["state"]])(
+      "should be true when %s is written",
+      (field) => {
+        expect(touchesStockLevel(metadata, { [field]: 1 })).toBe(true);
+      },
+    );
+
+    test("should be false for unrelated fields and untracked entities", () => {
+      expect(touchesStockLevel(metadata, { label: "Seal" })).toBe(false);
+      expect(touchesStockLevel({}, { on_hand: 1 })).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // deriveStockStatus / stockStatusChanges
+  // ============================================================================
+
+  describe("deriveStockStatus()", () => {
+    test.each([
+      [0, "out_of_stock"],
+      [-2, "out_of_stock"],
+      [4, "low_stock"],
+      [5, "in_stock"],
+      [50, "in_stock"],
+    ])("should map on_hand %i to %s", (onHand, expected) => {
+      expect(deriveStockStatus(metadata, { ...part, on_hand: onHand })).toBe(
+        expected,
+      );
+    });
+
+    test("should keep a manual status", () => {
+      expect(
+        deriveStockStatus(metadata, { ...part, on_hand: 0, state: "retired" }),
+      ).toBe("retired");
+    });
+
+    test("should never be low_stock without a threshold", () => {
+      expect(
+        deriveStockStatus(metadata, { ...part, on_hand: 1, min_level: null }),
+      ).toBe("in_stock");
+    });
+  });
+
+  describe("stockStatusChanges()", () => {
+    test("should derive against the current row on update", () => {
+      expect(stockStatusChanges(metadata, part, { on_hand: 2 })).toEqual({
+        state: "low_stock",
+      });
+    });
+
+    test("should re-derive when raising the threshold", () => {
+      expect(stockStatusChanges(metadata, part, { min_level: 10 })).toEqual({
+        state: "low_stock",
+      });
+    });
+
+    test("should replace a hand-set derived status", () => {
+      expect(
+        stockStatusChanges(metadata, part, { state: "low_stock" }),
+      ).toEqual({ state: "in_stock" });
+    });
+
+    test("should accept a manual status set by hand", () => {
+      expect(stockStatusChanges(metadata, part, { state: "retired" })).toEqual({
+        state: "retired",
+      });
+    });
+
+    test("should leave status alone for unrelated updates", () => {
+      expect(stockStatusChanges(metadata, part, { label: "Seal" })).toEqual({});
+    });
+
+    test("should always derive on create, using field defaults", () => {
+      expect(stockStatusChanges(metadata, null, { code: "P-9" })).toEqual({
+        state: "out_of_stock",
+      });
+      expect(stockStatusChanges(metadata, null, { on_hand: 3 })).toEqual({
+        state: "low_stock",
+      });
+    });
+
+    test("should return nothing for untracked entities", () => {
+      expect(stockStatusChanges({}, null, { on_hand: 3 })).toEqual({});
+    });
+  });
+
+  // ============================================================================
+  // isBelowReorder / crossedBelowReorder
+  // ============================================================================
+
+  describe("crossedBelowReorder()", () => {
+    test("should detect dropping below the threshold", () => {
+      expect(crossedBelowReorder(metadata, part, { ...part, on_hand: 4 })).toBe(
+        true,
+      );
+    });
+
+    test("should detect the threshold rising above on_hand", () => {
+      expect(
+        crossedBelowReorder(metadata, part, { ...part, min_level: 9 }),
+      ).toBe(true);
+    });
+
+    test("should not fire while already below", () => {
+      const low = { ...part, on_hand: 4 };
+      expect(crossedBelowReorder(metadata, low, { ...low, on_hand: 1 })).toBe(
+        false,
+      );
+    });
+
+    test("should not fire for manual statuses or missing rows", () => {
+      const retired = { ...part, state: "retired" };
+      expect(
+        crossedBelowReorder(metadata, retired, { ...retired, on_hand: 0 }),
+      ).toBe(false);
+      expect(crossedBelowReorder(metadata, null, part)).toBe(false);
+    });
+
+    test("isBelowReorder() should be false without a threshold", () => {
+      expect(isBelowReorder(metadata, { ...part, min_level: null })).toBe(
+        false,
+      );
+    });
+  });
+
+  // ============================================================================
+  // buildStockStatusSql
+  // ============================================================================
+
+  describe("buildStockStatusSql()", () => {
+    test("should keep manual statuses and compare the new quantity", () => {
+      const sql = buildStockStatusSql(metadata, "on_hand - $2");
+
+      expect(sql).toContain("WHEN state IN ('retired') THEN state");
+      expect(sql).toContain("WHEN (on_hand - $2) <= 0 THEN 'out_of_stock'");
+      expect(sql).toContain("WHEN (on_hand - $2) < min_level THEN 'low_stock'");
+      expect(sql).toContain("ELSE 'in_stock'");
+    });
+  });
+
+  // ============================================================================
+  // alertBelowReorder
+  // ============================================================================
+
+  describe("alertBelowReorder()", () => {
+    test("should notify alertRole with a link to the record", async () => {
+      const low = { ...part, on_hand: 2 };
+
+      await expect(alertBelowReorder(metadata, low)).resolves.toBe(2);
+      expect(NotificationService.notifyRole).toHaveBeenCalledWith("manager", {
+        title: "Reorder needed: P-3",
+        body: "Gasket (P-3) is down to 2, below its reorder level of 5. Supplier: Acme.",
+        type: "warning",
+        resourceType: "part",
+        resourceId: 3,
+      });
+    });
+
+    test("should do nothing without alertRole", async () => {
+      const quiet = {
+        ...metadata,
+        stockStatus: { ...metadata.stockStatus, alertRole: undefined },
+      };
+
+      await expect(alertBelowReorder(quiet, part)).resolves.toBe(0);
+      expect(NotificationService.notifyRole).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // Real metadata
+  // ============================================================================
+
+  describe("inventory metadata", () => {
+    test("should track stock with discontinued as a manual status", () => {
+      const config = getStockStatusConfig(allMetadata.inventory);
+
+      expect(config).toMatchObject({
+        quantityField: "quantity",
+        thresholdField: "reorder_level",
+        statusField: "status",
+        manualStatuses: ["discontinued"],
+        supplierField: "supplier",
+        alertRole: "manager",
+      });
+    });
+  });
+});
@@ -158,7 +158,7 @@ describe("Sub-Entity Middleware", () => {
 
       await requireParentExists(existsFn)(req, res, next);
 
-      expect(existsFn).toHaveBeenCalledWith("work_order", 123);
+      expect(existsFn).toHaveBeenCalledWith("work_order", 123, req);
       expect(req.parentId).toBe(123);
       expect(next).toHaveBeenCalledWith();
     });
@@ -153,6 +153,20 @@ describe("Timeout Middleware", () => {
       expect(res.status).not.toHaveBeenCalled();
     });
 
+    test("should let the handler cancel the timeout", () => {
+      // Arrange
+      const middleware = requestTimeout(5000);
+
+      // Act
+      middleware(req, res, next);
+      req.cancelTimeout();
+      jest.advanceTimersByTime(6000);
+
+      // Assert
+      expect(req.timedout).toBe(false);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
     test("should log very slow requests", () => {
       // Arrange
       const middleware = requestTimeout(30000);
@@ -0,0 +1,180 @@
+/**
+ * Contract Extension Routes - Unit Tests
+ *
+ * Tests GET /api/contracts/:id/service_occurrences
+ * and POST /api/contracts/:id/generate_work_orders
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const ContractScheduleService = require("../../../services/contract-schedule-service");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/contract-schedule-service", () => ({
+  preview: jest.fn(),
+  generate: jest.fn(),
+}));
+
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 1, role: "manager" };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsPolicy = "all_records";
+    req.rlsUserId = 1;
+    next();
+  },
+}));
+
+const contractsExtensions = require("../../../routes/contracts-extensions");
+
+describe("Contract Extension Routes", () => {
+  let app;
+
+  const contract = {
+    id: 12,
+    contract_number: "CTR-2025-0012",
+    status: "active",
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = createRouteTestApp(contractsExtensions, "/api/contracts");
+  });
+
+  describe("GET /api/contracts/:id/service_occurrences", () => {
+    const preview = { contractId: 12, occurrences: [] };
+
+    test("should preview occurrences for the requested window", async () => {
+      GenericEntityService.findById.mockResolvedValue(contract);
+      ContractScheduleService.preview.mockResolvedValue(preview);
+
+      const response = await request(app).get(
+        "/api/contracts/12/service_occurrences?from=2025-06-01&to=2025-09-01",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(preview);
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "contract",
+        12,
+        { policy: "all_records", userId: 1 },
+      );
+      expect(ContractScheduleService.preview).toHaveBeenCalledWith(12, {
+        from: new Date("2025-06-01"),
+        to: new Date("2025-09-01"),
+      });
+    });
+
+    test("should default to a 90 day window", async () => {
+      GenericEntityService.findById.mockResolvedValue(contract);
+      ContractScheduleService.preview.mockResolvedValue(preview);
+
+      await request(app).get("/api/contracts/12/service_occurrences");
+
+      const { from, to } = ContractScheduleService.preview.mock.calls[0][1];
+      expect(to - from).toBe(90 * 24 * 60 * 60 * 1000);
+    });
+
+    test("should return 404 when contract is not visible", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).get(
+        "/api/contracts/12/service_occurrences",
+      );
+
+      expect(response.status).toBe(404);
+      expect(ContractScheduleService.preview).not.toHaveBeenCalled();
+    });
+
+    test("should reject a window over a year", async () => {
+      const response = await request(app).get(
+        "/api/contracts/12/service_occurrences?from=2025-01-01&to=2026-06-01",
+      );
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/contracts/:id/generate_work_orders", () => {
+    test("should generate for the contract and return the summary", async () => {
+      const summary = { created: 2, skipped: 1, workOrderIds: [40, 41] };
+      GenericEntityService.findById.mockResolvedValue(contract);
+      ContractScheduleService.generate.mockResolvedValue(summary);
+
+      const response = await request(app).post(
+        "/api/contracts/12/generate_work_orders",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        data: summary,
+        message: "2 work order(s) generated",
+      });
+      expect(ContractScheduleService.generate).toHaveBeenCalledWith({
+        contractId: 12,
+        auditContext: expect.objectContaining({ userId: 1 }),
+      });
+    });
+
+    test("should return 409 for a contract that is not active", async () => {
+      GenericEntityService.findById.mockResolvedValue({
+        ...contract,
+        status: "expired",
+      });
+
+      const response = await request(app).post(
+        "/api/contracts/12/generate_work_orders",
+      );
+
+      expect(response.status).toBe(409);
+      expect(ContractScheduleService.generate).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 when contract is not visible", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).post(
+        "/api/contracts/12/generate_work_orders",
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Dispatch Routes - Unit Tests
+ *
+ * Tests GET /api/dispatch/board and POST /api/dispatch/move
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const DispatchService = require("../../../services/dispatch-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/dispatch-service", () => ({
+  getBoard: jest.fn(),
+  move: jest.fn(),
+}));
+
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 1, role: "dispatcher" };
+    next();
+  },
+  requireMinimumRole: () => (req, res, next) => next(),
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsPolicy = "all_records";
+    req.rlsUserId = 1;
+    next();
+  },
+}));
+
+const dispatchRoutes = require("../../../routes/dispatch");
+
+describe("Dispatch Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = createRouteTestApp(dispatchRoutes, "/api/dispatch");
+  });
+
+  // ==========================================================================
+  // GET /board
+  // ==========================================================================
+
+  describe("GET /api/dispatch/board", () => {
+    const board = {
+      date: "2025-06-02",
+      technicians: [
+        { id: 7, availability: "available", workOrders: [{ id: 1 }] },
+      ],
+      unassigned: [{ id: 2 }],
+      truncated: false,
+    };
+
+    test("should return the board for the requested day", async () => {
+      DispatchService.getBoard.mockResolvedValue(board);
+
+      const response = await request(app).get(
+        "/api/dispatch/board?date=2025-06-02",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        date: "2025-06-02",
+        technicians: [{ id: 7, workOrders: [{ id: 1 }] }],
+        unassigned: [{ id: 2 }],
+      });
+      expect(DispatchService.getBoard).toHaveBeenCalledWith(
+        new Date("2025-06-02"),
+        {
+          workOrderRlsContext: { policy: "all_records", userId: 1 },
+          technicianRlsContext: { policy: "all_records", userId: 1 },
+        },
+      );
+    });
+
+    test("should default to today", async () => {
+      DispatchService.getBoard.mockResolvedValue(board);
+
+      await request(app).get("/api/dispatch/board");
+
+      const [date] = DispatchService.getBoard.mock.calls[0];
+      expect(Math.abs(Date.now() - date)).toBeLessThan(60 * 1000);
+    });
+
+    test("should reject an unparseable date with 400", async () => {
+      const response = await request(app).get(
+        "/api/dispatch/board?date=someday",
+      );
+
+      expect(response.status).toBe(400);
+      expect(DispatchService.getBoard).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // POST /move
+  // ==========================================================================
+
+  describe("POST /api/dispatch/move", () => {
+    test("should move the work order and return it", async () => {
+      DispatchService.move.mockResolvedValue({
+        id: 42,
+        assigned_technician_id: 7,
+      });
+
+      const response = await request(app).post("/api/dispatch/move").send({
+        work_order_id: 42,
+        assigned_technician_id: 7,
+        scheduled_start: "2025-06-02T13:00:00Z",
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        id: 42,
+        assigned_technician_id: 7,
+      });
+      expect(DispatchService.move).toHaveBeenCalledWith(
+        42,
+        {
+          assigned_technician_id: 7,
+          scheduled_start: new Date("2025-06-02T13:00:00Z"),
+        },
+        expect.objectContaining({
+          force: false,
+          userRole: "dispatcher",
+          rlsContext: { policy: "all_records", userId: 1 },
+          auditContext: expect.objectContaining({ userId: 1 }),
+        }),
+      );
+    });
+
+    test("should pass null through to unassign", async () => {
+      DispatchService.move.mockResolvedValue({ id: 42 });
+
+      await request(app)
+        .post("/api/dispatch/move")
+        .send({ work_order_id: 42, assigned_technician_id: null, force: true });
+
+      const [, changes, options] = DispatchService.move.mock.calls[0];
+      expect(changes).toEqual({ assigned_technician_id: null });
+      expect(options.force).toBe(true);
+    });
+
+    test.each([
+      ["missing work_order_id", { assigned_technician_id: 7 }],
+      ["nothing to move", { work_order_id: 42 }],
+      [
+        "invalid scheduled_start",
+        { work_order_id: 42, scheduled_start: "later" },
+      ],
+    ])("should reject %s with 400", async (_label, body) => {
+      const response = await request(app).post("/api/dispatch/move").send(body);
+
+      expect(response.status).toBe(400);
+      expect(DispatchService.move).not.toHaveBeenCalled();
+    });
+
+    test("should surface schedule conflicts as 409", async () => {
+      DispatchService.move.mockRejectedValue(
+        new AppError("Schedule conflict", 409, "SCHEDULE_CONFLICT"),
+      );
+
+      const response = await request(app)
+        .post("/api/dispatch/move")
+        .send({ work_order_id: 42, assigned_technician_id: 7 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("SCHEDULE_CONFLICT");
+    });
+  });
+});
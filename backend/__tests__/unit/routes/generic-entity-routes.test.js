@@ -18,6 +18,7 @@ const express = require("express");
 const GenericEntityService = require("../../../services/generic-entity-service");
 const auditService = require("../../../services/audit-service");
 const { HTTP_STATUS } = require("../../../config/constants");
+const { hasPermission } = require("../../../config/permissions-loader");
 
 // ============================================================================
 // MOCKS (Hoisted by Jest - BEFORE any requires)
@@ -63,6 +64,10 @@ jest.mock("../../../services/generic-entity-service", () => ({
     searchableFields: ["id"],
     filterableFields: ["id"],
     sortableFields: ["id", "created_at"],
+    // Real relationships: ?include= resolves the related entity's metadata
+    relationships:
+      jest.requireActual("../../../config/models")[entityName]?.relationships ||
+      {},
   })),
 }));
 jest.mock("../../../services/audit-service");
@@ -85,6 +90,12 @@ jest.mock("../../../middleware/auth", () => {
   };
 });
 
+// Real permissions, spied on to deny reading an included entity
+jest.mock("../../../config/permissions-loader", () => {
+  const actual = jest.requireActual("../../../config/permissions-loader");
+  return { ...actual, hasPermission: jest.fn(actual.hasPermission) };
+});
+
 jest.mock("../../../middleware/row-level-security", () => {
   // Unified signature: enforceRLS is a middleware function (no args)
   const rlsMiddleware = (req, res, next) => {
@@ -128,6 +139,12 @@ jest.mock("../../../validators", () => {
     };
     next();
   };
+  const includeMiddleware = (req, res, next) => {
+    if (!req.validated) req.validated = {};
+    const include = req.query.include || req.body?.include;
+    req.validated.include = include ? String(include).split(",") : [];
+    next();
+  };
   const idMiddleware = (req, res, next) => {
     if (!req.validated) req.validated = {};
     req.validated.id = parseInt(req.params.id);
@@ -138,6 +155,8 @@ jest.mock("../../../validators", () => {
     validatePagination: () => paginationMiddleware,
     validateQuery: () => paginationMiddleware,
     validateIdParam: () => idMiddleware,
+    validateInclude: () => includeMiddleware,
+    toSafeBoolean: jest.requireActual("../../../validators").toSafeBoolean,
     // NOTE: Entity-specific validators (validateCustomerCreate, etc.) removed
     // Routes use genericValidateBody middleware, not these validators
   };
@@ -276,7 +295,7 @@ function createTestApp(routePath, router) {
   app.use(routePath, router);
   // Global error handler
   app.use((err, req, res, next) => {
-    res.status(err.status || 500).json({
+    res.status(err.statusCode || err.status || 500).json({
       success: false,
       error: err.message || "Internal Server Error",
     });
@@ -369,6 +388,36 @@ describe.each(ENTITIES)(
         expect(response.body.count).toBe(0);
       });
 
+      test("should keep search rank and readable-field highlights", async () => {
+        // Arrange
+        GenericEntityService.findAll.mockResolvedValue({
+          data: [
+            {
+              ...sampleData,
+              search_rank: 0.6,
+              search_highlights: {
+                id: "<mark>1</mark>",
+                internal_notes: "<mark>1</mark> hidden",
+              },
+            },
+          ],
+          pagination: { page: 1, limit: 50, total: 1, totalPages: 1 },
+          appliedFilters: { search: "1", searchMode: "full_text" },
+          rlsApplied: false,
+        });
+
+        // Act
+        const response = await request(app).get(routePath);
+
+        // Assert
+        expect(response.status).toBe(HTTP_STATUS.OK);
+        expect(response.body.data[0].search_rank).toBe(0.6);
+        expect(response.body.data[0].search_highlights).toEqual({
+          id: "<mark>1</mark>",
+        });
+        expect(response.body.appliedFilters.searchMode).toBe("full_text");
+      });
+
       test("should handle database errors", async () => {
         // Arrange
         GenericEntityService.findAll.mockRejectedValue(
@@ -383,6 +432,36 @@ describe.each(ENTITIES)(
       });
     });
 
+    // ===========================
+    // POST /api/{entity}/search - List with options in the body
+    // ===========================
+    describe(`POST ${routePath}/search`, () => {
+      test("should list like GET and not create", async () => {
+        // Arrange
+        GenericEntityService.findAll.mockResolvedValue({
+          data: [sampleData],
+          pagination: { page: 1, limit: 50, total: 1, totalPages: 1 },
+          appliedFilters: {},
+          rlsApplied: false,
+        });
+
+        // Act
+        const response = await request(app)
+          .post(`${routePath}/search`)
+          .send({ filter: { or: [{ id: 1 }, { id: 2 }] } });
+
+        // Assert
+        expect(response.status).toBe(HTTP_STATUS.OK);
+        expect(response.body.data).toHaveLength(1);
+        expect(GenericEntityService.findAll).toHaveBeenCalledWith(
+          name,
+          expect.objectContaining({ page: 1, limit: 50 }),
+          expect.any(Object),
+        );
+        expect(GenericEntityService.create).not.toHaveBeenCalled();
+      });
+    });
+
     // ===========================
     // GET /api/{entity}/:id - Get by ID
     // ===========================
@@ -401,6 +480,7 @@ describe.each(ENTITIES)(
           name,
           expect.any(Number),
           expect.any(Object),
+          { include: [], includeRls: {} },
         );
       });
 
@@ -452,6 +532,32 @@ describe.each(ENTITIES)(
         );
       });
 
+      test("should pass the caller's role for initial status checks", async () => {
+        // Arrange
+        GenericEntityService.create.mockResolvedValue(sampleData);
+
+        // Act
+        await request(app).post(routePath).send(createData);
+
+        // Assert
+        expect(GenericEntityService.create.mock.calls[0][2]).toMatchObject({
+          userRole: "admin",
+        });
+      });
+
+      test("should pass ?force=true through to the service", async () => {
+        // Arrange
+        GenericEntityService.create.mockResolvedValue(sampleData);
+
+        // Act
+        await request(app).post(`${routePath}?force=true`).send(createData);
+
+        // Assert
+        expect(GenericEntityService.create.mock.calls[0][2]).toMatchObject({
+          force: true,
+        });
+      });
+
       test("should handle database errors during creation", async () => {
         // Arrange
         GenericEntityService.create.mockRejectedValue(
@@ -545,3 +651,98 @@ describe.each(ENTITIES)(
     });
   },
 );
+
+// ============================================================================
+// RELATIONSHIP INCLUDES (?include=)
+// ============================================================================
+
+describe("work_order routes - includes", () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp("/api/work_orders", workOrdersRouter);
+  });
+
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  test("should pass includes with their RLS context and filter included fields", async () => {
+    // Arrange
+    GenericEntityService.findAll.mockResolvedValue({
+      data: [
+        {
+          id: 1,
+          included: {
+            customer: { id: 4, first_name: "Ada", not_a_field: "hidden" },
+            invoices: [{ id: 9, invoice_number: "INV-9", not_a_field: "x" }],
+          },
+        },
+      ],
+      pagination: { page: 1, limit: 50, total: 1, totalPages: 1 },
+      appliedFilters: {},
+      rlsApplied: false,
+    });
+
+    // Act
+    const response = await request(app).get(
+      "/api/work_orders?include=customer,invoices",
+    );
+
+    // Assert
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(GenericEntityService.findAll).toHaveBeenCalledWith(
+      "work_order",
+      expect.objectContaining({
+        include: ["customer", "invoices"],
+        includeRls: {
+          customer: expect.objectContaining({ userId: 1 }),
+          invoices: expect.objectContaining({ userId: 1 }),
+        },
+      }),
+      expect.any(Object),
+    );
+    expect(response.body.data[0].included).toEqual({
+      customer: { id: 4, first_name: "Ada" },
+      invoices: [{ id: 9, invoice_number: "INV-9" }],
+    });
+  });
+
+  test("should include on the detail route", async () => {
+    // Arrange
+    GenericEntityService.findById.mockResolvedValue({
+      id: 1,
+      included: { assignedTechnician: null },
+    });
+
+    // Act
+    const response = await request(app).get(
+      "/api/work_orders/1?include=assignedTechnician",
+    );
+
+    // Assert
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(GenericEntityService.findById).toHaveBeenCalledWith(
+      "work_order",
+      1,
+      expect.any(Object),
+      expect.objectContaining({ include: ["assignedTechnician"] }),
+    );
+    expect(response.body.data.included).toEqual({ assignedTechnician: null });
+  });
+
+  test("should return 403 when the role cannot read an included entity", async () => {
+    // Arrange
+    hasPermission.mockReturnValueOnce(false);
+
+    // Act
+    const response = await request(app).get(
+      "/api/work_orders?include=invoices",
+    );
+
+    // Assert
+    expect(response.status).toBe(403);
+    expect(response.body.error).toContain("include invoices");
+    expect(GenericEntityService.findAll).not.toHaveBeenCalled();
+  });
+});
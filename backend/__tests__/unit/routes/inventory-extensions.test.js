@@ -0,0 +1,283 @@
+/**
+ * Inventory Extensions Routes - Unit Tests
+ *
+ * Tests GET /api/inventory/reorder-report and the stock ledger endpoints
+ * (GET /:id/stock, POST /:id/receive, /:id/adjust, /:id/transfer)
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const InventoryService = require("../../../services/inventory-service");
+const StockMovementService = require("../../../services/stock-movement-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/inventory-service", () => ({
+  getReorderReport: jest.fn(),
+}));
+jest.mock("../../../services/stock-movement-service", () => ({
+  getStockLevels: jest.fn(),
+  receive: jest.fn(),
+  adjust: jest.fn(),
+  transfer: jest.fn(),
+}));
+
+// Role under test (per-test override)
+let mockRole = "dispatcher";
+
+jest.mock("../../../middleware/auth", () => {
+  const { hasMinimumRole } = jest.requireActual(
+    "../../../config/permissions-loader",
+  );
+  return {
+    authenticateToken: (req, res, next) => {
+      req.dbUser = { id: 1, role: mockRole };
+      next();
+    },
+    requireMinimumRole: (role) => (req, res, next) =>
+      hasMinimumRole(req.dbUser.role, role)
+        ? next()
+        : res.status(403).json({ success: false, error: "Forbidden" }),
+    requirePermission: () => (req, res, next) => next(),
+  };
+});
+
+const inventoryExtensions = require("../../../routes/inventory-extensions");
+
+describe("Inventory Extensions Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = "dispatcher";
+
+    app = createRouteTestApp(inventoryExtensions, "/api/inventory");
+  });
+
+  // ==========================================================================
+  // GET /reorder-report
+  // ==========================================================================
+
+  describe("GET /api/inventory/reorder-report", () => {
+    const report = {
+      suppliers: [
+        {
+          supplier: "Acme Supply",
+          itemCount: 1,
+          totalShortfall: 6,
+          items: [{ id: 7, sku: "FLT-20X25", quantity: 4, shortfall: 6 }],
+        },
+      ],
+      totalItems: 1,
+    };
+
+    test("should return the report grouped by supplier", async () => {
+      InventoryService.getReorderReport.mockResolvedValue(report);
+
+      const response = await request(app).get("/api/inventory/reorder-report");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(report);
+      expect(InventoryService.getReorderReport).toHaveBeenCalledTimes(1);
+    });
+
+    test("should return 403 below dispatcher", async () => {
+      mockRole = "technician";
+
+      const response = await request(app).get("/api/inventory/reorder-report");
+
+      expect(response.status).toBe(403);
+      expect(InventoryService.getReorderReport).not.toHaveBeenCalled();
+    });
+
+    test("should surface service failures through the error handler", async () => {
+      InventoryService.getReorderReport.mockRejectedValue(new Error("boom"));
+
+      const response = await request(app).get("/api/inventory/reorder-report");
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  // ==========================================================================
+  // STOCK LEDGER
+  // ==========================================================================
+
+  const movementResult = {
+    movement: { id: 80, movement_type: "transfer", quantity: 3 },
+    inventory: { id: 7, sku: "FLT-20X25", quantity: 5, status: "in_stock" },
+  };
+
+  describe("GET /api/inventory/:id/stock", () => {
+    test("should return per-location stock for technicians", async () => {
+      mockRole = "technician";
+      const levels = {
+        inventory: { id: 7, quantity: 5 },
+        locations: [{ location_id: 1, name: "Main Warehouse", quantity: 5 }],
+      };
+      StockMovementService.getStockLevels.mockResolvedValue(levels);
+
+      const response = await request(app).get("/api/inventory/7/stock");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(levels);
+      expect(StockMovementService.getStockLevels).toHaveBeenCalledWith(7);
+    });
+
+    test("should reject a non-numeric id", async () => {
+      const response = await request(app).get("/api/inventory/abc/stock");
+
+      expect(response.status).toBe(400);
+      expect(StockMovementService.getStockLevels).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/inventory/:id/transfer", () => {
+    const body = { from_location_id: 1, to_location_id: 4, quantity: 3 };
+
+    test("should transfer and return 201 with the movement", async () => {
+      StockMovementService.transfer.mockResolvedValue(movementResult);
+
+      const response = await request(app)
+        .post("/api/inventory/7/transfer")
+        .send({ ...body, reason: "Restock truck" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual(movementResult);
+      expect(StockMovementService.transfer).toHaveBeenCalledWith(
+        7,
+        { ...body, reason: "Restock truck" },
+        { auditContext: expect.objectContaining({ userId: 1 }) },
+      );
+    });
+
+    test("should reject the same location on both sides", async () => {
+      const response = await request(app)
+        .post("/api/inventory/7/transfer")
+        .send({ ...body, to_location_id: 1 });
+
+      expect(response.status).toBe(400);
+      expect(StockMovementService.transfer).not.toHaveBeenCalled();
+    });
+
+    test("should reject a missing quantity", async () => {
+      const response = await request(app)
+        .post("/api/inventory/7/transfer")
+        .send({ from_location_id: 1, to_location_id: 4 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should return 403 below dispatcher", async () => {
+      mockRole = "technician";
+
+      const response = await request(app)
+        .post("/api/inventory/7/transfer")
+        .send(body);
+
+      expect(response.status).toBe(403);
+      expect(StockMovementService.transfer).not.toHaveBeenCalled();
+    });
+
+    test("should surface 409 INSUFFICIENT_STOCK from the service", async () => {
+      StockMovementService.transfer.mockRejectedValue(
+        new AppError("Insufficient stock", 409, "INSUFFICIENT_STOCK"),
+      );
+
+      const response = await request(app)
+        .post("/api/inventory/7/transfer")
+        .send(body);
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("INSUFFICIENT_STOCK");
+    });
+  });
+
+  describe("POST /api/inventory/:id/receive", () => {
+    test("should receive stock into the default location", async () => {
+      StockMovementService.receive.mockResolvedValue(movementResult);
+
+      const response = await request(app)
+        .post("/api/inventory/7/receive")
+        .send({ quantity: 20 });
+
+      expect(response.status).toBe(201);
+      expect(StockMovementService.receive).toHaveBeenCalledWith(
+        7,
+        { quantity: 20 },
+        expect.any(Object),
+      );
+    });
+
+    test("should reject a zero quantity", async () => {
+      const response = await request(app)
+        .post("/api/inventory/7/receive")
+        .send({ quantity: 0 });
+
+      expect(response.status).toBe(400);
+      expect(StockMovementService.receive).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/inventory/:id/adjust", () => {
+    test("should record an adjustment with its reason", async () => {
+      StockMovementService.adjust.mockResolvedValue(movementResult);
+      const body = { location_id: 4, quantity_change: -2, reason: "Damaged" };
+
+      const response = await request(app)
+        .post("/api/inventory/7/adjust")
+        .send(body);
+
+      expect(response.status).toBe(201);
+      expect(StockMovementService.adjust).toHaveBeenCalledWith(
+        7,
+        body,
+        expect.any(Object),
+      );
+    });
+
+    test("should require a reason", async () => {
+      const response = await request(app)
+        .post("/api/inventory/7/adjust")
+        .send({ location_id: 4, quantity_change: -2 });
+
+      expect(response.status).toBe(400);
+      expect(StockMovementService.adjust).not.toHaveBeenCalled();
+    });
+
+    test("should reject a zero change", async () => {
+      const response = await request(app)
+        .post("/api/inventory/7/adjust")
+        .send({ location_id: 4, quantity_change: 0, reason: "Count" });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Invoice Line Items Routes - Unit Tests
+ *
+ * Tests GET/POST /api/invoices/:id/line_items
+ * and PATCH/DELETE /api/invoices/:id/line_items/:lineItemId
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const InvoiceService = require("../../../services/invoice-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/invoice-service", () => ({
+  listLineItems: jest.fn(),
+  addLineItem: jest.fn(),
+  updateLineItem: jest.fn(),
+  removeLineItem: jest.fn(),
+}));
+
+// Role under test (per-test override)
+let mockRole = "dispatcher";
+let mockCanUpdateParent = true;
+
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 1, role: mockRole };
+    req.permissions = {
+      hasPermission: (resource, operation) =>
+        operation === "read" || mockCanUpdateParent,
+    };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const invoiceLineItemsRoutes = require("../../../routes/invoice-line-items");
+
+describe("Invoice Line Items Routes", () => {
+  let app;
+
+  const line = {
+    id: 3,
+    invoice_id: 70,
+    description: "Call-out fee",
+    quantity: "1.00",
+    unit_price: "45.00",
+    tax_code: "standard",
+    amount: "45.00",
+    tax: "3.60",
+  };
+  const invoice = {
+    id: 70,
+    status: "draft",
+    amount: "45.00",
+    tax: "3.60",
+    total: "48.60",
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = "dispatcher";
+    mockCanUpdateParent = true;
+    GenericEntityService.findById.mockResolvedValue({ id: 70 });
+
+    app = createRouteTestApp(
+      invoiceLineItemsRoutes,
+      "/api/invoices/:id/line_items",
+    );
+  });
+
+  // ==========================================================================
+  // GET /
+  // ==========================================================================
+
+  describe("GET /api/invoices/:id/line_items", () => {
+    test("should list the invoice's lines", async () => {
+      InvoiceService.listLineItems.mockResolvedValue({
+        data: [line],
+        pagination: { page: 1, limit: 50, total: 1 },
+      });
+
+      const response = await request(app).get("/api/invoices/70/line_items");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({ id: 3, amount: "45.00" });
+      expect(InvoiceService.listLineItems).toHaveBeenCalledWith(
+        70,
+        expect.objectContaining({ page: 1 }),
+      );
+    });
+
+    test("should check the invoice under the caller's RLS", async () => {
+      mockRole = "customer";
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).get("/api/invoices/70/line_items");
+
+      expect(response.status).toBe(404);
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "invoice",
+        70,
+        { policy: "own_invoices_only", userId: 1 },
+      );
+      expect(InvoiceService.listLineItems).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // POST /
+  // ==========================================================================
+
+  describe("POST /api/invoices/:id/line_items", () => {
+    test("should add the line and return the new totals", async () => {
+      InvoiceService.addLineItem.mockResolvedValue({
+        line_item: line,
+        invoice,
+      });
+
+      const response = await request(app)
+        .post("/api/invoices/70/line_items")
+        .send({
+          description: "Call-out fee",
+          quantity: 1,
+          unit_price: 45,
+          amount: 999,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.invoice.total).toBe("48.60");
+      // Computed fields from the client are stripped
+      expect(InvoiceService.addLineItem).toHaveBeenCalledWith(
+        70,
+        { description: "Call-out fee", quantity: 1, unit_price: 45 },
+        { auditContext: expect.objectContaining({ userId: 1 }) },
+      );
+    });
+
+    test.each([
+      ["missing description", { quantity: 1, unit_price: 45 }],
+      ["zero quantity", { description: "Fee", quantity: 0, unit_price: 45 }],
+      ["negative price", { description: "Fee", quantity: 1, unit_price: -1 }],
+    ])("should reject %s with 400", async (_label, body) => {
+      const response = await request(app)
+        .post("/api/invoices/70/line_items")
+        .send(body);
+
+      expect(response.status).toBe(400);
+      expect(InvoiceService.addLineItem).not.toHaveBeenCalled();
+    });
+
+    test("should return 403 without update permission on the invoice", async () => {
+      mockCanUpdateParent = false;
+
+      const response = await request(app)
+        .post("/api/invoices/70/line_items")
+        .send({ description: "Fee", quantity: 1, unit_price: 45 });
+
+      expect(response.status).toBe(403);
+      expect(InvoiceService.addLineItem).not.toHaveBeenCalled();
+    });
+
+    test("should surface a non-draft invoice as 409", async () => {
+      InvoiceService.addLineItem.mockRejectedValue(
+        new AppError("Invoice is sent", 409, "INVOICE_NOT_DRAFT"),
+      );
+
+      const response = await request(app)
+        .post("/api/invoices/70/line_items")
+        .send({ description: "Fee", quantity: 1, unit_price: 45 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("INVOICE_NOT_DRAFT");
+    });
+  });
+
+  // ==========================================================================
+  // PATCH /:lineItemId
+  // ==========================================================================
+
+  describe("PATCH /api/invoices/:id/line_items/:lineItemId", () => {
+    test("should update the line and return the new totals", async () => {
+      InvoiceService.updateLineItem.mockResolvedValue({
+        line_item: { ...line, quantity: "2.00" },
+        invoice,
+      });
+
+      const response = await request(app)
+        .patch("/api/invoices/70/line_items/3")
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.line_item.quantity).toBe("2.00");
+      expect(InvoiceService.updateLineItem).toHaveBeenCalledWith(
+        70,
+        3,
+        { quantity: 2 },
+        { auditContext: expect.objectContaining({ userId: 1 }) },
+      );
+    });
+
+    test("should reject an empty body with 400", async () => {
+      const response = await request(app)
+        .patch("/api/invoices/70/line_items/3")
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(InvoiceService.updateLineItem).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // DELETE /:lineItemId
+  // ==========================================================================
+
+  describe("DELETE /api/invoices/:id/line_items/:lineItemId", () => {
+    test("should remove the line and return the new totals", async () => {
+      InvoiceService.removeLineItem.mockResolvedValue({
+        line_item: line,
+        invoice,
+      });
+
+      const response = await request(app).delete(
+        "/api/invoices/70/line_items/3",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        deleted: true,
+        invoice: { total: "48.60" },
+      });
+      expect(InvoiceService.removeLineItem).toHaveBeenCalledWith(70, 3, {
+        auditContext: expect.objectContaining({ userId: 1 }),
+      });
+    });
+
+    test("should reject an invalid lineItemId with 400", async () => {
+      const response = await request(app).delete(
+        "/api/invoices/70/line_items/abc",
+      );
+
+      expect(response.status).toBe(400);
+      expect(InvoiceService.removeLineItem).not.toHaveBeenCalled();
+    });
+  });
+});
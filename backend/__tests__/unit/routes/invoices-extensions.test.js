@@ -0,0 +1,209 @@
+/**
+ * Invoices Extensions Routes - Unit Tests
+ *
+ * Tests POST /api/invoices/:id/payments, /:id/refunds and
+ * /:id/payments/:paymentId/reverse
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const PaymentService = require("../../../services/payment-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/payment-service", () => ({
+  recordPayment: jest.fn(),
+  refund: jest.fn(),
+  reverse: jest.fn(),
+}));
+
+// Role under test (per-test override)
+let mockRole = "manager";
+
+jest.mock("../../../middleware/auth", () => {
+  const { hasMinimumRole } = jest.requireActual(
+    "../../../config/permissions-loader",
+  );
+  return {
+    authenticateToken: (req, res, next) => {
+      req.dbUser = { id: 1, role: mockRole };
+      next();
+    },
+    requireMinimumRole: (role) => (req, res, next) =>
+      hasMinimumRole(req.dbUser.role, role)
+        ? next()
+        : res.status(403).json({ success: false, error: "Forbidden" }),
+    requirePermission: () => (req, res, next) => next(),
+  };
+});
+
+const invoicesExtensions = require("../../../routes/invoices-extensions");
+
+describe("Invoices Extensions Routes", () => {
+  let app;
+
+  const result = {
+    payment: { id: 500, invoice_id: 70, amount: "200.00" },
+    invoice: { id: 70, status: "sent", balance: "448.00" },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = "manager";
+
+    app = createRouteTestApp(invoicesExtensions, "/api/invoices");
+  });
+
+  describe("POST /api/invoices/:id/payments", () => {
+    test("should record the payment and return the invoice after it", async () => {
+      mockRole = "dispatcher";
+      PaymentService.recordPayment.mockResolvedValue(result);
+
+      const response = await request(app)
+        .post("/api/invoices/70/payments")
+        .send({ amount: 200, method: "check", reference: "1042" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual(result);
+      expect(PaymentService.recordPayment).toHaveBeenCalledWith(
+        70,
+        { amount: 200, method: "check", reference: "1042" },
+        { auditContext: expect.objectContaining({ userId: 1 }) },
+      );
+    });
+
+    test.each([
+      ["a zero amount", { amount: 0, method: "cash" }],
+      ["a missing method", { amount: 10 }],
+      ["an unknown method", { amount: 10, method: "barter" }],
+      [
+        "a future received_at",
+        { amount: 10, method: "cash", received_at: "2999-01-01T00:00:00Z" },
+      ],
+    ])("should reject %s", async (label, body) => {
+      const response = await request(app)
+        .post("/api/invoices/70/payments")
+        .send(body);
+
+      expect(response.status).toBe(400);
+      expect(PaymentService.recordPayment).not.toHaveBeenCalled();
+    });
+
+    test("should surface an overpayment from the service", async () => {
+      PaymentService.recordPayment.mockRejectedValue(
+        new AppError("Payment is more than owed", 409, "OVERPAYMENT"),
+      );
+
+      const response = await request(app)
+        .post("/api/invoices/70/payments")
+        .send({ amount: 1000, method: "cash" });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("OVERPAYMENT");
+    });
+
+    test("should return 403 below dispatcher", async () => {
+      mockRole = "technician";
+
+      const response = await request(app)
+        .post("/api/invoices/70/payments")
+        .send({ amount: 10, method: "cash" });
+
+      expect(response.status).toBe(403);
+      expect(PaymentService.recordPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/invoices/:id/refunds", () => {
+    test("should record the refund", async () => {
+      PaymentService.refund.mockResolvedValue(result);
+
+      const response = await request(app)
+        .post("/api/invoices/70/refunds")
+        .send({ amount: 48, method: "card", notes: "Goodwill" });
+
+      expect(response.status).toBe(201);
+      expect(PaymentService.refund).toHaveBeenCalledWith(
+        70,
+        { amount: 48, method: "card", notes: "Goodwill" },
+        { auditContext: expect.objectContaining({ userId: 1 }) },
+      );
+    });
+
+    test("should return 403 below manager", async () => {
+      mockRole = "dispatcher";
+
+      const response = await request(app)
+        .post("/api/invoices/70/refunds")
+        .send({ amount: 48, method: "card" });
+
+      expect(response.status).toBe(403);
+      expect(PaymentService.refund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/invoices/:id/payments/:paymentId/reverse", () => {
+    test("should reverse the payment", async () => {
+      PaymentService.reverse.mockResolvedValue(result);
+
+      const response = await request(app)
+        .post("/api/invoices/70/payments/41/reverse")
+        .send({ notes: "Check returned NSF" });
+
+      expect(response.status).toBe(201);
+      expect(PaymentService.reverse).toHaveBeenCalledWith(
+        70,
+        41,
+        { notes: "Check returned NSF" },
+        { auditContext: expect.objectContaining({ userId: 1 }) },
+      );
+    });
+
+    test("should reject an invalid payment id", async () => {
+      const response = await request(app)
+        .post("/api/invoices/70/payments/abc/reverse")
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(PaymentService.reverse).not.toHaveBeenCalled();
+    });
+
+    test("should return 403 below manager", async () => {
+      mockRole = "dispatcher";
+
+      const response = await request(app)
+        .post("/api/invoices/70/payments/41/reverse")
+        .send({});
+
+      expect(response.status).toBe(403);
+      expect(PaymentService.reverse).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Background Job Routes - Unit Tests
+ *
+ * Tests GET /api/jobs/:id
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const JobQueueService = require("../../../services/job-queue-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/job-queue-service", () => ({
+  getForUser: jest.fn(),
+}));
+
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 7, role: "customer" };
+    next();
+  },
+}));
+
+const jobsRoutes = require("../../../routes/jobs");
+
+describe("Background Job Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = createRouteTestApp(jobsRoutes, "/api/jobs");
+  });
+
+  describe("GET /api/jobs/:id", () => {
+    test("should return the job for its submitter", async () => {
+      const job = { id: 31, status: "running", progress: 40 };
+      JobQueueService.getForUser.mockResolvedValue(job);
+
+      const response = await request(app).get("/api/jobs/31");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(job);
+      expect(JobQueueService.getForUser).toHaveBeenCalledWith(31, 7);
+    });
+
+    test("should return 404 for someone else's job", async () => {
+      JobQueueService.getForUser.mockRejectedValue(
+        new AppError("Job not found", 404, "NOT_FOUND"),
+      );
+
+      const response = await request(app).get("/api/jobs/32");
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should reject an invalid id", async () => {
+      const response = await request(app).get("/api/jobs/abc");
+
+      expect(response.status).toBe(400);
+      expect(JobQueueService.getForUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Notifications Extensions Routes - Unit Tests
+ *
+ * Tests POST /api/notifications/mark-read, POST /api/notifications/broadcast
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const NotificationInboxService = require("../../../services/notification-inbox-service");
+const JobQueueService = require("../../../services/job-queue-service");
+const { requireMinimumRole } = require("../../../middleware/auth");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/notification-inbox-service", () => ({
+  markRead: jest.fn(),
+}));
+
+jest.mock("../../../services/job-queue-service", () => ({
+  enqueue: jest.fn(),
+  toStatus: jest.fn((job) => ({
+    id: job.id,
+    type: job.type,
+    status: "queued",
+  })),
+}));
+
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 7, role: "customer" };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+  requireMinimumRole: jest.fn(() => (req, res, next) => next()),
+}));
+
+const notificationsExtensions = require("../../../routes/notifications-extensions");
+
+// Captured before beforeEach clears mock calls
+const minimumRoles = requireMinimumRole.mock.calls.map(([role]) => role);
+
+describe("Notifications Extensions Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = createRouteTestApp(notificationsExtensions, "/api/notifications");
+  });
+
+  describe("POST /api/notifications/mark-read", () => {
+    test("should mark the caller's group read", async () => {
+      NotificationInboxService.markRead.mockResolvedValue(4);
+
+      const response = await request(app)
+        .post("/api/notifications/mark-read")
+        .send({ resource_type: "work_order", type: "assignment" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ updated: 4 });
+      expect(NotificationInboxService.markRead).toHaveBeenCalledWith(7, {
+        resourceType: "work_order",
+        type: "assignment",
+      });
+    });
+
+    test("should mark everything read without filters", async () => {
+      NotificationInboxService.markRead.mockResolvedValue(12);
+
+      const response = await request(app).post("/api/notifications/mark-read");
+
+      expect(response.status).toBe(200);
+      expect(NotificationInboxService.markRead).toHaveBeenCalledWith(7, {
+        resourceType: undefined,
+        type: undefined,
+      });
+    });
+
+    test("should reject an unknown type", async () => {
+      const response = await request(app)
+        .post("/api/notifications/mark-read")
+        .send({ type: "spam" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain("Type must be one of");
+      expect(NotificationInboxService.markRead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/notifications/broadcast", () => {
+    beforeEach(() => {
+      JobQueueService.enqueue.mockResolvedValue({
+        id: 55,
+        type: "notification.fan-out",
+      });
+    });
+
+    test("should be limited to managers and above", () => {
+      expect(minimumRoles).toEqual(["manager"]);
+    });
+
+    test("should queue a fan-out to a role and answer 202", async () => {
+      const response = await request(app)
+        .post("/api/notifications/broadcast")
+        .send({ role: "technician", title: "Yard closed Friday" });
+
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe("/api/jobs/55");
+      expect(response.body.data).toEqual({
+        id: 55,
+        type: "notification.fan-out",
+        status: "queued",
+      });
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "notification.fan-out",
+        {
+          role: "technician",
+          notification: {
+            title: "Yard closed Friday",
+            body: undefined,
+            type: undefined,
+            exceptUserId: 7,
+          },
+        },
+        { submittedBy: 7 },
+      );
+    });
+
+    test("should queue a fan-out to a customer's portal users", async () => {
+      const response = await request(app)
+        .post("/api/notifications/broadcast")
+        .send({
+          customer_id: 3,
+          title: "Service window moved",
+          body: "We will arrive after 10:00",
+          type: "warning",
+        });
+
+      expect(response.status).toBe(202);
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "notification.fan-out",
+        {
+          customerId: 3,
+          notification: {
+            title: "Service window moved",
+            body: "We will arrive after 10:00",
+            type: "warning",
+            exceptUserId: 7,
+          },
+        },
+        { submittedBy: 7 },
+      );
+    });
+
+    test("should require either a role or a customer", async () => {
+      const response = await request(app)
+        .post("/api/notifications/broadcast")
+        .send({ title: "Hello" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain(
+        "Either role or customer_id is required",
+      );
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test("should reject both a role and a customer", async () => {
+      const response = await request(app)
+        .post("/api/notifications/broadcast")
+        .send({ role: "technician", customer_id: 3, title: "Hello" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain(
+        "Give either role or customer_id, not both",
+      );
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test("should reject an unknown role and a missing title", async () => {
+      const unknownRole = await request(app)
+        .post("/api/notifications/broadcast")
+        .send({ role: "everyone", title: "Hello" });
+      const noTitle = await request(app)
+        .post("/api/notifications/broadcast")
+        .send({ role: "technician" });
+
+      expect(unknownRole.status).toBe(400);
+      expect(noTitle.status).toBe(400);
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+});
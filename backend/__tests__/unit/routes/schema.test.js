@@ -156,6 +156,47 @@ describe("Schema Routes", () => {
       );
     });
 
+    test("should include status transitions filtered by caller role", async () => {
+      // Arrange
+      authenticateToken.mockImplementation((req, res, next) => {
+        req.dbUser = { id: 1, role: "dispatcher" };
+        next();
+      });
+      SchemaIntrospectionService.getTableSchema.mockResolvedValue({
+        tableName: "work_orders",
+        columns: [],
+      });
+
+      // Act
+      const response = await request(app).get("/api/schema/work_orders");
+
+      // Assert
+      expect(response.status).toBe(200);
+      const { statusTransitions } = response.body.data;
+      expect(statusTransitions.field).toBe("status");
+      expect(statusTransitions.states.pending.map((t) => t.to)).toEqual([
+        "assigned",
+        "cancelled",
+      ]);
+      // Manager-only reopen is hidden from dispatchers
+      expect(statusTransitions.states.completed).toEqual([]);
+    });
+
+    test("should omit status transitions for entities without a state machine", async () => {
+      // Arrange
+      SchemaIntrospectionService.getTableSchema.mockResolvedValue({
+        tableName: "customers",
+        columns: [],
+      });
+
+      // Act
+      const response = await request(app).get("/api/schema/customers");
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data.statusTransitions).toBeUndefined();
+    });
+
     test("should return 404 for non-existent table", async () => {
       // Arrange
       SchemaIntrospectionService.getTableSchema.mockRejectedValue(
@@ -0,0 +1,156 @@
+/**
+ * Technician Extension Routes - Unit Tests
+ *
+ * Tests GET /api/technicians/:id/schedule
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const TechnicianScheduleService = require("../../../services/technician-schedule-service");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/technician-schedule-service", () => ({
+  getSchedule: jest.fn(),
+}));
+
+// Role under test - read by the mocked authenticateToken
+let mockRole = "dispatcher";
+
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 1, role: mockRole };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsPolicy = "all_records";
+    req.rlsUserId = 1;
+    next();
+  },
+}));
+
+const techniciansExtensions = require("../../../routes/technicians-extensions");
+
+describe("Technician Extension Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = "dispatcher";
+
+    app = createRouteTestApp(techniciansExtensions, "/api/technicians");
+  });
+
+  describe("GET /api/technicians/:id/schedule", () => {
+    const technician = { id: 7, first_name: "Ada" };
+    const schedule = { technicianId: 7, booked: [], free: [] };
+
+    test("should return the schedule for the requested window", async () => {
+      GenericEntityService.findById.mockResolvedValue(technician);
+      TechnicianScheduleService.getSchedule.mockResolvedValue(schedule);
+
+      const response = await request(app).get(
+        "/api/technicians/7/schedule?from=2025-06-02T00:00:00Z&to=2025-06-03T00:00:00Z",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, data: schedule });
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "technician",
+        7,
+        { policy: "all_records", userId: 1 },
+      );
+      expect(TechnicianScheduleService.getSchedule).toHaveBeenCalledWith(7, {
+        from: new Date("2025-06-02T00:00:00Z"),
+        to: new Date("2025-06-03T00:00:00Z"),
+        rlsContext: { policy: "all_records", userId: 1 },
+      });
+    });
+
+    test("should default to a 7 day window from now", async () => {
+      GenericEntityService.findById.mockResolvedValue(technician);
+      TechnicianScheduleService.getSchedule.mockResolvedValue(schedule);
+
+      await request(app).get("/api/technicians/7/schedule");
+
+      const { from, to } =
+        TechnicianScheduleService.getSchedule.mock.calls[0][1];
+      expect(to - from).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+
+    test("should use the caller's work_orders RLS rule for visibility", async () => {
+      mockRole = "customer";
+      GenericEntityService.findById.mockResolvedValue(technician);
+      TechnicianScheduleService.getSchedule.mockResolvedValue(schedule);
+
+      await request(app).get("/api/technicians/7/schedule");
+
+      expect(
+        TechnicianScheduleService.getSchedule.mock.calls[0][1].rlsContext,
+      ).toEqual({ policy: "own_work_orders_only", userId: 1 });
+    });
+
+    test("should return 404 when technician is not visible", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).get("/api/technicians/99/schedule");
+
+      expect(response.status).toBe(404);
+      expect(TechnicianScheduleService.getSchedule).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ["to before from", "from=2025-06-03T00:00:00Z&to=2025-06-02T00:00:00Z"],
+      ["unparseable date", "from=tomorrow"],
+      [
+        "range over 90 days",
+        "from=2025-01-01T00:00:00Z&to=2025-06-01T00:00:00Z",
+      ],
+    ])("should reject %s with 400", async (_label, query) => {
+      const response = await request(app).get(
+        `/api/technicians/7/schedule?${query}`,
+      );
+
+      expect(response.status).toBe(400);
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+    });
+
+    test("should reject invalid id", async () => {
+      const response = await request(app).get("/api/technicians/abc/schedule");
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Time Entries Extensions Routes - Unit Tests
+ *
+ * Tests GET /api/time_entries/timesheet
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const TimeEntryService = require("../../../services/time-entry-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/time-entry-service", () => ({
+  getTimesheet: jest.fn(),
+}));
+
+// Role under test (per-test override)
+let mockRole = "dispatcher";
+
+jest.mock("../../../middleware/auth", () => {
+  const { hasMinimumRole } = jest.requireActual(
+    "../../../config/permissions-loader",
+  );
+  return {
+    authenticateToken: (req, res, next) => {
+      req.dbUser = { id: 1, role: mockRole };
+      next();
+    },
+    requireMinimumRole: (role) => (req, res, next) =>
+      hasMinimumRole(req.dbUser.role, role)
+        ? next()
+        : res.status(403).json({ success: false, error: "Forbidden" }),
+    requirePermission: () => (req, res, next) => next(),
+  };
+});
+
+const timeEntriesExtensions = require("../../../routes/time-entries-extensions");
+
+describe("Time Entries Extensions Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = "dispatcher";
+
+    app = createRouteTestApp(timeEntriesExtensions, "/api/time_entries");
+  });
+
+  describe("GET /api/time_entries/timesheet", () => {
+    const timesheet = {
+      period: "week",
+      rows: [{ technician_id: 12, worked_minutes: 450 }],
+      totals: { entries: 3, worked_minutes: 450 },
+    };
+
+    test("should default to the past week grouped by week", async () => {
+      TimeEntryService.getTimesheet.mockResolvedValue(timesheet);
+
+      const response = await request(app).get("/api/time_entries/timesheet");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(timesheet);
+
+      const { from, to, period, technicianId } =
+        TimeEntryService.getTimesheet.mock.calls[0][0];
+      expect(period).toBe("week");
+      expect(technicianId).toBeNull();
+      expect(to.getTime()).toBeLessThanOrEqual(Date.now());
+      expect(to - from).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+
+    test("should pass window, period and technician through", async () => {
+      TimeEntryService.getTimesheet.mockResolvedValue(timesheet);
+
+      await request(app).get(
+        "/api/time_entries/timesheet?from=2026-09-01T00:00:00Z&to=2026-10-01T00:00:00Z&period=day&technician_id=12",
+      );
+
+      expect(TimeEntryService.getTimesheet).toHaveBeenCalledWith({
+        from: new Date("2026-09-01T00:00:00Z"),
+        to: new Date("2026-10-01T00:00:00Z"),
+        period: "day",
+        technicianId: 12,
+      });
+    });
+
+    test("should reject a window longer than 93 days", async () => {
+      const response = await request(app).get(
+        "/api/time_entries/timesheet?from=2026-01-01T00:00:00Z&to=2026-06-01T00:00:00Z",
+      );
+
+      expect(response.status).toBe(400);
+      expect(TimeEntryService.getTimesheet).not.toHaveBeenCalled();
+    });
+
+    test("should reject an invalid technician_id", async () => {
+      const response = await request(app).get(
+        "/api/time_entries/timesheet?technician_id=abc",
+      );
+
+      expect(response.status).toBe(400);
+      expect(TimeEntryService.getTimesheet).not.toHaveBeenCalled();
+    });
+
+    test("should surface an unsupported period from the service", async () => {
+      TimeEntryService.getTimesheet.mockRejectedValue(
+        new AppError(
+          "period must be one of: day, week, month",
+          400,
+          "BAD_REQUEST",
+        ),
+      );
+
+      const response = await request(app).get(
+        "/api/time_entries/timesheet?period=year",
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe("BAD_REQUEST");
+    });
+
+    test("should return 403 below dispatcher", async () => {
+      mockRole = "technician";
+
+      const response = await request(app).get("/api/time_entries/timesheet");
+
+      expect(response.status).toBe(403);
+      expect(TimeEntryService.getTimesheet).not.toHaveBeenCalled();
+    });
+  });
+});
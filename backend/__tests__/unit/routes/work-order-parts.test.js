@@ -0,0 +1,237 @@
+/**
+ * Work Order Parts Routes - Unit Tests
+ *
+ * Tests GET/POST /api/work_orders/:id/parts
+ * and DELETE /api/work_orders/:id/parts/:partId
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const WorkOrderPartService = require("../../../services/work-order-part-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/work-order-part-service", () => ({
+  listForWorkOrder: jest.fn(),
+  addPart: jest.fn(),
+  removePart: jest.fn(),
+}));
+
+// Role under test (per-test override)
+let mockRole = "technician";
+let mockCanUpdateParent = true;
+
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 1, role: mockRole };
+    req.permissions = {
+      hasPermission: (resource, operation) =>
+        operation === "read" || mockCanUpdateParent,
+    };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const workOrderPartsRoutes = require("../../../routes/work-order-parts");
+
+describe("Work Order Parts Routes", () => {
+  let app;
+
+  const line = {
+    id: 30,
+    work_order_id: 42,
+    inventory_id: 7,
+    quantity: 2,
+    unit_cost: "12.50",
+    stock_override: false,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = "technician";
+    mockCanUpdateParent = true;
+    GenericEntityService.findById.mockResolvedValue({ id: 42 });
+
+    app = createRouteTestApp(
+      workOrderPartsRoutes,
+      "/api/work_orders/:id/parts",
+    );
+  });
+
+  // ==========================================================================
+  // GET /
+  // ==========================================================================
+
+  describe("GET /api/work_orders/:id/parts", () => {
+    test("should list the lines without unit_cost below manager", async () => {
+      WorkOrderPartService.listForWorkOrder.mockResolvedValue({
+        data: [line],
+        pagination: { page: 1, limit: 50, total: 1 },
+      });
+
+      const response = await request(app).get("/api/work_orders/42/parts");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({ id: 30, quantity: 2 });
+      expect(response.body.data[0]).not.toHaveProperty("unit_cost");
+      expect(WorkOrderPartService.listForWorkOrder).toHaveBeenCalledWith(
+        42,
+        expect.objectContaining({ page: 1 }),
+      );
+    });
+
+    test("should include unit_cost for managers", async () => {
+      mockRole = "manager";
+      WorkOrderPartService.listForWorkOrder.mockResolvedValue({
+        data: [line],
+        pagination: {},
+      });
+
+      const response = await request(app).get("/api/work_orders/42/parts");
+
+      expect(response.body.data[0].unit_cost).toBe("12.50");
+    });
+
+    test("should check the work order under the caller's RLS", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).get("/api/work_orders/42/parts");
+
+      expect(response.status).toBe(404);
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "work_order",
+        42,
+        { policy: "assigned_work_orders_only", userId: 1 },
+      );
+      expect(WorkOrderPartService.listForWorkOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // POST /
+  // ==========================================================================
+
+  describe("POST /api/work_orders/:id/parts", () => {
+    test("should record the part and return the new stock level", async () => {
+      const inventory = { id: 7, sku: "FLT-20X25", quantity: 3 };
+      WorkOrderPartService.addPart.mockResolvedValue({ part: line, inventory });
+
+      const response = await request(app)
+        .post("/api/work_orders/42/parts")
+        .send({ inventory_id: 7, quantity: 2, notes: "Replaced filter" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.inventory).toEqual(inventory);
+      expect(response.body.data.part).not.toHaveProperty("unit_cost");
+      expect(WorkOrderPartService.addPart).toHaveBeenCalledWith(
+        42,
+        { inventory_id: 7, quantity: 2, notes: "Replaced filter" },
+        expect.objectContaining({
+          force: false,
+          userRole: "technician",
+          auditContext: expect.objectContaining({ userId: 1 }),
+        }),
+      );
+    });
+
+    test.each([
+      ["missing inventory_id", { quantity: 1 }],
+      ["zero quantity", { inventory_id: 7, quantity: 0 }],
+      ["fractional quantity", { inventory_id: 7, quantity: 1.5 }],
+    ])("should reject %s with 400", async (_label, body) => {
+      const response = await request(app)
+        .post("/api/work_orders/42/parts")
+        .send(body);
+
+      expect(response.status).toBe(400);
+      expect(WorkOrderPartService.addPart).not.toHaveBeenCalled();
+    });
+
+    test("should return 403 without update permission on the work order", async () => {
+      mockCanUpdateParent = false;
+
+      const response = await request(app)
+        .post("/api/work_orders/42/parts")
+        .send({ inventory_id: 7, quantity: 1 });
+
+      expect(response.status).toBe(403);
+      expect(WorkOrderPartService.addPart).not.toHaveBeenCalled();
+    });
+
+    test("should surface insufficient stock as 409", async () => {
+      WorkOrderPartService.addPart.mockRejectedValue(
+        new AppError("Insufficient stock", 409, "INSUFFICIENT_STOCK"),
+      );
+
+      const response = await request(app)
+        .post("/api/work_orders/42/parts")
+        .send({ inventory_id: 7, quantity: 9 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("INSUFFICIENT_STOCK");
+    });
+  });
+
+  // ==========================================================================
+  // DELETE /:partId
+  // ==========================================================================
+
+  describe("DELETE /api/work_orders/:id/parts/:partId", () => {
+    test("should remove the line and return the restocked item", async () => {
+      const inventory = { id: 7, sku: "FLT-20X25", quantity: 5 };
+      WorkOrderPartService.removePart.mockResolvedValue({
+        part: line,
+        inventory,
+      });
+
+      const response = await request(app).delete(
+        "/api/work_orders/42/parts/30",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ deleted: true, inventory });
+      expect(WorkOrderPartService.removePart).toHaveBeenCalledWith(42, 30, {
+        auditContext: expect.objectContaining({ userId: 1 }),
+      });
+    });
+
+    test("should reject an invalid partId with 400", async () => {
+      const response = await request(app).delete(
+        "/api/work_orders/42/parts/abc",
+      );
+
+      expect(response.status).toBe(400);
+      expect(WorkOrderPartService.removePart).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * Work Order Extension Routes - Unit Tests
+ *
+ * Tests GET /api/work_orders/:id/candidate_technicians
+ * Tests POST /api/work_orders/:id/clock-in and /clock-out
+ * Tests POST /api/work_orders/:id/invoice
+ *
+ * KISS: Test endpoint behavior, mock services
+ */
+
+const request = require("supertest");
+const { createRouteTestApp } = require("../../helpers/route-test-setup");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const TechnicianMatchingService = require("../../../services/technician-matching-service");
+const TimeEntryService = require("../../../services/time-entry-service");
+const InvoiceService = require("../../../services/invoice-service");
+const AppError = require("../../../utils/app-error");
+
+// ============================================================================
+// MOCKS
+// ============================================================================
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+  // attachEntity resolves metadata at router creation time
+  _getMetadata: jest.fn(
+    (entityName) => jest.requireActual("../../../config/models")[entityName],
+  ),
+}));
+jest.mock("../../../services/technician-matching-service", () => ({
+  findCandidates: jest.fn(),
+}));
+jest.mock("../../../services/time-entry-service", () => ({
+  clockIn: jest.fn(),
+  clockOut: jest.fn(),
+}));
+jest.mock("../../../services/invoice-service", () => ({
+  createFromWorkOrder: jest.fn(),
+}));
+
+// Role under test - read by the mocked authenticateToken
+let mockRole = "dispatcher";
+
+jest.mock("../../../middleware/auth", () => {
+  const actual = jest.requireActual("../../../middleware/auth");
+  return {
+    authenticateToken: (req, res, next) => {
+      req.dbUser = { id: 1, role: mockRole };
+      next();
+    },
+    requirePermission: () => (req, res, next) => next(),
+    requireMinimumRole: actual.requireMinimumRole,
+  };
+});
+
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsPolicy = "all_records";
+    req.rlsUserId = 1;
+    next();
+  },
+}));
+
+const workOrdersExtensions = require("../../../routes/work-orders-extensions");
+
+describe("Work Order Extension Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = "dispatcher";
+
+    app = createRouteTestApp(workOrdersExtensions, "/api/work_orders");
+  });
+
+  describe("GET /api/work_orders/:id/candidate_technicians", () => {
+    const workOrder = { id: 42, required_skills: [1, 2] };
+
+    test("should return ranked candidates for dispatcher", async () => {
+      const candidates = [{ technician: { id: 3 }, score: 0.9 }];
+      GenericEntityService.findById.mockResolvedValue(workOrder);
+      TechnicianMatchingService.findCandidates.mockResolvedValue(candidates);
+
+      const response = await request(app).get(
+        "/api/work_orders/42/candidate_technicians",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        data: candidates,
+        count: 1,
+      });
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "work_order",
+        42,
+        { policy: "all_records", userId: 1 },
+      );
+      expect(TechnicianMatchingService.findCandidates).toHaveBeenCalledWith(
+        workOrder,
+        {
+          rlsContext: { policy: "all_records", userId: 1 },
+          limit: 10,
+        },
+      );
+    });
+
+    test("should pass limit through", async () => {
+      GenericEntityService.findById.mockResolvedValue(workOrder);
+      TechnicianMatchingService.findCandidates.mockResolvedValue([]);
+
+      await request(app).get(
+        "/api/work_orders/42/candidate_technicians?limit=3",
+      );
+
+      expect(
+        TechnicianMatchingService.findCandidates.mock.calls[0][1].limit,
+      ).toBe(3);
+    });
+
+    test("should return 404 when work order is not visible", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).get(
+        "/api/work_orders/99/candidate_technicians",
+      );
+
+      expect(response.status).toBe(404);
+      expect(TechnicianMatchingService.findCandidates).not.toHaveBeenCalled();
+    });
+
+    test("should reject technicians with 403", async () => {
+      mockRole = "technician";
+
+      const response = await request(app).get(
+        "/api/work_orders/42/candidate_technicians",
+      );
+
+      expect(response.status).toBe(403);
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+    });
+
+    test("should reject invalid id", async () => {
+      const response = await request(app).get(
+        "/api/work_orders/abc/candidate_technicians",
+      );
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/work_orders/:id/clock-in", () => {
+    const workOrder = { id: 42, status: "assigned" };
+    const clocked = {
+      time_entry: { id: 300, technician_id: 12, work_order_id: 42 },
+      work_order: { id: 42, status: "in_progress" },
+      technician: { id: 12, availability: "on_job" },
+    };
+
+    test("should clock the caller in and return 201", async () => {
+      mockRole = "technician";
+      GenericEntityService.findById.mockResolvedValue(workOrder);
+      TimeEntryService.clockIn.mockResolvedValue(clocked);
+
+      const response = await request(app)
+        .post("/api/work_orders/42/clock-in")
+        .send({ notes: "On site", extra: "stripped" });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ success: true, data: clocked });
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "work_order",
+        42,
+        { policy: "all_records", userId: 1 },
+      );
+      expect(TimeEntryService.clockIn).toHaveBeenCalledWith(
+        42,
+        { notes: "On site" },
+        expect.objectContaining({ userId: 1, userRole: "technician" }),
+      );
+      expect(
+        TimeEntryService.clockIn.mock.calls[0][2].auditContext,
+      ).toMatchObject({ userId: 1 });
+    });
+
+    test("should pass technician_id through for a dispatcher", async () => {
+      GenericEntityService.findById.mockResolvedValue(workOrder);
+      TimeEntryService.clockIn.mockResolvedValue(clocked);
+
+      await request(app)
+        .post("/api/work_orders/42/clock-in")
+        .send({ technician_id: 12 });
+
+      expect(TimeEntryService.clockIn.mock.calls[0][1]).toEqual({
+        technician_id: 12,
+      });
+    });
+
+    test("should return 404 when work order is not visible", async () => {
+      mockRole = "technician";
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).post("/api/work_orders/99/clock-in");
+
+      expect(response.status).toBe(404);
+      expect(TimeEntryService.clockIn).not.toHaveBeenCalled();
+    });
+
+    test("should surface service conflicts", async () => {
+      mockRole = "technician";
+      GenericEntityService.findById.mockResolvedValue(workOrder);
+      TimeEntryService.clockIn.mockRejectedValue(
+        new AppError("Already clocked in", 409, "ALREADY_CLOCKED_IN"),
+      );
+
+      const response = await request(app).post("/api/work_orders/42/clock-in");
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("ALREADY_CLOCKED_IN");
+    });
+
+    test("should reject customers with 403", async () => {
+      mockRole = "customer";
+
+      const response = await request(app).post("/api/work_orders/42/clock-in");
+
+      expect(response.status).toBe(403);
+      expect(TimeEntryService.clockIn).not.toHaveBeenCalled();
+    });
+
+    test("should reject an invalid technician_id with 400", async () => {
+      const response = await request(app)
+        .post("/api/work_orders/42/clock-in")
+        .send({ technician_id: "abc" });
+
+      expect(response.status).toBe(400);
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/work_orders/:id/clock-out", () => {
+    const workOrder = { id: 42, status: "in_progress" };
+
+    test("should clock the caller out", async () => {
+      const clocked = {
+        time_entry: { id: 300, worked_minutes: 105 },
+        technician: { id: 12, availability: "available" },
+      };
+      mockRole = "technician";
+      GenericEntityService.findById.mockResolvedValue(workOrder);
+      TimeEntryService.clockOut.mockResolvedValue(clocked);
+
+      const response = await request(app)
+        .post("/api/work_orders/42/clock-out")
+        .send({ break_minutes: 15, is_billable: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        data: clocked,
+        message: "Clocked out",
+      });
+      expect(TimeEntryService.clockOut).toHaveBeenCalledWith(
+        42,
+        { break_minutes: 15, is_billable: false },
+        expect.objectContaining({ userId: 1, userRole: "technician" }),
+      );
+    });
+
+    test("should reject a negative break with 400", async () => {
+      mockRole = "technician";
+
+      const response = await request(app)
+        .post("/api/work_orders/42/clock-out")
+        .send({ break_minutes: -5 });
+
+      expect(response.status).toBe(400);
+      expect(TimeEntryService.clockOut).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 when work order is not visible", async () => {
+      mockRole = "technician";
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app).post("/api/work_orders/99/clock-out");
+
+      expect(response.status).toBe(404);
+      expect(TimeEntryService.clockOut).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/work_orders/:id/invoice", () => {
+    const created = {
+      invoice: { id: 70, invoice_number: "INV-2026-0007", status: "draft" },
+      line_items: [],
+    };
+
+    test("should create a draft invoice and return 201", async () => {
+      InvoiceService.createFromWorkOrder.mockResolvedValue(created);
+
+      const response = await request(app)
+        .post("/api/work_orders/42/invoice")
+        .send({ summary: "Water heater swap", unexpected: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual(created);
+      expect(InvoiceService.createFromWorkOrder).toHaveBeenCalledWith(
+        42,
+        { summary: "Water heater swap" },
+        expect.objectContaining({ auditContext: expect.any(Object) }),
+      );
+    });
+
+    test("should surface a second invoice as 409", async () => {
+      InvoiceService.createFromWorkOrder.mockRejectedValue(
+        new AppError(
+          "Work order WO-2026-0042 is already invoiced on INV-2026-0001",
+          409,
+          "ALREADY_INVOICED",
+        ),
+      );
+
+      const response = await request(app).post("/api/work_orders/42/invoice");
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("ALREADY_INVOICED");
+    });
+
+    test("should reject an invalid due_date with 400", async () => {
+      const response = await request(app)
+        .post("/api/work_orders/42/invoice")
+        .send({ due_date: "next tuesday" });
+
+      expect(response.status).toBe(400);
+      expect(InvoiceService.createFromWorkOrder).not.toHaveBeenCalled();
+    });
+
+    test("should reject technicians with 403", async () => {
+      mockRole = "technician";
+
+      const response = await request(app).post("/api/work_orders/42/invoice");
+
+      expect(response.status).toBe(403);
+      expect(InvoiceService.createFromWorkOrder).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Tests audit trail queries and specialized query methods.
  * Follows AAA pattern and DRY principles.
  *
- * Test Coverage: getUserAuditTrail, getSecurityEvents, getResourceAuditTrail, getFailedLoginAttempts
+ * Test Coverage: getUserAuditTrail, getSecurityEvents, getAllRecentLogs, getResourceAuditTrail, getFailedLoginAttempts
  */
 
 // Mock dependencies BEFORE requiring the module
@@ -153,6 +153,86 @@ describe("services/audit-service.js - Query Operations", () => {
     });
   });
 
+  describe("getAllRecentLogs()", () => {
+    const PaginationService = require("../../../services/pagination-service");
+
+    test("should page by offset with an exact total by default", async () => {
+      // Arrange
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: "12" }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, cursor_sort_value: "x" }] });
+
+      // Act
+      const result = await auditService.getAllRecentLogs({
+        limit: 10,
+        offset: 10,
+      });
+
+      // Assert
+      expect(db.query.mock.calls[1][1]).toEqual([10, 10]);
+      expect(result).toEqual({
+        logs: [{ id: 3 }],
+        total: 12,
+        totalEstimated: false,
+        limit: 10,
+        offset: 10,
+      });
+    });
+
+    test("should continue after a cursor, newest first, without counting", async () => {
+      // Arrange
+      const cursor = PaginationService.encodeCursor(
+        { id: 50, cursor_sort_value: "2026-10-14 15:30:00.123456+00" },
+        { field: "created_at", order: "DESC" },
+        "next",
+      );
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { id: 49, cursor_sort_value: "2026-10-14 15:29:00+00" },
+          { id: 48, cursor_sort_value: "2026-10-14 15:28:00+00" },
+        ],
+      });
+
+      // Act
+      const result = await auditService.getAllRecentLogs({
+        limit: 1,
+        cursor,
+        count: "none",
+        actionFilter: "auth",
+      });
+
+      // Assert
+      const [query, params] = db.query.mock.calls[0];
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(query).toContain("action IN ($1");
+      expect(query).toContain(
+        "(al.created_at < $9 OR (al.created_at = $9 AND al.id < $10)",
+      );
+      expect(query).toContain(
+        "ORDER BY al.created_at DESC NULLS LAST, al.id DESC",
+      );
+      expect(params.slice(8)).toEqual(["2026-10-14 15:30:00.123456+00", 50, 2]);
+      expect(result.logs).toEqual([{ id: 49 }]);
+      expect(result.total).toBeNull();
+      expect(result.hasNext).toBe(true);
+      expect(result.hasPrev).toBe(true);
+      expect(PaginationService.decodeCursor(result.nextCursor).id).toBe(49);
+    });
+
+    test("should reject a cursor from another list", async () => {
+      const cursor = PaginationService.encodeCursor(
+        { id: 1, cursor_sort_value: "a" },
+        { field: "email", order: "ASC" },
+        "next",
+      );
+      db.query.mockResolvedValueOnce({ rows: [{ total: "0" }] });
+
+      await expect(auditService.getAllRecentLogs({ cursor })).rejects.toThrow(
+        "Invalid pagination cursor",
+      );
+    });
+  });
+
   describe("getResourceAuditTrail()", () => {
     test("should return audit trail for specific resource", async () => {
       // Arrange
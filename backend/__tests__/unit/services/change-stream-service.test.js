@@ -0,0 +1,417 @@
+/**
+ * Change Stream Service Unit Tests
+ *
+ * Tests for: backend/services/change-stream-service.js
+ *
+ * Coverage:
+ * - record() - logs and announces create/update/delete, ignores other events
+ * - open() - SSE headers, start point, Last-Event-ID resume and reset
+ * - delivery - permission, RLS (record vs previous) and field filtering
+ * - listener - one LISTEN connection, released with the last stream
+ * - cleanup() - retention window
+ */
+
+const { EventEmitter } = require("events");
+const ChangeStreamService = require("../../../services/change-stream-service");
+const EntityEvents = require("../../../services/entity-events");
+const db = require("../../../db/connection");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+jest.mock("../../../services/entity-events", () => ({
+  subscribe: jest.fn(),
+  unsubscribe: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Route db.query by statement: the start-point lookup, the change batch and
+ * the per-entity RLS check
+ */
+function mockChanges({ first = null, last = 0, changes = [], rls = [] }) {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes("MIN(id)")) {
+      return { rows: [{ first, last }] };
+    }
+    if (sql.includes("jsonb_populate_record")) {
+      return { rows: rls };
+    }
+    if (sql.includes("FROM entity_changes")) {
+      return { rows: changes.filter((change) => change.id > params[0]) };
+    }
+    return { rows: [] };
+  });
+}
+
+function createClient() {
+  const client = new EventEmitter();
+  client.query = jest.fn().mockResolvedValue({});
+  client.release = jest.fn();
+  return client;
+}
+
+function createStream(dbUser, headers = {}) {
+  const req = new EventEmitter();
+  req.dbUser = dbUser;
+  req.user = { exp: Math.floor(Date.now() / 1000) + 3600 };
+  req.query = {};
+  req.get = (name) => headers[name.toLowerCase()];
+  req.cancelTimeout = jest.fn();
+
+  const res = {
+    writeHead: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn(),
+  };
+  return { req, res };
+}
+
+/**
+ * Parsed SSE messages written to a response (comments and retry skipped)
+ */
+function messages(res) {
+  return res.write.mock.calls
+    .map(([chunk]) => chunk)
+    .filter((chunk) => chunk.includes("event: "))
+    .map((chunk) => {
+      const fields = Object.fromEntries(
+        chunk
+          .trim()
+          .split("\n")
+          .map((line) => [
+            line.slice(0, line.indexOf(": ")),
+            line.slice(line.indexOf(": ") + 2),
+          ]),
+      );
+      return { ...fields, data: JSON.parse(fields.data) };
+    });
+}
+
+describe("ChangeStreamService", () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = createClient();
+    db.getClient.mockResolvedValue(client);
+  });
+
+  afterEach(() => {
+    ChangeStreamService.stop();
+  });
+
+  describe("register()", () => {
+    test("should subscribe to every entity", () => {
+      ChangeStreamService.register();
+
+      expect(EntityEvents.subscribe).toHaveBeenCalledWith(
+        "change-stream",
+        expect.any(Function),
+      );
+    });
+  });
+
+  describe("record()", () => {
+    test("should log an update with its previous row and notify", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await ChangeStreamService.record({
+        entity: "work_order",
+        action: "updated",
+        id: 7,
+        record: { id: 7, status: "completed" },
+        previous: { id: 7, status: "pending" },
+        actorId: 3,
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("INSERT INTO entity_changes");
+      expect(sql).toContain("pg_notify($7, id::text)");
+      expect(params).toEqual([
+        "work_order",
+        "updated",
+        7,
+        { id: 7, status: "completed" },
+        { id: 7, status: "pending" },
+        3,
+        "entity_changes",
+      ]);
+    });
+
+    test("should log a delete with the deleted row", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await ChangeStreamService.record({
+        entity: "customer",
+        action: "deleted",
+        id: 4,
+        record: null,
+        previous: { id: 4, email: "a@b.c" },
+        actorId: 1,
+      });
+
+      const params = db.query.mock.calls[0][1];
+      expect(params[3]).toEqual({ id: 4, email: "a@b.c" });
+      expect(params[4]).toBeNull();
+    });
+
+    test("should ignore events that are not record changes", async () => {
+      await ChangeStreamService.record({
+        entity: "work_order",
+        action: "file_uploaded",
+        id: 7,
+        record: { id: 7 },
+      });
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("open()", () => {
+    test("should start an event stream at the latest change", async () => {
+      mockChanges({ first: 1, last: 40 });
+      const { req, res } = createStream({ id: 2, role: "dispatcher" });
+
+      await ChangeStreamService.open(req, res);
+
+      expect(req.cancelTimeout).toHaveBeenCalled();
+      expect(res.writeHead).toHaveBeenCalledWith(
+        200,
+        expect.objectContaining({ "Content-Type": "text/event-stream" }),
+      );
+      expect(res.write).toHaveBeenCalledWith("retry: 3000\n\n");
+      expect(client.query).toHaveBeenCalledWith("LISTEN entity_changes");
+      expect(messages(res)).toEqual([]);
+    });
+
+    test("should push changes announced after the stream opened", async () => {
+      const changes = [];
+      mockChanges({ first: 1, last: 40, changes });
+      const { req, res } = createStream({ id: 2, role: "dispatcher" });
+      await ChangeStreamService.open(req, res);
+
+      changes.push({
+        id: "41",
+        entity: "work_order",
+        action: "created",
+        record_id: 9,
+        record: { id: 9, status: "pending" },
+      });
+      client.emit("notification", { payload: "41" });
+      await flush();
+
+      expect(messages(res)).toEqual([
+        {
+          id: "41",
+          event: "created",
+          data: {
+            entity: "work_order",
+            action: "created",
+            id: 9,
+            record: expect.objectContaining({ id: 9, status: "pending" }),
+          },
+        },
+      ]);
+    });
+
+    test("should resume after Last-Event-ID", async () => {
+      mockChanges({
+        first: 10,
+        last: 12,
+        changes: [
+          {
+            id: 11,
+            entity: "role",
+            action: "updated",
+            record_id: 1,
+            record: { id: 1 },
+          },
+          {
+            id: 12,
+            entity: "role",
+            action: "deleted",
+            record_id: 2,
+            record: { id: 2 },
+          },
+        ],
+      });
+      const { req, res } = createStream(
+        { id: 2, role: "dispatcher" },
+        { "last-event-id": "10" },
+      );
+
+      await ChangeStreamService.open(req, res);
+
+      expect(messages(res).map((message) => message.id)).toEqual(["11", "12"]);
+    });
+
+    test("should send reset when Last-Event-ID is past retention", async () => {
+      mockChanges({ first: 50, last: 60 });
+      const { req, res } = createStream(
+        { id: 2, role: "dispatcher" },
+        { "last-event-id": "20" },
+      );
+
+      await ChangeStreamService.open(req, res);
+
+      expect(messages(res)).toEqual([{ event: "reset", data: {} }]);
+    });
+
+    test("should end the stream when it cannot start", async () => {
+      db.query.mockRejectedValue(new Error("connection refused"));
+      const { req, res } = createStream({ id: 2, role: "dispatcher" });
+
+      await ChangeStreamService.open(req, res);
+
+      expect(res.end).toHaveBeenCalled();
+      expect(ChangeStreamService.streamCount).toBe(0);
+    });
+  });
+
+  describe("delivery", () => {
+    const workOrderChanges = [
+      {
+        id: 1,
+        entity: "work_order",
+        action: "updated",
+        record_id: 5,
+        record: { id: 5, customer_id: 8, status: "completed" },
+      },
+      {
+        id: 2,
+        entity: "work_order",
+        action: "updated",
+        record_id: 6,
+        record: { id: 6, customer_id: 9 },
+      },
+      {
+        id: 3,
+        entity: "work_order",
+        action: "created",
+        record_id: 7,
+        record: { id: 7, customer_id: 9 },
+      },
+    ];
+
+    test("should apply RLS to the logged rows and hide restricted fields", async () => {
+      mockChanges({
+        first: 1,
+        last: 3,
+        changes: workOrderChanges,
+        rls: [
+          { id: "1", action: "updated", in_view: true, was_in_view: true },
+          { id: "2", action: "updated", in_view: false, was_in_view: true },
+          { id: "3", action: "created", in_view: false, was_in_view: false },
+        ],
+      });
+      const { req, res } = createStream(
+        { id: 8, role: "customer" },
+        { "last-event-id": "0" },
+      );
+
+      await ChangeStreamService.open(req, res);
+
+      const rlsCall = db.query.mock.calls.find(([sql]) =>
+        sql.includes("jsonb_populate_record"),
+      );
+      expect(rlsCall[0]).toContain("NULL::work_orders");
+      expect(rlsCall[0]).toContain("customer_id = $2");
+      expect(rlsCall[1]).toEqual([[1, 2, 3], 8]);
+
+      const sent = messages(res);
+      expect(sent).toHaveLength(2);
+      expect(sent[0].event).toBe("updated");
+      expect(sent[0].data.record.status).toBe("completed");
+      expect(sent[0].data.record).not.toHaveProperty("customer_id");
+      expect(sent[1]).toEqual({
+        id: "2",
+        event: "removed",
+        data: { entity: "work_order", action: "removed", id: 6 },
+      });
+    });
+
+    test("should not check rows for roles that see all records", async () => {
+      mockChanges({ first: 1, last: 3, changes: workOrderChanges });
+      const { req, res } = createStream(
+        { id: 2, role: "dispatcher" },
+        { "last-event-id": "0" },
+      );
+
+      await ChangeStreamService.open(req, res);
+
+      expect(messages(res)).toHaveLength(3);
+      expect(
+        db.query.mock.calls.some(([sql]) =>
+          sql.includes("jsonb_populate_record"),
+        ),
+      ).toBe(false);
+    });
+
+    test("should send nothing for entities the role cannot read", async () => {
+      mockChanges({
+        first: 1,
+        last: 1,
+        changes: [
+          {
+            id: 1,
+            entity: "invoice",
+            action: "created",
+            record_id: 3,
+            record: { id: 3, customer_id: 4 },
+          },
+        ],
+      });
+      const { req, res } = createStream(
+        { id: 5, role: "technician" },
+        { "last-event-id": "0" },
+      );
+
+      await ChangeStreamService.open(req, res);
+
+      expect(messages(res)).toEqual([]);
+    });
+  });
+
+  describe("listener", () => {
+    test("should share one LISTEN connection and release it with the last stream", async () => {
+      mockChanges({ last: 0 });
+      const first = createStream({ id: 2, role: "dispatcher" });
+      const second = createStream({ id: 3, role: "dispatcher" });
+
+      await ChangeStreamService.open(first.req, first.res);
+      await ChangeStreamService.open(second.req, second.res);
+      expect(db.getClient).toHaveBeenCalledTimes(1);
+
+      first.req.emit("close");
+      expect(client.release).not.toHaveBeenCalled();
+
+      second.req.emit("close");
+      expect(client.release).toHaveBeenCalledWith(true);
+      expect(ChangeStreamService.streamCount).toBe(0);
+    });
+  });
+
+  describe("cleanup()", () => {
+    test("should delete changes past the resume window", async () => {
+      db.query.mockResolvedValue({ rowCount: 120 });
+
+      const deleted = await ChangeStreamService.cleanup();
+
+      expect(deleted).toBe(120);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("DELETE FROM entity_changes");
+      expect(params).toEqual([24]);
+    });
+  });
+});
@@ -0,0 +1,388 @@
+/**
+ * Contract Schedule Service Unit Tests
+ *
+ * Tests for: backend/services/contract-schedule-service.js
+ *
+ * Coverage:
+ * - getOccurrences() - frequencies, interval, month-end clamping, end_date
+ * - buildWorkOrder() - summary, naming, location fallback
+ * - preview() - existing work orders per occurrence
+ * - generate() - contract query, idempotency, duplicate races, isolation
+ */
+
+const ContractScheduleService = require("../../../services/contract-schedule-service");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const { generateIdentifier } = require("../../../utils/identifier-generator");
+
+// Mock dependencies
+jest.mock("../../../db/connection");
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+  create: jest.fn(),
+}));
+jest.mock("../../../utils/identifier-generator", () => ({
+  generateIdentifier: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const db = require("../../../db/connection");
+
+describe("ContractScheduleService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const schedule = {
+    id: 12,
+    contract_number: "CTR-2025-0012",
+    customer_id: 3,
+    status: "active",
+    summary: "HVAC agreement",
+    service_frequency: "monthly",
+    service_interval: 1,
+    service_summary: "Quarterly filter change",
+    service_priority: "high",
+    service_line1: null,
+    service_line2: null,
+    service_city: null,
+    service_state: null,
+    service_postal_code: null,
+    service_country: "US",
+    start_day: "2025-01-31",
+    end_day: null,
+  };
+
+  const customer = {
+    id: 3,
+    first_name: "Jane",
+    last_name: "Doe",
+    service_line1: "1 Main St",
+    service_line2: null,
+    service_city: "Springfield",
+    service_state: "IL",
+    service_postal_code: "62701",
+    service_country: "US",
+  };
+
+  // ============================================================================
+  // getOccurrences
+  // ============================================================================
+
+  describe("getOccurrences()", () => {
+    test("should clamp monthly occurrences to the month end without drifting", () => {
+      expect(
+        ContractScheduleService.getOccurrences(
+          schedule,
+          "2025-01-01",
+          "2025-04-30",
+        ),
+      ).toEqual(["2025-01-31", "2025-02-28", "2025-03-31", "2025-04-30"]);
+    });
+
+    test.each([
+      ["daily", 2, "2025-06-01", ["2025-06-01", "2025-06-03", "2025-06-05"]],
+      ["weekly", 1, "2025-06-02", ["2025-06-02"]],
+      ["yearly", 1, "2024-02-29", []],
+    ])(
+      "should expand %s every %i from %s",
+      (frequency, interval, startDay, expected) => {
+        expect(
+          ContractScheduleService.getOccurrences(
+            {
+              service_frequency: frequency,
+              service_interval: interval,
+              start_day: startDay,
+            },
+            "2025-06-01",
+            "2025-06-05",
+          ),
+        ).toEqual(expected);
+      },
+    );
+
+    test("should clamp Feb 29 anchors in non-leap years", () => {
+      expect(
+        ContractScheduleService.getOccurrences(
+          {
+            service_frequency: "yearly",
+            service_interval: 1,
+            start_day: "2024-02-29",
+          },
+          "2025-01-01",
+          "2028-12-31",
+        ),
+      ).toEqual(["2025-02-28", "2026-02-28", "2027-02-28", "2028-02-29"]);
+    });
+
+    test("should stop at end_date", () => {
+      expect(
+        ContractScheduleService.getOccurrences(
+          { ...schedule, end_day: "2025-03-15" },
+          "2025-01-01",
+          "2025-12-31",
+        ),
+      ).toEqual(["2025-01-31", "2025-02-28"]);
+    });
+
+    test("should accept Date window bounds", () => {
+      expect(
+        ContractScheduleService.getOccurrences(
+          schedule,
+          new Date("2025-03-01T00:00:00Z"),
+          new Date("2025-03-31T23:00:00Z"),
+        ),
+      ).toEqual(["2025-03-31"]);
+    });
+
+    test("should return nothing without a frequency", () => {
+      expect(
+        ContractScheduleService.getOccurrences(
+          { ...schedule, service_frequency: null },
+          "2025-01-01",
+          "2025-12-31",
+        ),
+      ).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // buildWorkOrder
+  // ============================================================================
+
+  describe("buildWorkOrder()", () => {
+    test("should link the occurrence and use the customer's service address", () => {
+      const data = ContractScheduleService.buildWorkOrder(
+        schedule,
+        customer,
+        "2025-02-28",
+        "WO-2025-0100",
+      );
+
+      expect(data).toEqual({
+        work_order_number: "WO-2025-0100",
+        name: "Jane Doe: Quarterly filter change: WO-2025-0100",
+        summary: "Quarterly filter change",
+        priority: "high",
+        customer_id: 3,
+        contract_id: 12,
+        occurrence_date: "2025-02-28",
+        location_line1: "1 Main St",
+        location_city: "Springfield",
+        location_state: "IL",
+        location_postal_code: "62701",
+        location_country: "US",
+      });
+    });
+
+    test("should prefer the contract's own service address", () => {
+      const data = ContractScheduleService.buildWorkOrder(
+        { ...schedule, service_line1: "9 Plant Rd", service_city: "Decatur" },
+        customer,
+        "2025-02-28",
+        "WO-2025-0100",
+      );
+
+      expect(data.location_line1).toBe("9 Plant Rd");
+      expect(data.location_city).toBe("Decatur");
+    });
+
+    test("should fall back to the contract summary", () => {
+      const data = ContractScheduleService.buildWorkOrder(
+        { ...schedule, service_summary: null },
+        customer,
+        "2025-02-28",
+        "WO-2025-0100",
+      );
+
+      expect(data.summary).toBe("HVAC agreement");
+    });
+  });
+
+  // ============================================================================
+  // preview
+  // ============================================================================
+
+  describe("preview()", () => {
+    test("should list occurrences with any existing work order", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [schedule] })
+        .mockResolvedValueOnce({
+          rows: [
+            {
+              id: 40,
+              work_order_number: "WO-2025-0040",
+              status: "pending",
+              occurrence_day: "2025-02-28",
+            },
+          ],
+        });
+
+      const result = await ContractScheduleService.preview(12, {
+        from: new Date("2025-02-01T00:00:00Z"),
+        to: new Date("2025-03-31T00:00:00Z"),
+      });
+
+      expect(result).toEqual({
+        contractId: 12,
+        active: true,
+        frequency: "monthly",
+        interval: 1,
+        from: "2025-02-01",
+        to: "2025-03-31",
+        occurrences: [
+          {
+            date: "2025-02-28",
+            work_order: {
+              id: 40,
+              work_order_number: "WO-2025-0040",
+              status: "pending",
+            },
+          },
+          { date: "2025-03-31", work_order: null },
+        ],
+      });
+      expect(db.query.mock.calls[1][1]).toEqual([
+        12,
+        "2025-02-01",
+        "2025-03-31",
+      ]);
+    });
+
+    test("should throw 404 for an unknown contract", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        ContractScheduleService.preview(99, {
+          from: "2025-01-01",
+          to: "2025-02-01",
+        }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  // ============================================================================
+  // generate
+  // ============================================================================
+
+  describe("generate()", () => {
+    const asOf = new Date("2025-02-01T08:00:00Z");
+
+    beforeEach(() => {
+      GenericEntityService.findById.mockResolvedValue(customer);
+      generateIdentifier
+        .mockResolvedValueOnce("WO-2025-0100")
+        .mockResolvedValueOnce("WO-2025-0101");
+      GenericEntityService.create.mockImplementation(async (_entity, data) => ({
+        id: Number(data.work_order_number.slice(-3)),
+        ...data,
+      }));
+    });
+
+    afterEach(() => {
+      generateIdentifier.mockReset();
+    });
+
+    test("should only load active scheduled contracts in the horizon", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await ContractScheduleService.generate({
+        asOf,
+        horizonDays: 30,
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("status = 'active'");
+      expect(sql).toContain("service_frequency IS NOT NULL");
+      expect(sql).toContain("end_date IS NULL OR end_date >= $1");
+      expect(params).toEqual(["2025-02-01", "2025-03-03"]);
+      expect(result).toMatchObject({ contracts: 0, created: 0 });
+    });
+
+    test("should create only the missing occurrences", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [schedule] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 40, occurrence_day: "2025-02-28" }],
+        });
+
+      const result = await ContractScheduleService.generate({
+        asOf,
+        horizonDays: 60,
+      });
+
+      expect(GenericEntityService.create).toHaveBeenCalledTimes(1);
+      expect(GenericEntityService.create).toHaveBeenCalledWith(
+        "work_order",
+        expect.objectContaining({
+          contract_id: 12,
+          occurrence_date: "2025-03-31",
+          work_order_number: "WO-2025-0100",
+        }),
+        { auditContext: undefined },
+      );
+      expect(result).toMatchObject({
+        contracts: 1,
+        created: 1,
+        skipped: 1,
+        failed: 0,
+        workOrderIds: [100],
+      });
+    });
+
+    test("should skip an occurrence created by a concurrent run", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [schedule] })
+        .mockResolvedValueOnce({ rows: [] });
+      GenericEntityService.create.mockRejectedValueOnce(
+        Object.assign(new Error("duplicate key"), { code: "23505" }),
+      );
+
+      const result = await ContractScheduleService.generate({
+        asOf,
+        horizonDays: 30,
+      });
+
+      expect(result).toMatchObject({ created: 0, skipped: 1, failed: 0 });
+    });
+
+    test("should limit the run to one contract when asked", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await ContractScheduleService.generate({ asOf, contractId: 12 });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("AND id = $3");
+      expect(params[2]).toBe(12);
+    });
+
+    test("should keep going when one contract fails", async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [schedule, { ...schedule, id: 13, customer_id: 4 }],
+        })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+      GenericEntityService.findById
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(customer);
+
+      const result = await ContractScheduleService.generate({
+        asOf,
+        horizonDays: 30,
+      });
+
+      expect(result).toMatchObject({ contracts: 2, created: 1, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * Dispatch Service Unit Tests
+ *
+ * Tests for: backend/services/dispatch-service.js
+ *
+ * Coverage:
+ * - getDayWindow() - UTC day bounds
+ * - getBoard() - queries, lanes per technician, unassigned, truncation
+ * - move() - validation, duration keeping, auto status, batch errors, audit
+ */
+
+const DispatchService = require("../../../services/dispatch-service");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const { logEntityEvent } = require("../../../db/helpers/audit-helper");
+const { AuditActions } = require("../../../services/audit-constants");
+const QueryBuilderService = require("../../../services/query-builder-service");
+const workOrderMetadata = require("../../../config/models/work-order-metadata");
+
+// Mock dependencies
+jest.mock("../../../services/generic-entity-service", () => ({
+  findAll: jest.fn(),
+  findById: jest.fn(),
+  batch: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("DispatchService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const at = (hour) => new Date(Date.UTC(2025, 5, 2, hour));
+  const page = (data, hasNext = false) => ({
+    data,
+    pagination: { hasNext },
+  });
+
+  const ada = {
+    id: 7,
+    first_name: "Ada",
+    last_name: "Lovelace",
+    status: "active",
+    availability: "available",
+    is_active: true,
+  };
+  const grace = {
+    id: 8,
+    first_name: "Grace",
+    last_name: "Hopper",
+    status: "active",
+    availability: "on_job",
+  };
+
+  // ============================================================================
+  // getDayWindow
+  // ============================================================================
+
+  describe("getDayWindow()", () => {
+    test("should return the UTC day containing the instant", () => {
+      expect(DispatchService.getDayWindow(at(15))).toEqual({
+        date: "2025-06-02",
+        from: at(0),
+        to: new Date(Date.UTC(2025, 5, 3)),
+      });
+    });
+  });
+
+  // ============================================================================
+  // getBoard
+  // ============================================================================
+
+  describe("getBoard()", () => {
+    const techRls = { policy: "all_records", userId: 1 };
+    const woRls = { policy: "all_records", userId: 1 };
+
+    test("should load active technicians and work orders overlapping the day", async () => {
+      GenericEntityService.findAll.mockResolvedValue(page([]));
+
+      await DispatchService.getBoard(at(15), {
+        technicianRlsContext: techRls,
+        workOrderRlsContext: woRls,
+      });
+
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith(
+        "technician",
+        expect.objectContaining({
+          filters: { status: "active" },
+          sortBy: "last_name",
+        }),
+        techRls,
+      );
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith(
+        "work_order",
+        expect.objectContaining({
+          filters: {
+            scheduled_start: { lt: new Date(Date.UTC(2025, 5, 3)) },
+            scheduled_end: { gt: at(0) },
+            status: { not: "cancelled" },
+          },
+          sortBy: "scheduled_start",
+          sortOrder: "ASC",
+        }),
+        woRls,
+      );
+    });
+
+    test("should pass work order filters the query builder accepts", async () => {
+      GenericEntityService.findAll.mockResolvedValue(page([]));
+
+      await DispatchService.getBoard(at(15));
+
+      // GenericEntityService is mocked: compile its filters for real
+      const [, { filters }] = GenericEntityService.findAll.mock.calls.find(
+        ([entityName]) => entityName === "work_order",
+      );
+      const { clause, params } = QueryBuilderService.buildFilterClause(
+        filters,
+        workOrderMetadata.filterableFields,
+        0,
+        workOrderMetadata.tableName,
+        workOrderMetadata.fields,
+      );
+
+      expect(clause).toContain("work_orders.scheduled_start < $1");
+      expect(clause).toContain("work_orders.scheduled_end > $2");
+      expect(params).toEqual([
+        "2025-06-03T00:00:00.000Z",
+        "2025-06-02T00:00:00.000Z",
+        "cancelled",
+      ]);
+    });
+
+    test("should lay work orders out per technician and collect unassigned", async () => {
+      const wo1 = { id: 1, assigned_technician_id: 7 };
+      const wo2 = { id: 2, assigned_technician_id: null };
+      const wo3 = { id: 3, assigned_technician_id: 7 };
+      const wo4 = { id: 4, assigned_technician_id: 99 };
+      GenericEntityService.findAll
+        .mockResolvedValueOnce(page([ada, grace]))
+        .mockResolvedValueOnce(page([wo1, wo2, wo3, wo4]));
+
+      const board = await DispatchService.getBoard(at(15));
+
+      expect(board.date).toBe("2025-06-02");
+      expect(board.technicians).toEqual([
+        {
+          id: 7,
+          first_name: "Ada",
+          last_name: "Lovelace",
+          status: "active",
+          availability: "available",
+          workOrders: [wo1, wo3],
+        },
+        {
+          id: 8,
+          first_name: "Grace",
+          last_name: "Hopper",
+          status: "active",
+          availability: "on_job",
+          workOrders: [],
+        },
+      ]);
+      expect(board.unassigned).toEqual([wo2]);
+      expect(board.truncated).toBe(false);
+    });
+
+    test("should flag a truncated board", async () => {
+      GenericEntityService.findAll
+        .mockResolvedValueOnce(page([ada]))
+        .mockResolvedValueOnce(page([], true));
+
+      const board = await DispatchService.getBoard(at(15));
+
+      expect(board.truncated).toBe(true);
+    });
+  });
+
+  // ============================================================================
+  // move
+  // ============================================================================
+
+  describe("move()", () => {
+    const auditContext = { userId: 1 };
+    const workOrder = {
+      id: 42,
+      status: "pending",
+      assigned_technician_id: null,
+      scheduled_start: at(9).toISOString(),
+      scheduled_end: at(11).toISOString(),
+    };
+
+    beforeEach(() => {
+      GenericEntityService.batch.mockResolvedValue({ success: true });
+    });
+
+    const batchData = () => GenericEntityService.batch.mock.calls[0][1][0].data;
+
+    test("should assign a pending work order and audit the assignment", async () => {
+      const updated = { ...workOrder, assigned_technician_id: 7 };
+      GenericEntityService.findById
+        .mockResolvedValueOnce(workOrder)
+        .mockResolvedValueOnce(ada)
+        .mockResolvedValueOnce(updated);
+
+      const result = await DispatchService.move(
+        42,
+        { assigned_technician_id: 7 },
+        { auditContext, userRole: "dispatcher" },
+      );
+
+      expect(GenericEntityService.batch).toHaveBeenCalledWith(
+        "work_order",
+        [
+          {
+            operation: "update",
+            id: 42,
+            data: { assigned_technician_id: 7, status: "assigned" },
+            force: false,
+          },
+        ],
+        { auditContext, userRole: "dispatcher" },
+      );
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.WORK_ORDER_ASSIGN,
+        "work_order",
+        workOrder,
+        auditContext,
+        {
+          oldValues: { assigned_technician_id: null },
+          newValues: { assigned_technician_id: 7 },
+        },
+      );
+      expect(result).toBe(updated);
+    });
+
+    test("should return an assigned work order to pending when unassigned", async () => {
+      GenericEntityService.findById.mockResolvedValueOnce({
+        ...workOrder,
+        status: "assigned",
+        assigned_technician_id: 7,
+      });
+
+      await DispatchService.move(
+        42,
+        { assigned_technician_id: null },
+        { auditContext },
+      );
+
+      expect(batchData()).toEqual({
+        assigned_technician_id: null,
+        status: "pending",
+      });
+      expect(logEntityEvent).toHaveBeenCalled();
+    });
+
+    test("should keep the duration when only scheduled_start moves", async () => {
+      GenericEntityService.findById.mockResolvedValueOnce(workOrder);
+
+      await DispatchService.move(42, { scheduled_start: at(13) });
+
+      expect(batchData()).toEqual({
+        scheduled_start: at(13),
+        scheduled_end: at(15),
+      });
+      expect(logEntityEvent).not.toHaveBeenCalled();
+    });
+
+    test("should pass force through to the batch update", async () => {
+      GenericEntityService.findById.mockResolvedValueOnce(workOrder);
+
+      await DispatchService.move(
+        42,
+        { scheduled_start: at(13), scheduled_end: at(14) },
+        { force: true },
+      );
+
+      expect(GenericEntityService.batch.mock.calls[0][1][0].force).toBe(true);
+    });
+
+    test("should throw 404 when the work order is not visible", async () => {
+      GenericEntityService.findById.mockResolvedValueOnce(null);
+
+      await expect(
+        DispatchService.move(42, { assigned_technician_id: 7 }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(GenericEntityService.batch).not.toHaveBeenCalled();
+    });
+
+    test("should throw 404 when the technician does not exist", async () => {
+      GenericEntityService.findById
+        .mockResolvedValueOnce(workOrder)
+        .mockResolvedValueOnce(null);
+
+      await expect(
+        DispatchService.move(42, { assigned_technician_id: 99 }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test("should throw 400 when the technician is not active", async () => {
+      GenericEntityService.findById
+        .mockResolvedValueOnce(workOrder)
+        .mockResolvedValueOnce({ ...ada, status: "on_leave" });
+
+      await expect(
+        DispatchService.move(42, { assigned_technician_id: 7 }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(GenericEntityService.batch).not.toHaveBeenCalled();
+    });
+
+    test("should throw 400 when there is nothing to move", async () => {
+      GenericEntityService.findById.mockResolvedValueOnce(workOrder);
+
+      await expect(DispatchService.move(42, {})).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+
+    test("should rethrow batch failures with their status and details", async () => {
+      const details = { conflicts: [{ id: 3 }] };
+      GenericEntityService.findById
+        .mockResolvedValueOnce(workOrder)
+        .mockResolvedValueOnce(ada);
+      GenericEntityService.batch.mockResolvedValue({
+        success: false,
+        errors: [
+          {
+            index: 0,
+            error: "Schedule conflict",
+            statusCode: 409,
+            code: "SCHEDULE_CONFLICT",
+            details,
+          },
+        ],
+      });
+
+      await expect(
+        DispatchService.move(
+          42,
+          { assigned_technician_id: 7 },
+          { auditContext },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "SCHEDULE_CONFLICT",
+        details,
+      });
+      expect(logEntityEvent).not.toHaveBeenCalled();
+    });
+  });
+});
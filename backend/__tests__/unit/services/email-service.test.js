@@ -0,0 +1,159 @@
+/**
+ * Email Service Unit Tests
+ *
+ * Tests for: backend/services/email-service.js
+ *
+ * Coverage:
+ * - isConfigured() - SMTP_HOST switch
+ * - render() - template per notification type, escaping, app link
+ * - send() - transport and sender from the environment
+ */
+
+const EmailService = require("../../../services/email-service");
+const { sendMail } = require("../../../utils/smtp-client");
+
+jest.mock("../../../utils/smtp-client", () => ({
+  sendMail: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("EmailService", () => {
+  const ENV_KEYS = [
+    "SMTP_HOST",
+    "SMTP_PORT",
+    "SMTP_SECURE",
+    "SMTP_USER",
+    "SMTP_PASSWORD",
+    "EMAIL_FROM",
+    "CLIENT_URL",
+  ];
+  const savedEnv = {};
+
+  const user = { first_name: "Ada", last_name: "Tech", email: "ada@x.com" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    for (const key of ENV_KEYS) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    }
+  });
+
+  describe("isConfigured()", () => {
+    test("should depend on SMTP_HOST", () => {
+      expect(EmailService.isConfigured()).toBe(false);
+      process.env.SMTP_HOST = "localhost";
+      expect(EmailService.isConfigured()).toBe(true);
+    });
+  });
+
+  describe("render()", () => {
+    test("should use the template for the notification type", () => {
+      process.env.CLIENT_URL = "https://app.tross.dev";
+
+      const email = EmailService.render(
+        {
+          title: "Work order WO-2026-0042 assigned to you",
+          body: "Acme: No heat",
+          type: "assignment",
+        },
+        user,
+      );
+
+      expect(email.subject).toBe(
+        "New assignment: Work order WO-2026-0042 assigned to you",
+      );
+      expect(email.text).toContain("Hi Ada,");
+      expect(email.text).toContain("Acme: No heat");
+      expect(email.text).toContain("Open Tross: https://app.tross.dev");
+      expect(email.html).toContain('<a href="https://app.tross.dev">');
+    });
+
+    test("should fall back to the default template", () => {
+      const email = EmailService.render(
+        { title: "Heads up", body: null, type: "info" },
+        user,
+      );
+
+      expect(email.subject).toBe("Heads up");
+      expect(email.text).not.toContain("Open Tross");
+    });
+
+    test("should escape notification text in the HTML body", () => {
+      const email = EmailService.render(
+        { title: "Parts <b>&</b> labor", type: "info" },
+        user,
+      );
+
+      expect(email.html).toContain("Parts &lt;b&gt;&amp;&lt;/b&gt; labor");
+      expect(email.text).toContain("Parts <b>&</b> labor");
+    });
+  });
+
+  describe("send()", () => {
+    test("should send through the configured transport", async () => {
+      process.env.SMTP_HOST = "smtp.example.com";
+      process.env.SMTP_PORT = "465";
+      process.env.SMTP_SECURE = "true";
+      process.env.SMTP_USER = "mailer";
+      process.env.SMTP_PASSWORD = "secret";
+      process.env.EMAIL_FROM = "Ops <ops@example.com>";
+      sendMail.mockResolvedValue({ messageId: "<1@example.com>" });
+
+      await EmailService.send({
+        to: "ada@x.com",
+        subject: "Hi",
+        text: "Hello",
+      });
+
+      expect(sendMail).toHaveBeenCalledWith(
+        {
+          host: "smtp.example.com",
+          port: 465,
+          secure: true,
+          user: "mailer",
+          password: "secret",
+        },
+        {
+          from: "Ops <ops@example.com>",
+          to: "ada@x.com",
+          subject: "Hi",
+          text: "Hello",
+          html: undefined,
+        },
+      );
+    });
+
+    test("should default to a local MailHog", async () => {
+      process.env.SMTP_HOST = "localhost";
+      sendMail.mockResolvedValue({ messageId: "<1@tross.dev>" });
+
+      await EmailService.send({ to: "ada@x.com", subject: "Hi", text: "" });
+
+      expect(sendMail.mock.calls[0][0]).toMatchObject({
+        host: "localhost",
+        port: 1025,
+        secure: false,
+        user: null,
+      });
+      expect(sendMail.mock.calls[0][1].from).toBe("Tross <no-reply@tross.dev>");
+    });
+  });
+});
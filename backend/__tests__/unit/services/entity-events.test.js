@@ -0,0 +1,127 @@
+/**
+ * Entity Events Unit Tests
+ *
+ * Tests for: backend/services/entity-events.js
+ *
+ * Coverage:
+ * - subscribe()/unsubscribe() - entity filtering, replacement
+ * - isWatched() - per entity and catch-all subscribers
+ * - publish() - order, failure isolation
+ * - publishAll() - event shape, output filtering
+ */
+
+const EntityEvents = require("../../../services/entity-events");
+const { logger } = require("../../../config/logger");
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("EntityEvents", () => {
+  const event = { entity: "work_order", action: "updated", id: 42 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EntityEvents.unsubscribe("a");
+    EntityEvents.unsubscribe("b");
+  });
+
+  test("should deliver only the entities a subscriber watches", async () => {
+    const handler = jest.fn();
+    EntityEvents.subscribe("a", handler, { entities: ["invoice"] });
+
+    await EntityEvents.publish(event);
+    await EntityEvents.publish({ ...event, entity: "invoice" });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ ...event, entity: "invoice" });
+  });
+
+  test("should report which entities are watched", () => {
+    expect(EntityEvents.isWatched("work_order")).toBe(false);
+
+    EntityEvents.subscribe("a", jest.fn(), { entities: ["work_order"] });
+    expect(EntityEvents.isWatched("work_order")).toBe(true);
+    expect(EntityEvents.isWatched("invoice")).toBe(false);
+
+    EntityEvents.subscribe("b", jest.fn());
+    expect(EntityEvents.isWatched("invoice")).toBe(true);
+  });
+
+  test("should replace a subscriber registered under the same name", async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    EntityEvents.subscribe("a", first);
+    EntityEvents.subscribe("a", second);
+
+    await EntityEvents.publish(event);
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledWith(event);
+  });
+
+  test("should log a failing subscriber and still run the rest", async () => {
+    const calls = [];
+    EntityEvents.subscribe("a", async () => {
+      calls.push("a");
+      throw new Error("boom");
+    });
+    EntityEvents.subscribe("b", async () => calls.push("b"));
+
+    await expect(EntityEvents.publish(event)).resolves.toBeUndefined();
+
+    expect(calls).toEqual(["a", "b"]);
+    expect(logger.error).toHaveBeenCalledWith(
+      "Entity event subscriber failed",
+      expect.objectContaining({ subscriber: "a", id: 42, error: "boom" }),
+    );
+  });
+
+  test("should publish a service's changes in order, without internal columns", async () => {
+    const handler = jest.fn();
+    EntityEvents.subscribe("a", handler);
+    const before = { id: 42, status: "assigned", search_vector: "'pump':1" };
+    const after = { id: 42, status: "in_progress", search_vector: "'pump':1" };
+
+    await EntityEvents.publishAll(
+      [
+        { entity: "time_entry", action: "created", record: { id: 300 } },
+        {
+          entity: "work_order",
+          action: "updated",
+          record: after,
+          previous: before,
+        },
+      ],
+      7,
+    );
+
+    expect(handler.mock.calls).toEqual([
+      [
+        {
+          entity: "time_entry",
+          action: "created",
+          id: 300,
+          record: { id: 300 },
+          previous: null,
+          actorId: 7,
+        },
+      ],
+      [
+        {
+          entity: "work_order",
+          action: "updated",
+          id: 42,
+          record: { id: 42, status: "in_progress" },
+          previous: { id: 42, status: "assigned" },
+          actorId: 7,
+        },
+      ],
+    ]);
+  });
+});
@@ -173,6 +173,20 @@ describe("ExportService", () => {
       expect(queryCall[0]).toContain("WHERE");
     });
 
+    it("should report progress while querying and writing", async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ email: "a@x.com" }] });
+      const onProgress = jest.fn();
+
+      await ExportService.exportToCSV("customer", {}, null, ["email"], {
+        onProgress,
+      });
+
+      expect(onProgress.mock.calls).toEqual([
+        [10, "Querying records"],
+        [70, "Writing CSV"],
+      ]);
+    });
+
     it("should throw error for unknown entity", async () => {
       await expect(ExportService.exportToCSV("unknown_entity")).rejects.toThrow(
         "Unknown entity: unknown_entity",
@@ -301,6 +315,25 @@ describe("ExportService", () => {
     });
   });
 
+  describe("filter groups", () => {
+    it("should AND boolean filter groups with the active filter", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await ExportService.exportToCSV("customer", {
+        filters: {
+          or: [{ status: "active" }, { email: "billing@acme.test" }],
+        },
+      });
+
+      const [query, params] = db.query.mock.calls[0];
+      expect(query).toContain(
+        "(customers.status = $1 OR customers.email = $2) " +
+          "AND customers.is_active = $3",
+      );
+      expect(params).toEqual(["active", "billing@acme.test", true]);
+    });
+  });
+
   describe("includeInactive option", () => {
     it("should filter to active records by default", async () => {
       db.query.mockResolvedValueOnce({ rows: [] });
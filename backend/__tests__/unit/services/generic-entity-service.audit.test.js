@@ -2,7 +2,8 @@
  * Generic Entity Service - Audit Logging Integration Tests
  *
  * Tests that GenericEntityService correctly integrates with audit-helper
- * for create, update, and delete operations.
+ * for create, update, and delete operations, plus forced schedule
+ * conflict overrides.
  *
  * MOCKING STRATEGY:
  * - db/connection: createDBMock() from __tests__/mocks
@@ -22,9 +23,11 @@ jest.mock("../../../config/logger", () => ({
 
 const mockLogEntityAudit = jest.fn();
 const mockIsAuditEnabled = jest.fn();
+const mockLogScheduleConflictOverride = jest.fn();
 
 jest.mock("../../../db/helpers/audit-helper", () => ({
   logEntityAudit: mockLogEntityAudit,
+  logScheduleConflictOverride: mockLogScheduleConflictOverride,
   isAuditEnabled: mockIsAuditEnabled,
 }));
 
@@ -441,4 +444,115 @@ describe("GenericEntityService - Audit Logging", () => {
       expect(mockLogEntityAudit).toHaveBeenCalled();
     });
   });
+
+  // ==========================================================================
+  // SCHEDULE CONFLICT OVERRIDE - Audit Logging
+  // ==========================================================================
+
+  describe("schedule conflict override - audit logging", () => {
+    const mockAuditContext = { userId: 123 };
+    const schedule = {
+      assigned_technician_id: 7,
+      scheduled_start: "2025-06-02T09:00:00Z",
+      scheduled_end: "2025-06-02T11:00:00Z",
+    };
+    const conflict = {
+      id: 3,
+      work_order_number: "WO-2025-0003",
+      scheduled_start: "2025-06-02T10:00:00Z",
+      scheduled_end: "2025-06-02T12:00:00Z",
+    };
+    const options = {
+      auditContext: mockAuditContext,
+      force: true,
+      userRole: "manager",
+    };
+
+    /**
+     * Answer the booking transaction (lock, overlap query, write)
+     */
+    const mockBooking = (conflicts, written) => {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes("FROM work_orders")) {
+          return { rows: conflicts };
+        }
+        if (sql.includes("INSERT") || sql.includes("UPDATE")) {
+          return { rows: written };
+        }
+        return { rows: [] };
+      });
+    };
+
+    test("should audit a forced create over a conflict", async () => {
+      // Arrange
+      const created = { id: 9, work_order_number: "WO-2025-0009", ...schedule };
+      mockBooking([conflict], [created]);
+
+      // Act
+      await GenericEntityService.create(
+        "work_order",
+        { customer_id: 1, work_order_number: "WO-2025-0009", ...schedule },
+        options,
+      );
+
+      // Assert
+      expect(mockLogEntityAudit).toHaveBeenCalledWith(
+        "create",
+        "work_order",
+        expect.objectContaining({ id: 9 }),
+        mockAuditContext,
+      );
+      expect(mockLogScheduleConflictOverride).toHaveBeenCalledWith(
+        "work_order",
+        expect.objectContaining({ id: 9 }),
+        [conflict],
+        mockAuditContext,
+      );
+    });
+
+    test("should audit a forced update over a conflict", async () => {
+      // Arrange
+      const oldRecord = { id: 1, status: "assigned", ...schedule };
+      const newStart = "2025-06-02T10:30:00Z";
+      mockBooking([conflict], [{ id: 1 }]);
+      db.query
+        .mockResolvedValueOnce({ rows: [oldRecord] }) // findById for old values
+        .mockResolvedValueOnce({
+          rows: [{ ...oldRecord, scheduled_start: newStart }],
+        }); // re-fetch
+
+      // Act
+      await GenericEntityService.update(
+        "work_order",
+        1,
+        { scheduled_start: newStart },
+        options,
+      );
+
+      // Assert
+      expect(mockLogScheduleConflictOverride).toHaveBeenCalledWith(
+        "work_order",
+        expect.objectContaining({ id: 1, scheduled_start: newStart }),
+        [conflict],
+        mockAuditContext,
+      );
+    });
+
+    test("should NOT audit an override when nothing conflicted", async () => {
+      // Arrange
+      const created = { id: 9, ...schedule };
+      mockBooking([], [created]);
+
+      // Act
+      await GenericEntityService.create(
+        "work_order",
+        { customer_id: 1, work_order_number: "WO-2025-0009", ...schedule },
+        options,
+      );
+
+      // Assert
+      expect(mockLogEntityAudit).toHaveBeenCalled();
+      expect(mockLogScheduleConflictOverride).not.toHaveBeenCalled();
+    });
+  });
 });
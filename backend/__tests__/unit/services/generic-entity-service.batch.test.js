@@ -26,6 +26,7 @@ jest.mock("../../../db/helpers/cascade-helper", () => ({
 
 jest.mock("../../../db/helpers/audit-helper", () => ({
   logEntityAudit: jest.fn(),
+  logScheduleConflictOverride: jest.fn(),
   isAuditEnabled: jest.fn().mockReturnValue(true),
 }));
 
@@ -34,6 +35,9 @@ const db = require("../../../db/connection");
 const {
   cascadeDeleteDependents,
 } = require("../../../db/helpers/cascade-helper");
+const {
+  logScheduleConflictOverride,
+} = require("../../../db/helpers/audit-helper");
 
 describe("GenericEntityService.batch()", () => {
   let mockClient;
@@ -223,6 +227,216 @@ describe("GenericEntityService.batch()", () => {
       expect(result.success).toBe(false);
       expect(result.errors[0].error).toContain("Record not found");
     });
+
+    test("should reject undeclared status transition with structured error", async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: "void" }] }) // SELECT
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const result = await GenericEntityService.batch("invoice", [
+        { operation: "update", id: 1, data: { status: "paid" } },
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatchObject({
+        code: "INVALID_STATUS_TRANSITION",
+        details: { from: "void", to: "paid", allowedTransitions: [] },
+      });
+      expect(mockClient.query).not.toHaveBeenCalledWith(
+        expect.stringContaining("UPDATE"),
+        expect.anything(),
+      );
+    });
+
+    test("should enforce transition minimum role from options.userRole", async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: "in_progress" }] }) // SELECT
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const result = await GenericEntityService.batch(
+        "work_order",
+        [{ operation: "update", id: 1, data: { status: "cancelled" } }],
+        { userRole: "dispatcher" },
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatchObject({
+        code: "FORBIDDEN",
+        details: { requiredRole: "manager" },
+      });
+    });
+
+    test("should reject a double-booking against earlier rows in the transaction", async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, status: "assigned", assigned_technician_id: null }],
+        }) // SELECT
+        .mockResolvedValueOnce({ rows: [] }) // technician schedule lock
+        .mockResolvedValueOnce({
+          rows: [{ id: 2, work_order_number: "WO-2025-0002" }],
+        }) // conflict check
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const result = await GenericEntityService.batch("work_order", [
+        {
+          operation: "update",
+          id: 1,
+          data: {
+            assigned_technician_id: 7,
+            scheduled_start: "2025-06-02T09:00:00Z",
+            scheduled_end: "2025-06-02T11:00:00Z",
+          },
+        },
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatchObject({
+        code: "SCHEDULE_CONFLICT",
+        details: { resourceId: 7, conflicts: [{ id: 2 }] },
+      });
+      expect(mockClient.query.mock.calls[2]).toEqual([
+        expect.stringContaining("pg_advisory_xact_lock"),
+        ["work_orders.assigned_technician_id", 7],
+      ]);
+      expect(mockClient.query.mock.calls[3][1]).toEqual([
+        7,
+        "2025-06-02T09:00:00Z",
+        "2025-06-02T11:00:00Z",
+        ["completed", "cancelled"],
+        1,
+      ]);
+      expect(mockClient.query).not.toHaveBeenCalledWith(
+        expect.stringContaining("UPDATE"),
+        expect.anything(),
+      );
+    });
+
+    test("should allow a per-operation force and audit the override", async () => {
+      const conflict = { id: 2, work_order_number: "WO-2025-0002" };
+      const created = { id: 5, assigned_technician_id: 7 };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // technician schedule lock
+        .mockResolvedValueOnce({ rows: [conflict] }) // conflict check
+        .mockResolvedValueOnce({ rows: [created] }) // INSERT
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const auditContext = { userId: 1 };
+      const result = await GenericEntityService.batch(
+        "work_order",
+        [
+          {
+            operation: "create",
+            force: true,
+            data: {
+              customer_id: 1,
+              assigned_technician_id: 7,
+              scheduled_start: "2025-06-02T09:00:00Z",
+              scheduled_end: "2025-06-02T11:00:00Z",
+            },
+          },
+        ],
+        { auditContext },
+      );
+
+      expect(result.success).toBe(true);
+      expect(logScheduleConflictOverride).toHaveBeenCalledWith(
+        "work_order",
+        expect.objectContaining({ id: 5 }),
+        [conflict],
+        auditContext,
+      );
+    });
+
+    test("should apply declared status transition", async () => {
+      const oldRecord = { id: 1, status: "in_progress", completed_at: null };
+      const newRecord = {
+        id: 1,
+        status: "completed",
+        completed_at: "2025-01-01T00:00:00Z",
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [oldRecord] }) // SELECT
+        .mockResolvedValueOnce({ rows: [newRecord] }) // UPDATE
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const result = await GenericEntityService.batch(
+        "work_order",
+        [
+          {
+            operation: "update",
+            id: 1,
+            data: { status: "completed", completed_at: newRecord.completed_at },
+          },
+        ],
+        { userRole: "dispatcher" },
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.stats.updated).toBe(1);
+    });
+
+    test("should derive inventory status and notify after COMMIT", async () => {
+      const oldRecord = {
+        id: 7,
+        sku: "FLT-20X25",
+        quantity: 12,
+        reorder_level: 10,
+        status: "in_stock",
+      };
+      const newRecord = { ...oldRecord, quantity: 4, status: "low_stock" };
+
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [oldRecord] }) // SELECT
+        .mockResolvedValueOnce({ rows: [newRecord] }) // UPDATE
+        .mockResolvedValueOnce({}); // COMMIT
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1 }], rowCount: 1 });
+
+      const result = await GenericEntityService.batch("inventory", [
+        { operation: "update", id: 7, data: { quantity: 4 } },
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(mockClient.query.mock.calls[2][1]).toEqual([7, 4, "low_stock"]);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO notifications"),
+        expect.arrayContaining(["manager", "inventory", 7]),
+      );
+      expect(db.query.mock.invocationCallOrder[0]).toBeGreaterThan(
+        mockClient.query.mock.invocationCallOrder[3],
+      );
+    });
+
+    test("should not notify when the batch rolls back", async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 7, quantity: 12, reorder_level: 10, status: "in_stock" },
+          ],
+        }) // SELECT
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 7, quantity: 4, reorder_level: 10, status: "low_stock" },
+          ],
+        }) // UPDATE
+        .mockResolvedValueOnce({ rows: [] }) // SELECT - not found
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const result = await GenericEntityService.batch("inventory", [
+        { operation: "update", id: 7, data: { quantity: 4 } },
+        { operation: "update", id: 999, data: { quantity: 1 } },
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(db.query).not.toHaveBeenCalled();
+    });
   });
 
   describe("delete operations", () => {
@@ -0,0 +1,165 @@
+/**
+ * Generic Entity Service - Entity Events Tests
+ *
+ * Tests that GenericEntityService publishes lifecycle events
+ * (services/entity-events.js) after create, update and delete, and leaves
+ * them to the caller when the update runs on the caller's transaction.
+ *
+ * MOCKING STRATEGY:
+ * - db/connection: createDBMock() from __tests__/mocks
+ * - config/logger: createLoggerMock() from __tests__/mocks
+ * - services/entity-events: Mocked to verify calls
+ */
+
+// ============================================================================
+// MOCKS - Must be set up before imports
+// ============================================================================
+jest.mock("../../../db/connection", () =>
+  require("../../mocks").createDBMock(),
+);
+jest.mock("../../../config/logger", () => ({
+  logger: require("../../mocks").createLoggerMock(),
+}));
+jest.mock("../../../services/entity-events", () => ({
+  publish: jest.fn(),
+  isWatched: jest.fn(),
+}));
+
+// ============================================================================
+// IMPORTS - After mocks
+// ============================================================================
+const GenericEntityService = require("../../../services/generic-entity-service");
+const EntityEvents = require("../../../services/entity-events");
+const db = require("../../../db/connection");
+
+describe("GenericEntityService - Entity Events", () => {
+  const auditContext = { userId: 123, ipAddress: null, userAgent: "jest" };
+  const oldRecord = { id: 1, email: "old@example.com", phone: "555-1234" };
+  const newRecord = { id: 1, email: "old@example.com", phone: "555-9999" };
+  let mockClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EntityEvents.isWatched.mockReturnValue(false);
+    mockClient = { query: jest.fn(), release: jest.fn() };
+    db.getClient.mockResolvedValue(mockClient);
+  });
+
+  test("should publish 'created' with the acting user", async () => {
+    db.query.mockResolvedValue({ rows: [newRecord], rowCount: 1 });
+
+    await GenericEntityService.create(
+      "customer",
+      {
+        first_name: "John",
+        last_name: "Doe",
+        email: "old@example.com",
+        phone: "555-9999",
+      },
+      { auditContext },
+    );
+
+    expect(EntityEvents.publish).toHaveBeenCalledWith({
+      entity: "customer",
+      action: "created",
+      id: 1,
+      record: expect.objectContaining({ id: 1 }),
+      previous: null,
+      actorId: 123,
+    });
+  });
+
+  test("should publish 'updated' with the previous row when watched", async () => {
+    EntityEvents.isWatched.mockReturnValue(true);
+    db.query
+      .mockResolvedValueOnce({ rows: [oldRecord], rowCount: 1 }) // previous row
+      .mockResolvedValueOnce({ rows: [{ id: 1 }], rowCount: 1 }) // update
+      .mockResolvedValueOnce({ rows: [newRecord], rowCount: 1 }); // re-fetch
+
+    await GenericEntityService.update("customer", 1, { phone: "555-9999" });
+
+    expect(EntityEvents.publish).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity: "customer",
+        action: "updated",
+        id: 1,
+        record: expect.objectContaining({ phone: "555-9999" }),
+        previous: expect.objectContaining({ phone: "555-1234" }),
+        actorId: null,
+      }),
+    );
+  });
+
+  test("should not load the previous row when nobody watches", async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 1 }], rowCount: 1 }) // update
+      .mockResolvedValueOnce({ rows: [newRecord], rowCount: 1 }); // re-fetch
+
+    await GenericEntityService.update("customer", 1, { phone: "555-9999" });
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(EntityEvents.publish).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "updated", previous: null }),
+    );
+  });
+
+  test("should publish 'deleted' after the commit", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // BEGIN
+      .mockResolvedValueOnce({ rows: [oldRecord], rowCount: 1 }) // SELECT
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // CASCADE DELETE
+      .mockResolvedValueOnce({ rows: [oldRecord], rowCount: 1 }) // DELETE
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 }); // COMMIT
+
+    await GenericEntityService.delete("customer", 1, { auditContext });
+
+    expect(EntityEvents.publish).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity: "customer",
+        action: "deleted",
+        id: 1,
+        previous: expect.objectContaining({ id: 1 }),
+        actorId: 123,
+      }),
+    );
+  });
+
+  test("should read and write on the caller's client and collect the event", async () => {
+    EntityEvents.isWatched.mockReturnValue(true);
+    const client = { query: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({ rows: [oldRecord], rowCount: 1 }) // previous row
+      .mockResolvedValueOnce({ rows: [{ id: 1 }], rowCount: 1 }) // update
+      .mockResolvedValueOnce({ rows: [newRecord], rowCount: 1 }); // re-fetch
+    const changes = [];
+
+    const result = await GenericEntityService.update(
+      "customer",
+      1,
+      { phone: "555-9999" },
+      { client, changes },
+    );
+
+    expect(result).toEqual(expect.objectContaining({ phone: "555-9999" }));
+    expect(client.query).toHaveBeenCalledTimes(3);
+    expect(db.query).not.toHaveBeenCalled();
+    expect(db.getClient).not.toHaveBeenCalled();
+    expect(EntityEvents.publish).not.toHaveBeenCalled();
+    expect(changes).toEqual([
+      {
+        entity: "customer",
+        action: "updated",
+        record: expect.objectContaining({ phone: "555-9999" }),
+        previous: expect.objectContaining({ phone: "555-1234" }),
+      },
+    ]);
+  });
+
+  test("should not publish when the update finds no row", async () => {
+    db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 }); // update
+
+    await GenericEntityService.update("customer", 99, { phone: "555-9999" });
+
+    expect(EntityEvents.publish).not.toHaveBeenCalled();
+  });
+});
@@ -676,6 +676,88 @@ describe("GenericEntityService", () => {
         expect(params).toEqual([10, 42]);
       });
     });
+
+    // ------------------------------------------------------------------------
+    // Includes
+    // ------------------------------------------------------------------------
+
+    describe("includes", () => {
+      test("should join belongsTo and batch hasMany after the RLS params", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({
+            rows: [
+              {
+                id: 10,
+                customer_id: 42,
+                include_customer: { id: 42, first_name: "Ada" },
+              },
+            ],
+          })
+          .mockResolvedValueOnce({
+            rows: [{ id: 3, invoice_number: "INV-3", work_order_id: 10 }],
+          });
+
+        // Act
+        const result = await GenericEntityService.findById(
+          "work_order",
+          10,
+          { policy: "own_work_orders_only", userId: 42 },
+          {
+            include: ["customer", "invoices"],
+            includeRls: {
+              customer: { policy: "own_record_only", userId: 42 },
+              invoices: { policy: "own_invoices_only", userId: 42 },
+            },
+          },
+        );
+
+        // Assert
+        const [query, params] = db.query.mock.calls[0];
+        expect(query).toContain("LEFT JOIN LATERAL");
+        expect(query).toContain("include_customer.include_customer");
+        expect(query).toContain("AND id = $3");
+        expect(params).toEqual([10, 42, 42]);
+        expect(db.query.mock.calls[1][1]).toEqual([[10], 42]);
+        expect(result).toEqual({
+          id: 10,
+          customer_id: 42,
+          included: {
+            customer: { id: 42, first_name: "Ada" },
+            invoices: [{ id: 3, invoice_number: "INV-3" }],
+          },
+        });
+      });
+
+      test("should not query includes when the entity is not found", async () => {
+        // Arrange
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        // Act
+        const result = await GenericEntityService.findById(
+          "work_order",
+          10,
+          null,
+          {
+            include: ["invoices"],
+          },
+        );
+
+        // Assert
+        expect(result).toBeNull();
+        expect(db.query).toHaveBeenCalledTimes(1);
+      });
+
+      test("should reject an unknown include", async () => {
+        // Act & Assert
+        await expect(
+          GenericEntityService.findById("work_order", 10, null, {
+            include: ["owner"],
+          }),
+        ).rejects.toThrow("Cannot include 'owner'");
+        expect(db.query).not.toHaveBeenCalled();
+      });
+    });
   });
 
   // ==========================================================================
@@ -830,6 +912,210 @@ describe("GenericEntityService", () => {
       });
     });
 
+    // ------------------------------------------------------------------------
+    // Cursor Pagination and Count Modes
+    // ------------------------------------------------------------------------
+
+    describe("cursor pagination", () => {
+      const PaginationService = require("../../../services/pagination-service");
+
+      test("should start at the first page with an empty cursor", async () => {
+        // Arrange - limit 2, three rows back means there is a next page
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "3" }] })
+          .mockResolvedValueOnce({
+            rows: [
+              { id: 1, cursor_sort_value: "a@x.com", email: "a@x.com" },
+              { id: 2, cursor_sort_value: "b@x.com", email: "b@x.com" },
+              { id: 3, cursor_sort_value: "c@x.com", email: "c@x.com" },
+            ],
+          });
+
+        // Act
+        const result = await GenericEntityService.findAll("user", {
+          cursor: "",
+          limit: 2,
+          sortBy: "email",
+          sortOrder: "ASC",
+        });
+
+        // Assert
+        const query = db.query.mock.calls[1][0];
+        expect(query).toContain("users.email::text AS cursor_sort_value");
+        expect(query).toContain(
+          "ORDER BY users.email ASC NULLS LAST, users.id ASC",
+        );
+        expect(query).toContain("LIMIT 3");
+        expect(query).not.toContain("OFFSET");
+        expect(result.data.map((row) => row.id)).toEqual([1, 2]);
+        expect(result.data[0]).not.toHaveProperty("cursor_sort_value");
+        expect(result.pagination).toEqual(
+          expect.objectContaining({ total: 3, hasNext: true, hasPrev: false }),
+        );
+        expect(
+          PaginationService.decodeCursor(result.pagination.nextCursor),
+        ).toEqual(
+          expect.objectContaining({ value: "b@x.com", id: 2, field: "email" }),
+        );
+      });
+
+      test("should continue after the cursor row, counting without it", async () => {
+        // Arrange
+        const cursor = PaginationService.encodeCursor(
+          { id: 2, cursor_sort_value: "b@x.com" },
+          { field: "email", order: "ASC" },
+          "next",
+        );
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "3" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        // Act
+        await GenericEntityService.findAll("user", {
+          cursor,
+          limit: 2,
+          sortBy: "email",
+          sortOrder: "ASC",
+        });
+
+        // Assert
+        const [countQuery, countParams] = db.query.mock.calls[0];
+        const [query, params] = db.query.mock.calls[1];
+        expect(countQuery).not.toContain("users.email >");
+        expect(query).toContain(
+          "(users.email > $2 OR (users.email = $2 AND users.id > $3) OR users.email IS NULL)",
+        );
+        expect(params).toEqual([...countParams, "b@x.com", 2]);
+      });
+
+      test("should reject a cursor made for another sort", async () => {
+        const cursor = PaginationService.encodeCursor(
+          { id: 2, cursor_sort_value: "b@x.com" },
+          { field: "email", order: "ASC" },
+          "next",
+        );
+
+        await expect(
+          GenericEntityService.findAll("user", {
+            cursor,
+            sortBy: "email",
+            sortOrder: "DESC",
+          }),
+        ).rejects.toThrow("Cursor is for sort email ASC");
+        expect(db.query).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("count modes", () => {
+      test("should skip the count and read one extra row with count=none", async () => {
+        // Arrange - only the page query runs
+        db.query.mockResolvedValueOnce({
+          rows: [{ id: 1 }, { id: 2 }, { id: 3 }],
+        });
+
+        // Act
+        const result = await GenericEntityService.findAll("user", {
+          limit: 2,
+          count: "none",
+        });
+
+        // Assert
+        expect(db.query).toHaveBeenCalledTimes(1);
+        expect(db.query.mock.calls[0][0]).toContain("LIMIT 3 OFFSET 0");
+        expect(result.data).toHaveLength(2);
+        expect(result.pagination).toEqual(
+          expect.objectContaining({
+            total: null,
+            totalPages: null,
+            hasNext: true,
+          }),
+        );
+      });
+
+      test("should use the planner estimate with count=estimated", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({
+            rows: [{ "QUERY PLAN": [{ Plan: { "Plan Rows": 1234 } }] }],
+          })
+          .mockResolvedValueOnce({ rows: [] });
+
+        // Act
+        const result = await GenericEntityService.findAll("user", {
+          count: "estimated",
+        });
+
+        // Assert
+        expect(db.query.mock.calls[0][0]).toMatch(
+          /^EXPLAIN \(FORMAT JSON\) SELECT 1 FROM users/,
+        );
+        expect(result.pagination.total).toBe(1234);
+        expect(result.pagination.totalEstimated).toBe(true);
+        expect(result.appliedFilters.count).toBe("estimated");
+      });
+    });
+
+    describe("includes", () => {
+      test("should add include joins to the page query only", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "1" }] })
+          .mockResolvedValueOnce({
+            rows: [
+              {
+                id: 10,
+                include_assignedTechnician: null,
+                include_customer: { id: 42, first_name: "Ada" },
+              },
+            ],
+          });
+
+        // Act
+        const result = await GenericEntityService.findAll(
+          "work_order",
+          { include: ["customer", "assignedTechnician"] },
+          { policy: "own_work_orders_only", userId: 42 },
+        );
+
+        // Assert
+        const [countQuery, countParams] = db.query.mock.calls[0];
+        const [pageQuery, pageParams] = db.query.mock.calls[1];
+        expect(countQuery).not.toContain("LATERAL");
+        expect(pageQuery.match(/LEFT JOIN LATERAL/g)).toHaveLength(2);
+        expect(pageParams).toEqual(countParams);
+        expect(result.data[0].included).toEqual({
+          customer: { id: 42, first_name: "Ada" },
+          assignedTechnician: null,
+        });
+        expect(result.data[0]).not.toHaveProperty("include_customer");
+      });
+
+      test("should load a hasMany include with one query per page", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "2" }] })
+          .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] })
+          .mockResolvedValueOnce({
+            rows: [{ id: 5, inventory_id: 9, quantity: 2, work_order_id: 2 }],
+          });
+
+        // Act
+        const result = await GenericEntityService.findAll("work_order", {
+          include: ["parts"],
+        });
+
+        // Assert
+        expect(db.query).toHaveBeenCalledTimes(3);
+        expect(db.query.mock.calls[2][0]).toContain(
+          "FROM work_order_parts WHERE work_order_id = ANY($1)",
+        );
+        expect(result.data.map((row) => row.included.parts)).toEqual([
+          [],
+          [{ id: 5, inventory_id: 9, quantity: 2 }],
+        ]);
+      });
+    });
+
     // ------------------------------------------------------------------------
     // Response Structure
     // ------------------------------------------------------------------------
@@ -866,6 +1152,57 @@ describe("GenericEntityService", () => {
         expect(result.appliedFilters.search).toBe("john");
       });
 
+      test("should rank full-text matches and keep matched highlights", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "1" }] })
+          .mockResolvedValueOnce({
+            rows: [
+              {
+                id: 1,
+                name: "Leaking water heater",
+                search_vector: "'heater':3A",
+                search_rank: 0.6,
+                search_highlights: {
+                  name: "Leaking water <mark>heater</mark>",
+                  summary: "Customer called on Monday",
+                },
+              },
+            ],
+          });
+
+        // Act
+        const result = await GenericEntityService.findAll("work_order", {
+          search: "heater",
+        });
+
+        // Assert
+        const query = db.query.mock.calls[1][0];
+        expect(query).toContain("AS search_rank");
+        expect(query).toMatch(/ORDER BY search_rank DESC, /);
+        expect(result.data[0]).not.toHaveProperty("search_vector");
+        expect(result.data[0].search_highlights).toEqual({
+          name: "Leaking water <mark>heater</mark>",
+        });
+        expect(result.appliedFilters.searchMode).toBe("full_text");
+      });
+
+      test("should report ILIKE search mode for identifier terms", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        // Act
+        const result = await GenericEntityService.findAll("work_order", {
+          search: "WO-2026-0042",
+        });
+
+        // Assert
+        expect(db.query.mock.calls[1][0]).not.toContain("search_rank");
+        expect(result.appliedFilters.searchMode).toBe("ilike");
+      });
+
       test("should track filters in appliedFilters", async () => {
         // Arrange
         db.query
@@ -1085,7 +1422,7 @@ describe("GenericEntityService", () => {
         expect(result.data).toEqual(mockWorkOrders);
         // Should have both search params and RLS params
         const selectParams = db.query.mock.calls[1][1];
-        expect(selectParams).toContain("%Fix%"); // Search param
+        expect(selectParams).toContain("Fix"); // Full-text search param
         expect(selectParams).toContain(42); // RLS userId param
       });
 
@@ -1558,6 +1895,75 @@ describe("GenericEntityService", () => {
         expect(result.license_number).toBe("TECH-001");
       });
     });
+
+    // ------------------------------------------------------------------------
+    // Initial Status (metadata.statusTransitions.initialStates)
+    // ------------------------------------------------------------------------
+
+    describe("initial status", () => {
+      const insertCalls = () =>
+        db.query.mock.calls.filter(([sql]) => sql.includes("INSERT INTO"));
+
+      beforeEach(() => {
+        // Identifier generation and any INSERT
+        db.query.mockResolvedValue({ rows: [{ id: 1, next_value: 1 }] });
+      });
+
+      test("should reject a work order created as completed", async () => {
+        await expect(
+          GenericEntityService.create(
+            "work_order",
+            { customer_id: 3, status: "completed" },
+            { userRole: "admin" },
+          ),
+        ).rejects.toMatchObject({
+          statusCode: 409,
+          code: "INVALID_STATUS_TRANSITION",
+        });
+        expect(insertCalls()).toHaveLength(0);
+      });
+
+      test("should reject an invoice created as paid", async () => {
+        await expect(
+          GenericEntityService.create(
+            "invoice",
+            {
+              customer_id: 3,
+              amount: 100,
+              total: 100,
+              status: "paid",
+              paid_at: "2025-01-01T00:00:00Z",
+            },
+            { userRole: "admin" },
+          ),
+        ).rejects.toMatchObject({
+          statusCode: 409,
+          code: "INVALID_STATUS_TRANSITION",
+        });
+        expect(insertCalls()).toHaveLength(0);
+      });
+
+      test("should reject a customer booking a work order as assigned", async () => {
+        await expect(
+          GenericEntityService.create(
+            "work_order",
+            { customer_id: 3, status: "assigned", assigned_technician_id: 12 },
+            { userRole: "customer" },
+          ),
+        ).rejects.toMatchObject({ statusCode: 403, code: "FORBIDDEN" });
+        expect(insertCalls()).toHaveLength(0);
+      });
+
+      test("should create a work order in an initial state", async () => {
+        await GenericEntityService.create(
+          "work_order",
+          { customer_id: 3, status: "pending" },
+          { userRole: "customer" },
+        );
+
+        expect(insertCalls()).toHaveLength(1);
+      });
+    });
   });
 
   // ==========================================================================
@@ -1905,13 +2311,15 @@ describe("GenericEntityService", () => {
       });
 
       test("should update workOrder entity", async () => {
-        // Arrange - UPDATE returns id, then findById re-fetches
+        // Arrange - status change pre-fetches current record, UPDATE returns id,
+        // then findById re-fetches
         const updatedWorkOrder = {
           id: 1,
           title: "Updated Title",
           status: "in_progress",
         };
         db.query
+          .mockResolvedValueOnce({ rows: [{ id: 1, status: "assigned" }] }) // current record
           .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // UPDATE RETURNING id
           .mockResolvedValueOnce({ rows: [updatedWorkOrder] }); // findById re-fetch
 
@@ -1927,6 +2335,405 @@ describe("GenericEntityService", () => {
       });
     });
 
+    // ------------------------------------------------------------------------
+    // Status Transitions (metadata.statusTransitions)
+    // ------------------------------------------------------------------------
+
+    describe("status transitions", () => {
+      test("should reject undeclared transition with 409 before UPDATE", async () => {
+        // Arrange - current record is completed
+        db.query.mockResolvedValueOnce({
+          rows: [{ id: 1, status: "completed" }],
+        });
+
+        // Act & Assert
+        await expect(
+          GenericEntityService.update("work_order", 1, { status: "pending" }),
+        ).rejects.toMatchObject({
+          statusCode: 409,
+          code: "INVALID_STATUS_TRANSITION",
+          details: {
+            field: "status",
+            from: "completed",
+            to: "pending",
+            allowedTransitions: ["in_progress"],
+          },
+        });
+        expect(db.query).toHaveBeenCalledTimes(1);
+      });
+
+      test("should reject transition below minimum role with 403", async () => {
+        // Arrange
+        db.query.mockResolvedValueOnce({
+          rows: [{ id: 1, status: "sent", paid_at: null }],
+        });
+
+        // Act & Assert
+        await expect(
+          GenericEntityService.update(
+            "invoice",
+            1,
+            { status: "void" },
+            { userRole: "dispatcher" },
+          ),
+        ).rejects.toMatchObject({ statusCode: 403, code: "FORBIDDEN" });
+      });
+
+      test("should reject entry without required fields with 422", async () => {
+        // Arrange
+        db.query.mockResolvedValueOnce({
+          rows: [{ id: 1, status: "sent", paid_at: null }],
+        });
+
+        // Act & Assert
+        await expect(
+          GenericEntityService.update(
+            "invoice",
+            1,
+            { status: "paid" },
+            { userRole: "dispatcher" },
+          ),
+        ).rejects.toMatchObject({
+          statusCode: 422,
+          code: "MISSING_REQUIRED_FIELDS",
+          details: { missingFields: ["paid_at"] },
+        });
+      });
+
+      test("should allow declared transition when required fields supplied", async () => {
+        // Arrange
+        const paidInvoice = { id: 1, status: "paid" };
+        db.query
+          .mockResolvedValueOnce({ rows: [{ id: 1, status: "sent" }] }) // current record
+          .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // UPDATE RETURNING id
+          .mockResolvedValueOnce({ rows: [paidInvoice] }); // findById re-fetch
+
+        // Act
+        const result = await GenericEntityService.update(
+          "invoice",
+          1,
+          { status: "paid", paid_at: "2025-01-01T00:00:00Z" },
+          { userRole: "dispatcher" },
+        );
+
+        // Assert
+        expect(result).toEqual(paidInvoice);
+      });
+
+      test("should not pre-fetch when status is not being changed", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // UPDATE RETURNING id
+          .mockResolvedValueOnce({ rows: [{ id: 1, priority: "high" }] }); // re-fetch
+
+        // Act
+        await GenericEntityService.update("work_order", 1, {
+          priority: "high",
+        });
+
+        // Assert
+        expect(db.query).toHaveBeenCalledTimes(2);
+        expect(db.query.mock.calls[0][0]).toContain("UPDATE");
+      });
+    });
+
+    // ------------------------------------------------------------------------
+    // Schedule Conflicts (metadata.scheduleConflicts)
+    // ------------------------------------------------------------------------
+
+    describe("schedule conflicts", () => {
+      const booked = {
+        id: 1,
+        status: "assigned",
+        assigned_technician_id: 7,
+        scheduled_start: "2025-06-02T09:00:00Z",
+        scheduled_end: "2025-06-02T11:00:00Z",
+      };
+      const client = db.__getMockClient();
+
+      /**
+       * Answer the booking transaction: the overlap query returns
+       * conflicts, the INSERT/UPDATE returns written
+       */
+      const mockBooking = (conflicts, written = [{ id: 1 }]) => {
+        client.query.mockImplementation(async (sql) => {
+          if (sql.includes("FROM work_orders")) {
+            return { rows: conflicts };
+          }
+          if (sql.includes("INSERT") || sql.includes("UPDATE")) {
+            return { rows: written };
+          }
+          return { rows: [] };
+        });
+      };
+
+      /** SQL sent on the transaction client, in order */
+      const clientSql = () => client.query.mock.calls.map(([sql]) => sql);
+
+      afterEach(() => {
+        client.query.mockImplementation(async () => ({
+          rows: [],
+          rowCount: 0,
+        }));
+      });
+
+      test("should check the merged window and exclude the record itself", async () => {
+        // Arrange
+        mockBooking([]);
+        db.query
+          .mockResolvedValueOnce({ rows: [booked] }) // current record
+          .mockResolvedValueOnce({ rows: [booked] }); // re-fetch
+
+        // Act
+        await GenericEntityService.update("work_order", 1, {
+          scheduled_end: "2025-06-02T12:00:00Z",
+        });
+
+        // Assert
+        const [, params] = client.query.mock.calls.find(([sql]) =>
+          sql.includes("FROM work_orders"),
+        );
+        expect(params).toEqual([
+          7,
+          "2025-06-02T09:00:00Z",
+          "2025-06-02T12:00:00Z",
+          ["completed", "cancelled"],
+          1,
+        ]);
+      });
+
+      test("should lock the technician, check and write in one transaction", async () => {
+        // Arrange
+        mockBooking([]);
+        db.query
+          .mockResolvedValueOnce({ rows: [booked] }) // current record
+          .mockResolvedValueOnce({ rows: [booked] }); // re-fetch
+
+        // Act
+        await GenericEntityService.update("work_order", 1, {
+          scheduled_end: "2025-06-02T12:00:00Z",
+        });
+
+        // Assert
+        const sql = clientSql();
+        expect(sql[0]).toBe("BEGIN");
+        expect(sql[1]).toContain("pg_advisory_xact_lock");
+        expect(client.query.mock.calls[1][1]).toEqual([
+          "work_orders.assigned_technician_id",
+          7,
+        ]);
+        expect(sql[2]).toContain("FROM work_orders");
+        expect(sql[3]).toContain("UPDATE work_orders");
+        expect(sql[4]).toBe("COMMIT");
+      });
+
+      test("should reject a double-booking with 409 before UPDATE", async () => {
+        // Arrange
+        mockBooking([{ id: 2, work_order_number: "WO-2025-0002" }]);
+        db.query.mockResolvedValueOnce({ rows: [booked] }); // current record
+
+        // Act & Assert
+        await expect(
+          GenericEntityService.update("work_order", 1, {
+            scheduled_end: "2025-06-02T12:00:00Z",
+          }),
+        ).rejects.toMatchObject({
+          statusCode: 409,
+          code: "SCHEDULE_CONFLICT",
+          message: expect.stringContaining("WO-2025-0002"),
+        });
+        expect(clientSql().some((sql) => sql.includes("UPDATE"))).toBe(false);
+        expect(clientSql()).toContain("ROLLBACK");
+      });
+
+      test("should allow a manager to force a double-booking", async () => {
+        // Arrange
+        mockBooking([{ id: 2 }]);
+        db.query
+          .mockResolvedValueOnce({ rows: [booked] }) // current record
+          .mockResolvedValueOnce({ rows: [booked] }); // re-fetch
+
+        // Act
+        const result = await GenericEntityService.update(
+          "work_order",
+          1,
+          { scheduled_end: "2025-06-02T12:00:00Z" },
+          { force: true, userRole: "manager" },
+        );
+
+        // Assert
+        expect(result).toEqual(booked);
+      });
+
+      test("should reject force below manager with 403", async () => {
+        // Arrange
+        mockBooking([{ id: 2 }]);
+        db.query.mockResolvedValueOnce({ rows: [booked] }); // current record
+
+        // Act & Assert
+        await expect(
+          GenericEntityService.update(
+            "work_order",
+            1,
+            { scheduled_end: "2025-06-02T12:00:00Z" },
+            { force: true, userRole: "dispatcher" },
+          ),
+        ).rejects.toMatchObject({ statusCode: 403, code: "FORBIDDEN" });
+        expect(clientSql().some((sql) => sql.includes("UPDATE"))).toBe(false);
+      });
+
+      test("should reject a double-booking on create before INSERT", async () => {
+        // Arrange
+        mockBooking([{ id: 2, work_order_number: "WO-2025-0002" }]);
+
+        // Act & Assert
+        await expect(
+          GenericEntityService.create("work_order", {
+            customer_id: 1,
+            work_order_number: "WO-2025-0010",
+            assigned_technician_id: 7,
+            scheduled_start: "2025-06-02T10:00:00Z",
+            scheduled_end: "2025-06-02T11:30:00Z",
+          }),
+        ).rejects.toMatchObject({ statusCode: 409, code: "SCHEDULE_CONFLICT" });
+        expect(clientSql().some((sql) => sql.includes("INSERT"))).toBe(false);
+        expect(db.query).not.toHaveBeenCalled();
+      });
+
+      test("should not check unassigned work orders on create", async () => {
+        // Arrange
+        db.query.mockResolvedValueOnce({ rows: [{ id: 10 }] }); // INSERT
+
+        // Act
+        await GenericEntityService.create("work_order", {
+          customer_id: 1,
+          work_order_number: "WO-2025-0010",
+          scheduled_start: "2025-06-02T10:00:00Z",
+          scheduled_end: "2025-06-02T11:30:00Z",
+        });
+
+        // Assert
+        expect(db.query).toHaveBeenCalledTimes(1);
+        expect(db.query.mock.calls[0][0]).toContain("INSERT");
+        expect(db.getClient).not.toHaveBeenCalled();
+      });
+    });
+
+    // ------------------------------------------------------------------------
+    // Stock Status (metadata.stockStatus)
+    // ------------------------------------------------------------------------
+
+    describe("stock status", () => {
+      const item = {
+        id: 7,
+        sku: "FLT-20X25",
+        name: "Air filter",
+        quantity: 12,
+        reorder_level: 10,
+        status: "in_stock",
+        supplier: "Acme Supply",
+      };
+      const lowItem = { ...item, quantity: 4, status: "low_stock" };
+
+      test("should derive status from the merged quantity", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [item] }) // current record
+          .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // UPDATE RETURNING id
+          .mockResolvedValueOnce({ rows: [lowItem] }) // re-fetch
+          .mockResolvedValueOnce({ rows: [{ id: 1 }], rowCount: 1 }); // notifications
+
+        // Act
+        await GenericEntityService.update("inventory", 7, { quantity: 4 });
+
+        // Assert
+        const [sql, params] = db.query.mock.calls[1];
+        expect(sql).toContain("UPDATE inventory");
+        expect(sql).toContain("status = $");
+        expect(params).toContain("low_stock");
+      });
+
+      test("should notify managers when stock drops below reorder_level", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [item] }) // current record
+          .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // UPDATE RETURNING id
+          .mockResolvedValueOnce({ rows: [lowItem] }) // re-fetch
+          .mockResolvedValueOnce({ rows: [{ id: 1 }], rowCount: 1 }); // notifications
+
+        // Act
+        await GenericEntityService.update("inventory", 7, { quantity: 4 });
+
+        // Assert
+        const [sql, params] = db.query.mock.calls[3];
+        expect(sql).toContain("INSERT INTO notifications");
+        expect(params[0]).toBe("manager");
+        expect(params[1]).toBe("Reorder needed: FLT-20X25");
+        expect(params.slice(4)).toEqual(["inventory", 7]);
+      });
+
+      test("should not notify again while already below reorder_level", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [lowItem] }) // current record
+          .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // UPDATE RETURNING id
+          .mockResolvedValueOnce({ rows: [{ ...lowItem, quantity: 2 }] }); // re-fetch
+
+        // Act
+        await GenericEntityService.update("inventory", 7, { quantity: 2 });
+
+        // Assert
+        expect(db.query).toHaveBeenCalledTimes(3);
+      });
+
+      test("should keep discontinued when quantity changes", async () => {
+        // Arrange
+        const discontinued = { ...item, status: "discontinued" };
+        db.query
+          .mockResolvedValueOnce({ rows: [discontinued] }) // current record
+          .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // UPDATE RETURNING id
+          .mockResolvedValueOnce({ rows: [{ ...discontinued, quantity: 0 }] }); // re-fetch
+
+        // Act
+        await GenericEntityService.update("inventory", 7, { quantity: 0 });
+
+        // Assert
+        expect(db.query.mock.calls[1][1]).toContain("discontinued");
+        expect(db.query).toHaveBeenCalledTimes(3);
+      });
+
+      test("should not touch status for unrelated fields", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // UPDATE RETURNING id
+          .mockResolvedValueOnce({ rows: [item] }); // re-fetch
+
+        // Act
+        await GenericEntityService.update("inventory", 7, {
+          location: "Van 3",
+        });
+
+        // Assert
+        expect(db.query.mock.calls[0][0]).not.toContain("status");
+      });
+
+      test("should derive status on create from field defaults", async () => {
+        // Arrange
+        db.query.mockResolvedValueOnce({ rows: [{ id: 8 }] }); // INSERT
+
+        // Act
+        await GenericEntityService.create("inventory", {
+          name: "Fuse",
+          sku: "FUSE-10A",
+        });
+
+        // Assert - quantity defaults to 0
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain("status");
+        expect(params).toContain("out_of_stock");
+      });
+    });
+
     // ------------------------------------------------------------------------
     // System Protection (roles only)
     // ------------------------------------------------------------------------
@@ -0,0 +1,88 @@
+/**
+ * Inventory Service Unit Tests
+ *
+ * Tests for: backend/services/inventory-service.js
+ *
+ * Coverage:
+ * - getReorderReport() - query shape and supplier grouping
+ */
+
+const InventoryService = require("../../../services/inventory-service");
+const db = require("../../../db/connection");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn(),
+}));
+
+describe("InventoryService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getReorderReport()", () => {
+    const row = (id, supplier, shortfall) => ({
+      id,
+      sku: `SKU-${id}`,
+      name: `Item ${id}`,
+      quantity: 10 - shortfall,
+      reorder_level: 10,
+      shortfall,
+      status: "low_stock",
+      location: null,
+      supplier,
+    });
+
+    test("should select active, non-discontinued items below reorder level", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await InventoryService.getReorderReport();
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("reorder_level - quantity AS shortfall");
+      expect(sql).toContain("is_active = true");
+      expect(sql).toContain("NOT (status = ANY($1::text[]))");
+      expect(sql).toContain("quantity < reorder_level");
+      expect(sql).toContain("ORDER BY supplier NULLS LAST, shortfall DESC");
+      expect(params).toEqual([["discontinued"]]);
+    });
+
+    test("should group rows by supplier in query order", async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          row(1, "Acme Supply", 8),
+          row(2, "Acme Supply", 3),
+          row(3, "Bolt Co", 10),
+          row(4, null, 2),
+        ],
+      });
+
+      const report = await InventoryService.getReorderReport();
+
+      expect(report.totalItems).toBe(4);
+      expect(
+        report.suppliers.map(({ supplier, itemCount, totalShortfall }) => ({
+          supplier,
+          itemCount,
+          totalShortfall,
+        })),
+      ).toEqual([
+        { supplier: "Acme Supply", itemCount: 2, totalShortfall: 11 },
+        { supplier: "Bolt Co", itemCount: 1, totalShortfall: 10 },
+        { supplier: null, itemCount: 1, totalShortfall: 2 },
+      ]);
+      expect(report.suppliers[0].items.map((item) => item.id)).toEqual([1, 2]);
+    });
+
+    test("should return an empty report when nothing needs reordering", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(InventoryService.getReorderReport()).resolves.toEqual({
+        suppliers: [],
+        totalItems: 0,
+      });
+    });
+  });
+});
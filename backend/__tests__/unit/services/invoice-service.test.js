@@ -0,0 +1,648 @@
+/**
+ * Invoice Service Unit Tests
+ *
+ * Tests for: backend/services/invoice-service.js
+ *
+ * Coverage:
+ * - createFromWorkOrder() - draft invoice with labour and part lines, audit
+ * - createFromWorkOrder() - not completed, already invoiced, nothing to
+ *   bill, unknown or inactive work order
+ * - buildWorkOrderLines() - hours, markup, unpriced lines, cent rounding
+ * - addLineItem() / updateLineItem() / removeLineItem() - pricing, totals
+ *   recomputed, drafts only, never below a deposit, audit
+ * - resolveTaxRate() - standard, configured and unknown codes
+ * - entity events - new invoices, line changes and the totals they move
+ */
+
+const InvoiceService = require("../../../services/invoice-service");
+const SystemSettingsService = require("../../../services/system-settings-service");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+const {
+  logEntityAudit,
+  logEntityEvent,
+} = require("../../../db/helpers/audit-helper");
+const { generateIdentifier } = require("../../../utils/identifier-generator");
+const { AuditActions } = require("../../../services/audit-constants");
+const EntityEvents = require("../../../services/entity-events");
+
+// Mock dependencies
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityAudit: jest.fn(),
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../utils/identifier-generator", () => ({
+  generateIdentifier: jest.fn(),
+}));
+jest.mock("../../../services/system-settings-service", () => ({
+  getInvoicingSettings: jest.fn(),
+}));
+jest.mock("../../../services/entity-events", () => ({
+  publishAll: jest.fn(),
+}));
+
+describe("InvoiceService", () => {
+  const client = { query: jest.fn() };
+  const auditContext = { userId: 3, ipAddress: "127.0.0.1" };
+  const rates = {
+    parts_markup_percent: 20,
+    tax_rate_percent: 8,
+    payment_terms_days: 30,
+    tax_codes: { exempt: 0, reduced: 5 },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Early refusals leave queued query results behind
+    client.query.mockReset();
+    withTransaction.mockImplementation((callback) => callback(client));
+    SystemSettingsService.getInvoicingSettings.mockResolvedValue(rates);
+    generateIdentifier.mockResolvedValue("INV-2026-0007");
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const workOrder = {
+    id: 42,
+    work_order_number: "WO-2026-0042",
+    status: "completed",
+    is_active: true,
+    summary: "Replace water heater",
+    customer_id: 5,
+    first_name: "Pat",
+    last_name: "Lee",
+  };
+  const labor = {
+    technician_id: 12,
+    first_name: "Dana",
+    last_name: "Reyes",
+    hourly_rate: "80.00",
+    entries: 2,
+    billable_minutes: 90,
+  };
+  const part = {
+    work_order_part_id: 900,
+    inventory_id: 7,
+    sku: "WH-40G",
+    name: "40 gal water heater",
+    quantity: 1,
+    unit_cost: "400.00",
+  };
+
+  /**
+   * Mock the queries up to (not including) the insert:
+   * work order lock, earlier invoices, billable time, parts
+   */
+  const mockSources = ({
+    wo = workOrder,
+    existing = [],
+    time = [labor],
+    parts = [part],
+  } = {}) => {
+    client.query
+      .mockResolvedValueOnce({ rows: wo ? [wo] : [] })
+      .mockResolvedValueOnce({ rows: existing })
+      .mockResolvedValueOnce({ rows: time })
+      .mockResolvedValueOnce({ rows: parts });
+  };
+
+  // ============================================================================
+  // createFromWorkOrder
+  // ============================================================================
+
+  describe("createFromWorkOrder()", () => {
+    /**
+     * Mock the invoice insert, one insert per line, and the recalculation
+     */
+    const mockWrites = (lines, invoice) => {
+      client.query.mockResolvedValueOnce({ rows: [{ id: invoice.id }] });
+      lines.forEach((line) =>
+        client.query.mockResolvedValueOnce({ rows: [line] }),
+      );
+      client.query.mockResolvedValueOnce({ rows: [invoice] });
+    };
+
+    test("should create a draft invoice with labour and part lines", async () => {
+      mockSources();
+      const invoice = {
+        id: 70,
+        invoice_number: "INV-2026-0007",
+        work_order_id: 42,
+        customer_id: 5,
+        status: "draft",
+        amount: "600.00",
+        tax: "48.00",
+        total: "648.00",
+      };
+      const lineRows = [{ id: 1 }, { id: 2 }];
+      mockWrites(lineRows, invoice);
+
+      const result = await InvoiceService.createFromWorkOrder(
+        42,
+        { due_date: "2026-11-30" },
+        { auditContext },
+      );
+
+      expect(client.query.mock.calls[0][0]).toContain("FOR UPDATE");
+      expect(client.query.mock.calls[1][1]).toEqual([42, "void"]);
+
+      const [insertSql, params] = client.query.mock.calls[4];
+      expect(insertSql).toContain("INSERT INTO invoices");
+      expect(params).toEqual([
+        "INV-2026-0007",
+        "Pat Lee: Replace water heater: INV-2026-0007",
+        "Replace water heater",
+        42,
+        5,
+        "draft",
+        "2026-11-30",
+      ]);
+      expect(generateIdentifier).toHaveBeenCalledWith("invoice");
+
+      // 1.5h x 80 = 120, tax 8%
+      const [laborSql, laborParams] = client.query.mock.calls[5];
+      expect(laborSql).toContain("INSERT INTO invoice_line_items");
+      expect(laborParams).toEqual([
+        70,
+        "Labour: Dana Reyes",
+        1.5,
+        80,
+        "standard",
+        8,
+        120,
+        9.6,
+        null,
+        12,
+      ]);
+      // 400 + 20% = 480, tax 8%
+      expect(client.query.mock.calls[6][1]).toEqual([
+        70,
+        "WH-40G - 40 gal water heater",
+        1,
+        480,
+        "standard",
+        8,
+        480,
+        38.4,
+        7,
+        null,
+      ]);
+
+      const [recalcSql, recalcParams] = client.query.mock.calls[7];
+      expect(recalcSql).toContain("UPDATE invoices");
+      expect(recalcParams).toEqual([70]);
+
+      expect(result).toEqual({ invoice, line_items: lineRows });
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVOICE_CREATE,
+        "invoice",
+        invoice,
+        auditContext,
+        expect.objectContaining({
+          newValues: expect.objectContaining({
+            work_order_id: 42,
+            total: "648.00",
+            line_items: 2,
+          }),
+        }),
+      );
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [
+          { entity: "invoice", action: "created", record: invoice },
+          { entity: "invoice_line_item", action: "created", record: { id: 1 } },
+          { entity: "invoice_line_item", action: "created", record: { id: 2 } },
+        ],
+        3,
+      );
+    });
+
+    test("should default the summary and due date from the work order and terms", async () => {
+      jest.useFakeTimers().setSystemTime(new Date("2026-10-19T12:00:00Z"));
+      try {
+        mockSources({ wo: { ...workOrder, summary: null }, parts: [] });
+        mockWrites([{ id: 1 }], { id: 70 });
+
+        await InvoiceService.createFromWorkOrder(42);
+
+        const params = client.query.mock.calls[4][1];
+        expect(params[2]).toBe("Work order WO-2026-0042");
+        expect(params[6]).toBe("2026-11-18");
+        expect(logEntityEvent).not.toHaveBeenCalled();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test("should refuse a work order that is not completed", async () => {
+      mockSources({ wo: { ...workOrder, status: "in_progress" } });
+
+      await expect(
+        InvoiceService.createFromWorkOrder(42, {}, { auditContext }),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "INVALID_STATUS_TRANSITION",
+      });
+      expect(generateIdentifier).not.toHaveBeenCalled();
+    });
+
+    test("should refuse to invoice twice with 409 ALREADY_INVOICED", async () => {
+      mockSources({
+        existing: [{ id: 61, invoice_number: "INV-2026-0001", status: "sent" }],
+      });
+
+      await expect(
+        InvoiceService.createFromWorkOrder(42, {}, { auditContext }),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "ALREADY_INVOICED",
+        details: { invoice_id: 61, invoice_number: "INV-2026-0001" },
+      });
+      expect(client.query).toHaveBeenCalledTimes(2);
+    });
+
+    test("should refuse a work order with nothing to bill", async () => {
+      mockSources({ time: [], parts: [] });
+
+      await expect(
+        InvoiceService.createFromWorkOrder(42, {}, { auditContext }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(generateIdentifier).not.toHaveBeenCalled();
+    });
+
+    test("should throw 404 for an unknown work order", async () => {
+      mockSources({ wo: null });
+
+      await expect(
+        InvoiceService.createFromWorkOrder(99, {}, { auditContext }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test("should refuse an inactive work order", async () => {
+      mockSources({ wo: { ...workOrder, is_active: false } });
+
+      await expect(
+        InvoiceService.createFromWorkOrder(42, {}, { auditContext }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  // ============================================================================
+  // buildWorkOrderLines
+  // ============================================================================
+
+  describe("buildWorkOrderLines()", () => {
+    test("should list unpriced technicians and parts at 0", () => {
+      const lines = InvoiceService.buildWorkOrderLines(
+        {
+          labor: [{ ...labor, hourly_rate: null }],
+          parts: [{ ...part, unit_cost: null, quantity: 3 }],
+        },
+        rates,
+      );
+
+      expect(lines).toEqual([
+        expect.objectContaining({ technician_id: 12, unit_price: 0 }),
+        expect.objectContaining({
+          inventory_id: 7,
+          quantity: 3,
+          unit_price: 0,
+        }),
+      ]);
+    });
+
+    test("should bill hours to 2 places and round marked-up prices to the cent", () => {
+      const lines = InvoiceService.buildWorkOrderLines(
+        {
+          labor: [
+            { ...labor, hourly_rate: 62.5, billable_minutes: 50 },
+            { ...labor, technician_id: 13, billable_minutes: 0 },
+          ],
+          parts: [{ ...part, unit_cost: "3.33", quantity: 3 }],
+        },
+        { parts_markup_percent: 15 },
+      );
+
+      // 50 min = 0.83h; 3.33 x 1.15 = 3.8295 -> 3.83; zero-hour labour dropped
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatchObject({ quantity: 0.83, unit_price: 62.5 });
+      expect(lines[1]).toMatchObject({ quantity: 3, unit_price: 3.83 });
+    });
+  });
+
+  // ============================================================================
+  // LINE ITEMS
+  // ============================================================================
+
+  describe("line items", () => {
+    const draft = {
+      id: 70,
+      invoice_number: "INV-2026-0007",
+      status: "draft",
+      amount: "100.00",
+      tax: "8.00",
+      total: "108.00",
+      amount_paid: "0.00",
+    };
+    const recalculated = {
+      ...draft,
+      amount: "112.50",
+      tax: "8.63",
+      total: "121.13",
+    };
+
+    describe("addLineItem()", () => {
+      test("should price the line and recompute the invoice totals", async () => {
+        const lineRow = { id: 3, invoice_id: 70, amount: "12.50" };
+        client.query
+          .mockResolvedValueOnce({ rows: [draft] })
+          .mockResolvedValueOnce({ rows: [lineRow] })
+          .mockResolvedValueOnce({ rows: [recalculated] });
+
+        const result = await InvoiceService.addLineItem(
+          70,
+          {
+            description: "Call-out fee",
+            quantity: 2.5,
+            unit_price: 5,
+            tax_code: "reduced",
+          },
+          { auditContext },
+        );
+
+        expect(client.query.mock.calls[0][0]).toContain("FOR UPDATE");
+        // 2.5 x 5.00 = 12.50 at 5% = 0.63 (rounded half up)
+        expect(client.query.mock.calls[1][1]).toEqual([
+          70,
+          "Call-out fee",
+          2.5,
+          5,
+          "reduced",
+          5,
+          12.5,
+          0.63,
+          null,
+          null,
+        ]);
+        expect(client.query.mock.calls[2][0]).toContain("SUM(amount)");
+        expect(result).toEqual({ line_item: lineRow, invoice: recalculated });
+
+        expect(logEntityAudit).toHaveBeenCalledWith(
+          "create",
+          "invoice_line_item",
+          lineRow,
+          auditContext,
+          undefined,
+        );
+        expect(logEntityAudit).toHaveBeenCalledWith(
+          "update",
+          "invoice",
+          recalculated,
+          expect.objectContaining({
+            newValues: { amount: "112.50", tax: "8.63", total: "121.13" },
+          }),
+          { amount: "100.00", tax: "8.00", total: "108.00" },
+        );
+        expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+          [
+            {
+              entity: "invoice_line_item",
+              action: "created",
+              record: lineRow,
+              previous: null,
+            },
+            {
+              entity: "invoice",
+              action: "updated",
+              record: recalculated,
+              previous: draft,
+            },
+          ],
+          3,
+        );
+      });
+
+      test("should refuse a line on an invoice that is not a draft", async () => {
+        client.query.mockResolvedValueOnce({
+          rows: [{ ...draft, status: "sent" }],
+        });
+
+        await expect(
+          InvoiceService.addLineItem(
+            70,
+            { description: "Extra", quantity: 1, unit_price: 1 },
+            { auditContext },
+          ),
+        ).rejects.toMatchObject({
+          statusCode: 409,
+          code: "INVOICE_NOT_DRAFT",
+          details: { status: "sent" },
+        });
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(logEntityAudit).not.toHaveBeenCalled();
+      });
+
+      test("should refuse an unknown tax code", async () => {
+        client.query.mockResolvedValueOnce({ rows: [draft] });
+
+        await expect(
+          InvoiceService.addLineItem(
+            70,
+            {
+              description: "Extra",
+              quantity: 1,
+              unit_price: 1,
+              tax_code: "vat",
+            },
+            { auditContext },
+          ),
+        ).rejects.toMatchObject({ statusCode: 400 });
+        expect(client.query).toHaveBeenCalledTimes(1);
+      });
+
+      test("should throw 404 for an unknown invoice", async () => {
+        client.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(
+          InvoiceService.addLineItem(
+            99,
+            { description: "Extra", quantity: 1, unit_price: 1 },
+            { auditContext },
+          ),
+        ).rejects.toMatchObject({ statusCode: 404 });
+      });
+    });
+
+    describe("updateLineItem()", () => {
+      const oldLine = {
+        id: 3,
+        invoice_id: 70,
+        description: "Call-out fee",
+        quantity: "1.00",
+        unit_price: "45.00",
+        tax_code: "standard",
+        inventory_id: null,
+        technician_id: null,
+      };
+
+      test("should reprice the merged line and recompute the totals", async () => {
+        const updated = { ...oldLine, quantity: "2.00" };
+        client.query
+          .mockResolvedValueOnce({ rows: [draft] })
+          .mockResolvedValueOnce({ rows: [oldLine] })
+          .mockResolvedValueOnce({ rows: [updated] })
+          .mockResolvedValueOnce({ rows: [recalculated] });
+
+        const result = await InvoiceService.updateLineItem(
+          70,
+          3,
+          { quantity: 2 },
+          { auditContext },
+        );
+
+        const [sql, params] = client.query.mock.calls[2];
+        expect(sql).toContain("UPDATE invoice_line_items");
+        // 2 x 45.00 = 90.00 at 8% = 7.20
+        expect(params).toEqual([
+          3,
+          70,
+          "Call-out fee",
+          2,
+          "45.00",
+          "standard",
+          8,
+          90,
+          7.2,
+          null,
+          null,
+        ]);
+        expect(result).toEqual({ line_item: updated, invoice: recalculated });
+        expect(logEntityAudit).toHaveBeenCalledWith(
+          "update",
+          "invoice_line_item",
+          updated,
+          auditContext,
+          oldLine,
+        );
+        expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+          [
+            {
+              entity: "invoice_line_item",
+              action: "updated",
+              record: updated,
+              previous: oldLine,
+            },
+            expect.objectContaining({ entity: "invoice", action: "updated" }),
+          ],
+          3,
+        );
+      });
+
+      test("should throw 404 for a line on another invoice", async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [draft] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await expect(
+          InvoiceService.updateLineItem(
+            70,
+            3,
+            { quantity: 2 },
+            { auditContext },
+          ),
+        ).rejects.toMatchObject({ statusCode: 404 });
+        expect(client.query).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe("removeLineItem()", () => {
+      test("should delete the line and recompute the totals", async () => {
+        const removed = { id: 3, invoice_id: 70 };
+        client.query
+          .mockResolvedValueOnce({ rows: [draft] })
+          .mockResolvedValueOnce({ rows: [removed] })
+          .mockResolvedValueOnce({ rows: [recalculated] });
+
+        const result = await InvoiceService.removeLineItem(70, 3, {
+          auditContext,
+        });
+
+        expect(client.query.mock.calls[1][1]).toEqual([3, 70]);
+        expect(result).toEqual({ line_item: removed, invoice: recalculated });
+        expect(logEntityAudit).toHaveBeenCalledWith(
+          "delete",
+          "invoice_line_item",
+          removed,
+          auditContext,
+          undefined,
+        );
+        expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+          [
+            {
+              entity: "invoice_line_item",
+              action: "deleted",
+              record: removed,
+              previous: removed,
+            },
+            expect.objectContaining({ entity: "invoice", action: "updated" }),
+          ],
+          3,
+        );
+      });
+
+      test("should refuse once the invoice is paid", async () => {
+        client.query.mockResolvedValueOnce({
+          rows: [{ ...draft, status: "paid" }],
+        });
+
+        await expect(
+          InvoiceService.removeLineItem(70, 3, { auditContext }),
+        ).rejects.toMatchObject({ statusCode: 409, code: "INVOICE_NOT_DRAFT" });
+      });
+
+      test("should refuse to take the total below a deposit", async () => {
+        client.query
+          .mockResolvedValueOnce({ rows: [{ ...draft, amount_paid: "50.00" }] })
+          .mockResolvedValueOnce({ rows: [{ id: 3, invoice_id: 70 }] })
+          .mockResolvedValueOnce({
+            rows: [{ ...draft, total: "21.13", amount_paid: "50.00" }],
+          });
+
+        await expect(
+          InvoiceService.removeLineItem(70, 3, { auditContext }),
+        ).rejects.toMatchObject({
+          statusCode: 409,
+          code: "BELOW_AMOUNT_PAID",
+          details: { total: 21.13, amount_paid: 50 },
+        });
+        expect(logEntityAudit).not.toHaveBeenCalled();
+        expect(EntityEvents.publishAll).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  // ============================================================================
+  // resolveTaxRate
+  // ============================================================================
+
+  describe("resolveTaxRate()", () => {
+    test("should resolve standard, configured and default codes", () => {
+      expect(InvoiceService.resolveTaxRate("standard", rates)).toBe(8);
+      expect(InvoiceService.resolveTaxRate(undefined, rates)).toBe(8);
+      expect(InvoiceService.resolveTaxRate("exempt", rates)).toBe(0);
+      expect(InvoiceService.resolveTaxRate("reduced", rates)).toBe(5);
+    });
+
+    test("should reject an unknown code and list the known ones", () => {
+      expect(() => InvoiceService.resolveTaxRate("vat", rates)).toThrow(
+        "expected one of: standard, exempt, reduced",
+      );
+    });
+  });
+});
@@ -0,0 +1,322 @@
+/**
+ * Job Queue Service Unit Tests
+ *
+ * Tests for: backend/services/job-queue-service.js
+ *
+ * Coverage:
+ * - enqueue() - payload validation, max attempts, transaction client
+ * - getForUser() / toStatus() - submitter scoping, public view
+ * - _claim() - SKIP LOCKED, known types only
+ * - _process() - success, retry with backoff, dead-letter, progress,
+ *   success not recorded
+ * - recoverLost() / cleanupFinished()
+ */
+
+const JobQueueService = require("../../../services/job-queue-service");
+const jobTypes = require("../../../config/job-types");
+const AppError = require("../../../utils/app-error");
+const db = require("../../../db/connection");
+const { logger } = require("../../../config/logger");
+
+// Mock dependencies
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../config/job-types", () => {
+  const Joi = require("joi");
+  return {
+    "report.build": {
+      description: "Build a report",
+      schema: Joi.object({ reportId: Joi.number().integer().required() }),
+      maxAttempts: 3,
+      handle: jest.fn(),
+    },
+    "cache.warm": {
+      description: "Warm a cache",
+      handle: jest.fn(),
+    },
+  };
+});
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("JobQueueService", () => {
+  const handler = jobTypes["report.build"].handle;
+
+  const runningJob = {
+    id: 31,
+    type: "report.build",
+    payload: { reportId: 4 },
+    status: "running",
+    attempts: 1,
+    max_attempts: 3,
+    submitted_by: 7,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  // ============================================================================
+  // enqueue
+  // ============================================================================
+
+  describe("enqueue()", () => {
+    test("should insert a queued job with the type's max attempts", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 31, status: "queued" }] });
+
+      const job = await JobQueueService.enqueue(
+        "report.build",
+        { reportId: 4 },
+        { submittedBy: 7 },
+      );
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("INSERT INTO background_jobs");
+      expect(params).toEqual([
+        "report.build",
+        JSON.stringify({ reportId: 4 }),
+        3,
+        null,
+        7,
+      ]);
+      expect(job).toEqual({ id: 31, status: "queued" });
+    });
+
+    test("should default max attempts and accept a run time", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 32 }] });
+
+      await JobQueueService.enqueue(
+        "cache.warm",
+        {},
+        { runAt: new Date("2026-10-20T00:00:00Z") },
+      );
+
+      expect(db.query.mock.calls[0][1]).toEqual([
+        "cache.warm",
+        "{}",
+        5,
+        "2026-10-20T00:00:00.000Z",
+        null,
+      ]);
+    });
+
+    test("should insert on the caller's transaction client", async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{}] }) };
+
+      await JobQueueService.enqueue("cache.warm", {}, { client });
+
+      expect(client.query).toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test("should reject a payload that fails the type's schema", async () => {
+      await expect(
+        JobQueueService.enqueue("report.build", { reportId: "x" }),
+      ).rejects.toMatchObject({ statusCode: 400, code: "VALIDATION_ERROR" });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test("should throw for an unknown type", async () => {
+      await expect(JobQueueService.enqueue("nope", {})).rejects.toThrow(
+        "Unknown background job type: nope",
+      );
+    });
+  });
+
+  // ============================================================================
+  // getForUser / toStatus
+  // ============================================================================
+
+  describe("getForUser()", () => {
+    test("should only find jobs the user submitted", async () => {
+      db.query.mockResolvedValue({
+        rows: [{ ...runningJob, locked_by: "host:1", progress: 40 }],
+      });
+
+      const job = await JobQueueService.getForUser(31, 7);
+
+      expect(db.query.mock.calls[0][0]).toContain("submitted_by = $2");
+      expect(db.query.mock.calls[0][1]).toEqual([31, 7]);
+      expect(job).toMatchObject({ id: 31, status: "running", progress: 40 });
+      expect(job).not.toHaveProperty("payload");
+      expect(job).not.toHaveProperty("locked_by");
+    });
+
+    test("should return 404 for someone else's job", async () => {
+      await expect(JobQueueService.getForUser(31, 8)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("toStatus()", () => {
+    test("should hide the result until the job succeeded", () => {
+      expect(
+        JobQueueService.toStatus({ id: 1, status: "dead", result: { a: 1 } })
+          .result,
+      ).toBeNull();
+      expect(
+        JobQueueService.toStatus({
+          id: 1,
+          status: "succeeded",
+          result: { a: 1 },
+        }).result,
+      ).toEqual({ a: 1 });
+    });
+  });
+
+  // ============================================================================
+  // _claim
+  // ============================================================================
+
+  describe("_claim()", () => {
+    test("should take one due job of a known type with SKIP LOCKED", async () => {
+      db.query.mockResolvedValue({ rows: [runningJob] });
+
+      const job = await JobQueueService._claim();
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("FOR UPDATE SKIP LOCKED");
+      expect(sql).toContain("attempts = attempts + 1");
+      expect(sql).toContain("run_at <= NOW()");
+      expect(params[0]).toBe("running");
+      expect(params[2]).toBe("queued");
+      expect(params[3]).toEqual(["report.build", "cache.warm"]);
+      expect(job).toBe(runningJob);
+    });
+
+    test("should return null when nothing is due", async () => {
+      expect(await JobQueueService._claim()).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // _process
+  // ============================================================================
+
+  describe("_process()", () => {
+    test("should store the handler's result", async () => {
+      handler.mockResolvedValue({ rows: 120 });
+
+      await JobQueueService._process(runningJob);
+
+      expect(handler).toHaveBeenCalledWith(
+        { reportId: 4 },
+        expect.objectContaining({ id: 31, attempt: 1, submittedBy: 7 }),
+      );
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("progress = 100");
+      expect(params[2]).toBe("succeeded");
+      expect(params[3]).toBe(JSON.stringify({ rows: 120 }));
+    });
+
+    test("should not retry a completed job when recording success fails", async () => {
+      handler.mockResolvedValue({ rows: 120 });
+      db.query.mockRejectedValueOnce(new Error("Connection reset"));
+
+      await expect(
+        JobQueueService._process(runningJob),
+      ).resolves.toBeUndefined();
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][1][2]).toBe("succeeded");
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to record background job success",
+        { jobId: 31, error: "Connection reset" },
+      );
+    });
+
+    test("should retry a failed attempt after a backoff", async () => {
+      handler.mockRejectedValue(new Error("Storage unavailable"));
+
+      await JobQueueService._process({ ...runningJob, attempts: 2 });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("run_at = NOW() +");
+      expect(params.slice(2, 5)).toEqual([
+        "queued",
+        "Storage unavailable",
+        20000,
+      ]);
+    });
+
+    test("should dead-letter the job on its last attempt", async () => {
+      handler.mockRejectedValue(new Error("Storage unavailable"));
+
+      await JobQueueService._process({ ...runningJob, attempts: 3 });
+
+      const params = db.query.mock.calls[0][1];
+      expect(params.slice(2, 4)).toEqual(["dead", "Storage unavailable"]);
+    });
+
+    test("should dead-letter a 4xx AppError without retrying", async () => {
+      handler.mockRejectedValue(
+        new AppError("Report not found", 404, "NOT_FOUND"),
+      );
+
+      await JobQueueService._process(runningJob);
+
+      expect(db.query.mock.calls[0][1][2]).toBe("dead");
+    });
+
+    test("should let the handler report progress", async () => {
+      handler.mockImplementation(async (payload, job) => {
+        await job.reportProgress(140, "Rendering");
+        return null;
+      });
+
+      await JobQueueService._process(runningJob);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("progress = $3");
+      expect(params).toEqual([31, expect.any(String), 100, "Rendering"]);
+    });
+  });
+
+  describe("_backoffMs()", () => {
+    test("should double per attempt up to the cap", () => {
+      expect(JobQueueService._backoffMs(1)).toBe(10000);
+      expect(JobQueueService._backoffMs(3)).toBe(40000);
+      expect(JobQueueService._backoffMs(20)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  // ============================================================================
+  // recoverLost / cleanupFinished
+  // ============================================================================
+
+  describe("recoverLost()", () => {
+    test("should requeue or dead-letter jobs past their lease", async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          { id: 1, status: "queued" },
+          { id: 2, status: "dead" },
+        ],
+      });
+
+      const summary = await JobQueueService.recoverLost();
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("locked_at < NOW()");
+      expect(params).toEqual(["dead", "queued", "running", 300000]);
+      expect(summary).toEqual({ requeued: 1, dead: 1 });
+    });
+  });
+
+  describe("cleanupFinished()", () => {
+    test("should delete finished jobs past retention", async () => {
+      db.query.mockResolvedValue({ rowCount: 12 });
+
+      expect(await JobQueueService.cleanupFinished()).toBe(12);
+      expect(db.query.mock.calls[0][1]).toEqual(["succeeded", "dead", 30]);
+    });
+  });
+});
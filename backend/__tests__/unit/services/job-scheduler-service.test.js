@@ -0,0 +1,331 @@
+/**
+ * Job Scheduler Service Unit Tests
+ *
+ * Tests for: backend/services/job-scheduler-service.js
+ *
+ * Coverage:
+ * - _tick() - due jobs only, paused and disabled jobs skipped
+ * - _execute() - advisory lock, tick claim, run recording, failures,
+ *   interrupted runs, lock release
+ * - runNow() - manual trigger, 409 while running, 404 for unknown jobs
+ * - listJobs() / getRuns() / pause() / resume()
+ */
+
+const JobSchedulerService = require("../../../services/job-scheduler-service");
+const jobs = require("../../../config/scheduled-jobs");
+const db = require("../../../db/connection");
+
+// Mock dependencies
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+jest.mock("../../../config/scheduled-jobs", () => [
+  {
+    name: "hourly",
+    schedule: "0 * * * *",
+    description: "Every hour",
+    runOnStart: true,
+    run: jest.fn(),
+  },
+  {
+    name: "nightly",
+    schedule: "0 2 * * *",
+    description: "Every night",
+    enabledEnv: "NIGHTLY_TEST_JOB_ENABLED",
+    run: jest.fn(),
+  },
+]);
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("JobSchedulerService", () => {
+  const [hourly, nightly] = jobs;
+  let client;
+
+  /**
+   * Client answering the _execute() queries in order
+   */
+  function mockClient({ locked = true, claimed = true } = {}) {
+    client = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes("pg_try_advisory_lock")) {
+          return { rows: [{ locked }] };
+        }
+        if (sql.includes("INSERT INTO scheduled_job_runs")) {
+          return { rows: claimed ? [{ id: 900 }] : [] };
+        }
+        if (sql.includes("WHERE id = $1")) {
+          return {
+            rows: [{ id: params[0], status: params[1], error: params[2] }],
+          };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(client);
+  }
+
+  /**
+   * SQL of every client query, in order
+   */
+  const clientSql = () => client.query.mock.calls.map(([sql]) => sql);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.NIGHTLY_TEST_JOB_ENABLED;
+    db.query.mockResolvedValue({ rows: [] });
+    hourly.run.mockResolvedValue({ created: 3 });
+    nightly.run.mockResolvedValue({ updated: 1 });
+    mockClient();
+  });
+
+  afterEach(() => {
+    JobSchedulerService.stop();
+  });
+
+  // ============================================================================
+  // _tick
+  // ============================================================================
+
+  describe("_tick()", () => {
+    test("should run only the jobs due in the minute", async () => {
+      await JobSchedulerService._tick(new Date("2026-10-19T02:00:00Z"));
+
+      expect(hourly.run).toHaveBeenCalledTimes(1);
+      expect(nightly.run).toHaveBeenCalledTimes(1);
+
+      jest.clearAllMocks();
+      await JobSchedulerService._tick(new Date("2026-10-19T03:00:00Z"));
+
+      expect(hourly.run).toHaveBeenCalledTimes(1);
+      expect(nightly.run).not.toHaveBeenCalled();
+    });
+
+    test("should skip paused jobs", async () => {
+      db.query.mockResolvedValue({ rows: [{ name: "hourly" }] });
+
+      await JobSchedulerService._tick(new Date("2026-10-19T02:00:00Z"));
+
+      expect(db.query.mock.calls[0][0]).toContain("paused = true");
+      expect(hourly.run).not.toHaveBeenCalled();
+      expect(nightly.run).toHaveBeenCalledTimes(1);
+    });
+
+    test("should skip jobs switched off by their env variable", async () => {
+      process.env.NIGHTLY_TEST_JOB_ENABLED = "false";
+
+      await JobSchedulerService._tick(new Date("2026-10-19T02:00:00Z"));
+
+      expect(nightly.run).not.toHaveBeenCalled();
+      expect(hourly.run).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not touch the database when nothing is due", async () => {
+      await JobSchedulerService._tick(new Date("2026-10-19T02:17:00Z"));
+
+      expect(db.query).not.toHaveBeenCalled();
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // _execute
+  // ============================================================================
+
+  describe("_execute()", () => {
+    const tick = new Date("2026-10-19T03:00:00Z");
+
+    test("should claim the tick, run the job and record the result", async () => {
+      const run = await JobSchedulerService._execute(hourly, {
+        trigger: "schedule",
+        scheduledFor: tick,
+      });
+
+      const sql = clientSql();
+      expect(sql[0]).toContain("pg_try_advisory_lock(hashtext($1))");
+      expect(client.query.mock.calls[0][1]).toEqual(["scheduled_job:hourly"]);
+      // Leftover 'running' rows are closed as interrupted
+      expect(sql[1]).toContain("Interrupted before finishing");
+      expect(client.query.mock.calls[1][1]).toEqual([
+        "hourly",
+        "failed",
+        "running",
+      ]);
+      expect(sql[2]).toContain("ON CONFLICT DO NOTHING");
+      expect(client.query.mock.calls[2][1]).toEqual([
+        "hourly",
+        "schedule",
+        "2026-10-19T03:00:00.000Z",
+        null,
+        "running",
+      ]);
+      expect(client.query.mock.calls[3][1]).toEqual([
+        900,
+        "succeeded",
+        null,
+        JSON.stringify({ created: 3 }),
+      ]);
+      expect(sql[4]).toContain("pg_advisory_unlock");
+      expect(client.release).toHaveBeenCalled();
+      expect(run).toEqual({ id: 900, status: "succeeded", error: null });
+    });
+
+    test("should record a failing job without throwing", async () => {
+      hourly.run.mockRejectedValue(new Error("Database timeout"));
+
+      const run = await JobSchedulerService._execute(hourly, {
+        trigger: "schedule",
+        scheduledFor: tick,
+      });
+
+      expect(client.query.mock.calls[3][1]).toEqual([
+        900,
+        "failed",
+        "Database timeout",
+        "null",
+      ]);
+      expect(run.status).toBe("failed");
+      expect(clientSql()[4]).toContain("pg_advisory_unlock");
+    });
+
+    test("should skip a tick another instance already claimed", async () => {
+      mockClient({ claimed: false });
+
+      const run = await JobSchedulerService._execute(hourly, {
+        trigger: "schedule",
+        scheduledFor: tick,
+      });
+
+      expect(run).toBeNull();
+      expect(hourly.run).not.toHaveBeenCalled();
+      expect(clientSql()[3]).toContain("pg_advisory_unlock");
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test("should skip a scheduled run while the job is running elsewhere", async () => {
+      mockClient({ locked: false });
+
+      const run = await JobSchedulerService._execute(hourly, {
+        trigger: "schedule",
+        scheduledFor: tick,
+      });
+
+      expect(run).toBeNull();
+      expect(hourly.run).not.toHaveBeenCalled();
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // runNow
+  // ============================================================================
+
+  describe("runNow()", () => {
+    test("should run the job as a manual run by the user", async () => {
+      const run = await JobSchedulerService.runNow("nightly", { userId: 1 });
+
+      expect(client.query.mock.calls[2][1]).toEqual([
+        "nightly",
+        "manual",
+        null,
+        1,
+        "running",
+      ]);
+      expect(nightly.run).toHaveBeenCalled();
+      expect(run.status).toBe("succeeded");
+    });
+
+    test("should refuse with 409 while the job is running", async () => {
+      mockClient({ locked: false });
+
+      await expect(
+        JobSchedulerService.runNow("nightly", { userId: 1 }),
+      ).rejects.toMatchObject({ statusCode: 409, code: "JOB_RUNNING" });
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test("should return 404 for an unknown job", async () => {
+      await expect(JobSchedulerService.runNow("nope")).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // listJobs / getRuns / pause / resume
+  // ============================================================================
+
+  describe("listJobs()", () => {
+    test("should combine definitions, pause state and last runs", async () => {
+      const lastRun = { id: 5, job_name: "hourly", status: "succeeded" };
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{ name: "nightly", paused: true, paused_by: 1 }],
+        })
+        .mockResolvedValueOnce({ rows: [lastRun] });
+
+      const [first, second] = await JobSchedulerService.listJobs();
+
+      expect(first).toMatchObject({
+        name: "hourly",
+        schedule: "0 * * * *",
+        enabled: true,
+        paused: false,
+        last_run: lastRun,
+      });
+      expect(first.next_run_at).toBeInstanceOf(Date);
+      expect(first.next_run_at.getUTCMinutes()).toBe(0);
+      expect(second).toMatchObject({
+        name: "nightly",
+        paused: true,
+        paused_by: 1,
+        next_run_at: null,
+        last_run: null,
+      });
+    });
+  });
+
+  describe("getRuns()", () => {
+    test("should cap the limit", async () => {
+      await JobSchedulerService.getRuns("hourly", { limit: "5000" });
+
+      expect(db.query.mock.calls[0][1]).toEqual(["hourly", 100]);
+    });
+
+    test("should default the limit", async () => {
+      await JobSchedulerService.getRuns("hourly");
+
+      expect(db.query.mock.calls[0][1]).toEqual(["hourly", 20]);
+    });
+  });
+
+  describe("pause() / resume()", () => {
+    test("should upsert the pause state", async () => {
+      await JobSchedulerService.pause("nightly", 1);
+      await JobSchedulerService.resume("nightly", 1);
+
+      const [pauseSql, pauseParams] = db.query.mock.calls[0];
+      expect(pauseSql).toContain("ON CONFLICT (name) DO UPDATE");
+      expect(pauseSql).toContain("paused = true");
+      expect(pauseParams).toEqual(["nightly", 1]);
+      expect(db.query.mock.calls[1][0]).toContain("paused = false");
+    });
+
+    test("should return 404 for an unknown job", async () => {
+      await expect(JobSchedulerService.pause("nope", 1)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Lifecycle Sweep Service Unit Tests
+ *
+ * Tests for: backend/services/lifecycle-sweep-service.js
+ *
+ * Coverage:
+ * - markOverdueInvoices() - query, system-actor update + event, failure
+ *   isolation; notifications are left to the notification rules
+ * - expireContracts() - query, update + event
+ * - remindExpiringContracts() - reminder days, once-only reminders
+ * - run() - one day and one audit context for every step
+ */
+
+const LifecycleSweepService = require("../../../services/lifecycle-sweep-service");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const NotificationService = require("../../../services/notification-service");
+const { logEntityEvent } = require("../../../db/helpers/audit-helper");
+const { AuditActions } = require("../../../services/audit-constants");
+const db = require("../../../db/connection");
+
+// Mock dependencies
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../services/generic-entity-service", () => ({
+  update: jest.fn(),
+}));
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn(),
+  notifyCustomer: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("LifecycleSweepService", () => {
+  const systemActor = {
+    userId: null,
+    ipAddress: null,
+    userAgent: "system:lifecycle-sweep",
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GenericEntityService.update.mockImplementation(
+      async (entity, id, data) => ({ id, ...data }),
+    );
+    NotificationService.notifyRole.mockResolvedValue(2);
+    NotificationService.notifyCustomer.mockResolvedValue(1);
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const invoice = {
+    id: 70,
+    invoice_number: "INV-2026-0007",
+    customer_id: 3,
+    balance: "448.00",
+    due_day: "2026-10-01",
+  };
+
+  const contract = {
+    id: 12,
+    contract_number: "CTR-2025-0012",
+    customer_id: 3,
+    end_day: "2026-10-18",
+  };
+
+  // ============================================================================
+  // markOverdueInvoices
+  // ============================================================================
+
+  describe("markOverdueInvoices()", () => {
+    test("should only pick up sent invoices due before the day", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const summary = await LifecycleSweepService.markOverdueInvoices({
+        asOf: new Date("2026-10-19T02:00:00Z"),
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("status = 'sent'");
+      expect(sql).toContain("due_date < $1");
+      expect(params).toEqual(["2026-10-19"]);
+      expect(summary).toEqual({ updated: 0, failed: 0, invoiceIds: [] });
+    });
+
+    test("should mark the invoice overdue as the system actor", async () => {
+      db.query.mockResolvedValue({ rows: [invoice] });
+
+      const summary = await LifecycleSweepService.markOverdueInvoices({
+        asOf: "2026-10-19",
+      });
+
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "invoice",
+        70,
+        { status: "overdue" },
+        { auditContext: systemActor },
+      );
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVOICE_OVERDUE,
+        "invoice",
+        { id: 70, status: "overdue" },
+        systemActor,
+        {
+          oldValues: { status: "sent" },
+          newValues: { status: "overdue", due_date: "2026-10-01" },
+        },
+      );
+      expect(summary).toEqual({ updated: 1, failed: 0, invoiceIds: [70] });
+    });
+
+    test("should leave notifying to the invoice-overdue rule", async () => {
+      db.query.mockResolvedValue({ rows: [invoice] });
+
+      await LifecycleSweepService.markOverdueInvoices({ asOf: "2026-10-19" });
+
+      expect(NotificationService.notifyRole).not.toHaveBeenCalled();
+      expect(NotificationService.notifyCustomer).not.toHaveBeenCalled();
+    });
+
+    test("should keep going when one invoice fails", async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          invoice,
+          { ...invoice, id: 71, invoice_number: "INV-2026-0008" },
+        ],
+      });
+      GenericEntityService.update.mockRejectedValueOnce(
+        new Error("Invalid status transition"),
+      );
+
+      const summary = await LifecycleSweepService.markOverdueInvoices({
+        asOf: "2026-10-19",
+      });
+
+      expect(summary).toEqual({ updated: 1, failed: 1, invoiceIds: [71] });
+      expect(logEntityEvent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // ============================================================================
+  // expireContracts
+  // ============================================================================
+
+  describe("expireContracts()", () => {
+    test("should expire active contracts that ended before the day", async () => {
+      db.query.mockResolvedValue({ rows: [contract] });
+
+      const summary = await LifecycleSweepService.expireContracts({
+        asOf: "2026-10-19",
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("status = 'active'");
+      expect(sql).toContain("end_date < $1");
+      expect(params).toEqual(["2026-10-19"]);
+
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "contract",
+        12,
+        { status: "expired" },
+        { auditContext: systemActor },
+      );
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.CONTRACT_EXPIRED,
+        "contract",
+        { id: 12, status: "expired" },
+        systemActor,
+        expect.objectContaining({
+          newValues: { status: "expired", end_date: "2026-10-18" },
+        }),
+      );
+      expect(NotificationService.notifyRole).not.toHaveBeenCalled();
+      expect(summary).toEqual({ updated: 1, failed: 0, contractIds: [12] });
+    });
+  });
+
+  // ============================================================================
+  // remindExpiringContracts
+  // ============================================================================
+
+  describe("remindExpiringContracts()", () => {
+    test("should look for contracts ending in one of the reminder days", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await LifecycleSweepService.remindExpiringContracts({
+        asOf: "2026-10-19",
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("end_date - $1::date = ANY($2::int[])");
+      expect(params).toEqual(["2026-10-19", [30, 7, 1]]);
+    });
+
+    test("should send each reminder once to managers and the customer", async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          { ...contract, end_day: "2026-10-26", days_left: 7 },
+          { ...contract, id: 13, end_day: "2026-10-20", days_left: 1 },
+        ],
+      });
+
+      const summary = await LifecycleSweepService.remindExpiringContracts({
+        asOf: "2026-10-19",
+        reminderDays: [7, 1],
+      });
+
+      expect(NotificationService.notifyRole).toHaveBeenCalledWith("manager", {
+        type: "reminder",
+        resourceType: "contract",
+        resourceId: 12,
+        once: true,
+        title: "Contract CTR-2025-0012 expires in 7 days",
+        body: "CTR-2025-0012 ends on 2026-10-26.",
+      });
+      expect(NotificationService.notifyCustomer).toHaveBeenCalledWith(
+        3,
+        expect.objectContaining({
+          once: true,
+          title: "Your contract CTR-2025-0012 expires in 1 day",
+        }),
+      );
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+      expect(summary).toEqual({ contracts: 2, notified: 6 });
+    });
+  });
+
+  // ============================================================================
+  // run
+  // ============================================================================
+
+  describe("run()", () => {
+    test("should run every step for the same day", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const summary = await LifecycleSweepService.run({
+        asOf: new Date("2026-10-19T23:59:00Z"),
+      });
+
+      expect(db.query).toHaveBeenCalledTimes(3);
+      db.query.mock.calls.forEach(([, params]) =>
+        expect(params[0]).toBe("2026-10-19"),
+      );
+      expect(summary).toEqual({
+        asOf: "2026-10-19",
+        invoices: { updated: 0, failed: 0, invoiceIds: [] },
+        contracts: { updated: 0, failed: 0, contractIds: [] },
+        reminders: { contracts: 0, notified: 0 },
+      });
+    });
+  });
+});
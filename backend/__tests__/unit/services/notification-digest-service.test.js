@@ -0,0 +1,101 @@
+/**
+ * Notification Digest Service Unit Tests
+ *
+ * Tests for: backend/services/notification-digest-service.js
+ *
+ * Coverage:
+ * - send() - one digest per opted-in user, counts, skipped users
+ * - summarize() - one line per group, overflow line
+ */
+
+const NotificationDigestService = require("../../../services/notification-digest-service");
+const NotificationService = require("../../../services/notification-service");
+const db = require("../../../db/connection");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../services/notification-service", () => ({
+  notifyUser: jest.fn(),
+}));
+
+describe("NotificationDigestService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotificationService.notifyUser.mockResolvedValue(1);
+  });
+
+  describe("send()", () => {
+    test("should send one digest per user with their counts", async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          {
+            user_id: 4,
+            type: "assignment",
+            resource_type: "work_order",
+            count: 3,
+          },
+          { user_id: 4, type: "info", resource_type: null, count: 1 },
+          { user_id: 9, type: "warning", resource_type: "invoice", count: 1 },
+        ],
+      });
+
+      const summary = await NotificationDigestService.send();
+
+      expect(summary).toEqual({ users: 2, notifications: 5 });
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("p.notification_digest = true");
+      expect(sql).toContain("n.is_read = false");
+      expect(params).toEqual(["digest"]);
+
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(4, {
+        title: "Daily digest: 4 unread notifications",
+        body: "3 assignment (work order)\n1 info",
+        type: "digest",
+      });
+      expect(NotificationService.notifyUser).toHaveBeenCalledWith(9, {
+        title: "Daily digest: 1 unread notification",
+        body: "1 warning (invoice)",
+        type: "digest",
+      });
+    });
+
+    test("should not count users whose digest was not created", async () => {
+      db.query.mockResolvedValue({
+        rows: [{ user_id: 4, type: "info", resource_type: null, count: 2 }],
+      });
+      NotificationService.notifyUser.mockResolvedValue(0);
+
+      await expect(NotificationDigestService.send()).resolves.toEqual({
+        users: 0,
+        notifications: 0,
+      });
+    });
+
+    test("should send nothing without new unread notifications", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(NotificationDigestService.send()).resolves.toEqual({
+        users: 0,
+        notifications: 0,
+      });
+      expect(NotificationService.notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("summarize()", () => {
+    test("should sum groups past the limit into one line", () => {
+      const groups = Array.from({ length: 12 }, (_, i) => ({
+        type: "info",
+        resource_type: `entity_${i}`,
+        count: 2,
+      }));
+
+      const lines = NotificationDigestService.summarize(groups).split("\n");
+
+      expect(lines).toHaveLength(11);
+      expect(lines[0]).toBe("2 info (entity 0)");
+      expect(lines[10]).toBe("4 other");
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Notification Inbox Service Unit Tests
+ *
+ * Tests for: backend/services/notification-inbox-service.js
+ *
+ * Coverage:
+ * - markRead() - own unread rows, narrowed by resource_type and type
+ * - cleanupRead() - per-user retention with the default for users without
+ *   preferences
+ */
+
+const NotificationInboxService = require("../../../services/notification-inbox-service");
+const db = require("../../../db/connection");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("NotificationInboxService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("markRead()", () => {
+    test("should mark every unread notification of the user", async () => {
+      db.query.mockResolvedValue({ rowCount: 5 });
+
+      const count = await NotificationInboxService.markRead(7);
+
+      expect(count).toBe(5);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("SET is_read = true");
+      expect(sql).toContain("WHERE user_id = $1 AND is_read = false");
+      expect(sql).not.toContain("resource_type");
+      expect(params).toEqual([7]);
+    });
+
+    test("should narrow by resource_type and type", async () => {
+      db.query.mockResolvedValue({ rowCount: 2 });
+
+      await NotificationInboxService.markRead(7, {
+        resourceType: "work_order",
+        type: "assignment",
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("resource_type = $2 AND type = $3");
+      expect(params).toEqual([7, "work_order", "assignment"]);
+    });
+
+    test("should narrow by type alone", async () => {
+      db.query.mockResolvedValue({ rowCount: 1 });
+
+      await NotificationInboxService.markRead(7, { type: "reminder" });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("type = $2");
+      expect(params).toEqual([7, "reminder"]);
+    });
+  });
+
+  describe("cleanupRead()", () => {
+    test("should delete read rows past each user's retention", async () => {
+      db.query.mockResolvedValue({ rowCount: 14 });
+
+      const deleted = await NotificationInboxService.cleanupRead();
+
+      expect(deleted).toBe(14);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("n.is_read = true");
+      expect(sql).toContain("p.notification_retention_days");
+      expect(params).toEqual([30]);
+    });
+  });
+});
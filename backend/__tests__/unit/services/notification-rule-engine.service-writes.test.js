@@ -0,0 +1,177 @@
+/**
+ * Notification Rule Engine - Service Writes Tests
+ *
+ * Tests that notification rules fire for changes made by services that
+ * write with their own SQL (clock-in, the payments ledger), through the
+ * real EntityEvents bus.
+ *
+ * MOCKING STRATEGY:
+ * - db/connection, transaction-helper: the transaction client is a mock
+ * - audit-helper, config/logger: Mocked (not under test)
+ * - services/notification-service: Mocked to verify recipients
+ * - services/entity-events, notification-rule-engine: Real
+ */
+
+// ============================================================================
+// MOCKS - Must be set up before imports
+// ============================================================================
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn(),
+  notifyCustomer: jest.fn(),
+  notifyTechnician: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// ============================================================================
+// IMPORTS - After mocks
+// ============================================================================
+const NotificationRuleEngine = require("../../../services/notification-rule-engine");
+const NOTIFICATION_RULES = require("../../../config/notification-rules");
+const NotificationService = require("../../../services/notification-service");
+const TimeEntryService = require("../../../services/time-entry-service");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const PaymentService = require("../../../services/payment-service");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+
+describe("NotificationRuleEngine - Service Writes", () => {
+  const client = { query: jest.fn() };
+  const auditContext = { userId: 7, ipAddress: "127.0.0.1" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.query.mockReset();
+    withTransaction.mockImplementation((callback) => callback(client));
+    NotificationService.notifyRole.mockResolvedValue(2);
+    NotificationService.notifyCustomer.mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    NotificationRuleEngine.unregister();
+  });
+
+  test("should tell the customer when clocking in starts the work order", async () => {
+    NotificationRuleEngine.register();
+    const workOrder = {
+      id: 42,
+      work_order_number: "WO-2026-0042",
+      name: "Acme: No heat",
+      customer_id: 3,
+      status: "assigned",
+      assigned_technician_id: 12,
+      is_active: true,
+    };
+    const technician = {
+      id: 12,
+      availability: "available",
+      status: "active",
+      is_active: true,
+    };
+    client.query
+      .mockResolvedValueOnce({ rows: [{ technician_profile_id: 12 }] })
+      .mockResolvedValueOnce({ rows: [technician] })
+      .mockResolvedValueOnce({ rows: [workOrder] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 300, technician_id: 12, work_order_id: 42 }],
+      })
+      .mockResolvedValueOnce({
+        rows: [{ ...technician, availability: "on_job" }],
+      });
+    GenericEntityService.update.mockImplementation(
+      async (entity, id, data, { changes }) => {
+        const record = { ...workOrder, ...data };
+        changes.push({
+          entity,
+          action: "updated",
+          record,
+          previous: workOrder,
+        });
+        return record;
+      },
+    );
+
+    await TimeEntryService.clockIn(
+      42,
+      {},
+      { userId: 7, userRole: "technician", auditContext },
+    );
+
+    expect(NotificationService.notifyCustomer).toHaveBeenCalledTimes(1);
+    expect(NotificationService.notifyCustomer).toHaveBeenCalledWith(3, {
+      title: "Work order WO-2026-0042 is now in_progress",
+      body: "Acme: No heat",
+      type: "info",
+      resourceType: "work_order",
+      resourceId: 42,
+      exceptUserId: 7,
+    });
+  });
+
+  test("should see an invoice paid through the payments ledger", async () => {
+    NotificationRuleEngine.register([
+      ...NOTIFICATION_RULES,
+      {
+        name: "invoice-paid",
+        entity: "invoice",
+        on: ["updated"],
+        when: { changed: "status", to: "paid" },
+        notify: [{ role: "manager" }],
+        title: "Invoice {invoice_number} paid",
+      },
+    ]);
+    const sent = {
+      id: 70,
+      invoice_number: "INV-2026-0007",
+      customer_id: 3,
+      status: "sent",
+      total: "648.00",
+      amount_paid: "448.00",
+      balance: "200.00",
+      paid_at: null,
+    };
+    client.query
+      .mockResolvedValueOnce({ rows: [sent] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 500, invoice_id: 70, amount: "200.00" }],
+      })
+      .mockResolvedValueOnce({
+        rows: [{ ...sent, status: "paid", amount_paid: "648.00" }],
+      });
+
+    await PaymentService.recordPayment(
+      70,
+      { amount: 200, method: "card" },
+      { auditContext },
+    );
+
+    expect(NotificationService.notifyRole).toHaveBeenCalledWith(
+      "manager",
+      expect.objectContaining({
+        title: "Invoice INV-2026-0007 paid",
+        resourceType: "invoice",
+        resourceId: 70,
+        exceptUserId: 7,
+      }),
+    );
+  });
+});
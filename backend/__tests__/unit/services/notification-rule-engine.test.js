@@ -0,0 +1,256 @@
+/**
+ * Notification Rule Engine Unit Tests
+ *
+ * Tests for: backend/services/notification-rule-engine.js
+ *
+ * Coverage:
+ * - register() - subscribes to the entities the rules watch
+ * - handle() - 'changed'/'to' conditions, recipients, templates, actor
+ *   exclusion, loading the record for file uploads
+ * - render() - record and file placeholders, dates
+ */
+
+const NotificationRuleEngine = require("../../../services/notification-rule-engine");
+const EntityEvents = require("../../../services/entity-events");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const NotificationService = require("../../../services/notification-service");
+
+jest.mock("../../../services/entity-events", () => ({
+  subscribe: jest.fn(),
+  unsubscribe: jest.fn(),
+}));
+jest.mock("../../../services/generic-entity-service", () => ({
+  findById: jest.fn(),
+}));
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn(),
+  notifyCustomer: jest.fn(),
+  notifyTechnician: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("NotificationRuleEngine", () => {
+  const workOrder = {
+    id: 42,
+    work_order_number: "WO-2026-0042",
+    name: "Acme: No heat",
+    customer_id: 3,
+    assigned_technician_id: 5,
+    status: "assigned",
+  };
+
+  const updated = (record, previous, extra = {}) => ({
+    entity: "work_order",
+    action: "updated",
+    id: record.id,
+    record,
+    previous,
+    actorId: 12,
+    ...extra,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotificationService.notifyRole.mockResolvedValue(2);
+    NotificationService.notifyCustomer.mockResolvedValue(1);
+    NotificationService.notifyTechnician.mockResolvedValue(1);
+  });
+
+  describe("register()", () => {
+    test("should subscribe once for every watched entity", () => {
+      NotificationRuleEngine.register();
+
+      expect(EntityEvents.subscribe).toHaveBeenCalledWith(
+        "notification-rules",
+        expect.any(Function),
+        { entities: ["work_order", "invoice", "contract"] },
+      );
+    });
+  });
+
+  describe("handle()", () => {
+    test("should notify the newly assigned technician", async () => {
+      const count = await NotificationRuleEngine.handle(
+        updated(workOrder, {
+          ...workOrder,
+          assigned_technician_id: null,
+          status: "assigned",
+        }),
+      );
+
+      expect(count).toBe(1);
+      expect(NotificationService.notifyTechnician).toHaveBeenCalledWith(5, {
+        title: "Work order WO-2026-0042 assigned to you",
+        body: "Acme: No heat",
+        type: "assignment",
+        resourceType: "work_order",
+        resourceId: 42,
+        exceptUserId: 12,
+      });
+      expect(NotificationService.notifyCustomer).not.toHaveBeenCalled();
+    });
+
+    test("should notify the assignee of a work order created assigned", async () => {
+      await NotificationRuleEngine.handle({
+        ...updated(workOrder, null),
+        action: "created",
+      });
+
+      expect(NotificationService.notifyTechnician).toHaveBeenCalledWith(
+        5,
+        expect.objectContaining({ type: "assignment" }),
+      );
+    });
+
+    test("should tell the customer about a status change", async () => {
+      await NotificationRuleEngine.handle(
+        updated(
+          { ...workOrder, status: "in_progress" },
+          { ...workOrder, status: "assigned" },
+        ),
+      );
+
+      expect(NotificationService.notifyCustomer).toHaveBeenCalledWith(
+        3,
+        expect.objectContaining({
+          title: "Work order WO-2026-0042 is now in_progress",
+        }),
+      );
+      expect(NotificationService.notifyTechnician).not.toHaveBeenCalled();
+    });
+
+    test("should ignore updates that change neither field", async () => {
+      const count = await NotificationRuleEngine.handle(
+        updated(workOrder, { ...workOrder }),
+      );
+
+      expect(count).toBe(0);
+      expect(NotificationService.notifyCustomer).not.toHaveBeenCalled();
+      expect(NotificationService.notifyTechnician).not.toHaveBeenCalled();
+    });
+
+    test("should only match an invoice going overdue", async () => {
+      const invoice = {
+        id: 70,
+        invoice_number: "INV-2026-0007",
+        customer_id: 3,
+        balance: "448.00",
+        due_date: new Date(2026, 9, 1),
+        status: "overdue",
+      };
+      const event = {
+        entity: "invoice",
+        action: "updated",
+        id: 70,
+        record: invoice,
+        previous: { ...invoice, status: "sent" },
+        actorId: null,
+      };
+
+      await NotificationRuleEngine.handle({
+        ...event,
+        record: { ...invoice, status: "paid" },
+      });
+      expect(NotificationService.notifyRole).not.toHaveBeenCalled();
+
+      const count = await NotificationRuleEngine.handle(event);
+
+      expect(count).toBe(3);
+      expect(NotificationService.notifyRole).toHaveBeenCalledWith("manager", {
+        title: "Invoice overdue: INV-2026-0007",
+        body: "INV-2026-0007 was due on 2026-10-01 and still has 448.00 outstanding.",
+        type: "warning",
+        resourceType: "invoice",
+        resourceId: 70,
+        exceptUserId: null,
+      });
+      expect(NotificationService.notifyCustomer).toHaveBeenCalledWith(
+        3,
+        expect.objectContaining({
+          title: "Invoice INV-2026-0007 is overdue",
+          type: "warning",
+        }),
+      );
+    });
+
+    test("should load the work order for a file upload", async () => {
+      GenericEntityService.findById.mockResolvedValue(workOrder);
+
+      await NotificationRuleEngine.handle({
+        entity: "work_order",
+        action: "file_uploaded",
+        id: 42,
+        record: null,
+        previous: null,
+        actorId: 7,
+        file: { id: 9, original_filename: "before.jpg" },
+      });
+
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "work_order",
+        42,
+      );
+      expect(NotificationService.notifyTechnician).toHaveBeenCalledWith(
+        5,
+        expect.objectContaining({
+          title: "New file on work order WO-2026-0042",
+          body: "before.jpg",
+          exceptUserId: 7,
+        }),
+      );
+      expect(NotificationService.notifyCustomer).toHaveBeenCalledWith(
+        3,
+        expect.objectContaining({ resourceId: 42 }),
+      );
+    });
+
+    test("should skip recipients whose field is empty", async () => {
+      GenericEntityService.findById.mockResolvedValue({
+        ...workOrder,
+        assigned_technician_id: null,
+      });
+
+      await NotificationRuleEngine.handle({
+        entity: "work_order",
+        action: "file_uploaded",
+        id: 42,
+        record: null,
+        file: { original_filename: "before.jpg" },
+      });
+
+      expect(NotificationService.notifyTechnician).not.toHaveBeenCalled();
+      expect(NotificationService.notifyCustomer).toHaveBeenCalledTimes(1);
+    });
+
+    test("should do nothing for events no rule watches", async () => {
+      const count = await NotificationRuleEngine.handle({
+        entity: "work_order",
+        action: "deleted",
+        id: 42,
+        record: null,
+      });
+
+      expect(count).toBe(0);
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("render()", () => {
+    test("should fill record and file fields", () => {
+      expect(
+        NotificationRuleEngine.render(
+          "{work_order_number}: {file.original_filename} ({missing})",
+          workOrder,
+          { original_filename: "a.pdf" },
+        ),
+      ).toBe("WO-2026-0042: a.pdf ()");
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Notification Service Unit Tests
+ *
+ * Tests for: backend/services/notification-service.js
+ *
+ * Coverage:
+ * - notifyRole() - recipient query, defaults, non-blocking failures,
+ *   throwOnError for background jobs (rows and outbox in one transaction)
+ * - notifyCustomer() - portal users of a customer
+ * - notifyTechnician() - the user linked to a technician
+ * - notifyUser() - one user
+ * - once - skips users already sent the same title for the resource
+ * - exceptUserId - skips the user who made the change
+ * - outbox - created rows are handed to the other channels
+ */
+
+const NotificationService = require("../../../services/notification-service");
+const OutboxService = require("../../../services/outbox-service");
+const db = require("../../../db/connection");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+const { logger } = require("../../../config/logger");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../services/outbox-service", () => ({
+  queue: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("NotificationService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("notifyRole()", () => {
+    test("should insert one row per recipient at or above the role", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1 }, { id: 2 }], rowCount: 2 });
+
+      const count = await NotificationService.notifyRole("manager", {
+        title: "Reorder needed: FLT-20X25",
+        body: "Air filter is down to 3",
+        type: "warning",
+        resourceType: "inventory",
+        resourceId: 7,
+      });
+
+      expect(count).toBe(2);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("INSERT INTO notifications");
+      expect(sql).toContain(
+        "r.priority >= (SELECT priority FROM roles WHERE name = $1)",
+      );
+      expect(sql).toContain("u.is_active = true");
+      expect(sql).toContain("COALESCE(p.notifications_enabled, true) = true");
+      expect(params).toEqual([
+        "manager",
+        "Reorder needed: FLT-20X25",
+        "Air filter is down to 3",
+        "warning",
+        "inventory",
+        7,
+      ]);
+    });
+
+    test("should default body, type and resource link", async () => {
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await NotificationService.notifyRole("admin", { title: "Heads up" });
+
+      expect(db.query.mock.calls[0][1]).toEqual([
+        "admin",
+        "Heads up",
+        null,
+        "info",
+        null,
+        null,
+      ]);
+    });
+
+    test("should hand the created rows to the outbox", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1 }, { id: 2 }], rowCount: 2 });
+
+      await NotificationService.notifyRole("manager", { title: "Heads up" });
+
+      expect(OutboxService.queue).toHaveBeenCalledWith([1, 2]);
+    });
+
+    test("should log and return 0 instead of throwing", async () => {
+      db.query.mockRejectedValue(new Error("connection lost"));
+
+      await expect(
+        NotificationService.notifyRole("manager", { title: "Heads up" }),
+      ).resolves.toBe(0);
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to create notifications",
+        expect.objectContaining({ error: "connection lost" }),
+      );
+    });
+
+    test("should rethrow a failure when throwOnError is set", async () => {
+      const client = { query: jest.fn() };
+      client.query.mockRejectedValue(new Error("connection lost"));
+      withTransaction.mockImplementation((callback) => callback(client));
+
+      await expect(
+        NotificationService.notifyRole(
+          "manager",
+          { title: "Heads up" },
+          { throwOnError: true },
+        ),
+      ).rejects.toThrow("connection lost");
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to create notifications",
+        expect.objectContaining({ error: "connection lost" }),
+      );
+    });
+
+    test("should not notify again when a job retries after an outbox failure", async () => {
+      // Rows written in a transaction only count once it commits
+      const committed = [];
+      withTransaction.mockImplementation(async (callback) => {
+        const pending = [];
+        const client = {
+          query: jest.fn(async () => {
+            const row = { id: committed.length + pending.length + 1 };
+            pending.push(row);
+            return { rows: [row], rowCount: 1 };
+          }),
+        };
+        const result = await callback(client);
+        committed.push(...pending);
+        return result;
+      });
+      OutboxService.queue
+        .mockRejectedValueOnce(new Error("outbox down"))
+        .mockResolvedValueOnce(1);
+      const notify = () =>
+        NotificationService.notifyRole(
+          "manager",
+          { title: "Heads up" },
+          { throwOnError: true },
+        );
+
+      await expect(notify()).rejects.toThrow("outbox down");
+      expect(committed).toEqual([]);
+
+      await expect(notify()).resolves.toBe(1);
+      expect(committed).toEqual([{ id: 1 }]);
+      expect(OutboxService.queue).toHaveBeenLastCalledWith([1], {
+        client: expect.objectContaining({ query: expect.any(Function) }),
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("notifyCustomer()", () => {
+    test("should notify the users linked to the customer", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9 }], rowCount: 1 });
+
+      const count = await NotificationService.notifyCustomer(3, {
+        title: "Invoice INV-2026-0007 is overdue",
+        resourceType: "invoice",
+        resourceId: 70,
+      });
+
+      expect(count).toBe(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("u.customer_profile_id = $1");
+      expect(sql).toContain("u.is_active = true");
+      expect(sql).toContain("COALESCE(p.notifications_enabled, true) = true");
+      expect(sql).not.toContain("NOT EXISTS");
+      expect(params).toEqual([
+        3,
+        "Invoice INV-2026-0007 is overdue",
+        null,
+        "info",
+        "invoice",
+        70,
+      ]);
+    });
+  });
+
+  describe("notifyTechnician()", () => {
+    test("should notify the user linked to the technician", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 4 }], rowCount: 1 });
+
+      const count = await NotificationService.notifyTechnician(5, {
+        title: "Work order WO-2026-0042 assigned to you",
+        type: "assignment",
+        resourceType: "work_order",
+        resourceId: 42,
+      });
+
+      expect(count).toBe(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("u.technician_profile_id = $1");
+      expect(sql).toContain("COALESCE(p.notifications_enabled, true) = true");
+      expect(params[0]).toBe(5);
+    });
+  });
+
+  describe("notifyUser()", () => {
+    test("should notify one eligible user", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9 }], rowCount: 1 });
+
+      const count = await NotificationService.notifyUser(4, {
+        title: "Daily digest: 3 unread notifications",
+        type: "digest",
+      });
+
+      expect(count).toBe(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE u.id = $1");
+      expect(sql).toContain("u.is_active = true");
+      expect(params[0]).toBe(4);
+      expect(params[3]).toBe("digest");
+    });
+  });
+
+  describe("exceptUserId", () => {
+    test("should exclude the given user", async () => {
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await NotificationService.notifyRole("manager", {
+        title: "Invoice INV-2026-0007 is overdue",
+        exceptUserId: 12,
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("u.id <> $7");
+      expect(params).toHaveLength(7);
+      expect(params[6]).toBe(12);
+    });
+
+    test("should leave the query unchanged when not given", async () => {
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await NotificationService.notifyRole("manager", { title: "Heads up" });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).not.toContain("u.id <>");
+      expect(params).toHaveLength(6);
+    });
+  });
+
+  describe("once", () => {
+    test("should skip users already sent this title for the resource", async () => {
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await NotificationService.notifyRole("manager", {
+        title: "Contract CTR-2025-0012 expires in 7 days",
+        type: "reminder",
+        resourceType: "contract",
+        resourceId: 12,
+        once: true,
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("NOT EXISTS");
+      expect(sql).toContain("n.user_id = u.id");
+      expect(sql).toContain("n.title = $2");
+      expect(params).toHaveLength(6);
+    });
+  });
+});
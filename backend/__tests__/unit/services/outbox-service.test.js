@@ -0,0 +1,369 @@
+/**
+ * Outbox Service Unit Tests
+ *
+ * Tests for: backend/services/outbox-service.js
+ *
+ * Coverage:
+ * - queue() - enabled channels, preferences, row + job in one transaction,
+ *   never throws; in the caller's transaction when given one, rethrowing
+ * - deliver() - sent, retried, failed on the last attempt, permanent
+ *   rejection, skipped rows
+ * - list() - filters, counts, pagination
+ * - retry() - only failed rows, requeues a job
+ */
+
+const OutboxService = require("../../../services/outbox-service");
+const JobQueueService = require("../../../services/job-queue-service");
+const EmailService = require("../../../services/email-service");
+const db = require("../../../db/connection");
+const { logger } = require("../../../config/logger");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+jest.mock("../../../services/job-queue-service", () => ({
+  enqueue: jest.fn(),
+}));
+jest.mock("../../../services/email-service", () => ({
+  isConfigured: jest.fn(),
+  render: jest.fn(),
+  send: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("OutboxService", () => {
+  let client;
+
+  const notificationRow = {
+    id: 31,
+    user_id: 4,
+    title: "Work order WO-2026-0042 assigned to you",
+    body: "Acme: No heat",
+    type: "assignment",
+    resource_type: "work_order",
+    resource_id: 42,
+    first_name: "Ada",
+    last_name: "Tech",
+    email: "ada@x.com",
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+    EmailService.isConfigured.mockReturnValue(true);
+    EmailService.render.mockReturnValue({
+      subject: "New assignment",
+      text: "Hello",
+      html: "<p>Hello</p>",
+    });
+  });
+
+  // ==========================================================================
+  // queue
+  // ==========================================================================
+
+  describe("queue()", () => {
+    test("should do nothing when no channel is enabled", async () => {
+      EmailService.isConfigured.mockReturnValue(false);
+
+      await expect(OutboxService.queue([31])).resolves.toBe(0);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test("should queue a row and its delivery job together", async () => {
+      db.query.mockResolvedValue({ rows: [notificationRow] });
+      client.query.mockImplementation(async (sql) =>
+        sql.includes("INSERT INTO outbox") ? { rows: [{ id: 8 }] } : {},
+      );
+
+      const queued = await OutboxService.queue([31]);
+
+      expect(queued).toBe(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("COALESCE(p.email_notifications, true) = true");
+      expect(sql).toContain(
+        "COALESCE(p.notification_digest, false) = false OR n.type = $2",
+      );
+      expect(params).toEqual([[31], "digest"]);
+      expect(EmailService.render).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 31, type: "assignment" }),
+        { id: 4, first_name: "Ada", last_name: "Tech", email: "ada@x.com" },
+      );
+
+      const statements = client.query.mock.calls.map(([text]) => text.trim());
+      expect(statements[0]).toBe("BEGIN");
+      expect(statements.at(-1)).toBe("COMMIT");
+      expect(client.query.mock.calls[1][1]).toEqual([
+        "email",
+        31,
+        4,
+        "ada@x.com",
+        "New assignment",
+        "Hello",
+        "<p>Hello</p>",
+      ]);
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "outbox.deliver",
+        { outboxId: 8 },
+        { client },
+      );
+    });
+
+    test("should skip users without an address", async () => {
+      db.query.mockResolvedValue({
+        rows: [{ ...notificationRow, email: null }],
+      });
+
+      await expect(OutboxService.queue([31])).resolves.toBe(0);
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+
+    test("should roll back, log and return 0 on failure", async () => {
+      db.query.mockResolvedValue({ rows: [notificationRow] });
+      client.query.mockResolvedValue({ rows: [{ id: 8 }] });
+      JobQueueService.enqueue.mockRejectedValueOnce(new Error("db down"));
+
+      await expect(OutboxService.queue([31])).resolves.toBe(0);
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(client.release).toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to queue notification messages",
+        expect.objectContaining({ channel: "email", error: "db down" }),
+      );
+    });
+
+    test("should write in the caller's transaction and rethrow", async () => {
+      const caller = { query: jest.fn() };
+      caller.query
+        .mockResolvedValueOnce({ rows: [notificationRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 8 }] });
+
+      await expect(OutboxService.queue([31], { client: caller })).resolves.toBe(
+        1,
+      );
+      expect(caller.query.mock.calls[1][0]).toContain("INSERT INTO outbox");
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "outbox.deliver",
+        { outboxId: 8 },
+        { client: caller },
+      );
+      expect(db.query).not.toHaveBeenCalled();
+      expect(db.getClient).not.toHaveBeenCalled();
+
+      caller.query.mockResolvedValue({ rows: [notificationRow] });
+      JobQueueService.enqueue.mockRejectedValueOnce(new Error("db down"));
+      await expect(
+        OutboxService.queue([31], { client: caller }),
+      ).rejects.toThrow("db down");
+    });
+  });
+
+  // ==========================================================================
+  // deliver
+  // ==========================================================================
+
+  describe("deliver()", () => {
+    const message = {
+      id: 8,
+      channel: "email",
+      recipient: "ada@x.com",
+      subject: "New assignment",
+      body_text: "Hello",
+      body_html: "<p>Hello</p>",
+      status: "pending",
+    };
+    const job = { attempt: 1, maxAttempts: 5 };
+
+    test("should send and mark the row sent", async () => {
+      db.query.mockResolvedValueOnce({ rows: [message] });
+      db.query.mockResolvedValueOnce({ rowCount: 1 });
+      EmailService.send.mockResolvedValue({ messageId: "<1@x>" });
+
+      await expect(OutboxService.deliver(8, job)).resolves.toEqual({
+        sent: true,
+      });
+      expect(EmailService.send).toHaveBeenCalledWith({
+        to: "ada@x.com",
+        subject: "New assignment",
+        text: "Hello",
+        html: "<p>Hello</p>",
+      });
+      expect(db.query.mock.calls[1][0]).toContain("sent_at = NOW()");
+      expect(db.query.mock.calls[1][1]).toEqual([8, "sent"]);
+    });
+
+    test("should keep the row pending and rethrow to retry", async () => {
+      db.query.mockResolvedValueOnce({ rows: [message] });
+      db.query.mockResolvedValueOnce({ rowCount: 1 });
+      EmailService.send.mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+      await expect(OutboxService.deliver(8, job)).rejects.toThrow(
+        "connect ECONNREFUSED",
+      );
+      expect(db.query.mock.calls[1][1]).toEqual([
+        8,
+        "pending",
+        "connect ECONNREFUSED",
+      ]);
+    });
+
+    test("should mark the row failed on the last attempt", async () => {
+      db.query.mockResolvedValueOnce({ rows: [message] });
+      db.query.mockResolvedValueOnce({ rowCount: 1 });
+      EmailService.send.mockRejectedValue(new Error("timeout"));
+
+      await expect(
+        OutboxService.deliver(8, { attempt: 5, maxAttempts: 5 }),
+      ).rejects.toThrow("timeout");
+      expect(db.query.mock.calls[1][1][1]).toBe("failed");
+    });
+
+    test("should fail for good on a permanent rejection", async () => {
+      const rejection = Object.assign(new Error("550 No such user"), {
+        permanent: true,
+      });
+      db.query.mockResolvedValueOnce({ rows: [message] });
+      db.query.mockResolvedValueOnce({ rowCount: 1 });
+      EmailService.send.mockRejectedValue(rejection);
+
+      await expect(OutboxService.deliver(8, job)).rejects.toMatchObject({
+        statusCode: 422,
+        code: "DELIVERY_REJECTED",
+      });
+      expect(db.query.mock.calls[1][1][1]).toBe("failed");
+    });
+
+    test("should skip rows that are no longer pending", async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ ...message, status: "sent" }],
+      });
+
+      await expect(OutboxService.deliver(8, job)).resolves.toEqual({
+        skipped: "sent",
+      });
+      expect(EmailService.send).not.toHaveBeenCalled();
+    });
+
+    test("should retry later when the channel is not configured", async () => {
+      EmailService.isConfigured.mockReturnValue(false);
+      db.query.mockResolvedValueOnce({ rows: [message] });
+      db.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(OutboxService.deliver(8, job)).rejects.toThrow(
+        "Channel 'email' is not configured",
+      );
+      expect(EmailService.send).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // list
+  // ==========================================================================
+
+  describe("list()", () => {
+    test("should filter and count by status", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 8, status: "failed" }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { status: "sent", count: 40 },
+            { status: "failed", count: 3 },
+          ],
+        });
+
+      const result = await OutboxService.list({
+        status: "failed",
+        page: "2",
+        limit: "2",
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE status = $1");
+      expect(sql).not.toContain("body_text");
+      expect(params).toEqual(["failed", 2, 2]);
+      expect(result.counts).toEqual({ pending: 0, sent: 40, failed: 3 });
+      expect(result.pagination).toMatchObject({
+        page: 2,
+        limit: 2,
+        total: 3,
+        totalPages: 2,
+        hasNext: false,
+        hasPrev: true,
+      });
+    });
+
+    test("should cap the page size", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await OutboxService.list({ limit: 5000 });
+
+      expect(result.pagination.limit).toBe(200);
+    });
+
+    test("should reject an unknown status", async () => {
+      await expect(OutboxService.list({ status: "bounced" })).rejects.toThrow(
+        "Invalid status 'bounced'",
+      );
+    });
+  });
+
+  // ==========================================================================
+  // retry
+  // ==========================================================================
+
+  describe("retry()", () => {
+    test("should requeue a failed row", async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes("FOR UPDATE")) {
+          return { rows: [{ status: "failed" }] };
+        }
+        if (sql.includes("UPDATE outbox")) {
+          return { rows: [{ id: 8, status: "pending", attempts: 0 }] };
+        }
+        return {};
+      });
+
+      const row = await OutboxService.retry(8, 1);
+
+      expect(row).toEqual({ id: 8, status: "pending", attempts: 0 });
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "outbox.deliver",
+        { outboxId: 8 },
+        { client, submittedBy: 1 },
+      );
+      expect(client.query).toHaveBeenCalledWith("COMMIT");
+    });
+
+    test("should refuse rows that did not fail", async () => {
+      client.query.mockImplementation(async (sql) =>
+        sql.includes("FOR UPDATE") ? { rows: [{ status: "sent" }] } : {},
+      );
+
+      await expect(OutboxService.retry(8, 1)).rejects.toMatchObject({
+        statusCode: 409,
+        code: "OUTBOX_NOT_FAILED",
+      });
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 for a missing row", async () => {
+      client.query.mockImplementation(async (sql) =>
+        sql.includes("FOR UPDATE") ? { rows: [] } : {},
+      );
+
+      await expect(OutboxService.retry(99, 1)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+});
@@ -229,6 +229,206 @@ describe("PaginationService", () => {
     });
   });
 
+  describe("generateEstimatedMetadata()", () => {
+    test("should take hasNext from the extra row when there is no total", () => {
+      expect(
+        PaginationService.generateEstimatedMetadata(2, 20, { hasMore: true }),
+      ).toEqual({
+        page: 2,
+        limit: 20,
+        total: null,
+        totalEstimated: false,
+        totalPages: null,
+        hasNext: true,
+        hasPrev: true,
+      });
+    });
+
+    test("should derive totalPages from an estimate", () => {
+      const metadata = PaginationService.generateEstimatedMetadata(1, 20, {
+        hasMore: false,
+        total: 95,
+      });
+
+      expect(metadata.total).toBe(95);
+      expect(metadata.totalEstimated).toBe(true);
+      expect(metadata.totalPages).toBe(5);
+    });
+  });
+
+  describe("cursors", () => {
+    const sort = { field: "created_at", order: "DESC" };
+    const row = { id: 42, cursor_sort_value: "2026-10-14 15:30:00.123456+00" };
+
+    test("should round-trip a cursor", () => {
+      const cursor = PaginationService.encodeCursor(row, sort, "next");
+
+      expect(PaginationService.decodeCursor(cursor)).toEqual({
+        field: "created_at",
+        order: "DESC",
+        value: "2026-10-14 15:30:00.123456+00",
+        id: 42,
+        direction: "next",
+      });
+    });
+
+    test("should encode a missing sort value as null", () => {
+      const cursor = PaginationService.encodeCursor({ id: 1 }, sort, "prev");
+
+      expect(PaginationService.decodeCursor(cursor).value).toBeNull();
+    });
+
+    test("should reject malformed cursors", () => {
+      const bad = (payload) =>
+        Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+      for (const cursor of [
+        "not-a-cursor",
+        bad({ f: "id", o: "ASC", v: null, id: "1", d: "next" }),
+        bad({ f: "id", o: "UP", v: null, id: 1, d: "next" }),
+        bad({ f: "id", o: "ASC", v: null, id: 1, d: "sideways" }),
+      ]) {
+        expect(() => PaginationService.decodeCursor(cursor)).toThrow(
+          "Invalid pagination cursor",
+        );
+      }
+    });
+  });
+
+  describe("buildKeysetClause()", () => {
+    const columns = { column: "t.created_at", idColumn: "t.id" };
+    const cursor = (overrides) => ({
+      field: "created_at",
+      order: "ASC",
+      value: "2026-10-14",
+      id: 7,
+      direction: "next",
+      ...overrides,
+    });
+
+    test("should continue after the cursor row, with NULLs last", () => {
+      expect(PaginationService.buildKeysetClause(cursor(), columns, 2)).toEqual(
+        {
+          clause:
+            "(t.created_at > $3 OR (t.created_at = $3 AND t.id > $4) OR t.created_at IS NULL)",
+          params: ["2026-10-14", 7],
+        },
+      );
+    });
+
+    test("should flip the comparison for DESC and for prev", () => {
+      expect(
+        PaginationService.buildKeysetClause(cursor({ order: "DESC" }), columns)
+          .clause,
+      ).toBe(
+        "(t.created_at < $1 OR (t.created_at = $1 AND t.id < $2) OR t.created_at IS NULL)",
+      );
+      expect(
+        PaginationService.buildKeysetClause(
+          cursor({ direction: "prev" }),
+          columns,
+        ).clause,
+      ).toBe("(t.created_at < $1 OR (t.created_at = $1 AND t.id < $2))");
+    });
+
+    test("should page within the NULLs after a NULL cursor row", () => {
+      expect(
+        PaginationService.buildKeysetClause(cursor({ value: null }), columns),
+      ).toEqual({
+        clause: "(t.created_at IS NULL AND t.id > $1)",
+        params: [7],
+      });
+      expect(
+        PaginationService.buildKeysetClause(
+          cursor({ value: null, direction: "prev" }),
+          columns,
+        ).clause,
+      ).toBe("(t.created_at IS NOT NULL OR t.id < $1)");
+    });
+
+    test("should compare the id alone when sorting by id", () => {
+      expect(
+        PaginationService.buildKeysetClause(
+          cursor({ field: "id", value: "7" }),
+          { column: "t.id", idColumn: "t.id" },
+        ),
+      ).toEqual({ clause: "t.id > $1", params: [7] });
+    });
+  });
+
+  describe("buildKeysetOrder()", () => {
+    const columns = { column: "t.name", idColumn: "t.id" };
+
+    test("should order by the sort field then id, NULLs last", () => {
+      expect(
+        PaginationService.buildKeysetOrder(
+          { field: "name", order: "ASC" },
+          columns,
+        ),
+      ).toBe("t.name ASC NULLS LAST, t.id ASC");
+    });
+
+    test("should reverse the order for prev pages", () => {
+      expect(
+        PaginationService.buildKeysetOrder(
+          { field: "name", order: "DESC" },
+          columns,
+          "prev",
+        ),
+      ).toBe("t.name ASC NULLS FIRST, t.id ASC");
+    });
+  });
+
+  describe("sliceCursorPage() and generateCursorMetadata()", () => {
+    const sort = { field: "id", order: "ASC" };
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    test("should cut the extra row and point cursors at the page ends", () => {
+      const slice = PaginationService.sliceCursorPage(rows, 2);
+      const metadata = PaginationService.generateCursorMetadata(slice.rows, {
+        limit: 2,
+        sort,
+        cursor: null,
+        hasMore: slice.hasMore,
+      });
+
+      expect(slice.rows).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(metadata.hasNext).toBe(true);
+      expect(metadata.hasPrev).toBe(false);
+      expect(metadata.prevCursor).toBeNull();
+      expect(PaginationService.decodeCursor(metadata.nextCursor)).toEqual(
+        expect.objectContaining({ id: 2, direction: "next" }),
+      );
+    });
+
+    test("should put prev pages back in sort order", () => {
+      const slice = PaginationService.sliceCursorPage(
+        [{ id: 9 }, { id: 8 }],
+        2,
+        "prev",
+      );
+      const metadata = PaginationService.generateCursorMetadata(slice.rows, {
+        limit: 2,
+        sort,
+        cursor: { direction: "prev" },
+        hasMore: slice.hasMore,
+        total: 20,
+      });
+
+      expect(slice.rows).toEqual([{ id: 8 }, { id: 9 }]);
+      expect(metadata).toEqual(
+        expect.objectContaining({
+          total: 20,
+          totalEstimated: false,
+          hasNext: true,
+          hasPrev: false,
+          prevCursor: null,
+        }),
+      );
+      expect(PaginationService.decodeCursor(metadata.nextCursor).id).toBe(9);
+    });
+  });
+
   describe("DEFAULTS", () => {
     test("should export default constants", () => {
       expect(PaginationService.DEFAULTS).toEqual({
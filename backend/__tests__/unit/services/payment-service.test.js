@@ -0,0 +1,424 @@
+/**
+ * Payment Service Unit Tests
+ *
+ * Tests for: backend/services/payment-service.js
+ *
+ * Coverage:
+ * - recordPayment() - partial payment, settling a sent invoice, deposit on
+ *   a draft, overpayment, unpayable status, unknown invoice, audit
+ * - refund() - reopening a paid invoice, more than paid
+ * - reverse() - copies the payment, already reversed, not a payment,
+ *   not on this invoice
+ * - entity events - the new entry and the invoice it moved
+ */
+
+const PaymentService = require("../../../services/payment-service");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+const { logEntityEvent } = require("../../../db/helpers/audit-helper");
+const { AuditActions } = require("../../../services/audit-constants");
+const EntityEvents = require("../../../services/entity-events");
+
+// Mock dependencies
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../services/entity-events", () => ({
+  publishAll: jest.fn(),
+}));
+
+describe("PaymentService", () => {
+  const client = { query: jest.fn() };
+  const auditContext = { userId: 3, ipAddress: "127.0.0.1" };
+  const receivedAt = new Date("2026-10-19T15:00:00Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Early refusals leave queued query results behind
+    client.query.mockReset();
+    withTransaction.mockImplementation((callback) => callback(client));
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const sent = {
+    id: 70,
+    invoice_number: "INV-2026-0007",
+    status: "sent",
+    total: "648.00",
+    amount_paid: "0.00",
+    balance: "648.00",
+    paid_at: null,
+  };
+
+  /**
+   * Mock the invoice lock, optional extra reads, the ledger insert and
+   * the invoice update (echoing the values written)
+   */
+  const mockEntry = (invoice, entry, extra = []) => {
+    client.query.mockResolvedValueOnce({ rows: invoice ? [invoice] : [] });
+    extra.forEach((rows) => client.query.mockResolvedValueOnce({ rows }));
+    client.query
+      .mockResolvedValueOnce({
+        rows: [{ id: 500, invoice_id: 70, received_at: receivedAt, ...entry }],
+      })
+      .mockImplementationOnce((sql, [id, amountPaid, status, paidAt]) => ({
+        rows: [
+          {
+            ...invoice,
+            id,
+            amount_paid: amountPaid.toFixed(2),
+            balance: (Number(invoice.total) - amountPaid).toFixed(2),
+            status,
+            paid_at: paidAt,
+          },
+        ],
+      }));
+  };
+
+  /** Params of the ledger insert (after any extra reads) */
+  const insertParams = (index = 1) => client.query.mock.calls[index][1];
+
+  // ============================================================================
+  // recordPayment
+  // ============================================================================
+
+  describe("recordPayment()", () => {
+    test("should record a partial payment without settling the invoice", async () => {
+      mockEntry(sent, { entry_type: "payment", amount: "200.00" });
+
+      const result = await PaymentService.recordPayment(
+        70,
+        { amount: 200, method: "check", reference: "1042" },
+        { auditContext },
+      );
+
+      expect(client.query.mock.calls[0][0]).toContain("FOR UPDATE");
+      expect(insertParams()).toEqual([
+        70,
+        "payment",
+        200,
+        "check",
+        "1042",
+        null,
+        null,
+        null,
+        3,
+      ]);
+      expect(client.query.mock.calls[2][1]).toEqual([70, 200, "sent", null]);
+      expect(result.invoice).toMatchObject({
+        status: "sent",
+        amount_paid: "200.00",
+        balance: "448.00",
+      });
+
+      expect(logEntityEvent).toHaveBeenCalledTimes(1);
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.PAYMENT_RECEIVED,
+        "payment",
+        result.payment,
+        auditContext,
+        {
+          oldValues: { amount_paid: "0.00", balance: "648.00", status: "sent" },
+          newValues: expect.objectContaining({
+            amount_paid: "200.00",
+            balance: "448.00",
+            invoice_id: 70,
+            entry_type: "payment",
+          }),
+        },
+      );
+    });
+
+    test("should mark a sent invoice paid when the balance reaches zero", async () => {
+      const partlyPaid = {
+        ...sent,
+        amount_paid: "448.00",
+        balance: "200.00",
+      };
+      mockEntry(partlyPaid, { entry_type: "payment", amount: "200.00" });
+
+      const result = await PaymentService.recordPayment(
+        70,
+        { amount: 200, method: "card" },
+        { auditContext },
+      );
+
+      expect(client.query.mock.calls[2][1]).toEqual([
+        70,
+        648,
+        "paid",
+        receivedAt,
+      ]);
+      expect(result.invoice).toMatchObject({ status: "paid", balance: "0.00" });
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVOICE_PAID,
+        "invoice",
+        result.invoice,
+        auditContext,
+        {
+          oldValues: { status: "sent", paid_at: null },
+          newValues: {
+            status: "paid",
+            paid_at: receivedAt,
+            payment_id: 500,
+          },
+        },
+      );
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [
+          { entity: "payment", action: "created", record: result.payment },
+          {
+            entity: "invoice",
+            action: "updated",
+            record: result.invoice,
+            previous: partlyPaid,
+          },
+        ],
+        3,
+      );
+    });
+
+    test("should take a deposit on a draft without marking it paid", async () => {
+      mockEntry(
+        { ...sent, status: "draft", total: "100.00", balance: "100.00" },
+        { entry_type: "payment", amount: "100.00" },
+      );
+
+      const result = await PaymentService.recordPayment(
+        70,
+        { amount: 100, method: "cash" },
+        { auditContext },
+      );
+
+      expect(result.invoice).toMatchObject({
+        status: "draft",
+        balance: "0.00",
+      });
+      expect(logEntityEvent).toHaveBeenCalledTimes(1);
+    });
+
+    test("should refuse a payment larger than the balance", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...sent, amount_paid: "600.00", balance: "48.00" }],
+      });
+
+      await expect(
+        PaymentService.recordPayment(
+          70,
+          { amount: 48.01, method: "cash" },
+          { auditContext },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "OVERPAYMENT",
+        details: { balance: 48 },
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(logEntityEvent).not.toHaveBeenCalled();
+      expect(EntityEvents.publishAll).not.toHaveBeenCalled();
+    });
+
+    test.each(["paid", "cancelled", "void"])(
+      "should refuse a payment on a %s invoice",
+      async (status) => {
+        client.query.mockResolvedValueOnce({ rows: [{ ...sent, status }] });
+
+        await expect(
+          PaymentService.recordPayment(
+            70,
+            { amount: 1, method: "cash" },
+            { auditContext },
+          ),
+        ).rejects.toMatchObject({
+          statusCode: 409,
+          code: "INVOICE_NOT_PAYABLE",
+          details: { status },
+        });
+      },
+    );
+
+    test("should throw 404 for an unknown invoice", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        PaymentService.recordPayment(99, { amount: 1, method: "cash" }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  // ============================================================================
+  // refund
+  // ============================================================================
+
+  describe("refund()", () => {
+    const paid = {
+      ...sent,
+      status: "paid",
+      amount_paid: "648.00",
+      balance: "0.00",
+      paid_at: receivedAt,
+    };
+
+    test("should put a paid invoice back to sent and audit the refund", async () => {
+      mockEntry(paid, { entry_type: "refund", amount: "48.00" });
+
+      const result = await PaymentService.refund(
+        70,
+        { amount: 48, method: "card", notes: "Goodwill" },
+        { auditContext },
+      );
+
+      expect(insertParams()[1]).toBe("refund");
+      expect(client.query.mock.calls[2][1]).toEqual([70, 600, "sent", null]);
+      expect(result.invoice).toMatchObject({
+        status: "sent",
+        balance: "48.00",
+      });
+
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.PAYMENT_REFUNDED,
+        "payment",
+        result.payment,
+        auditContext,
+        expect.objectContaining({
+          newValues: expect.objectContaining({ entry_type: "refund" }),
+        }),
+      );
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVOICE_UPDATE,
+        "invoice",
+        result.invoice,
+        auditContext,
+        expect.objectContaining({
+          oldValues: { status: "paid", paid_at: receivedAt },
+        }),
+      );
+    });
+
+    test("should refuse to refund more than has been paid", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...sent, amount_paid: "200.00" }],
+      });
+
+      await expect(
+        PaymentService.refund(
+          70,
+          { amount: 200.01, method: "cash" },
+          { auditContext },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "EXCEEDS_AMOUNT_PAID",
+        details: { amount_paid: 200 },
+      });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // ============================================================================
+  // reverse
+  // ============================================================================
+
+  describe("reverse()", () => {
+    const partlyPaid = { ...sent, amount_paid: "250.00", balance: "398.00" };
+    const original = {
+      id: 41,
+      invoice_id: 70,
+      entry_type: "payment",
+      amount: "250.00",
+      method: "check",
+      reference: "1042",
+      reversal_id: null,
+    };
+
+    test("should reverse the payment with its amount, method and reference", async () => {
+      mockEntry(partlyPaid, { entry_type: "reversal", amount: "250.00" }, [
+        [original],
+      ]);
+
+      const result = await PaymentService.reverse(
+        70,
+        41,
+        { notes: "Check returned NSF" },
+        { auditContext },
+      );
+
+      expect(client.query.mock.calls[1][1]).toEqual([41, 70]);
+      expect(insertParams(2)).toEqual([
+        70,
+        "reversal",
+        "250.00",
+        "check",
+        "1042",
+        null,
+        "Check returned NSF",
+        41,
+        3,
+      ]);
+      expect(client.query.mock.calls[3][1]).toEqual([70, 0, "sent", null]);
+      expect(result.invoice.balance).toBe("648.00");
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.PAYMENT_REVERSED,
+        "payment",
+        result.payment,
+        auditContext,
+        expect.anything(),
+      );
+    });
+
+    test("should refuse to reverse a payment twice", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [partlyPaid] })
+        .mockResolvedValueOnce({ rows: [{ ...original, reversal_id: 77 }] });
+
+      await expect(
+        PaymentService.reverse(70, 41, {}, { auditContext }),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "ALREADY_REVERSED",
+        details: { reversal_id: 77 },
+      });
+      expect(client.query).toHaveBeenCalledTimes(2);
+    });
+
+    test("should refuse to reverse a refund", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [partlyPaid] })
+        .mockResolvedValueOnce({
+          rows: [{ ...original, entry_type: "refund" }],
+        });
+
+      await expect(
+        PaymentService.reverse(70, 41, {}, { auditContext }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test("should refuse a reversal that refunds already cover", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ ...sent, amount_paid: "100.00" }] })
+        .mockResolvedValueOnce({ rows: [original] });
+
+      await expect(
+        PaymentService.reverse(70, 41, {}, { auditContext }),
+      ).rejects.toMatchObject({ statusCode: 409, code: "EXCEEDS_AMOUNT_PAID" });
+    });
+
+    test("should throw 404 for a payment on another invoice", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [partlyPaid] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        PaymentService.reverse(70, 41, {}, { auditContext }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -4,8 +4,10 @@
  * Tests the GENERIC query builder that powers ALL models
  *
  * Coverage:
- * - Search clause building (ILIKE)
+ * - Search clause building (full-text with searchWeights, ILIKE fallback)
  * - Filter clause building (exact match + operators)
+ * - Boolean filter groups (and/or/not), expression parsing and validation
+ * - Typed operators (isnull, between, contains, ...) and relative dates
  * - Sort clause building (with validation)
  * - Clause combining
  * - Parameter combining
@@ -111,6 +113,118 @@ describe("QueryBuilderService", () => {
     });
   });
 
+  describe("buildSearchClause (full-text)", () => {
+    const searchableFields = ["name", "summary"];
+    const searchWeights = { name: "A", summary: "B" };
+
+    test("should match the search vector with one websearch query param", () => {
+      const result = QueryBuilderService.buildSearchClause(
+        "  leaking heater ",
+        searchableFields,
+        "work_orders",
+        searchWeights,
+      );
+
+      expect(result.clause).toBe(
+        "work_orders.search_vector @@ websearch_to_tsquery('english', $1)",
+      );
+      expect(result.params).toEqual(["leaking heater"]);
+      expect(result.paramOffset).toBe(1);
+      expect(result.fullText).toBe(true);
+    });
+
+    test("should rank by the same query", () => {
+      const result = QueryBuilderService.buildSearchClause(
+        "heater",
+        searchableFields,
+        "work_orders",
+        searchWeights,
+      );
+
+      expect(result.rank).toBe(
+        "ts_rank(work_orders.search_vector, websearch_to_tsquery('english', $1))",
+      );
+    });
+
+    test("should build a highlight per searchable field", () => {
+      const result = QueryBuilderService.buildSearchClause(
+        "heater",
+        searchableFields,
+        "work_orders",
+        searchWeights,
+      );
+
+      expect(result.highlights).toMatch(
+        /^json_build_object\('name', ts_headline\(/,
+      );
+      expect(result.highlights).toContain(
+        "coalesce(work_orders.summary::text, '')",
+      );
+      expect(result.highlights).toContain('StartSel="<mark>"');
+      expect(result.highlights.match(/ts_headline/g)).toHaveLength(2);
+    });
+
+    test("should fall back to ILIKE for identifier terms", () => {
+      for (const term of ["WO-2026-0042", "jane@example.com", "ab"]) {
+        const result = QueryBuilderService.buildSearchClause(
+          term,
+          searchableFields,
+          null,
+          searchWeights,
+        );
+
+        expect(result.clause).toBe("(name ILIKE $1 OR summary ILIKE $2)");
+        expect(result.fullText).toBeUndefined();
+      }
+    });
+
+    test("should use ILIKE without searchWeights", () => {
+      const result = QueryBuilderService.buildSearchClause(
+        "leaking heater",
+        searchableFields,
+        null,
+        {},
+      );
+
+      expect(result).toEqual({
+        clause: "(name ILIKE $1 OR summary ILIKE $2)",
+        params: ["%leaking heater%", "%leaking heater%"],
+        paramOffset: 2,
+      });
+    });
+  });
+
+  describe("isIdentifierSearch", () => {
+    test("should treat short terms and single tokens with digits or punctuation as identifiers", () => {
+      expect(QueryBuilderService.isIdentifierSearch("ab")).toBe(true);
+      expect(QueryBuilderService.isIdentifierSearch("INV-001")).toBe(true);
+      expect(QueryBuilderService.isIdentifierSearch("SKU1234")).toBe(true);
+      expect(QueryBuilderService.isIdentifierSearch("a@b.co")).toBe(true);
+    });
+
+    test("should treat words and phrases as full-text", () => {
+      expect(QueryBuilderService.isIdentifierSearch("heater")).toBe(false);
+      expect(QueryBuilderService.isIdentifierSearch("unit 4 leak")).toBe(false);
+      expect(
+        QueryBuilderService.isIdentifierSearch('"water heater" -gas'),
+      ).toBe(false);
+    });
+  });
+
+  describe("buildSearchVectorExpression", () => {
+    test("should concatenate weighted vectors in field order", () => {
+      expect(
+        QueryBuilderService.buildSearchVectorExpression({
+          name: "A",
+          summary: "B",
+        }),
+      ).toBe(
+        "setweight(to_tsvector('english', coalesce(name, '')), 'A') || " +
+          "setweight(to_tsvector('english', coalesce(summary, '')), 'B')",
+      );
+    });
+  });
+
   // ==========================================================================
   // FILTER CLAUSE TESTS
   // ==========================================================================
@@ -281,6 +395,416 @@ describe("QueryBuilderService", () => {
     });
   });
 
+  // ==========================================================================
+  // BOOLEAN FILTER GROUP TESTS
+  // ==========================================================================
+
+  describe("buildFilterClause (boolean groups)", () => {
+    const filterableFields = ["status", "priority", "customer_id", "is_active"];
+
+    test("should OR the members of an or group", () => {
+      const result = QueryBuilderService.buildFilterClause(
+        { or: [{ status: "pending" }, { priority: "urgent" }] },
+        filterableFields,
+      );
+
+      expect(result.clause).toBe("(status = $1 OR priority = $2)");
+      expect(result.params).toEqual(["pending", "urgent"]);
+      expect(result.paramOffset).toBe(2);
+    });
+
+    test("should AND a group with the flat filters", () => {
+      const result = QueryBuilderService.buildFilterClause(
+        {
+          is_active: true,
+          or: [{ status: "pending" }, { priority: { in: ["high", "urgent"] } }],
+        },
+        filterableFields,
+        1,
+        "work_orders",
+      );
+
+      expect(result.clause).toBe(
+        "work_orders.is_active = $2 AND " +
+          "(work_orders.status = $3 OR work_orders.priority IN ($4, $5))",
+      );
+      expect(result.params).toEqual([true, "pending", "high", "urgent"]);
+      expect(result.paramOffset).toBe(5);
+    });
+
+    test("should nest and/or/not groups", () => {
+      const result = QueryBuilderService.buildFilterClause(
+        {
+          and: [
+            { or: [{ customer_id: 1 }, { customer_id: 2 }] },
+            { not: { status: "cancelled" } },
+          ],
+        },
+        filterableFields,
+      );
+
+      expect(result.clause).toBe(
+        "(customer_id = $1 OR customer_id = $2) AND NOT (status = $3)",
+      );
+      expect(result.params).toEqual([1, 2, "cancelled"]);
+    });
+
+    test("should parenthesize members with several conditions", () => {
+      const result = QueryBuilderService.buildFilterClause(
+        {
+          or: [
+            { status: "pending", priority: "urgent" },
+            { not: { or: [{ status: "completed" }, { status: "cancelled" }] } },
+          ],
+        },
+        filterableFields,
+      );
+
+      expect(result.clause).toBe(
+        "((status = $1 AND priority = $2) OR " +
+          "NOT (status = $3 OR status = $4))",
+      );
+    });
+
+    test("should support eq next to other operators", () => {
+      const result = QueryBuilderService.buildFilterClause(
+        { priority: { eq: "5", not: "6" } },
+        filterableFields,
+      );
+
+      expect(result.clause).toBe("priority = $1 AND priority != $2");
+    });
+
+    test("should reject fields that are not filterable inside a group", () => {
+      expect(() =>
+        QueryBuilderService.buildFilterClause(
+          { or: [{ status: "pending" }, { password_hash: "x" }] },
+          filterableFields,
+        ),
+      ).toThrow("'password_hash' is not a filterable field");
+    });
+
+    test.each([
+      ["an empty or group", { or: [] }, "non-empty array"],
+      ["a non-array and group", { and: { status: "x" } }, "non-empty array"],
+      ["an empty member", { or: [{}] }, "cannot be empty"],
+      ["an unknown operator", { or: [{ status: { like: "%" } }] }, "like"],
+      ["an object value", { not: { status: { in: [] } } }, "at least one"],
+      ["an array value", { not: { status: ["a", "b"] } }, "operator object"],
+      ["a null value", { not: { status: null } }, "string, number"],
+    ])("should reject %s with a 400", (_label, filters, message) => {
+      expect(() =>
+        QueryBuilderService.buildFilterClause(filters, filterableFields),
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          message: expect.stringContaining(message),
+        }),
+      );
+    });
+
+    test("should reject groups nested deeper than the limit", () => {
+      let filters = { status: "pending" };
+      for (let i = 0; i < 11; i++) {
+        filters = { not: filters };
+      }
+
+      expect(() =>
+        QueryBuilderService.buildFilterClause(filters, filterableFields),
+      ).toThrow("nested more than 10 levels");
+    });
+
+    test("should reject expressions with too many conditions", () => {
+      const or = Array.from({ length: 51 }, (_, i) => ({ customer_id: i }));
+
+      expect(() =>
+        QueryBuilderService.buildFilterClause({ or }, filterableFields),
+      ).toThrow("more than 50 conditions");
+    });
+  });
+
+  describe("buildFilterClause (typed operators)", () => {
+    const fields = {
+      id: { type: "integer" },
+      organization_name: { type: "string" },
+      status: { type: "enum", values: ["pending", "completed"] },
+      is_active: { type: "boolean" },
+      assigned_technician_id: { type: "foreignKey" },
+      due_date: { type: "date" },
+      created_at: { type: "timestamp" },
+      settings: { type: "jsonb" },
+    };
+    const filterableFields = Object.keys(fields);
+    const build = (filters) =>
+      QueryBuilderService.buildFilterClause(
+        filters,
+        filterableFields,
+        0,
+        null,
+        fields,
+      );
+
+    beforeAll(() => {
+      // Wednesday 2026-10-14 15:30 UTC
+      jest.useFakeTimers({ now: new Date("2026-10-14T15:30:00.000Z") });
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    test("should build isnull and notnull without params", () => {
+      const result = build({
+        assigned_technician_id: { isnull: "true" },
+        organization_name: { notnull: true },
+        due_date: { isnull: false },
+      });
+
+      expect(result.clause).toBe(
+        "assigned_technician_id IS NULL AND organization_name IS NOT NULL AND due_date IS NOT NULL",
+      );
+      expect(result.params).toEqual([]);
+    });
+
+    test("should treat a bare isnull as true", () => {
+      expect(build({ assigned_technician_id: { isnull: "" } }).clause).toBe(
+        "assigned_technician_id IS NULL",
+      );
+    });
+
+    test("should build nin and between from lists", () => {
+      const result = build({
+        status: { nin: "pending,completed" },
+        id: { between: [1, 5] },
+      });
+
+      expect(result.clause).toBe(
+        "status NOT IN ($1, $2) AND id BETWEEN $3 AND $4",
+      );
+      expect(result.params).toEqual(["pending", "completed", 1, 5]);
+    });
+
+    test("should build contains, icontains and startswith with escaped wildcards", () => {
+      const result = build({
+        organization_name: {
+          contains: "LLC",
+          icontains: "50%_off",
+          startswith: "WO-2026-",
+        },
+      });
+
+      expect(result.clause).toBe(
+        "organization_name LIKE $1 AND organization_name ILIKE $2 AND organization_name LIKE $3",
+      );
+      expect(result.params).toEqual(["%LLC%", "%50\\%\\_off%", "WO-2026-%"]);
+    });
+
+    test("should resolve period tokens to a range", () => {
+      const result = build({ due_date: { eq: "this_month" } });
+
+      expect(result.clause).toBe("(due_date >= $1 AND due_date < $2)");
+      expect(result.params).toEqual([
+        "2026-10-01T00:00:00.000Z",
+        "2026-11-01T00:00:00.000Z",
+      ]);
+    });
+
+    test("should compare against the period bounds", () => {
+      expect(build({ due_date: { lt: "today" } })).toMatchObject({
+        clause: "due_date < $1",
+        params: ["2026-10-14T00:00:00.000Z"],
+      });
+      expect(build({ due_date: { gt: "today" } })).toMatchObject({
+        clause: "due_date >= $1",
+        params: ["2026-10-15T00:00:00.000Z"],
+      });
+      expect(build({ due_date: { not: "today" } }).clause).toBe(
+        "(due_date < $1 OR due_date >= $2)",
+      );
+      expect(build({ due_date: "today" }).clause).toBe(
+        "(due_date >= $1 AND due_date < $2)",
+      );
+    });
+
+    test("should resolve offset tokens to a point", () => {
+      expect(build({ created_at: { gte: "-7d" } })).toMatchObject({
+        clause: "created_at >= $1",
+        params: ["2026-10-07T15:30:00.000Z"],
+      });
+    });
+
+    test("should run a date between from the first start to the second end", () => {
+      expect(build({ created_at: { between: "today,next_week" } })).toEqual({
+        clause: "(created_at >= $1 AND created_at < $2)",
+        params: ["2026-10-14T00:00:00.000Z", "2026-10-26T00:00:00.000Z"],
+        paramOffset: 2,
+      });
+      expect(
+        build({ created_at: { between: ["2026-01-01", "now"] } }),
+      ).toMatchObject({
+        clause: "(created_at >= $1 AND created_at <= $2)",
+        params: ["2026-01-01", "2026-10-14T15:30:00.000Z"],
+      });
+    });
+
+    test("should pass absolute dates through", () => {
+      expect(build({ due_date: { gte: "2026-01-01" } })).toMatchObject({
+        clause: "due_date >= $1",
+        params: ["2026-01-01"],
+      });
+    });
+
+    test("should reject operators that do not fit the field type", () => {
+      expect(() => build({ status: { gt: "pending" } })).toThrow(
+        "Operator 'gt' is not supported on 'status' (enum)",
+      );
+      expect(() => build({ id: { contains: "1" } })).toThrow(
+        "Operator 'contains' is not supported on 'id' (integer)",
+      );
+      expect(() => build({ settings: { eq: "x" } })).toThrow(
+        "Allowed: isnull, notnull",
+      );
+    });
+
+    test("should reject values that do not fit the field type", () => {
+      expect(() => build({ id: "abc" })).toThrow(
+        "Filter value for 'id' must be a number",
+      );
+      expect(() => build({ id: { in: "1,x" } })).toThrow("must be a number");
+      expect(() => build({ due_date: { gte: "soon" } })).toThrow(
+        "must be a date or a relative date",
+      );
+      expect(() => build({ due_date: { isnull: "maybe" } })).toThrow(
+        "'isnull' on 'due_date' must be true or false",
+      );
+      expect(() => build({ id: { between: "1,2,3" } })).toThrow(
+        "'between' on 'id' needs two values",
+      );
+    });
+
+    test("should take Date objects from internal callers", () => {
+      const result = build({
+        created_at: {
+          gte: new Date("2026-10-14T00:00:00.000Z"),
+          between: [new Date("2026-10-01T00:00:00.000Z"), "today"],
+        },
+      });
+
+      expect(result.params).toEqual([
+        "2026-10-14T00:00:00.000Z",
+        "2026-10-01T00:00:00.000Z",
+        "2026-10-15T00:00:00.000Z",
+      ]);
+      expect(() => build({ created_at: { lt: new Date("nope") } })).toThrow(
+        "must be a date or a relative date",
+      );
+    });
+
+    test("should check types inside groups too", () => {
+      expect(() =>
+        build({ or: [{ status: "pending" }, { status: { contains: "p" } }] }),
+      ).toThrow("Operator 'contains' is not supported on 'status'");
+    });
+
+    test("should allow every operator on fields without a known type", () => {
+      const result = QueryBuilderService.buildFilterClause(
+        { legacy: { contains: "x" } },
+        ["legacy"],
+      );
+
+      expect(result.clause).toBe("legacy LIKE $1");
+    });
+  });
+
+  describe("parseFilterExpression", () => {
+    const filterableFields = ["status", "priority"];
+
+    test("should parse a JSON filter param", () => {
+      const expression = QueryBuilderService.parseFilterExpression(
+        '{"or":[{"status":"pending"},{"priority":"urgent"}]}',
+        filterableFields,
+      );
+
+      expect(expression).toEqual({
+        or: [{ status: "pending" }, { priority: "urgent" }],
+      });
+    });
+
+    test("should accept an object (POST search body)", () => {
+      const expression = { not: { status: "cancelled" } };
+
+      expect(
+        QueryBuilderService.parseFilterExpression(expression, filterableFields),
+      ).toBe(expression);
+    });
+
+    test("should return null when there is no filter", () => {
+      expect(
+        QueryBuilderService.parseFilterExpression(undefined, filterableFields),
+      ).toBeNull();
+      expect(
+        QueryBuilderService.parseFilterExpression("", filterableFields),
+      ).toBeNull();
+    });
+
+    test("should reject invalid JSON", () => {
+      expect(() =>
+        QueryBuilderService.parseFilterExpression("{or:", filterableFields),
+      ).toThrow("filter must be valid JSON");
+    });
+
+    test("should reject unknown fields at the top level", () => {
+      expect(() =>
+        QueryBuilderService.parseFilterExpression(
+          { role_id: 1 },
+          filterableFields,
+        ),
+      ).toThrow("'role_id' is not a filterable field");
+    });
+
+    test("should reject a filter that is not an object", () => {
+      expect(() =>
+        QueryBuilderService.parseFilterExpression("[1]", filterableFields),
+      ).toThrow("Filter must be an object");
+    });
+  });
+
+  describe("getFieldOperators", () => {
+    test("should list the operators for a field type", () => {
+      expect(
+        QueryBuilderService.getFieldOperators({ type: "boolean" }),
+      ).toEqual(["eq", "not", "in", "nin", "isnull", "notnull"]);
+      expect(
+        QueryBuilderService.getFieldOperators({ type: "string" }),
+      ).toContain("icontains");
+    });
+
+    test("should list every operator without a definition", () => {
+      expect(QueryBuilderService.getFieldOperators()).toHaveLength(14);
+    });
+  });
+
+  describe("mergeFilterExpression", () => {
+    test("should add the expression as an and group", () => {
+      const expression = { or: [{ status: "a" }, { status: "b" }] };
+
+      expect(
+        QueryBuilderService.mergeFilterExpression(
+          { priority: "high" },
+          expression,
+        ),
+      ).toEqual({ priority: "high", and: [expression] });
+    });
+
+    test("should return the filters unchanged without an expression", () => {
+      const filters = { priority: "high" };
+
+      expect(QueryBuilderService.mergeFilterExpression(filters, null)).toBe(
+        filters,
+      );
+    });
+  });
+
   // ==========================================================================
   // SORT CLAUSE TESTS
   // ==========================================================================
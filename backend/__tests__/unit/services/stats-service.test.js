@@ -57,6 +57,25 @@ describe("StatsService", () => {
       expect(db.query.mock.calls[0][0]).toContain("status");
     });
 
+    it("should apply boolean filter groups to count", async () => {
+      db.query.mockResolvedValue({ rows: [{ count: "3" }] });
+
+      const mockReq = {
+        user: { role: "admin", userId: 1 },
+        rlsPolicy: "all_records",
+      };
+
+      await StatsService.count("work_order", mockReq, {
+        or: [{ status: "pending" }, { priority: "urgent" }],
+      });
+
+      const [query, params] = db.query.mock.calls[0];
+      expect(query).toContain(
+        "(work_orders.status = $1 OR work_orders.priority = $2)",
+      );
+      expect(params).toEqual(["pending", "urgent"]);
+    });
+
     it("should throw for unknown entity", async () => {
       const mockReq = { user: { role: "admin", userId: 1 } };
 
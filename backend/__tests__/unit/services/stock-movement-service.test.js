@@ -0,0 +1,503 @@
+/**
+ * Stock Movement Service Unit Tests
+ *
+ * Tests for: backend/services/stock-movement-service.js
+ *
+ * Coverage:
+ * - getStockLevels() - per-location ledger sums, not found
+ * - receive() - default location, roll-up increase, audit
+ * - adjust() - both directions, on-hand check, reorder alert
+ * - transfer() - atomic move, same location, insufficient stock
+ * - resolveLocation() / getOnHand() / recordMovement() - building blocks
+ * - entity events - the movement and the inventory row it moved
+ */
+
+const StockMovementService = require("../../../services/stock-movement-service");
+const db = require("../../../db/connection");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+const { logEntityEvent } = require("../../../db/helpers/audit-helper");
+const { AuditActions } = require("../../../services/audit-constants");
+const NotificationService = require("../../../services/notification-service");
+const EntityEvents = require("../../../services/entity-events");
+
+// Mock dependencies
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn(),
+}));
+jest.mock("../../../services/entity-events", () => ({
+  publishAll: jest.fn(),
+}));
+
+describe("StockMovementService", () => {
+  const client = { query: jest.fn() };
+  const auditContext = { userId: 9, ipAddress: "127.0.0.1" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withTransaction.mockImplementation((callback) => callback(client));
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const item = {
+    id: 7,
+    sku: "FLT-20X25",
+    name: "Air filter",
+    quantity: 5,
+    reorder_level: 2,
+    status: "in_stock",
+    supplier: "Acme Supply",
+    unit_cost: "12.50",
+    is_active: true,
+  };
+  const warehouse = { id: 1, name: "Main Warehouse", is_active: true };
+  const truck = { id: 4, name: "Truck 4", is_active: true };
+
+  /**
+   * Mock the tail of every movement: insert movement, roll-up update
+   */
+  const mockRecord = (movement, quantity, status = "in_stock") => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 80, ...movement }] })
+      .mockResolvedValueOnce({ rows: [{ ...item, quantity, status }] });
+  };
+
+  // ============================================================================
+  // getStockLevels
+  // ============================================================================
+
+  describe("getStockLevels()", () => {
+    test("should sum the ledger per location", async () => {
+      const locations = [
+        { location_id: 1, name: "Main Warehouse", quantity: 3 },
+        { location_id: 4, name: "Truck 4", quantity: 2 },
+      ];
+      db.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: locations });
+
+      const result = await StockMovementService.getStockLevels(7);
+
+      expect(result).toEqual({ inventory: item, locations });
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain(
+        "CASE WHEN m.to_location_id = l.id THEN m.quantity ELSE -m.quantity END",
+      );
+      expect(sql).toContain("HAVING");
+      expect(params).toEqual([7]);
+    });
+
+    test("should throw 404 for an unknown item", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        StockMovementService.getStockLevels(99),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // ============================================================================
+  // receive
+  // ============================================================================
+
+  describe("receive()", () => {
+    test("should book stock into the default location and audit it", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [warehouse] });
+      mockRecord(
+        {
+          movement_type: "receipt",
+          from_location_id: null,
+          to_location_id: 1,
+          reason: "PO-1001",
+        },
+        25,
+      );
+
+      const result = await StockMovementService.receive(
+        7,
+        { quantity: 20, reason: "PO-1001" },
+        { auditContext },
+      );
+
+      expect(client.query.mock.calls[0][0]).toContain("FOR UPDATE");
+      expect(client.query.mock.calls[1][0]).toContain("is_default = true");
+      expect(client.query.mock.calls[2][1]).toEqual([
+        7,
+        "receipt",
+        20,
+        null,
+        1,
+        "PO-1001",
+        null,
+        9,
+      ]);
+      expect(client.query.mock.calls[3][1]).toEqual([7, 20]);
+      expect(result.inventory.quantity).toBe(25);
+      expect(result).not.toHaveProperty("item");
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVENTORY_RECEIPT,
+        "inventory",
+        { id: 7 },
+        auditContext,
+        {
+          oldValues: { quantity: 5 },
+          newValues: {
+            quantity: 25,
+            stock_movement_id: 80,
+            movement_type: "receipt",
+            from_location_id: null,
+            to_location_id: 1,
+            reason: "PO-1001",
+          },
+        },
+      );
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [
+          {
+            entity: "stock_movement",
+            action: "created",
+            record: expect.objectContaining({
+              id: 80,
+              movement_type: "receipt",
+            }),
+          },
+          {
+            entity: "inventory",
+            action: "updated",
+            record: { ...item, quantity: 25 },
+            previous: item,
+          },
+        ],
+        9,
+      );
+    });
+
+    test("should use the named location", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [truck] });
+      mockRecord({ movement_type: "receipt", to_location_id: 4 }, 6);
+
+      await StockMovementService.receive(7, { quantity: 1, to_location_id: 4 });
+
+      expect(client.query.mock.calls[1][1]).toEqual([4]);
+      expect(logEntityEvent).not.toHaveBeenCalled();
+    });
+
+    test("should throw 404 when no default location is configured", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        StockMovementService.receive(7, { quantity: 1 }),
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        message: "No default stock location is configured",
+      });
+    });
+
+    test("should throw 400 for an inactive item", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...item, is_active: false }],
+      });
+
+      await expect(
+        StockMovementService.receive(7, { quantity: 1 }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  // ============================================================================
+  // adjust
+  // ============================================================================
+
+  describe("adjust()", () => {
+    test("should book a positive count as stock into the location", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [truck] });
+      mockRecord({ movement_type: "adjustment", to_location_id: 4 }, 7);
+
+      await StockMovementService.adjust(
+        7,
+        { location_id: 4, quantity_change: 2, reason: "Found in van" },
+        { auditContext },
+      );
+
+      expect(client.query.mock.calls[2][1]).toEqual([
+        7,
+        "adjustment",
+        2,
+        null,
+        4,
+        "Found in van",
+        null,
+        9,
+      ]);
+      expect(client.query.mock.calls[3][1]).toEqual([7, 2]);
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVENTORY_ADJUSTMENT,
+        "inventory",
+        { id: 7 },
+        auditContext,
+        expect.anything(),
+      );
+    });
+
+    test("should take a negative count out of the location and alert on reorder", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [warehouse] })
+        .mockResolvedValueOnce({ rows: [{ on_hand: 5 }] });
+      mockRecord(
+        { movement_type: "adjustment", from_location_id: 1 },
+        1,
+        "low_stock",
+      );
+
+      await StockMovementService.adjust(7, {
+        location_id: 1,
+        quantity_change: -4,
+        reason: "Damaged",
+      });
+
+      expect(client.query.mock.calls[3][1].slice(0, 5)).toEqual([
+        7,
+        "adjustment",
+        4,
+        1,
+        null,
+      ]);
+      expect(client.query.mock.calls[4][1]).toEqual([7, -4]);
+      expect(NotificationService.notifyRole).toHaveBeenCalledWith(
+        "manager",
+        expect.objectContaining({ title: "Reorder needed: FLT-20X25" }),
+      );
+    });
+
+    test("should refuse to take the location below zero", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [truck] })
+        .mockResolvedValueOnce({ rows: [{ on_hand: 1 }] });
+
+      await expect(
+        StockMovementService.adjust(7, {
+          location_id: 4,
+          quantity_change: -2,
+          reason: "Count",
+        }),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "INSUFFICIENT_STOCK",
+        details: {
+          inventory_id: 7,
+          location_id: 4,
+          available: 1,
+          requested: 2,
+        },
+      });
+      expect(client.query).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  // ============================================================================
+  // transfer
+  // ============================================================================
+
+  describe("transfer()", () => {
+    test("should move stock between locations without changing the roll-up", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [warehouse] })
+        .mockResolvedValueOnce({ rows: [truck] })
+        .mockResolvedValueOnce({ rows: [{ on_hand: 5 }] });
+      mockRecord(
+        { movement_type: "transfer", from_location_id: 1, to_location_id: 4 },
+        5,
+      );
+
+      const result = await StockMovementService.transfer(
+        7,
+        {
+          from_location_id: 1,
+          to_location_id: 4,
+          quantity: 3,
+          reason: "Restock truck",
+        },
+        { auditContext },
+      );
+
+      expect(client.query.mock.calls[3][1]).toEqual([7, 1]);
+      expect(client.query.mock.calls[4][1]).toEqual([
+        7,
+        "transfer",
+        3,
+        1,
+        4,
+        "Restock truck",
+        null,
+        9,
+      ]);
+      expect(client.query.mock.calls[5][1]).toEqual([7, 0]);
+      expect(result.inventory.quantity).toBe(5);
+      expect(NotificationService.notifyRole).not.toHaveBeenCalled();
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVENTORY_TRANSFER,
+        "inventory",
+        { id: 7 },
+        auditContext,
+        expect.objectContaining({
+          newValues: expect.objectContaining({
+            from_location_id: 1,
+            to_location_id: 4,
+          }),
+        }),
+      );
+    });
+
+    test("should refuse when the source holds too little", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [warehouse] })
+        .mockResolvedValueOnce({ rows: [truck] })
+        .mockResolvedValueOnce({ rows: [{ on_hand: 2 }] });
+
+      await expect(
+        StockMovementService.transfer(7, {
+          from_location_id: 1,
+          to_location_id: 4,
+          quantity: 3,
+        }),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "INSUFFICIENT_STOCK",
+        message:
+          "Insufficient stock for FLT-20X25 at Main Warehouse: 2 available, 3 requested",
+      });
+      expect(client.query).toHaveBeenCalledTimes(4);
+      expect(logEntityEvent).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a transfer to the same location", async () => {
+      await expect(
+        StockMovementService.transfer(7, {
+          from_location_id: 1,
+          to_location_id: 1,
+          quantity: 1,
+        }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+
+    test("should throw 400 for an inactive destination", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [warehouse] })
+        .mockResolvedValueOnce({ rows: [{ ...truck, is_active: false }] });
+
+      await expect(
+        StockMovementService.transfer(7, {
+          from_location_id: 1,
+          to_location_id: 4,
+          quantity: 1,
+        }),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: "Stock location Truck 4 is not active",
+      });
+    });
+
+    test("should throw 404 for an unknown location", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        StockMovementService.transfer(7, {
+          from_location_id: 99,
+          to_location_id: 4,
+          quantity: 1,
+        }),
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        message: "Stock location not found",
+      });
+    });
+  });
+
+  // ============================================================================
+  // Building blocks
+  // ============================================================================
+
+  describe("getOnHand()", () => {
+    test("should sum movements in and out of the location", async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ on_hand: -1 }] });
+
+      await expect(StockMovementService.getOnHand(client, 7, 4)).resolves.toBe(
+        -1,
+      );
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("COALESCE(SUM(");
+      expect(sql).toContain("(from_location_id = $2 OR to_location_id = $2)");
+      expect(params).toEqual([7, 4]);
+    });
+  });
+
+  describe("recordMovement()", () => {
+    test("should move the roll-up by the net effect and re-derive status", async () => {
+      mockRecord({ movement_type: "consumption", from_location_id: 4 }, 3);
+
+      const result = await StockMovementService.recordMovement(client, {
+        inventory_id: 7,
+        movement_type: "consumption",
+        quantity: 2,
+        from_location_id: 4,
+        work_order_id: 42,
+      });
+
+      expect(client.query.mock.calls[0][1]).toEqual([
+        7,
+        "consumption",
+        2,
+        4,
+        null,
+        null,
+        42,
+        null,
+      ]);
+      const [updateSql, updateParams] = client.query.mock.calls[1];
+      expect(updateSql).toContain("SET quantity = quantity + $2");
+      expect(updateSql).toContain(
+        "WHEN (quantity + $2) <= 0 THEN 'out_of_stock'",
+      );
+      expect(updateParams).toEqual([7, -2]);
+      expect(result.inventory).toEqual({
+        id: 7,
+        sku: "FLT-20X25",
+        quantity: 3,
+        status: "in_stock",
+      });
+      expect(result.changes.map(({ entity }) => entity)).toEqual([
+        "stock_movement",
+        "inventory",
+      ]);
+      expect(EntityEvents.publishAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -362,4 +362,31 @@ describe("SystemSettingsService", () => {
       expect(result).toBe(false);
     });
   });
+
+  describe("getInvoicingSettings", () => {
+    it("should return defaults when not in database", async () => {
+      db.mockResolvedValue({ rows: [] });
+
+      const result = await SystemSettingsService.getInvoicingSettings();
+
+      expect(result).toEqual({
+        parts_markup_percent: 20,
+        tax_rate_percent: 0,
+        tax_codes: { exempt: 0 },
+        payment_terms_days: 30,
+      });
+    });
+
+    it("should fill keys missing from the stored setting", async () => {
+      db.mockResolvedValue({
+        rows: [{ key: "invoicing", value: { tax_rate_percent: 8.25 } }],
+      });
+
+      const result = await SystemSettingsService.getInvoicingSettings();
+
+      expect(result.tax_rate_percent).toBe(8.25);
+      expect(result.parts_markup_percent).toBe(20);
+      expect(result.payment_terms_days).toBe(30);
+    });
+  });
 });
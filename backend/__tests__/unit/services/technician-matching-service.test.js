@@ -0,0 +1,185 @@
+/**
+ * Technician Matching Service Unit Tests
+ *
+ * Tests for: backend/services/technician-matching-service.js
+ *
+ * Coverage:
+ * - scoreCandidate() - coverage, proficiency, certification and workload scoring
+ * - findCandidates() - query parameters, RLS, ranking and limit
+ */
+
+const TechnicianMatchingService = require("../../../services/technician-matching-service");
+
+// Mock dependencies
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const db = require("../../../db/connection");
+
+describe("TechnicianMatchingService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const buildRow = (overrides = {}) => ({
+    id: 1,
+    first_name: "Ada",
+    last_name: "Tech",
+    email: "ada@example.com",
+    availability: "available",
+    matched_skill_ids: [],
+    proficiencies: [],
+    valid_certifications: 0,
+    expired_certifications: 0,
+    active_work_orders: 0,
+    ...overrides,
+  });
+
+  // ============================================================================
+  // scoreCandidate
+  // ============================================================================
+
+  describe("scoreCandidate()", () => {
+    test("should give full marks to an idle expert with all skills and valid certs", () => {
+      const result = TechnicianMatchingService.scoreCandidate(
+        buildRow({
+          matched_skill_ids: [1, 2],
+          proficiencies: ["expert", "expert"],
+          valid_certifications: 2,
+        }),
+        [1, 2],
+      );
+
+      expect(result.score).toBe(1);
+      expect(result.missingSkillIds).toEqual([]);
+    });
+
+    test("should report coverage and missing skills for partial match", () => {
+      const result = TechnicianMatchingService.scoreCandidate(
+        buildRow({ matched_skill_ids: [2], proficiencies: ["beginner"] }),
+        [1, 2, 3, 4],
+      );
+
+      expect(result.breakdown.coverage).toBe(0.25);
+      expect(result.breakdown.proficiency).toBe(0.25);
+      expect(result.matchedSkillIds).toEqual([2]);
+      expect(result.missingSkillIds).toEqual([1, 3, 4]);
+    });
+
+    test("should treat no required skills as full coverage", () => {
+      const result = TechnicianMatchingService.scoreCandidate(buildRow(), []);
+
+      expect(result.breakdown.coverage).toBe(1);
+      expect(result.breakdown.proficiency).toBe(0);
+    });
+
+    test("should penalise expired certifications", () => {
+      const result = TechnicianMatchingService.scoreCandidate(
+        buildRow({ valid_certifications: 1, expired_certifications: 3 }),
+        [],
+      );
+
+      expect(result.breakdown.certifications).toBe(0.25);
+    });
+
+    test("should decrease workload score as open work orders grow", () => {
+      const idle = TechnicianMatchingService.scoreCandidate(buildRow(), []);
+      const busy = TechnicianMatchingService.scoreCandidate(
+        buildRow({ active_work_orders: 3 }),
+        [],
+      );
+
+      expect(idle.breakdown.workload).toBe(1);
+      expect(busy.breakdown.workload).toBe(0.25);
+      expect(busy.score).toBeLessThan(idle.score);
+    });
+  });
+
+  // ============================================================================
+  // findCandidates
+  // ============================================================================
+
+  describe("findCandidates()", () => {
+    const workOrder = { id: 42, required_skills: [1, 2] };
+
+    test("should query eligible technicians with required skills and exclude current work order", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await TechnicianMatchingService.findCandidates(workOrder, {
+        rlsContext: { policy: "all_records", userId: 7 },
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("FROM technicians t");
+      expect(sql).toContain("t.availability = 'available'");
+      expect(sql).toContain("t.status = 'active'");
+      expect(sql).toContain("ANY($1::int[])");
+      expect(params).toEqual([[1, 2], 42, ["assigned", "in_progress"]]);
+    });
+
+    test("should apply technician RLS filter", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await TechnicianMatchingService.findCandidates(workOrder, {
+        rlsContext: { policy: "deny_all", userId: 7 },
+      });
+
+      expect(db.query.mock.calls[0][0]).toContain("AND 1=0");
+    });
+
+    test("should rank by score, then workload, and apply limit", async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          buildRow({
+            id: 1,
+            matched_skill_ids: [1],
+            proficiencies: ["expert"],
+          }),
+          buildRow({
+            id: 2,
+            matched_skill_ids: [1, 2],
+            proficiencies: ["advanced", "advanced"],
+          }),
+          buildRow({
+            id: 3,
+            matched_skill_ids: [1, 2],
+            proficiencies: ["advanced", "advanced"],
+            active_work_orders: 2,
+          }),
+        ],
+      });
+
+      const result = await TechnicianMatchingService.findCandidates(workOrder, {
+        limit: 2,
+      });
+
+      expect(result.map((c) => c.technician.id)).toEqual([2, 3]);
+      expect(result[0]).toMatchObject({
+        technician: { id: 2, email: "ada@example.com" },
+        matchedSkillIds: [1, 2],
+        missingSkillIds: [],
+        activeWorkOrders: 0,
+      });
+    });
+
+    test("should handle work orders without required skills", async () => {
+      db.query.mockResolvedValue({ rows: [buildRow()] });
+
+      const result = await TechnicianMatchingService.findCandidates({ id: 5 });
+
+      expect(db.query.mock.calls[0][1][0]).toEqual([]);
+      expect(result[0].breakdown.coverage).toBe(1);
+    });
+  });
+});
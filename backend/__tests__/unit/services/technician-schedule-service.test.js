@@ -0,0 +1,191 @@
+/**
+ * Technician Schedule Service Unit Tests
+ *
+ * Tests for: backend/services/technician-schedule-service.js
+ *
+ * Coverage:
+ * - computeFreeGaps() - clipping, merging overlaps, edge gaps
+ * - getSchedule() - query parameters, RLS visibility masking
+ */
+
+const TechnicianScheduleService = require("../../../services/technician-schedule-service");
+
+// Mock dependencies
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const db = require("../../../db/connection");
+
+describe("TechnicianScheduleService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const at = (hour) => new Date(Date.UTC(2025, 5, 2, hour));
+  const from = at(8);
+  const to = at(18);
+
+  // ============================================================================
+  // computeFreeGaps
+  // ============================================================================
+
+  describe("computeFreeGaps()", () => {
+    test("should return the whole window when nothing is booked", () => {
+      expect(TechnicianScheduleService.computeFreeGaps([], from, to)).toEqual([
+        { start: from, end: to },
+      ]);
+    });
+
+    test("should return gaps before, between and after bookings", () => {
+      const gaps = TechnicianScheduleService.computeFreeGaps(
+        [
+          { start: at(13), end: at(14) },
+          { start: at(9), end: at(11) },
+        ],
+        from,
+        to,
+      );
+
+      expect(gaps).toEqual([
+        { start: at(8), end: at(9) },
+        { start: at(11), end: at(13) },
+        { start: at(14), end: at(18) },
+      ]);
+    });
+
+    test("should merge overlapping bookings", () => {
+      const gaps = TechnicianScheduleService.computeFreeGaps(
+        [
+          { start: at(9), end: at(12) },
+          { start: at(10), end: at(11) },
+          { start: at(11), end: at(13) },
+        ],
+        from,
+        to,
+      );
+
+      expect(gaps).toEqual([
+        { start: at(8), end: at(9) },
+        { start: at(13), end: at(18) },
+      ]);
+    });
+
+    test("should clip bookings that extend past the window", () => {
+      const gaps = TechnicianScheduleService.computeFreeGaps(
+        [
+          { start: at(6), end: at(10) },
+          { start: at(17), end: at(20) },
+        ],
+        from,
+        to,
+      );
+
+      expect(gaps).toEqual([{ start: at(10), end: at(17) }]);
+    });
+
+    test("should accept ISO strings from the database driver", () => {
+      const gaps = TechnicianScheduleService.computeFreeGaps(
+        [{ start: at(8).toISOString(), end: at(18).toISOString() }],
+        from,
+        to,
+      );
+
+      expect(gaps).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // getSchedule
+  // ============================================================================
+
+  describe("getSchedule()", () => {
+    const visibleRow = {
+      id: 4,
+      work_order_number: "WO-2025-0004",
+      name: "Fix boiler",
+      status: "assigned",
+      start_at: at(9),
+      end_at: at(11),
+      visible: true,
+    };
+    const hiddenRow = {
+      id: 5,
+      work_order_number: "WO-2025-0005",
+      name: "Private",
+      status: "assigned",
+      start_at: at(13),
+      end_at: at(14),
+      visible: false,
+    };
+
+    test("should query bookings overlapping the window", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await TechnicianScheduleService.getSchedule(7, {
+        from,
+        to,
+        rlsContext: { policy: "all_records", userId: 1 },
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("FROM work_orders");
+      expect(sql).toContain("assigned_technician_id = $1");
+      expect(sql).toContain("scheduled_start < $3");
+      expect(sql).toContain("scheduled_end > $2");
+      expect(sql).toContain("true AS visible");
+      expect(params).toEqual([7, from, to, ["completed", "cancelled"]]);
+    });
+
+    test("should compute visibility from work_orders RLS", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await TechnicianScheduleService.getSchedule(7, {
+        from,
+        to,
+        rlsContext: { policy: "own_work_orders_only", userId: 12 },
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("(customer_id = $5) AS visible");
+      expect(params[4]).toBe(12);
+    });
+
+    test("should mask bookings the caller cannot read", async () => {
+      db.query.mockResolvedValue({ rows: [visibleRow, hiddenRow] });
+
+      const result = await TechnicianScheduleService.getSchedule(7, {
+        from,
+        to,
+      });
+
+      expect(result.booked).toEqual([
+        {
+          start: at(9),
+          end: at(11),
+          work_order_id: 4,
+          work_order_number: "WO-2025-0004",
+          name: "Fix boiler",
+          status: "assigned",
+        },
+        { start: at(13), end: at(14) },
+      ]);
+      expect(result.free).toEqual([
+        { start: at(8), end: at(9) },
+        { start: at(11), end: at(13) },
+        { start: at(14), end: at(18) },
+      ]);
+      expect(result).toMatchObject({ technicianId: 7, from, to });
+    });
+  });
+});
@@ -0,0 +1,542 @@
+/**
+ * Time Entry Service Unit Tests
+ *
+ * Tests for: backend/services/time-entry-service.js
+ *
+ * Coverage:
+ * - clockIn() - opens an entry, moves assigned → in_progress, on_job, audit
+ * - clockIn()/clockOut() - entity events for every row written
+ * - clockIn() - status change through GenericEntityService.update on the client
+ * - clockIn() - already clocked in, closed work order, not the assigned technician
+ * - clockOut() - closes the open entry, resets availability, break check
+ * - lockTechnician() - own profile, clocking others, inactive technician
+ * - getTimesheet() - grouping, billable amounts, totals, period validation
+ * - getBillableTime() - billable minutes per technician on one work order
+ */
+
+const TimeEntryService = require("../../../services/time-entry-service");
+const db = require("../../../db/connection");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+const { logEntityEvent } = require("../../../db/helpers/audit-helper");
+const { AuditActions } = require("../../../services/audit-constants");
+const EntityEvents = require("../../../services/entity-events");
+const GenericEntityService = require("../../../services/generic-entity-service");
+
+// Mock dependencies
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../services/entity-events", () => ({
+  publishAll: jest.fn(),
+}));
+jest.mock("../../../services/generic-entity-service", () => ({
+  update: jest.fn(),
+}));
+
+describe("TimeEntryService", () => {
+  const client = { query: jest.fn() };
+  const auditContext = { userId: 7, ipAddress: "127.0.0.1" };
+  const asTechnician = { userId: 7, userRole: "technician", auditContext };
+  const asDispatcher = { userId: 3, userRole: "dispatcher", auditContext };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withTransaction.mockImplementation((callback) => callback(client));
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const technician = {
+    id: 12,
+    first_name: "Dana",
+    last_name: "Reyes",
+    availability: "available",
+    status: "active",
+    is_active: true,
+  };
+  const workOrder = {
+    id: 42,
+    work_order_number: "WO-2026-0042",
+    status: "assigned",
+    assigned_technician_id: 12,
+    is_active: true,
+  };
+  const openEntry = {
+    id: 300,
+    technician_id: 12,
+    work_order_id: 42,
+    started_at: "2026-10-19T08:00:00.000Z",
+    ended_at: null,
+    break_minutes: 0,
+    is_billable: true,
+  };
+
+  /**
+   * Mock the caller's own technician profile lookup and the technician lock
+   */
+  const mockOwnTechnician = (overrides = {}) => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ technician_profile_id: 12 }] })
+      .mockResolvedValueOnce({ rows: [{ ...technician, ...overrides }] });
+  };
+
+  // ============================================================================
+  // clockIn
+  // ============================================================================
+
+  describe("clockIn()", () => {
+    test("should open an entry, start the work order and mark the technician on_job", async () => {
+      const started = { ...workOrder, status: "in_progress" };
+      const onJob = { ...technician, availability: "on_job" };
+      mockOwnTechnician();
+      client.query
+        .mockResolvedValueOnce({ rows: [workOrder] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [openEntry] })
+        .mockResolvedValueOnce({ rows: [onJob] });
+      GenericEntityService.update.mockImplementation(
+        async (entityName, id, data, options) => {
+          options.changes.push({
+            entity: entityName,
+            action: "updated",
+            record: started,
+            previous: workOrder,
+          });
+          return started;
+        },
+      );
+
+      const result = await TimeEntryService.clockIn(42, {}, asTechnician);
+
+      expect(result).toEqual({
+        time_entry: openEntry,
+        work_order: { id: 42, status: "in_progress" },
+        technician: { id: 12, availability: "on_job" },
+      });
+      expect(client.query.mock.calls[0][1]).toEqual([7]);
+      expect(client.query.mock.calls[1][0]).toContain("FOR UPDATE");
+      expect(client.query.mock.calls[2][0]).toContain("FOR UPDATE");
+      expect(client.query.mock.calls[4][0]).toContain(
+        "INSERT INTO time_entries",
+      );
+      expect(client.query.mock.calls[4][1]).toEqual([12, 42, null]);
+      expect(client.query.mock.calls[5]).toEqual([
+        "UPDATE technicians SET availability = $2 WHERE id = $1 RETURNING *",
+        [12, "on_job"],
+      ]);
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "work_order",
+        42,
+        { status: "in_progress" },
+        {
+          client,
+          changes: expect.any(Array),
+          auditContext,
+          userRole: "technician",
+        },
+      );
+
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.TIME_CLOCK_IN,
+        "time_entry",
+        openEntry,
+        auditContext,
+        expect.objectContaining({
+          newValues: expect.objectContaining({ work_order_id: 42 }),
+        }),
+      );
+      expect(logEntityEvent).toHaveBeenCalledTimes(1);
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [
+          { entity: "time_entry", action: "created", record: openEntry },
+          {
+            entity: "technician",
+            action: "updated",
+            record: onJob,
+            previous: technician,
+          },
+          {
+            entity: "work_order",
+            action: "updated",
+            record: started,
+            previous: workOrder,
+          },
+        ],
+        7,
+      );
+    });
+
+    test("should leave an in-progress work order and on_job technician alone", async () => {
+      mockOwnTechnician({ availability: "on_job" });
+      client.query
+        .mockResolvedValueOnce({
+          rows: [{ ...workOrder, status: "in_progress" }],
+        })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [openEntry] });
+
+      await TimeEntryService.clockIn(
+        42,
+        { notes: "Second visit" },
+        asTechnician,
+      );
+
+      expect(client.query).toHaveBeenCalledTimes(5);
+      expect(client.query.mock.calls[4][1]).toEqual([12, 42, "Second visit"]);
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+      expect(logEntityEvent).toHaveBeenCalledTimes(1);
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [{ entity: "time_entry", action: "created", record: openEntry }],
+        7,
+      );
+    });
+
+    test("should refuse a second open entry with 409 ALREADY_CLOCKED_IN", async () => {
+      mockOwnTechnician();
+      client.query
+        .mockResolvedValueOnce({ rows: [workOrder] })
+        .mockResolvedValueOnce({ rows: [{ id: 299, work_order_id: 41 }] });
+
+      await expect(
+        TimeEntryService.clockIn(42, {}, asTechnician),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "ALREADY_CLOCKED_IN",
+        details: { time_entry_id: 299, work_order_id: 41 },
+      });
+      expect(logEntityEvent).not.toHaveBeenCalled();
+      expect(EntityEvents.publishAll).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a work order that is not assigned or in progress", async () => {
+      mockOwnTechnician();
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...workOrder, status: "completed" }],
+      });
+
+      await expect(
+        TimeEntryService.clockIn(42, {}, asTechnician),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "INVALID_STATUS_TRANSITION",
+      });
+    });
+
+    test("should refuse a technician not assigned to the work order with 409 NOT_ASSIGNED", async () => {
+      mockOwnTechnician();
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...workOrder, assigned_technician_id: 15 }],
+      });
+
+      await expect(
+        TimeEntryService.clockIn(42, {}, asTechnician),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "NOT_ASSIGNED",
+        details: { technician_id: 12, assigned_technician_id: 15 },
+      });
+      expect(client.query).toHaveBeenCalledTimes(3);
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+
+    test("should throw 404 for an unknown work order", async () => {
+      mockOwnTechnician();
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        TimeEntryService.clockIn(99, {}, asTechnician),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  // ============================================================================
+  // clockOut
+  // ============================================================================
+
+  describe("clockOut()", () => {
+    const closed = {
+      ...openEntry,
+      ended_at: "2026-10-19T10:00:00.000Z",
+      break_minutes: 15,
+      worked_minutes: 105,
+      elapsed_minutes: 120,
+    };
+
+    test("should close the open entry and make the technician available", async () => {
+      const available = { ...technician, availability: "available" };
+      mockOwnTechnician({ availability: "on_job" });
+      client.query
+        .mockResolvedValueOnce({ rows: [closed] })
+        .mockResolvedValueOnce({ rows: [available] });
+
+      const result = await TimeEntryService.clockOut(
+        42,
+        { break_minutes: 15 },
+        asTechnician,
+      );
+
+      const { elapsed_minutes: _elapsed, ...timeEntry } = closed;
+      expect(result).toEqual({
+        time_entry: timeEntry,
+        technician: { id: 12, availability: "available" },
+      });
+      const [sql, params] = client.query.mock.calls[2];
+      expect(sql).toContain("e.ended_at IS NULL");
+      expect(params).toEqual([12, 42, 15, null, null]);
+      expect(client.query.mock.calls[3]).toEqual([
+        "UPDATE technicians SET availability = $2 WHERE id = $1 RETURNING *",
+        [12, "available"],
+      ]);
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.TIME_CLOCK_OUT,
+        "time_entry",
+        timeEntry,
+        auditContext,
+        expect.objectContaining({
+          newValues: expect.objectContaining({ worked_minutes: 105 }),
+        }),
+      );
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [
+          { entity: "time_entry", action: "updated", record: timeEntry },
+          {
+            entity: "technician",
+            action: "updated",
+            record: available,
+            previous: { ...technician, availability: "on_job" },
+          },
+        ],
+        7,
+      );
+    });
+
+    test("should not override an availability someone else changed", async () => {
+      mockOwnTechnician({ availability: "off_duty" });
+      client.query.mockResolvedValueOnce({ rows: [closed] });
+
+      const result = await TimeEntryService.clockOut(42, {}, asTechnician);
+
+      expect(result.technician.availability).toBe("off_duty");
+      expect(client.query).toHaveBeenCalledTimes(3);
+    });
+
+    test("should throw 409 NOT_CLOCKED_IN when there is no open entry", async () => {
+      mockOwnTechnician();
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        TimeEntryService.clockOut(42, {}, asTechnician),
+      ).rejects.toMatchObject({ statusCode: 409, code: "NOT_CLOCKED_IN" });
+    });
+
+    test("should refuse a break longer than the time on the clock", async () => {
+      mockOwnTechnician({ availability: "on_job" });
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...closed, break_minutes: 180, worked_minutes: 0 }],
+      });
+
+      await expect(
+        TimeEntryService.clockOut(42, { break_minutes: 180 }, asTechnician),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(logEntityEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // lockTechnician
+  // ============================================================================
+
+  describe("lockTechnician()", () => {
+    test("should require technician_id when the caller has no technician profile", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ technician_profile_id: null }],
+      });
+
+      await expect(
+        TimeEntryService.lockTechnician(client, undefined, asDispatcher),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test("should let a dispatcher name any technician without a profile lookup", async () => {
+      client.query.mockResolvedValueOnce({ rows: [technician] });
+
+      const result = await TimeEntryService.lockTechnician(
+        client,
+        12,
+        asDispatcher,
+      );
+
+      expect(result).toEqual(technician);
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][1]).toEqual([12]);
+    });
+
+    test("should let a technician name themselves", async () => {
+      mockOwnTechnician();
+
+      const result = await TimeEntryService.lockTechnician(
+        client,
+        12,
+        asTechnician,
+      );
+
+      expect(result.id).toBe(12);
+    });
+
+    test("should refuse a technician clocking someone else with 403", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ technician_profile_id: 12 }],
+      });
+
+      await expect(
+        TimeEntryService.lockTechnician(client, 13, asTechnician),
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    test("should throw 404 for an unknown technician", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        TimeEntryService.lockTechnician(client, 99, asDispatcher),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test("should refuse an inactive technician with 400", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...technician, status: "suspended" }],
+      });
+
+      await expect(
+        TimeEntryService.lockTechnician(client, 12, asDispatcher),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  // ============================================================================
+  // getTimesheet
+  // ============================================================================
+
+  describe("getTimesheet()", () => {
+    const from = new Date("2026-10-12T00:00:00.000Z");
+    const to = new Date("2026-10-19T00:00:00.000Z");
+
+    test("should summarise per technician and period with billable amounts", async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          {
+            technician_id: 12,
+            first_name: "Dana",
+            last_name: "Reyes",
+            hourly_rate: "40.00",
+            period_start: "2026-10-12T00:00:00.000Z",
+            entries: 3,
+            worked_minutes: 450,
+            billable_minutes: 390,
+          },
+          {
+            technician_id: 13,
+            first_name: "Sam",
+            last_name: "Okafor",
+            hourly_rate: null,
+            period_start: "2026-10-12T00:00:00.000Z",
+            entries: 1,
+            worked_minutes: 60,
+            billable_minutes: 60,
+          },
+        ],
+      });
+
+      const result = await TimeEntryService.getTimesheet({ from, to });
+
+      expect(result.period).toBe("week");
+      expect(result.rows[0]).toMatchObject({
+        hourly_rate: 40,
+        worked_hours: 7.5,
+        billable_hours: 6.5,
+        billable_amount: 260,
+      });
+      expect(result.rows[1].billable_amount).toBeNull();
+      expect(result.totals).toEqual({
+        entries: 4,
+        worked_minutes: 510,
+        billable_minutes: 450,
+        billable_amount: 260,
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("date_trunc($1, e.started_at)");
+      expect(sql).toContain("e.ended_at IS NOT NULL");
+      expect(params).toEqual(["week", from, to]);
+    });
+
+    test("should filter to one technician", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await TimeEntryService.getTimesheet({
+        from,
+        to,
+        period: "day",
+        technicianId: 12,
+      });
+
+      expect(result.rows).toEqual([]);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("AND e.technician_id = $4");
+      expect(params).toEqual(["day", from, to, 12]);
+    });
+
+    test("should reject an unsupported period", async () => {
+      await expect(
+        TimeEntryService.getTimesheet({ from, to, period: "year" }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // getBillableTime
+  // ============================================================================
+
+  describe("getBillableTime()", () => {
+    test("should total closed billable entries per technician on the client", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [
+          {
+            technician_id: 12,
+            first_name: "Dana",
+            last_name: "Reyes",
+            hourly_rate: "85.00",
+            entries: 2,
+            billable_minutes: 150,
+          },
+          {
+            technician_id: 14,
+            first_name: "Sam",
+            last_name: "Ortiz",
+            hourly_rate: null,
+            entries: 1,
+            billable_minutes: 30,
+          },
+        ],
+      });
+
+      const result = await TimeEntryService.getBillableTime(client, 42);
+
+      expect(result.map((row) => row.hourly_rate)).toEqual([85, null]);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("e.is_billable = true");
+      expect(sql).toContain("e.ended_at IS NOT NULL");
+      expect(params).toEqual([42]);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
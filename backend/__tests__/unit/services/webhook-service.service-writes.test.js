@@ -0,0 +1,194 @@
+/**
+ * Webhook Service - Service Writes Tests
+ *
+ * Tests that webhooks are queued for changes made by services that write
+ * with their own SQL (clock-in, the payments ledger), through the real
+ * EntityEvents bus.
+ *
+ * MOCKING STRATEGY:
+ * - db/connection: subscriptions lookup and the delivery client
+ * - transaction-helper: the service transaction client is a mock
+ * - audit-helper, job-queue-service, config/logger: Mocked
+ * - services/entity-events, webhook-service, generic-entity-service: Real
+ */
+
+// ============================================================================
+// MOCKS - Must be set up before imports
+// ============================================================================
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+  logEntityAudit: jest.fn(),
+  logScheduleConflictOverride: jest.fn(),
+  isAuditEnabled: jest.fn(() => true),
+}));
+jest.mock("../../../services/job-queue-service", () => ({
+  enqueue: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// ============================================================================
+// IMPORTS - After mocks
+// ============================================================================
+const WebhookService = require("../../../services/webhook-service");
+const JobQueueService = require("../../../services/job-queue-service");
+const TimeEntryService = require("../../../services/time-entry-service");
+const PaymentService = require("../../../services/payment-service");
+const db = require("../../../db/connection");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+const { logEntityAudit } = require("../../../db/helpers/audit-helper");
+
+describe("WebhookService - Service Writes", () => {
+  const client = { query: jest.fn() };
+  const deliveryClient = { query: jest.fn(), release: jest.fn() };
+  const auditContext = { userId: 7, ipAddress: "127.0.0.1" };
+
+  /**
+   * Subscribe (one subscription) to updates of a single entity
+   */
+  const subscribeTo = (entity) => {
+    db.query.mockImplementation(async (sql, [action, eventEntity]) => ({
+      rows: action === "updated" && eventEntity === entity ? [{ id: 1 }] : [],
+    }));
+  };
+
+  /** Payloads of the queued webhook_deliveries rows */
+  const queuedPayloads = () =>
+    deliveryClient.query.mock.calls
+      .filter(([sql]) => sql.includes("INSERT INTO webhook_deliveries"))
+      .map(([, params]) => params[3]);
+
+  beforeAll(() => {
+    WebhookService.register();
+  });
+
+  afterAll(() => {
+    WebhookService.unregister();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.query.mockReset();
+    withTransaction.mockImplementation((callback) => callback(client));
+    db.getClient.mockResolvedValue(deliveryClient);
+    deliveryClient.query.mockResolvedValue({ rows: [{ id: 900 }] });
+  });
+
+  test("should send work_order.updated when clocking in starts the work order", async () => {
+    subscribeTo("work_order");
+    const workOrder = {
+      id: 42,
+      work_order_number: "WO-2026-0042",
+      status: "assigned",
+      assigned_technician_id: 12,
+      is_active: true,
+    };
+    const technician = {
+      id: 12,
+      availability: "available",
+      status: "active",
+      is_active: true,
+    };
+    client.query
+      .mockResolvedValueOnce({ rows: [{ technician_profile_id: 12 }] })
+      .mockResolvedValueOnce({ rows: [technician] })
+      .mockResolvedValueOnce({ rows: [workOrder] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 300, technician_id: 12, work_order_id: 42 }],
+      })
+      .mockResolvedValueOnce({
+        rows: [{ ...technician, availability: "on_job" }],
+      })
+      .mockResolvedValueOnce({ rows: [workOrder] })
+      .mockResolvedValueOnce({ rows: [{ id: 42 }] })
+      .mockResolvedValueOnce({
+        rows: [{ ...workOrder, status: "in_progress" }],
+      });
+
+    await TimeEntryService.clockIn(
+      42,
+      {},
+      { userId: 7, userRole: "technician", auditContext },
+    );
+
+    const payloads = queuedPayloads();
+    expect(payloads).toHaveLength(1);
+    expect(payloads[0]).toMatchObject({
+      type: "work_order.updated",
+      actor_id: 7,
+      data: {
+        id: 42,
+        record: { status: "in_progress" },
+        previous: { status: "assigned" },
+      },
+    });
+    expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+      "webhook.deliver",
+      { deliveryId: 900 },
+      { client: deliveryClient },
+    );
+    expect(client.query.mock.calls[7][0]).toContain("UPDATE work_orders");
+    expect(logEntityAudit).toHaveBeenCalledWith(
+      "update",
+      "work_order",
+      expect.objectContaining({ status: "in_progress" }),
+      auditContext,
+      expect.objectContaining({ status: "assigned" }),
+    );
+  });
+
+  test("should send invoice.updated when a payment settles the invoice", async () => {
+    subscribeTo("invoice");
+    const sent = {
+      id: 70,
+      invoice_number: "INV-2026-0007",
+      status: "sent",
+      total: "648.00",
+      amount_paid: "448.00",
+      balance: "200.00",
+      paid_at: null,
+    };
+    client.query
+      .mockResolvedValueOnce({ rows: [sent] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 500, invoice_id: 70, amount: "200.00" }],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { ...sent, status: "paid", amount_paid: "648.00", balance: "0.00" },
+        ],
+      });
+
+    await PaymentService.recordPayment(
+      70,
+      { amount: 200, method: "card" },
+      { auditContext },
+    );
+
+    const payloads = queuedPayloads();
+    expect(payloads).toHaveLength(1);
+    expect(payloads[0]).toMatchObject({
+      type: "invoice.updated",
+      actor_id: 7,
+      data: {
+        id: 70,
+        record: { status: "paid", balance: "0.00" },
+        previous: { status: "sent", balance: "200.00" },
+      },
+    });
+  });
+});
@@ -0,0 +1,441 @@
+/**
+ * Webhook Service Unit Tests
+ *
+ * Tests for: backend/services/webhook-service.js
+ *
+ * Coverage:
+ * - dispatch() - matching subscriptions, rows + jobs in one transaction
+ * - buildPayload() / sign() - payload shape, HMAC signature
+ * - deliver() - against a local HTTP receiver: signed request, 2xx,
+ *   retried and failed answers, unreachable receiver, skipped rows
+ * - list() - filters, counts
+ * - redeliver() - new row for the same event, refused while pending
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const WebhookService = require("../../../services/webhook-service");
+const JobQueueService = require("../../../services/job-queue-service");
+const db = require("../../../db/connection");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+jest.mock("../../../services/job-queue-service", () => ({
+  enqueue: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const SECRET = "a-test-secret-of-32-characters!!";
+
+/**
+ * Local receiver: records each request and answers with the next status
+ */
+function startReceiver() {
+  const receiver = { requests: [], status: 200 };
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.status, { "Content-Type": "text/plain" });
+      res.end(`status ${receiver.status}`);
+    });
+  });
+  return new Promise((resolve) => {
+    receiver.server.listen(0, "127.0.0.1", () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      resolve(receiver);
+    });
+  });
+}
+
+describe("WebhookService", () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+  });
+
+  // ==========================================================================
+  // dispatch
+  // ==========================================================================
+
+  describe("dispatch()", () => {
+    const event = {
+      entity: "work_order",
+      action: "updated",
+      id: 42,
+      record: { id: 42, status: "completed" },
+      previous: { id: 42, status: "in_progress" },
+      actorId: 3,
+    };
+
+    test("should queue a delivery and job per matching subscription", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1 }, { id: 2 }] });
+      client.query.mockImplementation(async (sql) =>
+        sql.includes("INSERT") ? { rows: [{ id: 70 }] } : {},
+      );
+
+      const queued = await WebhookService.dispatch(event);
+
+      expect(queued).toBe(2);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("is_active = true");
+      expect(sql).toContain("cardinality(entities) = 0 OR $2 = ANY(entities)");
+      expect(params).toEqual(["updated", "work_order"]);
+
+      const inserts = client.query.mock.calls.filter(([q]) =>
+        q.includes("INSERT INTO webhook_deliveries"),
+      );
+      expect(inserts).toHaveLength(2);
+      const [, insertParams] = inserts[0];
+      expect(insertParams[0]).toBe(1);
+      expect(insertParams[2]).toBe("work_order.updated");
+      // One event ID for every subscription
+      expect(inserts[1][1][1]).toBe(insertParams[1]);
+
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.deliver",
+        { deliveryId: 70 },
+        { client },
+      );
+      expect(client.query).toHaveBeenCalledWith("COMMIT");
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test("should do nothing without matching subscriptions", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(WebhookService.dispatch(event)).resolves.toBe(0);
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+
+    test("should ignore events that are not record changes", async () => {
+      await expect(
+        WebhookService.dispatch({ ...event, action: "file_uploaded" }),
+      ).resolves.toBe(0);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test("should roll back when a job cannot be queued", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+      client.query.mockResolvedValue({ rows: [{ id: 70 }] });
+      JobQueueService.enqueue.mockRejectedValueOnce(new Error("db down"));
+
+      await expect(WebhookService.dispatch(event)).rejects.toThrow("db down");
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // buildPayload / sign
+  // ==========================================================================
+
+  describe("buildPayload()", () => {
+    test("should send the deleted row as previous", () => {
+      const payload = WebhookService.buildPayload({
+        entity: "invoice",
+        action: "deleted",
+        id: 9,
+        record: null,
+        previous: { id: 9, total: 120 },
+        actorId: 1,
+      });
+
+      expect(payload).toMatchObject({
+        type: "invoice.deleted",
+        entity: "invoice",
+        action: "deleted",
+        actor_id: 1,
+        data: { id: 9, record: null, previous: { id: 9, total: 120 } },
+      });
+      expect(payload.id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+
+  describe("sign()", () => {
+    test("should sign '<timestamp>.<body>' with HMAC-SHA256", () => {
+      const expected = crypto
+        .createHmac("sha256", SECRET)
+        .update('1700000000.{"a":1}')
+        .digest("hex");
+
+      expect(WebhookService.sign(SECRET, 1700000000, '{"a":1}')).toBe(
+        `sha256=${expected}`,
+      );
+    });
+  });
+
+  // ==========================================================================
+  // deliver (local HTTP receiver)
+  // ==========================================================================
+
+  describe("deliver()", () => {
+    let receiver;
+    const job = { attempt: 1, maxAttempts: 8 };
+
+    const deliveryRow = (overrides = {}) => ({
+      id: 70,
+      event_id: "6f1c2d4e-8a9b-4c3d-9e8f-7a6b5c4d3e2f",
+      event_type: "work_order.updated",
+      payload: { id: "6f1c2d4e", type: "work_order.updated" },
+      status: "pending",
+      url: receiver.url,
+      secret: SECRET,
+      is_active: true,
+      ...overrides,
+    });
+
+    beforeAll(async () => {
+      receiver = await startReceiver();
+    });
+
+    afterAll(
+      () => new Promise((resolve) => receiver.server.close(() => resolve())),
+    );
+
+    beforeEach(() => {
+      receiver.requests = [];
+      receiver.status = 200;
+    });
+
+    test("should POST the signed payload and mark it delivered", async () => {
+      db.query.mockResolvedValueOnce({ rows: [deliveryRow()] });
+      db.query.mockResolvedValue({ rowCount: 1 });
+
+      const result = await WebhookService.deliver(70, job);
+
+      expect(result).toEqual({ delivered: true, status: 200 });
+      expect(receiver.requests).toHaveLength(1);
+      const { headers, body } = receiver.requests[0];
+      expect(JSON.parse(body)).toEqual(deliveryRow().payload);
+      expect(headers["content-type"]).toBe("application/json");
+      expect(headers["x-tross-event"]).toBe("work_order.updated");
+      expect(headers["x-tross-event-id"]).toBe(deliveryRow().event_id);
+      expect(headers["x-tross-delivery"]).toBe("70");
+      expect(headers["x-tross-signature"]).toBe(
+        WebhookService.sign(SECRET, headers["x-tross-timestamp"], body),
+      );
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain("UPDATE webhook_deliveries");
+      expect(params.slice(0, 5)).toEqual([
+        70,
+        "delivered",
+        200,
+        "status 200",
+        null,
+      ]);
+      expect(params[6]).toBe(true);
+    });
+
+    test("should keep a rejected delivery pending for a retry", async () => {
+      receiver.status = 503;
+      db.query.mockResolvedValueOnce({ rows: [deliveryRow()] });
+      db.query.mockResolvedValue({ rowCount: 1 });
+
+      await expect(WebhookService.deliver(70, job)).rejects.toThrow(
+        "Receiver answered HTTP 503",
+      );
+
+      const params = db.query.mock.calls[1][1];
+      expect(params.slice(0, 5)).toEqual([
+        70,
+        "pending",
+        503,
+        "status 503",
+        "Receiver answered HTTP 503",
+      ]);
+    });
+
+    test("should fail the delivery on the last attempt", async () => {
+      receiver.status = 500;
+      db.query.mockResolvedValueOnce({ rows: [deliveryRow()] });
+      db.query.mockResolvedValue({ rowCount: 1 });
+
+      await expect(
+        WebhookService.deliver(70, { attempt: 8, maxAttempts: 8 }),
+      ).rejects.toThrow();
+
+      expect(db.query.mock.calls[1][1][1]).toBe("failed");
+    });
+
+    test("should record an unreachable receiver", async () => {
+      const closed = http.createServer();
+      await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+      const { port } = closed.address();
+      await new Promise((resolve) => closed.close(resolve));
+
+      db.query.mockResolvedValueOnce({
+        rows: [deliveryRow({ url: `http://127.0.0.1:${port}/hooks` })],
+      });
+      db.query.mockResolvedValue({ rowCount: 1 });
+
+      await expect(WebhookService.deliver(70, job)).rejects.toThrow(
+        "ECONNREFUSED",
+      );
+      const params = db.query.mock.calls[1][1];
+      expect(params[1]).toBe("pending");
+      expect(params[2]).toBeNull();
+    });
+
+    test("should skip deliveries that are no longer pending", async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [deliveryRow({ status: "delivered" })],
+      });
+
+      await expect(WebhookService.deliver(70, job)).resolves.toEqual({
+        skipped: "delivered",
+      });
+      expect(receiver.requests).toHaveLength(0);
+    });
+
+    test("should fail deliveries of an inactive subscription", async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [deliveryRow({ is_active: false })],
+      });
+      db.query.mockResolvedValue({ rowCount: 1 });
+
+      await expect(WebhookService.deliver(70, job)).resolves.toEqual({
+        skipped: "inactive",
+      });
+      expect(db.query.mock.calls[1][1][1]).toBe("failed");
+      expect(receiver.requests).toHaveLength(0);
+    });
+
+    test("should reject a missing delivery as permanent", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(WebhookService.deliver(70, job)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  // ==========================================================================
+  // list
+  // ==========================================================================
+
+  describe("list()", () => {
+    test("should filter by status and subscription with counts", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, status: "failed" }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { status: "failed", count: 1 },
+            { status: "delivered", count: 4 },
+          ],
+        });
+
+      const result = await WebhookService.list({
+        status: "failed",
+        subscriptionId: "2",
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE status = $1 AND subscription_id = $2");
+      expect(sql).not.toContain("payload");
+      expect(params).toEqual(["failed", 2, 50, 0]);
+      expect(db.query.mock.calls[1][1]).toEqual([2]);
+      expect(result.counts).toEqual({ pending: 0, delivered: 4, failed: 1 });
+      expect(result.pagination.total).toBe(1);
+    });
+
+    test("should reject an unknown status", async () => {
+      await expect(
+        WebhookService.list({ status: "lost" }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test("should reject a malformed subscription ID", async () => {
+      await expect(
+        WebhookService.list({ subscriptionId: "abc" }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  // ==========================================================================
+  // redeliver
+  // ==========================================================================
+
+  describe("redeliver()", () => {
+    test("should copy the delivery and queue its job", async () => {
+      const copy = { id: 81, status: "pending", redelivery_of: 70 };
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes("FOR UPDATE")) {
+          return { rows: [{ status: "failed" }] };
+        }
+        if (sql.includes("INSERT")) {
+          return { rows: [copy] };
+        }
+        return {};
+      });
+
+      const delivery = await WebhookService.redeliver(70, 1);
+
+      expect(delivery).toEqual(copy);
+      const insert = client.query.mock.calls.find(([sql]) =>
+        sql.includes("INSERT"),
+      );
+      expect(insert[0]).toContain("SELECT subscription_id, event_id");
+      expect(insert[1]).toEqual([70]);
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.deliver",
+        { deliveryId: 81 },
+        { client, submittedBy: 1 },
+      );
+      expect(client.query).toHaveBeenCalledWith("COMMIT");
+    });
+
+    test("should refuse while the delivery is pending", async () => {
+      client.query.mockImplementation(async (sql) =>
+        sql.includes("FOR UPDATE") ? { rows: [{ status: "pending" }] } : {},
+      );
+
+      await expect(WebhookService.redeliver(70)).rejects.toMatchObject({
+        statusCode: 409,
+        code: "WEBHOOK_DELIVERY_PENDING",
+      });
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test("should 404 for a missing delivery", async () => {
+      client.query.mockImplementation(async (sql) =>
+        sql.includes("FOR UPDATE") ? { rows: [] } : {},
+      );
+
+      await expect(WebhookService.redeliver(70)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // cleanupDelivered
+  // ==========================================================================
+
+  describe("cleanupDelivered()", () => {
+    test("should delete delivered rows past retention", async () => {
+      db.query.mockResolvedValue({ rowCount: 12 });
+
+      await expect(WebhookService.cleanupDelivered()).resolves.toBe(12);
+      expect(db.query.mock.calls[0][1]).toEqual(["delivered", 30]);
+    });
+  });
+});
@@ -0,0 +1,543 @@
+/**
+ * Work Order Part Service Unit Tests
+ *
+ * Tests for: backend/services/work-order-part-service.js
+ *
+ * Coverage:
+ * - listForWorkOrder() - scoped findAll
+ * - addPart() - consumption movement, cost snapshot, location on-hand,
+ *   negative stock, override, status derivation, reorder alert, audit
+ * - removePart() - return movement, status derivation, not found, audit
+ */
+
+const WorkOrderPartService = require("../../../services/work-order-part-service");
+const GenericEntityService = require("../../../services/generic-entity-service");
+const { withTransaction } = require("../../../db/helpers/transaction-helper");
+const { logEntityEvent } = require("../../../db/helpers/audit-helper");
+const { AuditActions } = require("../../../services/audit-constants");
+const NotificationService = require("../../../services/notification-service");
+const EntityEvents = require("../../../services/entity-events");
+
+// Mock dependencies
+jest.mock("../../../services/generic-entity-service", () => ({
+  findAll: jest.fn(),
+}));
+jest.mock("../../../db/helpers/transaction-helper", () => ({
+  withTransaction: jest.fn(),
+}));
+jest.mock("../../../db/helpers/audit-helper", () => ({
+  logEntityEvent: jest.fn(),
+}));
+jest.mock("../../../services/notification-service", () => ({
+  notifyRole: jest.fn(),
+}));
+jest.mock("../../../services/entity-events", () => ({
+  publishAll: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe("WorkOrderPartService", () => {
+  const client = { query: jest.fn() };
+  const auditContext = { userId: 9, ipAddress: "127.0.0.1" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withTransaction.mockImplementation((callback) => callback(client));
+  });
+
+  // ============================================================================
+  // TEST FIXTURES
+  // ============================================================================
+
+  const item = {
+    id: 7,
+    sku: "FLT-20X25",
+    name: "Air filter",
+    quantity: 5,
+    reorder_level: 2,
+    status: "in_stock",
+    supplier: "Acme Supply",
+    unit_cost: "12.50",
+    is_active: true,
+  };
+
+  const warehouse = { id: 1, name: "Main Warehouse", is_active: true };
+
+  /**
+   * Mock the addPart query sequence: lock item, resolve location, on-hand
+   * at the location, insert movement, roll-up update, insert line
+   */
+  const mockAdd = (
+    lockedItem,
+    { quantity, onHand = lockedItem.quantity, stockOverride = false } = {},
+  ) => {
+    client.query
+      .mockResolvedValueOnce({ rows: [lockedItem] })
+      .mockResolvedValueOnce({ rows: [warehouse] })
+      .mockResolvedValueOnce({ rows: [{ on_hand: onHand }] })
+      .mockResolvedValueOnce({ rows: [{ id: 80 }] })
+      .mockResolvedValueOnce({
+        rows: [
+          {
+            id: lockedItem.id,
+            sku: lockedItem.sku,
+            quantity: lockedItem.quantity - quantity,
+            status:
+              lockedItem.quantity - quantity > 0 ? "in_stock" : "out_of_stock",
+          },
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          {
+            id: 30,
+            work_order_id: 42,
+            inventory_id: lockedItem.id,
+            quantity,
+            unit_cost: lockedItem.unit_cost,
+            stock_override: stockOverride,
+            stock_location_id: warehouse.id,
+          },
+        ],
+      });
+  };
+
+  /**
+   * Mock the queries up to the on-hand check (for refusals)
+   */
+  const mockUpToOnHand = (lockedItem, onHand = lockedItem.quantity) => {
+    client.query
+      .mockResolvedValueOnce({ rows: [lockedItem] })
+      .mockResolvedValueOnce({ rows: [warehouse] })
+      .mockResolvedValueOnce({ rows: [{ on_hand: onHand }] });
+  };
+
+  // ============================================================================
+  // listForWorkOrder
+  // ============================================================================
+
+  describe("listForWorkOrder()", () => {
+    test("should list only the work order's lines", async () => {
+      const result = { data: [], pagination: {} };
+      GenericEntityService.findAll.mockResolvedValue(result);
+
+      await expect(
+        WorkOrderPartService.listForWorkOrder(42, { page: 2, limit: 10 }),
+      ).resolves.toBe(result);
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith(
+        "work_order_part",
+        { page: 2, limit: 10, filters: { work_order_id: 42 } },
+      );
+    });
+  });
+
+  // ============================================================================
+  // addPart
+  // ============================================================================
+
+  describe("addPart()", () => {
+    test("should lock the item, take stock and capture unit_cost", async () => {
+      mockAdd(item, { quantity: 2 });
+
+      const result = await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 2, notes: "Replaced filter" },
+        { userRole: "technician", auditContext },
+      );
+
+      const [lockSql, lockParams] = client.query.mock.calls[0];
+      expect(lockSql).toContain("FOR UPDATE");
+      expect(lockParams).toEqual([7]);
+      expect(client.query.mock.calls[1][0]).toContain("is_default = true");
+      expect(client.query.mock.calls[2][1]).toEqual([7, 1]);
+      expect(client.query.mock.calls[3][0]).toContain(
+        "INSERT INTO stock_movements",
+      );
+      expect(client.query.mock.calls[3][1]).toEqual([
+        7,
+        "consumption",
+        2,
+        1,
+        null,
+        null,
+        42,
+        9,
+      ]);
+      expect(client.query.mock.calls[4][1]).toEqual([7, -2]);
+      expect(client.query.mock.calls[5][1]).toEqual([
+        42,
+        7,
+        2,
+        "12.50",
+        "Replaced filter",
+        false,
+        9,
+        1,
+      ]);
+      expect(result.inventory).toEqual({
+        id: 7,
+        sku: "FLT-20X25",
+        quantity: 3,
+        status: "in_stock",
+      });
+      expect(result).not.toHaveProperty("item");
+      expect(result).not.toHaveProperty("available");
+      expect(result).not.toHaveProperty("changes");
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [
+          { entity: "work_order_part", action: "created", record: result.part },
+          { entity: "stock_movement", action: "created", record: { id: 80 } },
+          expect.objectContaining({
+            entity: "inventory",
+            action: "updated",
+            previous: item,
+          }),
+        ],
+        9,
+      );
+    });
+
+    test("should check on-hand at the requested stock location", async () => {
+      const truck = { id: 4, name: "Truck 4", is_active: true };
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [truck] })
+        .mockResolvedValueOnce({ rows: [{ on_hand: 1 }] });
+
+      await expect(
+        WorkOrderPartService.addPart(
+          42,
+          { inventory_id: 7, stock_location_id: 4, quantity: 2 },
+          { userRole: "technician" },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "INSUFFICIENT_STOCK",
+        message:
+          "Insufficient stock for FLT-20X25 at Truck 4: 1 available, 2 requested",
+        details: { location_id: 4, available: 1, requested: 2 },
+      });
+      expect(client.query.mock.calls[1][1]).toEqual([4]);
+    });
+
+    test("should re-derive inventory status in the same UPDATE", async () => {
+      mockAdd(item, { quantity: 2 });
+
+      await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 2 },
+        { userRole: "technician" },
+      );
+
+      const [updateSql] = client.query.mock.calls[4];
+      expect(updateSql).toContain("status = CASE");
+      expect(updateSql).toContain(
+        "WHEN status IN ('discontinued') THEN status",
+      );
+      expect(updateSql).toContain("WHEN (quantity + $2) < reorder_level");
+      expect(updateSql).toContain("RETURNING *");
+    });
+
+    test("should notify managers when the part takes stock below reorder_level", async () => {
+      mockAdd(item, { quantity: 4 });
+
+      await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 4 },
+        { userRole: "technician" },
+      );
+
+      expect(NotificationService.notifyRole).toHaveBeenCalledWith(
+        "manager",
+        expect.objectContaining({
+          title: "Reorder needed: FLT-20X25",
+          resourceType: "inventory",
+          resourceId: 7,
+        }),
+      );
+    });
+
+    test("should not notify while stock stays at or above reorder_level", async () => {
+      mockAdd(item, { quantity: 3 });
+
+      await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 3 },
+        { userRole: "technician" },
+      );
+
+      expect(NotificationService.notifyRole).not.toHaveBeenCalled();
+    });
+
+    test("should audit the inventory adjustment", async () => {
+      mockAdd(item, { quantity: 2 });
+
+      await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 2 },
+        { userRole: "technician", auditContext },
+      );
+
+      expect(logEntityEvent).toHaveBeenCalledTimes(1);
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVENTORY_ADJUSTMENT,
+        "inventory",
+        { id: 7 },
+        auditContext,
+        {
+          oldValues: { quantity: 5 },
+          newValues: { quantity: 3, work_order_id: 42, work_order_part_id: 30 },
+        },
+      );
+    });
+
+    test("should allow taking the last unit", async () => {
+      mockAdd(item, { quantity: 5 });
+
+      const result = await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 5 },
+        { userRole: "technician" },
+      );
+
+      expect(result.inventory.quantity).toBe(0);
+      expect(client.query.mock.calls[5][1][5]).toBe(false);
+    });
+
+    test("should refuse negative stock with 409 INSUFFICIENT_STOCK", async () => {
+      mockUpToOnHand(item);
+
+      await expect(
+        WorkOrderPartService.addPart(
+          42,
+          { inventory_id: 7, quantity: 6 },
+          { userRole: "manager" },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: "INSUFFICIENT_STOCK",
+        details: {
+          inventory_id: 7,
+          location_id: 1,
+          available: 5,
+          requested: 6,
+        },
+      });
+      expect(client.query).toHaveBeenCalledTimes(3);
+    });
+
+    test("should check the location, not the roll-up quantity", async () => {
+      // 5 in total, but only 1 at the warehouse (the rest is on trucks)
+      mockUpToOnHand(item, 1);
+
+      await expect(
+        WorkOrderPartService.addPart(
+          42,
+          { inventory_id: 7, quantity: 2 },
+          { userRole: "technician" },
+        ),
+      ).rejects.toMatchObject({ statusCode: 409, code: "INSUFFICIENT_STOCK" });
+    });
+
+    test("should refuse a forced override below manager with 403", async () => {
+      mockUpToOnHand(item);
+
+      await expect(
+        WorkOrderPartService.addPart(
+          42,
+          { inventory_id: 7, quantity: 6 },
+          { force: true, userRole: "dispatcher" },
+        ),
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(client.query).toHaveBeenCalledTimes(3);
+    });
+
+    test("should let a manager override, mark the line and audit it", async () => {
+      mockAdd(item, { quantity: 6, stockOverride: true });
+
+      const result = await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 6 },
+        { force: true, userRole: "manager", auditContext },
+      );
+
+      expect(client.query.mock.calls[5][1][5]).toBe(true);
+      expect(result.inventory.quantity).toBe(-1);
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVENTORY_STOCK_OVERRIDE,
+        "work_order_part",
+        expect.objectContaining({ id: 30 }),
+        auditContext,
+        {
+          newValues: {
+            work_order_id: 42,
+            inventory_id: 7,
+            stock_location_id: 1,
+            requested: 6,
+            available: 5,
+          },
+        },
+      );
+    });
+
+    test("should ignore force when stock is sufficient", async () => {
+      mockAdd(item, { quantity: 1 });
+
+      await WorkOrderPartService.addPart(
+        42,
+        { inventory_id: 7, quantity: 1 },
+        { force: true, userRole: "technician", auditContext },
+      );
+
+      expect(client.query.mock.calls[5][1][5]).toBe(false);
+      expect(logEntityEvent).not.toHaveBeenCalledWith(
+        AuditActions.INVENTORY_STOCK_OVERRIDE,
+        expect.anything(),
+        expect.anything(),
+        expect.anything(),
+        expect.anything(),
+      );
+    });
+
+    test("should throw 404 for an unknown inventory item", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        WorkOrderPartService.addPart(42, { inventory_id: 99, quantity: 1 }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test("should throw 400 for an inactive inventory item", async () => {
+      client.query.mockResolvedValueOnce({
+        rows: [{ ...item, is_active: false }],
+      });
+
+      await expect(
+        WorkOrderPartService.addPart(42, { inventory_id: 7, quantity: 1 }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test("should throw 400 for an inactive stock location", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [item] })
+        .mockResolvedValueOnce({ rows: [{ ...warehouse, is_active: false }] });
+
+      await expect(
+        WorkOrderPartService.addPart(42, { inventory_id: 7, quantity: 1 }),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: "Stock location Main Warehouse is not active",
+      });
+    });
+  });
+
+  // ============================================================================
+  // removePart
+  // ============================================================================
+
+  describe("removePart()", () => {
+    const line = {
+      id: 30,
+      work_order_id: 42,
+      inventory_id: 7,
+      quantity: 2,
+      stock_location_id: 4,
+    };
+
+    test("should delete the line and return the quantity to its location", async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [line] })
+        .mockResolvedValueOnce({ rows: [{ id: 81 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 7, sku: "FLT-20X25", quantity: 5 }],
+        });
+
+      const result = await WorkOrderPartService.removePart(42, 30, {
+        auditContext,
+      });
+
+      expect(client.query.mock.calls[0][0]).toContain(
+        "DELETE FROM work_order_parts",
+      );
+      expect(client.query.mock.calls[0][1]).toEqual([30, 42]);
+      expect(client.query.mock.calls[1][1]).toEqual([
+        7,
+        "return",
+        2,
+        null,
+        4,
+        null,
+        42,
+        9,
+      ]);
+      expect(client.query.mock.calls[2][0]).toContain("status = CASE");
+      expect(client.query.mock.calls[2][1]).toEqual([7, 2]);
+      expect(NotificationService.notifyRole).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        part: line,
+        inventory: { id: 7, sku: "FLT-20X25", quantity: 5 },
+      });
+      expect(logEntityEvent).toHaveBeenCalledWith(
+        AuditActions.INVENTORY_ADJUSTMENT,
+        "inventory",
+        { id: 7 },
+        auditContext,
+        {
+          oldValues: { quantity: 3 },
+          newValues: { quantity: 5, work_order_id: 42, work_order_part_id: 30 },
+        },
+      );
+      expect(EntityEvents.publishAll).toHaveBeenCalledWith(
+        [
+          {
+            entity: "work_order_part",
+            action: "deleted",
+            record: line,
+            previous: line,
+          },
+          { entity: "stock_movement", action: "created", record: { id: 81 } },
+          expect.objectContaining({
+            entity: "inventory",
+            action: "updated",
+            previous: null,
+          }),
+        ],
+        9,
+      );
+    });
+
+    test("should return lines without a location to the default location", async () => {
+      client.query
+        .mockResolvedValueOnce({
+          rows: [{ ...line, stock_location_id: null }],
+        })
+        .mockResolvedValueOnce({ rows: [warehouse] })
+        .mockResolvedValueOnce({ rows: [{ id: 81 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 7, sku: "FLT-20X25", quantity: 5 }],
+        });
+
+      await WorkOrderPartService.removePart(42, 30);
+
+      expect(client.query.mock.calls[1][0]).toContain("is_default = true");
+      expect(client.query.mock.calls[2][1][4]).toBe(1);
+    });
+
+    test("should throw 404 for a line on another work order", async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(
+        WorkOrderPartService.removePart(43, 30),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(logEntityEvent).not.toHaveBeenCalled();
+    });
+  });
+});
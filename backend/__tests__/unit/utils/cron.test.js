@@ -0,0 +1,121 @@
+/**
+ * Unit Tests: Cron Expression Utility
+ *
+ * Tests for: backend/utils/cron.js
+ *
+ * Coverage:
+ * - parseCron() - fields, ranges, steps, lists, Sunday as 7, errors
+ * - matches() - minute matching, day-of-month OR day-of-week
+ * - nextRun() - next minute, rollover, impossible dates
+ */
+
+const { parseCron, matches, nextRun } = require("../../../utils/cron");
+
+describe("Cron Utils", () => {
+  // ==========================================================================
+  // parseCron
+  // ==========================================================================
+
+  describe("parseCron()", () => {
+    test("expands each field into its allowed values", () => {
+      const schedule = parseCron("0,30 9-17/4 1 */6 1-5");
+
+      expect([...schedule.minute]).toEqual([0, 30]);
+      expect([...schedule.hour]).toEqual([9, 13, 17]);
+      expect([...schedule.dayOfMonth]).toEqual([1]);
+      expect([...schedule.month]).toEqual([1, 7]);
+      expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+      expect(schedule.dayOfMonthRestricted).toBe(true);
+      expect(schedule.dayOfWeekRestricted).toBe(true);
+    });
+
+    test("steps from a single value run to the field maximum", () => {
+      expect([...parseCron("45/5 * * * *").minute]).toEqual([45, 50, 55]);
+    });
+
+    test("treats day of week 7 as Sunday", () => {
+      expect([...parseCron("0 0 * * 7").dayOfWeek]).toEqual([0]);
+    });
+
+    test.each([
+      ["too few fields", "0 2 * *"],
+      ["an empty expression", ""],
+      ["a minute out of range", "60 * * * *"],
+      ["a month of zero", "0 0 1 0 *"],
+      ["a reversed range", "0 5-1 * * *"],
+      ["a zero step", "*/0 * * * *"],
+      ["a name", "0 0 * * MON"],
+    ])("rejects %s", (label, expression) => {
+      expect(() => parseCron(expression)).toThrow(/Invalid cron/);
+    });
+  });
+
+  // ==========================================================================
+  // matches
+  // ==========================================================================
+
+  describe("matches()", () => {
+    test("matches the minute a daily schedule runs in (UTC)", () => {
+      expect(matches("0 2 * * *", new Date("2026-10-19T02:00:42Z"))).toBe(true);
+      expect(matches("0 2 * * *", new Date("2026-10-19T02:01:00Z"))).toBe(
+        false,
+      );
+    });
+
+    test("matches either restricted day field", () => {
+      // 1st of the month OR Sunday
+      const schedule = parseCron("0 0 1 * 0");
+
+      expect(matches(schedule, new Date("2026-10-01T00:00:00Z"))).toBe(true); // Thu 1st
+      expect(matches(schedule, new Date("2026-10-18T00:00:00Z"))).toBe(true); // Sunday
+      expect(matches(schedule, new Date("2026-10-19T00:00:00Z"))).toBe(false);
+    });
+
+    test("requires the day of week when only it is restricted", () => {
+      expect(matches("0 4 * * 0", new Date("2026-10-18T04:00:00Z"))).toBe(true);
+      expect(matches("0 4 * * 0", new Date("2026-10-19T04:00:00Z"))).toBe(
+        false,
+      );
+    });
+  });
+
+  // ==========================================================================
+  // nextRun
+  // ==========================================================================
+
+  describe("nextRun()", () => {
+    test("returns the next matching minute, not the current one", () => {
+      expect(
+        nextRun("0 * * * *", new Date("2026-10-19T02:00:00Z")).toISOString(),
+      ).toBe("2026-10-19T03:00:00.000Z");
+    });
+
+    test("rolls over days, months and years", () => {
+      expect(
+        nextRun("30 3 * * *", new Date("2026-10-19T03:30:10Z")).toISOString(),
+      ).toBe("2026-10-20T03:30:00.000Z");
+      expect(
+        nextRun("0 0 1 1 *", new Date("2026-10-19T00:00:00Z")).toISOString(),
+      ).toBe("2027-01-01T00:00:00.000Z");
+    });
+
+    test("finds the next weekly run", () => {
+      // Monday -> the following Sunday
+      expect(
+        nextRun("0 4 * * 0", new Date("2026-10-19T12:00:00Z")).toISOString(),
+      ).toBe("2026-10-25T04:00:00.000Z");
+    });
+
+    test("finds a leap day", () => {
+      expect(
+        nextRun("0 0 29 2 *", new Date("2026-10-19T00:00:00Z")).toISOString(),
+      ).toBe("2028-02-29T00:00:00.000Z");
+    });
+
+    test("returns null for a date that never comes", () => {
+      expect(nextRun("0 0 31 2 *", new Date("2026-10-19T00:00:00Z"))).toBe(
+        null,
+      );
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit Tests: Relative Date Utility
+ *
+ * Tests for: backend/utils/relative-dates.js
+ *
+ * Coverage:
+ * - resolveRelativeDate() - now, day, week, month and year periods, offsets
+ * - isRelativeDate() - tokens vs absolute dates and other values
+ */
+
+const {
+  resolveRelativeDate,
+  isRelativeDate,
+} = require("../../../utils/relative-dates");
+
+// Wednesday 2026-10-14 15:30 UTC
+const NOW = new Date("2026-10-14T15:30:00.000Z");
+
+const iso = (range) => ({
+  start: range.start.toISOString(),
+  end: range.end && range.end.toISOString(),
+});
+
+describe("Relative Date Utils", () => {
+  // ==========================================================================
+  // resolveRelativeDate
+  // ==========================================================================
+
+  describe("resolveRelativeDate()", () => {
+    test("now is a point in time", () => {
+      expect(iso(resolveRelativeDate("now", NOW))).toEqual({
+        start: "2026-10-14T15:30:00.000Z",
+        end: null,
+      });
+    });
+
+    test("today, yesterday and tomorrow are whole UTC days", () => {
+      expect(iso(resolveRelativeDate("today", NOW))).toEqual({
+        start: "2026-10-14T00:00:00.000Z",
+        end: "2026-10-15T00:00:00.000Z",
+      });
+      expect(iso(resolveRelativeDate("yesterday", NOW)).start).toBe(
+        "2026-10-13T00:00:00.000Z",
+      );
+      expect(iso(resolveRelativeDate("tomorrow", NOW)).end).toBe(
+        "2026-10-16T00:00:00.000Z",
+      );
+    });
+
+    test("weeks run Monday to Monday", () => {
+      expect(iso(resolveRelativeDate("this_week", NOW))).toEqual({
+        start: "2026-10-12T00:00:00.000Z",
+        end: "2026-10-19T00:00:00.000Z",
+      });
+      expect(iso(resolveRelativeDate("last_week", NOW)).start).toBe(
+        "2026-10-05T00:00:00.000Z",
+      );
+
+      // Sunday still belongs to the week that started the Monday before
+      const sunday = new Date("2026-10-18T23:00:00.000Z");
+      expect(iso(resolveRelativeDate("this_week", sunday)).start).toBe(
+        "2026-10-12T00:00:00.000Z",
+      );
+    });
+
+    test("months and years are calendar periods", () => {
+      expect(iso(resolveRelativeDate("this_month", NOW))).toEqual({
+        start: "2026-10-01T00:00:00.000Z",
+        end: "2026-11-01T00:00:00.000Z",
+      });
+      expect(iso(resolveRelativeDate("next_month", NOW))).toEqual({
+        start: "2026-11-01T00:00:00.000Z",
+        end: "2026-12-01T00:00:00.000Z",
+      });
+      expect(iso(resolveRelativeDate("last_year", NOW))).toEqual({
+        start: "2025-01-01T00:00:00.000Z",
+        end: "2026-01-01T00:00:00.000Z",
+      });
+    });
+
+    test("offsets move from now in each unit", () => {
+      const start = (token) =>
+        resolveRelativeDate(token, NOW).start.toISOString();
+
+      expect(start("-7d")).toBe("2026-10-07T15:30:00.000Z");
+      expect(start("+2w")).toBe("2026-10-28T15:30:00.000Z");
+      expect(start("-3h")).toBe("2026-10-14T12:30:00.000Z");
+      expect(start("1m")).toBe("2026-11-14T15:30:00.000Z");
+      expect(start("-1y")).toBe("2025-10-14T15:30:00.000Z");
+      expect(resolveRelativeDate("-7d", NOW).end).toBeNull();
+    });
+
+    test("accepts a '+' decoded to a space and any case", () => {
+      expect(resolveRelativeDate(" 2w", NOW).start.toISOString()).toBe(
+        "2026-10-28T15:30:00.000Z",
+      );
+      expect(resolveRelativeDate("This_Month", NOW)).not.toBeNull();
+    });
+
+    test("returns null for anything else", () => {
+      expect(resolveRelativeDate("2026-10-01", NOW)).toBeNull();
+      expect(resolveRelativeDate("7x", NOW)).toBeNull();
+      expect(resolveRelativeDate("this_day", NOW)).toBeNull();
+      expect(resolveRelativeDate(7, NOW)).toBeNull();
+      expect(resolveRelativeDate(null, NOW)).toBeNull();
+    });
+  });
+
+  // ==========================================================================
+  // isRelativeDate
+  // ==========================================================================
+
+  describe("isRelativeDate()", () => {
+    test("recognizes tokens only", () => {
+      expect(isRelativeDate("today")).toBe(true);
+      expect(isRelativeDate("-30d")).toBe(true);
+      expect(isRelativeDate("2026-01-01")).toBe(false);
+      expect(isRelativeDate("")).toBe(false);
+    });
+  });
+});
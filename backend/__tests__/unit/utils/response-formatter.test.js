@@ -21,6 +21,7 @@ describe("ResponseFormatter", () => {
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      location: jest.fn().mockReturnThis(),
     };
   });
 
@@ -91,6 +92,23 @@ describe("ResponseFormatter", () => {
     });
   });
 
+  describe("accepted()", () => {
+    test("should answer 202 with the job and where to poll it", () => {
+      const job = { id: 31, type: "report.build", status: "queued" };
+
+      ResponseFormatter.accepted(res, job);
+
+      expect(res.location).toHaveBeenCalledWith("/api/jobs/31");
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: job,
+        message: "Job queued",
+        timestamp: expect.any(String),
+      });
+    });
+  });
+
   describe("created()", () => {
     test("should format created response with default message", () => {
       const mockRecord = { id: 1, name: "New Record" };
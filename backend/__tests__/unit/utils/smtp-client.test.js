@@ -0,0 +1,214 @@
+/**
+ * Unit Tests: SMTP Client
+ *
+ * Tests for: backend/utils/smtp-client.js
+ *
+ * Talks to a scripted SMTP server on a local port (net.createServer).
+ *
+ * Coverage:
+ * - sendMail() - conversation order, AUTH PLAIN, dot-stuffing, rejections
+ * - buildMessage() - headers, plain and multipart bodies
+ */
+
+const net = require("net");
+const {
+  sendMail,
+  buildMessage,
+  SmtpError,
+} = require("../../../utils/smtp-client");
+
+/**
+ * Start a fake SMTP server
+ *
+ * @param {Object} [replies] - Overrides by command verb, e.g. { RCPT: '550 No' }
+ * @returns {Promise<Object>} { port, commands, data, close }
+ */
+function startServer(replies = {}) {
+  const state = { commands: [], data: "" };
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 fake ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) {
+          return;
+        }
+        state.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write(`${replies.MESSAGE || "250 OK queued"}\r\n`);
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        state.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (replies[verb]) {
+          socket.write(`${replies[verb]}\r\n`);
+        } else if (verb === "EHLO") {
+          socket.write("250-fake\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n");
+        } else if (verb === "AUTH") {
+          socket.write("235 Authenticated\r\n");
+        } else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 Go ahead\r\n");
+        } else if (verb === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        state,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+const message = {
+  from: "Tross <no-reply@tross.dev>",
+  to: "tech@example.com",
+  subject: "Work order assigned",
+  text: "Hello\n.hidden line",
+};
+
+describe("SMTP Client", () => {
+  describe("sendMail()", () => {
+    test("should run the SMTP conversation in order", async () => {
+      const server = await startServer();
+      try {
+        const result = await sendMail(
+          { host: "127.0.0.1", port: server.port },
+          message,
+        );
+
+        expect(result.response).toBe("250 OK queued");
+        expect(result.messageId).toMatch(/^<.+@tross\.dev>$/);
+        const verbs = server.state.commands.map((line) => line.split(" ")[0]);
+        expect(verbs).toEqual(["EHLO", "MAIL", "RCPT", "DATA", "QUIT"]);
+        expect(server.state.commands[1]).toBe("MAIL FROM:<no-reply@tross.dev>");
+        expect(server.state.commands[2]).toBe("RCPT TO:<tech@example.com>");
+        expect(server.state.data).toContain("Subject: Work order assigned");
+      } finally {
+        await server.close();
+      }
+    });
+
+    test("should authenticate with AUTH PLAIN when a user is set", async () => {
+      const server = await startServer();
+      try {
+        await sendMail(
+          {
+            host: "127.0.0.1",
+            port: server.port,
+            user: "mailer",
+            password: "secret",
+          },
+          message,
+        );
+
+        const auth = server.state.commands.find((line) =>
+          line.startsWith("AUTH"),
+        );
+        expect(auth).toBe(
+          `AUTH PLAIN ${Buffer.from("\0mailer\0secret").toString("base64")}`,
+        );
+      } finally {
+        await server.close();
+      }
+    });
+
+    test("should reject with a permanent SmtpError on a 5xx reply", async () => {
+      const server = await startServer({ RCPT: "550 No such user" });
+      try {
+        const error = await sendMail(
+          { host: "127.0.0.1", port: server.port },
+          message,
+        ).catch((err) => err);
+
+        expect(error).toBeInstanceOf(SmtpError);
+        expect(error.responseCode).toBe(550);
+        expect(error.permanent).toBe(true);
+        expect(error.message).toContain("550 No such user");
+      } finally {
+        await server.close();
+      }
+    });
+
+    test("should treat a 4xx reply as temporary", async () => {
+      const server = await startServer({ MAIL: "451 Try again later" });
+      try {
+        const error = await sendMail(
+          { host: "127.0.0.1", port: server.port },
+          message,
+        ).catch((err) => err);
+
+        expect(error.responseCode).toBe(451);
+        expect(error.permanent).toBe(false);
+      } finally {
+        await server.close();
+      }
+    });
+
+    test("should fail when nothing listens on the port", async () => {
+      const server = await startServer();
+      const { port } = server;
+      await server.close();
+
+      await expect(
+        sendMail({ host: "127.0.0.1", port, timeoutMs: 2000 }, message),
+      ).rejects.toBeInstanceOf(SmtpError);
+    });
+  });
+
+  describe("buildMessage()", () => {
+    const decode = (data, type) => {
+      const part = data.split(`Content-Type: ${type}; charset=utf-8`)[1];
+      const body = part.split("\r\n\r\n")[1].split("\r\n--")[0];
+      return Buffer.from(body.replace(/\r\n/g, ""), "base64").toString("utf8");
+    };
+
+    test("should build a plain-text message", () => {
+      const data = buildMessage({
+        ...message,
+        date: new Date("2026-10-19T08:00:00Z"),
+      });
+
+      expect(data).toContain("From: Tross <no-reply@tross.dev>");
+      expect(data).toContain("To: tech@example.com");
+      expect(data).toContain("Date: Mon, 19 Oct 2026 08:00:00 GMT");
+      expect(data).not.toContain("multipart");
+      expect(decode(data, "text/plain")).toBe(message.text);
+    });
+
+    test("should build multipart/alternative when there is HTML", () => {
+      const data = buildMessage({ ...message, html: "<p>Hello</p>" });
+
+      expect(data).toMatch(/Content-Type: multipart\/alternative; boundary=/);
+      expect(decode(data, "text/plain")).toBe(message.text);
+      expect(decode(data, "text/html")).toBe("<p>Hello</p>");
+    });
+
+    test("should encode non-ASCII subjects", () => {
+      const data = buildMessage({ ...message, subject: "Überfällig" });
+
+      expect(data).toContain(
+        `Subject: =?UTF-8?B?${Buffer.from("Überfällig").toString("base64")}?=`,
+      );
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit Tests: Template Renderer
+ *
+ * Tests for: backend/utils/template-renderer.js
+ */
+
+const {
+  renderTemplate,
+  escapeHtml,
+} = require("../../../utils/template-renderer");
+
+describe("Template Renderer", () => {
+  const context = {
+    user: { first_name: "Ada" },
+    notification: { title: "Pipes & <valves>", body: null },
+  };
+
+  test("should fill dotted paths", () => {
+    expect(renderTemplate("Hi {{user.first_name}}!", context)).toBe("Hi Ada!");
+  });
+
+  test("should render missing values as empty", () => {
+    expect(renderTemplate("[{{user.last_name}}{{nope.deep}}]", context)).toBe(
+      "[]",
+    );
+  });
+
+  test("should escape values only when rendering HTML", () => {
+    const template = "<b>{{notification.title}}</b>";
+
+    expect(renderTemplate(template, context)).toBe("<b>Pipes & <valves></b>");
+    expect(renderTemplate(template, context, { html: true })).toBe(
+      "<b>Pipes &amp; &lt;valves&gt;</b>",
+    );
+  });
+
+  test("should leave triple-brace values unescaped", () => {
+    expect(
+      renderTemplate("{{{notification.title}}}", context, { html: true }),
+    ).toBe("Pipes & <valves>");
+  });
+
+  test("should keep or drop #if blocks", () => {
+    const template =
+      "{{#if notification.body}}Body: {{notification.body}}{{else}}No body{{/if}}";
+
+    expect(renderTemplate(template, context)).toBe("No body");
+    expect(
+      renderTemplate(template, {
+        notification: { body: "Leak in unit 4" },
+      }),
+    ).toBe("Body: Leak in unit 4");
+  });
+
+  test("escapeHtml() should escape quotes", () => {
+    expect(escapeHtml(`"it's"`)).toBe("&quot;it&#39;s&quot;");
+  });
+});
@@ -45,6 +45,7 @@ const VALID_VALUES_BY_TYPE = {
   currency: 199.99,
   boolean: true,
   object: { key: "value" },
+  array: ["a", "b"], // Items default to string
   date: "2026-01-23", // Date only
   timestamp: "2026-01-23T14:30:00Z", // Full ISO datetime
   enum: "value1", // Will be used with { type: 'enum', values: ['value1', 'value2'] }
@@ -65,6 +66,7 @@ const INVALID_VALUES_BY_TYPE = {
   currency: "not a currency", // Currency must be a number
   boolean: 12345, // Number - Joi converts strings/0/1 to boolean, but not random numbers
   object: "not an object",
+  array: "not an array",
   date: "not-a-date",
   timestamp: "not-a-timestamp",
   enum: "invalid_value", // Not in enum list
@@ -180,6 +182,17 @@ describe("utils/validation-loader.js", () => {
       });
     });
 
+    it("should type array items and reject duplicates", () => {
+      const schema = buildFieldSchema(
+        { type: "array", items: "integer" },
+        "required_skills",
+      );
+
+      expect(schema.validate([1, 2]).error).toBeUndefined();
+      expect(schema.validate([1, 1]).error).toBeDefined();
+      expect(schema.validate(["x"]).error).toBeDefined();
+    });
+
     it("should throw for unsupported type", () => {
       expect(() => {
         buildFieldSchema({ type: "nonexistent_type" }, "field");
@@ -220,9 +220,42 @@ describe("Validator Middleware - Route Protection", () => {
         expect(req.validated.pagination.limit).toBe(200);
         expect(next).toHaveBeenCalled();
       });
+
+      test("passes cursor and count through when sent", () => {
+        req.query.cursor = "";
+        req.query.count = "none";
+
+        validatePagination()(req, res, next);
+
+        expect(req.validated.pagination).toEqual(
+          expect.objectContaining({ cursor: "", count: "none" }),
+        );
+        expect(next).toHaveBeenCalled();
+      });
     });
 
     describe("❌ Invalid pagination", () => {
+      test("rejects a malformed cursor", () => {
+        req.query.cursor = "not-a-cursor";
+
+        validatePagination()(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(
+          expect.objectContaining({ message: "Invalid pagination cursor" }),
+        );
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      test("rejects an unknown count mode", () => {
+        req.query.count = "approximate";
+
+        validatePagination()(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(next).not.toHaveBeenCalled();
+      });
+
       test("rejects negative page", () => {
         req.query.page = "-1";
 
@@ -11,6 +11,8 @@ const {
   validateSearch,
   validateSort,
   validateQuery,
+  validateInclude,
+  validateDateRange,
 } = require("../../../validators/query-validators");
 
 jest.mock("../../../validators/validation-logger");
@@ -105,6 +107,119 @@ describe("Query Validators", () => {
       // Assert
       expect(req.validated).toBeDefined();
     });
+
+    test("should read page and limit from the body with source 'body'", () => {
+      // Arrange
+      req.body = { page: 3, limit: 20 };
+      const middleware = validatePagination(
+        { defaultLimit: 50, maxLimit: 200 },
+        { source: "body" },
+      );
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.pagination).toEqual({
+        page: 3,
+        limit: 20,
+        offset: 40,
+      });
+    });
+  });
+
+  describe("validateDateRange", () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    test("should parse from and to", () => {
+      // Arrange
+      req.query = { from: "2025-06-02T00:00:00Z", to: "2025-06-05T00:00:00Z" };
+
+      // Act
+      validateDateRange()(req, res, next);
+
+      // Assert
+      expect(req.validated.dateRange).toEqual({
+        from: new Date("2025-06-02T00:00:00Z"),
+        to: new Date("2025-06-05T00:00:00Z"),
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should default to from + defaultDays", () => {
+      // Arrange
+      req.query = { from: "2025-06-02T00:00:00Z" };
+
+      // Act
+      validateDateRange({ defaultDays: 3 })(req, res, next);
+
+      // Assert
+      const { from, to } = req.validated.dateRange;
+      expect(to - from).toBe(3 * DAY_MS);
+    });
+
+    test("should default to a window ending now with lookback", () => {
+      // Arrange
+      req.query = {};
+      const before = Date.now();
+
+      // Act
+      validateDateRange({ defaultDays: 7, lookback: true })(req, res, next);
+
+      // Assert
+      const { from, to } = req.validated.dateRange;
+      expect(to.getTime()).toBeGreaterThanOrEqual(before);
+      expect(to.getTime()).toBeLessThanOrEqual(Date.now());
+      expect(to - from).toBe(7 * DAY_MS);
+    });
+
+    test("should default to to - defaultDays with lookback", () => {
+      // Arrange
+      req.query = { to: "2025-06-05T00:00:00Z" };
+
+      // Act
+      validateDateRange({ defaultDays: 3, lookback: true })(req, res, next);
+
+      // Assert
+      expect(req.validated.dateRange).toEqual({
+        from: new Date("2025-06-02T00:00:00Z"),
+        to: new Date("2025-06-05T00:00:00Z"),
+      });
+    });
+
+    test("should reject to before from", () => {
+      // Arrange
+      req.query = { from: "2025-06-05T00:00:00Z", to: "2025-06-02T00:00:00Z" };
+
+      // Act
+      validateDateRange()(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should reject ranges longer than maxDays", () => {
+      // Arrange
+      req.query = { from: "2025-06-01T00:00:00Z", to: "2025-06-20T00:00:00Z" };
+
+      // Act
+      validateDateRange({ maxDays: 14 })(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("should reject unparseable dates", () => {
+      // Arrange
+      req.query = { to: "soon" };
+
+      // Act
+      validateDateRange()(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
   });
 
   describe("validateSearch", () => {
@@ -395,6 +510,137 @@ describe("Query Validators", () => {
       expect(req.validated.query.filters.role_id).toEqual({ gte: "2" });
     });
 
+    test("should add a JSON filter param as an and group", () => {
+      // Arrange
+      req.query = {
+        role_id: "2",
+        filter: '{"or":[{"status":"active"},{"status":"pending"}]}',
+      };
+      const middleware = validateQuery(metadata);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.query.filters).toEqual({
+        role_id: "2",
+        and: [{ or: [{ status: "active" }, { status: "pending" }] }],
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should reject a filter on a field that is not filterable", () => {
+      // Arrange
+      req.query = { filter: '{"not":{"password_hash":"x"}}' };
+      const middleware = validateQuery(metadata);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should reject a filter that is not JSON", () => {
+      // Arrange
+      req.query = { filter: "status=active" };
+      const middleware = validateQuery(metadata);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("should collect the new operators on typed fields", () => {
+      // Arrange
+      req.query = {
+        "role_id[isnull]": "true",
+        "status[nin]": "inactive,banned",
+        "created_at[gte]": "-7d",
+      };
+      const middleware = validateQuery({
+        ...metadata,
+        filterableFields: ["status", "role_id", "created_at"],
+        fields: {
+          status: { type: "enum" },
+          role_id: { type: "foreignKey" },
+          created_at: { type: "timestamp" },
+        },
+      });
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.query.filters).toEqual({
+        status: { nin: "inactive,banned" },
+        role_id: { isnull: "true" },
+        created_at: { gte: "-7d" },
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should reject an operator that does not fit the field type", () => {
+      // Arrange
+      req.query = { "status[contains]": "act" };
+      const middleware = validateQuery({
+        ...metadata,
+        fields: { status: { type: "enum" } },
+      });
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: expect.stringContaining(
+            "Operator 'contains' is not supported on 'status'",
+          ),
+        }),
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should reject a filter expression value that does not fit the field type", () => {
+      // Arrange
+      req.query = { filter: '{"or":[{"role_id":"admin"}]}' };
+      const middleware = validateQuery({
+        ...metadata,
+        fields: { role_id: { type: "integer" } },
+      });
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should read a POST search body with source 'body'", () => {
+      // Arrange
+      req.body = {
+        filter: { not: { status: "inactive" } },
+        sortBy: "name",
+      };
+      const middleware = validateQuery(metadata, { source: "body" });
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.query.filters).toEqual({
+        and: [{ not: { status: "inactive" } }],
+      });
+      expect(req.validated.query.sortBy).toBe("name");
+      expect(next).toHaveBeenCalled();
+    });
+
     test("should validate sort parameters", () => {
       // Arrange
       req.query = { sortBy: "name", sortOrder: "desc" };
@@ -470,4 +716,63 @@ describe("Query Validators", () => {
       expect(req.validated.query).toBeDefined();
     });
   });
+
+  describe("validateInclude", () => {
+    const workOrderMetadata = require("../../../config/models/work-order-metadata");
+
+    test("should parse a comma-separated include", () => {
+      // Arrange
+      req.query = { include: "customer, invoices,customer" };
+      const middleware = validateInclude(workOrderMetadata);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.include).toEqual(["customer", "invoices"]);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should default to no includes", () => {
+      // Arrange
+      const middleware = validateInclude(workOrderMetadata);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.include).toEqual([]);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should take an array from the body", () => {
+      // Arrange
+      req.body = { include: ["assignedTechnician", "parts"] };
+      const middleware = validateInclude(workOrderMetadata, {
+        source: "body",
+      });
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.include).toEqual(["assignedTechnician", "parts"]);
+    });
+
+    test("should reject an unknown relationship", () => {
+      // Arrange
+      req.query = { include: "customer,secrets" };
+      const middleware = validateInclude(workOrderMetadata);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toContain(
+        "Cannot include 'secrets'",
+      );
+    });
+  });
 });
@@ -18,6 +18,7 @@ const {
   toSafeUuid,
   toSafeString,
   toSafeEmail,
+  toSafeDate,
 } = require("../../../validators/type-coercion");
 
 describe("Type Coercion Validators - DEFENSIVE TESTING", () => {
@@ -417,6 +418,42 @@ describe("Type Coercion Validators - DEFENSIVE TESTING", () => {
     });
   });
 
+  // ============================================================================
+  // toSafeDate - Date/timestamp validation
+  // ============================================================================
+
+  describe("toSafeDate()", () => {
+    describe("✅ Valid dates", () => {
+      test("parses ISO 8601 strings", () => {
+        expect(toSafeDate("2025-06-02T09:00:00Z", "from")).toEqual(
+          new Date(Date.UTC(2025, 5, 2, 9)),
+        );
+      });
+
+      test("accepts Date instances", () => {
+        const date = new Date();
+        expect(toSafeDate(date, "from")).toBe(date);
+      });
+
+      test("returns null for empty values when allowNull", () => {
+        expect(toSafeDate(undefined, "from", { allowNull: true })).toBeNull();
+        expect(toSafeDate("", "from", { allowNull: true })).toBeNull();
+      });
+    });
+
+    describe("❌ Invalid inputs", () => {
+      test("rejects unparseable strings", () => {
+        expect(() => toSafeDate("next tuesday", "from")).toThrow(
+          "from must be a valid ISO 8601 date",
+        );
+      });
+
+      test("rejects missing values by default", () => {
+        expect(() => toSafeDate(null, "from")).toThrow("from is required");
+      });
+    });
+  });
+
   // ============================================================================
   // toSafeUuid - UUID v4 validation
   // ============================================================================
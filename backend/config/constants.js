@@ -36,6 +36,39 @@ const DATABASE_PERFORMANCE = Object.freeze({
   SLOW_QUERY_EXPLAIN_THRESHOLD_MS: 500, // Run EXPLAIN for queries over 500ms
 });
 
+// Filter expressions on list, stats and export endpoints
+// (QueryBuilderService.buildFilterClause)
+const FILTERS = Object.freeze({
+  // Boolean groups: { and: [...] }, { or: [...] }, { not: {...} }
+  GROUPS: Object.freeze({
+    AND: 'and',
+    OR: 'or',
+    NOT: 'not',
+  }),
+
+  // Guards against oversized expressions
+  MAX_DEPTH: 10, // Nested groups
+  MAX_CONDITIONS: 50, // Field conditions in one expression
+});
+
+// Full-text search on list and export endpoints
+// (QueryBuilderService.buildSearchClause). Entities opt in with
+// metadata.searchWeights, backed by a generated tsvector column.
+const SEARCH = Object.freeze({
+  VECTOR_COLUMN: 'search_vector',
+  LANGUAGE: 'english', // Text search configuration (stemming, stop words)
+
+  // Terms shorter than this, or single tokens with digits or punctuation
+  // (WO-2026-, jane@example.com), use ILIKE substring matching instead
+  MIN_FULL_TEXT_LENGTH: 3,
+
+  // ts_headline markers around matched words in search_highlights
+  HIGHLIGHT_START: '<mark>',
+  HIGHLIGHT_STOP: '</mark>',
+  HIGHLIGHT_MAX_WORDS: 20,
+  HIGHLIGHT_MAX_FRAGMENTS: 2,
+});
+
 // Authentication Constants
 const AUTH = Object.freeze({
   AUTH_MODES: Object.freeze({
@@ -57,6 +90,7 @@ const AUTH = Object.freeze({
 const HTTP_STATUS = Object.freeze({
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -378,6 +412,261 @@ const HEALTH = Object.freeze({
   }),
 });
 
+// Contract Service Schedule Configuration
+// Drives ContractScheduleService generation and preview windows
+const CONTRACT_SCHEDULE = Object.freeze({
+  // How far ahead work orders are generated for each active contract
+  HORIZON_DAYS: 30,
+
+  // Preview window limits (GET /api/contracts/:id/service_occurrences)
+  PREVIEW_DEFAULT_DAYS: 90,
+  PREVIEW_MAX_DAYS: 366,
+});
+
+// Nightly invoice/contract lifecycle sweep (services/lifecycle-sweep-service.js)
+const LIFECYCLE_SWEEP = Object.freeze({
+  // Days before end_date that active contracts get an expiry reminder
+  CONTRACT_EXPIRY_REMINDER_DAYS: Object.freeze([30, 7, 1]),
+});
+
+// In-process job scheduler (services/job-scheduler-service.js).
+// Job definitions and their cron schedules live in config/scheduled-jobs.js
+const SCHEDULED_JOBS = Object.freeze({
+  // How often the scheduler checks for due jobs (cron resolution)
+  TICK_MS: 60 * 1000,
+
+  // Outcome of one run (scheduled_job_runs.status)
+  RUN_STATUSES: Object.freeze({
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+  }),
+
+  // How a run started (scheduled_job_runs.trigger_type)
+  TRIGGERS: Object.freeze({
+    SCHEDULE: 'schedule',
+    STARTUP: 'startup',
+    MANUAL: 'manual',
+  }),
+
+  // Run history page size (GET /api/admin/system/jobs/:name/runs)
+  RUNS_DEFAULT_LIMIT: 20,
+  RUNS_MAX_LIMIT: 100,
+
+  // Audit log retention for the audit-log-cleanup job
+  AUDIT_LOG_RETENTION_DAYS: 365,
+});
+
+// Durable background job queue (services/job-queue-service.js).
+// Job types and their handlers live in config/job-types.js
+const JOB_QUEUE = Object.freeze({
+  // Lifecycle of a background_jobs row
+  // queued -> running -> succeeded | queued (retry) | dead
+  STATUSES: Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    DEAD: 'dead',
+  }),
+
+  // How often an idle worker looks for due jobs
+  POLL_INTERVAL_MS: 2000,
+
+  // Jobs one backend instance runs at a time (each may use pool connections)
+  CONCURRENCY: 2,
+
+  // Attempts before a failing job is dead-lettered (per type override)
+  DEFAULT_MAX_ATTEMPTS: 5,
+
+  // Retry delay: BACKOFF_BASE_MS * 2^(attempt - 1), capped
+  BACKOFF_BASE_MS: 10 * 1000,
+  BACKOFF_MAX_MS: 60 * 60 * 1000,
+
+  // A running job whose worker has not checked in for this long is
+  // treated as lost (worker crashed) and retried
+  LEASE_MS: 5 * 60 * 1000,
+
+  // Finished (succeeded/dead) jobs are deleted after this many days
+  RETENTION_DAYS: 30,
+});
+
+// Entity lifecycle events (services/entity-events.js), published after a
+// write commits by GenericEntityService, FileAttachmentService and the
+// services that write with their own SQL (time entries, payments, invoice
+// lines, stock movements, work order parts)
+const ENTITY_EVENTS = Object.freeze({
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  FILE_UPLOADED: 'file_uploaded',
+});
+
+// Real-time entity change stream (services/change-stream-service.js,
+// GET /api/stream). Changes are logged to entity_changes and announced with
+// Postgres NOTIFY so every backend instance can push them to its clients
+const CHANGE_STREAM = Object.freeze({
+  // NOTIFY channel; the payload is the entity_changes row ID
+  CHANNEL: 'entity_changes',
+
+  // Entity events streamed (ENTITY_EVENTS values)
+  ACTIONS: Object.freeze([
+    ENTITY_EVENTS.CREATED,
+    ENTITY_EVENTS.UPDATED,
+    ENTITY_EVENTS.DELETED,
+  ]),
+
+  // Comment line sent to idle streams so proxies keep them open
+  HEARTBEAT_MS: 25 * 1000,
+
+  // Reconnect delay suggested to clients (SSE retry field)
+  CLIENT_RETRY_MS: 3000,
+
+  // Delay before the listener reconnects after losing its connection
+  LISTEN_RETRY_MS: 5000,
+
+  // Changes read per query when catching up
+  BATCH_SIZE: 500,
+
+  // Changes kept for Last-Event-ID resume; older IDs get a 'reset' event
+  RETENTION_HOURS: 24,
+
+  // Events besides the ACTIONS: a row left the client's view (update), and
+  // the client's resume point is gone (refetch everything)
+  REMOVED_EVENT: 'removed',
+  RESET_EVENT: 'reset',
+});
+
+// Outbox for notification channels other than in-app (services/outbox-service.js).
+// Channels live in config/notification-channels.js
+const OUTBOX = Object.freeze({
+  // Lifecycle of an outbox row: pending -> sent | failed
+  STATUSES: Object.freeze({
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed',
+  }),
+
+  // Delivery attempts (background job retries) before a message fails
+  MAX_ATTEMPTS: 5,
+
+  // GET /api/admin/system/outbox page size
+  LIST_DEFAULT_LIMIT: 50,
+  LIST_MAX_LIMIT: 200,
+
+  // Sent messages are deleted after this many days (failed ones are kept)
+  RETENTION_DAYS: 30,
+});
+
+// In-app notification upkeep (services/notification-inbox-service.js,
+// services/notification-digest-service.js)
+const NOTIFICATIONS = Object.freeze({
+  // Type of the daily summary notification (preferences.notification_digest)
+  DIGEST_TYPE: 'digest',
+
+  // Lines in a digest body; further groups are summed into one "other" line
+  DIGEST_MAX_GROUPS: 10,
+
+  // Read notifications kept for users without a preferences row
+  // (matches the preferences.notification_retention_days default)
+  DEFAULT_RETENTION_DAYS: 30,
+});
+
+// Outbound webhooks (services/webhook-service.js). Entity events matching a
+// webhook_subscriptions row become webhook_deliveries rows, POSTed by the
+// 'webhook.deliver' background job
+const WEBHOOKS = Object.freeze({
+  // Lifecycle of a delivery: pending -> delivered | failed
+  STATUSES: Object.freeze({
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+  }),
+
+  // Entity events a subscription can ask for (webhook_subscriptions.events)
+  EVENTS: Object.freeze([
+    ENTITY_EVENTS.CREATED,
+    ENTITY_EVENTS.UPDATED,
+    ENTITY_EVENTS.DELETED,
+  ]),
+
+  // Request headers; the signature is HMAC-SHA256 of "<timestamp>.<body>"
+  // with the subscription secret, sent as "sha256=<hex>"
+  HEADERS: Object.freeze({
+    EVENT: 'X-Tross-Event',
+    EVENT_ID: 'X-Tross-Event-Id',
+    DELIVERY: 'X-Tross-Delivery',
+    TIMESTAMP: 'X-Tross-Timestamp',
+    SIGNATURE: 'X-Tross-Signature',
+  }),
+  SIGNATURE_ALGORITHM: 'sha256',
+  USER_AGENT: 'Tross-Webhooks/1.0',
+
+  // A receiver must answer (2xx) within this time
+  TIMEOUT_MS: 10 * 1000,
+
+  // Attempts (background job retries with exponential backoff) before a
+  // delivery fails
+  MAX_ATTEMPTS: 8,
+
+  // Response body kept on the delivery row
+  RESPONSE_BODY_MAX_LENGTH: 2000,
+
+  // GET /api/admin/system/webhooks/deliveries page size
+  LIST_DEFAULT_LIMIT: 50,
+  LIST_MAX_LIMIT: 200,
+
+  // Delivered rows are deleted after this many days (failed ones are kept)
+  RETENTION_DAYS: 30,
+});
+
+// Stock statuses derived from quantity vs reorder level (metadata.stockStatus)
+// Entities may add manual statuses on top (inventory: 'discontinued')
+const STOCK_STATUSES = Object.freeze({
+  IN_STOCK: 'in_stock',
+  LOW_STOCK: 'low_stock',
+  OUT_OF_STOCK: 'out_of_stock',
+});
+
+// Stock ledger movement types (stock_movements.movement_type)
+// receipt/return add to a location, consumption takes from one,
+// transfer moves between two, adjustment corrects one either way
+const STOCK_MOVEMENT_TYPES = Object.freeze({
+  RECEIPT: 'receipt',
+  TRANSFER: 'transfer',
+  CONSUMPTION: 'consumption',
+  RETURN: 'return',
+  ADJUSTMENT: 'adjustment',
+});
+
+// Payment ledger entry types (payments.entry_type)
+// payment reduces the invoice balance; refund and reversal (of one
+// payment, e.g. a bounced check) raise it again
+const PAYMENT_ENTRY_TYPES = Object.freeze({
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+  REVERSAL: 'reversal',
+});
+
+// How money was received or returned (payments.method)
+const PAYMENT_METHODS = Object.freeze({
+  CASH: 'cash',
+  CHECK: 'check',
+  CARD: 'card',
+  BANK_TRANSFER: 'bank_transfer',
+  OTHER: 'other',
+});
+
+// Technician time tracking (TimeEntryService)
+const TIME_TRACKING = Object.freeze({
+  // Timesheet summary buckets (PostgreSQL date_trunc units)
+  TIMESHEET_PERIODS: Object.freeze(['day', 'week', 'month']),
+  TIMESHEET_DEFAULT_PERIOD: 'week',
+
+  // Timesheet window limits (GET /api/time_entries/timesheet)
+  TIMESHEET_DEFAULT_DAYS: 7,
+  TIMESHEET_MAX_DAYS: 93,
+});
+
 // API Endpoints
 const API_ENDPOINTS = Object.freeze({
   HEALTH: '/api/health',
@@ -544,6 +833,8 @@ const MODEL_ERRORS = Object.freeze({
 module.exports = Object.freeze({
   ENVIRONMENTS,
   DATABASE_PERFORMANCE,
+  FILTERS,
+  SEARCH,
   AUTH,
   USER_ROLES,
   HTTP_STATUS,
@@ -565,6 +856,20 @@ module.exports = Object.freeze({
   FIELD_ACCESS_LEVELS,
   UNIVERSAL_FIELD_ACCESS,
   HEALTH,
+  CONTRACT_SCHEDULE,
+  LIFECYCLE_SWEEP,
+  SCHEDULED_JOBS,
+  JOB_QUEUE,
+  ENTITY_EVENTS,
+  OUTBOX,
+  NOTIFICATIONS,
+  WEBHOOKS,
+  CHANGE_STREAM,
+  STOCK_STATUSES,
+  STOCK_MOVEMENT_TYPES,
+  PAYMENT_ENTRY_TYPES,
+  PAYMENT_METHODS,
+  TIME_TRACKING,
   API_ENDPOINTS,
   MODEL_ERRORS,
   // Also export helper functions from derived-constants
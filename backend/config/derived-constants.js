@@ -356,6 +356,15 @@ const SWAGGER_ENTITY_NAMES = [
   'invoice',
   'contract',
   'inventory',
+  'skill',
+  'certification',
+  'technician_skill',
+  'technician_certification',
+  'stock_location',
+  'stock_movement',
+  'time_entry',
+  'payment',
+  'webhook_subscription',
 ];
 
 // Lazy cache for swagger entity configs
@@ -378,6 +387,10 @@ function toSwaggerDisplayName(entityName) {
   if (entityName === 'inventory') {
     return 'Inventory Items';
   }
+  // Consonant + y becomes 'ies' (time_entry → 'Time Entries')
+  if (/[^aeiou]y$/.test(joined)) {
+    return joined.slice(0, -1) + 'ies';
+  }
   // Most entities just add 's'
   return joined + 's';
 }
@@ -479,6 +492,11 @@ function metadataFieldToOpenAPI(field) {
       base.format = 'email';
       break;
 
+    case 'url':
+      base.type = 'string';
+      base.format = 'uri';
+      break;
+
     case 'boolean':
       base.type = 'boolean';
       break;
@@ -509,10 +527,14 @@ function metadataFieldToOpenAPI(field) {
       break;
 
     case 'json':
-    case 'array':
       base.type = 'object';
       break;
 
+    case 'array':
+      base.type = 'array';
+      base.items = metadataFieldToOpenAPI({ type: field.items });
+      break;
+
     default:
       base.type = 'string'; // Safe default
   }
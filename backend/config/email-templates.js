@@ -0,0 +1,107 @@
+/**
+ * Email Templates
+ *
+ * SINGLE SOURCE OF TRUTH for the emails sent for in-app notifications
+ * (email channel, config/notification-channels.js).
+ *
+ * Keyed by notification type; types without their own template use
+ * 'default'. Each template has a subject, a plain-text body and an HTML
+ * body in Handlebars style (utils/template-renderer.js). Values available:
+ *
+ * - user: first_name, last_name, email
+ * - notification: title, body, type, resource_type, resource_id
+ * - appUrl: CLIENT_URL (link back to the app)
+ *
+ * @module config/email-templates
+ */
+
+/**
+ * Shared HTML wrapper around a template's content
+ */
+const layout = (content) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    <p>Hi {{user.first_name}},</p>
+    ${content}
+    {{#if appUrl}}<p><a href="{{appUrl}}">Open Tross</a></p>{{/if}}
+    <p style="color: #7b8794; font-size: 12px;">
+      You get these emails because email notifications are on in your
+      Tross settings.
+    </p>
+  </body>
+</html>`;
+
+const footer = `
+{{#if appUrl}}Open Tross: {{appUrl}}
+{{/if}}
+You get these emails because email notifications are on in your Tross settings.`;
+
+module.exports = Object.freeze({
+  default: {
+    subject: '{{notification.title}}',
+    text: `Hi {{user.first_name}},
+
+{{notification.title}}
+{{#if notification.body}}
+{{notification.body}}
+{{/if}}${footer}`,
+    html: layout(`<p><strong>{{notification.title}}</strong></p>
+    {{#if notification.body}}<p>{{notification.body}}</p>{{/if}}`),
+  },
+
+  assignment: {
+    subject: 'New assignment: {{notification.title}}',
+    text: `Hi {{user.first_name}},
+
+You have a new assignment.
+
+{{notification.title}}
+{{#if notification.body}}
+{{notification.body}}
+{{/if}}${footer}`,
+    html: layout(`<p>You have a new assignment.</p>
+    <p><strong>{{notification.title}}</strong></p>
+    {{#if notification.body}}<p>{{notification.body}}</p>{{/if}}`),
+  },
+
+  reminder: {
+    subject: 'Reminder: {{notification.title}}',
+    text: `Hi {{user.first_name}},
+
+This is a reminder.
+
+{{notification.title}}
+{{#if notification.body}}
+{{notification.body}}
+{{/if}}${footer}`,
+    html: layout(`<p>This is a reminder.</p>
+    <p><strong>{{notification.title}}</strong></p>
+    {{#if notification.body}}<p>{{notification.body}}</p>{{/if}}`),
+  },
+
+  warning: {
+    subject: 'Action needed: {{notification.title}}',
+    text: `Hi {{user.first_name}},
+
+{{notification.title}}
+{{#if notification.body}}
+{{notification.body}}
+{{/if}}${footer}`,
+    html: layout(`<p style="color: #b44d12;"><strong>{{notification.title}}</strong></p>
+    {{#if notification.body}}<p>{{notification.body}}</p>{{/if}}`),
+  },
+
+  // Daily digest (services/notification-digest-service.js); the body has
+  // one line per group of notifications
+  digest: {
+    subject: '{{notification.title}}',
+    text: `Hi {{user.first_name}},
+
+Here is what is waiting for you since your last digest:
+
+{{notification.body}}
+${footer}`,
+    html: layout(`<p>Here is what is waiting for you since your last digest:</p>
+    <p style="white-space: pre-line;">{{notification.body}}</p>`),
+  },
+});
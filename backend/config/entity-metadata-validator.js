@@ -12,6 +12,7 @@
  */
 
 const { getRoleHierarchy } = require('./role-hierarchy-loader');
+const { STOCK_STATUSES } = require('./constants');
 
 /**
  * All supported field types that the data generator can handle.
@@ -35,8 +36,14 @@ const SUPPORTED_FIELD_TYPES = new Set([
   'jsonb', // PostgreSQL JSONB type
   'array',
   'phone', // Phone number type (stored as string)
+  'url', // http(s) URL (stored as string)
 ]);
 
+/**
+ * Postgres tsvector weights (setweight), strongest first
+ */
+const SEARCH_WEIGHTS = ['A', 'B', 'C', 'D'];
+
 /**
  * Get valid access values for fieldAccess CRUD operations.
  * 'none' means no access, 'system' means backend-only.
@@ -259,6 +266,8 @@ function validateRlsPolicy(meta, errors) {
     'assigned_work_orders_only', // Technician sees assigned work orders
     'own_contracts_only', // Customer sees their contracts
     'own_invoices_only', // Customer sees their invoices
+    'own_payments_only', // Customer sees payments on their invoices
+    'own_time_entries_only', // Technician sees their time entries
 
     // Resource patterns
     'public_resource', // Readable by all authenticated users
@@ -280,6 +289,199 @@ function validateRlsPolicy(meta, errors) {
   }
 }
 
+/**
+ * Validate statusTransitions references real states, roles and fields
+ */
+function validateStatusTransitions(meta, errors) {
+  const config = meta.statusTransitions;
+  if (!config) {
+    return; // Optional
+  }
+
+  const field = config.field || 'status';
+  const fieldDefs = meta.fields || {};
+  const states = new Set(fieldDefs[field]?.values || []);
+  if (states.size === 0) {
+    errors.add(
+      'statusTransitions.field',
+      `Field '${field}' must be an enum with values`,
+    );
+    return;
+  }
+
+  if (!Array.isArray(config.transitions)) {
+    errors.add('statusTransitions.transitions', 'Must be an array');
+    return;
+  }
+
+  const roleHierarchy = getRoleHierarchy();
+  config.transitions.forEach((transition, i) => {
+    const fromStates = Array.isArray(transition.from)
+      ? transition.from
+      : [transition.from];
+    for (const state of [...fromStates, transition.to]) {
+      if (!states.has(state)) {
+        errors.add(
+          `statusTransitions.transitions[${i}]`,
+          `Unknown ${field} value '${state}'`,
+        );
+      }
+    }
+
+    if (!roleHierarchy.includes(transition.minimumRole)) {
+      errors.add(
+        `statusTransitions.transitions[${i}].minimumRole`,
+        `Invalid role '${transition.minimumRole}'. Valid: ${roleHierarchy.join(', ')}`,
+      );
+    }
+  });
+
+  for (const [state, role] of Object.entries(config.initialStates || {})) {
+    if (!states.has(state)) {
+      errors.add(
+        `statusTransitions.initialStates.${state}`,
+        `Unknown ${field} value '${state}'`,
+      );
+    }
+    if (!roleHierarchy.includes(role)) {
+      errors.add(
+        `statusTransitions.initialStates.${state}`,
+        `Invalid role '${role}'. Valid: ${roleHierarchy.join(', ')}`,
+      );
+    }
+  }
+
+  for (const [state, fields] of Object.entries(config.requiredOnEntry || {})) {
+    if (!states.has(state)) {
+      errors.add(
+        `statusTransitions.requiredOnEntry.${state}`,
+        `Unknown ${field} value '${state}'`,
+      );
+    }
+    for (const name of fields) {
+      if (!fieldDefs[name]) {
+        errors.add(
+          `statusTransitions.requiredOnEntry.${state}`,
+          `Field '${name}' not defined in fields`,
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Validate scheduleConflicts references real fields, states and roles
+ */
+function validateScheduleConflicts(meta, errors) {
+  const config = meta.scheduleConflicts;
+  if (!config) {
+    return; // Optional
+  }
+
+  const fieldDefs = meta.fields || {};
+  for (const key of ['resourceField', 'startField', 'endField']) {
+    if (!config[key]) {
+      errors.add(`scheduleConflicts.${key}`, 'Required property missing');
+    } else if (!fieldDefs[config[key]]) {
+      errors.add(
+        `scheduleConflicts.${key}`,
+        `Field '${config[key]}' not defined in fields`,
+      );
+    }
+  }
+
+  const statusField = config.statusField || 'status';
+  const states = new Set(fieldDefs[statusField]?.values || []);
+  for (const state of config.ignoreStatuses || []) {
+    if (!states.has(state)) {
+      errors.add(
+        'scheduleConflicts.ignoreStatuses',
+        `Unknown ${statusField} value '${state}'`,
+      );
+    }
+  }
+
+  const roleHierarchy = getRoleHierarchy();
+  if (config.overrideRole && !roleHierarchy.includes(config.overrideRole)) {
+    errors.add(
+      'scheduleConflicts.overrideRole',
+      `Invalid role '${config.overrideRole}'. Valid: ${roleHierarchy.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Validate stockStatus references real fields, states and roles
+ */
+function validateStockStatus(meta, errors) {
+  const config = meta.stockStatus;
+  if (!config) {
+    return; // Optional
+  }
+
+  const fieldDefs = meta.fields || {};
+  for (const key of ['quantityField', 'thresholdField']) {
+    if (!config[key]) {
+      errors.add(`stockStatus.${key}`, 'Required property missing');
+    } else if (!fieldDefs[config[key]]) {
+      errors.add(
+        `stockStatus.${key}`,
+        `Field '${config[key]}' not defined in fields`,
+      );
+    }
+  }
+
+  if (config.supplierField && !fieldDefs[config.supplierField]) {
+    errors.add(
+      'stockStatus.supplierField',
+      `Field '${config.supplierField}' not defined in fields`,
+    );
+  }
+
+  const statusField = config.statusField || 'status';
+  const states = new Set(fieldDefs[statusField]?.values || []);
+  const derived = Object.values(STOCK_STATUSES);
+  for (const state of [...derived, ...(config.manualStatuses || [])]) {
+    if (!states.has(state)) {
+      errors.add(
+        'stockStatus.statusField',
+        `${statusField} is missing value '${state}'`,
+      );
+    }
+  }
+
+  const roleHierarchy = getRoleHierarchy();
+  if (config.alertRole && !roleHierarchy.includes(config.alertRole)) {
+    errors.add(
+      'stockStatus.alertRole',
+      `Invalid role '${config.alertRole}'. Valid: ${roleHierarchy.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Validate searchWeights covers searchable fields with tsvector weights
+ */
+function validateSearchWeights(meta, errors) {
+  const weights = meta.searchWeights;
+  if (!weights) {
+    return; // Optional
+  }
+
+  const searchable = meta.searchableFields || [];
+  for (const [field, weight] of Object.entries(weights)) {
+    if (!searchable.includes(field)) {
+      errors.add(`searchWeights.${field}`, 'Field is not in searchableFields');
+    }
+    if (!SEARCH_WEIGHTS.includes(weight)) {
+      errors.add(
+        `searchWeights.${field}`,
+        `Invalid weight '${weight}'. Valid: ${SEARCH_WEIGHTS.join(', ')}`,
+      );
+    }
+  }
+}
+
 /**
  * Validate UI display properties
  * These are required for frontend rendering (navigation, headers, etc.)
@@ -400,6 +602,10 @@ function validateEntity(entityName, meta, allMetadata) {
   validateRequiredFields(meta, errors);
   validateForeignKeys(meta, errors, allMetadata);
   validateRlsPolicy(meta, errors);
+  validateStatusTransitions(meta, errors);
+  validateScheduleConflicts(meta, errors);
+  validateStockStatus(meta, errors);
+  validateSearchWeights(meta, errors);
 
   return errors;
 }
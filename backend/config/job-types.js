@@ -0,0 +1,118 @@
+/**
+ * Background Job Types
+ *
+ * SINGLE SOURCE OF TRUTH for the kinds of work services can hand to the
+ * background job queue (services/job-queue-service.js).
+ *
+ * Each type (keyed by the name passed to JobQueueService.enqueue):
+ * - description: What the job does
+ * - schema: Joi schema the payload must pass at enqueue time
+ * - maxAttempts: Attempts before the job is dead-lettered
+ *   (default JOB_QUEUE.DEFAULT_MAX_ATTEMPTS)
+ * - handle: async (payload, job) => result (stored on the job; throw to
+ *   fail the attempt). job = { id, type, attempt, maxAttempts,
+ *   submittedBy, reportProgress(percent, message) }
+ *
+ * Handlers must be safe to run again: a failed or lost attempt is retried.
+ * An AppError with a 4xx status is permanent and dead-letters the job
+ * without retrying.
+ *
+ * Services are required inside handle() so this config loads without them.
+ *
+ * @module config/job-types
+ */
+
+const Joi = require('joi');
+const { OUTBOX, WEBHOOKS } = require('./constants');
+
+const notificationSchema = Joi.object({
+  title: Joi.string().max(255).required(),
+  body: Joi.string().allow('', null),
+  type: Joi.string(),
+  resourceType: Joi.string(),
+  resourceId: Joi.number().integer().positive(),
+  once: Joi.boolean(),
+  exceptUserId: Joi.number().integer().positive(),
+});
+
+module.exports = Object.freeze({
+  'export.csv': {
+    description:
+      "Write an entity's rows matching a list query to CSV (the result holds the file)",
+    schema: Joi.object({
+      entity: Joi.string().required(),
+      query: Joi.object({
+        search: Joi.string().allow(''),
+        filters: Joi.object(),
+        sortBy: Joi.string(),
+        sortOrder: Joi.string(),
+        includeInactive: Joi.boolean(),
+      }).default({}),
+      rlsContext: Joi.object({
+        policy: Joi.string().required(),
+        userId: Joi.number().integer().allow(null),
+      }).allow(null),
+      fields: Joi.array().items(Joi.string()).allow(null),
+    }),
+    maxAttempts: 3,
+    handle: ({ entity, query, rlsContext = null, fields = null }, job) =>
+      require('../services/export-service').exportToCSV(
+        entity,
+        query,
+        rlsContext,
+        fields,
+        { onProgress: job.reportProgress },
+      ),
+  },
+  'notification.fan-out': {
+    description:
+      "Notify every user at or above a role, or a customer's portal users",
+    schema: Joi.object({
+      role: Joi.string(),
+      customerId: Joi.number().integer().positive(),
+      notification: notificationSchema.required(),
+    }).xor('role', 'customerId'),
+    maxAttempts: 3,
+    handle: async ({ role, customerId, notification }) => {
+      const NotificationService = require('../services/notification-service');
+      // Throw on failure so the attempt is retried
+      const options = { throwOnError: true };
+      if (role) {
+        return {
+          notified: await NotificationService.notifyRole(
+            role,
+            notification,
+            options,
+          ),
+        };
+      }
+      return {
+        notified: await NotificationService.notifyCustomer(
+          customerId,
+          notification,
+          options,
+        ),
+      };
+    },
+  },
+  'outbox.deliver': {
+    description:
+      'Deliver one outbox message (email) and record the outcome on its row',
+    schema: Joi.object({
+      outboxId: Joi.number().integer().positive().required(),
+    }),
+    maxAttempts: OUTBOX.MAX_ATTEMPTS,
+    handle: ({ outboxId }, job) =>
+      require('../services/outbox-service').deliver(outboxId, job),
+  },
+  'webhook.deliver': {
+    description:
+      'POST one signed webhook delivery and record the response on its row',
+    schema: Joi.object({
+      deliveryId: Joi.number().integer().positive().required(),
+    }),
+    maxAttempts: WEBHOOKS.MAX_ATTEMPTS,
+    handle: ({ deliveryId }, job) =>
+      require('../services/webhook-service').deliver(deliveryId, job),
+  },
+});
@@ -15,7 +15,11 @@ const {
   UNIVERSAL_FIELD_ACCESS,
 } = require('../constants');
 const { NAME_TYPES } = require('../entity-types');
-const { FIELD } = require('../field-type-standards');
+const {
+  FIELD,
+  createAddressFields,
+  createAddressFieldAccess,
+} = require('../field-type-standards');
 
 module.exports = {
   // Entity key (singular, for API params and lookups)
@@ -150,6 +154,31 @@ module.exports = {
    */
   immutableFields: ['contract_number'],
 
+  // ============================================================================
+  // STATUS LIFECYCLE (enforced by GenericEntityService update/batch)
+  // ============================================================================
+
+  /**
+   * Allowed status changes, the minimum role for each, and fields that must
+   * be set on entering a state. Undeclared pairs are rejected with 409.
+   * Expired contracts may be renewed; cancelled and terminated are terminal.
+   * New contracts start as drafts, or active when signed up front.
+   */
+  statusTransitions: {
+    field: 'status',
+    transitions: [
+      { from: 'draft', to: 'active', minimumRole: 'manager' },
+      { from: 'draft', to: 'cancelled', minimumRole: 'manager' },
+      { from: 'active', to: 'expired', minimumRole: 'manager' },
+      { from: 'active', to: 'terminated', minimumRole: 'manager' },
+      { from: 'expired', to: 'active', minimumRole: 'manager' },
+    ],
+    requiredOnEntry: {
+      active: ['start_date'],
+    },
+    initialStates: { draft: 'manager', active: 'manager' },
+  },
+
   /**
    * Default columns to display in table views (ordered)
    * Used by admin panel and frontend table widgets
@@ -225,6 +254,15 @@ module.exports = {
 
     // Billing cycle - manager+ manages, customer can read
     billing_cycle: FAL.MANAGER_MANAGED_PUBLIC_READ,
+
+    // Service schedule - manager+ manages, customer can read
+    service_frequency: FAL.MANAGER_MANAGED_PUBLIC_READ,
+    service_interval: FAL.MANAGER_MANAGED_PUBLIC_READ,
+    service_summary: FAL.MANAGER_MANAGED_PUBLIC_READ,
+    service_priority: FAL.MANAGER_MANAGED_PUBLIC_READ,
+
+    // Service address fields - manager+ manages, customer can read
+    ...createAddressFieldAccess('service', 'manager'),
   },
 
   // ============================================================================
@@ -273,6 +311,14 @@ module.exports = {
       ],
       description: 'Customer this contract is with',
     },
+    // Contract has many scheduled (preventive-maintenance) work orders
+    workOrders: {
+      type: 'hasMany',
+      foreignKey: 'contract_id',
+      table: 'work_orders',
+      fields: ['id', 'work_order_number', 'name', 'status', 'occurrence_date'],
+      description: 'Work orders generated from this contract',
+    },
   },
 
   // ============================================================================
@@ -294,7 +340,7 @@ module.exports = {
   ],
 
   // ============================================================================
-  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // SEARCH CONFIGURATION (Full-Text Search, ILIKE for identifiers)
   // ============================================================================
 
   /**
@@ -303,6 +349,10 @@ module.exports = {
    */
   searchableFields: ['contract_number', 'name', 'summary'],
 
+  // Weight per field (A strongest) in the generated search_vector column
+  // (migrations/016_full_text_search.sql)
+  searchWeights: { contract_number: 'A', name: 'A', summary: 'B' },
+
   // ============================================================================
   // FILTER CONFIGURATION (Exact Match & Operators)
   // ============================================================================
@@ -320,6 +370,7 @@ module.exports = {
     'start_date',
     'end_date',
     'billing_cycle',
+    'service_frequency',
     'created_at',
     'updated_at',
   ],
@@ -394,5 +445,21 @@ module.exports = {
       type: 'enum',
       values: ['monthly', 'quarterly', 'annually', 'one_time'],
     },
+
+    // Service schedule (RRULE-style FREQ/INTERVAL anchored on start_date;
+    // no frequency = no recurring work). ContractScheduleService generates one
+    // work order per occurrence while active, up to end_date.
+    service_frequency: {
+      type: 'enum',
+      values: ['daily', 'weekly', 'monthly', 'yearly'],
+    },
+    service_interval: { type: 'integer', min: 1, default: 1 },
+    service_summary: FIELD.SUMMARY,
+    service_priority: {
+      type: 'enum',
+      values: ['low', 'normal', 'high', 'urgent'],
+      default: 'normal',
+    },
+    ...createAddressFields('service'),
   },
 };
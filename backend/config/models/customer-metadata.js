@@ -305,7 +305,7 @@ module.exports = {
   ],
 
   // ============================================================================
-  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // SEARCH CONFIGURATION (Full-Text Search, ILIKE for identifiers)
   // ============================================================================
 
   searchableFields: [
@@ -316,6 +316,16 @@ module.exports = {
     'organization_name',
   ],
 
+  // Weight per field (A strongest) in the generated search_vector column
+  // (migrations/016_full_text_search.sql). phone is left out: phone
+  // numbers are identifier lookups, which use ILIKE
+  searchWeights: {
+    organization_name: 'A',
+    first_name: 'A',
+    last_name: 'A',
+    email: 'B',
+  },
+
   // ============================================================================
   // FILTER CONFIGURATION (Exact Match & Operators)
   // ============================================================================
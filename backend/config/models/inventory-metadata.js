@@ -138,6 +138,26 @@ module.exports = {
    */
   immutableFields: ['sku'],
 
+  // ============================================================================
+  // STOCK STATUS (enforced by GenericEntityService create/update/batch)
+  // ============================================================================
+
+  /**
+   * status follows quantity vs reorder_level whenever either is written:
+   * out_of_stock at 0 or below, low_stock under reorder_level, else in_stock.
+   * discontinued is set by hand and sticks until someone sets another status.
+   * Dropping below reorder_level notifies managers and lists the item on
+   * GET /api/inventory/reorder-report (grouped by supplier).
+   */
+  stockStatus: {
+    quantityField: 'quantity',
+    thresholdField: 'reorder_level',
+    statusField: 'status',
+    manualStatuses: ['discontinued'],
+    supplierField: 'supplier',
+    alertRole: 'manager',
+  },
+
   /**
    * Default columns to display in table views (ordered)
    * Used by admin panel and frontend table widgets
@@ -191,12 +211,9 @@ module.exports = {
       update: 'dispatcher',
       delete: 'none',
     },
-    quantity: {
-      create: 'dispatcher',
-      read: 'technician',
-      update: 'dispatcher',
-      delete: 'none',
-    },
+    // Roll-up of the stock_movements ledger - moved only through
+    // receive/adjust/transfer and work order parts, never written directly
+    quantity: FAL.INTERNAL_READONLY,
     reorder_level: {
       create: 'dispatcher',
       read: 'technician',
@@ -260,7 +277,7 @@ module.exports = {
   ],
 
   // ============================================================================
-  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // SEARCH CONFIGURATION (Full-Text Search, ILIKE for identifiers)
   // ============================================================================
 
   /**
@@ -269,6 +286,10 @@ module.exports = {
    */
   searchableFields: ['name', 'sku', 'description'],
 
+  // Weight per field (A strongest) in the generated search_vector column
+  // (migrations/016_full_text_search.sql)
+  searchWeights: { name: 'A', sku: 'A', description: 'C' },
+
   // ============================================================================
   // FILTER CONFIGURATION (Exact Match & Operators)
   // ============================================================================
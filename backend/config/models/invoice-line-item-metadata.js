@@ -0,0 +1,363 @@
+/**
+ * Invoice Line Item Model Metadata
+ *
+ * Category: N/A (sub-entity of invoices, no name field)
+ *
+ * SRP: ONLY defines invoice_line_items table structure and access control
+ *
+ * DESIGN NOTES:
+ * - One row per billed line: description, quantity x unit_price, tax_code
+ * - amount, tax_rate and tax are computed by the server when the line is
+ *   written; tax_rate is what tax_code resolved to at that time
+ * - Every line change recomputes the invoice's amount, tax and total
+ * - Lines can only be added, edited or removed while the invoice is a draft
+ * - inventory_id / technician_id optionally link the line to the part or
+ *   the technician's labour it bills for
+ *
+ * WHY THIS EXISTS:
+ * - Defines field access levels for response filtering
+ * - Documents the table structure as single source of truth
+ * - NOT used by the generic router (totals need InvoiceService,
+ *   mounted at /api/invoices/:id/line_items)
+ */
+
+const {
+  FIELD_ACCESS_LEVELS: FAL,
+  UNIVERSAL_FIELD_ACCESS,
+} = require('../constants');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'invoice_line_item',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'invoice_line_items',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'receipt_long',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  /**
+   * Entity category: N/A - line items have no name field
+   */
+  nameType: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * The identifier field - line items have no natural name
+   */
+  identityField: 'id',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names. The sub-router also requires
+   * the matching permission on the parent invoice.
+   */
+  rlsResource: 'invoice_line_items',
+
+  /**
+   * Row-Level Security policy per role
+   * Lines are only reached through an invoice the caller can see
+   */
+  rlsPolicy: {
+    customer: 'parent_entity_access',
+    technician: 'deny_all',
+    dispatcher: 'parent_entity_access',
+    manager: 'parent_entity_access',
+    admin: 'all_records',
+  },
+
+  /**
+   * Navigation visibility - null means not shown in nav menus
+   * Line items are managed from the invoice detail view
+   */
+  navVisibility: null,
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Matches invoices: customers read lines on their own invoices,
+   * dispatcher+ writes them (while the invoice is a draft)
+   */
+  entityPermissions: {
+    create: 'dispatcher',
+    read: 'customer',
+    update: 'dispatcher',
+    delete: 'dispatcher',
+  },
+
+  /**
+   * Route configuration - uses CUSTOM routes (routes/invoice-line-items.js)
+   * Every write recomputes the invoice totals, which the generic router
+   * cannot do
+   */
+  routeConfig: {
+    useGenericRouter: false,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    invoice_id: 'Invoice',
+    unit_price: 'Unit Price',
+    tax_code: 'Tax Code',
+    tax_rate: 'Tax Rate (%)',
+    inventory_id: 'Part',
+    technician_id: 'Technician',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Fields required when adding a line
+   * (invoice_id comes from the URL)
+   */
+  requiredFields: ['invoice_id', 'description', 'quantity', 'unit_price'],
+
+  /**
+   * Fields that cannot be modified after creation
+   */
+  immutableFields: ['invoice_id'],
+
+  /**
+   * Default columns to display in table views (ordered)
+   */
+  displayColumns: [
+    'description',
+    'quantity',
+    'unit_price',
+    'tax_code',
+    'amount',
+    'tax',
+  ],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Parent reference - set from URL params, immutable
+    invoice_id: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // What is billed - dispatcher+ writes, customer reads
+    description: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    quantity: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    unit_price: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    tax_code: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+
+    // Optional links to the part or labour billed
+    inventory_id: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    technician_id: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+
+    // Server-computed from quantity, unit_price and tax_code
+    tax_rate: FAL.PUBLIC_READONLY,
+    amount: FAL.PUBLIC_READONLY,
+    tax: FAL.PUBLIC_READONLY,
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    invoice_id: {
+      table: 'invoices',
+      displayName: 'Invoice',
+      relatedEntity: 'invoice',
+      displayFields: ['invoice_number'],
+      displayTemplate: '{invoice_number}',
+    },
+    inventory_id: {
+      table: 'inventory',
+      displayName: 'Part',
+      relatedEntity: 'inventory',
+      displayFields: ['sku', 'name'],
+      displayTemplate: '{sku} - {name}',
+    },
+    technician_id: {
+      table: 'technicians',
+      displayName: 'Technician',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name'],
+      displayTemplate: '{first_name} {last_name}',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: [],
+
+  relationships: {
+    invoice: {
+      type: 'belongsTo',
+      foreignKey: 'invoice_id',
+      table: 'invoices',
+      fields: ['id', 'invoice_number', 'status'],
+      description: 'Invoice the line is billed on',
+    },
+    inventory: {
+      type: 'belongsTo',
+      foreignKey: 'inventory_id',
+      table: 'inventory',
+      fields: ['id', 'sku', 'name'],
+      description: 'Inventory item billed',
+    },
+    technician: {
+      type: 'belongsTo',
+      foreignKey: 'technician_id',
+      table: 'technicians',
+      fields: ['id', 'first_name', 'last_name'],
+      description: 'Technician whose labour is billed',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'invoice_line_items' },
+    },
+  ],
+
+  // ============================================================================
+  // QUERY CONFIGURATION
+  // ============================================================================
+
+  searchableFields: ['description'],
+
+  filterableFields: [
+    'id',
+    'invoice_id',
+    'inventory_id',
+    'technician_id',
+    'tax_code',
+    'is_active',
+    'created_at',
+    'updated_at',
+  ],
+
+  sortableFields: [
+    'id',
+    'description',
+    'quantity',
+    'unit_price',
+    'amount',
+    'created_at',
+    'updated_at',
+  ],
+
+  defaultSort: {
+    field: 'id',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Parent
+    invoice_id: {
+      type: 'foreignKey',
+      relatedEntity: 'invoice',
+      displayFields: ['invoice_number'],
+      displayTemplate: '{invoice_number}',
+      required: true,
+      readonly: true,
+    },
+
+    // What is billed
+    description: { ...FIELD.SUMMARY, required: true },
+    quantity: { type: 'decimal', precision: 2, min: 0.01, required: true },
+    unit_price: { ...FIELD.CURRENCY, required: true },
+    tax_code: { type: 'string', maxLength: 50, default: 'standard' },
+    inventory_id: {
+      type: 'foreignKey',
+      relatedEntity: 'inventory',
+      displayFields: ['sku', 'name'],
+      displayTemplate: '{sku} - {name}',
+    },
+    technician_id: {
+      type: 'foreignKey',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name'],
+      displayTemplate: '{first_name} {last_name}',
+    },
+
+    // Server-computed
+    tax_rate: { type: 'decimal', precision: 3, min: 0, readonly: true },
+    amount: { ...FIELD.CURRENCY, readonly: true },
+    tax: { ...FIELD.CURRENCY, readonly: true },
+  },
+};
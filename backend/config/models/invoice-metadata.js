@@ -150,6 +150,30 @@ module.exports = {
    */
   immutableFields: ['invoice_number'],
 
+  // ============================================================================
+  // STATUS LIFECYCLE (enforced by GenericEntityService update/batch)
+  // ============================================================================
+
+  /**
+   * Allowed status changes, the minimum role for each, and fields that must
+   * be set on entering a state. Undeclared pairs are rejected with 409.
+   * Paid, cancelled and void are terminal. New invoices start as drafts.
+   */
+  statusTransitions: {
+    field: 'status',
+    transitions: [
+      { from: 'draft', to: 'sent', minimumRole: 'dispatcher' },
+      { from: 'draft', to: 'cancelled', minimumRole: 'dispatcher' },
+      { from: 'sent', to: 'overdue', minimumRole: 'dispatcher' },
+      { from: ['sent', 'overdue'], to: 'paid', minimumRole: 'dispatcher' },
+      { from: ['sent', 'overdue'], to: 'void', minimumRole: 'manager' },
+    ],
+    requiredOnEntry: {
+      paid: ['paid_at'],
+    },
+    initialStates: { draft: 'dispatcher' },
+  },
+
   /**
    * Default columns to display in table views (ordered)
    * Used by admin panel and frontend table widgets
@@ -221,23 +245,24 @@ module.exports = {
       delete: 'none',
     },
 
-    // Financial fields - dispatcher+ manages, customer can read
+    // Financial fields - entered on create, then recomputed from line
+    // items on every line change (/api/invoices/:id/line_items)
     amount: {
       create: 'dispatcher',
       read: 'customer',
-      update: 'dispatcher',
+      update: 'none',
       delete: 'none',
     },
     tax: {
       create: 'dispatcher',
       read: 'customer',
-      update: 'dispatcher',
+      update: 'none',
       delete: 'none',
     },
     total: {
       create: 'dispatcher',
       read: 'customer',
-      update: 'dispatcher',
+      update: 'none',
       delete: 'none',
     },
 
@@ -249,7 +274,22 @@ module.exports = {
       delete: 'none',
     },
 
-    // Payment timestamp - system managed on payment
+    // Net of the payments ledger and what is still owed - maintained by
+    // PaymentService (/api/invoices/:id/payments), never written directly
+    amount_paid: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    balance: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // Payment timestamp - set by PaymentService when the balance reaches 0
     paid_at: {
       create: 'none',
       read: 'customer',
@@ -316,6 +356,22 @@ module.exports = {
       fields: ['id', 'work_order_number', 'name', 'status'],
       description: 'Work order this invoice is for',
     },
+    // Billed lines (see /api/invoices/:id/line_items)
+    lineItems: {
+      type: 'hasMany',
+      foreignKey: 'invoice_id',
+      table: 'invoice_line_items',
+      fields: ['id', 'description', 'quantity', 'unit_price', 'amount'],
+      description: 'Billed lines on this invoice',
+    },
+    // Money received and returned (see /api/invoices/:id/payments)
+    payments: {
+      type: 'hasMany',
+      foreignKey: 'invoice_id',
+      table: 'payments',
+      fields: ['id', 'entry_type', 'amount', 'method', 'received_at'],
+      description: 'Payments, refunds and reversals on this invoice',
+    },
   },
 
   // ============================================================================
@@ -337,7 +393,7 @@ module.exports = {
   ],
 
   // ============================================================================
-  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // SEARCH CONFIGURATION (Full-Text Search, ILIKE for identifiers)
   // ============================================================================
 
   /**
@@ -346,6 +402,10 @@ module.exports = {
    */
   searchableFields: ['invoice_number', 'name', 'summary'],
 
+  // Weight per field (A strongest) in the generated search_vector column
+  // (migrations/016_full_text_search.sql)
+  searchWeights: { invoice_number: 'A', name: 'A', summary: 'B' },
+
   // ============================================================================
   // FILTER CONFIGURATION (Exact Match & Operators)
   // ============================================================================
@@ -361,6 +421,7 @@ module.exports = {
     'work_order_id',
     'is_active',
     'status',
+    'balance',
     'due_date',
     'paid_at',
     'created_at',
@@ -380,6 +441,7 @@ module.exports = {
     'status',
     'amount',
     'total',
+    'balance',
     'due_date',
     'paid_at',
     'created_at',
@@ -437,6 +499,8 @@ module.exports = {
     amount: { ...FIELD.CURRENCY, required: true },
     tax: { ...FIELD.CURRENCY, default: 0 },
     total: { ...FIELD.CURRENCY, required: true },
+    amount_paid: { type: 'currency', precision: 2, readonly: true },
+    balance: { type: 'currency', precision: 2, readonly: true }, // total - amount_paid
     due_date: { type: 'date' },
     paid_at: { type: 'timestamp' },
   },
@@ -10,7 +10,8 @@
  * - RLS by user_id: users only see their own notifications
  * - Backend creates notifications; users only read/mark-read/delete
  * - Follows saved_views pattern for per-user data
- * - type field for UI styling (info, success, warning, error, assignment, reminder)
+ * - type field for UI styling (info, success, warning, error, assignment, reminder,
+ *   digest)
  * - resource_type + resource_id for navigation on click
  */
 
@@ -217,7 +218,15 @@ module.exports = {
 
   enums: {
     type: {
-      values: ['info', 'success', 'warning', 'error', 'assignment', 'reminder'],
+      values: [
+        'info',
+        'success',
+        'warning',
+        'error',
+        'assignment',
+        'reminder',
+        'digest',
+      ],
       default: 'info',
       labels: {
         info: 'Info',
@@ -226,6 +235,7 @@ module.exports = {
         error: 'Error',
         assignment: 'Assignment',
         reminder: 'Reminder',
+        digest: 'Daily Digest',
       },
     },
   },
@@ -0,0 +1,295 @@
+/**
+ * Payment Model Metadata
+ *
+ * Category: N/A (append-only ledger, no name field)
+ *
+ * SRP: ONLY defines payments table structure and access control
+ *
+ * DESIGN NOTES:
+ * - One row per sum of money received (payment) or returned (refund) on an
+ *   invoice, or per payment cancelled (reversal, e.g. a bounced check).
+ *   Rows are never updated or deleted.
+ * - amount is always positive; entry_type gives the direction
+ * - invoices.amount_paid is the ledger net and invoices.balance is
+ *   total - amount_paid, both kept in step by PaymentService
+ * - No is_active/updated_at: there is nothing to deactivate or edit
+ *
+ * WHY THIS EXISTS:
+ * - Read-only listing through the generic router (filter by invoice,
+ *   entry type or method); customers see payments on their own invoices
+ * - Writes go through PaymentService (POST /api/invoices/:id/payments,
+ *   /refunds and /payments/:paymentId/reverse)
+ */
+
+const { FIELD_ACCESS_LEVELS: FAL } = require('../constants');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'payment',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'payments',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'payments',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  /**
+   * Entity category: N/A - ledger rows have no name field
+   */
+  nameType: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * The identifier field - ledger rows have no natural name
+   */
+  identityField: 'id',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'payments',
+
+  /**
+   * Row-Level Security policy per role
+   * Same visibility as invoices: customers see payments on their own
+   * invoices, technicians denied, dispatcher+ see all
+   */
+  rlsPolicy: {
+    customer: 'own_payments_only',
+    technician: 'deny_all',
+    dispatcher: 'all_records',
+    manager: 'all_records',
+    admin: 'all_records',
+  },
+
+  /**
+   * Navigation visibility - payments are financial records, dispatcher+
+   */
+  navVisibility: 'dispatcher',
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Customer+ reads (RLS narrows it). No create/update/delete via the
+   * generic router - entries are written by PaymentService only.
+   */
+  entityPermissions: {
+    create: null,
+    read: 'customer',
+    update: null,
+    delete: null,
+  },
+
+  /**
+   * Route configuration - generic router serves the read-only listing
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    invoice_id: 'Invoice',
+    entry_type: 'Type',
+    received_at: 'Received',
+    reverses_payment_id: 'Reverses',
+    created_by: 'Recorded By',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Fields required on every entry (documentation - not API-writable)
+   */
+  requiredFields: ['invoice_id', 'entry_type', 'amount', 'method'],
+
+  /**
+   * Every field is immutable - the ledger is append-only
+   */
+  immutableFields: [
+    'invoice_id',
+    'entry_type',
+    'amount',
+    'method',
+    'reference',
+    'received_at',
+    'notes',
+    'reverses_payment_id',
+    'created_by',
+  ],
+
+  /**
+   * Default columns to display in table views (ordered)
+   */
+  displayColumns: [
+    'received_at',
+    'invoice_id',
+    'entry_type',
+    'amount',
+    'method',
+    'reference',
+  ],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  /**
+   * Customers see their payments in full except the internal notes and
+   * who recorded them
+   */
+  fieldAccess: {
+    id: FAL.PUBLIC_READONLY,
+    created_at: FAL.PUBLIC_READONLY,
+    invoice_id: FAL.PUBLIC_READONLY,
+    entry_type: FAL.PUBLIC_READONLY,
+    amount: FAL.PUBLIC_READONLY,
+    method: FAL.PUBLIC_READONLY,
+    reference: FAL.PUBLIC_READONLY,
+    received_at: FAL.PUBLIC_READONLY,
+    reverses_payment_id: FAL.PUBLIC_READONLY,
+    notes: FAL.INTERNAL_READONLY,
+    created_by: FAL.INTERNAL_READONLY,
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    invoice_id: {
+      table: 'invoices',
+      displayName: 'Invoice',
+      relatedEntity: 'invoice',
+      displayFields: ['invoice_number'],
+      displayTemplate: '{invoice_number}',
+    },
+    reverses_payment_id: {
+      table: 'payments',
+      displayName: 'Reversed Payment',
+      relatedEntity: 'payment',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: ['invoice'],
+
+  relationships: {
+    invoice: {
+      type: 'belongsTo',
+      foreignKey: 'invoice_id',
+      table: 'invoices',
+      fields: ['id', 'invoice_number', 'status', 'total', 'balance'],
+      description: 'Invoice the money was received or returned on',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Never deleted - listed for metadata parity across all entities
+   */
+  dependents: [],
+
+  // ============================================================================
+  // QUERY CONFIGURATION
+  // ============================================================================
+
+  searchableFields: ['reference', 'notes'],
+
+  /**
+   * No is_active here - GenericEntityService only applies its active
+   * filter to entities that list is_active as filterable
+   */
+  filterableFields: [
+    'id',
+    'invoice_id',
+    'entry_type',
+    'method',
+    'reverses_payment_id',
+    'received_at',
+    'created_by',
+    'created_at',
+  ],
+
+  sortableFields: ['id', 'amount', 'received_at', 'created_at'],
+
+  defaultSort: {
+    field: 'received_at',
+    order: 'DESC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    id: { type: 'integer', readonly: true },
+    created_at: { type: 'timestamp', readonly: true },
+
+    invoice_id: {
+      type: 'foreignKey',
+      relatedEntity: 'invoice',
+      displayFields: ['invoice_number'],
+      displayTemplate: '{invoice_number}',
+      required: true,
+      readonly: true,
+    },
+    entry_type: {
+      type: 'enum',
+      values: ['payment', 'refund', 'reversal'],
+      default: 'payment',
+      required: true,
+      readonly: true,
+    },
+    amount: { ...FIELD.CURRENCY, min: 0.01, required: true, readonly: true },
+    method: {
+      type: 'enum',
+      values: ['cash', 'check', 'card', 'bank_transfer', 'other'],
+      required: true,
+      readonly: true,
+    },
+    reference: { type: 'string', maxLength: 100, readonly: true },
+    received_at: { type: 'timestamp', readonly: true },
+    notes: { ...FIELD.DESCRIPTION, readonly: true },
+    reverses_payment_id: {
+      type: 'foreignKey',
+      relatedEntity: 'payment',
+      readonly: true,
+    },
+    created_by: {
+      type: 'foreignKey',
+      relatedEntity: 'user',
+      readonly: true,
+    },
+  },
+};
@@ -61,7 +61,12 @@ module.exports = {
     },
     notifications: {
       label: 'Notifications',
-      fields: ['notifications_enabled', 'notification_retention_days'],
+      fields: [
+        'notifications_enabled',
+        'email_notifications',
+        'notification_digest',
+        'notification_retention_days',
+      ],
       order: 2,
     },
     data: {
@@ -93,6 +98,8 @@ module.exports = {
     theme: FAL.SELF_EDITABLE,
     density: FAL.SELF_EDITABLE,
     notifications_enabled: FAL.SELF_EDITABLE,
+    email_notifications: FAL.SELF_EDITABLE,
+    notification_digest: FAL.SELF_EDITABLE,
     items_per_page: FAL.SELF_EDITABLE,
     notification_retention_days: FAL.SELF_EDITABLE,
     auto_refresh_interval: FAL.SELF_EDITABLE,
@@ -138,6 +145,14 @@ module.exports = {
       type: 'boolean',
       default: true,
     },
+    email_notifications: {
+      type: 'boolean',
+      default: true,
+    },
+    notification_digest: {
+      type: 'boolean',
+      default: false,
+    },
     items_per_page: {
       type: 'integer',
       min: 10,
@@ -0,0 +1,239 @@
+/**
+ * Skill Model Metadata
+ *
+ * Category: SIMPLE (name field is both identity and display)
+ *
+ * SRP: ONLY defines Skill table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * Skills are a managed catalog. Technicians are linked through
+ * technician_skills (with proficiency); work orders reference skill ids
+ * in work_orders.required_skills for technician matching.
+ *
+ * SINGLE SOURCE OF TRUTH for Skill model query and CRUD capabilities
+ */
+
+const { UNIVERSAL_FIELD_ACCESS } = require('../constants');
+const { NAME_TYPES } = require('../entity-types');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'skill',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'skills',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'handyman',
+
+  // ============================================================================
+  // ENTITY CATEGORY (determines name handling pattern)
+  // ============================================================================
+
+  /**
+   * Entity category: SIMPLE entities have a direct name field
+   */
+  nameType: NAME_TYPES.SIMPLE,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION (Entity Contract v2.0)
+  // ============================================================================
+
+  /**
+   * The unique identifier field - skill names are unique in the catalog
+   */
+  identityField: 'name',
+
+  /**
+   * The human-readable display field for relationships
+   */
+  displayField: 'name',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint in the database
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'skills',
+
+  /**
+   * Row-Level Security policy per role
+   * Skill catalog is a public resource - all authorized users can read
+   */
+  rlsPolicy: {
+    customer: 'public_resource',
+    technician: 'public_resource',
+    dispatcher: 'public_resource',
+    manager: 'public_resource',
+    admin: 'public_resource',
+  },
+
+  /**
+   * Navigation visibility - manager+ maintains the catalog
+   */
+  navVisibility: 'manager',
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Technician+ read (to pick their own skills), manager+ maintains catalog
+   */
+  entityPermissions: {
+    create: 'manager',
+    read: 'technician',
+    update: 'manager',
+    delete: 'manager',
+  },
+
+  /**
+   * Route configuration - explicit opt-in for generic router
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {},
+
+  // ============================================================================
+  // CRUD CONFIGURATION (for GenericEntityService)
+  // ============================================================================
+
+  /**
+   * Fields required when creating a new entity
+   */
+  requiredFields: ['name'],
+
+  /**
+   * Fields that cannot be modified after creation (beyond universal immutables: id, created_at)
+   */
+  immutableFields: [],
+
+  /**
+   * Default columns to display in table views (ordered)
+   * Used by admin panel and frontend table widgets
+   */
+  displayColumns: ['name', 'category', 'description', 'is_active'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Catalog fields - manager+ maintains, technician+ reads
+    name: {
+      create: 'manager',
+      read: 'technician',
+      update: 'manager',
+      delete: 'none',
+    },
+    category: {
+      create: 'manager',
+      read: 'technician',
+      update: 'manager',
+      delete: 'none',
+    },
+    description: {
+      create: 'manager',
+      read: 'technician',
+      update: 'manager',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: [],
+
+  relationships: {
+    // Technicians holding this skill
+    technicianSkills: {
+      type: 'hasMany',
+      foreignKey: 'skill_id',
+      table: 'technician_skills',
+      fields: ['id', 'technician_id', 'proficiency'],
+      description: 'Technicians who have this skill',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION (for GenericEntityService.delete)
+  // ============================================================================
+
+  /**
+   * technician_skills rows are removed by ON DELETE CASCADE
+   */
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'skills' },
+    },
+  ],
+
+  // ============================================================================
+  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // ============================================================================
+
+  searchableFields: ['name', 'category', 'description'],
+
+  // ============================================================================
+  // FILTER CONFIGURATION (Exact Match & Operators)
+  // ============================================================================
+
+  filterableFields: [
+    'id',
+    'name',
+    'category',
+    'is_active',
+    'created_at',
+    'updated_at',
+  ],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  sortableFields: ['id', 'name', 'category', 'created_at', 'updated_at'],
+
+  defaultSort: {
+    field: 'name',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    name: { ...FIELD.NAME, required: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Entity-specific fields
+    category: FIELD.NAME,
+    description: FIELD.DESCRIPTION,
+  },
+};
@@ -0,0 +1,286 @@
+/**
+ * Stock Location Model Metadata
+ *
+ * Category: SIMPLE (name field is both identity and display)
+ *
+ * SRP: ONLY defines Stock Location table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * Locations are where stock is held: warehouses and technician trucks.
+ * Quantities are not stored here - per-location on-hand is derived from
+ * the stock_movements ledger (see StockMovementService).
+ *
+ * SINGLE SOURCE OF TRUTH for Stock Location model query and CRUD capabilities
+ */
+
+const { UNIVERSAL_FIELD_ACCESS } = require('../constants');
+const { NAME_TYPES } = require('../entity-types');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'stock_location',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'stock_locations',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'warehouse',
+
+  // ============================================================================
+  // ENTITY CATEGORY (determines name handling pattern)
+  // ============================================================================
+
+  /**
+   * Entity category: SIMPLE entities have a direct name field
+   */
+  nameType: NAME_TYPES.SIMPLE,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION (Entity Contract v2.0)
+  // ============================================================================
+
+  /**
+   * The unique identifier field - location names are unique
+   */
+  identityField: 'name',
+
+  /**
+   * The human-readable display field for relationships
+   */
+  displayField: 'name',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint in the database
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'stock_locations',
+
+  /**
+   * Row-Level Security policy per role
+   * Locations are a public resource - all authorized users can read
+   */
+  rlsPolicy: {
+    customer: 'public_resource',
+    technician: 'public_resource',
+    dispatcher: 'public_resource',
+    manager: 'public_resource',
+    admin: 'public_resource',
+  },
+
+  /**
+   * Navigation visibility - dispatcher+ manages where stock is kept
+   */
+  navVisibility: 'dispatcher',
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Technician+ read (to see where parts are), dispatcher+ maintains
+   * locations, manager+ deletes (blocked once a location has movements)
+   */
+  entityPermissions: {
+    create: 'dispatcher',
+    read: 'technician',
+    update: 'dispatcher',
+    delete: 'manager',
+  },
+
+  /**
+   * Route configuration - explicit opt-in for generic router
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    location_type: 'Type',
+    technician_id: 'Technician',
+    is_default: 'Default',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION (for GenericEntityService)
+  // ============================================================================
+
+  /**
+   * Fields required when creating a new entity
+   */
+  requiredFields: ['name'],
+
+  /**
+   * Fields that cannot be modified after creation (beyond universal immutables: id, created_at)
+   */
+  immutableFields: [],
+
+  /**
+   * Default columns to display in table views (ordered)
+   * Used by admin panel and frontend table widgets
+   */
+  displayColumns: ['name', 'location_type', 'technician_id', 'is_default'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Location details - dispatcher+ maintains, technician+ reads
+    name: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    location_type: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    technician_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    description: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+
+    // Default location - where receipts land when none is named
+    is_default: {
+      create: 'manager',
+      read: 'technician',
+      update: 'manager',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    technician_id: {
+      table: 'technicians',
+      displayName: 'Technician',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: [],
+
+  relationships: {
+    // Truck owner (trucks only)
+    technician: {
+      type: 'belongsTo',
+      foreignKey: 'technician_id',
+      table: 'technicians',
+      fields: ['id', 'email', 'first_name', 'last_name'],
+      description: 'Technician whose truck this is',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION (for GenericEntityService.delete)
+  // ============================================================================
+
+  /**
+   * stock_movements reference locations ON DELETE RESTRICT - a location
+   * with history is deactivated, not deleted
+   */
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'stock_locations' },
+    },
+  ],
+
+  // ============================================================================
+  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // ============================================================================
+
+  searchableFields: ['name', 'description'],
+
+  // ============================================================================
+  // FILTER CONFIGURATION (Exact Match & Operators)
+  // ============================================================================
+
+  filterableFields: [
+    'id',
+    'name',
+    'location_type',
+    'technician_id',
+    'is_default',
+    'is_active',
+    'created_at',
+    'updated_at',
+  ],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  sortableFields: ['id', 'name', 'location_type', 'created_at', 'updated_at'],
+
+  defaultSort: {
+    field: 'name',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    name: { ...FIELD.NAME, required: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Entity-specific fields
+    location_type: {
+      type: 'enum',
+      values: ['warehouse', 'truck'],
+      default: 'warehouse',
+    },
+    technician_id: {
+      type: 'foreignKey',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+    },
+    description: FIELD.DESCRIPTION,
+    is_default: { type: 'boolean', default: false },
+  },
+};
@@ -0,0 +1,313 @@
+/**
+ * Stock Movement Model Metadata
+ *
+ * Category: N/A (append-only ledger, no name field)
+ *
+ * SRP: ONLY defines stock_movements table structure and access control
+ *
+ * DESIGN NOTES:
+ * - One row per change to stock at a location; rows are never updated
+ *   or deleted (a mistake is corrected with another movement)
+ * - receipt/return add to to_location_id, consumption takes from
+ *   from_location_id, transfer does both, adjustment does exactly one
+ * - Per-location on-hand is the ledger sum; inventory.quantity is the
+ *   roll-up across locations, kept in step by StockMovementService
+ * - No is_active/updated_at: there is nothing to deactivate or edit
+ *
+ * WHY THIS EXISTS:
+ * - Read-only listing through the generic router (filter by inventory,
+ *   location, work order or type)
+ * - Writes go through StockMovementService (POST /api/inventory/:id/receive,
+ *   /adjust, /transfer) and WorkOrderPartService
+ */
+
+const { FIELD_ACCESS_LEVELS: FAL } = require('../constants');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'stock_movement',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'stock_movements',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'swap_horiz',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  /**
+   * Entity category: N/A - ledger rows have no name field
+   */
+  nameType: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * The identifier field - ledger rows have no natural name
+   */
+  identityField: 'id',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'stock_movements',
+
+  /**
+   * Row-Level Security policy per role
+   * Same visibility as inventory (customers are blocked at permission level)
+   */
+  rlsPolicy: {
+    customer: 'public_resource',
+    technician: 'public_resource',
+    dispatcher: 'public_resource',
+    manager: 'public_resource',
+    admin: 'public_resource',
+  },
+
+  /**
+   * Navigation visibility - dispatcher+ reviews stock history
+   */
+  navVisibility: 'dispatcher',
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Technician+ reads the ledger. No create/update/delete via the generic
+   * router - movements are written by StockMovementService only.
+   */
+  entityPermissions: {
+    create: null,
+    read: 'technician',
+    update: null,
+    delete: null,
+  },
+
+  /**
+   * Route configuration - generic router serves the read-only listing
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    inventory_id: 'Part',
+    movement_type: 'Type',
+    from_location_id: 'From',
+    to_location_id: 'To',
+    work_order_id: 'Work Order',
+    created_by: 'By',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Fields required on every movement (documentation - not API-writable)
+   */
+  requiredFields: ['inventory_id', 'movement_type', 'quantity'],
+
+  /**
+   * Every field is immutable - the ledger is append-only
+   */
+  immutableFields: [
+    'inventory_id',
+    'movement_type',
+    'quantity',
+    'from_location_id',
+    'to_location_id',
+    'reason',
+    'work_order_id',
+    'created_by',
+  ],
+
+  /**
+   * Default columns to display in table views (ordered)
+   */
+  displayColumns: [
+    'created_at',
+    'inventory_id',
+    'movement_type',
+    'quantity',
+    'from_location_id',
+    'to_location_id',
+    'reason',
+  ],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    id: FAL.PUBLIC_READONLY,
+    created_at: FAL.INTERNAL_READONLY,
+    inventory_id: FAL.INTERNAL_READONLY,
+    movement_type: FAL.INTERNAL_READONLY,
+    quantity: FAL.INTERNAL_READONLY,
+    from_location_id: FAL.INTERNAL_READONLY,
+    to_location_id: FAL.INTERNAL_READONLY,
+    reason: FAL.INTERNAL_READONLY,
+    work_order_id: FAL.INTERNAL_READONLY,
+    created_by: FAL.INTERNAL_READONLY,
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    inventory_id: {
+      table: 'inventory',
+      displayName: 'Part',
+      relatedEntity: 'inventory',
+      displayFields: ['sku', 'name'],
+      displayTemplate: '{sku} - {name}',
+    },
+    from_location_id: {
+      table: 'stock_locations',
+      displayName: 'From Location',
+      relatedEntity: 'stock_location',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+    },
+    to_location_id: {
+      table: 'stock_locations',
+      displayName: 'To Location',
+      relatedEntity: 'stock_location',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: ['inventory'],
+
+  relationships: {
+    inventory: {
+      type: 'belongsTo',
+      foreignKey: 'inventory_id',
+      table: 'inventory',
+      fields: ['id', 'sku', 'name'],
+      description: 'Inventory item moved',
+    },
+    workOrder: {
+      type: 'belongsTo',
+      foreignKey: 'work_order_id',
+      table: 'work_orders',
+      fields: ['id', 'work_order_number', 'name'],
+      description: 'Work order the part was used on or returned from',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Never deleted - listed for metadata parity across all entities
+   */
+  dependents: [],
+
+  // ============================================================================
+  // QUERY CONFIGURATION
+  // ============================================================================
+
+  searchableFields: ['reason'],
+
+  /**
+   * No is_active here - GenericEntityService only applies its active
+   * filter to entities that list is_active as filterable
+   */
+  filterableFields: [
+    'id',
+    'inventory_id',
+    'movement_type',
+    'from_location_id',
+    'to_location_id',
+    'work_order_id',
+    'created_by',
+    'created_at',
+  ],
+
+  sortableFields: ['id', 'movement_type', 'quantity', 'created_at'],
+
+  defaultSort: {
+    field: 'created_at',
+    order: 'DESC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    id: { type: 'integer', readonly: true },
+    created_at: { type: 'timestamp', readonly: true },
+
+    inventory_id: {
+      type: 'foreignKey',
+      relatedEntity: 'inventory',
+      displayFields: ['sku', 'name'],
+      displayTemplate: '{sku} - {name}',
+      required: true,
+      readonly: true,
+    },
+    movement_type: {
+      type: 'enum',
+      values: ['receipt', 'transfer', 'consumption', 'return', 'adjustment'],
+      required: true,
+      readonly: true,
+    },
+    quantity: { type: 'integer', required: true, min: 1, readonly: true },
+    from_location_id: {
+      type: 'foreignKey',
+      relatedEntity: 'stock_location',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+      readonly: true,
+    },
+    to_location_id: {
+      type: 'foreignKey',
+      relatedEntity: 'stock_location',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+      readonly: true,
+    },
+    reason: { ...FIELD.DESCRIPTION, readonly: true },
+    work_order_id: {
+      type: 'foreignKey',
+      relatedEntity: 'work_order',
+      displayFields: ['work_order_number', 'name'],
+      displayTemplate: '{work_order_number} - {name}',
+      readonly: true,
+    },
+    created_by: {
+      type: 'foreignKey',
+      relatedEntity: 'user',
+      readonly: true,
+    },
+  },
+};
@@ -0,0 +1,320 @@
+/**
+ * Technician Certification Model Metadata
+ *
+ * Category: N/A (junction table between technicians and certifications)
+ *
+ * SRP: ONLY defines technician_certifications table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * DESIGN NOTES:
+ * - One row per (technician, certification) pair - enforced by UNIQUE constraint
+ * - expiry_date decides validity for candidate ranking (NULL = never expires)
+ * - Rows cascade-delete with either parent
+ *
+ * SINGLE SOURCE OF TRUTH for Technician Certification model query and CRUD capabilities
+ */
+
+const { UNIVERSAL_FIELD_ACCESS } = require('../constants');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'technician_certification',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'technician_certifications',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'workspace_premium',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  /**
+   * Entity category: N/A - junction table, no name field
+   */
+  nameType: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * The identifier field - junction rows have no natural name
+   */
+  identityField: 'id',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'technician_certifications',
+
+  /**
+   * Row-Level Security policy per role
+   * Staff can see every technician's certifications; customers cannot
+   */
+  rlsPolicy: {
+    customer: 'deny_all',
+    technician: 'all_records',
+    dispatcher: 'all_records',
+    manager: 'all_records',
+    admin: 'all_records',
+  },
+
+  /**
+   * Navigation visibility - null means not shown in nav menus
+   * Managed from the technician detail view
+   */
+  navVisibility: null,
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Technician+ read, dispatcher+ records certifications
+   */
+  entityPermissions: {
+    create: 'dispatcher',
+    read: 'technician',
+    update: 'dispatcher',
+    delete: 'dispatcher',
+  },
+
+  /**
+   * Route configuration - explicit opt-in for generic router
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {
+    validity: {
+      label: 'Validity',
+      fields: ['issue_date', 'expiry_date'],
+      rows: [['issue_date', 'expiry_date']],
+      order: 1,
+    },
+  },
+
+  fieldAliases: {
+    technician_id: 'Technician',
+    certification_id: 'Certification',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION (for GenericEntityService)
+  // ============================================================================
+
+  /**
+   * Fields required when creating a new entity
+   */
+  requiredFields: ['technician_id', 'certification_id'],
+
+  /**
+   * Fields that cannot be modified after creation
+   * Re-pointing a junction row is a delete + create
+   */
+  immutableFields: ['technician_id', 'certification_id'],
+
+  /**
+   * Default columns to display in table views (ordered)
+   * Used by admin panel and frontend table widgets
+   */
+  displayColumns: [
+    'technician_id',
+    'certification_id',
+    'certificate_number',
+    'issue_date',
+    'expiry_date',
+  ],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Junction keys - set on create, immutable
+    technician_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+    certification_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // Certificate details - dispatcher+ records, technician+ reads
+    certificate_number: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    issue_date: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    expiry_date: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    technician_id: {
+      table: 'technicians',
+      displayName: 'Technician',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+    },
+    certification_id: {
+      table: 'certifications',
+      displayName: 'Certification',
+      relatedEntity: 'certification',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: ['technician', 'certification'],
+
+  relationships: {
+    technician: {
+      type: 'belongsTo',
+      foreignKey: 'technician_id',
+      table: 'technicians',
+      fields: ['id', 'email', 'first_name', 'last_name'],
+      description: 'Technician who holds the certification',
+    },
+    certification: {
+      type: 'belongsTo',
+      foreignKey: 'certification_id',
+      table: 'certifications',
+      fields: ['id', 'name', 'issuing_body'],
+      description: 'Certification from the catalog',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION (for GenericEntityService.delete)
+  // ============================================================================
+
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: {
+        column: 'resource_type',
+        value: 'technician_certifications',
+      },
+    },
+  ],
+
+  // ============================================================================
+  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // ============================================================================
+
+  searchableFields: ['certificate_number'],
+
+  // ============================================================================
+  // FILTER CONFIGURATION (Exact Match & Operators)
+  // ============================================================================
+
+  filterableFields: [
+    'id',
+    'technician_id',
+    'certification_id',
+    'certificate_number',
+    'issue_date',
+    'expiry_date',
+    'is_active',
+    'created_at',
+    'updated_at',
+  ],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  sortableFields: [
+    'id',
+    'technician_id',
+    'certification_id',
+    'issue_date',
+    'expiry_date',
+    'created_at',
+    'updated_at',
+  ],
+
+  defaultSort: {
+    field: 'expiry_date',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Junction keys
+    technician_id: {
+      type: 'foreignKey',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+      required: true,
+    },
+    certification_id: {
+      type: 'foreignKey',
+      relatedEntity: 'certification',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+      required: true,
+    },
+
+    // Certificate details
+    certificate_number: FIELD.IDENTIFIER,
+    issue_date: { type: 'date' },
+    expiry_date: { type: 'date' },
+  },
+};
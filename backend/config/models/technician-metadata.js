@@ -142,7 +142,6 @@ module.exports = {
     'last_name',
     'email',
     'phone',
-    'skills',
     'status',
     'availability',
   ],
@@ -188,12 +187,6 @@ module.exports = {
     // Hourly rate - sensitive financial data, manager+ only
     hourly_rate: FAL.MANAGER_MANAGED,
 
-    // Certifications - publicly visible, self-editable by technician
-    certifications: FAL.SELF_EDITABLE,
-
-    // Skills - publicly visible, self-editable by technician
-    skills: FAL.SELF_EDITABLE,
-
     // Availability - operational state, self-editable by technician
     // (separate from lifecycle status which is manager-controlled)
     availability: FAL.SELF_EDITABLE,
@@ -230,6 +223,22 @@ module.exports = {
       fields: ['id', 'email', 'first_name', 'last_name'],
       description: 'User account linked to this technician profile (if any)',
     },
+    // Skills held, with proficiency (junction to skills catalog)
+    technicianSkills: {
+      type: 'hasMany',
+      foreignKey: 'technician_id',
+      table: 'technician_skills',
+      fields: ['id', 'skill_id', 'proficiency'],
+      description: 'Skills this technician has',
+    },
+    // Certifications held, with expiry (junction to certifications catalog)
+    technicianCertifications: {
+      type: 'hasMany',
+      foreignKey: 'technician_id',
+      table: 'technician_certifications',
+      fields: ['id', 'certification_id', 'issue_date', 'expiry_date'],
+      description: 'Certifications this technician holds',
+    },
   },
 
   // ============================================================================
@@ -245,11 +254,20 @@ module.exports = {
   ],
 
   // ============================================================================
-  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // SEARCH CONFIGURATION (Full-Text Search, ILIKE for identifiers)
   // ============================================================================
 
   searchableFields: ['first_name', 'last_name', 'email', 'license_number'],
 
+  // Weight per field (A strongest) in the generated search_vector column
+  // (migrations/016_full_text_search.sql)
+  searchWeights: {
+    first_name: 'A',
+    last_name: 'A',
+    email: 'B',
+    license_number: 'B',
+  },
+
   // ============================================================================
   // FILTER CONFIGURATION (Exact Match & Operators)
   // ============================================================================
@@ -325,8 +343,7 @@ module.exports = {
     license_number: FIELD.IDENTIFIER,
     hourly_rate: FIELD.CURRENCY,
 
-    // Skills and certifications as comma-separated text (flat, no JSONB)
-    certifications: { type: 'text', maxLength: 1000 },
-    skills: { type: 'text', maxLength: 500 },
+    // Skills and certifications live in technician_skills /
+    // technician_certifications (see relationships)
   },
 };
@@ -0,0 +1,290 @@
+/**
+ * Technician Skill Model Metadata
+ *
+ * Category: N/A (junction table between technicians and skills)
+ *
+ * SRP: ONLY defines technician_skills table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * DESIGN NOTES:
+ * - One row per (technician, skill) pair - enforced by UNIQUE constraint
+ * - proficiency feeds candidate ranking in technician-matching-service
+ * - Rows cascade-delete with either parent
+ *
+ * SINGLE SOURCE OF TRUTH for Technician Skill model query and CRUD capabilities
+ */
+
+const { UNIVERSAL_FIELD_ACCESS } = require('../constants');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'technician_skill',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'technician_skills',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'psychology',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  /**
+   * Entity category: N/A - junction table, no name field
+   */
+  nameType: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * The identifier field - junction rows have no natural name
+   */
+  identityField: 'id',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'technician_skills',
+
+  /**
+   * Row-Level Security policy per role
+   * Staff can see every technician's skills (needed for scheduling); customers cannot
+   */
+  rlsPolicy: {
+    customer: 'deny_all',
+    technician: 'all_records',
+    dispatcher: 'all_records',
+    manager: 'all_records',
+    admin: 'all_records',
+  },
+
+  /**
+   * Navigation visibility - null means not shown in nav menus
+   * Managed from the technician detail view
+   */
+  navVisibility: null,
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Technician+ read, dispatcher+ assigns skills and proficiency
+   */
+  entityPermissions: {
+    create: 'dispatcher',
+    read: 'technician',
+    update: 'dispatcher',
+    delete: 'dispatcher',
+  },
+
+  /**
+   * Route configuration - explicit opt-in for generic router
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    technician_id: 'Technician',
+    skill_id: 'Skill',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION (for GenericEntityService)
+  // ============================================================================
+
+  /**
+   * Fields required when creating a new entity
+   */
+  requiredFields: ['technician_id', 'skill_id'],
+
+  /**
+   * Fields that cannot be modified after creation
+   * Re-pointing a junction row is a delete + create
+   */
+  immutableFields: ['technician_id', 'skill_id'],
+
+  /**
+   * Default columns to display in table views (ordered)
+   * Used by admin panel and frontend table widgets
+   */
+  displayColumns: ['technician_id', 'skill_id', 'proficiency', 'is_active'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Junction keys - set on create, immutable
+    technician_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+    skill_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // Proficiency - dispatcher+ assesses, technician+ reads
+    proficiency: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    technician_id: {
+      table: 'technicians',
+      displayName: 'Technician',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+    },
+    skill_id: {
+      table: 'skills',
+      displayName: 'Skill',
+      relatedEntity: 'skill',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: ['technician', 'skill'],
+
+  relationships: {
+    technician: {
+      type: 'belongsTo',
+      foreignKey: 'technician_id',
+      table: 'technicians',
+      fields: ['id', 'email', 'first_name', 'last_name'],
+      description: 'Technician who has the skill',
+    },
+    skill: {
+      type: 'belongsTo',
+      foreignKey: 'skill_id',
+      table: 'skills',
+      fields: ['id', 'name', 'category'],
+      description: 'Skill from the catalog',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION (for GenericEntityService.delete)
+  // ============================================================================
+
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'technician_skills' },
+    },
+  ],
+
+  // ============================================================================
+  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // ============================================================================
+
+  searchableFields: [],
+
+  // ============================================================================
+  // FILTER CONFIGURATION (Exact Match & Operators)
+  // ============================================================================
+
+  filterableFields: [
+    'id',
+    'technician_id',
+    'skill_id',
+    'proficiency',
+    'is_active',
+    'created_at',
+    'updated_at',
+  ],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  sortableFields: [
+    'id',
+    'technician_id',
+    'skill_id',
+    'proficiency',
+    'created_at',
+    'updated_at',
+  ],
+
+  defaultSort: {
+    field: 'created_at',
+    order: 'DESC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Junction keys
+    technician_id: {
+      type: 'foreignKey',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+      required: true,
+    },
+    skill_id: {
+      type: 'foreignKey',
+      relatedEntity: 'skill',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+      required: true,
+    },
+
+    // Ordered lowest → highest (ranking uses the index)
+    proficiency: {
+      type: 'enum',
+      values: ['beginner', 'intermediate', 'advanced', 'expert'],
+      default: 'intermediate',
+    },
+  },
+};
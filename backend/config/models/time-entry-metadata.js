@@ -0,0 +1,322 @@
+/**
+ * Time Entry Model Metadata
+ *
+ * Category: N/A (no name field - a stint of work on a work order)
+ *
+ * SRP: ONLY defines time_entries table structure and access control
+ *
+ * DESIGN NOTES:
+ * - One row per stint: started_at on clock-in, ended_at on clock-out
+ *   (NULL while the technician is still on the clock)
+ * - At most one open entry per technician (partial unique index)
+ * - Worked minutes = ended_at - started_at - break_minutes
+ * - Technicians see only their own entries (own_time_entries_only)
+ *
+ * WHY THIS EXISTS:
+ * - Listing and dispatcher corrections go through the generic router
+ * - Clocking in/out goes through TimeEntryService
+ *   (POST /api/work_orders/:id/clock-in, /clock-out), which also moves the
+ *   work order to in_progress and keeps technician availability in step
+ * - Timesheet summaries: GET /api/time_entries/timesheet
+ */
+
+const { UNIVERSAL_FIELD_ACCESS } = require('../constants');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'time_entry',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'time_entries',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'schedule',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  /**
+   * Entity category: N/A - time entries have no name field
+   */
+  nameType: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * The identifier field - time entries have no natural name
+   */
+  identityField: 'id',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'time_entries',
+
+  /**
+   * Row-Level Security policy per role
+   * Technicians see their own entries; dispatcher+ sees everyone's
+   */
+  rlsPolicy: {
+    customer: 'deny_all',
+    technician: 'own_time_entries_only',
+    dispatcher: 'all_records',
+    manager: 'all_records',
+    admin: 'all_records',
+  },
+
+  /**
+   * Navigation visibility - technicians review their own hours
+   */
+  navVisibility: 'technician',
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Technician+ reads (scoped by RLS). Technicians clock in/out through
+   * the work order endpoints; dispatcher+ enters and corrects entries
+   * directly, manager+ deletes.
+   */
+  entityPermissions: {
+    create: 'dispatcher',
+    read: 'technician',
+    update: 'dispatcher',
+    delete: 'manager',
+  },
+
+  /**
+   * Route configuration - explicit opt-in for generic router
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    technician_id: 'Technician',
+    work_order_id: 'Work Order',
+    started_at: 'Clocked In',
+    ended_at: 'Clocked Out',
+    break_minutes: 'Break (min)',
+    is_billable: 'Billable',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION (for GenericEntityService)
+  // ============================================================================
+
+  /**
+   * Fields required when creating a new entry
+   */
+  requiredFields: ['technician_id', 'work_order_id', 'started_at'],
+
+  /**
+   * Who worked on what cannot change - correct the times, or delete and re-enter
+   */
+  immutableFields: ['technician_id', 'work_order_id'],
+
+  /**
+   * Default columns to display in table views (ordered)
+   */
+  displayColumns: [
+    'technician_id',
+    'work_order_id',
+    'started_at',
+    'ended_at',
+    'break_minutes',
+    'is_billable',
+  ],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Who and what - set on entry, immutable
+    technician_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+    work_order_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // Times and billing - dispatcher+ corrects
+    started_at: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    ended_at: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    break_minutes: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    is_billable: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    notes: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    technician_id: {
+      table: 'technicians',
+      displayName: 'Technician',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+    },
+    work_order_id: {
+      table: 'work_orders',
+      displayName: 'Work Order',
+      relatedEntity: 'work_order',
+      displayFields: ['work_order_number', 'name'],
+      displayTemplate: '{work_order_number} - {name}',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: ['technician', 'workOrder'],
+
+  relationships: {
+    technician: {
+      type: 'belongsTo',
+      foreignKey: 'technician_id',
+      table: 'technicians',
+      fields: ['id', 'email', 'first_name', 'last_name'],
+      description: 'Technician who worked',
+    },
+    workOrder: {
+      type: 'belongsTo',
+      foreignKey: 'work_order_id',
+      table: 'work_orders',
+      fields: ['id', 'work_order_number', 'name', 'status'],
+      description: 'Work order the time was spent on',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION (for GenericEntityService.delete)
+  // ============================================================================
+
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'time_entries' },
+    },
+  ],
+
+  // ============================================================================
+  // QUERY CONFIGURATION
+  // ============================================================================
+
+  searchableFields: ['notes'],
+
+  filterableFields: [
+    'id',
+    'technician_id',
+    'work_order_id',
+    'started_at',
+    'ended_at',
+    'is_billable',
+    'is_active',
+    'created_at',
+    'updated_at',
+  ],
+
+  sortableFields: [
+    'id',
+    'started_at',
+    'ended_at',
+    'break_minutes',
+    'created_at',
+    'updated_at',
+  ],
+
+  defaultSort: {
+    field: 'started_at',
+    order: 'DESC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Entity-specific fields
+    technician_id: {
+      type: 'foreignKey',
+      relatedEntity: 'technician',
+      displayFields: ['first_name', 'last_name', 'email'],
+      displayTemplate: '{first_name} {last_name} - {email}',
+      required: true,
+    },
+    work_order_id: {
+      type: 'foreignKey',
+      relatedEntity: 'work_order',
+      displayFields: ['work_order_number', 'name'],
+      displayTemplate: '{work_order_number} - {name}',
+      required: true,
+    },
+    started_at: { type: 'timestamp', required: true },
+    ended_at: { type: 'timestamp' },
+    break_minutes: { type: 'integer', min: 0, default: 0 },
+    is_billable: { type: 'boolean', default: true },
+    notes: FIELD.NOTES,
+  },
+};
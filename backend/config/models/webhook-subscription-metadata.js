@@ -0,0 +1,271 @@
+/**
+ * Webhook Subscription Model Metadata
+ *
+ * Category: SIMPLE (name field is both identity and display)
+ *
+ * SRP: ONLY defines Webhook Subscription table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * A subscription sends the entity events it names (events, entities) to an
+ * external URL as signed JSON; WebhookService queues one webhook_deliveries
+ * row per event. The signing secret is write-only: it is never returned.
+ *
+ * SINGLE SOURCE OF TRUTH for Webhook Subscription model query and CRUD capabilities
+ */
+
+const {
+  UNIVERSAL_FIELD_ACCESS,
+  FIELD_ACCESS_LEVELS: FAL,
+  WEBHOOKS,
+} = require('../constants');
+const { NAME_TYPES } = require('../entity-types');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'webhook_subscription',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'webhook_subscriptions',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'webhook',
+
+  // ============================================================================
+  // ENTITY CATEGORY (determines name handling pattern)
+  // ============================================================================
+
+  /**
+   * Entity category: SIMPLE entities have a direct name field
+   */
+  nameType: NAME_TYPES.SIMPLE,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION (Entity Contract v2.0)
+  // ============================================================================
+
+  /**
+   * The unique identifier field - subscription names are unique
+   */
+  identityField: 'name',
+
+  /**
+   * The human-readable display field for relationships
+   */
+  displayField: 'name',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint in the database
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names
+   */
+  rlsResource: 'webhook_subscriptions',
+
+  /**
+   * Row-Level Security policy per role
+   * Integrations are system configuration - admin only
+   */
+  rlsPolicy: {
+    customer: 'deny_all',
+    technician: 'deny_all',
+    dispatcher: 'deny_all',
+    manager: 'deny_all',
+    admin: 'all_records',
+  },
+
+  /**
+   * Navigation visibility - admin manages integrations
+   */
+  navVisibility: 'admin',
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Admin only (subscriptions receive record data of every entity)
+   */
+  entityPermissions: {
+    create: 'admin',
+    read: 'admin',
+    update: 'admin',
+    delete: 'admin',
+  },
+
+  /**
+   * Route configuration - explicit opt-in for generic router
+   */
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    url: 'URL',
+    events: 'Events',
+    entities: 'Entities',
+  },
+
+  // ============================================================================
+  // OUTPUT FILTERING
+  // ============================================================================
+
+  /**
+   * The signing secret is set and rotated, never read back
+   */
+  sensitiveFields: ['secret'],
+
+  // ============================================================================
+  // CRUD CONFIGURATION (for GenericEntityService)
+  // ============================================================================
+
+  /**
+   * Fields required when creating a new entity
+   */
+  requiredFields: ['name', 'url', 'secret'],
+
+  /**
+   * Fields that cannot be modified after creation (beyond universal immutables: id, created_at)
+   */
+  immutableFields: [],
+
+  /**
+   * Default columns to display in table views (ordered)
+   * Used by admin panel and frontend table widgets
+   */
+  displayColumns: ['name', 'url', 'events', 'entities', 'is_active'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    name: FAL.ADMIN_ONLY,
+    url: FAL.ADMIN_ONLY,
+    events: FAL.ADMIN_ONLY,
+    entities: FAL.ADMIN_ONLY,
+    description: FAL.ADMIN_ONLY,
+
+    // Signing secret - write-only (also in sensitiveFields)
+    secret: {
+      create: 'admin',
+      read: 'none',
+      update: 'admin', // Rotation
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {},
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: [],
+
+  relationships: {},
+
+  // ============================================================================
+  // DELETE CONFIGURATION (for GenericEntityService.delete)
+  // ============================================================================
+
+  /**
+   * webhook_deliveries are removed with the subscription (ON DELETE CASCADE)
+   */
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: {
+        column: 'resource_type',
+        value: 'webhook_subscriptions',
+      },
+    },
+  ],
+
+  // ============================================================================
+  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // ============================================================================
+
+  searchableFields: ['name', 'url', 'description'],
+
+  // ============================================================================
+  // FILTER CONFIGURATION (Exact Match & Operators)
+  // ============================================================================
+
+  filterableFields: ['id', 'name', 'is_active', 'created_at', 'updated_at'],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  sortableFields: ['id', 'name', 'created_at', 'updated_at'],
+
+  defaultSort: {
+    field: 'name',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    name: { ...FIELD.NAME, required: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Entity-specific fields
+    url: {
+      ...FIELD.URL,
+      required: true,
+      examples: {
+        valid: ['https://hooks.example.com/tross'],
+        invalid: ['not a url'],
+      },
+    },
+
+    // Subset of WEBHOOKS.EVENTS (enforced by a CHECK constraint)
+    events: {
+      type: 'array',
+      items: 'string',
+      default: [...WEBHOOKS.EVENTS],
+    },
+
+    // Entity keys to send; empty = every entity
+    entities: {
+      type: 'array',
+      items: 'string',
+      default: [],
+    },
+
+    secret: {
+      type: 'string',
+      required: true,
+      minLength: 16,
+      maxLength: 255,
+    },
+    description: FIELD.DESCRIPTION,
+  },
+};
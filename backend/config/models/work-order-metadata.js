@@ -184,6 +184,60 @@ module.exports = {
    */
   immutableFields: ['work_order_number'],
 
+  // ============================================================================
+  // STATUS LIFECYCLE (enforced by GenericEntityService update/batch)
+  // ============================================================================
+
+  /**
+   * Allowed status changes, the minimum role for each, and fields that must
+   * be set on entering a state. Undeclared pairs are rejected with 409.
+   * Completed and cancelled are terminal except for a manager reopen.
+   * New work orders start pending, or assigned when a dispatcher books one.
+   * Technicians start assigned work themselves by clocking in.
+   */
+  statusTransitions: {
+    field: 'status',
+    transitions: [
+      { from: 'pending', to: 'assigned', minimumRole: 'dispatcher' },
+      { from: 'assigned', to: 'pending', minimumRole: 'dispatcher' },
+      { from: 'assigned', to: 'in_progress', minimumRole: 'technician' },
+      { from: 'in_progress', to: 'assigned', minimumRole: 'dispatcher' },
+      { from: 'in_progress', to: 'completed', minimumRole: 'dispatcher' },
+      {
+        from: ['pending', 'assigned'],
+        to: 'cancelled',
+        minimumRole: 'dispatcher',
+      },
+      { from: 'in_progress', to: 'cancelled', minimumRole: 'manager' },
+      { from: 'completed', to: 'in_progress', minimumRole: 'manager' },
+      { from: 'cancelled', to: 'pending', minimumRole: 'manager' },
+    ],
+    requiredOnEntry: {
+      assigned: ['assigned_technician_id'],
+      completed: ['completed_at'],
+    },
+    initialStates: { pending: 'customer', assigned: 'dispatcher' },
+  },
+
+  // ============================================================================
+  // SCHEDULING (enforced by GenericEntityService create/update/batch)
+  // ============================================================================
+
+  /**
+   * A technician cannot hold two overlapping scheduled windows. Writes that
+   * would double-book are rejected with 409 unless a manager forces them
+   * (force is audited). Completed and cancelled work orders no longer occupy
+   * the technician.
+   */
+  scheduleConflicts: {
+    resourceField: 'assigned_technician_id',
+    startField: 'scheduled_start',
+    endField: 'scheduled_end',
+    statusField: 'status',
+    ignoreStatuses: ['completed', 'cancelled'],
+    overrideRole: 'manager',
+  },
+
   /**
    * Default columns to display in table views (ordered)
    * Used by admin panel and frontend table widgets
@@ -268,6 +322,14 @@ module.exports = {
       delete: 'none',
     },
 
+    // Required skills - dispatcher+ sets, technician+ reads (drives matching)
+    required_skills: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+
     // Completion timestamp - system/technician sets
     completed_at: {
       create: 'none',
@@ -276,6 +338,20 @@ module.exports = {
       delete: 'none',
     },
 
+    // Contract occurrence link - set by ContractScheduleService, read-only
+    contract_id: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    occurrence_date: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+
     // Location address fields - customer creates, dispatcher+ edits
     ...createAddressFieldAccess('location', 'customer', {
       updateRole: 'dispatcher',
@@ -303,6 +379,13 @@ module.exports = {
       displayFields: ['first_name', 'last_name', 'email'],
       displayTemplate: '{first_name} {last_name} - {email}',
     },
+    contract_id: {
+      table: 'contracts',
+      displayName: 'Contract',
+      relatedEntity: 'contract',
+      displayFields: ['contract_number'],
+      displayTemplate: '{contract_number}',
+    },
   },
 
   // ============================================================================
@@ -342,6 +425,14 @@ module.exports = {
       ],
       description: 'Technician assigned to this work order',
     },
+    // Work order may be generated from a contract's service schedule
+    contract: {
+      type: 'belongsTo',
+      foreignKey: 'contract_id',
+      table: 'contracts',
+      fields: ['id', 'contract_number', 'name', 'status'],
+      description: 'Contract whose service schedule generated this work order',
+    },
     // Work order may have invoices
     invoices: {
       type: 'hasMany',
@@ -350,6 +441,14 @@ module.exports = {
       fields: ['id', 'invoice_number', 'name', 'status', 'total'],
       description: 'Invoices generated from this work order',
     },
+    // Inventory parts used on this work order (see /api/work_orders/:id/parts)
+    parts: {
+      type: 'hasMany',
+      foreignKey: 'work_order_id',
+      table: 'work_order_parts',
+      fields: ['id', 'inventory_id', 'quantity'],
+      description: 'Inventory parts used on this work order',
+    },
   },
 
   // ============================================================================
@@ -365,11 +464,15 @@ module.exports = {
   ],
 
   // ============================================================================
-  // SEARCH CONFIGURATION (Text Search with ILIKE)
+  // SEARCH CONFIGURATION (Full-Text Search, ILIKE for identifiers)
   // ============================================================================
 
   searchableFields: ['work_order_number', 'name', 'summary'],
 
+  // Weight per field (A strongest) in the generated search_vector column
+  // (migrations/016_full_text_search.sql)
+  searchWeights: { work_order_number: 'A', name: 'A', summary: 'B' },
+
   // ============================================================================
   // FILTER CONFIGURATION (Exact Match & Operators)
   // ============================================================================
@@ -385,6 +488,8 @@ module.exports = {
     'priority',
     'scheduled_start',
     'scheduled_end',
+    'contract_id',
+    'occurrence_date',
     'created_at',
     'updated_at',
   ],
@@ -402,6 +507,7 @@ module.exports = {
     'scheduled_start',
     'scheduled_end',
     'completed_at',
+    'occurrence_date',
     'created_at',
     'updated_at',
   ],
@@ -466,6 +572,24 @@ module.exports = {
     scheduled_end: { type: 'timestamp' },
     completed_at: { type: 'timestamp' },
 
+    // Skill ids (INTEGER[]) used by the candidate technician endpoint
+    required_skills: {
+      type: 'array',
+      items: 'integer',
+      relatedEntity: 'skill',
+      default: [],
+    },
+
+    // Service schedule occurrence (set when generated from a contract)
+    contract_id: {
+      type: 'foreignKey',
+      relatedEntity: 'contract',
+      displayFields: ['contract_number'],
+      displayTemplate: '{contract_number}',
+      readonly: true,
+    },
+    occurrence_date: { type: 'date', readonly: true },
+
     // Flat address fields for work location (using field-type-standards generators)
     ...createAddressFields('location'),
   },
@@ -0,0 +1,349 @@
+/**
+ * Work Order Part Model Metadata
+ *
+ * Category: N/A (sub-entity of work_orders, no name field)
+ *
+ * SRP: ONLY defines work_order_parts table structure and access control
+ *
+ * DESIGN NOTES:
+ * - One row per part line used on a work order
+ * - Lines move stock: adding records a consumption movement from
+ *   stock_location_id (default location if not given), removing (deleting
+ *   the line) records a return to it, in the same transaction
+ * - unit_cost is copied from inventory at time of use, so later price
+ *   changes do not rewrite job costs
+ * - stock_override marks a line a manager allowed below zero stock
+ *
+ * WHY THIS EXISTS:
+ * - Defines field access levels for response filtering
+ * - Documents the table structure as single source of truth
+ * - NOT used by the generic router (stock moves need WorkOrderPartService,
+ *   mounted at /api/work_orders/:id/parts)
+ */
+
+const {
+  FIELD_ACCESS_LEVELS: FAL,
+  UNIVERSAL_FIELD_ACCESS,
+} = require('../constants');
+const { FIELD } = require('../field-type-standards');
+
+module.exports = {
+  // Entity key (singular, for API params and lookups)
+  entityKey: 'work_order_part',
+
+  // Table name in database (plural, also used for API URLs)
+  tableName: 'work_order_parts',
+
+  // Primary key
+  primaryKey: 'id',
+
+  // Material icon for navigation menus and entity displays
+  icon: 'build',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  /**
+   * Entity category: N/A - part lines have no name field
+   */
+  nameType: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * The identifier field - part lines have no natural name
+   */
+  identityField: 'id',
+
+  /**
+   * Whether the identity field has a UNIQUE constraint
+   */
+  identityFieldUnique: true,
+
+  /**
+   * RLS resource name for permission checks
+   * Maps to permissions.json resource names. The sub-router also requires
+   * the matching permission on the parent work order.
+   */
+  rlsResource: 'work_order_parts',
+
+  /**
+   * Row-Level Security policy per role
+   * Lines are only reached through a work order the caller can see
+   */
+  rlsPolicy: {
+    customer: 'parent_entity_access',
+    technician: 'parent_entity_access',
+    dispatcher: 'parent_entity_access',
+    manager: 'parent_entity_access',
+    admin: 'all_records',
+  },
+
+  /**
+   * Navigation visibility - null means not shown in nav menus
+   * Part lines are managed from the work order detail view
+   */
+  navVisibility: null,
+
+  /**
+   * File attachments - whether this entity supports file uploads
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Entity-level permission overrides
+   * Customer+ sees parts used on their jobs; technician+ records and removes
+   * them (negative-stock overrides additionally require manager)
+   */
+  entityPermissions: {
+    create: 'technician',
+    read: 'customer',
+    update: null, // Lines are immutable - remove and re-add
+    delete: 'technician',
+  },
+
+  /**
+   * Route configuration - uses CUSTOM routes (routes/work-order-parts.js)
+   * Every write adjusts inventory, which the generic router cannot do
+   */
+  routeConfig: {
+    useGenericRouter: false,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    work_order_id: 'Work Order',
+    inventory_id: 'Part',
+    stock_override: 'Stock Override',
+    added_by: 'Added By',
+    stock_location_id: 'Drawn From',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Fields required when adding a part line
+   * (work_order_id comes from the URL)
+   */
+  requiredFields: ['work_order_id', 'inventory_id', 'quantity'],
+
+  /**
+   * Fields that cannot be modified after creation
+   * A line is never edited: remove it (restocking) and add a new one
+   */
+  immutableFields: [
+    'work_order_id',
+    'inventory_id',
+    'quantity',
+    'unit_cost',
+    'stock_override',
+    'added_by',
+    'stock_location_id',
+  ],
+
+  /**
+   * Default columns to display in table views (ordered)
+   */
+  displayColumns: ['inventory_id', 'quantity', 'unit_cost', 'created_at'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL (for field-access-controller.js)
+  // ============================================================================
+
+  fieldAccess: {
+    // Entity Contract v2.0 fields
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Parent reference - set from URL params, immutable
+    work_order_id: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // Part and quantity - set when the line is added, immutable
+    inventory_id: {
+      create: 'technician',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    quantity: {
+      create: 'technician',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    notes: {
+      create: 'technician',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // Location drawn from - chosen when the line is added, immutable
+    stock_location_id: {
+      create: 'technician',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // Cost captured from inventory - same visibility as inventory.unit_cost
+    unit_cost: {
+      create: 'none',
+      read: 'manager',
+      update: 'none',
+      delete: 'none',
+    },
+
+    // System-set tracking
+    stock_override: FAL.SYSTEM_READONLY,
+    added_by: {
+      create: 'none',
+      read: 'technician',
+      update: 'none',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // FOREIGN KEY CONFIGURATION (for db-error-handler.js)
+  // ============================================================================
+
+  foreignKeys: {
+    work_order_id: {
+      table: 'work_orders',
+      displayName: 'Work Order',
+      relatedEntity: 'work_order',
+      displayFields: ['work_order_number', 'name'],
+      displayTemplate: '{work_order_number} - {name}',
+    },
+    inventory_id: {
+      table: 'inventory',
+      displayName: 'Part',
+      relatedEntity: 'inventory',
+      displayFields: ['sku', 'name'],
+      displayTemplate: '{sku} - {name}',
+    },
+    stock_location_id: {
+      table: 'stock_locations',
+      displayName: 'Stock Location',
+      relatedEntity: 'stock_location',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS (for JOIN queries)
+  // ============================================================================
+
+  defaultIncludes: ['inventory'],
+
+  relationships: {
+    workOrder: {
+      type: 'belongsTo',
+      foreignKey: 'work_order_id',
+      table: 'work_orders',
+      fields: ['id', 'work_order_number', 'name', 'status'],
+      description: 'Work order the part was used on',
+    },
+    inventory: {
+      type: 'belongsTo',
+      foreignKey: 'inventory_id',
+      table: 'inventory',
+      fields: ['id', 'sku', 'name'],
+      description: 'Inventory item used',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'work_order_parts' },
+    },
+  ],
+
+  // ============================================================================
+  // QUERY CONFIGURATION
+  // ============================================================================
+
+  searchableFields: [],
+
+  filterableFields: [
+    'id',
+    'work_order_id',
+    'inventory_id',
+    'stock_location_id',
+    'stock_override',
+    'is_active',
+    'created_at',
+    'updated_at',
+  ],
+
+  sortableFields: ['id', 'quantity', 'created_at', 'updated_at'],
+
+  defaultSort: {
+    field: 'created_at',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (for validation & documentation)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    id: { type: 'integer', readonly: true },
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', readonly: true },
+    updated_at: { type: 'timestamp', readonly: true },
+
+    // Parent and part
+    work_order_id: {
+      type: 'foreignKey',
+      relatedEntity: 'work_order',
+      displayFields: ['work_order_number', 'name'],
+      displayTemplate: '{work_order_number} - {name}',
+      required: true,
+      readonly: true,
+    },
+    inventory_id: {
+      type: 'foreignKey',
+      relatedEntity: 'inventory',
+      displayFields: ['sku', 'name'],
+      displayTemplate: '{sku} - {name}',
+      required: true,
+    },
+    quantity: { type: 'integer', required: true, min: 1 },
+    stock_location_id: {
+      type: 'foreignKey',
+      relatedEntity: 'stock_location',
+      displayFields: ['name'],
+      displayTemplate: '{name}',
+    },
+    notes: FIELD.DESCRIPTION,
+
+    // Captured at time of use
+    unit_cost: { ...FIELD.CURRENCY, readonly: true },
+    stock_override: { type: 'boolean', default: false, readonly: true },
+    added_by: {
+      type: 'foreignKey',
+      relatedEntity: 'user',
+      readonly: true,
+    },
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Notification Channels
+ *
+ * SINGLE SOURCE OF TRUTH for the channels, besides the in-app
+ * notifications table, that notifications are delivered on
+ * (services/outbox-service.js).
+ *
+ * Each channel (keyed by the outbox.channel value):
+ * - description: What the channel does
+ * - preferenceField: preferences column a user turns the channel off with
+ * - isEnabled: () => boolean - whether this deployment can deliver it
+ * - address: (user) => recipient address, or null to skip the user
+ * - render: (notification, user) => { subject, text, html }
+ * - send: async (message) => transport response; message = outbox row
+ *   ({ recipient, subject, body_text, body_html, ... }). Throw to fail the
+ *   attempt; an error with permanent = true is not retried.
+ *
+ * Services are required inside the functions so this config loads
+ * without them.
+ *
+ * @module config/notification-channels
+ */
+
+module.exports = Object.freeze({
+  email: {
+    description: "Email to the user's address (SMTP)",
+    preferenceField: 'email_notifications',
+    isEnabled: () => require('../services/email-service').isConfigured(),
+    address: (user) => user.email || null,
+    render: (notification, user) =>
+      require('../services/email-service').render(notification, user),
+    send: (message) =>
+      require('../services/email-service').send({
+        to: message.recipient,
+        subject: message.subject,
+        text: message.body_text,
+        html: message.body_html,
+      }),
+  },
+});
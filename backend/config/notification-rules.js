@@ -0,0 +1,103 @@
+/**
+ * Notification Rules
+ *
+ * SINGLE SOURCE OF TRUTH for the in-app notifications raised by entity
+ * lifecycle events (services/notification-rule-engine.js).
+ *
+ * Each rule:
+ * - name: Stable key (logs)
+ * - entity: Entity key whose events the rule watches
+ * - on: ENTITY_EVENTS actions that can trigger it
+ * - when: Optional conditions on the record
+ *   - changed: Field whose value must differ from the previous row
+ *     (on 'created': must be set)
+ *   - to: Value (or values) the field must now have (field = changed)
+ * - notify: Recipients, each one of
+ *   - { technician: field } - the user linked to the technician in field
+ *   - { customer: field } - the portal users of the customer in field
+ *   - { role: name } - every user at or above the role
+ *   and optionally its own title, body or type
+ * - type: Notification type (default 'info')
+ * - title, body: Templates; {field} is read from the record and {file.x}
+ *   from the uploaded file (file_uploaded only). Dates render as YYYY-MM-DD.
+ *
+ * Every notification links to the record (resource_type = entity key) and
+ * skips the user who made the change.
+ *
+ * @module config/notification-rules
+ */
+
+const { ENTITY_EVENTS } = require('./constants');
+
+const { CREATED, UPDATED, FILE_UPLOADED } = ENTITY_EVENTS;
+
+module.exports = Object.freeze([
+  {
+    name: 'work-order-assigned',
+    entity: 'work_order',
+    on: [CREATED, UPDATED],
+    when: { changed: 'assigned_technician_id' },
+    notify: [{ technician: 'assigned_technician_id' }],
+    type: 'assignment',
+    title: 'Work order {work_order_number} assigned to you',
+    body: '{name}',
+  },
+  {
+    name: 'work-order-status-changed',
+    entity: 'work_order',
+    on: [UPDATED],
+    when: { changed: 'status' },
+    notify: [{ customer: 'customer_id' }],
+    title: 'Work order {work_order_number} is now {status}',
+    body: '{name}',
+  },
+  {
+    name: 'work-order-file-uploaded',
+    entity: 'work_order',
+    on: [FILE_UPLOADED],
+    notify: [
+      { technician: 'assigned_technician_id' },
+      { customer: 'customer_id' },
+    ],
+    title: 'New file on work order {work_order_number}',
+    body: '{file.original_filename}',
+  },
+  {
+    name: 'invoice-overdue',
+    entity: 'invoice',
+    on: [UPDATED],
+    when: { changed: 'status', to: 'overdue' },
+    notify: [
+      {
+        role: 'manager',
+        title: 'Invoice overdue: {invoice_number}',
+        body: '{invoice_number} was due on {due_date} and still has {balance} outstanding.',
+      },
+      {
+        customer: 'customer_id',
+        title: 'Invoice {invoice_number} is overdue',
+        body: 'Payment of {balance} was due on {due_date}.',
+      },
+    ],
+    type: 'warning',
+  },
+  {
+    name: 'contract-expired',
+    entity: 'contract',
+    on: [UPDATED],
+    when: { changed: 'status', to: 'expired' },
+    notify: [
+      {
+        role: 'manager',
+        type: 'warning',
+        title: 'Contract expired: {contract_number}',
+        body: '{contract_number} ended on {end_date}. Renew it or let it lapse.',
+      },
+      {
+        customer: 'customer_id',
+        title: 'Contract {contract_number} has expired',
+        body: 'Your service contract ended on {end_date}.',
+      },
+    ],
+  },
+]);
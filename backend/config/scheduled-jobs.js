@@ -0,0 +1,125 @@
+/**
+ * Scheduled Job Definitions
+ *
+ * SINGLE SOURCE OF TRUTH for the recurring maintenance tasks the backend
+ * runs on its own (services/job-scheduler-service.js).
+ *
+ * Each job:
+ * - name: Stable key (URLs, run history, advisory lock)
+ * - schedule: Five-field cron expression, UTC (utils/cron.js)
+ * - description: Shown in GET /api/admin/system/jobs
+ * - run: async () => summary (stored as the run's result; throw to fail)
+ * - runOnStart: Also run once when the scheduler starts (catch-up for
+ *   jobs that would otherwise wait up to a day after a restart)
+ * - enabledEnv: Env variable that turns the job off when 'false'
+ *
+ * Services are required inside run() so this config loads without them.
+ *
+ * @module config/scheduled-jobs
+ */
+
+const {
+  SCHEDULED_JOBS,
+  JOB_QUEUE,
+  OUTBOX,
+  NOTIFICATIONS,
+  CHANGE_STREAM,
+  WEBHOOKS,
+} = require('./constants');
+
+module.exports = Object.freeze([
+  {
+    name: 'contract-work-orders',
+    schedule: '0 * * * *',
+    description:
+      'Generate work orders for active contract service schedules ahead of time',
+    runOnStart: true,
+    enabledEnv: 'CONTRACT_SCHEDULER_ENABLED',
+    run: () => require('../services/contract-schedule-service').generate(),
+  },
+  {
+    name: 'lifecycle-sweep',
+    schedule: '0 2 * * *',
+    description:
+      'Mark overdue invoices and expired contracts; send contract expiry reminders',
+    runOnStart: true,
+    enabledEnv: 'LIFECYCLE_SWEEP_ENABLED',
+    run: () => require('../services/lifecycle-sweep-service').run(),
+  },
+  {
+    name: 'refresh-token-cleanup',
+    schedule: '30 3 * * *',
+    description:
+      'Delete refresh tokens expired or revoked more than 30 days ago',
+    run: async () => ({
+      deleted:
+        await require('../services/token-service').cleanupExpiredTokens(),
+    }),
+  },
+  {
+    name: 'audit-log-cleanup',
+    schedule: '0 4 * * 0',
+    description: `Delete audit log entries older than ${SCHEDULED_JOBS.AUDIT_LOG_RETENTION_DAYS} days`,
+    run: async () => ({
+      deleted: await require('../services/audit-service').cleanupOldLogs(
+        SCHEDULED_JOBS.AUDIT_LOG_RETENTION_DAYS,
+      ),
+    }),
+  },
+  {
+    name: 'background-job-recovery',
+    schedule: '*/5 * * * *',
+    description:
+      'Retry background jobs whose worker stopped responding (crashed instance)',
+    run: () => require('../services/job-queue-service').recoverLost(),
+  },
+  {
+    name: 'background-job-cleanup',
+    schedule: '45 3 * * *',
+    description: `Delete finished background jobs older than ${JOB_QUEUE.RETENTION_DAYS} days`,
+    run: async () => ({
+      deleted: await require('../services/job-queue-service').cleanupFinished(),
+    }),
+  },
+  {
+    name: 'outbox-cleanup',
+    schedule: '50 3 * * *',
+    description: `Delete outbox messages sent more than ${OUTBOX.RETENTION_DAYS} days ago`,
+    run: async () => ({
+      deleted: await require('../services/outbox-service').cleanupSent(),
+    }),
+  },
+  {
+    name: 'notification-retention',
+    schedule: '55 3 * * *',
+    description: `Delete read notifications older than each user's retention setting (default ${NOTIFICATIONS.DEFAULT_RETENTION_DAYS} days)`,
+    run: async () => ({
+      deleted:
+        await require('../services/notification-inbox-service').cleanupRead(),
+    }),
+  },
+  {
+    name: 'notification-digest',
+    schedule: '0 7 * * *',
+    description:
+      'Send users on the daily digest one summary of their new unread notifications',
+    enabledEnv: 'NOTIFICATION_DIGEST_ENABLED',
+    run: () => require('../services/notification-digest-service').send(),
+  },
+  {
+    name: 'entity-change-cleanup',
+    schedule: '15 * * * *',
+    description: `Delete stream changes older than ${CHANGE_STREAM.RETENTION_HOURS} hours (the Last-Event-ID resume window)`,
+    run: async () => ({
+      deleted: await require('../services/change-stream-service').cleanup(),
+    }),
+  },
+  {
+    name: 'webhook-delivery-cleanup',
+    schedule: '5 4 * * *',
+    description: `Delete webhook deliveries delivered more than ${WEBHOOKS.RETENTION_DAYS} days ago`,
+    run: async () => ({
+      deleted: await require('../services/webhook-service').cleanupDelivered(),
+    }),
+  },
+]);
@@ -16,16 +16,141 @@ const {
   getSwaggerEntityConfigs,
   getSwaggerEntitySchemas,
 } = require('./derived-constants');
+const { FILTERS, SEARCH } = require('./constants');
+const { COUNT_MODES } = require('../services/pagination-service');
+const allMetadata = require('./models');
+const QueryBuilderService = require('../services/query-builder-service');
+const { RELATIVE_DATE_EXAMPLES } = require('../utils/relative-dates');
+const {
+  getIncludableRelationships,
+  resolveIncludes,
+} = require('../db/helpers/include-helper');
+
+// =============================================================================
+// Search term (query parameter and SearchRequest body)
+// =============================================================================
+const SEARCH_DESCRIPTION =
+  'Full-text search (stemmed, web search syntax: "quoted phrase", or, -word) ' +
+  'for entities with search weights, ranked by relevance unless sortBy is ' +
+  'given; matches carry search_rank and search_highlights (snippets marked ' +
+  `with ${SEARCH.HIGHLIGHT_START}). Single tokens with digits or punctuation ` +
+  `(WO-2026-0042, an email) and terms under ${SEARCH.MIN_FULL_TEXT_LENGTH} ` +
+  'characters are partial case-insensitive matches instead. ' +
+  'appliedFilters.searchMode tells which ran.';
+
+// =============================================================================
+// Cursor pagination and count (query parameters and SearchRequest body)
+// =============================================================================
+const CURSOR_DESCRIPTION =
+  'Cursor (keyset) pagination instead of page: empty for the first page, ' +
+  'then pagination.nextCursor or prevCursor. Pages follow the sort plus id, ' +
+  'so rows added or removed meanwhile are not skipped or repeated. Keep ' +
+  'sortBy/sortOrder the same across pages (400 otherwise).';
+
+const COUNT_DESCRIPTION =
+  'Total count: exact (COUNT), estimated (query planner, totalEstimated: ' +
+  'true) or none (total: null). Skip it on large tables.';
+
+// =============================================================================
+// Relationship includes (query parameter, SearchRequest body and responses)
+// =============================================================================
+const INCLUDE_DESCRIPTION =
+  'Related records to nest under `included`, keyed by relationship name: ' +
+  'belongsTo and hasOne give an object (null if none or not visible), ' +
+  'hasMany an array of active records. Each related entity needs read ' +
+  "permission (403 otherwise) and gets the caller's row-level security " +
+  'and field access.';
+
+// =============================================================================
+// HELPER: Describe the relationships an entity can include
+// =============================================================================
+function describeIncludes(entityName) {
+  const metadata = allMetadata[entityName] || {};
+  const names = getIncludableRelationships(metadata);
+  if (names.length === 0) {
+    return undefined;
+  }
+
+  const lines = resolveIncludes(metadata, names).map(
+    ({ name, relationship, entityName: related }) =>
+      `- \`${name}\` (${relationship.type} ${related}): ` +
+      (relationship.fields || ['id']).join(', '),
+  );
+
+  return [
+    `${INCLUDE_DESCRIPTION} Comma-separated, e.g. ` +
+      `\`include=${names.slice(0, 3).join(',')}\`. Relationships:`,
+    '',
+    ...lines,
+  ].join('\n');
+}
+
+// =============================================================================
+// HELPER: Describe the filter operators each filterable field accepts
+// =============================================================================
+function describeFilterOperators(entityName) {
+  const { filterableFields = [], fields = {} } = allMetadata[entityName] || {};
+  if (filterableFields.length === 0) {
+    return undefined;
+  }
+
+  const lines = filterableFields.map((field) => {
+    const type = fields[field] ? fields[field].type : 'unknown';
+    const operators = QueryBuilderService.getFieldOperators(fields[field]);
+    return `- \`${field}\` (${type}): ${operators.join(', ')}`;
+  });
+
+  return [
+    'Filter with `?field=value` or `?field[operator]=value`, or a `filter` ' +
+      'expression. Operators by field:',
+    '',
+    ...lines,
+    '',
+    'Date and timestamp fields also take relative dates (UTC): ' +
+      `${RELATIVE_DATE_EXAMPLES.join(', ')}.`,
+  ].join('\n');
+}
 
 // =============================================================================
 // HELPER: Generate CRUD paths for an entity
 // =============================================================================
-function generateEntityPaths(basePath, tag, schemaRef, displayName) {
+function generateEntityPaths(
+  basePath,
+  tag,
+  schemaRef,
+  displayName,
+  filterDescription,
+  includeDescription,
+) {
+  // Only entities with relationships take ?include=
+  const includeParams = [];
+  let detailSchema = { $ref: `#/components/schemas/${schemaRef}` };
+  if (includeDescription) {
+    includeParams.push({
+      name: 'include',
+      in: 'query',
+      description: includeDescription,
+      schema: { type: 'string' },
+    });
+    detailSchema = {
+      allOf: [
+        detailSchema,
+        {
+          type: 'object',
+          properties: {
+            included: { $ref: '#/components/schemas/Included' },
+          },
+        },
+      ],
+    };
+  }
+
   return {
     [`/api/${basePath}`]: {
       get: {
         tags: [tag],
         summary: `List all ${displayName}`,
+        description: filterDescription,
         security: [{ BearerAuth: [] }],
         parameters: [
           {
@@ -38,13 +163,42 @@ function generateEntityPaths(basePath, tag, schemaRef, displayName) {
             in: 'query',
             schema: { type: 'integer', default: 50 },
           },
-          { name: 'search', in: 'query', schema: { type: 'string' } },
+          {
+            name: 'cursor',
+            in: 'query',
+            description: CURSOR_DESCRIPTION,
+            schema: { type: 'string' },
+          },
+          {
+            name: 'count',
+            in: 'query',
+            description: COUNT_DESCRIPTION,
+            schema: { type: 'string', enum: COUNT_MODES, default: 'exact' },
+          },
+          {
+            name: 'search',
+            in: 'query',
+            description: SEARCH_DESCRIPTION,
+            schema: { type: 'string' },
+          },
           { name: 'sortBy', in: 'query', schema: { type: 'string' } },
           {
             name: 'sortOrder',
             in: 'query',
             schema: { type: 'string', enum: ['asc', 'desc'] },
           },
+          {
+            name: 'filter',
+            in: 'query',
+            description:
+              'Boolean filter groups (JSON), ANDed with field filters such as ?status=pending',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/FilterExpression' },
+              },
+            },
+          },
+          ...includeParams,
         ],
         responses: {
           200: {
@@ -55,6 +209,7 @@ function generateEntityPaths(basePath, tag, schemaRef, displayName) {
               },
             },
           },
+          400: { description: 'Invalid filter' },
           401: { description: 'Unauthorized' },
         },
       },
@@ -84,6 +239,34 @@ function generateEntityPaths(basePath, tag, schemaRef, displayName) {
         },
       },
     },
+    [`/api/${basePath}/search`]: {
+      post: {
+        tags: [tag],
+        summary: `Search ${displayName} (list options in the body)`,
+        description: filterDescription,
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/SearchRequest' },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Paginated list',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/PaginatedResponse' },
+              },
+            },
+          },
+          400: { description: 'Invalid filter' },
+          401: { description: 'Unauthorized' },
+        },
+      },
+    },
     [`/api/${basePath}/{id}`]: {
       get: {
         tags: [tag],
@@ -96,16 +279,18 @@ function generateEntityPaths(basePath, tag, schemaRef, displayName) {
             required: true,
             schema: { type: 'integer' },
           },
+          ...includeParams,
         ],
         responses: {
           200: {
             description: 'Success',
             content: {
               'application/json': {
-                schema: { $ref: `#/components/schemas/${schemaRef}` },
+                schema: detailSchema,
               },
             },
           },
+          403: { description: 'Cannot read an included entity' },
           404: { description: 'Not found' },
         },
       },
@@ -171,6 +356,8 @@ const entityPaths = getSwaggerEntityConfigs().reduce((paths, config) => {
       config.tag,
       config.schemaRef,
       config.displayName,
+      describeFilterOperators(config.entityName),
+      describeIncludes(config.entityName),
     ),
   };
 }, {});
@@ -500,22 +687,121 @@ const options = {
         // =====================================================================
         ...derivedEntitySchemas,
         // =====================================================================
+        // COMMON REQUEST SCHEMAS
+        // =====================================================================
+        FilterExpression: {
+          type: 'object',
+          description:
+            'Field conditions (value, or operator object with ' +
+            `${QueryBuilderService.getFieldOperators().join('/')}) ` +
+            'ANDed together, plus and/or/not groups of the same shape, nested up to ' +
+            `${FILTERS.MAX_DEPTH} levels. Fields must be filterable.`,
+          properties: {
+            and: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/FilterExpression' },
+            },
+            or: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/FilterExpression' },
+            },
+            not: { $ref: '#/components/schemas/FilterExpression' },
+          },
+          additionalProperties: true,
+          example: {
+            or: [{ customer_id: 4 }, { customer_id: 9 }],
+            not: { status: 'cancelled' },
+            priority: { in: ['high', 'urgent'] },
+            assigned_technician_id: { isnull: true },
+            scheduled_start: { between: ['today', '+2w'] },
+          },
+        },
+        SearchRequest: {
+          type: 'object',
+          properties: {
+            filter: { $ref: '#/components/schemas/FilterExpression' },
+            search: { type: 'string', description: SEARCH_DESCRIPTION },
+            sortBy: { type: 'string' },
+            sortOrder: { type: 'string', enum: ['asc', 'desc'] },
+            page: { type: 'integer', default: 1 },
+            limit: { type: 'integer', default: 50 },
+            cursor: { type: 'string', description: CURSOR_DESCRIPTION },
+            count: {
+              type: 'string',
+              enum: COUNT_MODES,
+              default: 'exact',
+              description: COUNT_DESCRIPTION,
+            },
+            include: {
+              type: 'array',
+              items: { type: 'string' },
+              description: `${INCLUDE_DESCRIPTION} Relationship names as an array or a comma-separated string.`,
+            },
+          },
+        },
+        Included: {
+          type: 'object',
+          description: INCLUDE_DESCRIPTION,
+          additionalProperties: {
+            oneOf: [
+              { type: 'object', nullable: true },
+              { type: 'array', items: { type: 'object' } },
+            ],
+          },
+          example: {
+            customer: { id: 4, first_name: 'Ada', last_name: 'Byrne' },
+            invoices: [{ id: 12, invoice_number: 'INV-2026-0012' }],
+          },
+        },
+        // =====================================================================
         // COMMON RESPONSE SCHEMAS
         // =====================================================================
         PaginatedResponse: {
           type: 'object',
           properties: {
             success: { type: 'boolean', example: true },
-            data: { type: 'array', items: { type: 'object' } },
+            data: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  included: { $ref: '#/components/schemas/Included' },
+                },
+              },
+            },
             pagination: {
               type: 'object',
               properties: {
                 page: { type: 'integer', example: 1 },
                 limit: { type: 'integer', example: 50 },
-                totalItems: { type: 'integer', example: 100 },
-                totalPages: { type: 'integer', example: 2 },
-                hasMore: { type: 'boolean', example: true },
+                total: { type: 'integer', nullable: true, example: 100 },
+                totalEstimated: { type: 'boolean', example: false },
+                totalPages: { type: 'integer', nullable: true, example: 2 },
+                hasNext: { type: 'boolean', example: true },
+                hasPrev: { type: 'boolean', example: false },
+                nextCursor: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Cursor mode: the next page',
+                },
+                prevCursor: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Cursor mode: the previous page',
+                },
+              },
+            },
+            appliedFilters: {
+              type: 'object',
+              properties: {
+                search: { type: 'string', nullable: true },
+                searchMode: {
+                  type: 'string',
+                  enum: ['full_text', 'ilike'],
+                  nullable: true,
+                },
               },
+              additionalProperties: true,
             },
             timestamp: { type: 'string', format: 'date-time' },
           },
@@ -568,6 +854,10 @@ const options = {
         name: 'Work Orders',
         description: 'Work order lifecycle management',
       },
+      {
+        name: 'Dispatch',
+        description: 'Dispatch board - daily technician timeline and moves',
+      },
       {
         name: 'Invoices',
         description: 'Invoice and billing management',
@@ -322,6 +322,11 @@ function deriveFieldValidation(fieldName, fieldDef, _entityName) {
     validation.errorMessages = generateFkErrorMessages(fieldName);
   }
 
+  // Array handling (element type carried through for the Joi builder)
+  if (fieldDef.type === 'array') {
+    validation.items = mapFieldType(fieldDef.items);
+  }
+
   // Default value
   if (fieldDef.default !== undefined) {
     validation.default = fieldDef.default;
@@ -343,7 +348,7 @@ function deriveFieldValidation(fieldName, fieldDef, _entityName) {
  *
  * MUST match TYPE_BUILDERS in validation-loader.js exactly.
  * Supported types: string, text, email, phone, url, time,
- *                  integer, decimal, boolean, object,
+ *                  integer, decimal, boolean, object, array,
  *                  date, timestamp, enum
  */
 function mapFieldType(metaType) {
@@ -366,6 +371,7 @@ function mapFieldType(metaType) {
     boolean: 'boolean',
     jsonb: 'object',
     json: 'object',
+    array: 'array',
 
     // Date/time types
     timestamp: 'timestamp',
@@ -28,6 +28,7 @@ const auditService = require('../../services/audit-service');
 const { logger } = require('../../config/logger');
 const allMetadata = require('../../config/models');
 const {
+  AuditActions,
   AuditResults,
   EntityToResourceType,
   EntityActionMap,
@@ -134,6 +135,83 @@ async function logEntityAudit(
   }
 }
 
+/**
+ * Log a domain event (non-CRUD action) for an entity to the audit trail
+ *
+ * NON-BLOCKING: Same contract as logEntityAudit - never throws.
+ * Use for business events recorded alongside the regular create/update
+ * entry (e.g., work_order_assign), so they can be queried by action.
+ *
+ * @param {string} action - Action from AuditActions (e.g., AuditActions.WORK_ORDER_ASSIGN)
+ * @param {string} entityName - Entity name (e.g., 'work_order')
+ * @param {Object} result - The affected record (contains id)
+ * @param {Object} auditContext - Context for audit logging
+ * @param {Object} [values] - Optional { oldValues, newValues } payload
+ * @returns {Promise<void>}
+ */
+async function logEntityEvent(
+  action,
+  entityName,
+  result,
+  auditContext,
+  values = {},
+) {
+  const resourceType = EntityToResourceType[entityName];
+  if (!action || !resourceType || !auditContext) {
+    logger.warn('Cannot audit entity event', { action, entityName });
+    return;
+  }
+
+  try {
+    await auditService.log({
+      userId: auditContext.userId || null,
+      action,
+      resourceType,
+      resourceId: result?.id || null,
+      oldValues: values.oldValues || null,
+      newValues: values.newValues || null,
+      ipAddress: auditContext.ipAddress || null,
+      userAgent: auditContext.userAgent || null,
+      result: AuditResults.SUCCESS,
+    });
+  } catch (error) {
+    // Non-blocking - log and continue
+    logger.error('Failed to write audit log', {
+      error: error.message,
+      action,
+      entityName,
+      resourceId: result?.id,
+    });
+  }
+}
+
+/**
+ * Log a forced schedule conflict override to the audit trail
+ *
+ * Written in addition to the regular create/update entry so overrides
+ * can be queried on their own (action = schedule_conflict_override).
+ *
+ * @param {string} entityName - Entity name (e.g., 'work_order')
+ * @param {Object} result - The written record (contains id)
+ * @param {Object[]} conflicts - Overlapping rows that were overridden
+ * @param {Object} auditContext - Context for audit logging
+ * @returns {Promise<void>}
+ */
+function logScheduleConflictOverride(
+  entityName,
+  result,
+  conflicts,
+  auditContext,
+) {
+  return logEntityEvent(
+    AuditActions.SCHEDULE_CONFLICT_OVERRIDE,
+    entityName,
+    result,
+    auditContext,
+    { newValues: { forced: true, conflicts } },
+  );
+}
+
 /**
  * Build audit context from an Express request
  *
@@ -214,6 +292,8 @@ function isAuditEnabled(entityName) {
 
 module.exports = {
   logEntityAudit,
+  logEntityEvent,
+  logScheduleConflictOverride,
   buildAuditContext,
   getClientIp,
   getUserAgent,
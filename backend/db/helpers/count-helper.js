@@ -0,0 +1,52 @@
+/**
+ * Count Helper
+ *
+ * SRP LITERALISM: ONLY counts the rows a list query matches
+ *
+ * PHILOSOPHY:
+ * - CALLER CHOOSES THE COST (PaginationService.COUNT_MODES):
+ *     exact     - COUNT(*), reads every matching row
+ *     estimated - the planner's row estimate (EXPLAIN), no rows read; close
+ *                 for large tables with fresh statistics, rough for small
+ *                 or heavily filtered ones
+ *     none      - no query at all
+ * - TRANSACTION-FRIENDLY: Callers pass the client to query with
+ *
+ * USAGE:
+ *   const { total, totalEstimated } = await countRows(db, 'estimated',
+ *     'FROM work_orders WHERE status = $1', ['pending']);
+ */
+
+/**
+ * Count the rows of a FROM ... WHERE ... clause
+ *
+ * @param {Object} client - db or a transaction client (anything with query())
+ * @param {string} mode - 'exact', 'estimated' or 'none'
+ * @param {string} fromClause - FROM, JOINs and WHERE of the list query
+ * @param {Array} [params=[]] - Parameters of fromClause
+ * @returns {Promise<Object>} { total: number|null, totalEstimated: boolean }
+ */
+async function countRows(client, mode, fromClause, params = []) {
+  if (mode === 'none') {
+    return { total: null, totalEstimated: false };
+  }
+
+  if (mode === 'estimated') {
+    const result = await client.query(
+      `EXPLAIN (FORMAT JSON) SELECT 1 ${fromClause}`,
+      params,
+    );
+    const [plan] = result.rows[0]['QUERY PLAN'];
+    return { total: Math.round(plan.Plan['Plan Rows']), totalEstimated: true };
+  }
+
+  const result = await client.query(
+    `SELECT COUNT(*) as total ${fromClause}`,
+    params,
+  );
+  return { total: parseInt(result.rows[0].total, 10), totalEstimated: false };
+}
+
+module.exports = {
+  countRows,
+};
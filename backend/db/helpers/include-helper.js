@@ -0,0 +1,260 @@
+/**
+ * Include Helper
+ *
+ * SRP LITERALISM: ONLY loads the related records a caller asks for (?include=)
+ *
+ * PHILOSOPHY:
+ * - METADATA-DRIVEN: Any metadata.relationships entry whose table belongs to
+ *   an entity can be included; it selects the relationship's fields (plus id)
+ * - NO N+1: belongsTo relationships are LEFT JOINs in the main query;
+ *   hasMany and hasOne are one batched query per relationship for the whole
+ *   page (foreign key = ANY(parent ids))
+ * - RLS PER INCLUDE: Each relationship is filtered with the caller's RLS
+ *   policy for the related entity, so an include never shows a row the
+ *   related entity's own endpoint would hide (a hidden belongsTo is null).
+ *   Inactive hasMany/hasOne rows are left out, as in lists.
+ * - Sensitive fields are filtered here; read permission and field access
+ *   depend on the role and are checked by the route
+ *
+ * NESTING: Every record gets `included`, keyed by relationship name:
+ *   belongsTo, hasOne -> object or null
+ *   hasMany           -> array (empty if none)
+ *
+ * USAGE:
+ *   const includes = resolveIncludes(metadata, ['customer', 'invoices']);
+ *   const joins = buildIncludeJoins(tableName, includes, rlsContexts, params.length);
+ *   // SELECT ..., ${joins.selectParts} FROM ... ${joins.joinParts} WHERE ...
+ *   const records = await attachIncludes(db, rows, includes, rlsContexts);
+ */
+
+const AppError = require('../../utils/app-error');
+const allMetadata = require('../../config/models');
+const { buildRLSFilter } = require('./rls-filter-helper');
+const { filterOutput } = require('./output-filter-helper');
+
+/**
+ * Key of the included relationships on each record
+ */
+const INCLUDED_KEY = 'included';
+
+/**
+ * Table name -> entity name (relationships name tables, not entities)
+ * @private
+ */
+const TABLE_TO_ENTITY = Object.fromEntries(
+  Object.entries(allMetadata)
+    .filter(([, meta]) => meta.tableName)
+    .map(([entityName, meta]) => [meta.tableName, entityName]),
+);
+
+/**
+ * Column alias of a belongsTo include in the main query
+ * @private
+ */
+function joinAlias(name) {
+  return `include_${name}`;
+}
+
+/**
+ * Relationship names an entity can include
+ *
+ * @param {Object} metadata - Entity metadata
+ * @returns {string[]}
+ */
+function getIncludableRelationships(metadata) {
+  return Object.entries(metadata.relationships || {})
+    .filter(([, relationship]) => TABLE_TO_ENTITY[relationship.table])
+    .map(([name]) => name);
+}
+
+/**
+ * Resolve include names against metadata.relationships
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {string[]} [names=[]] - Relationship names (duplicates ignored)
+ * @returns {Object[]} [{ name, relationship, entityName, metadata }]
+ * @throws {AppError} 400 if a name is not an includable relationship
+ */
+function resolveIncludes(metadata, names = []) {
+  return [...new Set(names)].map((name) => {
+    const relationship = metadata.relationships?.[name];
+    const entityName = relationship && TABLE_TO_ENTITY[relationship.table];
+    if (!entityName) {
+      throw new AppError(
+        `Cannot include '${name}'. Allowed: ${getIncludableRelationships(metadata).join(', ') || '(none)'}`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+    return {
+      name,
+      relationship,
+      entityName,
+      metadata: allMetadata[entityName],
+    };
+  });
+}
+
+/**
+ * Columns selected for an include: id plus the relationship's fields
+ * (or the related entity's display field)
+ * @private
+ */
+function includeColumns(include) {
+  const { relationship, metadata } = include;
+  const fields = relationship.fields?.length
+    ? relationship.fields
+    : [metadata.displayField || metadata.identityField || 'name'];
+  return [...new Set(['id', ...fields])];
+}
+
+/**
+ * Build the JOINs for belongsTo includes
+ *
+ * Each is a LATERAL join that turns the related row (with that entity's RLS
+ * filter) into one JSON column, null when missing or hidden. The join only
+ * adds that column, so unqualified columns of the main query stay unambiguous.
+ *
+ * @param {string} tableName - Main table name
+ * @param {Object[]} includes - From resolveIncludes()
+ * @param {Object} [rlsContexts={}] - Relationship name -> RLS context
+ * @param {number} [paramOffset=0] - Number of params already in the query
+ * @returns {Object} { selectParts: string[], joinParts: string[], params: Array }
+ */
+function buildIncludeJoins(
+  tableName,
+  includes,
+  rlsContexts = {},
+  paramOffset = 0,
+) {
+  const selectParts = [];
+  const joinParts = [];
+  const params = [];
+
+  for (const include of includes) {
+    const { name, relationship } = include;
+    if (relationship.type !== 'belongsTo') {
+      continue;
+    }
+
+    const where = [`related.id = ${tableName}.${relationship.foreignKey}`];
+    const rls = buildRLSFilter(
+      rlsContexts[name],
+      include.metadata,
+      paramOffset + params.length,
+    );
+    if (rls.clause) {
+      where.push(rls.clause);
+      params.push(...rls.params);
+    }
+
+    const alias = joinAlias(name);
+    joinParts.push(
+      `LEFT JOIN LATERAL (SELECT row_to_json(r) AS ${alias} FROM ` +
+        `(SELECT ${includeColumns(include).join(', ')} FROM ${relationship.table} related ` +
+        `WHERE ${where.join(' AND ')}) r) ${alias} ON true`,
+    );
+    selectParts.push(`${alias}.${alias}`);
+  }
+
+  return { selectParts, joinParts, params };
+}
+
+/**
+ * Load a hasMany/hasOne include for a page of records, grouped by parent id
+ * @private
+ */
+async function loadRelated(client, parentIds, include, rlsContext) {
+  const { relationship, metadata } = include;
+  const { table, foreignKey } = relationship;
+  const columns = includeColumns(include);
+
+  const where = [`${foreignKey} = ANY($1)`];
+  const params = [parentIds];
+  if (metadata.fields?.is_active) {
+    where.push('is_active = true');
+  }
+  const rls = buildRLSFilter(rlsContext, metadata, params.length);
+  if (rls.clause) {
+    where.push(rls.clause);
+    params.push(...rls.params);
+  }
+
+  const result = await client.query(
+    `SELECT ${[...new Set([...columns, foreignKey])].join(', ')} FROM ${table} ` +
+      `WHERE ${where.join(' AND ')} ORDER BY ${foreignKey}, id`,
+    params,
+  );
+
+  const byParent = new Map();
+  for (const row of result.rows) {
+    const { [foreignKey]: parentId, ...rest } = row;
+    const related = filterOutput(
+      columns.includes(foreignKey) ? row : rest,
+      metadata,
+    );
+    if (!byParent.has(parentId)) {
+      byParent.set(parentId, []);
+    }
+    byParent.get(parentId).push(related);
+  }
+  return byParent;
+}
+
+/**
+ * Nest the included relationships of each record under `included`
+ *
+ * Moves belongsTo JSON columns (buildIncludeJoins) off the record and loads
+ * hasMany/hasOne with one query each.
+ *
+ * @param {Object} client - db or a transaction client (anything with query())
+ * @param {Object[]} rows - Records from the main query
+ * @param {Object[]} includes - From resolveIncludes()
+ * @param {Object} [rlsContexts={}] - Relationship name -> RLS context
+ * @returns {Promise<Object[]>} Copies of the rows with `included`
+ */
+async function attachIncludes(client, rows, includes, rlsContexts = {}) {
+  if (includes.length === 0 || rows.length === 0) {
+    return rows;
+  }
+
+  const parentIds = [...new Set(rows.map((row) => row.id))];
+  const loaded = {};
+  for (const include of includes) {
+    if (include.relationship.type !== 'belongsTo') {
+      loaded[include.name] = await loadRelated(
+        client,
+        parentIds,
+        include,
+        rlsContexts[include.name],
+      );
+    }
+  }
+
+  return rows.map((row) => {
+    const record = { ...row };
+    const included = {};
+
+    for (const { name, relationship, metadata } of includes) {
+      if (relationship.type === 'belongsTo') {
+        const related = record[joinAlias(name)];
+        delete record[joinAlias(name)];
+        included[name] = related ? filterOutput(related, metadata) : null;
+      } else {
+        const related = loaded[name].get(row.id) || [];
+        included[name] =
+          relationship.type === 'hasMany' ? related : related[0] || null;
+      }
+    }
+
+    return { ...record, [INCLUDED_KEY]: included };
+  });
+}
+
+module.exports = {
+  INCLUDED_KEY,
+  getIncludableRelationships,
+  resolveIncludes,
+  buildIncludeJoins,
+  attachIncludes,
+};
@@ -14,12 +14,16 @@
  * - refresh_token - Session tokens (if we ever add them)
  * - api_key - API secrets (future-proofing)
  *
+ * INTERNAL COLUMNS (never returned either):
+ * - search_vector - Generated tsvector behind full-text search
+ *
  * USAGE:
  *   const safeUser = filterOutput(user, userMetadata);
  *   const safeUsers = filterOutputArray(users, userMetadata);
  */
 
 const { logger } = require('../../config/logger');
+const { SEARCH } = require('../../config/constants');
 
 /**
  * Default sensitive fields that should NEVER be returned to clients
@@ -38,6 +42,13 @@ const ALWAYS_SENSITIVE = [
   'private_key',
 ];
 
+/**
+ * Database-internal columns, never part of an entity's output
+ */
+const INTERNAL_COLUMNS = [
+  SEARCH.VECTOR_COLUMN, // Generated tsvector for full-text search
+];
+
 /**
  * Filter sensitive fields from a single entity record
  *
@@ -78,7 +89,11 @@ function filterOutput(record, metadata = {}) {
   const { sensitiveFields = [], outputFields = null } = metadata;
 
   // Combine default sensitive fields with metadata-defined ones
-  const fieldsToExclude = new Set([...ALWAYS_SENSITIVE, ...sensitiveFields]);
+  const fieldsToExclude = new Set([
+    ...ALWAYS_SENSITIVE,
+    ...INTERNAL_COLUMNS,
+    ...sensitiveFields,
+  ]);
 
   // If outputFields whitelist is defined, use it (more restrictive)
   if (outputFields && Array.isArray(outputFields) && outputFields.length > 0) {
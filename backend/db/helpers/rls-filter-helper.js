@@ -19,7 +19,9 @@
  *   - own_work_orders_only: Filter work orders by customer_id
  *   - assigned_work_orders_only: Filter work orders by assigned_technician_id
  *   - own_invoices_only: Filter invoices by customer_id
+ *   - own_payments_only: Filter payments to those on the customer's invoices
  *   - own_contracts_only: Filter contracts by customer_id
+ *   - own_time_entries_only: Filter time entries by the user's technician profile
  *   - public_resource: No filtering (e.g., roles)
  *   - deny_all: Block all access (1=0)
  *
@@ -110,6 +112,19 @@ const POLICY_HANDLERS = {
     };
   },
 
+  /**
+   * own_payments_only: Customer sees only payments on their own invoices
+   * Same ownership as own_invoices_only, reached through invoice_id (or
+   * metadata.rlsFilterConfig.invoiceField)
+   */
+  own_payments_only: (userId, metadata, paramOffset) => {
+    const field = metadata.rlsFilterConfig?.invoiceField || 'invoice_id';
+    return {
+      clause: `${field} IN (SELECT id FROM invoices WHERE customer_id = $${paramOffset + 1})`,
+      params: [userId],
+    };
+  },
+
   /**
    * own_contracts_only: Customer sees only their contracts
    * Filter by customer_id (or metadata.rlsFilterConfig.customerField)
@@ -122,6 +137,20 @@ const POLICY_HANDLERS = {
     };
   },
 
+  /**
+   * own_time_entries_only: Technician sees only their own time entries
+   * Rows carry technicians.id, so match it against the caller's
+   * users.technician_profile_id (or metadata.rlsFilterConfig.technicianField).
+   * A user with no linked profile matches nothing.
+   */
+  own_time_entries_only: (userId, metadata, paramOffset) => {
+    const field = metadata.rlsFilterConfig?.technicianField || 'technician_id';
+    return {
+      clause: `${field} = (SELECT technician_profile_id FROM users WHERE id = $${paramOffset + 1})`,
+      params: [userId],
+    };
+  },
+
   /**
    * deny_all: Block all access (security failsafe)
    */
@@ -207,7 +236,9 @@ function buildRLSFilter(rlsContext, metadata, paramOffset = 0) {
     'own_work_orders_only',
     'assigned_work_orders_only',
     'own_invoices_only',
+    'own_payments_only',
     'own_contracts_only',
+    'own_time_entries_only',
   ];
 
   // If userId is null and the policy requires user-specific filtering, deny access
@@ -0,0 +1,242 @@
+/**
+ * Schedule Conflict Helper
+ *
+ * SRP LITERALISM: ONLY detects overlapping bookings of a scheduled resource
+ *
+ * PHILOSOPHY:
+ * - METADATA-DRIVEN: Resource/window fields live in metadata.scheduleConflicts
+ * - OPT-IN: Entities without scheduleConflicts are never checked
+ * - TRANSACTION-FRIENDLY: Callers pass the client to query with (db or a
+ *   transaction client), so batch checks see uncommitted rows
+ * - SERIALIZED: A booking takes a transaction-scoped advisory lock on its
+ *   resource before the check, so callers that check and write in one
+ *   transaction cannot both book the same window
+ *
+ * METADATA SHAPE:
+ *   scheduleConflicts: {
+ *     resourceField: 'assigned_technician_id',
+ *     startField: 'scheduled_start',
+ *     endField: 'scheduled_end',
+ *     statusField: 'status',              // optional, defaults to 'status'
+ *     ignoreStatuses: ['completed', 'cancelled'],
+ *     overrideRole: 'manager',            // optional, minimum role for force
+ *   }
+ *
+ * Windows are half-open [start, end): back-to-back bookings do not conflict.
+ * A record is only checked once resource, start and end are all set.
+ * Inactive records and records in ignoreStatuses never block a booking.
+ *
+ * USAGE:
+ *   const overridden = await assertNoScheduleConflicts(client, metadata, record, {
+ *     excludeId: id,
+ *     force: false,
+ *     userRole,
+ *   });
+ */
+
+const AppError = require('../../utils/app-error');
+const { hasMinimumRole } = require('../../config/permissions-loader');
+
+/**
+ * Minimum role allowed to force a booking over a conflict when metadata
+ * does not name one
+ */
+const DEFAULT_OVERRIDE_ROLE = 'manager';
+
+/**
+ * Get metadata.scheduleConflicts
+ *
+ * @param {Object} metadata - Entity metadata
+ * @returns {Object|null} Schedule config, or null if entity is not scheduled
+ */
+function getScheduleConfig(metadata) {
+  return metadata?.scheduleConflicts || null;
+}
+
+/**
+ * Whether a set of changes touches any schedule-relevant field
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object} changes - Fields being written
+ * @returns {boolean}
+ */
+function touchesSchedule(metadata, changes) {
+  const config = getScheduleConfig(metadata);
+  if (!config) {
+    return false;
+  }
+  const statusField = config.statusField || 'status';
+  return [
+    config.resourceField,
+    config.startField,
+    config.endField,
+    statusField,
+  ].some((field) => changes[field] !== undefined);
+}
+
+/**
+ * Whether a record books its resource (resource and window set, status not
+ * ignored) and so must be checked for conflicts
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object} record - Record as it will exist after the write
+ * @returns {boolean}
+ */
+function booksResource(metadata, record) {
+  const config = getScheduleConfig(metadata);
+  if (!config) {
+    return false;
+  }
+  const { resourceField, startField, endField, ignoreStatuses = [] } = config;
+  const statusField = config.statusField || 'status';
+  return Boolean(
+    record[resourceField] &&
+    record[startField] &&
+    record[endField] &&
+    !ignoreStatuses.includes(record[statusField]),
+  );
+}
+
+/**
+ * Find records that overlap the given record's booking window
+ *
+ * @param {Object} client - Object with query(sql, params) (db or transaction client)
+ * @param {Object} metadata - Entity metadata
+ * @param {Object} record - Record as it will exist after the write
+ * @param {number|null} [excludeId] - Primary key to exclude (the record itself)
+ * @returns {Promise<Object[]>} Conflicting rows (primary key, identity, window)
+ */
+async function findScheduleConflicts(client, metadata, record, excludeId) {
+  const config = getScheduleConfig(metadata);
+  if (!config) {
+    return [];
+  }
+
+  if (!booksResource(metadata, record)) {
+    return [];
+  }
+
+  const { resourceField, startField, endField, ignoreStatuses = [] } = config;
+  const statusField = config.statusField || 'status';
+  const resourceId = record[resourceField];
+  const start = record[startField];
+  const end = record[endField];
+
+  const { tableName, primaryKey, identityField } = metadata;
+  const params = [resourceId, start, end, ignoreStatuses];
+  let excludeClause = '';
+  if (excludeId !== undefined && excludeId !== null) {
+    params.push(excludeId);
+    excludeClause = `AND ${primaryKey} <> $${params.length}`;
+  }
+
+  const query = `
+    SELECT ${primaryKey}, ${identityField}, ${startField}, ${endField}
+    FROM ${tableName}
+    WHERE ${resourceField} = $1
+      AND ${startField} < $3
+      AND ${endField} > $2
+      AND NOT (${statusField} = ANY($4::text[]))
+      AND is_active = true
+      ${excludeClause}
+    ORDER BY ${startField}
+  `;
+
+  const result = await client.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Assert that a record's booking window does not overlap another booking
+ *
+ * @param {Object} client - Object with query(sql, params)
+ * @param {Object} metadata - Entity metadata
+ * @param {Object} record - Record as it will exist after the write
+ * @param {Object} [options]
+ * @param {number|null} [options.excludeId] - Primary key of the record itself (updates)
+ * @param {boolean} [options.force=false] - Allow the conflict (caller must audit it)
+ * @param {string} [options.userRole] - Acting role; force needs overrideRole
+ *   (omit for internal operations)
+ * @returns {Promise<Object[]>} Conflicts that were overridden by force (empty if none)
+ * @throws {AppError} 400 BAD_REQUEST if the window ends before it starts
+ * @throws {AppError} 403 FORBIDDEN if force is set below overrideRole
+ * @throws {AppError} 409 SCHEDULE_CONFLICT if overlaps exist and force is not set
+ */
+async function assertNoScheduleConflicts(
+  client,
+  metadata,
+  record,
+  options = {},
+) {
+  const config = getScheduleConfig(metadata);
+  if (!config) {
+    return [];
+  }
+
+  const { resourceField, startField, endField } = config;
+  const start = record[startField];
+  const end = record[endField];
+
+  if (start && end && new Date(end) <= new Date(start)) {
+    throw new AppError(
+      `${endField} must be after ${startField}`,
+      400,
+      'BAD_REQUEST',
+    );
+  }
+
+  const overrideRole = config.overrideRole || DEFAULT_OVERRIDE_ROLE;
+  if (
+    options.force &&
+    options.userRole &&
+    !hasMinimumRole(options.userRole, overrideRole)
+  ) {
+    throw new AppError(
+      `Only ${overrideRole}s can book over a schedule conflict`,
+      403,
+      'FORBIDDEN',
+    );
+  }
+
+  if (booksResource(metadata, record)) {
+    // Held until the caller's transaction ends
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1), $2)', [
+      `${metadata.tableName}.${resourceField}`,
+      record[resourceField],
+    ]);
+  }
+
+  const conflicts = await findScheduleConflicts(
+    client,
+    metadata,
+    record,
+    options.excludeId,
+  );
+
+  if (conflicts.length === 0 || options.force) {
+    return conflicts;
+  }
+
+  const { identityField } = metadata;
+  throw new AppError(
+    `${resourceField} ${record[resourceField]} is already booked during this window: ` +
+      conflicts.map((row) => row[identityField]).join(', '),
+    409,
+    'SCHEDULE_CONFLICT',
+    {
+      resourceField,
+      resourceId: record[resourceField],
+      [startField]: start,
+      [endField]: end,
+      conflicts,
+    },
+  );
+}
+
+module.exports = {
+  getScheduleConfig,
+  touchesSchedule,
+  booksResource,
+  findScheduleConflicts,
+  assertNoScheduleConflicts,
+};
@@ -0,0 +1,264 @@
+/**
+ * Status Transition Helper
+ *
+ * SRP LITERALISM: ONLY validates lifecycle status changes against metadata
+ *
+ * PHILOSOPHY:
+ * - METADATA-DRIVEN: Allowed transitions live in metadata.statusTransitions
+ * - OPT-IN: Entities without statusTransitions are never checked
+ * - PURE: No database access - callers supply the current record
+ *
+ * METADATA SHAPE:
+ *   statusTransitions: {
+ *     field: 'status',
+ *     transitions: [
+ *       { from: 'pending', to: 'assigned', minimumRole: 'dispatcher' },
+ *       { from: ['assigned', 'in_progress'], to: 'cancelled', minimumRole: 'manager' },
+ *     ],
+ *     requiredOnEntry: {
+ *       completed: ['completed_at'],
+ *     },
+ *     initialStates: { pending: 'customer', assigned: 'dispatcher' },
+ *   }
+ *
+ * initialStates lists the statuses a record may be created in and the
+ * minimum role for each (requiredOnEntry applies to them too). Without it,
+ * creates are not checked.
+ *
+ * USAGE:
+ *   assertStatusTransition(metadata, currentRecord, changes, userRole);
+ *   const next = getAllowedTransitions(metadata, 'pending', 'dispatcher');
+ */
+
+const AppError = require('../../utils/app-error');
+const { hasMinimumRole } = require('../../config/permissions-loader');
+
+/**
+ * Normalize a transition's `from` to an array of states
+ *
+ * @param {string|string[]} from - Single state or list of states
+ * @returns {string[]}
+ */
+function toStateList(from) {
+  return Array.isArray(from) ? from : [from];
+}
+
+/**
+ * Get the status field governed by metadata.statusTransitions
+ *
+ * @param {Object} metadata - Entity metadata
+ * @returns {string|null} Field name, or null if entity has no state machine
+ */
+function getStatusField(metadata) {
+  if (!metadata?.statusTransitions) {
+    return null;
+  }
+  return metadata.statusTransitions.field || 'status';
+}
+
+/**
+ * List transitions available from a given state
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {string} fromStatus - Current status value
+ * @param {string} [userRole] - If provided, only transitions this role may perform
+ * @returns {Array<{to: string, minimumRole: string, requiredFields: string[]}>}
+ */
+function getAllowedTransitions(metadata, fromStatus, userRole) {
+  const config = metadata?.statusTransitions;
+  if (!config) {
+    return [];
+  }
+
+  const requiredOnEntry = config.requiredOnEntry || {};
+
+  return config.transitions
+    .filter((t) => toStateList(t.from).includes(fromStatus))
+    .filter((t) => !userRole || hasMinimumRole(userRole, t.minimumRole))
+    .map((t) => ({
+      to: t.to,
+      minimumRole: t.minimumRole,
+      requiredFields: requiredOnEntry[t.to] || [],
+    }));
+}
+
+/**
+ * Describe the full state machine, keyed by source state
+ *
+ * Used by /api/schema so clients only render actions the caller can take.
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {string} [userRole] - If provided, filter to transitions this role may perform
+ * @returns {Object|null} { field, states: { [from]: [...transitions] } } or null
+ */
+function describeStatusTransitions(metadata, userRole) {
+  const field = getStatusField(metadata);
+  if (!field) {
+    return null;
+  }
+
+  const statusValues = metadata.fields?.[field]?.values || [];
+  const states = {};
+  for (const state of statusValues) {
+    states[state] = getAllowedTransitions(metadata, state, userRole);
+  }
+
+  return { field, states };
+}
+
+/**
+ * Assert that the fields required on entering a state are set
+ *
+ * @param {Object} config - metadata.statusTransitions
+ * @param {string} field - Status field
+ * @param {string|null} from - Current status (null on create)
+ * @param {string} to - Target status
+ * @param {Object} changes - Fields being written
+ * @param {Object} currentRecord - Record before the write ({} on create)
+ * @throws {AppError} 422 MISSING_REQUIRED_FIELDS if entry fields are absent
+ */
+function assertRequiredOnEntry(
+  config,
+  field,
+  from,
+  to,
+  changes,
+  currentRecord,
+) {
+  const requiredFields = (config.requiredOnEntry || {})[to] || [];
+  const missingFields = requiredFields.filter((name) => {
+    const value =
+      changes[name] !== undefined ? changes[name] : currentRecord[name];
+    return value === undefined || value === null || value === '';
+  });
+
+  if (missingFields.length > 0) {
+    throw new AppError(
+      `Changing ${field} to '${to}' requires: ${missingFields.join(', ')}`,
+      422,
+      'MISSING_REQUIRED_FIELDS',
+      { field, from, to, missingFields },
+    );
+  }
+}
+
+/**
+ * Assert that a record may be created in the status it names
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {string} field - Status field
+ * @param {Object} data - Fields being inserted
+ * @param {string} [userRole] - Acting user's role (omit for internal operations)
+ * @throws {AppError} 409 INVALID_STATUS_TRANSITION if not an initial state
+ * @throws {AppError} 403 FORBIDDEN if the role is below the state's minimum
+ * @throws {AppError} 422 MISSING_REQUIRED_FIELDS if entry fields are absent
+ */
+function assertInitialStatus(metadata, field, data, userRole) {
+  const config = metadata.statusTransitions;
+  const initialStates = config.initialStates;
+  if (!initialStates) {
+    return;
+  }
+
+  const to = data[field];
+  const minimumRole = initialStates[to];
+  if (!minimumRole) {
+    throw new AppError(
+      `Cannot create with ${field} '${to}'`,
+      409,
+      'INVALID_STATUS_TRANSITION',
+      {
+        field,
+        from: null,
+        to,
+        allowedTransitions: Object.keys(initialStates).filter(
+          (state) =>
+            !userRole || hasMinimumRole(userRole, initialStates[state]),
+        ),
+      },
+    );
+  }
+
+  if (userRole && !hasMinimumRole(userRole, minimumRole)) {
+    throw new AppError(
+      `Creating with ${field} '${to}' requires ${minimumRole} role or higher`,
+      403,
+      'FORBIDDEN',
+      { field, from: null, to, requiredRole: minimumRole },
+    );
+  }
+
+  assertRequiredOnEntry(config, field, null, to, data, {});
+}
+
+/**
+ * Assert that a status change is permitted
+ *
+ * No-op when the entity has no state machine, the write does not touch the
+ * status field, or the status is unchanged. A create (no currentRecord) is
+ * checked against statusTransitions.initialStates.
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object|null} currentRecord - Record before the update (null on create)
+ * @param {Object} changes - Fields being written
+ * @param {string} [userRole] - Acting user's role (omit for internal operations)
+ * @throws {AppError} 409 INVALID_STATUS_TRANSITION if the pair is not declared
+ * @throws {AppError} 403 FORBIDDEN if the role is below the transition minimum
+ * @throws {AppError} 422 MISSING_REQUIRED_FIELDS if entry fields are absent
+ */
+function assertStatusTransition(metadata, currentRecord, changes, userRole) {
+  const field = getStatusField(metadata);
+  if (!field || changes[field] === undefined) {
+    return;
+  }
+
+  if (!currentRecord) {
+    assertInitialStatus(metadata, field, changes, userRole);
+    return;
+  }
+
+  const from = currentRecord[field];
+  const to = changes[field];
+  if (from === to) {
+    return;
+  }
+
+  const config = metadata.statusTransitions;
+  const transition = config.transitions.find(
+    (t) => t.to === to && toStateList(t.from).includes(from),
+  );
+
+  if (!transition) {
+    throw new AppError(
+      `Cannot change ${field} from '${from}' to '${to}'`,
+      409,
+      'INVALID_STATUS_TRANSITION',
+      {
+        field,
+        from,
+        to,
+        allowedTransitions: getAllowedTransitions(metadata, from, userRole).map(
+          (t) => t.to,
+        ),
+      },
+    );
+  }
+
+  if (userRole && !hasMinimumRole(userRole, transition.minimumRole)) {
+    throw new AppError(
+      `Changing ${field} from '${from}' to '${to}' requires ${transition.minimumRole} role or higher`,
+      403,
+      'FORBIDDEN',
+      { field, from, to, requiredRole: transition.minimumRole },
+    );
+  }
+
+  assertRequiredOnEntry(config, field, from, to, changes, currentRecord);
+}
+
+module.exports = {
+  getStatusField,
+  getAllowedTransitions,
+  describeStatusTransitions,
+  assertStatusTransition,
+};
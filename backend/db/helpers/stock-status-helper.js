@@ -0,0 +1,247 @@
+/**
+ * Stock Status Helper
+ *
+ * SRP LITERALISM: ONLY derives a stock status from quantity vs reorder level
+ * and detects when an item drops below its reorder level
+ *
+ * PHILOSOPHY:
+ * - METADATA-DRIVEN: Field names live in metadata.stockStatus
+ * - OPT-IN: Entities without stockStatus are never touched
+ * - MANUAL STATES WIN: A record in a manualStatuses state (discontinued)
+ *   keeps it until someone sets another status by hand
+ * - PURE: No database access - callers supply the current record. The one
+ *   exception is alertBelowReorder(), which hands off to NotificationService
+ *
+ * METADATA SHAPE:
+ *   stockStatus: {
+ *     quantityField: 'quantity',
+ *     thresholdField: 'reorder_level',
+ *     statusField: 'status',                // optional, defaults to 'status'
+ *     manualStatuses: ['discontinued'],
+ *     supplierField: 'supplier',            // optional, groups the reorder report
+ *     alertRole: 'manager',                 // optional, who hears about reorders
+ *   }
+ *
+ * DERIVATION:
+ *   quantity <= 0               -> out_of_stock
+ *   quantity <  reorder level   -> low_stock
+ *   otherwise                   -> in_stock
+ *
+ * USAGE:
+ *   Object.assign(data, stockStatusChanges(metadata, currentRecord, data));
+ *   if (crossedBelowReorder(metadata, before, after)) {
+ *     await alertBelowReorder(metadata, after);
+ *   }
+ */
+
+const NotificationService = require('../../services/notification-service');
+const { STOCK_STATUSES } = require('../../config/constants');
+
+/**
+ * Get metadata.stockStatus with defaults applied
+ *
+ * @param {Object} metadata - Entity metadata
+ * @returns {Object|null} Stock config, or null if entity tracks no stock
+ */
+function getStockStatusConfig(metadata) {
+  const config = metadata?.stockStatus;
+  if (!config) {
+    return null;
+  }
+  return {
+    statusField: 'status',
+    manualStatuses: [],
+    ...config,
+  };
+}
+
+/**
+ * Whether a set of changes touches quantity, reorder level or status
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object} changes - Fields being written
+ * @returns {boolean}
+ */
+function touchesStockLevel(metadata, changes) {
+  const config = getStockStatusConfig(metadata);
+  if (!config) {
+    return false;
+  }
+  return [config.quantityField, config.thresholdField, config.statusField].some(
+    (field) => changes[field] !== undefined,
+  );
+}
+
+/**
+ * Derive the stock status of a record
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object} record - Record as it will exist after the write
+ * @returns {string|null} Status value (the record's own if it is manual),
+ *   or null if the entity tracks no stock
+ */
+function deriveStockStatus(metadata, record) {
+  const config = getStockStatusConfig(metadata);
+  if (!config) {
+    return null;
+  }
+
+  const current = record[config.statusField];
+  if (config.manualStatuses.includes(current)) {
+    return current;
+  }
+
+  const quantity = Number(record[config.quantityField] ?? 0);
+  const threshold = record[config.thresholdField];
+
+  if (quantity <= 0) {
+    return STOCK_STATUSES.OUT_OF_STOCK;
+  }
+  if (threshold !== null && threshold !== undefined && quantity < threshold) {
+    return STOCK_STATUSES.LOW_STOCK;
+  }
+  return STOCK_STATUSES.IN_STOCK;
+}
+
+/**
+ * Status change implied by a write
+ *
+ * On create the status is always derived (missing quantity / reorder level
+ * fall back to their metadata.fields defaults). On update it is derived only
+ * when the changes touch quantity, reorder level or status, so unrelated
+ * edits never rewrite it.
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object|null} currentRecord - Row before the write (null on create)
+ * @param {Object} changes - Fields being written
+ * @returns {Object} { [statusField]: value } to merge into the write, or {}
+ */
+function stockStatusChanges(metadata, currentRecord, changes) {
+  const config = getStockStatusConfig(metadata);
+  if (!config) {
+    return {};
+  }
+  if (currentRecord && !touchesStockLevel(metadata, changes)) {
+    return {};
+  }
+
+  const fieldDefs = metadata.fields || {};
+  const base = currentRecord || {
+    [config.quantityField]: fieldDefs[config.quantityField]?.default,
+    [config.thresholdField]: fieldDefs[config.thresholdField]?.default,
+  };
+
+  return {
+    [config.statusField]: deriveStockStatus(metadata, {
+      ...base,
+      ...changes,
+    }),
+  };
+}
+
+/**
+ * Whether a record is below its reorder level and should be reordered
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object|null} record - Record to check
+ * @returns {boolean} False for manual-status records and missing thresholds
+ */
+function isBelowReorder(metadata, record) {
+  const config = getStockStatusConfig(metadata);
+  if (!config || !record) {
+    return false;
+  }
+
+  const threshold = record[config.thresholdField];
+  if (threshold === null || threshold === undefined) {
+    return false;
+  }
+  if (config.manualStatuses.includes(record[config.statusField])) {
+    return false;
+  }
+  return Number(record[config.quantityField] ?? 0) < threshold;
+}
+
+/**
+ * Whether a write took a record from at/above its reorder level to below it
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object|null} before - Row before the write
+ * @param {Object|null} after - Row after the write
+ * @returns {boolean}
+ */
+function crossedBelowReorder(metadata, before, after) {
+  if (!before || !after) {
+    return false;
+  }
+  return !isBelowReorder(metadata, before) && isBelowReorder(metadata, after);
+}
+
+/**
+ * SQL CASE expression computing the stock status for a raw UPDATE
+ *
+ * Column references in SET see the row before the update, so callers pass
+ * the expression for the new quantity (e.g. 'quantity - $2').
+ *
+ * @param {Object} metadata - Entity metadata (must have stockStatus)
+ * @param {string} quantityExpression - SQL expression for the new quantity
+ * @returns {string} CASE expression
+ */
+function buildStockStatusSql(metadata, quantityExpression) {
+  const { thresholdField, statusField, manualStatuses } =
+    getStockStatusConfig(metadata);
+  const manual = manualStatuses.map((status) => `'${status}'`).join(', ');
+  const manualClause = manual
+    ? `WHEN ${statusField} IN (${manual}) THEN ${statusField}`
+    : '';
+
+  return `CASE
+      ${manualClause}
+      WHEN (${quantityExpression}) <= 0 THEN '${STOCK_STATUSES.OUT_OF_STOCK}'
+      WHEN (${quantityExpression}) < ${thresholdField} THEN '${STOCK_STATUSES.LOW_STOCK}'
+      ELSE '${STOCK_STATUSES.IN_STOCK}'
+    END`;
+}
+
+/**
+ * Notify stockStatus.alertRole that a record needs reordering (non-blocking)
+ *
+ * @param {Object} metadata - Entity metadata
+ * @param {Object} record - Row after the write
+ * @returns {Promise<number>} Notifications created (0 if no alertRole)
+ */
+async function alertBelowReorder(metadata, record) {
+  const config = getStockStatusConfig(metadata);
+  if (!config?.alertRole) {
+    return 0;
+  }
+
+  const { entityKey, primaryKey, identityField, displayField } = metadata;
+  const label = record[identityField] || record[primaryKey];
+  const name = displayField ? record[displayField] : null;
+  const quantity = record[config.quantityField];
+  const threshold = record[config.thresholdField];
+  const supplier = config.supplierField ? record[config.supplierField] : null;
+
+  return NotificationService.notifyRole(config.alertRole, {
+    title: `Reorder needed: ${label}`,
+    body:
+      `${name ? `${name} (${label})` : label} is down to ${quantity}, ` +
+      `below its reorder level of ${threshold}.` +
+      (supplier ? ` Supplier: ${supplier}.` : ''),
+    type: 'warning',
+    resourceType: entityKey,
+    resourceId: record[primaryKey],
+  });
+}
+
+module.exports = {
+  getStockStatusConfig,
+  touchesStockLevel,
+  deriveStockStatus,
+  stockStatusChanges,
+  isBelowReorder,
+  crossedBelowReorder,
+  buildStockStatusSql,
+  alertBelowReorder,
+};
@@ -15,7 +15,9 @@
  * - own_work_orders_only: Filter by customer_id - customers see their work orders (applied: true)
  * - assigned_work_orders_only: Filter by assigned_technician_id - technicians see assigned work orders (applied: true)
  * - own_invoices_only: Filter by customer_id - customers see their invoices (applied: true)
+ * - own_payments_only: Filter by invoice ownership - customers see payments on their invoices (applied: true)
  * - own_contracts_only: Filter by customer_id - customers see their contracts (applied: true)
+ * - own_time_entries_only: Filter by technician profile - technicians see their time entries (applied: true)
  * - public_resource: No filtering - resource is public to all authorized users (applied: false)
  * - deny_all: Deny all access - role cannot access any records (applied: true, returns 1=0 SQL)
  * - admin_only: Admin-only resource - non-admins get deny_all (applied: varies by role)
@@ -112,8 +112,9 @@ function requireServiceConfigured(checkFn, serviceName) {
 /**
  * Middleware Factory: Validate parent entity exists
  * Calls service method to check if parent entity exists
+ * The request is passed through so the check can apply the caller's RLS
  *
- * @param {Function} existsFn - Async function(entityKey, entityId) => boolean
+ * @param {Function} existsFn - Async function(entityKey, entityId, req) => boolean
  * @returns {Function} Express middleware
  */
 function requireParentExists(existsFn) {
@@ -123,7 +124,7 @@ function requireParentExists(existsFn) {
       const { entityKey } = metadata || {};
       const parentId = parseInt(req.params.id, 10);
 
-      const exists = await existsFn(entityKey, parentId);
+      const exists = await existsFn(entityKey, parentId, req);
       if (!exists) {
         return next(
           new AppError(
@@ -21,6 +21,9 @@
  *   // Quick operations
  *   router.get('/health', requestTimeout(5000), handler);
  *
+ *   // Long-lived responses (streams) opt out inside the handler
+ *   req.cancelTimeout();
+ *
  *   // Must add timeout handler BEFORE error handler
  *   app.use(timeoutHandler);
  */
@@ -134,6 +137,9 @@ function requestTimeout(timeoutMs = TIMEOUTS.REQUEST.DEFAULT_MS, options = {}) {
       clearTimeout(timeoutId);
     });
 
+    // Long-lived responses (e.g. SSE streams) opt out of the timeout
+    req.cancelTimeout = () => clearTimeout(timeoutId);
+
     next();
   };
 }
@@ -0,0 +1,157 @@
+-- ============================================================================
+-- MIGRATION: 002_skills_and_certifications
+-- ============================================================================
+-- Replaces free-text technicians.skills / technicians.certifications with
+-- normalized catalogs and junction tables, and adds work_orders.required_skills
+-- for technician matching.
+--
+-- UP: Creates skills, certifications, technician_skills,
+--     technician_certifications; copies existing comma-separated values into
+--     them; drops the old text columns; adds work_orders.required_skills
+-- DOWN:
+--   ALTER TABLE work_orders DROP COLUMN IF EXISTS required_skills;
+--   ALTER TABLE technicians ADD COLUMN IF NOT EXISTS certifications TEXT;
+--   ALTER TABLE technicians ADD COLUMN IF NOT EXISTS skills TEXT;
+--   DROP TABLE IF EXISTS technician_certifications CASCADE;
+--   DROP TABLE IF EXISTS technician_skills CASCADE;
+--   DROP TABLE IF EXISTS certifications CASCADE;
+--   DROP TABLE IF EXISTS skills CASCADE;
+-- ============================================================================
+
+-- ============================================================================
+-- CATALOG TABLES
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS skills (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    category VARCHAR(255),
+    description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS certifications (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    issuing_body VARCHAR(255),
+    validity_months INTEGER CHECK (validity_months IS NULL OR validity_months > 0),
+    description TEXT
+);
+
+-- ============================================================================
+-- JUNCTION TABLES
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS technician_skills (
+    id SERIAL PRIMARY KEY,
+    technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    proficiency VARCHAR(50) DEFAULT 'intermediate' NOT NULL
+        CHECK (proficiency IN ('beginner', 'intermediate', 'advanced', 'expert')),
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT technician_skills_unique UNIQUE (technician_id, skill_id)
+);
+
+CREATE TABLE IF NOT EXISTS technician_certifications (
+    id SERIAL PRIMARY KEY,
+    technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+    certification_id INTEGER NOT NULL REFERENCES certifications(id) ON DELETE CASCADE,
+    certificate_number VARCHAR(100),
+    issue_date DATE,
+    expiry_date DATE,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT technician_certifications_unique UNIQUE (technician_id, certification_id),
+    CONSTRAINT technician_certifications_dates
+        CHECK (expiry_date IS NULL OR issue_date IS NULL OR expiry_date >= issue_date)
+);
+
+-- ============================================================================
+-- DATA MIGRATION (only runs while the legacy text columns still exist)
+-- ============================================================================
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'technicians' AND column_name = 'skills'
+    ) THEN
+        INSERT INTO skills (name)
+        SELECT DISTINCT lower(trim(value))
+        FROM technicians, unnest(string_to_array(skills, ',')) AS value
+        WHERE trim(value) <> ''
+        ON CONFLICT (name) DO NOTHING;
+
+        INSERT INTO technician_skills (technician_id, skill_id)
+        SELECT DISTINCT t.id, s.id
+        FROM technicians t, unnest(string_to_array(t.skills, ',')) AS value
+        JOIN skills s ON s.name = lower(trim(value))
+        ON CONFLICT (technician_id, skill_id) DO NOTHING;
+
+        ALTER TABLE technicians DROP COLUMN skills;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'technicians' AND column_name = 'certifications'
+    ) THEN
+        INSERT INTO certifications (name)
+        SELECT DISTINCT trim(value)
+        FROM technicians, unnest(string_to_array(certifications, ',')) AS value
+        WHERE trim(value) <> ''
+        ON CONFLICT (name) DO NOTHING;
+
+        INSERT INTO technician_certifications (technician_id, certification_id)
+        SELECT DISTINCT t.id, c.id
+        FROM technicians t, unnest(string_to_array(t.certifications, ',')) AS value
+        JOIN certifications c ON c.name = trim(value)
+        ON CONFLICT (technician_id, certification_id) DO NOTHING;
+
+        ALTER TABLE technicians DROP COLUMN certifications;
+    END IF;
+END $$;
+
+-- ============================================================================
+-- WORK ORDER REQUIRED SKILLS
+-- ============================================================================
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS required_skills INTEGER[] DEFAULT '{}' NOT NULL;
+
+-- ============================================================================
+-- INDEXES & TRIGGERS
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_skills_active ON skills(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_certifications_active ON certifications(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_technician_skills_skill ON technician_skills(skill_id);
+CREATE INDEX IF NOT EXISTS idx_technician_certifications_cert ON technician_certifications(certification_id);
+CREATE INDEX IF NOT EXISTS idx_technician_certifications_expiry ON technician_certifications(expiry_date);
+CREATE INDEX IF NOT EXISTS idx_work_orders_required_skills ON work_orders USING GIN (required_skills);
+
+DROP TRIGGER IF EXISTS update_skills_updated_at ON skills;
+CREATE TRIGGER update_skills_updated_at
+    BEFORE UPDATE ON skills
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_certifications_updated_at ON certifications;
+CREATE TRIGGER update_certifications_updated_at
+    BEFORE UPDATE ON certifications
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_technician_skills_updated_at ON technician_skills;
+CREATE TRIGGER update_technician_skills_updated_at
+    BEFORE UPDATE ON technician_skills
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_technician_certifications_updated_at ON technician_certifications;
+CREATE TRIGGER update_technician_certifications_updated_at
+    BEFORE UPDATE ON technician_certifications
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- MIGRATION: 003_contract_service_schedules
+-- ============================================================================
+-- Adds a recurring service schedule to contracts and links generated
+-- preventive-maintenance work orders back to the contract occurrence.
+--
+-- UP: Adds contracts.service_* schedule and address columns; adds
+--     work_orders.contract_id and work_orders.occurrence_date with a unique
+--     (contract_id, occurrence_date) index
+-- DOWN:
+--   DROP INDEX IF EXISTS uq_work_orders_contract_occurrence;
+--   ALTER TABLE work_orders DROP COLUMN IF EXISTS occurrence_date;
+--   ALTER TABLE work_orders DROP COLUMN IF EXISTS contract_id;
+--   ALTER TABLE contracts DROP COLUMN IF EXISTS service_country,
+--     DROP COLUMN IF EXISTS service_postal_code, DROP COLUMN IF EXISTS service_state,
+--     DROP COLUMN IF EXISTS service_city, DROP COLUMN IF EXISTS service_line2,
+--     DROP COLUMN IF EXISTS service_line1, DROP COLUMN IF EXISTS service_priority,
+--     DROP COLUMN IF EXISTS service_summary, DROP COLUMN IF EXISTS service_interval,
+--     DROP COLUMN IF EXISTS service_frequency;
+-- ============================================================================
+
+-- ============================================================================
+-- CONTRACT SERVICE SCHEDULE
+-- ============================================================================
+ALTER TABLE contracts
+ADD COLUMN IF NOT EXISTS service_frequency VARCHAR(20)
+    CHECK (service_frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+ADD COLUMN IF NOT EXISTS service_interval INTEGER DEFAULT 1 NOT NULL
+    CHECK (service_interval >= 1),
+ADD COLUMN IF NOT EXISTS service_summary VARCHAR(255),
+ADD COLUMN IF NOT EXISTS service_priority VARCHAR(50) DEFAULT 'normal'
+    CHECK (service_priority IN ('low', 'normal', 'high', 'urgent')),
+ADD COLUMN IF NOT EXISTS service_line1 VARCHAR(255),
+ADD COLUMN IF NOT EXISTS service_line2 VARCHAR(255),
+ADD COLUMN IF NOT EXISTS service_city VARCHAR(100),
+ADD COLUMN IF NOT EXISTS service_state VARCHAR(10),
+ADD COLUMN IF NOT EXISTS service_postal_code VARCHAR(20),
+ADD COLUMN IF NOT EXISTS service_country VARCHAR(2) DEFAULT 'US';
+
+-- ============================================================================
+-- WORK ORDER OCCURRENCE LINK
+-- ============================================================================
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS contract_id INTEGER REFERENCES contracts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_work_orders_contract ON work_orders(contract_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_work_orders_contract_occurrence ON work_orders(contract_id, occurrence_date);
+CREATE INDEX IF NOT EXISTS idx_contracts_service_frequency ON contracts(service_frequency) WHERE service_frequency IS NOT NULL;
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- MIGRATION: 004_work_order_parts
+-- ============================================================================
+-- Records which inventory parts were used on a work order. Adding a line
+-- takes the quantity out of inventory.quantity and removing it puts it back,
+-- in the same transaction (see services/work-order-part-service.js).
+--
+-- UP: Creates work_order_parts with its indexes and updated_at trigger
+-- DOWN:
+--   DROP TABLE IF EXISTS work_order_parts CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS work_order_parts (
+    id SERIAL PRIMARY KEY,
+    work_order_id INTEGER NOT NULL REFERENCES work_orders(id) ON DELETE CASCADE,
+    inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_cost DECIMAL(10, 2),
+    notes TEXT,
+    stock_override BOOLEAN DEFAULT false NOT NULL,
+    added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- ============================================================================
+-- INDEXES & TRIGGERS
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_work_order_parts_work_order ON work_order_parts(work_order_id);
+CREATE INDEX IF NOT EXISTS idx_work_order_parts_inventory ON work_order_parts(inventory_id);
+
+DROP TRIGGER IF EXISTS update_work_order_parts_updated_at ON work_order_parts;
+CREATE TRIGGER update_work_order_parts_updated_at
+    BEFORE UPDATE ON work_order_parts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- MIGRATION: 005_inventory_stock_status
+-- ============================================================================
+-- inventory.status is now derived from quantity vs reorder_level whenever
+-- either changes (stockStatus in config/models/inventory-metadata.js).
+-- Existing rows were set by hand and may have drifted, so re-derive them
+-- once. discontinued is a manual state and is left alone.
+--
+-- UP: Re-derives status for every non-discontinued inventory row
+-- DOWN: None (the previous hand-set values are not kept)
+-- ============================================================================
+
+UPDATE inventory
+SET status = CASE
+        WHEN quantity <= 0 THEN 'out_of_stock'
+        WHEN quantity < reorder_level THEN 'low_stock'
+        ELSE 'in_stock'
+    END
+WHERE status IS DISTINCT FROM 'discontinued';
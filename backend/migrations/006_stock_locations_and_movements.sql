@@ -0,0 +1,104 @@
+-- ============================================================================
+-- MIGRATION: 006_stock_locations_and_movements
+-- ============================================================================
+-- inventory.location was one free-text string, so stock could not be split
+-- between the warehouse and each technician's truck. Stock now lives at
+-- stock_locations and every change is an append-only stock_movements row.
+-- Per-location on-hand is the ledger sum; inventory.quantity stays as the
+-- roll-up across all locations (see services/stock-movement-service.js).
+--
+-- Existing stock is booked into a default "Main Warehouse" location as one
+-- opening-balance adjustment per item, so the ledger matches quantity.
+--
+-- UP: Creates stock_locations and stock_movements, seeds the default
+--     location and opening balances, and adds work_order_parts.stock_location_id
+-- DOWN:
+--   ALTER TABLE work_order_parts DROP COLUMN IF EXISTS stock_location_id;
+--   DROP TABLE IF EXISTS stock_movements CASCADE;
+--   DROP TABLE IF EXISTS stock_locations CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS stock_locations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    location_type VARCHAR(50) DEFAULT 'warehouse' NOT NULL
+        CHECK (location_type IN ('warehouse', 'truck')),
+    technician_id INTEGER REFERENCES technicians(id) ON DELETE SET NULL,
+    description TEXT,
+    is_default BOOLEAN DEFAULT false NOT NULL,
+
+    CONSTRAINT stock_locations_truck_technician
+        CHECK (technician_id IS NULL OR location_type = 'truck')
+);
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id SERIAL PRIMARY KEY,
+    inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE RESTRICT,
+    movement_type VARCHAR(50) NOT NULL
+        CHECK (movement_type IN ('receipt', 'transfer', 'consumption', 'return', 'adjustment')),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    from_location_id INTEGER REFERENCES stock_locations(id) ON DELETE RESTRICT,
+    to_location_id INTEGER REFERENCES stock_locations(id) ON DELETE RESTRICT,
+    reason TEXT,
+    work_order_id INTEGER REFERENCES work_orders(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    CONSTRAINT stock_movements_locations CHECK (
+        CASE movement_type
+            WHEN 'receipt' THEN from_location_id IS NULL AND to_location_id IS NOT NULL
+            WHEN 'return' THEN from_location_id IS NULL AND to_location_id IS NOT NULL
+            WHEN 'consumption' THEN from_location_id IS NOT NULL AND to_location_id IS NULL
+            WHEN 'transfer' THEN from_location_id IS NOT NULL AND to_location_id IS NOT NULL
+                AND from_location_id <> to_location_id
+            ELSE (from_location_id IS NULL) <> (to_location_id IS NULL)
+        END
+    )
+);
+
+ALTER TABLE work_order_parts
+ADD COLUMN IF NOT EXISTS stock_location_id INTEGER REFERENCES stock_locations(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- INDEXES & TRIGGERS
+-- ============================================================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_locations_default_unique
+    ON stock_locations(is_default) WHERE is_default = true;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_locations_technician_unique
+    ON stock_locations(technician_id) WHERE technician_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_locations_active ON stock_locations(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_inventory ON stock_movements(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_from ON stock_movements(from_location_id) WHERE from_location_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_to ON stock_movements(to_location_id) WHERE to_location_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_work_order ON stock_movements(work_order_id) WHERE work_order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_created ON stock_movements(created_at DESC);
+
+-- stock_movements is append-only: no updated_at column or trigger
+DROP TRIGGER IF EXISTS update_stock_locations_updated_at ON stock_locations;
+CREATE TRIGGER update_stock_locations_updated_at
+    BEFORE UPDATE ON stock_locations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- DEFAULT LOCATION & OPENING BALANCES
+-- ============================================================================
+INSERT INTO stock_locations (name, location_type, description, is_default)
+SELECT 'Main Warehouse', 'warehouse', 'Default location for received stock', true
+WHERE NOT EXISTS (SELECT 1 FROM stock_locations WHERE is_default = true);
+
+INSERT INTO stock_movements (inventory_id, movement_type, quantity, from_location_id, to_location_id, reason)
+SELECT i.id,
+       'adjustment',
+       ABS(i.quantity),
+       CASE WHEN i.quantity < 0 THEN l.id END,
+       CASE WHEN i.quantity > 0 THEN l.id END,
+       'Opening balance'
+FROM inventory i
+CROSS JOIN stock_locations l
+WHERE l.is_default = true
+  AND i.quantity <> 0
+  AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.inventory_id = i.id);
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- MIGRATION: 007_time_entries
+-- ============================================================================
+-- Technicians have an hourly_rate but no record of hours worked. A
+-- time_entries row is one stint of work by a technician on a work order:
+-- opened by POST /api/work_orders/:id/clock-in, closed by /clock-out
+-- (see services/time-entry-service.js).
+--
+-- A technician has at most one open entry (ended_at IS NULL) at a time.
+-- Time history is kept: technicians and work orders with entries are
+-- deactivated, not deleted.
+--
+-- UP: Creates time_entries with its indexes and updated_at trigger
+-- DOWN:
+--   DROP TABLE IF EXISTS time_entries CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS time_entries (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE RESTRICT,
+    work_order_id INTEGER NOT NULL REFERENCES work_orders(id) ON DELETE RESTRICT,
+    started_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP,
+    break_minutes INTEGER DEFAULT 0 NOT NULL CHECK (break_minutes >= 0),
+    is_billable BOOLEAN DEFAULT true NOT NULL,
+    notes TEXT,
+
+    CONSTRAINT time_entries_ended_after_started
+        CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+-- ============================================================================
+-- INDEXES & TRIGGERS
+-- ============================================================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_open_unique
+    ON time_entries(technician_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_time_entries_technician_started ON time_entries(technician_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_work_order ON time_entries(work_order_id);
+CREATE INDEX IF NOT EXISTS idx_time_entries_active ON time_entries(is_active) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS update_time_entries_updated_at ON time_entries;
+CREATE TRIGGER update_time_entries_updated_at
+    BEFORE UPDATE ON time_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,46 @@
+-- ============================================================================
+-- MIGRATION: 008_invoice_line_items
+-- ============================================================================
+-- Invoices only carried hand-entered amount/tax/total. An invoice_line_items
+-- row is one billed line (description, quantity x unit_price, tax code),
+-- optionally linked to the inventory item or technician it bills for.
+-- Lines are managed under /api/invoices/:id/line_items while the invoice is
+-- a draft, and every change recomputes the invoice's amount, tax and total
+-- (see services/invoice-service.js).
+--
+-- amount, tax_rate and tax are written by the server: tax_rate is the rate
+-- the line's tax_code resolved to when the line was last written.
+--
+-- UP: Creates invoice_line_items with its indexes and updated_at trigger
+-- DOWN:
+--   DROP TABLE IF EXISTS invoice_line_items CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    description VARCHAR(255) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+    tax_code VARCHAR(50) DEFAULT 'standard' NOT NULL,
+    tax_rate DECIMAL(6, 3) DEFAULT 0 NOT NULL CHECK (tax_rate >= 0),
+    amount DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+    tax DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+    inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+    technician_id INTEGER REFERENCES technicians(id) ON DELETE SET NULL
+);
+
+-- ============================================================================
+-- INDEXES & TRIGGERS
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_inventory ON invoice_line_items(inventory_id) WHERE inventory_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_invoice_line_items_updated_at ON invoice_line_items;
+CREATE TRIGGER update_invoice_line_items_updated_at
+    BEFORE UPDATE ON invoice_line_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,86 @@
+-- ============================================================================
+-- MIGRATION: 009_payments
+-- ============================================================================
+-- An invoice was either paid (with a paid_at) or not, so deposits and
+-- partial payments could not be recorded. Money received or returned is now
+-- an append-only payments row per invoice:
+--   payment  - money received, reduces the balance
+--   refund   - money returned to the customer, raises it again
+--   reversal - cancels one earlier payment (e.g. a bounced check)
+--
+-- invoices.amount_paid is the net of the ledger, kept in step by
+-- services/payment-service.js; invoices.balance is total - amount_paid.
+-- A sent or overdue invoice whose balance reaches zero becomes paid.
+--
+-- Invoices already marked paid get one opening payment for their total,
+-- dated paid_at, so the ledger matches their status.
+--
+-- UP: Creates payments with its indexes, adds invoices.amount_paid and
+--     invoices.balance, and books opening payments for paid invoices
+-- DOWN:
+--   ALTER TABLE invoices DROP COLUMN IF EXISTS balance;
+--   ALTER TABLE invoices DROP COLUMN IF EXISTS amount_paid;
+--   DROP TABLE IF EXISTS payments CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+    entry_type VARCHAR(20) DEFAULT 'payment' NOT NULL
+        CHECK (entry_type IN ('payment', 'refund', 'reversal')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(50) NOT NULL
+        CHECK (method IN ('cash', 'check', 'card', 'bank_transfer', 'other')),
+    reference VARCHAR(100),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    notes TEXT,
+    reverses_payment_id INTEGER REFERENCES payments(id) ON DELETE RESTRICT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    CONSTRAINT payments_reversal_target
+        CHECK ((entry_type = 'reversal') = (reverses_payment_id IS NOT NULL))
+);
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS balance DECIMAL(10, 2)
+    GENERATED ALWAYS AS (total - amount_paid) STORED;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_payments_received ON payments(received_at DESC);
+-- A payment is reversed at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_reverses_unique
+    ON payments(reverses_payment_id) WHERE reverses_payment_id IS NOT NULL;
+
+-- payments is append-only: no updated_at column or trigger
+
+-- ============================================================================
+-- OPENING PAYMENTS
+-- ============================================================================
+INSERT INTO payments (invoice_id, entry_type, amount, method, received_at, notes)
+SELECT i.id,
+       'payment',
+       i.total,
+       'other',
+       COALESCE(i.paid_at, i.updated_at),
+       'Opening balance: paid before the payments ledger'
+FROM invoices i
+WHERE i.status = 'paid'
+  AND i.total > 0
+  AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.invoice_id = i.id);
+
+UPDATE invoices i
+SET amount_paid = p.net
+FROM (
+    SELECT invoice_id,
+           SUM(CASE WHEN entry_type = 'payment' THEN amount ELSE -amount END) AS net
+    FROM payments
+    GROUP BY invoice_id
+) p
+WHERE p.invoice_id = i.id;
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- MIGRATION: 010_scheduled_jobs
+-- ============================================================================
+-- Recurring maintenance tasks (config/scheduled-jobs.js) run inside the
+-- backend process via services/job-scheduler-service.js. With several
+-- backend instances, each run takes a Postgres advisory lock on the job
+-- and claims its cron tick here, so every tick runs on one instance only.
+--
+--   scheduled_jobs     - per-job pause state (no row = not paused)
+--   scheduled_job_runs - run history: start, end, outcome, error, result
+--
+-- UP: Creates both tables with their indexes
+-- DOWN:
+--   DROP TABLE IF EXISTS scheduled_job_runs CASCADE;
+--   DROP TABLE IF EXISTS scheduled_jobs CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    -- Job name from config/scheduled-jobs.js
+    name VARCHAR(100) PRIMARY KEY,
+
+    paused BOOLEAN DEFAULT false NOT NULL,
+    paused_at TIMESTAMP,
+    paused_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+
+    -- How the run started; scheduled runs record the cron tick they serve
+    trigger_type VARCHAR(20) NOT NULL
+        CHECK (trigger_type IN ('schedule', 'startup', 'manual')),
+    scheduled_for TIMESTAMP,
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Outcome
+    status VARCHAR(20) DEFAULT 'running' NOT NULL
+        CHECK (status IN ('running', 'succeeded', 'failed')),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    error TEXT,
+    result JSONB,
+
+    CONSTRAINT scheduled_job_runs_tick
+        CHECK ((trigger_type = 'schedule') = (scheduled_for IS NOT NULL))
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job
+    ON scheduled_job_runs(job_name, started_at DESC);
+-- One run per job per cron tick, whichever instance claims it first
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_job_runs_tick
+    ON scheduled_job_runs(job_name, scheduled_for) WHERE scheduled_for IS NOT NULL;
+
+COMMENT ON TABLE scheduled_jobs IS 'Pause state of in-process scheduled jobs (config/scheduled-jobs.js)';
+COMMENT ON TABLE scheduled_job_runs IS 'Run history of scheduled jobs - one row per run';
@@ -0,0 +1,65 @@
+-- ============================================================================
+-- MIGRATION: 011_background_jobs
+-- ============================================================================
+-- Durable queue for slow work (services/job-queue-service.js). Services
+-- enqueue typed jobs (config/job-types.js); workers in every backend
+-- instance claim due rows with FOR UPDATE SKIP LOCKED, retry failures with
+-- backoff and dead-letter jobs that keep failing.
+--
+--   background_jobs - one row per job: payload, status, attempts,
+--                     progress, result / last error, submitter
+--
+-- UP: Creates background_jobs with its indexes
+-- DOWN:
+--   DROP TABLE IF EXISTS background_jobs CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+    id SERIAL PRIMARY KEY,
+
+    -- Handler key from config/job-types.js and its input
+    type VARCHAR(100) NOT NULL,
+    payload JSONB DEFAULT '{}'::jsonb NOT NULL,
+
+    -- queued -> running -> succeeded | queued (retry) | dead
+    status VARCHAR(20) DEFAULT 'queued' NOT NULL
+        CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+    attempts INTEGER DEFAULT 0 NOT NULL CHECK (attempts >= 0),
+    max_attempts INTEGER DEFAULT 5 NOT NULL CHECK (max_attempts >= 1),
+    -- Not claimed before this time (retry backoff, delayed jobs)
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- Worker holding a running job and when it last checked in
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP,
+
+    -- Handler-reported progress
+    progress INTEGER DEFAULT 0 NOT NULL CHECK (progress BETWEEN 0 AND 100),
+    progress_message VARCHAR(255),
+
+    -- Outcome
+    result JSONB,
+    last_error TEXT,
+
+    -- Who enqueued it (GET /api/jobs/:id is scoped to them)
+    submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+-- Claim query: due queued jobs in run_at order
+CREATE INDEX IF NOT EXISTS idx_background_jobs_due
+    ON background_jobs(run_at, id) WHERE status = 'queued';
+-- Lost-worker recovery
+CREATE INDEX IF NOT EXISTS idx_background_jobs_running
+    ON background_jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_background_jobs_submitter
+    ON background_jobs(submitted_by, created_at DESC);
+
+COMMENT ON TABLE background_jobs IS 'Durable background job queue - claimed with FOR UPDATE SKIP LOCKED';
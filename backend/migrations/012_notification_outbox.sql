@@ -0,0 +1,61 @@
+-- ============================================================================
+-- MIGRATION: 012_notification_outbox
+-- ============================================================================
+-- Notifications can now also go out by email. Each message is rendered into
+-- an outbox row (services/outbox-service.js) and delivered by the
+-- 'outbox.deliver' background job, which retries failures; admins see
+-- every row's delivery status. Users turn email off in their preferences.
+--
+--   outbox                          - one row per message: channel,
+--                                     recipient, rendered content, status
+--   preferences.email_notifications - per-user switch for the email channel
+--
+-- UP: Creates outbox with its indexes, adds preferences.email_notifications
+-- DOWN:
+--   DROP TABLE IF EXISTS outbox CASCADE;
+--   ALTER TABLE preferences DROP COLUMN IF EXISTS email_notifications;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS outbox (
+    id SERIAL PRIMARY KEY,
+
+    -- Channel key from config/notification-channels.js
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('email')),
+
+    -- The in-app notification this message repeats, and its user
+    notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Rendered message (config/email-templates.js)
+    recipient VARCHAR(255) NOT NULL,
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+
+    -- pending -> sent | failed (retried by the background job queue)
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL
+        CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0 NOT NULL CHECK (attempts >= 0),
+    last_error TEXT,
+    sent_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+-- Admin list by status, newest first
+CREATE INDEX IF NOT EXISTS idx_outbox_status
+    ON outbox(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_outbox_notification
+    ON outbox(notification_id);
+
+COMMENT ON TABLE outbox IS 'Notification messages for channels besides in-app (email), with delivery status';
+
+-- ============================================================================
+-- PREFERENCES
+-- ============================================================================
+ALTER TABLE preferences
+    ADD COLUMN IF NOT EXISTS email_notifications BOOLEAN NOT NULL DEFAULT true;
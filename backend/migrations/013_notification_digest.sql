@@ -0,0 +1,26 @@
+-- ============================================================================
+-- MIGRATION: 013_notification_digest
+-- ============================================================================
+-- Users can swap per-notification emails for one daily summary. The
+-- 'notification-digest' scheduled job counts each opted-in user's new unread
+-- notifications into a single 'digest' notification, which is the only one
+-- of theirs the email channel sends.
+--
+--   preferences.notification_digest - per-user opt-in for the daily digest
+--   notifications.type              - adds 'digest'
+--
+-- UP: Adds preferences.notification_digest, allows type 'digest'
+-- DOWN:
+--   ALTER TABLE preferences DROP COLUMN IF EXISTS notification_digest;
+--   DELETE FROM notifications WHERE type = 'digest';
+--   ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+--   ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+--       CHECK (type IN ('info', 'success', 'warning', 'error', 'assignment', 'reminder'));
+-- ============================================================================
+
+ALTER TABLE preferences
+    ADD COLUMN IF NOT EXISTS notification_digest BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('info', 'success', 'warning', 'error', 'assignment', 'reminder', 'digest'));
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- MIGRATION: 014_entity_changes
+-- ============================================================================
+-- Real-time change stream (GET /api/stream, services/change-stream-service.js).
+-- Every committed create/update/delete is logged here and announced with
+-- NOTIFY entity_changes (payload: the row ID), so each backend instance can
+-- push it to its connected clients. Clients that reconnect with
+-- Last-Event-ID catch up from this table; rows are kept for a day.
+--
+--   entity_changes - one row per change: entity, action, record before/after
+--
+-- UP: Creates entity_changes with its index
+-- DOWN:
+--   DROP TABLE IF EXISTS entity_changes CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS entity_changes (
+    -- Also the SSE event ID (Last-Event-ID)
+    id BIGSERIAL PRIMARY KEY,
+
+    -- Entity key (config/models) and ENTITY_EVENTS action
+    entity VARCHAR(50) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated', 'deleted')),
+    record_id INTEGER NOT NULL,
+
+    -- Row after the change (before it for deleted) and before it (updated),
+    -- checked against each client's RLS policy when delivered
+    record JSONB NOT NULL,
+    previous JSONB,
+
+    -- User who made the change (NULL for system changes)
+    actor_id INTEGER,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+-- Retention cleanup
+CREATE INDEX IF NOT EXISTS idx_entity_changes_created
+    ON entity_changes(created_at);
+
+COMMENT ON TABLE entity_changes IS 'Recent entity changes for the real-time stream (GET /api/stream), kept for Last-Event-ID resume';
@@ -0,0 +1,91 @@
+-- ============================================================================
+-- MIGRATION: 015_webhooks
+-- ============================================================================
+-- Outbound webhooks (services/webhook-service.js). Admins subscribe an
+-- external URL to entity events; each matching event becomes a delivery
+-- row, POSTed as signed JSON by the 'webhook.deliver' background job, which
+-- retries failures with backoff. The delivery log keeps the response code.
+--
+--   webhook_subscriptions - URL, events, entity filter, signing secret
+--   webhook_deliveries    - one row per event per subscription: payload,
+--                           status, attempts, last response
+--
+-- UP: Creates both tables with their indexes and updated_at trigger
+-- DOWN:
+--   DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+--   DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- Receiver (http or https)
+    url VARCHAR(2048) NOT NULL,
+
+    -- Entity events sent (ENTITY_EVENTS actions)
+    events TEXT[] DEFAULT ARRAY['created', 'updated', 'deleted'] NOT NULL
+        CHECK (events <@ ARRAY['created', 'updated', 'deleted']),
+
+    -- Entity keys (config/models) sent; empty = every entity
+    entities TEXT[] DEFAULT '{}' NOT NULL,
+
+    -- HMAC-SHA256 signing key (never returned by the API)
+    secret VARCHAR(255) NOT NULL CHECK (length(secret) >= 16),
+
+    description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL
+        REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+
+    -- Event (X-Tross-Event-Id; the same for every subscription and for
+    -- redeliveries) and its type, e.g. 'work_order.updated'
+    event_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+
+    -- pending -> delivered | failed (retried by the background job queue)
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER DEFAULT 0 NOT NULL CHECK (attempts >= 0),
+
+    -- Last attempt: HTTP status (NULL when no response), body, error
+    response_status INTEGER,
+    response_body TEXT,
+    last_error TEXT,
+    duration_ms INTEGER,
+    delivered_at TIMESTAMP,
+
+    -- Delivery this one repeats (manual redeliver)
+    redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+-- Admin list by status, newest first
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status
+    ON webhook_deliveries(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+    ON webhook_deliveries(subscription_id, created_at DESC);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at
+    BEFORE UPDATE ON webhook_subscriptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_subscriptions IS 'External URLs subscribed to entity events (outbound webhooks)';
+COMMENT ON TABLE webhook_deliveries IS 'Webhook delivery log: signed payload per event and subscription, with status and last response';
@@ -0,0 +1,75 @@
+-- ============================================================================
+-- MIGRATION: 016_full_text_search
+-- ============================================================================
+-- Full-text search for list and export endpoints
+-- (QueryBuilderService.buildSearchClause). Each entity with searchWeights in
+-- its metadata gets a weighted tsvector of its searchable fields as a stored
+-- generated column, GIN indexed, which searches match with
+-- websearch_to_tsquery and rank with ts_rank. The expressions must match
+-- QueryBuilderService.buildSearchVectorExpression(metadata.searchWeights);
+-- __tests__/unit/config/search-vectors.test.js checks this file and
+-- schema.sql against metadata.
+--
+-- Adding the columns rewrites each table once to fill them.
+--
+-- UP: Adds search_vector and a GIN index to customers, technicians,
+--     work_orders, invoices, contracts and inventory
+-- DOWN:
+--   ALTER TABLE customers DROP COLUMN IF EXISTS search_vector;
+--   ALTER TABLE technicians DROP COLUMN IF EXISTS search_vector;
+--   ALTER TABLE work_orders DROP COLUMN IF EXISTS search_vector;
+--   ALTER TABLE invoices DROP COLUMN IF EXISTS search_vector;
+--   ALTER TABLE contracts DROP COLUMN IF EXISTS search_vector;
+--   ALTER TABLE inventory DROP COLUMN IF EXISTS search_vector;
+-- (dropping the column drops its index)
+-- ============================================================================
+
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(organization_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(first_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(last_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(email, '')), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_customers_search ON customers USING GIN (search_vector);
+
+ALTER TABLE technicians
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(first_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(last_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(email, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(license_number, '')), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_technicians_search ON technicians USING GIN (search_vector);
+
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(work_order_number, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_work_orders_search ON work_orders USING GIN (search_vector);
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(invoice_number, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_invoices_search ON invoices USING GIN (search_vector);
+
+ALTER TABLE contracts
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(contract_number, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_contracts_search ON contracts USING GIN (search_vector);
+
+ALTER TABLE inventory
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(sku, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_inventory_search ON inventory USING GIN (search_vector);
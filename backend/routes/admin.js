@@ -7,6 +7,16 @@
  *   ├── settings              - GET/PUT system settings
  *   ├── settings/:key         - GET/PUT specific setting
  *   ├── maintenance           - GET/PUT maintenance mode
+ *   ├── lifecycle-sweep       - POST run the overdue/expiry sweep now
+ *   ├── jobs                  - GET scheduled jobs (state, last/next run)
+ *   ├── jobs/:name/runs       - GET run history
+ *   ├── jobs/:name/pause      - POST stop scheduled runs
+ *   ├── jobs/:name/resume     - POST restart scheduled runs
+ *   ├── jobs/:name/run        - POST run now (waits for the result)
+ *   ├── outbox                - GET email/outbox messages and delivery status
+ *   ├── outbox/:id/retry      - POST send a failed message again
+ *   ├── webhooks/deliveries   - GET webhook delivery log
+ *   ├── webhooks/deliveries/:id/redeliver - POST send a delivery again
  *   ├── sessions              - GET active sessions list
  *   ├── sessions/:userId/force-logout  - POST force logout
  *   ├── sessions/:userId/reactivate    - POST reactivate
@@ -36,6 +46,11 @@ const systemSettingsService = require('../services/system-settings-service');
 const sessionsService = require('../services/sessions-service');
 const EntityMetadataService = require('../services/entity-metadata-service');
 const AuditService = require('../services/audit-service');
+const LifecycleSweepService = require('../services/lifecycle-sweep-service');
+const JobSchedulerService = require('../services/job-scheduler-service');
+const OutboxService = require('../services/outbox-service');
+const WebhookService = require('../services/webhook-service');
+const { AuditActions } = require('../services/audit-constants');
 // Logger available if needed: const { logger } = require('../config/logger');
 const { validateIdParam } = require('../validators');
 const { getClientIp, getUserAgent } = require('../utils/request-helpers');
@@ -183,6 +198,251 @@ router.put(
   }),
 );
 
+// ============================================================================
+// SYSTEM: LIFECYCLE SWEEP
+// ============================================================================
+
+/**
+ * POST /api/admin/system/lifecycle-sweep
+ * Run the nightly sweep now: sent invoices past due_date -> overdue, active
+ * contracts past end_date -> expired, contract expiry reminders.
+ * Changes are audited to the system actor; the trigger to the admin.
+ * Returns: { asOf, invoices, contracts, reminders } summary
+ */
+router.post(
+  '/system/lifecycle-sweep',
+  asyncHandler(async (req, res) => {
+    const summary = await LifecycleSweepService.run();
+
+    await AuditService.log({
+      action: AuditActions.LIFECYCLE_SWEEP_RUN,
+      resourceType: 'system_jobs',
+      userId: req.dbUser.id,
+      newValues: {
+        overdue_invoices: summary.invoices.updated,
+        expired_contracts: summary.contracts.updated,
+        reminders: summary.reminders.notified,
+      },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, summary, {
+      message: `${summary.invoices.updated} invoice(s) marked overdue, ${summary.contracts.updated} contract(s) expired`,
+    });
+  }),
+);
+
+// ============================================================================
+// SYSTEM: SCHEDULED JOBS (config/scheduled-jobs.js)
+// ============================================================================
+
+/**
+ * GET /api/admin/system/jobs
+ * All scheduled jobs with schedule, enabled/paused state, last run and
+ * next scheduled run
+ */
+router.get(
+  '/system/jobs',
+  asyncHandler(async (req, res) => {
+    const jobs = await JobSchedulerService.listJobs();
+    return ResponseFormatter.success(res, jobs);
+  }),
+);
+
+/**
+ * GET /api/admin/system/jobs/:name/runs
+ * Run history of one job, newest first
+ * Query params: limit (default 20, max 100)
+ */
+router.get(
+  '/system/jobs/:name/runs',
+  asyncHandler(async (req, res) => {
+    const runs = await JobSchedulerService.getRuns(req.params.name, {
+      limit: req.query.limit,
+    });
+    return ResponseFormatter.success(res, runs);
+  }),
+);
+
+/**
+ * POST /api/admin/system/jobs/:name/pause
+ * Skip the job's scheduled runs until resumed (manual runs still work)
+ */
+router.post(
+  '/system/jobs/:name/pause',
+  asyncHandler(async (req, res) => {
+    const state = await JobSchedulerService.pause(
+      req.params.name,
+      req.dbUser.id,
+    );
+
+    await AuditService.log({
+      action: AuditActions.JOB_PAUSED,
+      resourceType: 'system_jobs',
+      userId: req.dbUser.id,
+      newValues: { job: req.params.name, paused: true },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, state, {
+      message: `Job '${req.params.name}' paused`,
+    });
+  }),
+);
+
+/**
+ * POST /api/admin/system/jobs/:name/resume
+ * Let a paused job run on schedule again
+ */
+router.post(
+  '/system/jobs/:name/resume',
+  asyncHandler(async (req, res) => {
+    const state = await JobSchedulerService.resume(
+      req.params.name,
+      req.dbUser.id,
+    );
+
+    await AuditService.log({
+      action: AuditActions.JOB_RESUMED,
+      resourceType: 'system_jobs',
+      userId: req.dbUser.id,
+      newValues: { job: req.params.name, paused: false },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, state, {
+      message: `Job '${req.params.name}' resumed`,
+    });
+  }),
+);
+
+/**
+ * POST /api/admin/system/jobs/:name/run
+ * Run the job now and wait for it. A job failure is returned as the run's
+ * status/error; 409 if the job is already running.
+ * Returns: the finished run record
+ */
+router.post(
+  '/system/jobs/:name/run',
+  asyncHandler(async (req, res) => {
+    const run = await JobSchedulerService.runNow(req.params.name, {
+      userId: req.dbUser.id,
+    });
+
+    await AuditService.log({
+      action: AuditActions.JOB_RUN,
+      resourceType: 'system_jobs',
+      userId: req.dbUser.id,
+      newValues: { job: req.params.name, run_id: run.id, status: run.status },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, run, {
+      message: `Job '${req.params.name}' ${run.status}`,
+    });
+  }),
+);
+
+// ============================================================================
+// SYSTEM: OUTBOX (Email and other notification channel delivery)
+// ============================================================================
+
+/**
+ * GET /api/admin/system/outbox
+ * Outbox messages, newest first, with counts per delivery status
+ * Query params: page, limit (default 50, max 200), status, channel
+ */
+router.get(
+  '/system/outbox',
+  asyncHandler(async (req, res) => {
+    const { page, limit, status, channel } = req.query;
+    const result = await OutboxService.list({ page, limit, status, channel });
+    return ResponseFormatter.success(res, result);
+  }),
+);
+
+/**
+ * POST /api/admin/system/outbox/:id/retry
+ * Queue a failed message for delivery again; 409 unless it failed
+ */
+router.post(
+  '/system/outbox/:id/retry',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const message = await OutboxService.retry(req.validated.id, req.dbUser.id);
+
+    await AuditService.log({
+      action: AuditActions.OUTBOX_RETRIED,
+      resourceType: 'outbox',
+      resourceId: message.id,
+      userId: req.dbUser.id,
+      newValues: { status: message.status },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, message, {
+      message: 'Outbox message queued for delivery',
+    });
+  }),
+);
+
+// ============================================================================
+// SYSTEM: WEBHOOKS (Outbound delivery log; subscriptions are an entity)
+// ============================================================================
+
+/**
+ * GET /api/admin/system/webhooks/deliveries
+ * Webhook deliveries, newest first, with counts per status
+ * Query params: page, limit (default 50, max 200), status, subscription_id
+ */
+router.get(
+  '/system/webhooks/deliveries',
+  asyncHandler(async (req, res) => {
+    const { page, limit, status } = req.query;
+    const result = await WebhookService.list({
+      page,
+      limit,
+      status,
+      subscriptionId: req.query.subscription_id,
+    });
+    return ResponseFormatter.success(res, result);
+  }),
+);
+
+/**
+ * POST /api/admin/system/webhooks/deliveries/:id/redeliver
+ * Queue a new delivery of the same event; 409 while the original is pending
+ */
+router.post(
+  '/system/webhooks/deliveries/:id/redeliver',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const delivery = await WebhookService.redeliver(
+      req.validated.id,
+      req.dbUser.id,
+    );
+
+    await AuditService.log({
+      action: AuditActions.WEBHOOK_REDELIVERED,
+      resourceType: 'webhook_deliveries',
+      resourceId: delivery.id,
+      userId: req.dbUser.id,
+      newValues: { redelivery_of: delivery.redelivery_of },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, delivery, {
+      message: 'Webhook queued for redelivery',
+    });
+  }),
+);
+
 // ============================================================================
 // SYSTEM: SESSIONS (Active user session management)
 // ============================================================================
@@ -5,7 +5,7 @@
  * Write operations are handled internally by audit-service (no external API).
  *
  * Endpoints:
- * - GET /api/audit/all - Get all recent audit logs (admin only)
+ * - GET /api/audit/all - Get all recent audit logs (admin only, offset or cursor pages)
  * - GET /api/audit/user/:userId - Get audit trail for a specific user (admin only)
  * - GET /api/audit/:resourceType/:resourceId - Get audit trail for a specific resource
  *
@@ -62,6 +62,9 @@ function formatAuditLogDates(logs) {
  *
  * @query {number} limit - Max records to return (default 100, max 500)
  * @query {number} offset - Offset for pagination (default 0)
+ * @query {string} cursor - Cursor pagination instead of offset: empty for the
+ *   first page, then pagination.nextCursor / prevCursor (optional)
+ * @query {string} count - Total count: 'exact' (default), 'estimated' or 'none'
  * @query {string} filter - Filter type: 'data' or 'auth' (optional)
  */
 router.get(
@@ -70,25 +73,39 @@ router.get(
   requirePermission('read'),
   validatePagination({ defaultLimit: 100, maxLimit: 500 }),
   asyncHandler(async (req, res) => {
-    const { limit, offset } = req.validated.pagination;
+    const { limit, offset, cursor, count } = req.validated.pagination;
     const actionFilter = req.query.filter; // 'data' or 'auth'
 
     const result = await auditService.getAllRecentLogs({
       limit,
       offset,
+      cursor,
+      count,
       actionFilter,
     });
 
     // Format dates for frontend
     const formattedLogs = formatAuditLogDates(result.logs);
 
+    const pagination = {
+      total: result.total,
+      totalEstimated: result.totalEstimated,
+      limit: result.limit,
+    };
+    if (cursor === undefined) {
+      pagination.offset = result.offset;
+    } else {
+      Object.assign(pagination, {
+        hasNext: result.hasNext,
+        hasPrev: result.hasPrev,
+        nextCursor: result.nextCursor,
+        prevCursor: result.prevCursor,
+      });
+    }
+
     return ResponseFormatter.success(res, formattedLogs, {
       message: `Retrieved ${formattedLogs.length} audit log entries`,
-      pagination: {
-        total: result.total,
-        limit: result.limit,
-        offset: result.offset,
-      },
+      pagination,
     });
   }),
 );
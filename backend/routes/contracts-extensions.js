@@ -0,0 +1,167 @@
+/**
+ * Contract Extensions - Non-CRUD routes for contracts
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY unique contract-specific endpoints that don't fit
+ * the standard CRUD pattern.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ * - enforceRLS scopes the contract lookup; ContractScheduleService does the rest
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { attachEntity } = require('../middleware/generic-entity');
+const { validateIdParam, validateDateRange } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const GenericEntityService = require('../services/generic-entity-service');
+const ContractScheduleService = require('../services/contract-schedule-service');
+const { CONTRACT_SCHEDULE } = require('../config/constants');
+const {
+  buildRlsContext,
+  buildAuditContext,
+} = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/contracts/{id}/service_occurrences:
+ *   get:
+ *     tags: [Contracts]
+ *     summary: Preview a contract's upcoming service occurrences
+ *     description: |
+ *       Expands the contract's service schedule (service_frequency every
+ *       service_interval periods from start_date, up to end_date) over the
+ *       window and shows the work order already generated for each
+ *       occurrence, if any. Inactive contracts still preview but do not
+ *       generate.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Contract ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default from + 90 days, at most 366 days after from)
+ *     responses:
+ *       200:
+ *         description: Occurrences retrieved successfully
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Contract not found
+ */
+router.get(
+  '/:id/service_occurrences',
+  authenticateToken,
+  attachEntity('contract'),
+  requirePermission('read'),
+  enforceRLS,
+  validateIdParam(),
+  validateDateRange({
+    defaultDays: CONTRACT_SCHEDULE.PREVIEW_DEFAULT_DAYS,
+    maxDays: CONTRACT_SCHEDULE.PREVIEW_MAX_DAYS,
+  }),
+  asyncHandler(async (req, res) => {
+    const contract = await GenericEntityService.findById(
+      'contract',
+      req.validated.id,
+      buildRlsContext(req),
+    );
+
+    if (!contract) {
+      return ResponseFormatter.notFound(res, 'Contract not found');
+    }
+
+    const preview = await ContractScheduleService.preview(
+      contract.id,
+      req.validated.dateRange,
+    );
+
+    return ResponseFormatter.get(res, preview);
+  }),
+);
+
+/**
+ * @openapi
+ * /api/contracts/{id}/generate_work_orders:
+ *   post:
+ *     tags: [Contracts]
+ *     summary: Generate this contract's scheduled work orders now
+ *     description: |
+ *       Runs the service schedule generator for one active contract over the
+ *       standard horizon. Occurrences that already have a work order are
+ *       skipped, so repeating the call is safe. The generator also runs on
+ *       its own inside the backend process.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Contract ID
+ *     responses:
+ *       200:
+ *         description: Generation summary (created, skipped, workOrderIds)
+ *       404:
+ *         description: Contract not found
+ *       409:
+ *         description: Contract is not active
+ */
+router.post(
+  '/:id/generate_work_orders',
+  authenticateToken,
+  attachEntity('contract'),
+  requirePermission('update'),
+  enforceRLS,
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const contract = await GenericEntityService.findById(
+      'contract',
+      req.validated.id,
+      buildRlsContext(req),
+    );
+
+    if (!contract) {
+      return ResponseFormatter.notFound(res, 'Contract not found');
+    }
+
+    if (contract.status !== 'active') {
+      return ResponseFormatter.conflict(
+        res,
+        `Contract ${contract.contract_number} is ${contract.status}; only active contracts generate work orders`,
+      );
+    }
+
+    const summary = await ContractScheduleService.generate({
+      contractId: contract.id,
+      auditContext: buildAuditContext(req),
+    });
+
+    return ResponseFormatter.success(res, summary, {
+      message: `${summary.created} work order(s) generated`,
+    });
+  }),
+);
+
+module.exports = router;
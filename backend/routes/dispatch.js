@@ -0,0 +1,181 @@
+/**
+ * Dispatch Routes - Dispatch board for work orders
+ *
+ * Not an entity router: the board is a per-day view over technicians and
+ * work_orders, and a move is a work_order update applied through
+ * GenericEntityService.batch() by DispatchService.
+ *
+ * UNIFIED DATA FLOW:
+ * - attachEntity('work_order') - permissions and RLS are work_orders'
+ * - requireMinimumRole('dispatcher') - the board is a dispatcher tool
+ * - enforceRLS scopes work orders; technician RLS is resolved per caller
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  authenticateToken,
+  requirePermission,
+  requireMinimumRole,
+} = require('../middleware/auth');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { attachEntity } = require('../middleware/generic-entity');
+const { toSafeDate, validateDispatchMove } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const DispatchService = require('../services/dispatch-service');
+const { getRLSRule } = require('../config/permissions-loader');
+const { filterDataByRole } = require('../utils/field-access-controller');
+const technicianMetadata = require('../config/models/technician-metadata');
+const workOrderMetadata = require('../config/models/work-order-metadata');
+const {
+  buildRlsContext,
+  buildAuditContext,
+} = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/dispatch/board:
+ *   get:
+ *     tags: [Dispatch]
+ *     summary: Get the dispatch board for one day
+ *     description: |
+ *       Returns every active technician (with availability) and the work
+ *       orders assigned to them whose scheduled_start..scheduled_end overlaps
+ *       the day, ordered by scheduled_start, plus unassigned work orders for
+ *       the day. Cancelled work orders are left off. Days are UTC.
+ *       Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day to show (default today)
+ *     responses:
+ *       200:
+ *         description: Board retrieved successfully
+ *       400:
+ *         description: Invalid date
+ *       403:
+ *         description: Dispatcher role or higher required
+ */
+router.get(
+  '/board',
+  authenticateToken,
+  attachEntity('work_order'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('read'),
+  enforceRLS,
+  asyncHandler(async (req, res) => {
+    const date =
+      toSafeDate(req.query.date, 'date', { allowNull: true }) || new Date();
+    const role = req.dbUser.role;
+
+    const board = await DispatchService.getBoard(date, {
+      workOrderRlsContext: buildRlsContext(req),
+      technicianRlsContext: {
+        policy: getRLSRule(role, technicianMetadata.rlsResource),
+        userId: req.rlsUserId,
+      },
+    });
+
+    return ResponseFormatter.get(res, {
+      ...board,
+      technicians: board.technicians.map((lane) => ({
+        ...lane,
+        workOrders: filterDataByRole(
+          lane.workOrders,
+          workOrderMetadata,
+          role,
+          'read',
+        ),
+      })),
+      unassigned: filterDataByRole(
+        board.unassigned,
+        workOrderMetadata,
+        role,
+        'read',
+      ),
+    });
+  }),
+);
+
+/**
+ * @openapi
+ * /api/dispatch/move:
+ *   post:
+ *     tags: [Dispatch]
+ *     summary: Reassign and/or reschedule a work order
+ *     description: |
+ *       Applies the move in one transaction with status transition and
+ *       schedule conflict checks. When only scheduled_start is given the
+ *       work order keeps its duration. Dropping a pending work order on a
+ *       technician sets it to assigned; unassigning an assigned work order
+ *       sets it back to pending. force=true books over a conflict (manager
+ *       or higher) and is audited. Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [work_order_id]
+ *             properties:
+ *               work_order_id:
+ *                 type: integer
+ *               assigned_technician_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: New technician (null = unassign)
+ *               scheduled_start:
+ *                 type: string
+ *                 format: date-time
+ *               scheduled_end:
+ *                 type: string
+ *                 format: date-time
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Work order moved
+ *       400:
+ *         description: Invalid move or inactive technician
+ *       403:
+ *         description: Dispatcher role or higher required (manager for force)
+ *       404:
+ *         description: Work order or technician not found
+ *       409:
+ *         description: Schedule conflict or invalid status transition
+ */
+router.post(
+  '/move',
+  authenticateToken,
+  attachEntity('work_order'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('update'),
+  enforceRLS,
+  validateDispatchMove,
+  asyncHandler(async (req, res) => {
+    const { work_order_id: workOrderId, force, ...changes } = req.body;
+
+    const workOrder = await DispatchService.move(workOrderId, changes, {
+      force,
+      auditContext: buildAuditContext(req),
+      userRole: req.dbUser.role,
+      rlsContext: buildRlsContext(req),
+    });
+
+    return ResponseFormatter.updated(
+      res,
+      filterDataByRole(workOrder, workOrderMetadata, req.dbUser.role, 'read'),
+      'Work Order moved successfully',
+    );
+  }),
+);
+
+module.exports = router;
@@ -24,10 +24,17 @@ const {
   validatePagination,
   validateIdParam,
   validateQuery,
+  validateInclude,
+  toSafeBoolean,
 } = require('../validators');
 const GenericEntityService = require('../services/generic-entity-service');
 const ResponseFormatter = require('../utils/response-formatter');
 const { filterDataByRole } = require('../utils/field-access-controller');
+const { hasPermission, getRLSRule } = require('../config/permissions-loader');
+const {
+  INCLUDED_KEY,
+  resolveIncludes,
+} = require('../db/helpers/include-helper');
 const {
   buildRlsContext,
   buildAuditContext,
@@ -90,6 +97,101 @@ function toDisplayName(entityName) {
   );
 }
 
+/**
+ * Put full-text search results back on role-filtered records
+ *
+ * filterDataByRole keeps metadata fields only, so search_rank and
+ * search_highlights are dropped. Highlights go through the same field
+ * filter: a snippet of a field the role cannot read is not returned.
+ *
+ * @param {Object[]} records - Records from GenericEntityService.findAll()
+ * @param {Object[]} sanitizedData - The same records after filterDataByRole
+ * @param {Object} metadata - Entity metadata
+ * @param {string} role - User's role name
+ * @returns {Object[]} sanitizedData with search_rank and search_highlights
+ */
+function withSearchResults(records, sanitizedData, metadata, role) {
+  return sanitizedData.map((record, index) => {
+    const { search_rank, search_highlights } = records[index];
+    if (search_rank === undefined) {
+      return record;
+    }
+    return {
+      ...record,
+      search_rank,
+      search_highlights: filterDataByRole(
+        search_highlights || {},
+        metadata,
+        role,
+        'read',
+      ),
+    };
+  });
+}
+
+/**
+ * Check the caller may read each included entity, and get its RLS context
+ *
+ * An include is a read of the related entity, so it needs the same read
+ * permission and row filter as that entity's own endpoint.
+ *
+ * @param {Object} req - Express request (after authenticateToken)
+ * @param {Object[]} includes - From resolveIncludes()
+ * @returns {Object} Relationship name -> RLS context (null without a policy)
+ * @throws {AppError} 403 if the role cannot read an included entity
+ */
+function authorizeIncludes(req, includes) {
+  const { id: userId, role } = req.dbUser;
+  const includeRls = {};
+
+  for (const { name, metadata } of includes) {
+    const resource = metadata.rlsResource;
+    if (!hasPermission(role, resource, 'read')) {
+      throw new AppError(
+        `Insufficient permissions to include ${name} (read ${resource})`,
+        403,
+        'FORBIDDEN',
+      );
+    }
+    const policy = getRLSRule(role, resource);
+    includeRls[name] = policy ? { policy, userId } : null;
+  }
+
+  return includeRls;
+}
+
+/**
+ * Put included relationships back on role-filtered records
+ *
+ * Each included record goes through the field access rules of its own
+ * entity, as if read from that entity's endpoint.
+ *
+ * @param {Object[]} records - Records from GenericEntityService (with `included`)
+ * @param {Object[]} sanitizedData - The same records after filterDataByRole
+ * @param {Object[]} includes - From resolveIncludes()
+ * @param {string} role - User's role name
+ * @returns {Object[]} sanitizedData with `included`
+ */
+function withIncluded(records, sanitizedData, includes, role) {
+  if (includes.length === 0) {
+    return sanitizedData;
+  }
+  return sanitizedData.map((record, index) => {
+    const included = records[index][INCLUDED_KEY] || {};
+    return {
+      ...record,
+      [INCLUDED_KEY]: Object.fromEntries(
+        includes.map(({ name, metadata }) => [
+          name,
+          included[name]
+            ? filterDataByRole(included[name], metadata, role, 'read')
+            : null,
+        ]),
+      ),
+    };
+  });
+}
+
 // =============================================================================
 
 /**
@@ -119,9 +221,57 @@ function createEntityRouter(entityName, _options = {}) {
   };
 
   // =============================================================================
-  // LIST ALL - GET /
+  // LIST ALL - GET /  (and POST /search with the same options in the body)
   // =============================================================================
 
+  const listEntities = asyncHandler(async (req, res) => {
+    const { page, limit, cursor, count } = req.validated.pagination;
+    const { search, filters, sortBy, sortOrder } = req.validated.query;
+    const rlsContext = buildRlsContext(req);
+    const includes = resolveIncludes(metadata, req.validated.include);
+
+    const result = await GenericEntityService.findAll(
+      entityName,
+      {
+        page,
+        limit,
+        search,
+        filters,
+        sortBy,
+        sortOrder,
+        cursor,
+        count,
+        include: req.validated.include,
+        includeRls: authorizeIncludes(req, includes),
+      },
+      rlsContext,
+    );
+
+    const sanitizedData = filterDataByRole(
+      result.data,
+      metadata,
+      req.dbUser.role,
+      'read',
+    );
+
+    return ResponseFormatter.list(res, {
+      data: withIncluded(
+        result.data,
+        withSearchResults(
+          result.data,
+          sanitizedData,
+          metadata,
+          req.dbUser.role,
+        ),
+        includes,
+        req.dbUser.role,
+      ),
+      pagination: result.pagination,
+      appliedFilters: result.appliedFilters,
+      rlsApplied: result.rlsApplied,
+    });
+  });
+
   router.get(
     '/',
     authenticateToken,
@@ -130,38 +280,23 @@ function createEntityRouter(entityName, _options = {}) {
     enforceRLS,
     validatePagination({ maxLimit: 200 }),
     (req, res, next) => validateQuery(metadata)(req, res, next),
-    asyncHandler(async (req, res) => {
-      const { page, limit } = req.validated.pagination;
-      const { search, filters, sortBy, sortOrder } = req.validated.query;
-      const rlsContext = buildRlsContext(req);
-
-      const result = await GenericEntityService.findAll(
-        entityName,
-        {
-          page,
-          limit,
-          search,
-          filters,
-          sortBy,
-          sortOrder,
-        },
-        rlsContext,
-      );
-
-      const sanitizedData = filterDataByRole(
-        result.data,
-        metadata,
-        req.dbUser.role,
-        'read',
-      );
+    validateInclude(metadata),
+    listEntities,
+  );
 
-      return ResponseFormatter.list(res, {
-        data: sanitizedData,
-        pagination: result.pagination,
-        appliedFilters: result.appliedFilters,
-        rlsApplied: result.rlsApplied,
-      });
-    }),
+  // Long or nested filter expressions do not fit a query string:
+  // { "filter": { "or": [...] }, "search": "...", "page": 1, ... }
+  router.post(
+    '/search',
+    authenticateToken,
+    attachEntity,
+    requirePermission('read'),
+    enforceRLS,
+    validatePagination({ maxLimit: 200 }, { source: 'body' }),
+    (req, res, next) =>
+      validateQuery(metadata, { source: 'body' })(req, res, next),
+    validateInclude(metadata, { source: 'body' }),
+    listEntities,
   );
 
   // =============================================================================
@@ -175,14 +310,20 @@ function createEntityRouter(entityName, _options = {}) {
     requirePermission('read'),
     enforceRLS,
     validateIdParam(),
+    validateInclude(metadata),
     asyncHandler(async (req, res) => {
       const entityId = req.validated.id;
       const rlsContext = buildRlsContext(req);
+      const includes = resolveIncludes(metadata, req.validated.include);
 
       const entity = await GenericEntityService.findById(
         entityName,
         entityId,
         rlsContext,
+        {
+          include: req.validated.include,
+          includeRls: authorizeIncludes(req, includes),
+        },
       );
 
       if (!entity) {
@@ -196,7 +337,13 @@ function createEntityRouter(entityName, _options = {}) {
         'read',
       );
 
-      return ResponseFormatter.get(res, sanitizedData);
+      const [data] = withIncluded(
+        [entity],
+        [sanitizedData],
+        includes,
+        req.dbUser.role,
+      );
+      return ResponseFormatter.get(res, data);
     }),
   );
 
@@ -213,11 +360,13 @@ function createEntityRouter(entityName, _options = {}) {
     asyncHandler(async (req, res) => {
       const validatedBody = req.validated.body;
       const auditContext = buildAuditContext(req);
+      // ?force=true overrides schedule conflicts (manager+, audited by the service)
+      const force = toSafeBoolean(req.query.force, 'force');
 
       const created = await GenericEntityService.create(
         entityName,
         validatedBody,
-        { auditContext },
+        { auditContext, userRole: req.dbUser.role, force },
       );
 
       if (!created) {
@@ -261,6 +410,7 @@ function createEntityRouter(entityName, _options = {}) {
       const entityId = req.validated.id;
       const rlsContext = buildRlsContext(req);
       const auditContext = buildAuditContext(req);
+      const force = toSafeBoolean(req.query.force, 'force');
 
       // Check entity exists and user has access
       const existing = await GenericEntityService.findById(
@@ -276,7 +426,7 @@ function createEntityRouter(entityName, _options = {}) {
         entityName,
         entityId,
         validatedBody,
-        { auditContext },
+        { auditContext, userRole: req.dbUser.role, force },
       );
 
       if (!updated) {
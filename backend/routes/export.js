@@ -4,43 +4,53 @@
  * SRP: ONLY handles HTTP concerns for data export
  *
  * ENDPOINTS:
- *   GET /api/export/:entity          - Export entity data to CSV
+ *   POST /api/export/:entity         - Queue a CSV export (background job)
  *   GET /api/export/:entity/fields   - Get exportable fields for entity
  *
+ * Exports run in the background job queue ('export.csv'); the submitter
+ * polls GET /api/jobs/:id for progress and, once succeeded, the CSV.
+ *
  * SECURITY:
  *   - Requires authentication
  *   - Respects resource-level permissions (read access required)
  *   - Respects RLS policies (user sees only their data)
+ *   - Only the submitter can read the job and its CSV
  */
 
 const express = require('express');
 const router = express.Router();
 const ExportService = require('../services/export-service');
+const JobQueueService = require('../services/job-queue-service');
+const QueryBuilderService = require('../services/query-builder-service');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { enforceRLS } = require('../middleware/row-level-security');
 const { extractEntity } = require('../middleware/generic-entity');
 const ResponseFormatter = require('../utils/response-formatter');
+const { buildRlsContext } = require('../utils/request-context');
 const { logger } = require('../config/logger');
 const { asyncHandler } = require('../middleware/utils');
 
 /**
- * GET /api/export/:entity
+ * POST /api/export/:entity
  *
- * Export entity data to CSV format
+ * Queue an export of entity data to CSV format
  *
  * Query params:
  *   - search: Search term
- *   - filters: JSON object of filters (e.g., ?status=pending)
+ *   - Any filterable field (e.g., ?status=pending)
+ *   - filter: JSON boolean groups (e.g., ?filter={"or":[...]})
  *   - sortBy: Field to sort by
  *   - sortOrder: 'asc' or 'desc'
  *   - fields: Comma-separated list of fields to include
  *   - includeInactive: Include inactive records (default: false)
  *
+ * Filters are checked before the job is queued (400 on a bad filter).
+ *
  * Response:
- *   - Content-Type: text/csv
- *   - Content-Disposition: attachment with filename
+ *   - 202 with the job status; Location: /api/jobs/:id
+ *   - The job's result is { csv, filename, count, columns }
  */
-router.get(
+router.post(
   '/:entity',
   authenticateToken,
   extractEntity,
@@ -66,6 +76,7 @@ router.get(
       'fields',
       'includeInactive',
       'format',
+      'filter',
     ];
     for (const [key, value] of Object.entries(req.query)) {
       if (!nonFilterParams.includes(key)) {
@@ -73,42 +84,46 @@ router.get(
       }
     }
 
+    // Boolean filter groups (?filter={"or":[...]}), ANDed with the above
+    options.filters = QueryBuilderService.mergeFilterExpression(
+      options.filters,
+      QueryBuilderService.parseFilterExpression(
+        req.query.filter,
+        req.entityMetadata.filterableFields,
+        req.entityMetadata.fields,
+      ),
+    );
+
     // Parse selected fields if provided
     const selectedFields = req.query.fields
       ? req.query.fields.split(',').map((f) => f.trim())
       : null;
 
-    // Get RLS context from middleware
-    const rlsContext = req.rlsContext || null;
-
-    // Generate export
-    const result = await ExportService.exportToCSV(
-      entityName,
-      options,
-      rlsContext,
-      selectedFields,
+    // The job runs with the caller's RLS policy
+    const job = await JobQueueService.enqueue(
+      'export.csv',
+      {
+        entity: entityName,
+        query: options,
+        rlsContext: buildRlsContext(req),
+        fields: selectedFields,
+      },
+      { submittedBy: req.dbUser.id },
     );
 
     // Log export for audit
-    logger.info('[Export] CSV download', {
+    logger.info('[Export] CSV queued', {
       entity: entityName,
-      userId: req.user?.id,
-      rowCount: result.count,
-      columns: result.columns.length,
+      userId: req.dbUser.id,
+      jobId: job.id,
       filters: Object.keys(options.filters).length,
     });
 
-    // Set response headers for file download
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="${result.filename}"`,
+    return ResponseFormatter.accepted(
+      res,
+      JobQueueService.toStatus(job),
+      'Export queued',
     );
-    res.setHeader('X-Row-Count', result.count);
-    res.setHeader('X-Column-Count', result.columns.length);
-
-    // Send CSV data
-    res.send(result.csv);
   }),
 );
 
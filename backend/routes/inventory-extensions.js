@@ -0,0 +1,306 @@
+/**
+ * Inventory Extensions - Non-CRUD routes for inventory
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY unique inventory-specific endpoints that don't fit
+ * the standard CRUD pattern.
+ *
+ * MOUNTING: /reorder-report is a literal path, so server.js mounts this
+ * router BEFORE the generic entity routes - otherwise GET /:id would claim
+ * it. The /:id/... stock routes are deeper than any generic route.
+ *
+ * STOCK LEDGER: receive, adjust and transfer append stock_movements rows
+ * through StockMovementService; GET /:id/stock derives per-location
+ * on-hand from the ledger. inventory.quantity is the roll-up.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ * - requireMinimumRole('dispatcher') - reordering and moving stock are
+ *   stock-management tasks (technicians draw parts via work orders)
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  authenticateToken,
+  requirePermission,
+  requireMinimumRole,
+} = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const {
+  validateIdParam,
+  validateStockReceipt,
+  validateStockAdjustment,
+  validateStockTransfer,
+} = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const InventoryService = require('../services/inventory-service');
+const StockMovementService = require('../services/stock-movement-service');
+const { buildAuditContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/inventory/reorder-report:
+ *   get:
+ *     tags: [Inventory]
+ *     summary: List items below their reorder level, grouped by supplier
+ *     description: |
+ *       Active items whose quantity is below reorder_level, excluding
+ *       discontinued items. Each item carries shortfall (reorder_level minus
+ *       quantity). Suppliers are sorted by name with items that have no
+ *       supplier last; items by largest shortfall first. Dispatcher role or
+ *       higher.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *       403:
+ *         description: Dispatcher role or higher required
+ */
+router.get(
+  '/reorder-report',
+  authenticateToken,
+  attachEntity('inventory'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('read'),
+  asyncHandler(async (req, res) => {
+    const report = await InventoryService.getReorderReport();
+    return ResponseFormatter.get(res, report);
+  }),
+);
+
+/**
+ * @openapi
+ * /api/inventory/{id}/stock:
+ *   get:
+ *     tags: [Inventory]
+ *     summary: Get an item's stock at each location
+ *     description: |
+ *       Per-location on-hand quantities derived from the stock movement
+ *       ledger, with the item's roll-up quantity and status. Locations
+ *       holding none of the item are left out.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory item ID
+ *     responses:
+ *       200:
+ *         description: Stock levels retrieved successfully
+ *       404:
+ *         description: Inventory item not found
+ */
+router.get(
+  '/:id/stock',
+  authenticateToken,
+  attachEntity('inventory'),
+  requirePermission('read'),
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const levels = await StockMovementService.getStockLevels(req.validated.id);
+    return ResponseFormatter.get(res, levels);
+  }),
+);
+
+/**
+ * @openapi
+ * /api/inventory/{id}/receive:
+ *   post:
+ *     tags: [Inventory]
+ *     summary: Receive stock into a location
+ *     description: |
+ *       Records a receipt movement and raises the roll-up quantity.
+ *       to_location_id defaults to the default stock location. Dispatcher
+ *       role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               to_location_id:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock received; returns the movement and the item's new quantity
+ *       400:
+ *         description: Invalid body, or inactive item or location
+ *       403:
+ *         description: Dispatcher role or higher required
+ *       404:
+ *         description: Inventory item or location not found
+ */
+router.post(
+  '/:id/receive',
+  authenticateToken,
+  attachEntity('inventory'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('update'),
+  validateIdParam(),
+  validateStockReceipt,
+  asyncHandler(async (req, res) => {
+    const result = await StockMovementService.receive(
+      req.validated.id,
+      req.body,
+      { auditContext: buildAuditContext(req) },
+    );
+    return ResponseFormatter.created(res, result, 'Stock received');
+  }),
+);
+
+/**
+ * @openapi
+ * /api/inventory/{id}/adjust:
+ *   post:
+ *     tags: [Inventory]
+ *     summary: Correct the stock at one location after a count
+ *     description: |
+ *       Records an adjustment movement of quantity_change units (positive
+ *       = found, negative = missing) with a required reason. An adjustment
+ *       cannot take the location below zero. Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [location_id, quantity_change, reason]
+ *             properties:
+ *               location_id:
+ *                 type: integer
+ *               quantity_change:
+ *                 type: integer
+ *                 description: Non-zero; negative takes stock out
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded; returns the movement and the item's new quantity
+ *       400:
+ *         description: Invalid body, or inactive item or location
+ *       403:
+ *         description: Dispatcher role or higher required
+ *       404:
+ *         description: Inventory item or location not found
+ *       409:
+ *         description: Insufficient stock at the location
+ */
+router.post(
+  '/:id/adjust',
+  authenticateToken,
+  attachEntity('inventory'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('update'),
+  validateIdParam(),
+  validateStockAdjustment,
+  asyncHandler(async (req, res) => {
+    const result = await StockMovementService.adjust(
+      req.validated.id,
+      req.body,
+      { auditContext: buildAuditContext(req) },
+    );
+    return ResponseFormatter.created(res, result, 'Stock adjusted');
+  }),
+);
+
+/**
+ * @openapi
+ * /api/inventory/{id}/transfer:
+ *   post:
+ *     tags: [Inventory]
+ *     summary: Move stock between two locations
+ *     description: |
+ *       Records a transfer movement in one transaction (e.g. warehouse to a
+ *       technician's truck). The roll-up quantity is unchanged. Refused with
+ *       409 INSUFFICIENT_STOCK if the source location holds too little.
+ *       Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from_location_id, to_location_id, quantity]
+ *             properties:
+ *               from_location_id:
+ *                 type: integer
+ *               to_location_id:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer recorded; returns the movement
+ *       400:
+ *         description: Invalid body, same location twice, or inactive item or location
+ *       403:
+ *         description: Dispatcher role or higher required
+ *       404:
+ *         description: Inventory item or location not found
+ *       409:
+ *         description: Insufficient stock at the source location
+ */
+router.post(
+  '/:id/transfer',
+  authenticateToken,
+  attachEntity('inventory'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('update'),
+  validateIdParam(),
+  validateStockTransfer,
+  asyncHandler(async (req, res) => {
+    const result = await StockMovementService.transfer(
+      req.validated.id,
+      req.body,
+      { auditContext: buildAuditContext(req) },
+    );
+    return ResponseFormatter.created(res, result, 'Stock transferred');
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,374 @@
+/**
+ * Invoice Line Items Sub-Router - The billed lines of an invoice
+ *
+ * Mounted at /api/invoices/:id/line_items
+ *
+ * Uses mergeParams to access parent entity route params (:id)
+ *
+ * ROUTES:
+ * - GET    /:id/line_items               - List the invoice's lines
+ * - POST   /:id/line_items               - Add a line
+ * - PATCH  /:id/line_items/:lineItemId   - Edit a line
+ * - DELETE /:id/line_items/:lineItemId   - Remove a line
+ *
+ * PERMISSIONS:
+ * - invoice_line_items permission for the operation (dispatcher+ to write)
+ * - List: 'read' on the parent invoice; add/edit/remove: 'update'
+ * - The parent invoice must be visible under the caller's RLS
+ *
+ * ARCHITECTURE:
+ * - Generic sub-entity middleware from middleware/sub-entity.js
+ * - Route handlers are thin controllers
+ * - InvoiceService prices the line and recomputes the invoice totals in the
+ *   same transaction; lines only change while the invoice is a draft
+ */
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const {
+  validateIdParam,
+  validatePagination,
+  validateInvoiceLineItem,
+  validateInvoiceLineItemUpdate,
+} = require('../validators');
+const GenericEntityService = require('../services/generic-entity-service');
+const InvoiceService = require('../services/invoice-service');
+const ResponseFormatter = require('../utils/response-formatter');
+const { getRLSRule } = require('../config/permissions-loader');
+const { filterDataByRole } = require('../utils/field-access-controller');
+const invoiceMetadata = require('../config/models/invoice-metadata');
+const invoiceLineItemMetadata = require('../config/models/invoice-line-item-metadata');
+const { buildAuditContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+// Generic sub-entity middleware
+const {
+  attachParentMetadata,
+  requireParentPermission,
+  requireParentExists,
+} = require('../middleware/sub-entity');
+
+/**
+ * Parent check scoped by the caller's invoices RLS, so customers only reach
+ * lines on their own invoices
+ *
+ * @param {string} entityKey - Parent entity key ('invoice')
+ * @param {number} invoiceId - Invoice ID
+ * @param {Object} req - Express request (authenticated)
+ * @returns {Promise<boolean>} True if the invoice is visible
+ */
+async function isInvoiceVisible(entityKey, invoiceId, req) {
+  const invoice = await GenericEntityService.findById(entityKey, invoiceId, {
+    policy: getRLSRule(req.dbUser.role, invoiceMetadata.rlsResource),
+    userId: req.dbUser.id,
+  });
+  return Boolean(invoice);
+}
+
+/**
+ * Respond with a changed line and the invoice's new totals
+ */
+function lineItemResult(req, result) {
+  return {
+    line_item: filterDataByRole(
+      result.line_item,
+      invoiceLineItemMetadata,
+      req.dbUser.role,
+      'read',
+    ),
+    invoice: filterDataByRole(
+      result.invoice,
+      invoiceMetadata,
+      req.dbUser.role,
+      'read',
+    ),
+  };
+}
+
+const router = express.Router({ mergeParams: true });
+
+// Parent metadata for requireParentPermission / requireParentExists
+router.use(attachParentMetadata(invoiceMetadata));
+
+// All line item routes require authentication
+router.use(authenticateToken);
+
+// Validate the parent invoice :id param for all line item routes
+router.use(validateIdParam({ paramName: 'id' }));
+
+// Permissions on the lines themselves (invoice_line_items resource)
+router.use(attachEntity('invoice_line_item'));
+
+/**
+ * @openapi
+ * /api/invoices/{id}/line_items:
+ *   get:
+ *     tags: [Invoices]
+ *     summary: List the line items on an invoice
+ *     description: |
+ *       The invoice's billed lines, in the order they were added. Each line
+ *       carries its computed amount (quantity x unit_price) and tax.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Line items retrieved successfully
+ *       403:
+ *         description: No read permission on the invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.get(
+  '/',
+  requirePermission('read'),
+  requireParentPermission('read'),
+  requireParentExists(isInvoiceVisible),
+  validatePagination(),
+  asyncHandler(async (req, res) => {
+    const result = await InvoiceService.listLineItems(
+      req.parentId,
+      req.validated.pagination,
+    );
+
+    return ResponseFormatter.list(res, {
+      data: filterDataByRole(
+        result.data,
+        invoiceLineItemMetadata,
+        req.dbUser.role,
+        'read',
+      ),
+      pagination: result.pagination,
+      appliedFilters: result.appliedFilters,
+      rlsApplied: true,
+    });
+  }),
+);
+
+/**
+ * @openapi
+ * /api/invoices/{id}/line_items:
+ *   post:
+ *     tags: [Invoices]
+ *     summary: Add a line item to a draft invoice
+ *     description: |
+ *       Computes the line's amount and tax (tax_code resolved from the
+ *       invoicing setting) and recomputes the invoice's amount, tax and total
+ *       in the same transaction. Refused with 409 INVOICE_NOT_DRAFT once the
+ *       invoice has left draft.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [description, quantity, unit_price]
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *               quantity:
+ *                 type: number
+ *                 minimum: 0.01
+ *               unit_price:
+ *                 type: number
+ *                 minimum: 0
+ *               tax_code:
+ *                 type: string
+ *                 default: standard
+ *               inventory_id:
+ *                 type: integer
+ *                 description: Inventory item billed
+ *               technician_id:
+ *                 type: integer
+ *                 description: Technician whose labour is billed
+ *     responses:
+ *       201:
+ *         description: Line added; returns the line and the invoice's new totals
+ *       400:
+ *         description: Invalid body or unknown tax code
+ *       403:
+ *         description: No permission
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is not a draft
+ */
+router.post(
+  '/',
+  requirePermission('create'),
+  requireParentPermission('update'),
+  validateInvoiceLineItem,
+  requireParentExists(isInvoiceVisible),
+  asyncHandler(async (req, res) => {
+    const result = await InvoiceService.addLineItem(req.parentId, req.body, {
+      auditContext: buildAuditContext(req),
+    });
+
+    return ResponseFormatter.created(
+      res,
+      lineItemResult(req, result),
+      'Line item added',
+    );
+  }),
+);
+
+/**
+ * @openapi
+ * /api/invoices/{id}/line_items/{lineItemId}:
+ *   patch:
+ *     tags: [Invoices]
+ *     summary: Edit a line item on a draft invoice
+ *     description: |
+ *       Recomputes the line's amount and tax and the invoice's totals.
+ *       Refused with 409 INVOICE_NOT_DRAFT once the invoice has left draft,
+ *       or 409 BELOW_AMOUNT_PAID if the total would drop below what has
+ *       been paid.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invoice ID
+ *       - in: path
+ *         name: lineItemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Line item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit_price:
+ *                 type: number
+ *               tax_code:
+ *                 type: string
+ *               inventory_id:
+ *                 type: integer
+ *                 nullable: true
+ *               technician_id:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Line updated; returns the line and the invoice's new totals
+ *       400:
+ *         description: Invalid body or unknown tax code
+ *       403:
+ *         description: No permission
+ *       404:
+ *         description: Invoice or line item not found
+ *       409:
+ *         description: Invoice is not a draft, or the total would drop below the amount paid
+ */
+router.patch(
+  '/:lineItemId',
+  validateIdParam({ paramName: 'lineItemId' }),
+  requirePermission('update'),
+  requireParentPermission('update'),
+  validateInvoiceLineItemUpdate,
+  requireParentExists(isInvoiceVisible),
+  asyncHandler(async (req, res) => {
+    const result = await InvoiceService.updateLineItem(
+      req.parentId,
+      req.validated.lineItemId,
+      req.body,
+      { auditContext: buildAuditContext(req) },
+    );
+
+    return ResponseFormatter.updated(
+      res,
+      lineItemResult(req, result),
+      'Line item updated',
+    );
+  }),
+);
+
+/**
+ * @openapi
+ * /api/invoices/{id}/line_items/{lineItemId}:
+ *   delete:
+ *     tags: [Invoices]
+ *     summary: Remove a line item from a draft invoice
+ *     description: |
+ *       Deletes the line and recomputes the invoice's totals. Refused with
+ *       409 INVOICE_NOT_DRAFT once the invoice has left draft, or 409
+ *       BELOW_AMOUNT_PAID if the total would drop below what has been paid.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invoice ID
+ *       - in: path
+ *         name: lineItemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Line item ID
+ *     responses:
+ *       200:
+ *         description: Line removed; returns the invoice's new totals
+ *       403:
+ *         description: No permission
+ *       404:
+ *         description: Invoice or line item not found
+ *       409:
+ *         description: Invoice is not a draft, or the total would drop below the amount paid
+ */
+router.delete(
+  '/:lineItemId',
+  validateIdParam({ paramName: 'lineItemId' }),
+  requirePermission('delete'),
+  requireParentPermission('update'),
+  requireParentExists(isInvoiceVisible),
+  asyncHandler(async (req, res) => {
+    const result = await InvoiceService.removeLineItem(
+      req.parentId,
+      req.validated.lineItemId,
+      { auditContext: buildAuditContext(req) },
+    );
+
+    return ResponseFormatter.success(
+      res,
+      {
+        deleted: true,
+        invoice: lineItemResult(req, result).invoice,
+      },
+      { message: 'Line item removed' },
+    );
+  }),
+);
+
+module.exports = router;
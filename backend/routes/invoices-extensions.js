@@ -0,0 +1,254 @@
+/**
+ * Invoices Extensions - Non-CRUD routes for invoices
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY unique invoice-specific endpoints that don't fit
+ * the standard CRUD pattern.
+ *
+ * PAYMENT LEDGER: payments, refunds and reversals append payments rows
+ * through PaymentService, which moves invoices.amount_paid (and so
+ * balance) and the paid status in the same transaction. The ledger itself
+ * is listed read-only by the generic router at /api/payments.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ * - requireMinimumRole('dispatcher') to take a payment; money going back
+ *   out (refund, reversal) requires manager
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  authenticateToken,
+  requirePermission,
+  requireMinimumRole,
+} = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const {
+  validateIdParam,
+  validateIdParams,
+  validateInvoicePayment,
+  validatePaymentReversal,
+} = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const PaymentService = require('../services/payment-service');
+const { buildAuditContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/invoices/{id}/payments:
+ *   post:
+ *     tags: [Invoices]
+ *     summary: Record a payment on an invoice
+ *     description: |
+ *       Appends a payment to the ledger and reduces the invoice's balance.
+ *       Partial payments and deposits (on a draft) are allowed; a payment
+ *       larger than the balance is refused with 409 OVERPAYMENT. A sent or
+ *       overdue invoice whose balance reaches zero becomes paid, with
+ *       paid_at set to received_at. Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, method]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               method:
+ *                 type: string
+ *                 enum: [cash, check, card, bank_transfer, other]
+ *               reference:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Check number, card receipt or transfer ID
+ *               received_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded; returns the ledger row and the invoice after it
+ *       400:
+ *         description: Invalid body
+ *       403:
+ *         description: Below dispatcher
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice cannot take payments, or amount exceeds the balance
+ */
+router.post(
+  '/:id/payments',
+  authenticateToken,
+  attachEntity('invoice'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('update'),
+  validateIdParam(),
+  validateInvoicePayment,
+  asyncHandler(async (req, res) => {
+    const result = await PaymentService.recordPayment(
+      req.validated.id,
+      req.body,
+      { auditContext: buildAuditContext(req) },
+    );
+    return ResponseFormatter.created(res, result, 'Payment recorded');
+  }),
+);
+
+/**
+ * @openapi
+ * /api/invoices/{id}/refunds:
+ *   post:
+ *     tags: [Invoices]
+ *     summary: Record money returned to the customer
+ *     description: |
+ *       Appends a refund to the ledger and raises the invoice's balance by
+ *       the amount. At most what has been paid can be refunded (409
+ *       EXCEEDS_AMOUNT_PAID). A paid invoice left owing goes back to sent.
+ *       Manager role or higher; audited.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, method]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               method:
+ *                 type: string
+ *                 enum: [cash, check, card, bank_transfer, other]
+ *               reference:
+ *                 type: string
+ *               received_at:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund recorded; returns the ledger row and the invoice after it
+ *       400:
+ *         description: Invalid body
+ *       403:
+ *         description: Below manager
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Amount exceeds what has been paid
+ */
+router.post(
+  '/:id/refunds',
+  authenticateToken,
+  attachEntity('invoice'),
+  requireMinimumRole('manager'),
+  requirePermission('update'),
+  validateIdParam(),
+  validateInvoicePayment,
+  asyncHandler(async (req, res) => {
+    const result = await PaymentService.refund(req.validated.id, req.body, {
+      auditContext: buildAuditContext(req),
+    });
+    return ResponseFormatter.created(res, result, 'Refund recorded');
+  }),
+);
+
+/**
+ * @openapi
+ * /api/invoices/{id}/payments/{paymentId}/reverse:
+ *   post:
+ *     tags: [Invoices]
+ *     summary: Reverse a payment that did not clear
+ *     description: |
+ *       Appends a reversal of the payment (same amount, method and
+ *       reference) for a bounced check or chargeback and raises the
+ *       invoice's balance again. A payment is reversed at most once (409
+ *       ALREADY_REVERSED). A paid invoice left owing goes back to sent.
+ *       Manager role or higher; audited.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invoice ID
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment to reverse
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               received_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the payment bounced (defaults to now)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment reversed; returns the reversal row and the invoice after it
+ *       400:
+ *         description: Invalid body, or the entry is not a payment
+ *       403:
+ *         description: Below manager
+ *       404:
+ *         description: Invoice or payment not found
+ *       409:
+ *         description: Already reversed, or refunds already cover it
+ */
+router.post(
+  '/:id/payments/:paymentId/reverse',
+  authenticateToken,
+  attachEntity('invoice'),
+  requireMinimumRole('manager'),
+  requirePermission('update'),
+  validateIdParams(['id', 'paymentId']),
+  validatePaymentReversal,
+  asyncHandler(async (req, res) => {
+    const result = await PaymentService.reverse(
+      req.validated.id,
+      req.validated.paymentId,
+      req.body,
+      { auditContext: buildAuditContext(req) },
+    );
+    return ResponseFormatter.created(res, result, 'Payment reversed');
+  }),
+);
+
+module.exports = router;
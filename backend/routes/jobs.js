@@ -0,0 +1,65 @@
+/**
+ * Background Job Routes - Status polling for queued work
+ *
+ * SRP: ONLY reports on jobs in the background job queue
+ *
+ * ENDPOINTS:
+ *   GET /api/jobs/:id   - Status, progress and result of a job
+ *
+ * Jobs are queued by services (JobQueueService.enqueue); POST endpoints that
+ * hand work off answer 202 with Location: /api/jobs/:id.
+ *
+ * SECURITY:
+ *   - Requires authentication
+ *   - A user sees only jobs they submitted (others are 404)
+ */
+
+const express = require('express');
+const router = express.Router();
+const JobQueueService = require('../services/job-queue-service');
+const { authenticateToken } = require('../middleware/auth');
+const { validateIdParam } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/jobs/{id}:
+ *   get:
+ *     tags: [Jobs]
+ *     summary: Poll a background job
+ *     description: |
+ *       Status (queued, running, succeeded, dead), progress (0-100) with
+ *       an optional message, attempts, the last error, and the result once
+ *       succeeded (a CSV export's result holds csv and filename). Only the
+ *       user who submitted the job can see it.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job status retrieved successfully
+ *       400:
+ *         description: Invalid job ID
+ *       404:
+ *         description: No such job submitted by this user
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const job = await JobQueueService.getForUser(
+      req.validated.id,
+      req.dbUser.id,
+    );
+    return ResponseFormatter.get(res, job);
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * Notification Extensions - Non-CRUD routes for notifications
+ *
+ * Standard CRUD operations (list, get, update, delete) are handled by the
+ * generic entity router in routes/entities.js; marking ONE notification
+ * read is a PATCH there.
+ *
+ * This file contains ONLY unique notification-specific endpoints that don't
+ * fit the standard CRUD pattern.
+ *
+ * MOUNTING: /mark-read and /broadcast are literal paths, so server.js
+ * mounts this router BEFORE the generic entity routes.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ * - Bulk changes only touch the caller's own notifications
+ * - requireMinimumRole('manager') - creating notifications is otherwise
+ *   system-only; a broadcast is handed to the background job queue
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  authenticateToken,
+  requirePermission,
+  requireMinimumRole,
+} = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const {
+  validateNotificationMarkRead,
+  validateNotificationBroadcast,
+} = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const NotificationInboxService = require('../services/notification-inbox-service');
+const JobQueueService = require('../services/job-queue-service');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/notifications/mark-read:
+ *   post:
+ *     tags: [Notifications]
+ *     summary: Mark a group of your notifications read
+ *     description: |
+ *       Marks the caller's unread notifications read, narrowed by
+ *       resource_type and/or type. With neither, every unread notification
+ *       is marked read.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resource_type:
+ *                 type: string
+ *                 example: work_order
+ *               type:
+ *                 type: string
+ *                 enum: [info, success, warning, error, assignment, reminder, digest]
+ *     responses:
+ *       200:
+ *         description: Notifications marked read (data.updated is the count)
+ *       400:
+ *         description: Invalid resource_type or type
+ */
+router.post(
+  '/mark-read',
+  authenticateToken,
+  attachEntity('notification'),
+  requirePermission('update'),
+  validateNotificationMarkRead,
+  asyncHandler(async (req, res) => {
+    const updated = await NotificationInboxService.markRead(req.dbUser.id, {
+      resourceType: req.body.resource_type,
+      type: req.body.type,
+    });
+
+    return ResponseFormatter.success(
+      res,
+      { updated },
+      { message: `${updated} notification(s) marked read` },
+    );
+  }),
+);
+
+/**
+ * @openapi
+ * /api/notifications/broadcast:
+ *   post:
+ *     tags: [Notifications]
+ *     summary: Send a notification to a role or a customer's portal users
+ *     description: |
+ *       Queues a notification.fan-out background job that notifies every
+ *       active user at or above the role, or the portal users of the
+ *       customer. Users with notifications turned off are skipped, as is
+ *       the caller. Poll the job at the Location header for the number
+ *       notified. Manager or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: technician
+ *                 description: Exactly one of role or customer_id
+ *               customer_id:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *                 maxLength: 255
+ *               body:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [info, success, warning, error, assignment, reminder, digest]
+ *     responses:
+ *       202:
+ *         description: Job queued (Location is /api/jobs/{id})
+ *       400:
+ *         description: Missing title, or not exactly one of role and customer_id
+ *       403:
+ *         description: Below manager
+ */
+router.post(
+  '/broadcast',
+  authenticateToken,
+  requireMinimumRole('manager'),
+  validateNotificationBroadcast,
+  asyncHandler(async (req, res) => {
+    const { role, customer_id: customerId, title, body, type } = req.body;
+
+    const job = await JobQueueService.enqueue(
+      'notification.fan-out',
+      {
+        ...(role ? { role } : { customerId }),
+        notification: { title, body, type, exceptUserId: req.dbUser.id },
+      },
+      { submittedBy: req.dbUser.id },
+    );
+
+    return ResponseFormatter.accepted(
+      res,
+      JobQueueService.toStatus(job),
+      'Notification queued',
+    );
+  }),
+);
+
+module.exports = router;
@@ -18,6 +18,10 @@ const {
 } = require('../config/validation-deriver');
 const { asyncHandler } = require('../middleware/utils');
 const AppError = require('../utils/app-error');
+const allMetadata = require('../config/models');
+const {
+  describeStatusTransitions,
+} = require('../db/helpers/status-transition-helper');
 
 /**
  * @openapi
@@ -115,6 +119,31 @@ router.get(
  *                             type: boolean
  *                           foreignKey:
  *                             type: object
+ *                     statusTransitions:
+ *                       type: object
+ *                       nullable: true
+ *                       description: |
+ *                         Lifecycle state machine (entities with metadata.statusTransitions only).
+ *                         `states` maps each status to the transitions the caller's role may perform.
+ *                       properties:
+ *                         field:
+ *                           type: string
+ *                           example: status
+ *                         states:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 to:
+ *                                   type: string
+ *                                 minimumRole:
+ *                                   type: string
+ *                                 requiredFields:
+ *                                   type: array
+ *                                   items:
+ *                                     type: string
  *       404:
  *         description: Table not found
  */
@@ -126,6 +155,18 @@ router.get(
 
     const schema = await SchemaIntrospectionService.getTableSchema(tableName);
 
+    // Attach lifecycle transitions so clients only offer valid status actions
+    const metadata = Object.values(allMetadata).find(
+      (meta) => meta.tableName === tableName,
+    );
+    const statusTransitions = describeStatusTransitions(
+      metadata,
+      req.dbUser?.role,
+    );
+    if (statusTransitions) {
+      schema.statusTransitions = statusTransitions;
+    }
+
     return ResponseFormatter.get(res, schema, {
       message: 'Table schema retrieved successfully',
     });
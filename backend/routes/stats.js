@@ -20,6 +20,7 @@
 const express = require('express');
 const router = express.Router();
 const StatsService = require('../services/stats-service');
+const QueryBuilderService = require('../services/query-builder-service');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { enforceRLS } = require('../middleware/row-level-security');
 const { extractEntity } = require('../middleware/generic-entity');
@@ -44,6 +45,34 @@ const statsMiddleware = [
   enforceRLS,
 ];
 
+// Query params that are not filters
+const NON_FILTER_PARAMS = [
+  'page',
+  'limit',
+  'sort',
+  'order',
+  'search',
+  'filter',
+];
+
+/**
+ * Filters for a stats query: the filterable query params plus the boolean
+ * groups of a JSON `filter` param
+ *
+ * @throws {AppError} 400 if `filter` is not a valid expression
+ */
+function buildStatsFilters(req) {
+  const filters = { ...req.query };
+  NON_FILTER_PARAMS.forEach((param) => delete filters[param]);
+
+  const expression = QueryBuilderService.parseFilterExpression(
+    req.query.filter,
+    req.entityMetadata.filterableFields,
+    req.entityMetadata.fields,
+  );
+  return QueryBuilderService.mergeFilterExpression(filters, expression);
+}
+
 // ============================================================================
 // ROUTES
 // ============================================================================
@@ -55,6 +84,7 @@ const statsMiddleware = [
  *
  * Query params:
  *   - Any filterable field (e.g., ?status=pending)
+ *   - filter: JSON boolean groups (e.g., ?filter={"or":[...]})
  *
  * @example GET /api/stats/work_order?status=pending
  * @returns { success: true, data: { count: 42 } }
@@ -62,14 +92,7 @@ const statsMiddleware = [
 router.get('/:entity', statsMiddleware, async (req, res, next) => {
   try {
     const entityName = req.entityName;
-    const filters = req.query || {};
-
-    // Remove pagination params if present (not used for stats)
-    delete filters.page;
-    delete filters.limit;
-    delete filters.sort;
-    delete filters.order;
-    delete filters.search;
+    const filters = buildStatsFilters(req);
 
     const count = await StatsService.count(entityName, req, filters);
 
@@ -98,14 +121,7 @@ router.get(
     try {
       const entityName = req.entityName;
       const groupByField = req.params.field;
-      const filters = req.query || {};
-
-      // Remove non-filter params
-      delete filters.page;
-      delete filters.limit;
-      delete filters.sort;
-      delete filters.order;
-      delete filters.search;
+      const filters = buildStatsFilters(req);
 
       const grouped = await StatsService.countGrouped(
         entityName,
@@ -143,14 +159,7 @@ router.get('/:entity/sum/:field', statsMiddleware, async (req, res, next) => {
   try {
     const entityName = req.entityName;
     const sumField = req.params.field;
-    const filters = req.query || {};
-
-    // Remove non-filter params
-    delete filters.page;
-    delete filters.limit;
-    delete filters.sort;
-    delete filters.order;
-    delete filters.search;
+    const filters = buildStatsFilters(req);
 
     const sum = await StatsService.sum(entityName, req, sumField, filters);
 
@@ -0,0 +1,70 @@
+/**
+ * Change Stream Routes - Real-time entity changes (Server-Sent Events)
+ *
+ * SRP: ONLY opens change streams; delivery is ChangeStreamService
+ *
+ * ENDPOINTS:
+ *   GET /api/stream   - text/event-stream of entity creates/updates/deletes
+ *
+ * SECURITY:
+ *   - Requires authentication (Authorization: Bearer)
+ *   - Each change passes the same permission, RLS and field-access checks
+ *     as a read of that record
+ *   - The stream ends when the token expires; the client reconnects with a
+ *     fresh token and Last-Event-ID
+ */
+
+const express = require('express');
+const router = express.Router();
+const ChangeStreamService = require('../services/change-stream-service');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/stream:
+ *   get:
+ *     tags: [Stream]
+ *     summary: Stream entity changes (Server-Sent Events)
+ *     description: |
+ *       Pushes a `created`, `updated` or `deleted` event for every change to
+ *       a record the caller can read, with the fields the caller can read.
+ *       A record an update takes out of the caller's view arrives as
+ *       `removed` (ID only). The event ID resumes the stream: reconnect with
+ *       the Last-Event-ID header (or ?lastEventId=) to receive missed
+ *       changes; `reset` means they are no longer available and lists
+ *       should be refetched.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 42
+ *                 event: updated
+ *                 data: {"entity":"work_order","action":"updated","id":7,"record":{"id":7,"status":"completed"}}
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.get(
+  '/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    await ChangeStreamService.open(req, res);
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Technician Extensions - Non-CRUD routes for technicians
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY unique technician-specific endpoints that don't fit
+ * the standard CRUD pattern.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ * - enforceRLS scopes the technician lookup; work_orders RLS decides which
+ *   bookings are identified by TechnicianScheduleService
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { attachEntity } = require('../middleware/generic-entity');
+const { validateIdParam, validateDateRange } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const GenericEntityService = require('../services/generic-entity-service');
+const TechnicianScheduleService = require('../services/technician-schedule-service');
+const { getRLSRule } = require('../config/permissions-loader');
+const workOrderMetadata = require('../config/models/work-order-metadata');
+const { buildRlsContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/technicians/{id}/schedule:
+ *   get:
+ *     tags: [Technicians]
+ *     summary: Get a technician's booked intervals and free gaps
+ *     description: |
+ *       Returns work orders booked for the technician between from and to
+ *       (completed and cancelled work orders excluded) plus the free gaps
+ *       between them. Bookings on work orders the caller cannot read are
+ *       returned as anonymous busy intervals.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Technician ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window start (default now)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window end (default from + 7 days, at most 90 days after from)
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Technician not found
+ */
+router.get(
+  '/:id/schedule',
+  authenticateToken,
+  attachEntity('technician'),
+  requirePermission('read'),
+  enforceRLS,
+  validateIdParam(),
+  validateDateRange({ defaultDays: 7, maxDays: 90 }),
+  asyncHandler(async (req, res) => {
+    const technician = await GenericEntityService.findById(
+      'technician',
+      req.validated.id,
+      buildRlsContext(req),
+    );
+
+    if (!technician) {
+      return ResponseFormatter.notFound(res, 'Technician not found');
+    }
+
+    const { from, to } = req.validated.dateRange;
+    const schedule = await TechnicianScheduleService.getSchedule(
+      technician.id,
+      {
+        from,
+        to,
+        rlsContext: {
+          policy: getRLSRule(req.dbUser.role, workOrderMetadata.rlsResource),
+          userId: req.rlsUserId,
+        },
+      },
+    );
+
+    return ResponseFormatter.get(res, schedule);
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Time Entry Extensions - Non-CRUD routes for time entries
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js. Clocking in and out
+ * lives on the work order (routes/work-orders-extensions.js).
+ *
+ * This file contains ONLY unique time-entry-specific endpoints that don't
+ * fit the standard CRUD pattern.
+ *
+ * MOUNTING: /timesheet is a literal path, so server.js mounts this router
+ * BEFORE the generic entity routes - otherwise GET /:id would claim it.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ * - requireMinimumRole('dispatcher') - timesheets span every technician
+ *   (technicians list their own entries through the generic router)
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  authenticateToken,
+  requirePermission,
+  requireMinimumRole,
+} = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const { validateDateRange, toSafeInteger } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const TimeEntryService = require('../services/time-entry-service');
+const { TIME_TRACKING } = require('../config/constants');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/time_entries/timesheet:
+ *   get:
+ *     tags: [Time Entries]
+ *     summary: Summarise worked and billable time per technician per period
+ *     description: |
+ *       Totals closed time entries that started in the window, grouped by
+ *       technician and day, week or month. Worked time is clocked time less
+ *       breaks; billable_amount uses the technician's hourly_rate (null when
+ *       no rate is set). Entries still on the clock are not counted.
+ *       Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window start (default to - 7 days)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window end (default now, at most 93 days after from)
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *       - in: query
+ *         name: technician_id
+ *         schema:
+ *           type: integer
+ *         description: Limit to one technician
+ *     responses:
+ *       200:
+ *         description: Timesheet retrieved successfully
+ *       400:
+ *         description: Invalid date range, period or technician_id
+ *       403:
+ *         description: Dispatcher role or higher required
+ */
+router.get(
+  '/timesheet',
+  authenticateToken,
+  attachEntity('time_entry'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('read'),
+  validateDateRange({
+    defaultDays: TIME_TRACKING.TIMESHEET_DEFAULT_DAYS,
+    maxDays: TIME_TRACKING.TIMESHEET_MAX_DAYS,
+    lookback: true,
+  }),
+  asyncHandler(async (req, res) => {
+    const { from, to } = req.validated.dateRange;
+    const timesheet = await TimeEntryService.getTimesheet({
+      from,
+      to,
+      period: req.query.period || TIME_TRACKING.TIMESHEET_DEFAULT_PERIOD,
+      technicianId: toSafeInteger(req.query.technician_id, 'technician_id', {
+        allowNull: true,
+        silent: true,
+      }),
+    });
+
+    return ResponseFormatter.get(res, timesheet);
+  }),
+);
+
+module.exports = router;
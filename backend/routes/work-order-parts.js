@@ -0,0 +1,273 @@
+/**
+ * Work Order Parts Sub-Router - Parts used on a work order
+ *
+ * Mounted at /api/work_orders/:id/parts
+ *
+ * Uses mergeParams to access parent entity route params (:id)
+ *
+ * ROUTES:
+ * - GET    /:id/parts           - List parts used on the work order
+ * - POST   /:id/parts           - Record a part (takes it out of inventory)
+ * - DELETE /:id/parts/:partId   - Remove a part line (puts it back)
+ *
+ * PERMISSIONS:
+ * - work_order_parts permission for the operation (technician+ to write)
+ * - List: 'read' on the parent work order; add/remove: 'update'
+ * - The parent work order must be visible under the caller's RLS
+ * - force=true (stock below zero) additionally requires manager
+ *
+ * ARCHITECTURE:
+ * - Generic sub-entity middleware from middleware/sub-entity.js
+ * - Route handlers are thin controllers
+ * - WorkOrderPartService moves stock in the same transaction as the line
+ */
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const {
+  validateIdParam,
+  validatePagination,
+  validateWorkOrderPart,
+} = require('../validators');
+const GenericEntityService = require('../services/generic-entity-service');
+const WorkOrderPartService = require('../services/work-order-part-service');
+const ResponseFormatter = require('../utils/response-formatter');
+const { getRLSRule } = require('../config/permissions-loader');
+const { filterDataByRole } = require('../utils/field-access-controller');
+const workOrderMetadata = require('../config/models/work-order-metadata');
+const workOrderPartMetadata = require('../config/models/work-order-part-metadata');
+const { buildAuditContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+// Generic sub-entity middleware
+const {
+  attachParentMetadata,
+  requireParentPermission,
+  requireParentExists,
+} = require('../middleware/sub-entity');
+
+/**
+ * Parent check scoped by the caller's work_orders RLS, so customers and
+ * technicians only reach parts on work orders they can see
+ *
+ * @param {string} entityKey - Parent entity key ('work_order')
+ * @param {number} workOrderId - Work order ID
+ * @param {Object} req - Express request (authenticated)
+ * @returns {Promise<boolean>} True if the work order is visible
+ */
+async function isWorkOrderVisible(entityKey, workOrderId, req) {
+  const workOrder = await GenericEntityService.findById(
+    entityKey,
+    workOrderId,
+    {
+      policy: getRLSRule(req.dbUser.role, workOrderMetadata.rlsResource),
+      userId: req.dbUser.id,
+    },
+  );
+  return Boolean(workOrder);
+}
+
+const router = express.Router({ mergeParams: true });
+
+// Parent metadata for requireParentPermission / requireParentExists
+router.use(attachParentMetadata(workOrderMetadata));
+
+// All part routes require authentication
+router.use(authenticateToken);
+
+// Validate the parent work order :id param for all part routes
+router.use(validateIdParam({ paramName: 'id' }));
+
+// Permissions on the part lines themselves (work_order_parts resource)
+router.use(attachEntity('work_order_part'));
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/parts:
+ *   get:
+ *     tags: [Work Orders]
+ *     summary: List parts used on a work order
+ *     description: |
+ *       Inventory parts recorded against the work order, oldest first.
+ *       unit_cost is the cost captured when the part was used and is only
+ *       returned to managers and above.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *     responses:
+ *       200:
+ *         description: Parts retrieved successfully
+ *       403:
+ *         description: No read permission on the work order
+ *       404:
+ *         description: Work order not found
+ */
+router.get(
+  '/',
+  requirePermission('read'),
+  requireParentPermission('read'),
+  requireParentExists(isWorkOrderVisible),
+  validatePagination(),
+  asyncHandler(async (req, res) => {
+    const result = await WorkOrderPartService.listForWorkOrder(
+      req.parentId,
+      req.validated.pagination,
+    );
+
+    return ResponseFormatter.list(res, {
+      data: filterDataByRole(
+        result.data,
+        workOrderPartMetadata,
+        req.dbUser.role,
+        'read',
+      ),
+      pagination: result.pagination,
+      appliedFilters: result.appliedFilters,
+      rlsApplied: true,
+    });
+  }),
+);
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/parts:
+ *   post:
+ *     tags: [Work Orders]
+ *     summary: Record a part used on a work order
+ *     description: |
+ *       Takes the quantity out of stock at stock_location_id (the default
+ *       location if omitted) and captures the item's current unit_cost on
+ *       the line, in one transaction. A line that would take the location
+ *       below zero is refused with 409 INSUFFICIENT_STOCK; a manager can send
+ *       force=true to allow it (audited, line marked stock_override).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [inventory_id, quantity]
+ *             properties:
+ *               inventory_id:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               stock_location_id:
+ *                 type: integer
+ *                 description: Location drawn from (defaults to the default location)
+ *               notes:
+ *                 type: string
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow stock below zero (manager or higher)
+ *     responses:
+ *       201:
+ *         description: Part recorded; returns the line and the item's new quantity
+ *       400:
+ *         description: Invalid body, or inactive inventory item or location
+ *       403:
+ *         description: No permission, or force without manager role
+ *       404:
+ *         description: Work order, inventory item or stock location not found
+ *       409:
+ *         description: Insufficient stock
+ */
+router.post(
+  '/',
+  requirePermission('create'),
+  requireParentPermission('update'),
+  validateWorkOrderPart,
+  requireParentExists(isWorkOrderVisible),
+  asyncHandler(async (req, res) => {
+    const { force, ...part } = req.body;
+
+    const result = await WorkOrderPartService.addPart(req.parentId, part, {
+      force,
+      userRole: req.dbUser.role,
+      auditContext: buildAuditContext(req),
+    });
+
+    return ResponseFormatter.created(res, {
+      ...result,
+      part: filterDataByRole(
+        result.part,
+        workOrderPartMetadata,
+        req.dbUser.role,
+        'read',
+      ),
+    });
+  }),
+);
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/parts/{partId}:
+ *   delete:
+ *     tags: [Work Orders]
+ *     summary: Remove a part line from a work order
+ *     description: |
+ *       Deletes the line and returns its quantity to the location it was
+ *       drawn from, in the same transaction.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *       - in: path
+ *         name: partId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Part line ID
+ *     responses:
+ *       200:
+ *         description: Part removed; returns the item's new quantity
+ *       403:
+ *         description: No permission
+ *       404:
+ *         description: Work order or part line not found
+ */
+router.delete(
+  '/:partId',
+  validateIdParam({ paramName: 'partId' }),
+  requirePermission('delete'),
+  requireParentPermission('update'),
+  requireParentExists(isWorkOrderVisible),
+  asyncHandler(async (req, res) => {
+    const result = await WorkOrderPartService.removePart(
+      req.parentId,
+      req.validated.partId,
+      { auditContext: buildAuditContext(req) },
+    );
+
+    return ResponseFormatter.success(
+      res,
+      { deleted: true, inventory: result.inventory },
+      { message: 'Part removed and returned to stock' },
+    );
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,338 @@
+/**
+ * Work Order Extensions - Non-CRUD routes for work orders
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY unique work-order-specific endpoints that don't fit
+ * the standard CRUD pattern.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ * - enforceRLS scopes the work order lookup; technician RLS is applied by
+ *   TechnicianMatchingService for the candidate list
+ * - Clock-in/clock-out need a work order the caller can see; who is being
+ *   clocked (self vs. another technician) is checked by TimeEntryService
+ * - Invoicing attaches the invoice entity, so it needs invoice create
+ *   permission; the work order itself is checked by InvoiceService
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  authenticateToken,
+  requirePermission,
+  requireMinimumRole,
+} = require('../middleware/auth');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { attachEntity } = require('../middleware/generic-entity');
+const {
+  validateIdParam,
+  validatePagination,
+  validateClockIn,
+  validateClockOut,
+  validateWorkOrderInvoice,
+} = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const GenericEntityService = require('../services/generic-entity-service');
+const TechnicianMatchingService = require('../services/technician-matching-service');
+const TimeEntryService = require('../services/time-entry-service');
+const InvoiceService = require('../services/invoice-service');
+const { getRLSRule } = require('../config/permissions-loader');
+const technicianMetadata = require('../config/models/technician-metadata');
+const {
+  buildRlsContext,
+  buildAuditContext,
+} = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/candidate_technicians:
+ *   get:
+ *     tags: [Work Orders]
+ *     summary: Rank technicians for a work order
+ *     description: |
+ *       Returns active, available technicians ranked by coverage of the work
+ *       order's required_skills, skill proficiency, certification validity and
+ *       current workload. Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Candidates retrieved successfully (best match first)
+ *       403:
+ *         description: Dispatcher role or higher required
+ *       404:
+ *         description: Work order not found
+ */
+router.get(
+  '/:id/candidate_technicians',
+  authenticateToken,
+  attachEntity('work_order'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('read'),
+  enforceRLS,
+  validateIdParam(),
+  validatePagination({ defaultLimit: 10, maxLimit: 50 }),
+  asyncHandler(async (req, res) => {
+    const workOrder = await GenericEntityService.findById(
+      'work_order',
+      req.validated.id,
+      buildRlsContext(req),
+    );
+
+    if (!workOrder) {
+      return ResponseFormatter.notFound(res, 'Work Order not found');
+    }
+
+    const candidates = await TechnicianMatchingService.findCandidates(
+      workOrder,
+      {
+        rlsContext: {
+          policy: getRLSRule(req.dbUser.role, technicianMetadata.rlsResource),
+          userId: req.rlsUserId,
+        },
+        limit: req.validated.pagination.limit,
+      },
+    );
+
+    return ResponseFormatter.list(res, { data: candidates });
+  }),
+);
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/clock-in:
+ *   post:
+ *     tags: [Work Orders]
+ *     summary: Clock a technician in on a work order
+ *     description: |
+ *       Opens a time entry starting now. The technician is the caller's own
+ *       technician profile unless technician_id is given (dispatcher role or
+ *       higher to clock in someone else), and must be the technician assigned
+ *       to the work order. An assigned work order moves to in_progress
+ *       (audited as a work order update) and the technician's availability
+ *       becomes on_job. A technician can be clocked in on one work order at
+ *       a time.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               technician_id:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Clocked in (returns time_entry, work_order and technician)
+ *       400:
+ *         description: No technician given or linked, or technician not active
+ *       403:
+ *         description: Clocking in another technician requires dispatcher role
+ *       404:
+ *         description: Work order or technician not found
+ *       409:
+ *         description: Already clocked in, technician not assigned to the work order, or work order is not assigned or in progress
+ */
+router.post(
+  '/:id/clock-in',
+  authenticateToken,
+  attachEntity('work_order'),
+  requireMinimumRole('technician'),
+  requirePermission('read'),
+  enforceRLS,
+  validateIdParam(),
+  validateClockIn,
+  asyncHandler(async (req, res) => {
+    const workOrder = await GenericEntityService.findById(
+      'work_order',
+      req.validated.id,
+      buildRlsContext(req),
+    );
+
+    if (!workOrder) {
+      return ResponseFormatter.notFound(res, 'Work Order not found');
+    }
+
+    const result = await TimeEntryService.clockIn(workOrder.id, req.body, {
+      userId: req.dbUser.id,
+      userRole: req.dbUser.role,
+      auditContext: buildAuditContext(req),
+    });
+
+    return ResponseFormatter.created(res, result, 'Clocked in');
+  }),
+);
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/clock-out:
+ *   post:
+ *     tags: [Work Orders]
+ *     summary: Clock a technician out of a work order
+ *     description: |
+ *       Closes the technician's open time entry on this work order. The
+ *       technician defaults to the caller's own technician profile
+ *       (dispatcher role or higher to clock out someone else). Availability
+ *       goes back to available. The work order status is left as it is.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               technician_id:
+ *                 type: integer
+ *               break_minutes:
+ *                 type: integer
+ *                 minimum: 0
+ *               is_billable:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Clocked out (returns time_entry with worked_minutes, and technician)
+ *       400:
+ *         description: Break longer than the time on the clock
+ *       403:
+ *         description: Clocking out another technician requires dispatcher role
+ *       404:
+ *         description: Work order or technician not found
+ *       409:
+ *         description: Technician is not clocked in on this work order
+ */
+router.post(
+  '/:id/clock-out',
+  authenticateToken,
+  attachEntity('work_order'),
+  requireMinimumRole('technician'),
+  requirePermission('read'),
+  enforceRLS,
+  validateIdParam(),
+  validateClockOut,
+  asyncHandler(async (req, res) => {
+    const workOrder = await GenericEntityService.findById(
+      'work_order',
+      req.validated.id,
+      buildRlsContext(req),
+    );
+
+    if (!workOrder) {
+      return ResponseFormatter.notFound(res, 'Work Order not found');
+    }
+
+    const result = await TimeEntryService.clockOut(workOrder.id, req.body, {
+      userId: req.dbUser.id,
+      userRole: req.dbUser.role,
+      auditContext: buildAuditContext(req),
+    });
+
+    return ResponseFormatter.success(res, result, { message: 'Clocked out' });
+  }),
+);
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/invoice:
+ *   post:
+ *     tags: [Work Orders]
+ *     summary: Create a draft invoice from a completed work order
+ *     description: |
+ *       Saves a draft invoice for the work order's customer with the next
+ *       INV-YYYY-NNNN number and one line item per technician (billable
+ *       hours at their hourly_rate) and per part (unit_cost plus the parts
+ *       markup), all on the 'standard' tax code. Totals are computed from
+ *       the lines. Markup, tax rate and default payment terms come from the
+ *       'invoicing' system setting. Technicians without a rate and parts
+ *       without a cost are listed at 0 for office staff to price.
+ *       A work order can only be invoiced again once its invoice is void.
+ *       Dispatcher role or higher.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               summary:
+ *                 type: string
+ *                 description: Defaults to the work order's summary
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today plus the payment terms
+ *     responses:
+ *       201:
+ *         description: Draft invoice created (returns the invoice and its line items)
+ *       400:
+ *         description: Work order not active, or nothing billable on it
+ *       403:
+ *         description: Dispatcher role or higher required
+ *       404:
+ *         description: Work order not found
+ *       409:
+ *         description: Work order is not completed, or already invoiced
+ */
+router.post(
+  '/:id/invoice',
+  authenticateToken,
+  attachEntity('invoice'),
+  requireMinimumRole('dispatcher'),
+  requirePermission('create'),
+  validateIdParam(),
+  validateWorkOrderInvoice,
+  asyncHandler(async (req, res) => {
+    const result = await InvoiceService.createFromWorkOrder(
+      req.validated.id,
+      req.body,
+      { auditContext: buildAuditContext(req) },
+    );
+
+    return ResponseFormatter.created(res, result, 'Draft invoice created');
+  }),
+);
+
+module.exports = router;
@@ -18,6 +18,13 @@
 -- PRE-PRODUCTION: DROP ALL TABLES FOR CLEAN RESET
 -- Remove this section when you have production data to preserve
 -- ============================================================================
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
+DROP TABLE IF EXISTS entity_changes CASCADE;
+DROP TABLE IF EXISTS outbox CASCADE;
+DROP TABLE IF EXISTS background_jobs CASCADE;
+DROP TABLE IF EXISTS scheduled_job_runs CASCADE;
+DROP TABLE IF EXISTS scheduled_jobs CASCADE;
 DROP TABLE IF EXISTS file_attachments CASCADE;
 DROP TABLE IF EXISTS system_settings CASCADE;
 DROP TABLE IF EXISTS entity_settings CASCADE;  -- Legacy table cleanup
@@ -25,10 +32,19 @@ DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS saved_views CASCADE;
 DROP TABLE IF EXISTS preferences CASCADE;
 DROP TABLE IF EXISTS audit_logs CASCADE;
+DROP TABLE IF EXISTS payments CASCADE;
+DROP TABLE IF EXISTS invoice_line_items CASCADE;
 DROP TABLE IF EXISTS invoices CASCADE;
 DROP TABLE IF EXISTS contracts CASCADE;
+DROP TABLE IF EXISTS time_entries CASCADE;
+DROP TABLE IF EXISTS stock_movements CASCADE;
+DROP TABLE IF EXISTS stock_locations CASCADE;
 DROP TABLE IF EXISTS work_orders CASCADE;
 DROP TABLE IF EXISTS inventory CASCADE;
+DROP TABLE IF EXISTS technician_certifications CASCADE;
+DROP TABLE IF EXISTS technician_skills CASCADE;
+DROP TABLE IF EXISTS certifications CASCADE;
+DROP TABLE IF EXISTS skills CASCADE;
 DROP TABLE IF EXISTS technicians CASCADE;
 DROP TABLE IF EXISTS customers CASCADE;
 DROP TABLE IF EXISTS refresh_tokens CASCADE;
@@ -209,6 +225,12 @@ CREATE TABLE IF NOT EXISTS preferences (
     
     -- Notification preference
     notifications_enabled BOOLEAN NOT NULL DEFAULT true,
+
+    -- Email copies of notifications (outbox email channel)
+    email_notifications BOOLEAN NOT NULL DEFAULT true,
+
+    -- One daily summary instead of an email per notification
+    notification_digest BOOLEAN NOT NULL DEFAULT false,
     
     -- Default page size for tables
     items_per_page INTEGER NOT NULL DEFAULT 25
@@ -286,9 +308,9 @@ CREATE TABLE IF NOT EXISTS notifications (
     title VARCHAR(255) NOT NULL,
     body TEXT,
     
-    -- Type for UI styling (info, success, warning, error, assignment, reminder)
+    -- Type for UI styling (info, success, warning, error, assignment, reminder, digest)
     type VARCHAR(20) NOT NULL DEFAULT 'info'
-        CHECK (type IN ('info', 'success', 'warning', 'error', 'assignment', 'reminder')),
+        CHECK (type IN ('info', 'success', 'warning', 'error', 'assignment', 'reminder', 'digest')),
     
     -- Optional link to related entity for navigation on click
     resource_type VARCHAR(50),  -- e.g., 'work_order', 'invoice', 'customer'
@@ -536,7 +558,15 @@ CREATE TABLE IF NOT EXISTS customers (
     service_city VARCHAR(100),
     service_state VARCHAR(10),
     service_postal_code VARCHAR(20),
-    service_country VARCHAR(2) DEFAULT 'US'
+    service_country VARCHAR(2) DEFAULT 'US',
+
+    -- Full-text search (searchWeights in metadata; see migration 016)
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(organization_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(first_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(last_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(email, '')), 'B')
+    ) STORED
 );
 
 -- ============================================================================
@@ -576,10 +606,16 @@ CREATE TABLE IF NOT EXISTS technicians (
     license_number VARCHAR(100),  -- Informational, not identity
     hourly_rate DECIMAL(10, 2),
     
-    -- Skills and certifications as comma-separated text
-    -- Simple MVP approach - can migrate to junction tables later if needed
-    certifications TEXT,  -- e.g., "EPA 608, NATE HVAC, Master Plumber"
-    skills TEXT           -- e.g., "plumbing, electrical, hvac"
+    -- Skills and certifications live in technician_skills and
+    -- technician_certifications junction tables (see below)
+
+    -- Full-text search (searchWeights in metadata; see migration 016)
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(first_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(last_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(email, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(license_number, '')), 'B')
+    ) STORED
 );
 
 -- ============================================================================
@@ -630,7 +666,21 @@ CREATE TABLE IF NOT EXISTS work_orders (
     -- Scheduling
     scheduled_start TIMESTAMP,
     scheduled_end TIMESTAMP,
-    completed_at TIMESTAMP
+    completed_at TIMESTAMP,
+    
+    -- Skill IDs a technician needs for this job (used for candidate matching)
+    required_skills INTEGER[] DEFAULT '{}' NOT NULL,
+
+    -- Service schedule occurrence this work order was generated for
+    -- (contract_id is added after the contracts table below)
+    occurrence_date DATE,
+
+    -- Full-text search (searchWeights in metadata; see migration 016)
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(work_order_number, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+    ) STORED
 );
 
 -- ============================================================================
@@ -666,14 +716,23 @@ CREATE TABLE IF NOT EXISTS invoices (
     work_order_id INTEGER REFERENCES work_orders(id) ON DELETE SET NULL,
     customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE RESTRICT,
     
-    -- Financial data
+    -- Financial data (recomputed from invoice_line_items on every line change)
     amount DECIMAL(10, 2) NOT NULL,
     tax DECIMAL(10, 2) DEFAULT 0,
     total DECIMAL(10, 2) NOT NULL,
     
-    -- Payment tracking
+    -- Payment tracking (amount_paid is the net of the payments ledger)
+    amount_paid DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+    balance DECIMAL(10, 2) GENERATED ALWAYS AS (total - amount_paid) STORED,
     due_date DATE,
-    paid_at TIMESTAMP
+    paid_at TIMESTAMP,
+
+    -- Full-text search (searchWeights in metadata; see migration 016)
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(invoice_number, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+    ) STORED
 );
 
 -- ============================================================================
@@ -714,9 +773,36 @@ CREATE TABLE IF NOT EXISTS contracts (
     terms TEXT,
     value DECIMAL(10, 2),
     billing_cycle VARCHAR(50)
-        CHECK (billing_cycle IN ('monthly', 'quarterly', 'annually', 'one_time'))
+        CHECK (billing_cycle IN ('monthly', 'quarterly', 'annually', 'one_time')),
+
+    -- Service schedule (RRULE-style FREQ/INTERVAL; NULL frequency = no recurring work)
+    service_frequency VARCHAR(20)
+        CHECK (service_frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+    service_interval INTEGER DEFAULT 1 NOT NULL CHECK (service_interval >= 1),
+    service_summary VARCHAR(255),
+    service_priority VARCHAR(50) DEFAULT 'normal'
+        CHECK (service_priority IN ('low', 'normal', 'high', 'urgent')),
+
+    -- Service Address (where scheduled work is performed; defaults to customer's)
+    service_line1 VARCHAR(255),
+    service_line2 VARCHAR(255),
+    service_city VARCHAR(100),
+    service_state VARCHAR(10),
+    service_postal_code VARCHAR(20),
+    service_country VARCHAR(2) DEFAULT 'US',
+
+    -- Full-text search (searchWeights in metadata; see migration 016)
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(contract_number, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+    ) STORED
 );
 
+-- Work orders generated from a contract's service schedule link back to it
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS contract_id INTEGER REFERENCES contracts(id) ON DELETE SET NULL;
+
 -- ============================================================================
 -- INVENTORY TABLE
 -- ============================================================================
@@ -752,7 +838,289 @@ CREATE TABLE IF NOT EXISTS inventory (
     
     -- Warehouse details
     location VARCHAR(255),
-    supplier VARCHAR(255)
+    supplier VARCHAR(255),
+
+    -- Full-text search (searchWeights in metadata; see migration 016)
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(sku, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+    ) STORED
+);
+
+-- ============================================================================
+-- SKILLS TABLE
+-- ============================================================================
+-- Business entity: Catalog of trade skills (plumbing, electrical, hvac...)
+-- Category: SIMPLE (name field is identity and display)
+-- Contract compliance: ✓ TIER 1 (reference data, no lifecycle status)
+--
+-- Identity field: name (unique)
+-- Soft deletes: is_active
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS skills (
+    -- TIER 1: Universal Entity Contract Fields
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,  -- Identity field
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    -- Entity-specific data fields
+    category VARCHAR(255),  -- e.g., "Mechanical", "Electrical"
+    description TEXT
+);
+
+-- ============================================================================
+-- CERTIFICATIONS TABLE
+-- ============================================================================
+-- Business entity: Catalog of certifications/licenses (EPA 608, NATE HVAC...)
+-- Category: SIMPLE (name field is identity and display)
+-- Contract compliance: ✓ TIER 1 (reference data, no lifecycle status)
+--
+-- Identity field: name (unique)
+-- Soft deletes: is_active
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS certifications (
+    -- TIER 1: Universal Entity Contract Fields
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,  -- Identity field
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    -- Entity-specific data fields
+    issuing_body VARCHAR(255),  -- e.g., "EPA", "NATE"
+    validity_months INTEGER CHECK (validity_months IS NULL OR validity_months > 0),
+    description TEXT
+);
+
+-- ============================================================================
+-- TECHNICIAN_SKILLS TABLE (junction)
+-- ============================================================================
+-- System table: Which skills a technician has, and how well
+-- One row per technician+skill pair
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS technician_skills (
+    id SERIAL PRIMARY KEY,
+    technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    proficiency VARCHAR(50) DEFAULT 'intermediate' NOT NULL
+        CHECK (proficiency IN ('beginner', 'intermediate', 'advanced', 'expert')),
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    CONSTRAINT technician_skills_unique UNIQUE (technician_id, skill_id)
+);
+
+-- ============================================================================
+-- TECHNICIAN_CERTIFICATIONS TABLE (junction)
+-- ============================================================================
+-- System table: Certifications a technician holds, with validity window
+-- expiry_date NULL = does not expire
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS technician_certifications (
+    id SERIAL PRIMARY KEY,
+    technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+    certification_id INTEGER NOT NULL REFERENCES certifications(id) ON DELETE CASCADE,
+    certificate_number VARCHAR(100),
+    issue_date DATE,
+    expiry_date DATE,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    CONSTRAINT technician_certifications_unique UNIQUE (technician_id, certification_id),
+    CONSTRAINT technician_certifications_dates
+        CHECK (expiry_date IS NULL OR issue_date IS NULL OR expiry_date >= issue_date)
+);
+
+-- ============================================================================
+-- STOCK_LOCATIONS TABLE
+-- ============================================================================
+-- Business entity: Where stock is held - warehouses and technician trucks
+-- Category: SIMPLE (name field is identity and display)
+-- Contract compliance: ✓ TIER 1 (reference data, no lifecycle status)
+--
+-- Identity field: name (unique)
+-- Soft deletes: is_active
+-- is_default = location used when a receipt or part line names none
+-- technician_id = truck owner (trucks only, one truck per technician)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS stock_locations (
+    -- TIER 1: Universal Entity Contract Fields
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,  -- Identity field
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    -- Entity-specific data fields
+    location_type VARCHAR(50) DEFAULT 'warehouse' NOT NULL
+        CHECK (location_type IN ('warehouse', 'truck')),
+    technician_id INTEGER REFERENCES technicians(id) ON DELETE SET NULL,
+    description TEXT,
+    is_default BOOLEAN DEFAULT false NOT NULL,
+    
+    CONSTRAINT stock_locations_truck_technician
+        CHECK (technician_id IS NULL OR location_type = 'truck')
+);
+
+-- ============================================================================
+-- STOCK_MOVEMENTS TABLE (append-only ledger)
+-- ============================================================================
+-- System table: Every change to stock at a location, never updated or deleted
+-- Per-location on-hand = SUM(quantity into it) - SUM(quantity out of it)
+-- inventory.quantity is the roll-up across all locations
+--   receipt / return   → to_location_id only
+--   consumption        → from_location_id only
+--   transfer           → both (different locations)
+--   adjustment         → exactly one (count correction in or out)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id SERIAL PRIMARY KEY,
+    inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE RESTRICT,
+    movement_type VARCHAR(50) NOT NULL
+        CHECK (movement_type IN ('receipt', 'transfer', 'consumption', 'return', 'adjustment')),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    from_location_id INTEGER REFERENCES stock_locations(id) ON DELETE RESTRICT,
+    to_location_id INTEGER REFERENCES stock_locations(id) ON DELETE RESTRICT,
+    reason TEXT,
+    work_order_id INTEGER REFERENCES work_orders(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    CONSTRAINT stock_movements_locations CHECK (
+        CASE movement_type
+            WHEN 'receipt' THEN from_location_id IS NULL AND to_location_id IS NOT NULL
+            WHEN 'return' THEN from_location_id IS NULL AND to_location_id IS NOT NULL
+            WHEN 'consumption' THEN from_location_id IS NOT NULL AND to_location_id IS NULL
+            WHEN 'transfer' THEN from_location_id IS NOT NULL AND to_location_id IS NOT NULL
+                AND from_location_id <> to_location_id
+            ELSE (from_location_id IS NULL) <> (to_location_id IS NULL)
+        END
+    )
+);
+
+-- ============================================================================
+-- WORK_ORDER_PARTS TABLE (sub-entity of work_orders)
+-- ============================================================================
+-- System table: Inventory parts used on a work order
+-- Adding a line takes quantity out of inventory.quantity; deleting it
+-- puts it back. unit_cost is captured at time of use.
+-- stock_location_id = where the part was drawn from (ledger consumption)
+-- stock_override = a manager allowed the line to take stock below zero
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS work_order_parts (
+    id SERIAL PRIMARY KEY,
+    work_order_id INTEGER NOT NULL REFERENCES work_orders(id) ON DELETE CASCADE,
+    inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_cost DECIMAL(10, 2),
+    notes TEXT,
+    stock_override BOOLEAN DEFAULT false NOT NULL,
+    added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    stock_location_id INTEGER REFERENCES stock_locations(id) ON DELETE SET NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- ============================================================================
+-- TIME_ENTRIES TABLE
+-- ============================================================================
+-- Business entity: One stint of work by a technician on a work order
+-- Contract compliance: ✓ TIER 1 (no name field, no lifecycle status)
+--
+-- Opened by clock-in (ended_at NULL), closed by clock-out
+-- Worked minutes = ended_at - started_at - break_minutes
+-- At most one open entry per technician (partial unique index)
+-- Technicians and work orders with entries are deactivated, not deleted
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS time_entries (
+    -- TIER 1: Universal Entity Contract Fields
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    -- Entity-specific data fields
+    technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE RESTRICT,
+    work_order_id INTEGER NOT NULL REFERENCES work_orders(id) ON DELETE RESTRICT,
+    started_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP,
+    break_minutes INTEGER DEFAULT 0 NOT NULL CHECK (break_minutes >= 0),
+    is_billable BOOLEAN DEFAULT true NOT NULL,
+    notes TEXT,
+    
+    CONSTRAINT time_entries_ended_after_started
+        CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+-- ============================================================================
+-- INVOICE_LINE_ITEMS TABLE (sub-entity of invoices)
+-- ============================================================================
+-- System table: One billed line on an invoice
+-- Contract compliance: ✓ TIER 1 (no name field, no lifecycle status)
+--
+-- amount = quantity x unit_price, tax = amount x tax_rate (server-computed)
+-- tax_rate is what tax_code resolved to when the line was last written
+-- Every line change recomputes invoices.amount/tax/total
+-- Lines can only change while the invoice is a draft
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    -- TIER 1: Universal Entity Contract Fields
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    
+    -- Entity-specific data fields
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    description VARCHAR(255) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+    tax_code VARCHAR(50) DEFAULT 'standard' NOT NULL,
+    
+    -- Server-computed
+    tax_rate DECIMAL(6, 3) DEFAULT 0 NOT NULL CHECK (tax_rate >= 0),
+    amount DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+    tax DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+    
+    -- Optional link to what the line bills for
+    inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+    technician_id INTEGER REFERENCES technicians(id) ON DELETE SET NULL
+);
+
+-- ============================================================================
+-- PAYMENTS TABLE
+-- ============================================================================
+-- System table: Append-only ledger of money received or returned per invoice
+-- Contract compliance: PARTIAL (no name, no is_active/updated_at - rows are
+-- never edited; a mistake is corrected with a refund or reversal)
+--
+-- payment reduces the invoice balance; refund returns money; reversal
+-- cancels one earlier payment (reverses_payment_id, at most once)
+-- invoices.amount_paid is the ledger net, kept in step by PaymentService
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+    entry_type VARCHAR(20) DEFAULT 'payment' NOT NULL
+        CHECK (entry_type IN ('payment', 'refund', 'reversal')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(50) NOT NULL
+        CHECK (method IN ('cash', 'check', 'card', 'bank_transfer', 'other')),
+    reference VARCHAR(100),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    notes TEXT,
+    reverses_payment_id INTEGER REFERENCES payments(id) ON DELETE RESTRICT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    CONSTRAINT payments_reversal_target
+        CHECK ((entry_type = 'reversal') = (reverses_payment_id IS NOT NULL))
 );
 
 -- ============================================================================
@@ -808,6 +1176,9 @@ CREATE INDEX IF NOT EXISTS idx_work_orders_status ON work_orders(status);
 CREATE INDEX IF NOT EXISTS idx_work_orders_priority ON work_orders(priority);
 CREATE INDEX IF NOT EXISTS idx_work_orders_created ON work_orders(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_work_orders_scheduled ON work_orders(scheduled_start);
+CREATE INDEX IF NOT EXISTS idx_work_orders_contract ON work_orders(contract_id);
+-- One work order per contract occurrence (makes generation idempotent)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_work_orders_contract_occurrence ON work_orders(contract_id, occurrence_date);
 
 -- Invoices indexes
 CREATE INDEX IF NOT EXISTS idx_invoices_number ON invoices(invoice_number);
@@ -825,6 +1196,7 @@ CREATE INDEX IF NOT EXISTS idx_contracts_active ON contracts(is_active) WHERE is
 CREATE INDEX IF NOT EXISTS idx_contracts_status ON contracts(status);
 CREATE INDEX IF NOT EXISTS idx_contracts_dates ON contracts(start_date, end_date);
 CREATE INDEX IF NOT EXISTS idx_contracts_created ON contracts(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_contracts_service_frequency ON contracts(service_frequency) WHERE service_frequency IS NOT NULL;
 
 -- Inventory indexes
 CREATE INDEX IF NOT EXISTS idx_inventory_sku ON inventory(sku);
@@ -834,10 +1206,59 @@ CREATE INDEX IF NOT EXISTS idx_inventory_status ON inventory(status);
 CREATE INDEX IF NOT EXISTS idx_inventory_quantity ON inventory(quantity);
 CREATE INDEX IF NOT EXISTS idx_inventory_created ON inventory(created_at DESC);
 
+-- Skills & certifications indexes
+CREATE INDEX IF NOT EXISTS idx_skills_active ON skills(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_certifications_active ON certifications(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_technician_skills_skill ON technician_skills(skill_id);
+CREATE INDEX IF NOT EXISTS idx_technician_certifications_cert ON technician_certifications(certification_id);
+CREATE INDEX IF NOT EXISTS idx_technician_certifications_expiry ON technician_certifications(expiry_date);
+CREATE INDEX IF NOT EXISTS idx_work_orders_required_skills ON work_orders USING GIN (required_skills);
+
+-- Work order parts indexes
+CREATE INDEX IF NOT EXISTS idx_work_order_parts_work_order ON work_order_parts(work_order_id);
+CREATE INDEX IF NOT EXISTS idx_work_order_parts_inventory ON work_order_parts(inventory_id);
+
+-- Stock location & movement indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_locations_default_unique
+    ON stock_locations(is_default) WHERE is_default = true;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_locations_technician_unique
+    ON stock_locations(technician_id) WHERE technician_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_locations_active ON stock_locations(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_inventory ON stock_movements(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_from ON stock_movements(from_location_id) WHERE from_location_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_to ON stock_movements(to_location_id) WHERE to_location_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_work_order ON stock_movements(work_order_id) WHERE work_order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_movements_created ON stock_movements(created_at DESC);
+
+-- Time entry indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_open_unique
+    ON time_entries(technician_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_time_entries_technician_started ON time_entries(technician_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_work_order ON time_entries(work_order_id);
+CREATE INDEX IF NOT EXISTS idx_time_entries_active ON time_entries(is_active) WHERE is_active = true;
+
+-- Invoice line item indexes
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_inventory ON invoice_line_items(inventory_id) WHERE inventory_id IS NOT NULL;
+
+-- Payment indexes
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_payments_received ON payments(received_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_reverses_unique
+    ON payments(reverses_payment_id) WHERE reverses_payment_id IS NOT NULL;
+
 -- Users polymorphic profile indexes
 CREATE INDEX IF NOT EXISTS idx_users_customer_profile ON users(customer_profile_id);
 CREATE INDEX IF NOT EXISTS idx_users_technician_profile ON users(technician_profile_id);
 
+-- Full-text search indexes (search_vector, see migration 016)
+CREATE INDEX IF NOT EXISTS idx_customers_search ON customers USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_technicians_search ON technicians USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_work_orders_search ON work_orders USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_invoices_search ON invoices USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_contracts_search ON contracts USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_inventory_search ON inventory USING GIN (search_vector);
+
 -- ============================================================================
 -- AUTOMATIC TIMESTAMP MANAGEMENT
 -- ============================================================================
@@ -879,6 +1300,61 @@ CREATE TRIGGER update_inventory_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_skills_updated_at ON skills;
+CREATE TRIGGER update_skills_updated_at
+    BEFORE UPDATE ON skills
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_certifications_updated_at ON certifications;
+CREATE TRIGGER update_certifications_updated_at
+    BEFORE UPDATE ON certifications
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_technician_skills_updated_at ON technician_skills;
+CREATE TRIGGER update_technician_skills_updated_at
+    BEFORE UPDATE ON technician_skills
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_technician_certifications_updated_at ON technician_certifications;
+CREATE TRIGGER update_technician_certifications_updated_at
+    BEFORE UPDATE ON technician_certifications
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_work_order_parts_updated_at ON work_order_parts;
+CREATE TRIGGER update_work_order_parts_updated_at
+    BEFORE UPDATE ON work_order_parts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_stock_locations_updated_at ON stock_locations;
+CREATE TRIGGER update_stock_locations_updated_at
+    BEFORE UPDATE ON stock_locations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- stock_movements is append-only: no updated_at column or trigger
+
+DROP TRIGGER IF EXISTS update_time_entries_updated_at ON time_entries;
+CREATE TRIGGER update_time_entries_updated_at
+    BEFORE UPDATE ON time_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_invoice_line_items_updated_at ON invoice_line_items;
+CREATE TRIGGER update_invoice_line_items_updated_at
+    BEFORE UPDATE ON invoice_line_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Default location for receipts and part lines that name none
+INSERT INTO stock_locations (name, location_type, description, is_default)
+SELECT 'Main Warehouse', 'warehouse', 'Default location for received stock', true
+WHERE NOT EXISTS (SELECT 1 FROM stock_locations WHERE is_default = true);
+
 -- ============================================================================
 -- SYSTEM SETTINGS TABLE
 -- ============================================================================
@@ -929,6 +1405,170 @@ INSERT INTO system_settings (key, value, description) VALUES
 )
 ON CONFLICT (key) DO NOTHING;
 
+-- ============================================================================
+-- SCHEDULED JOBS (in-process scheduler state and run history)
+-- ============================================================================
+-- Jobs are defined in config/scheduled-jobs.js; no row = not paused
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    paused BOOLEAN DEFAULT false NOT NULL,
+    paused_at TIMESTAMP,
+    paused_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    trigger_type VARCHAR(20) NOT NULL
+        CHECK (trigger_type IN ('schedule', 'startup', 'manual')),
+    scheduled_for TIMESTAMP,
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'running' NOT NULL
+        CHECK (status IN ('running', 'succeeded', 'failed')),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    error TEXT,
+    result JSONB,
+
+    CONSTRAINT scheduled_job_runs_tick
+        CHECK ((trigger_type = 'schedule') = (scheduled_for IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job
+    ON scheduled_job_runs(job_name, started_at DESC);
+-- One run per job per cron tick, whichever instance claims it first
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_job_runs_tick
+    ON scheduled_job_runs(job_name, scheduled_for) WHERE scheduled_for IS NOT NULL;
+
+-- ============================================================================
+-- BACKGROUND JOBS (durable queue, services/job-queue-service.js)
+-- ============================================================================
+-- Job types are defined in config/job-types.js
+CREATE TABLE IF NOT EXISTS background_jobs (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(100) NOT NULL,
+    payload JSONB DEFAULT '{}'::jsonb NOT NULL,
+    status VARCHAR(20) DEFAULT 'queued' NOT NULL
+        CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+    attempts INTEGER DEFAULT 0 NOT NULL CHECK (attempts >= 0),
+    max_attempts INTEGER DEFAULT 5 NOT NULL CHECK (max_attempts >= 1),
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP,
+    progress INTEGER DEFAULT 0 NOT NULL CHECK (progress BETWEEN 0 AND 100),
+    progress_message VARCHAR(255),
+    result JSONB,
+    last_error TEXT,
+    submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_due
+    ON background_jobs(run_at, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_background_jobs_running
+    ON background_jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_background_jobs_submitter
+    ON background_jobs(submitted_by, created_at DESC);
+
+-- ============================================================================
+-- OUTBOX (notification channels besides in-app, services/outbox-service.js)
+-- ============================================================================
+-- Channels are defined in config/notification-channels.js
+CREATE TABLE IF NOT EXISTS outbox (
+    id SERIAL PRIMARY KEY,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('email')),
+    notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL
+        CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0 NOT NULL CHECK (attempts >= 0),
+    last_error TEXT,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_status
+    ON outbox(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_outbox_notification
+    ON outbox(notification_id);
+
+-- ============================================================================
+-- ENTITY CHANGES (real-time stream, services/change-stream-service.js)
+-- ============================================================================
+-- Announced with NOTIFY entity_changes; kept a day for Last-Event-ID resume
+CREATE TABLE IF NOT EXISTS entity_changes (
+    id BIGSERIAL PRIMARY KEY,
+    entity VARCHAR(50) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated', 'deleted')),
+    record_id INTEGER NOT NULL,
+    record JSONB NOT NULL,
+    previous JSONB,
+    actor_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_changes_created
+    ON entity_changes(created_at);
+
+-- ============================================================================
+-- WEBHOOKS (outbound, services/webhook-service.js)
+-- ============================================================================
+-- Subscriptions are an admin entity; deliveries are POSTed by the
+-- 'webhook.deliver' background job
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    events TEXT[] DEFAULT ARRAY['created', 'updated', 'deleted'] NOT NULL
+        CHECK (events <@ ARRAY['created', 'updated', 'deleted']),
+    entities TEXT[] DEFAULT '{}' NOT NULL,
+    secret VARCHAR(255) NOT NULL CHECK (length(secret) >= 16),
+    description TEXT
+);
+
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at
+    BEFORE UPDATE ON webhook_subscriptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL
+        REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER DEFAULT 0 NOT NULL CHECK (attempts >= 0),
+    response_status INTEGER,
+    response_body TEXT,
+    last_error TEXT,
+    duration_ms INTEGER,
+    delivered_at TIMESTAMP,
+    redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status
+    ON webhook_deliveries(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+    ON webhook_deliveries(subscription_id, created_at DESC);
+
 -- ============================================================================
 -- TABLE COMMENTS (Documentation)
 -- ============================================================================
@@ -942,8 +1582,24 @@ COMMENT ON TABLE work_orders IS 'Service work orders - COMPUTED entity (work_ord
 COMMENT ON TABLE invoices IS 'Billing invoices - COMPUTED entity (invoice_number=identity, name=computed display)';
 COMMENT ON TABLE contracts IS 'Service contracts - COMPUTED entity (contract_number=identity, name=computed display)';
 COMMENT ON TABLE inventory IS 'Parts and supplies - SIMPLE entity (sku=identity, name=display)';
+COMMENT ON TABLE skills IS 'Skill catalog - SIMPLE entity (name=identity and display)';
+COMMENT ON TABLE certifications IS 'Certification catalog - SIMPLE entity (name=identity and display)';
+COMMENT ON TABLE technician_skills IS 'Technician-to-skill junction with proficiency level';
+COMMENT ON TABLE technician_certifications IS 'Technician-to-certification junction with issue/expiry dates';
+COMMENT ON TABLE stock_locations IS 'Stock locations (warehouses, trucks) - SIMPLE entity (name=identity and display)';
+COMMENT ON TABLE stock_movements IS 'Append-only stock ledger - per-location on-hand is derived from it';
+COMMENT ON TABLE time_entries IS 'Technician time on work orders - clock-in/clock-out stints';
+COMMENT ON TABLE invoice_line_items IS 'Billed lines on an invoice - invoice amount/tax/total are their sums';
+COMMENT ON TABLE payments IS 'Append-only payment ledger - invoice amount_paid/balance are derived from it';
 COMMENT ON TABLE audit_logs IS 'Complete audit trail - source of truth for who/when/what changed';
 COMMENT ON TABLE refresh_tokens IS 'JWT refresh tokens for authentication';
+COMMENT ON TABLE scheduled_jobs IS 'Pause state of in-process scheduled jobs (config/scheduled-jobs.js)';
+COMMENT ON TABLE scheduled_job_runs IS 'Run history of scheduled jobs - one row per run';
+COMMENT ON TABLE background_jobs IS 'Durable background job queue - claimed with FOR UPDATE SKIP LOCKED';
+COMMENT ON TABLE outbox IS 'Notification messages for channels besides in-app (email), with delivery status';
+COMMENT ON TABLE entity_changes IS 'Recent entity changes for the real-time stream (GET /api/stream), kept for Last-Event-ID resume';
+COMMENT ON TABLE webhook_subscriptions IS 'External URLs subscribed to entity events (outbound webhooks)';
+COMMENT ON TABLE webhook_deliveries IS 'Webhook delivery log: signed payload per event and subscription, with status and last response';
 
 -- Roles columns
 COMMENT ON COLUMN roles.id IS 'Unique identifier';
@@ -0,0 +1,78 @@
+/**
+ * Local Webhook Receiver
+ * Run this to watch webhook deliveries and check their signatures
+ *
+ * USAGE:
+ *   WEBHOOK_SECRET=<subscription secret> node scripts/webhook-receiver.js [port]
+ *   Subscribe http://localhost:<port>/ (default 4000) as an admin, then
+ *   create, update or delete a record.
+ *
+ * Answers 200 when the signature matches, 401 when it does not. Set
+ * WEBHOOK_STATUS (e.g. 500) to answer with that status instead and watch
+ * the delivery being retried.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const forcedStatus = Number(process.env.WEBHOOK_STATUS) || null;
+
+// Tolerated clock difference for X-Tross-Timestamp (replay protection)
+const MAX_AGE_SECONDS = 300;
+
+if (!secret) {
+  console.error('❌ WEBHOOK_SECRET is required (the subscription secret)');
+  process.exit(1);
+}
+
+/**
+ * Receiver-side check: HMAC-SHA256 of "<timestamp>.<raw body>"
+ */
+function verify(timestamp, body, signature) {
+  if (!timestamp || !signature) {
+    return false;
+  }
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= MAX_AGE_SECONDS)) {
+    return false;
+  }
+  const expected = `sha256=${crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')}`;
+  return (
+    expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  );
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const valid = verify(
+      req.headers['x-tross-timestamp'],
+      body,
+      req.headers['x-tross-signature'],
+    );
+    const status = forcedStatus || (valid ? 200 : 401);
+
+    console.log(
+      `${valid ? '✅' : '❌'} ${req.headers['x-tross-event']} ` +
+        `(event ${req.headers['x-tross-event-id']}, ` +
+        `delivery ${req.headers['x-tross-delivery']}) -> ${status}`,
+    );
+    console.log(`   ${body}\n`);
+
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(valid ? 'ok' : 'invalid signature');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`\n🔔 Webhook receiver listening on http://localhost:${port}/\n`);
+});
@@ -175,10 +175,22 @@ const auth0Routes = require('./routes/auth0');
 const healthRoutes = require('./routes/health');
 const schemaRoutes = require('./routes/schema');
 const rolesExtensions = require('./routes/roles-extensions');
+const workOrdersExtensions = require('./routes/work-orders-extensions');
+const techniciansExtensions = require('./routes/technicians-extensions');
+const contractsExtensions = require('./routes/contracts-extensions');
+const inventoryExtensions = require('./routes/inventory-extensions');
+const timeEntriesExtensions = require('./routes/time-entries-extensions');
+const notificationsExtensions = require('./routes/notifications-extensions');
+const workOrderPartsRoutes = require('./routes/work-order-parts');
+const invoiceLineItemsRoutes = require('./routes/invoice-line-items');
+const invoicesExtensions = require('./routes/invoices-extensions');
+const dispatchRoutes = require('./routes/dispatch');
 const statsRoutes = require('./routes/stats');
 const exportRoutes = require('./routes/export');
 const auditRoutes = require('./routes/audit');
 const adminRoutes = require('./routes/admin');
+const jobsRoutes = require('./routes/jobs');
+const streamRoutes = require('./routes/stream');
 
 // Metadata-driven entity route loading (replaces hardcoded entity router imports)
 const {
@@ -188,6 +200,16 @@ const {
 const entityRoutes = loadEntityRoutes();
 const fileSubRoutes = loadFileSubRoutes();
 
+// Notifications raised by entity lifecycle events (config/notification-rules.js)
+require('./services/notification-rule-engine').register();
+
+// Entity changes pushed to GET /api/stream clients (Server-Sent Events)
+const ChangeStreamService = require('./services/change-stream-service');
+ChangeStreamService.register();
+
+// Outbound webhooks for entity changes (webhook_subscriptions)
+require('./services/webhook-service').register();
+
 // =============================================================================
 // AUTHENTICATION ROUTES
 // =============================================================================
@@ -204,6 +226,14 @@ for (const { path, router } of fileSubRoutes) {
   app.use(path, apiLimiter, router);
 }
 
+// =============================================================================
+// LITERAL-PATH ENTITY EXTENSIONS
+// Mounted BEFORE entity routes so GET /:id does not claim the literal segment
+// =============================================================================
+app.use('/api/inventory', apiLimiter, inventoryExtensions); // Extension: /reorder-report, /:id/{stock,receive,adjust,transfer}
+app.use('/api/time_entries', apiLimiter, timeEntriesExtensions); // Extension: /timesheet
+app.use('/api/notifications', apiLimiter, notificationsExtensions); // Extension: /mark-read, /broadcast
+
 // =============================================================================
 // ENTITY CRUD ROUTES (Metadata-Driven)
 // Loaded dynamically from config/models/* based on routeConfig.useGenericRouter
@@ -214,16 +244,25 @@ for (const { path, router } of entityRoutes) {
 
 // Entity-specific extensions (not generic - kept explicit)
 app.use('/api/roles', apiLimiter, rolesExtensions); // Extension: /:id/users
+app.use('/api/work_orders', apiLimiter, workOrdersExtensions); // Extension: /:id/candidate_technicians, /:id/clock-in, /:id/clock-out, /:id/invoice
+app.use('/api/technicians', apiLimiter, techniciansExtensions); // Extension: /:id/schedule
+app.use('/api/contracts', apiLimiter, contractsExtensions); // Extension: /:id/service_occurrences, /:id/generate_work_orders
+app.use('/api/invoices', apiLimiter, invoicesExtensions); // Extension: /:id/payments, /:id/refunds, /:id/payments/:paymentId/reverse
+app.use('/api/work_orders/:id/parts', apiLimiter, workOrderPartsRoutes); // Sub-entity: parts used (moves inventory)
+app.use('/api/invoices/:id/line_items', apiLimiter, invoiceLineItemsRoutes); // Sub-entity: invoice lines (recompute totals)
 
 // =============================================================================
 // INFRASTRUCTURE & UTILITY ROUTES (not entity-driven)
 // =============================================================================
 app.use('/api/health', apiLimiter, healthRoutes); // Health monitoring
 app.use('/api/schema', apiLimiter, schemaRoutes); // Schema introspection for UI generation
+app.use('/api/dispatch', apiLimiter, dispatchRoutes); // Dispatch board
 app.use('/api/stats', apiLimiter, statsRoutes); // Aggregation endpoints
 app.use('/api/export', apiLimiter, exportRoutes); // CSV export
 app.use('/api/audit', apiLimiter, auditRoutes); // Audit log queries
 app.use('/api/admin', apiLimiter, adminRoutes); // Admin system management
+app.use('/api/jobs', apiLimiter, jobsRoutes); // Background job status polling
+app.use('/api/stream', apiLimiter, streamRoutes); // Real-time entity changes (SSE)
 app.use('/api', apiLimiter); // Catch-all rate limiting
 
 // 404 handler for unknown endpoints
@@ -356,6 +395,8 @@ app.use((error, req, res, _next) => {
 // Graceful shutdown (no hard dependencies)
 process.on('SIGTERM', async () => {
   logger.info('📴 Shutting down gracefully...');
+  // Streams hold a LISTEN connection that would keep the pool open
+  ChangeStreamService.stop();
   try {
     // Try to close DB connection if available, but don't fail if it's not
     const db = require('./db/connection');
@@ -369,6 +410,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('📴 SIGINT received, shutting down gracefully');
+  ChangeStreamService.stop();
   try {
     const db = require('./db/connection');
     await db.end();
@@ -436,6 +478,21 @@ if (process.env.NODE_ENV !== 'test') {
         // Validate enum synchronization between Joi and PostgreSQL
         const { validateEnumSync } = require('./utils/validation-sync-checker');
         await validateEnumSync(db);
+
+        // Recurring jobs (config/scheduled-jobs.js): contract work orders,
+        // lifecycle sweep, token/audit cleanup
+        if (process.env.JOB_SCHEDULER_ENABLED !== 'false') {
+          const JobSchedulerService = require('./services/job-scheduler-service');
+          JobSchedulerService.start();
+          logger.info('⏰ Job scheduler started');
+        }
+
+        // Worker for the background job queue (config/job-types.js)
+        if (process.env.JOB_QUEUE_ENABLED !== 'false') {
+          const JobQueueService = require('./services/job-queue-service');
+          JobQueueService.start();
+          logger.info('📥 Background job worker started');
+        }
       } catch (_error) {
         logger.error(
           '⚠️ Database connection failed on startup. Server will continue but DB-dependent features will be unavailable.',
@@ -91,6 +91,14 @@ const AuditActions = {
   INVOICE_DELETE: 'invoice_delete',
   INVOICE_PAID: 'invoice_paid',
   INVOICE_VOIDED: 'invoice_voided',
+  INVOICE_OVERDUE: 'invoice_overdue',
+
+  // ============================================================================
+  // PAYMENT ACTIONS
+  // ============================================================================
+  PAYMENT_RECEIVED: 'payment_received',
+  PAYMENT_REFUNDED: 'payment_refunded',
+  PAYMENT_REVERSED: 'payment_reversed',
 
   // ============================================================================
   // CONTRACT MANAGEMENT ACTIONS
@@ -100,6 +108,7 @@ const AuditActions = {
   CONTRACT_DELETE: 'contract_delete',
   CONTRACT_ACTIVATED: 'contract_activated',
   CONTRACT_TERMINATED: 'contract_terminated',
+  CONTRACT_EXPIRED: 'contract_expired',
 
   // ============================================================================
   // INVENTORY MANAGEMENT ACTIONS
@@ -108,7 +117,31 @@ const AuditActions = {
   INVENTORY_UPDATE: 'inventory_update',
   INVENTORY_DELETE: 'inventory_delete',
   INVENTORY_ADJUSTMENT: 'inventory_adjustment',
+  INVENTORY_RECEIPT: 'inventory_receipt',
+  INVENTORY_TRANSFER: 'inventory_transfer',
   INVENTORY_REORDER: 'inventory_reorder',
+  INVENTORY_STOCK_OVERRIDE: 'inventory_stock_override',
+
+  // ============================================================================
+  // TIME TRACKING ACTIONS
+  // ============================================================================
+  TIME_CLOCK_IN: 'time_clock_in',
+  TIME_CLOCK_OUT: 'time_clock_out',
+
+  // ============================================================================
+  // SCHEDULING ACTIONS
+  // ============================================================================
+  SCHEDULE_CONFLICT_OVERRIDE: 'schedule_conflict_override',
+
+  // ============================================================================
+  // SYSTEM JOB ACTIONS
+  // ============================================================================
+  LIFECYCLE_SWEEP_RUN: 'lifecycle_sweep_run',
+  JOB_PAUSED: 'job_paused',
+  JOB_RESUMED: 'job_resumed',
+  JOB_RUN: 'job_run',
+  OUTBOX_RETRIED: 'outbox_retried',
+  WEBHOOK_REDELIVERED: 'webhook_redelivered',
 };
 
 /**
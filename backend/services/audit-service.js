@@ -3,6 +3,8 @@ const { logger } = require('../config/logger');
 const { AuditActions, AuditResults } = require('./audit-constants');
 const { toSafeUserId, toSafeInteger } = require('../validators/type-coercion');
 const AppError = require('../utils/app-error');
+const PaginationService = require('./pagination-service');
+const { countRows } = require('../db/helpers/count-helper');
 
 /**
  * AuditService - Comprehensive audit logging for security and compliance
@@ -194,41 +196,42 @@ class AuditService {
    * Get all recent audit logs (admin only)
    * Used for admin dashboard - shows all system activity
    *
+   * Newest first. With a cursor (PaginationService), pages continue from the
+   * cursor row instead of an offset, so entries logged meanwhile don't shift
+   * the pages.
+   *
    * @param {Object} options - Query options
    * @param {number} options.limit - Maximum records to return (default 100, max 500)
    * @param {number} options.offset - Offset for pagination (default 0)
+   * @param {string} [options.cursor] - '' for the first page, or a
+   *   nextCursor/prevCursor from a previous page (replaces offset)
+   * @param {string} [options.count='exact'] - Total count: 'exact', 'estimated' or 'none'
    * @param {string} options.actionFilter - Filter by action type ('data' or 'auth')
-   * @returns {Promise<{logs: Array, total: number}>}
+   * @returns {Promise<Object>} { logs, total, totalEstimated, limit, offset },
+   *   plus { hasNext, hasPrev, nextCursor, prevCursor } with a cursor
+   * @throws {AppError} 400 if the cursor is malformed
    */
   static async getAllRecentLogs({
     limit = 100,
     offset = 0,
+    cursor,
+    count = 'exact',
     actionFilter = null,
   } = {}) {
     try {
       const safeLimit = Math.min(Math.max(1, parseInt(limit) || 100), 500);
       const safeOffset = Math.max(0, parseInt(offset) || 0);
+      const cursorMode = cursor !== undefined && cursor !== null;
 
       // Build WHERE clause based on filter
-      let whereClause = '';
+      const conditions = [];
       const params = [];
 
-      if (actionFilter === 'auth') {
+      if (actionFilter === 'auth' || actionFilter === 'data') {
         // Auth events: login, logout, token, session management
-        whereClause = 'WHERE action IN ($1, $2, $3, $4, $5, $6, $7, $8)';
-        params.push(
-          AuditActions.LOGIN,
-          AuditActions.LOGIN_FAILED,
-          AuditActions.LOGOUT,
-          AuditActions.LOGOUT_ALL_DEVICES,
-          AuditActions.ADMIN_REVOKE_SESSIONS,
-          AuditActions.TOKEN_REFRESH,
-          AuditActions.PASSWORD_RESET,
-          AuditActions.UNAUTHORIZED_ACCESS,
-        );
-      } else if (actionFilter === 'data') {
         // Data events: all CRUD operations (NOT auth events)
-        whereClause = 'WHERE action NOT IN ($1, $2, $3, $4, $5, $6, $7, $8)';
+        const operator = actionFilter === 'auth' ? 'IN' : 'NOT IN';
+        conditions.push(`action ${operator} ($1, $2, $3, $4, $5, $6, $7, $8)`);
         params.push(
           AuditActions.LOGIN,
           AuditActions.LOGIN_FAILED,
@@ -241,33 +244,106 @@ class AuditService {
         );
       }
 
-      // Get total count
-      const countResult = await db(
-        `SELECT COUNT(*) as total FROM audit_logs ${whereClause}`,
+      // Get total count (all matching logs, not just past the cursor)
+      const whereClause =
+        conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const { total, totalEstimated } = await countRows(
+        { query: db },
+        count,
+        `FROM audit_logs ${whereClause}`,
         params,
       );
-      const total = parseInt(countResult.rows[0].total, 10);
+
+      // Page: newest first, after/before the cursor row or at an offset
+      const sort = { field: 'created_at', order: 'DESC' };
+      const columns = { column: 'al.created_at', idColumn: 'al.id' };
+      let decoded = null;
+      let orderBy = 'al.created_at DESC';
+      let pageClause = `LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+      const pageParams = [...params];
+
+      if (cursorMode) {
+        if (cursor) {
+          decoded = PaginationService.decodeCursor(cursor);
+          if (decoded.field !== sort.field || decoded.order !== sort.order) {
+            throw new AppError('Invalid pagination cursor', 400, 'BAD_REQUEST');
+          }
+          const keyset = PaginationService.buildKeysetClause(
+            decoded,
+            columns,
+            pageParams.length,
+          );
+          conditions.push(keyset.clause);
+          pageParams.push(...keyset.params);
+        }
+        orderBy = PaginationService.buildKeysetOrder(
+          sort,
+          columns,
+          decoded ? decoded.direction : 'next',
+        );
+        pageClause = `LIMIT $${pageParams.length + 1}`;
+        pageParams.push(safeLimit + 1);
+      } else {
+        pageParams.push(safeLimit, safeOffset);
+      }
+
+      const pageWhereClause =
+        conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
       // Get paginated logs with user info
       const logsResult = await db(
         `SELECT 
            al.*,
+           al.created_at::text AS ${PaginationService.CURSOR_VALUE_COLUMN},
            u.email as user_email,
            u.first_name as user_first_name,
            u.last_name as user_last_name
          FROM audit_logs al
          LEFT JOIN users u ON al.user_id = u.id
-         ${whereClause}
-         ORDER BY al.created_at DESC
-         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
-        [...params, safeLimit, safeOffset],
+         ${pageWhereClause}
+         ORDER BY ${orderBy}
+         ${pageClause}`,
+        pageParams,
       );
 
+      const stripCursorValue = (rows) =>
+        rows.map(
+          ({ [PaginationService.CURSOR_VALUE_COLUMN]: _value, ...log }) => log,
+        );
+
+      if (!cursorMode) {
+        return {
+          logs: stripCursorValue(logsResult.rows),
+          total,
+          totalEstimated,
+          limit: safeLimit,
+          offset: safeOffset,
+        };
+      }
+
+      const slice = PaginationService.sliceCursorPage(
+        logsResult.rows,
+        safeLimit,
+        decoded ? decoded.direction : 'next',
+      );
+      const { hasNext, hasPrev, nextCursor, prevCursor } =
+        PaginationService.generateCursorMetadata(slice.rows, {
+          limit: safeLimit,
+          sort,
+          cursor: decoded,
+          hasMore: slice.hasMore,
+        });
+
       return {
-        logs: logsResult.rows,
+        logs: stripCursorValue(slice.rows),
         total,
+        totalEstimated,
         limit: safeLimit,
-        offset: safeOffset,
+        offset: null,
+        hasNext,
+        hasPrev,
+        nextCursor,
+        prevCursor,
       };
     } catch (error) {
       logger.error('Error fetching all recent logs', { error: error.message });
@@ -0,0 +1,561 @@
+/**
+ * Change Stream Service
+ *
+ * SRP LITERALISM: ONLY carries committed entity changes to the clients
+ * connected to GET /api/stream (Server-Sent Events)
+ *
+ * PHILOSOPHY:
+ * - ANNOUNCED THROUGH POSTGRES: Every create/update/delete on the entity
+ *   events bus is logged to entity_changes and announced with
+ *   NOTIFY entity_changes, so a change made through any backend instance
+ *   reaches the clients of every instance
+ * - SAME ACCESS AS READS: A client gets a change only for entities its role
+ *   may read, only when the row passes its RLS policy (the
+ *   rls-filter-helper clause, evaluated against the logged row) and only
+ *   with the fields its role may read (field-access-controller)
+ * - LEAVING THE VIEW: An update that takes a row out of a client's view
+ *   (e.g. a work order reassigned away from a technician) arrives as
+ *   'removed' with the ID only
+ * - RESUMABLE: The SSE event ID is the entity_changes ID; a client that
+ *   reconnects with Last-Event-ID gets what it missed, or 'reset' (refetch)
+ *   when that is older than CHANGE_STREAM.RETENTION_HOURS
+ * - ONE LISTENER PER INSTANCE: One pooled connection LISTENs while clients
+ *   are connected; when it is lost it reconnects and catches up from the
+ *   table
+ *
+ * EVENTS (SSE event field; data is JSON):
+ *   created | updated | deleted  { entity, action, id, record }
+ *   removed                      { entity, action: 'removed', id }
+ *   reset                        {}
+ *
+ * USAGE:
+ *   ChangeStreamService.register();      // server.js, once
+ *   await ChangeStreamService.open(req, res); // GET /api/stream
+ */
+
+const db = require('../db/connection');
+const EntityEvents = require('./entity-events');
+const allMetadata = require('../config/models');
+const { hasPermission, getRLSRule } = require('../config/permissions-loader');
+const { buildRLSFilter } = require('../db/helpers/rls-filter-helper');
+const { filterDataByRole } = require('../utils/field-access-controller');
+const { CHANGE_STREAM, ENTITY_EVENTS } = require('../config/constants');
+const { logger } = require('../config/logger');
+
+/**
+ * EntityEvents subscriber name
+ */
+const SUBSCRIBER = 'change-stream';
+
+/**
+ * RLS policies that never narrow rows (no per-row check needed)
+ */
+const UNFILTERED_POLICIES = new Set(['all_records', 'public_resource']);
+
+/**
+ * Open streams on this instance: { user, res, lastEventId, expiry }
+ * (lastEventId is null until the stream knows where it starts)
+ */
+const streams = new Set();
+
+/**
+ * LISTEN connection and timers, held while streams are open
+ */
+const listener = {
+  client: null,
+  connecting: false,
+  retry: null,
+  heartbeat: null,
+};
+
+/**
+ * Delivery pass state: one pass at a time, another one queued when
+ * changes are announced during a pass
+ */
+const delivery = { running: false, again: false };
+
+/**
+ * Format one SSE message
+ * @private
+ */
+function sseMessage(id, event, data) {
+  const idLine = id === null ? '' : `id: ${id}\n`;
+  return `${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Resume point from the Last-Event-ID header (or ?lastEventId= for clients
+ * that cannot set headers on the first request)
+ * @private
+ */
+function resumePoint(req) {
+  const value = req.get('last-event-id') ?? req.query.lastEventId;
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const id = Number(value);
+  return Number.isSafeInteger(id) && id >= 0 ? id : null;
+}
+
+class ChangeStreamService {
+  /**
+   * Log every entity change for the stream
+   */
+  static register() {
+    EntityEvents.subscribe(SUBSCRIBER, (event) => this.record(event));
+  }
+
+  /**
+   * Stop logging entity changes
+   */
+  static unregister() {
+    EntityEvents.unsubscribe(SUBSCRIBER);
+  }
+
+  /**
+   * Log one entity change and announce it to every instance
+   *
+   * @param {Object} event - EntityEvents event
+   * @returns {Promise<void>}
+   */
+  static async record(event) {
+    if (!CHANGE_STREAM.ACTIONS.includes(event.action)) {
+      return;
+    }
+    const record = event.record || event.previous;
+    if (!record) {
+      return;
+    }
+
+    await db.query(
+      `WITH change AS (
+         INSERT INTO entity_changes
+           (entity, action, record_id, record, previous, actor_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id
+       )
+       SELECT pg_notify($7, id::text) FROM change`,
+      [
+        event.entity,
+        event.action,
+        event.id,
+        record,
+        event.action === ENTITY_EVENTS.UPDATED ? event.previous : null,
+        event.actorId,
+        CHANGE_STREAM.CHANNEL,
+      ],
+    );
+  }
+
+  /**
+   * Start an SSE stream on the response; it stays open until the client
+   * disconnects, its token expires or the instance stops
+   *
+   * @param {Object} req - Authenticated request (req.dbUser, req.user.exp)
+   * @param {Object} res - Express response
+   * @returns {Promise<void>} Once the stream is set up
+   */
+  static async open(req, res) {
+    req.cancelTimeout?.();
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx: do not buffer the stream
+    });
+    res.write(`retry: ${CHANGE_STREAM.CLIENT_RETRY_MS}\n\n`);
+
+    const stream = {
+      user: { id: req.dbUser.id, role: req.dbUser.role },
+      res,
+      lastEventId: null,
+      expiry: null,
+    };
+    streams.add(stream);
+    req.on('close', () => this._close(stream));
+
+    // A stream must not outlive the token that opened it
+    if (req.user?.exp) {
+      stream.expiry = setTimeout(
+        () => res.end(),
+        Math.max(req.user.exp * 1000 - Date.now(), 0),
+      );
+      stream.expiry.unref();
+    }
+
+    if (!listener.heartbeat) {
+      listener.heartbeat = setInterval(
+        () => this._heartbeat(),
+        CHANGE_STREAM.HEARTBEAT_MS,
+      );
+      listener.heartbeat.unref();
+    }
+
+    try {
+      stream.lastEventId = await this._startPoint(stream, resumePoint(req));
+    } catch (error) {
+      logger.error('Change stream could not start', {
+        userId: stream.user.id,
+        error: error.message,
+      });
+      res.end();
+      this._close(stream);
+      return;
+    }
+
+    await this._listen();
+    await this._deliver();
+  }
+
+  /**
+   * End every stream and stop listening (shutdown)
+   */
+  static stop() {
+    for (const stream of streams) {
+      stream.res.end();
+      this._close(stream);
+    }
+  }
+
+  /**
+   * Number of open streams on this instance
+   *
+   * @returns {number}
+   */
+  static get streamCount() {
+    return streams.size;
+  }
+
+  /**
+   * Delete changes past the resume window (scheduled job)
+   *
+   * @returns {Promise<number>} Changes deleted
+   */
+  static async cleanup() {
+    const result = await db.query(
+      `DELETE FROM entity_changes
+       WHERE created_at < NOW() - make_interval(hours => $1::int)`,
+      [CHANGE_STREAM.RETENTION_HOURS],
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Where a stream starts: the client's resume point when the table still
+   * covers it, otherwise the latest change (with a 'reset' when a resume
+   * point was lost)
+   *
+   * @private
+   * @returns {Promise<number>} Last change ID the client has seen
+   */
+  static async _startPoint(stream, resumeFrom) {
+    const result = await db.query(
+      'SELECT MIN(id) AS first, COALESCE(MAX(id), 0) AS last FROM entity_changes',
+    );
+    const first =
+      result.rows[0].first === null ? null : Number(result.rows[0].first);
+    const last = Number(result.rows[0].last);
+
+    if (resumeFrom === null) {
+      return last;
+    }
+
+    const covered =
+      resumeFrom <= last &&
+      (first === null ? resumeFrom === last : resumeFrom >= first - 1);
+    if (covered) {
+      return resumeFrom;
+    }
+
+    stream.res.write(sseMessage(null, CHANGE_STREAM.RESET_EVENT, {}));
+    return last;
+  }
+
+  /**
+   * Forget a closed stream; the last one stops the listener
+   * @private
+   */
+  static _close(stream) {
+    if (!streams.delete(stream)) {
+      return;
+    }
+    clearTimeout(stream.expiry);
+
+    if (streams.size === 0) {
+      clearInterval(listener.heartbeat);
+      clearTimeout(listener.retry);
+      listener.heartbeat = null;
+      listener.retry = null;
+      this._unlisten();
+    }
+  }
+
+  /**
+   * LISTEN on a dedicated pooled connection (no-op when already listening)
+   * @private
+   */
+  static async _listen() {
+    if (listener.client || listener.connecting) {
+      return;
+    }
+    listener.connecting = true;
+
+    let client;
+    try {
+      client = await db.getClient();
+      await client.query(`LISTEN ${CHANGE_STREAM.CHANNEL}`);
+    } catch (error) {
+      client?.release(true);
+      listener.connecting = false;
+      this._relisten(error);
+      return;
+    }
+
+    listener.connecting = false;
+    listener.client = client;
+    client.on('notification', () => this._deliver());
+    client.on('error', (error) => {
+      if (listener.client === client) {
+        this._unlisten();
+        this._relisten(error);
+      }
+    });
+
+    if (streams.size === 0) {
+      this._unlisten();
+    }
+  }
+
+  /**
+   * Give the LISTEN connection up (destroyed, not returned to the pool
+   * still listening)
+   * @private
+   */
+  static _unlisten() {
+    const { client } = listener;
+    listener.client = null;
+    client?.release(true);
+  }
+
+  /**
+   * Try to LISTEN again later while streams are open
+   * @private
+   */
+  static _relisten(error) {
+    logger.warn('Change stream listener lost; retrying', {
+      error: error.message,
+      retryInMs: CHANGE_STREAM.LISTEN_RETRY_MS,
+    });
+    if (streams.size === 0 || listener.retry) {
+      return;
+    }
+    listener.retry = setTimeout(async () => {
+      listener.retry = null;
+      await this._listen();
+      // Changes made while not listening
+      await this._deliver();
+    }, CHANGE_STREAM.LISTEN_RETRY_MS);
+    listener.retry.unref();
+  }
+
+  /**
+   * Keep idle streams open through proxies
+   * @private
+   */
+  static _heartbeat() {
+    for (const stream of streams) {
+      stream.res.write(': ping\n\n');
+    }
+  }
+
+  /**
+   * Send every stream the changes after its last event (one pass at a
+   * time; a pass requested meanwhile runs right after)
+   *
+   * @private
+   * @returns {Promise<void>} Never rejects
+   */
+  static async _deliver() {
+    if (delivery.running) {
+      delivery.again = true;
+      return;
+    }
+    delivery.running = true;
+    try {
+      do {
+        delivery.again = false;
+        await this._deliverPending();
+      } while (delivery.again);
+    } catch (error) {
+      logger.error('Change stream delivery failed', { error: error.message });
+    } finally {
+      delivery.running = false;
+    }
+  }
+
+  /**
+   * Read changes in batches from the oldest stream position and hand each
+   * stream the ones it has not seen
+   * @private
+   */
+  static async _deliverPending() {
+    for (;;) {
+      const ready = [...streams].filter(
+        (stream) => stream.lastEventId !== null,
+      );
+      if (ready.length === 0) {
+        return;
+      }
+
+      const since = Math.min(...ready.map((stream) => stream.lastEventId));
+      const result = await db.query(
+        `SELECT id, entity, action, record_id, record
+         FROM entity_changes
+         WHERE id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [since, CHANGE_STREAM.BATCH_SIZE],
+      );
+      const changes = result.rows.map((row) => ({
+        ...row,
+        id: Number(row.id),
+      }));
+      if (changes.length === 0) {
+        return;
+      }
+
+      for (const stream of ready) {
+        if (streams.has(stream)) {
+          await this._send(
+            stream,
+            changes.filter((change) => change.id > stream.lastEventId),
+          );
+        }
+      }
+
+      if (changes.length < CHANGE_STREAM.BATCH_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Write the changes the stream's user may see, in order
+   * @private
+   */
+  static async _send(stream, changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    const visibility = await this._visibility(stream.user, changes);
+    for (const change of changes) {
+      const seen = visibility.get(change.id);
+      if (seen === 'record') {
+        const metadata = allMetadata[change.entity];
+        stream.res.write(
+          sseMessage(change.id, change.action, {
+            entity: change.entity,
+            action: change.action,
+            id: change.record_id,
+            record: filterDataByRole(
+              change.record,
+              metadata,
+              stream.user.role,
+              'read',
+            ),
+          }),
+        );
+      } else if (seen === 'previous') {
+        stream.res.write(
+          sseMessage(change.id, CHANGE_STREAM.REMOVED_EVENT, {
+            entity: change.entity,
+            action: CHANGE_STREAM.REMOVED_EVENT,
+            id: change.record_id,
+          }),
+        );
+      }
+    }
+    stream.lastEventId = changes[changes.length - 1].id;
+  }
+
+  /**
+   * Which changes a user may see: 'record' (the row is in their view),
+   * 'previous' (an update took it out of their view) or nothing
+   *
+   * The RLS clause runs against each logged row through
+   * jsonb_populate_record, so deleted rows are checked the same way as
+   * live ones.
+   *
+   * @private
+   * @param {Object} user - { id, role }
+   * @param {Object[]} changes - entity_changes rows
+   * @returns {Promise<Map<number, string>>} change ID -> 'record' | 'previous'
+   */
+  static async _visibility(user, changes) {
+    const byEntity = new Map();
+    for (const change of changes) {
+      if (!byEntity.has(change.entity)) {
+        byEntity.set(change.entity, []);
+      }
+      byEntity.get(change.entity).push(change);
+    }
+
+    const visibility = new Map();
+    for (const [entity, entityChanges] of byEntity) {
+      const metadata = allMetadata[entity];
+      if (
+        !metadata ||
+        !hasPermission(user.role, metadata.rlsResource, 'read')
+      ) {
+        continue;
+      }
+
+      const policy = getRLSRule(user.role, metadata.rlsResource);
+      if (!policy || UNFILTERED_POLICIES.has(policy)) {
+        entityChanges.forEach((change) => visibility.set(change.id, 'record'));
+        continue;
+      }
+
+      const { clause, params } = buildRLSFilter(
+        { policy, userId: user.id },
+        metadata,
+        1,
+      );
+      if (clause === '1=0') {
+        continue;
+      }
+      if (!clause) {
+        entityChanges.forEach((change) => visibility.set(change.id, 'record'));
+        continue;
+      }
+
+      const rowType = `NULL::${metadata.tableName}`;
+      const result = await db.query(
+        `SELECT c.id, c.action,
+                EXISTS (
+                  SELECT 1 FROM jsonb_populate_record(${rowType}, c.record) AS t
+                  WHERE ${clause}
+                ) AS in_view,
+                EXISTS (
+                  SELECT 1 FROM jsonb_populate_record(${rowType}, c.previous) AS t
+                  WHERE ${clause}
+                ) AS was_in_view
+         FROM entity_changes c
+         WHERE c.id = ANY($1::bigint[])`,
+        [entityChanges.map((change) => change.id), ...params],
+      );
+
+      for (const row of result.rows) {
+        if (row.in_view) {
+          visibility.set(Number(row.id), 'record');
+        } else if (row.was_in_view && row.action === ENTITY_EVENTS.UPDATED) {
+          visibility.set(Number(row.id), 'previous');
+        }
+      }
+    }
+    return visibility;
+  }
+}
+
+module.exports = ChangeStreamService;
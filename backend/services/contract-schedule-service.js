@@ -0,0 +1,399 @@
+/**
+ * Contract Schedule Service
+ *
+ * SRP LITERALISM: ONLY expands contract service schedules into occurrences
+ * and generates the preventive-maintenance work orders for them
+ *
+ * PHILOSOPHY:
+ * - RRULE-STYLE: FREQ (service_frequency) + INTERVAL (service_interval),
+ *   anchored on start_date. Monthly/yearly occurrences keep the anchor's day
+ *   of month, clamped to the month's last day (Jan 31 -> Feb 28 -> Mar 31)
+ * - IDEMPOTENT: One work order per (contract_id, occurrence_date). Existing
+ *   occurrences are skipped and the unique index catches concurrent runs
+ * - STOPS: Only active contracts generate, and never past end_date
+ * - COMPOSES GenericEntityService.create for the inserts (identifier, audit)
+ * - DAYS: Occurrences are 'YYYY-MM-DD' calendar days (UTC)
+ *
+ * USAGE:
+ *   const days = ContractScheduleService.getOccurrences(schedule, '2025-06-01', '2025-08-31');
+ *   const preview = await ContractScheduleService.preview(12, { from, to });
+ *   const summary = await ContractScheduleService.generate({ horizonDays: 30 });
+ *
+ * generate() runs hourly as the 'contract-work-orders' scheduled job
+ * (config/scheduled-jobs.js).
+ */
+
+const db = require('../db/connection');
+const GenericEntityService = require('./generic-entity-service');
+const { CONTRACT_SCHEDULE } = require('../config/constants');
+const { PG_ERROR_CODES } = require('../utils/db-error-handler');
+const { generateIdentifier } = require('../utils/identifier-generator');
+const AppError = require('../utils/app-error');
+const { logger } = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work order address fields filled from the contract (or customer) address
+ */
+const ADDRESS_PARTS = Object.freeze([
+  'line1',
+  'line2',
+  'city',
+  'state',
+  'postal_code',
+  'country',
+]);
+
+/**
+ * Contract columns needed to expand and generate a schedule.
+ * Dates are read as text so the pg driver does not shift them to local time.
+ */
+const SCHEDULE_COLUMNS = `
+  id, contract_number, customer_id, status, summary,
+  service_frequency, service_interval, service_summary, service_priority,
+  ${ADDRESS_PARTS.map((part) => `service_${part}`).join(', ')},
+  to_char(start_date, 'YYYY-MM-DD') AS start_day,
+  to_char(end_date, 'YYYY-MM-DD') AS end_day`;
+
+/**
+ * Normalize a Date or ISO string to a 'YYYY-MM-DD' UTC day
+ * @private
+ */
+function toDay(value) {
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+  return value.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole days to a 'YYYY-MM-DD' day
+ * @private
+ */
+function addDays(day, days) {
+  return toDay(new Date(Date.parse(day) + days * DAY_MS));
+}
+
+/**
+ * Add months to a 'YYYY-MM-DD' day, clamping to the target month's last day
+ * @private
+ */
+function addMonths(day, months) {
+  const [year, month, date] = day.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  target.setUTCDate(Math.min(date, lastDay));
+  return toDay(target);
+}
+
+/**
+ * Nth occurrence after the anchor (n = 0 is the anchor itself).
+ * Always computed from the anchor so clamped months do not drift.
+ * @private
+ */
+function nthOccurrence(anchor, frequency, steps) {
+  switch (frequency) {
+    case 'daily':
+      return addDays(anchor, steps);
+    case 'weekly':
+      return addDays(anchor, steps * 7);
+    case 'monthly':
+      return addMonths(anchor, steps);
+    case 'yearly':
+      return addMonths(anchor, steps * 12);
+    default:
+      throw new AppError(
+        `Unknown service frequency: ${frequency}`,
+        400,
+        'BAD_REQUEST',
+      );
+  }
+}
+
+class ContractScheduleService {
+  /**
+   * Expand a contract's service schedule into occurrence days
+   *
+   * @param {Object} schedule - Contract row (SCHEDULE_COLUMNS shape)
+   * @param {string} schedule.start_day - Anchor day
+   * @param {string|null} schedule.end_day - Last day occurrences may fall on
+   * @param {string|null} schedule.service_frequency - daily|weekly|monthly|yearly
+   * @param {number} [schedule.service_interval=1] - Every N periods
+   * @param {string|Date} from - First day of the window (inclusive)
+   * @param {string|Date} to - Last day of the window (inclusive)
+   * @returns {string[]} Occurrence days within the window, ascending
+   */
+  static getOccurrences(schedule, from, to) {
+    const frequency = schedule.service_frequency;
+    if (!frequency || !schedule.start_day) {
+      return [];
+    }
+
+    const interval = Math.max(1, schedule.service_interval || 1);
+    const fromDay = toDay(from);
+    let lastDay = toDay(to);
+    if (schedule.end_day && schedule.end_day < lastDay) {
+      lastDay = schedule.end_day;
+    }
+
+    const days = [];
+    for (let n = 0; ; n++) {
+      const day = nthOccurrence(schedule.start_day, frequency, n * interval);
+      if (day > lastDay) {
+        break;
+      }
+      if (day >= fromDay) {
+        days.push(day);
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Load the schedule columns for one contract
+   *
+   * @param {number} contractId - Contract ID
+   * @returns {Promise<Object|null>} Contract row or null
+   */
+  static async getSchedule(contractId) {
+    const result = await db.query(
+      `SELECT ${SCHEDULE_COLUMNS} FROM contracts WHERE id = $1 AND is_active = true`,
+      [contractId],
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Map of occurrence day -> existing work order for a contract window
+   *
+   * @param {number} contractId - Contract ID
+   * @param {string} from - First day (inclusive)
+   * @param {string} to - Last day (inclusive)
+   * @returns {Promise<Map<string, Object>>}
+   */
+  static async getExistingOccurrences(contractId, from, to) {
+    const result = await db.query(
+      `SELECT id, work_order_number, status,
+              to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_day
+       FROM work_orders
+       WHERE contract_id = $1 AND occurrence_date BETWEEN $2 AND $3`,
+      [contractId, from, to],
+    );
+    return new Map(result.rows.map((row) => [row.occurrence_day, row]));
+  }
+
+  /**
+   * Preview upcoming occurrences and the work orders already generated
+   *
+   * @param {number} contractId - Contract ID
+   * @param {Object} window
+   * @param {string|Date} window.from - First day (inclusive)
+   * @param {string|Date} window.to - Last day (inclusive)
+   * @returns {Promise<Object>} { contractId, active, frequency, interval, from, to, occurrences }
+   * @throws {AppError} 404 if the contract does not exist
+   */
+  static async preview(contractId, { from, to }) {
+    const schedule = await this.getSchedule(contractId);
+    if (!schedule) {
+      throw new AppError('Contract not found', 404, 'NOT_FOUND');
+    }
+
+    const fromDay = toDay(from);
+    const lastDay = toDay(to);
+    const days = this.getOccurrences(schedule, fromDay, lastDay);
+    const existing =
+      days.length > 0
+        ? await this.getExistingOccurrences(contractId, fromDay, lastDay)
+        : new Map();
+
+    return {
+      contractId: schedule.id,
+      active: schedule.status === 'active',
+      frequency: schedule.service_frequency,
+      interval: schedule.service_interval,
+      from: fromDay,
+      to: lastDay,
+      occurrences: days.map((day) => {
+        const workOrder = existing.get(day);
+        if (!workOrder) {
+          return { date: day, work_order: null };
+        }
+        const { id, work_order_number, status } = workOrder;
+        return { date: day, work_order: { id, work_order_number, status } };
+      }),
+    };
+  }
+
+  /**
+   * Build the work order for one occurrence
+   *
+   * Location comes from the contract's service address, or the customer's
+   * service address when the contract has none.
+   *
+   * @param {Object} schedule - Contract row (SCHEDULE_COLUMNS shape)
+   * @param {Object} customer - Customer record
+   * @param {string} day - Occurrence day
+   * @param {string} workOrderNumber - Pre-generated identifier
+   * @returns {Object} Work order data for GenericEntityService.create
+   */
+  static buildWorkOrder(schedule, customer, day, workOrderNumber) {
+    const summary =
+      schedule.service_summary || schedule.summary || 'Scheduled service';
+    const addressSource = schedule.service_line1 ? schedule : customer;
+
+    const data = {
+      work_order_number: workOrderNumber,
+      name: `${customer.first_name} ${customer.last_name}: ${summary}: ${workOrderNumber}`,
+      summary,
+      priority: schedule.service_priority || 'normal',
+      customer_id: schedule.customer_id,
+      contract_id: schedule.id,
+      occurrence_date: day,
+    };
+    for (const part of ADDRESS_PARTS) {
+      const value = addressSource[`service_${part}`];
+      if (value !== null && value !== undefined) {
+        data[`location_${part}`] = value;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Generate the missing work orders for one contract window
+   *
+   * @param {Object} schedule - Contract row (SCHEDULE_COLUMNS shape)
+   * @param {Object} window
+   * @param {string} window.from - First day (inclusive)
+   * @param {string} window.to - Last day (inclusive)
+   * @param {Object} [window.auditContext] - Audit context (omit for system runs)
+   * @returns {Promise<{created: Object[], skipped: number}>}
+   */
+  static async generateForContract(schedule, { from, to, auditContext }) {
+    const days = this.getOccurrences(schedule, from, to);
+    if (days.length === 0) {
+      return { created: [], skipped: 0 };
+    }
+
+    const existing = await this.getExistingOccurrences(schedule.id, from, to);
+    const missing = days.filter((day) => !existing.has(day));
+    if (missing.length === 0) {
+      return { created: [], skipped: days.length };
+    }
+
+    const customer = await GenericEntityService.findById(
+      'customer',
+      schedule.customer_id,
+    );
+    if (!customer) {
+      throw new AppError(
+        `Customer ${schedule.customer_id} not found for contract ${schedule.contract_number}`,
+        404,
+        'NOT_FOUND',
+      );
+    }
+
+    const created = [];
+    let skipped = existing.size;
+    for (const day of missing) {
+      const workOrderNumber = await generateIdentifier('work_order');
+      try {
+        created.push(
+          await GenericEntityService.create(
+            'work_order',
+            this.buildWorkOrder(schedule, customer, day, workOrderNumber),
+            { auditContext },
+          ),
+        );
+      } catch (error) {
+        // Another run generated this occurrence first
+        if (error.code !== PG_ERROR_CODES.UNIQUE_VIOLATION) {
+          throw error;
+        }
+        skipped++;
+      }
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Generate work orders ahead of time for every active scheduled contract
+   *
+   * Failures are isolated per contract so one bad contract does not stop
+   * the rest of the run.
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.asOf=new Date()] - First day of the window
+   * @param {number} [options.horizonDays=CONTRACT_SCHEDULE.HORIZON_DAYS] - Days ahead
+   * @param {number} [options.contractId] - Limit the run to one contract
+   * @param {Object} [options.auditContext] - Audit context (omit for system runs)
+   * @returns {Promise<Object>} { from, to, contracts, created, skipped, failed, workOrderIds }
+   */
+  static async generate(options = {}) {
+    const {
+      asOf = new Date(),
+      horizonDays = CONTRACT_SCHEDULE.HORIZON_DAYS,
+      contractId,
+      auditContext,
+    } = options;
+    const from = toDay(asOf);
+    const to = addDays(from, horizonDays);
+
+    const params = [from, to];
+    let contractClause = '';
+    if (contractId) {
+      params.push(contractId);
+      contractClause = `AND id = $${params.length}`;
+    }
+
+    const result = await db.query(
+      `SELECT ${SCHEDULE_COLUMNS}
+       FROM contracts
+       WHERE status = 'active'
+         AND is_active = true
+         AND service_frequency IS NOT NULL
+         AND start_date <= $2
+         AND (end_date IS NULL OR end_date >= $1)
+         ${contractClause}
+       ORDER BY id`,
+      params,
+    );
+
+    const summary = {
+      from,
+      to,
+      contracts: result.rows.length,
+      created: 0,
+      skipped: 0,
+      failed: 0,
+      workOrderIds: [],
+    };
+
+    for (const schedule of result.rows) {
+      try {
+        const { created, skipped } = await this.generateForContract(schedule, {
+          from,
+          to,
+          auditContext,
+        });
+        summary.created += created.length;
+        summary.skipped += skipped;
+        summary.workOrderIds.push(...created.map((workOrder) => workOrder.id));
+      } catch (error) {
+        summary.failed++;
+        logger.error('Contract work order generation failed', {
+          contractId: schedule.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = ContractScheduleService;
@@ -0,0 +1,295 @@
+/**
+ * Dispatch Service
+ *
+ * SRP LITERALISM: ONLY builds the dispatch board and applies board moves
+ *
+ * PHILOSOPHY:
+ * - COMPOSES GenericEntityService: findAll/findById for reads (RLS, includes,
+ *   output filtering) and batch() for moves (transaction, statusTransitions,
+ *   scheduleConflicts and audit)
+ * - UTC DAYS: A board date covers [date 00:00Z, date+1 00:00Z)
+ *
+ * BOARD SHAPE:
+ *   {
+ *     date, from, to,
+ *     technicians: [{ id, first_name, last_name, status, availability, workOrders: [...] }],
+ *     unassigned: [...],
+ *     truncated: false,
+ *   }
+ *
+ * USAGE:
+ *   const board = await DispatchService.getBoard(new Date('2025-06-02'), {
+ *     technicianRlsContext, workOrderRlsContext,
+ *   });
+ *   const moved = await DispatchService.move(42, { assigned_technician_id: 7 }, {
+ *     auditContext, userRole: 'dispatcher', rlsContext,
+ *   });
+ */
+
+const GenericEntityService = require('./generic-entity-service');
+const workOrderMetadata = require('../config/models/work-order-metadata');
+const { logEntityEvent } = require('../db/helpers/audit-helper');
+const { AuditActions } = require('./audit-constants');
+const AppError = require('../utils/app-error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Upper bound on rows loaded per board (technicians and work orders each)
+ */
+const BOARD_LIMIT = 500;
+
+/**
+ * Work order statuses left off the board
+ */
+const HIDDEN_STATUSES = Object.freeze(['cancelled']);
+
+/**
+ * Automatic status changes when a work order is dropped on / off a technician
+ * (each is still validated against metadata.statusTransitions)
+ */
+const ASSIGN_STATUS = Object.freeze({ from: 'pending', to: 'assigned' });
+const UNASSIGN_STATUS = Object.freeze({ from: 'assigned', to: 'pending' });
+
+class DispatchService {
+  /**
+   * Get the UTC day window containing a date
+   *
+   * @param {Date} date - Any instant within the day
+   * @returns {{date: string, from: Date, to: Date}} ISO day plus window bounds
+   */
+  static getDayWindow(date) {
+    const from = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+    );
+    return {
+      date: from.toISOString().slice(0, 10),
+      from,
+      to: new Date(from.getTime() + DAY_MS),
+    };
+  }
+
+  /**
+   * Build the dispatch board for one day
+   *
+   * @param {Date} date - Day to show (UTC)
+   * @param {Object} [options]
+   * @param {Object} [options.technicianRlsContext] - RLS context for technicians
+   * @param {Object} [options.workOrderRlsContext] - RLS context for work_orders
+   * @returns {Promise<Object>} Board (see module docs)
+   */
+  static async getBoard(date, options = {}) {
+    const { technicianRlsContext = null, workOrderRlsContext = null } = options;
+    const { date: day, from, to } = this.getDayWindow(date);
+    const { startField, endField, resourceField } =
+      workOrderMetadata.scheduleConflicts;
+
+    const [technicianResult, workOrderResult] = await Promise.all([
+      GenericEntityService.findAll(
+        'technician',
+        {
+          filters: { status: 'active' },
+          sortBy: 'last_name',
+          sortOrder: 'ASC',
+          limit: BOARD_LIMIT,
+          maxLimit: BOARD_LIMIT,
+        },
+        technicianRlsContext,
+      ),
+      GenericEntityService.findAll(
+        'work_order',
+        {
+          filters: {
+            [startField]: { lt: to },
+            [endField]: { gt: from },
+            status: { not: HIDDEN_STATUSES[0] },
+          },
+          sortBy: startField,
+          sortOrder: 'ASC',
+          limit: BOARD_LIMIT,
+          maxLimit: BOARD_LIMIT,
+        },
+        workOrderRlsContext,
+      ),
+    ]);
+
+    const lanes = new Map(
+      technicianResult.data.map((technician) => [
+        technician.id,
+        {
+          id: technician.id,
+          first_name: technician.first_name,
+          last_name: technician.last_name,
+          status: technician.status,
+          availability: technician.availability,
+          workOrders: [],
+        },
+      ]),
+    );
+
+    // Work orders assigned to technicians outside the board (inactive or
+    // hidden by RLS) are dropped rather than shown as unassigned
+    const unassigned = [];
+    for (const workOrder of workOrderResult.data) {
+      const technicianId = workOrder[resourceField];
+      if (technicianId === null || technicianId === undefined) {
+        unassigned.push(workOrder);
+      } else if (lanes.has(technicianId)) {
+        lanes.get(technicianId).workOrders.push(workOrder);
+      }
+    }
+
+    return {
+      date: day,
+      from,
+      to,
+      technicians: [...lanes.values()],
+      unassigned,
+      truncated:
+        technicianResult.pagination.hasNext ||
+        workOrderResult.pagination.hasNext,
+    };
+  }
+
+  /**
+   * Reassign and/or reschedule a work order in one transaction
+   *
+   * When only scheduled_start is given the existing duration is kept, so a
+   * drag along the timeline is a single field. Dropping a pending work order
+   * on a technician moves it to assigned; unassigning an assigned work order
+   * moves it back to pending.
+   *
+   * @param {number} workOrderId - Work order ID
+   * @param {Object} changes
+   * @param {number|null} [changes.assigned_technician_id] - New technician (null = unassign)
+   * @param {Date} [changes.scheduled_start] - New start
+   * @param {Date} [changes.scheduled_end] - New end
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Allow a schedule conflict (audited)
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @param {string} [options.userRole] - Acting role for statusTransitions checks
+   * @param {Object} [options.rlsContext] - RLS context for work_orders
+   * @returns {Promise<Object>} Updated work order (with default includes)
+   * @throws {AppError} 404 if the work order or technician is not found
+   * @throws {AppError} 400 if the technician is not active
+   * @throws {AppError} 409 SCHEDULE_CONFLICT / INVALID_STATUS_TRANSITION from batch
+   */
+  static async move(workOrderId, changes, options = {}) {
+    const {
+      force = false,
+      auditContext,
+      userRole,
+      rlsContext = null,
+    } = options;
+    const { resourceField, startField, endField, statusField } =
+      workOrderMetadata.scheduleConflicts;
+
+    const current = await GenericEntityService.findById(
+      'work_order',
+      workOrderId,
+      rlsContext,
+    );
+    if (!current) {
+      throw new AppError('Work Order not found', 404, 'NOT_FOUND');
+    }
+
+    const data = {};
+
+    if (changes[resourceField] !== undefined) {
+      const technicianId = changes[resourceField];
+      if (technicianId !== null) {
+        const technician = await GenericEntityService.findById(
+          'technician',
+          technicianId,
+        );
+        if (!technician) {
+          throw new AppError('Technician not found', 404, 'NOT_FOUND');
+        }
+        if (!technician.is_active || technician.status !== 'active') {
+          throw new AppError(
+            `Technician ${technicianId} is not active`,
+            400,
+            'BAD_REQUEST',
+          );
+        }
+      }
+      data[resourceField] = technicianId;
+
+      if (
+        technicianId !== null &&
+        current[statusField] === ASSIGN_STATUS.from
+      ) {
+        data[statusField] = ASSIGN_STATUS.to;
+      }
+      if (
+        technicianId === null &&
+        current[statusField] === UNASSIGN_STATUS.from
+      ) {
+        data[statusField] = UNASSIGN_STATUS.to;
+      }
+    }
+
+    if (changes[startField] !== undefined) {
+      data[startField] = changes[startField];
+      if (
+        changes[endField] === undefined &&
+        current[startField] &&
+        current[endField]
+      ) {
+        const duration =
+          new Date(current[endField]) - new Date(current[startField]);
+        data[endField] = new Date(
+          new Date(changes[startField]).getTime() + duration,
+        );
+      }
+    }
+    if (changes[endField] !== undefined) {
+      data[endField] = changes[endField];
+    }
+
+    if (Object.keys(data).length === 0) {
+      throw new AppError(
+        `Nothing to move: provide ${resourceField}, ${startField} or ${endField}`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    const result = await GenericEntityService.batch(
+      'work_order',
+      [{ operation: 'update', id: workOrderId, data, force }],
+      { auditContext, userRole },
+    );
+
+    if (!result.success) {
+      const [error] = result.errors;
+      throw new AppError(
+        error.error,
+        error.statusCode || 500,
+        error.code || 'INTERNAL_ERROR',
+        error.details,
+      );
+    }
+
+    if (
+      auditContext &&
+      data[resourceField] !== undefined &&
+      data[resourceField] !== current[resourceField]
+    ) {
+      await logEntityEvent(
+        AuditActions.WORK_ORDER_ASSIGN,
+        'work_order',
+        current,
+        auditContext,
+        {
+          oldValues: { [resourceField]: current[resourceField] },
+          newValues: { [resourceField]: data[resourceField] },
+        },
+      );
+    }
+
+    return GenericEntityService.findById('work_order', workOrderId);
+  }
+}
+
+module.exports = DispatchService;
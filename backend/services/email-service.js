@@ -0,0 +1,113 @@
+/**
+ * Email Service
+ *
+ * SRP LITERALISM: ONLY renders notification emails and hands them to the
+ * SMTP server
+ *
+ * PHILOSOPHY:
+ * - CONFIGURED BY ENV: No SMTP_HOST, no email - the email channel is off
+ *   and nothing is queued for it
+ * - TEMPLATES: Subject and bodies come from config/email-templates.js by
+ *   notification type
+ * - NO RETRIES HERE: send() tries once; the outbox (services/outbox-service.js)
+ *   retries through the background job queue
+ *
+ * Environment variables:
+ * - SMTP_HOST: SMTP server (e.g. localhost for MailHog)
+ * - SMTP_PORT: Port (default 1025, MailHog's)
+ * - SMTP_SECURE: 'true' for implicit TLS (usually port 465)
+ * - SMTP_USER / SMTP_PASSWORD: AUTH PLAIN credentials (optional)
+ * - EMAIL_FROM: Sender mailbox (default 'Tross <no-reply@tross.dev>')
+ * - CLIENT_URL: Link back to the app in every email
+ *
+ * USAGE:
+ *   const message = EmailService.render(notification, user);
+ *   await EmailService.send({ to: user.email, ...message });
+ */
+
+const { sendMail } = require('../utils/smtp-client');
+const { renderTemplate } = require('../utils/template-renderer');
+const EMAIL_TEMPLATES = require('../config/email-templates');
+const { logger } = require('../config/logger');
+
+/**
+ * Defaults for a local MailHog
+ */
+const DEFAULT_PORT = 1025;
+const DEFAULT_FROM = 'Tross <no-reply@tross.dev>';
+
+class EmailService {
+  /**
+   * Whether an SMTP server is configured
+   *
+   * @returns {boolean}
+   */
+  static isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  /**
+   * Build the email for a notification
+   *
+   * @param {Object} notification - notifications row
+   * @param {Object} user - Recipient (first_name, last_name, email)
+   * @returns {Object} { subject, text, html }
+   */
+  static render(notification, user) {
+    const template =
+      EMAIL_TEMPLATES[notification.type] || EMAIL_TEMPLATES.default;
+    const context = {
+      user,
+      notification,
+      appUrl: process.env.CLIENT_URL || null,
+    };
+
+    return {
+      subject: renderTemplate(template.subject, context),
+      text: renderTemplate(template.text, context),
+      html: renderTemplate(template.html, context, { html: true }),
+    };
+  }
+
+  /**
+   * Send one email
+   *
+   * @param {Object} message
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject
+   * @param {string} message.text
+   * @param {string} [message.html]
+   * @returns {Promise<Object>} { messageId, response }
+   * @throws {SmtpError} When the server cannot be reached or refuses it
+   */
+  static async send({ to, subject, text, html }) {
+    const result = await sendMail(this._transport(), {
+      from: process.env.EMAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    logger.info('Email sent', { to, messageId: result.messageId });
+    return result;
+  }
+
+  /**
+   * SMTP settings from the environment
+   *
+   * @private
+   * @returns {Object} utils/smtp-client transport
+   */
+  static _transport() {
+    return {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || DEFAULT_PORT,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      password: process.env.SMTP_PASSWORD || null,
+    };
+  }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,134 @@
+/**
+ * Entity Events
+ *
+ * SRP LITERALISM: ONLY passes entity lifecycle events from the services
+ * that write entities to the services that react to them
+ *
+ * PHILOSOPHY:
+ * - AFTER THE WRITE: Events are published once the change is committed;
+ *   a subscriber cannot undo or block it
+ * - ISOLATED: A failing subscriber is logged, never thrown - the write
+ *   that raised the event has already happened
+ * - IN ORDER: Subscribers run one after another and are awaited, so the
+ *   request that made the change returns after its side effects
+ * - OPT-IN DETAIL: Subscribers name the entities they watch; writers only
+ *   load a row's previous values (for 'updated') when someone watches it
+ *
+ * EVENT SHAPE:
+ *   {
+ *     entity,    // entity key, e.g. 'work_order'
+ *     action,    // ENTITY_EVENTS value: created, updated, deleted, file_uploaded
+ *     id,        // primary key
+ *     record,    // row after the write (null for file_uploaded; load it)
+ *     previous,  // row before (updated, deleted) when the writer had it
+ *     actorId,   // user who made the change (null for system changes)
+ *     file,      // file_attachments row (file_uploaded only)
+ *   }
+ *
+ * USAGE:
+ *   EntityEvents.subscribe('notification-rules', handler, { entities: ['work_order'] });
+ *   await EntityEvents.publish({ entity: 'work_order', action: 'updated', ... });
+ */
+
+const { logger } = require('../config/logger');
+const allMetadata = require('../config/models');
+const { filterOutput } = require('../db/helpers/output-filter-helper');
+
+/**
+ * Subscribers by name: { handler, entities: Set|null (null = all) }
+ */
+const subscribers = new Map();
+
+class EntityEvents {
+  /**
+   * Register a subscriber (a second call with the same name replaces it)
+   *
+   * @param {string} name - Subscriber name (logs, replacement)
+   * @param {Function} handler - async (event) => void
+   * @param {Object} [options]
+   * @param {string[]} [options.entities] - Entity keys to receive (default all)
+   */
+  static subscribe(name, handler, options = {}) {
+    subscribers.set(name, {
+      handler,
+      entities: options.entities ? new Set(options.entities) : null,
+    });
+  }
+
+  /**
+   * Remove a subscriber
+   *
+   * @param {string} name - Subscriber name
+   */
+  static unsubscribe(name) {
+    subscribers.delete(name);
+  }
+
+  /**
+   * Whether any subscriber receives events for an entity
+   *
+   * @param {string} entity - Entity key
+   * @returns {boolean}
+   */
+  static isWatched(entity) {
+    for (const { entities } of subscribers.values()) {
+      if (!entities || entities.has(entity)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Deliver an event to every subscriber watching its entity
+   *
+   * @param {Object} event - See EVENT SHAPE
+   * @returns {Promise<void>} Never rejects
+   */
+  static async publish(event) {
+    for (const [name, { handler, entities }] of subscribers) {
+      if (entities && !entities.has(event.entity)) {
+        continue;
+      }
+      try {
+        await handler(event);
+      } catch (error) {
+        logger.error('Entity event subscriber failed', {
+          subscriber: name,
+          entity: event.entity,
+          action: event.action,
+          id: event.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Publish, in order, the changes a service made with its own SQL
+   *
+   * Services that write outside GenericEntityService collect
+   * { entity, action, record, previous } inside their transaction and
+   * publish them here once it has committed. Rows are filtered like
+   * GenericEntityService output (no sensitive or internal columns).
+   *
+   * @param {Object[]} changes - [{ entity, action, record, previous }]
+   * @param {number|null} [actorId=null] - User who made the changes
+   * @returns {Promise<void>} Never rejects
+   */
+  static async publishAll(changes, actorId = null) {
+    for (const { entity, action, record, previous = null } of changes) {
+      const metadata = allMetadata[entity];
+      await this.publish({
+        entity,
+        action,
+        id: (record || previous)[metadata.primaryKey],
+        record: record && filterOutput(record, metadata),
+        previous: previous && filterOutput(previous, metadata),
+        actorId,
+      });
+    }
+  }
+}
+
+module.exports = EntityEvents;
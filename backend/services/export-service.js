@@ -14,6 +14,8 @@
  * - Reuses GenericEntityService query building patterns
  * - Returns stream for memory efficiency
  * - Extensible for future formats (Excel, JSON, etc.)
+ * - Runs as the 'export.csv' background job (config/job-types.js); the
+ *   export route queues it and the submitter polls GET /api/jobs/:id
  */
 
 const allMetadata = require('../config/models');
@@ -82,6 +84,7 @@ class ExportService {
    * @param {Object} options - Query options (search, filters, sort)
    * @param {Object} [rlsContext] - RLS context from middleware
    * @param {string[]} [selectedFields] - Specific fields to export (null = all exportable)
+   * @param {Object} [progress] - { onProgress(percent, message) } (background job)
    * @returns {Promise<{csv: string, filename: string, count: number}>}
    */
   static async exportToCSV(
@@ -89,7 +92,10 @@ class ExportService {
     options = {},
     rlsContext = null,
     selectedFields = null,
+    progress = {},
   ) {
+    const onProgress = progress.onProgress || (async () => {});
+
     const metadata = allMetadata[entityName];
 
     if (!metadata) {
@@ -99,6 +105,7 @@ class ExportService {
     const {
       tableName,
       searchableFields = [],
+      searchWeights = null,
       filterableFields = [],
       sortableFields = [],
       defaultSort = { field: 'id', order: 'ASC' },
@@ -171,6 +178,7 @@ class ExportService {
       options.search,
       searchableFields,
       tableName,
+      searchWeights,
     );
 
     const filterOptions = { ...options.filters };
@@ -185,6 +193,7 @@ class ExportService {
       filterableFields,
       search ? search.paramOffset : 0,
       tableName,
+      fields,
     );
 
     const whereClauses = [search?.clause, filters?.clause].filter(Boolean);
@@ -236,9 +245,11 @@ class ExportService {
       whereClause: whereClause || '(none)',
     });
 
+    await onProgress(10, 'Querying records');
     const result = await db.query(query, params);
 
     // Generate CSV
+    await onProgress(70, 'Writing CSV');
     const csv = convertToCSV(result.rows, columnsToExport);
 
     // Generate filename with timestamp
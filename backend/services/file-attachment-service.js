@@ -18,6 +18,8 @@ const { query: db } = require('../db/connection');
 const { logger } = require('../config/logger');
 const AppError = require('../utils/app-error');
 const allMetadata = require('../config/models');
+const { ENTITY_EVENTS } = require('../config/constants');
+const EntityEvents = require('./entity-events');
 
 class FileAttachmentService {
   /**
@@ -192,6 +194,16 @@ class FileAttachmentService {
       size: fileSize,
     });
 
+    await EntityEvents.publish({
+      entity: entityType,
+      action: ENTITY_EVENTS.FILE_UPLOADED,
+      id: entityId,
+      record: null,
+      previous: null,
+      actorId: uploadedBy,
+      file: attachment,
+    });
+
     return attachment;
   }
 
@@ -36,15 +36,41 @@ const {
   filterOutput,
   filterOutputArray,
 } = require('../db/helpers/output-filter-helper');
+const {
+  getStatusField,
+  assertStatusTransition,
+} = require('../db/helpers/status-transition-helper');
+const {
+  touchesSchedule,
+  booksResource,
+  assertNoScheduleConflicts,
+} = require('../db/helpers/schedule-conflict-helper');
+const { withTransaction } = require('../db/helpers/transaction-helper');
+const {
+  touchesStockLevel,
+  stockStatusChanges,
+  crossedBelowReorder,
+  alertBelowReorder,
+} = require('../db/helpers/stock-status-helper');
 const {
   logEntityAudit,
+  logScheduleConflictOverride,
   isAuditEnabled,
 } = require('../db/helpers/audit-helper');
+const { countRows } = require('../db/helpers/count-helper');
+const {
+  resolveIncludes,
+  buildIncludeJoins,
+  attachIncludes,
+} = require('../db/helpers/include-helper');
 const {
   ENTITY_FIELDS,
   NAME_TYPES,
   NAME_TYPE_MAP,
+  ENTITY_EVENTS,
+  SEARCH,
 } = require('../config/constants');
+const EntityEvents = require('./entity-events');
 const { sanitizeData } = require('../utils/data-hygiene');
 const {
   generateIdentifier,
@@ -83,6 +109,34 @@ function getRelatedIdentityField(tableName) {
   return metadata.displayField || metadata.identityField || 'name';
 }
 
+/**
+ * Publish an entity lifecycle event (services/entity-events.js)
+ *
+ * @param {string} entityName - Entity key
+ * @param {string} action - ENTITY_EVENTS value
+ * @param {Object} record - Row after the write (the deleted row for deletes)
+ * @param {Object|null} previous - Row before the write, when known
+ * @param {Object} [auditContext] - Supplies the acting user
+ * @returns {Promise<void>}
+ */
+function publishEntityEvent(
+  entityName,
+  action,
+  record,
+  previous,
+  auditContext,
+) {
+  const metadata = allMetadata[entityName];
+  return EntityEvents.publish({
+    entity: entityName,
+    action,
+    id: record?.[metadata.primaryKey] ?? previous?.[metadata.primaryKey],
+    record,
+    previous: previous || null,
+    actorId: auditContext?.userId ?? null,
+  });
+}
+
 /**
  * Build SELECT parts and JOIN parts for default includes
  * Extracts relationship fields with smart aliasing:
@@ -141,6 +195,36 @@ function buildDefaultIncludesClauses(
   return { selectParts, joinParts };
 }
 
+/**
+ * Which search ran for appliedFilters: 'full_text', 'ilike' or null
+ *
+ * @param {Object} search - QueryBuilderService.buildSearchClause() result
+ * @returns {string|null}
+ */
+function searchMode(search) {
+  if (!search.clause) {
+    return null;
+  }
+  return search.fullText ? 'full_text' : 'ilike';
+}
+
+/**
+ * Keep only the snippets of fields the search matched (ts_headline
+ * returns the start of the text for the others)
+ *
+ * @param {Object} record - Row with search_highlights (field -> snippet)
+ * @returns {Object} Copy of the row with the matching snippets only
+ */
+function withMatchedHighlights(record) {
+  if (!record.search_highlights) {
+    return record;
+  }
+  const highlights = Object.entries(record.search_highlights).filter(
+    ([, snippet]) => snippet && snippet.includes(SEARCH.HIGHLIGHT_START),
+  );
+  return { ...record, search_highlights: Object.fromEntries(highlights) };
+}
+
 /**
  * Valid entity names (keys from config/models/index.js)
  * Used for validation and error messages
@@ -258,6 +342,7 @@ class GenericEntityService {
    * @param {Object} [rlsContext] - RLS context from middleware
    * @param {string} [rlsContext.policy] - RLS policy name (e.g., 'own_record_only')
    * @param {number} [rlsContext.userId] - User ID for RLS filtering
+   * @param {Object} [options={}] - include / includeRls, as in findAll()
    * @returns {Promise<Object|null>} Entity record or null if not found/not authorized
    * @throws {Error} If entityName is invalid or id cannot be coerced to integer
    *
@@ -274,7 +359,7 @@ class GenericEntityService {
    *   });
    *   // Returns user if authorized, null if not
    */
-  static async findById(entityName, id, rlsContext = null) {
+  static async findById(entityName, id, rlsContext = null, options = {}) {
     // Get metadata to find primary key name
     const metadata = this._getMetadata(entityName);
 
@@ -290,6 +375,7 @@ class GenericEntityService {
       metadata.primaryKey,
       safeId,
       rlsContext,
+      options,
     );
   }
 
@@ -304,13 +390,24 @@ class GenericEntityService {
    * @param {number} [options.limit=50] - Items per page (max: 200)
    * @param {boolean} [options.includeInactive=false] - Include inactive entities
    * @param {string} [options.search] - Search term (searches across searchableFields)
-   * @param {Object} [options.filters] - Filters (e.g., { priority[gte]: 50 })
+   * @param {Object} [options.filters] - Filters (e.g., { priority[gte]: 50 }),
+   *   with optional and/or/not groups (QueryBuilderService.buildFilterClause)
    * @param {string} [options.sortBy] - Field to sort by (validated against sortableFields)
    * @param {string} [options.sortOrder] - 'ASC' or 'DESC'
+   * @param {string} [options.cursor] - Cursor (keyset) pagination instead of
+   *   page: a nextCursor/prevCursor from a previous page, or '' for the first
+   *   page (PaginationService)
+   * @param {string} [options.count='exact'] - Total count: 'exact', 'estimated' or 'none'
+   * @param {string[]} [options.include] - Relationships to nest under
+   *   `included` on each record (include-helper)
+   * @param {Object} [options.includeRls] - Relationship name -> RLS context
+   *   of the related entity
    * @param {Object} [rlsContext] - RLS context from middleware
    * @param {string} [rlsContext.policy] - RLS policy name (e.g., 'own_work_orders_only')
    * @param {number} [rlsContext.userId] - User ID for RLS filtering
    * @returns {Promise<Object>} { data: Entity[], pagination: {...}, appliedFilters: {...} }
+   * @throws {AppError} 400 if the cursor is malformed or for a different sort,
+   *   or an include is not a relationship of the entity
    *
    * @example
    *   // Without RLS (internal use)
@@ -342,6 +439,8 @@ class GenericEntityService {
       defaultSort = { field: 'id', order: 'ASC' },
       defaultIncludes = [],
       relationships = {},
+      fields,
+      searchWeights,
     } = metadata;
 
     // Build SELECT and JOIN clauses for default includes
@@ -361,13 +460,17 @@ class GenericEntityService {
       }
     }
 
-    // Build search clause (case-insensitive ILIKE across searchable fields)
+    // Build search clause (full-text with searchWeights, else ILIKE)
     // Pass tableName as prefix to avoid ambiguity with JOINs
     const search = QueryBuilderService.buildSearchClause(
       options.search,
       searchableFields,
       tableName,
+      searchWeights,
     );
+    if (search.fullText) {
+      selectClause += `, ${search.rank} AS search_rank, ${search.highlights} AS search_highlights`;
+    }
 
     // Build filter clause
     const filterOptions = { ...options.filters };
@@ -382,6 +485,7 @@ class GenericEntityService {
       filterableFields,
       search ? search.paramOffset : 0,
       tableName,
+      fields,
     );
 
     // Combine WHERE clauses
@@ -413,56 +517,162 @@ class GenericEntityService {
     const whereClause =
       whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
 
-    // Build sort clause (validated against sortableFields, with table prefix)
-    const sortClause = QueryBuilderService.buildSortClause(
+    // Resolve sort (validated against sortableFields)
+    const sort = QueryBuilderService.resolveSort(
       options.sortBy,
       options.sortOrder,
       sortableFields,
       defaultSort,
+    );
+    const countMode = options.count || 'exact';
+    const cursorMode = options.cursor !== undefined;
+
+    // Cursor mode continues from the cursor row (keyset), sorted by the
+    // same field with the id tiebreaker; relevance ordering is offset-only
+    let cursor = null;
+    let sortClause;
+    let pageClause;
+    const countParams = [...params];
+    if (cursorMode) {
+      const columns = {
+        column: `${tableName}.${sort.field}`,
+        idColumn: `${tableName}.id`,
+      };
+      if (options.cursor) {
+        cursor = PaginationService.decodeCursor(options.cursor);
+        if (cursor.field !== sort.field || cursor.order !== sort.order) {
+          throw new AppError(
+            `Cursor is for sort ${cursor.field} ${cursor.order}; pass the same sortBy and sortOrder`,
+            400,
+            'BAD_REQUEST',
+          );
+        }
+        const keyset = PaginationService.buildKeysetClause(
+          cursor,
+          columns,
+          params.length,
+        );
+        whereClauses.push(keyset.clause);
+        params.push(...keyset.params);
+      }
+      selectClause += `, ${columns.column}::text AS ${PaginationService.CURSOR_VALUE_COLUMN}`;
+      sortClause = PaginationService.buildKeysetOrder(
+        sort,
+        columns,
+        cursor ? cursor.direction : 'next',
+      );
+      pageClause = `LIMIT ${limit + 1}`;
+    } else {
+      sortClause = `${tableName}.${sort.field} ${sort.order}`;
+      // Most relevant first, unless the caller picked a sort
+      if (search.fullText && !options.sortBy) {
+        sortClause = `search_rank DESC, ${sortClause}`;
+      }
+      // Without an exact total, one extra row tells whether there is a next page
+      const pageSize = countMode === 'exact' ? limit : limit + 1;
+      pageClause = `LIMIT ${pageSize} OFFSET ${offset}`;
+    }
+
+    const pageWhereClause =
+      whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    // Requested includes: belongsTo joins go on the page query only
+    const includes = resolveIncludes(metadata, options.include);
+    const includeJoins = buildIncludeJoins(
       tableName,
+      includes,
+      options.includeRls,
+      params.length,
     );
+    if (includeJoins.selectParts.length > 0) {
+      selectClause += `, ${includeJoins.selectParts.join(', ')}`;
+      params.push(...includeJoins.params);
+    }
 
     logger.debug('GenericEntityService.findAll', {
       entity: entityName,
       table: tableName,
       page,
       limit,
-      whereClause,
+      cursorMode,
+      countMode,
+      whereClause: pageWhereClause,
       sortClause,
       hasRLS: !!rlsContext,
       hasJoins: joinClause.length > 0,
     });
 
-    // Get total count for pagination metadata
-    const countQuery = `SELECT COUNT(*) as total FROM ${tableName} ${joinClause} ${whereClause}`;
-    const countResult = await db.query(countQuery, params);
-    const total = parseInt(countResult.rows[0].total);
+    // Get total count for pagination metadata (without the cursor condition)
+    const { total, totalEstimated } = await countRows(
+      db,
+      countMode,
+      `FROM ${tableName} ${joinClause} ${whereClause}`,
+      countParams,
+    );
 
     // Get paginated entities with optional JOINs
     const query = `
       SELECT ${selectClause} 
       FROM ${tableName} 
-      ${joinClause}
-      ${whereClause} 
+      ${joinClause} ${includeJoins.joinParts.join(' ')}
+      ${pageWhereClause} 
       ORDER BY ${sortClause}
-      LIMIT ${limit} OFFSET ${offset}
+      ${pageClause}
     `;
     const result = await db.query(query, params);
 
     // Generate pagination metadata
-    const pagination = PaginationService.generateMetadata(page, limit, total);
+    let rows = result.rows;
+    let pagination;
+    if (cursorMode) {
+      const slice = PaginationService.sliceCursorPage(
+        rows,
+        limit,
+        cursor ? cursor.direction : 'next',
+      );
+      pagination = PaginationService.generateCursorMetadata(slice.rows, {
+        limit,
+        sort,
+        cursor,
+        hasMore: slice.hasMore,
+        total,
+        totalEstimated,
+      });
+      rows = slice.rows.map(
+        ({ [PaginationService.CURSOR_VALUE_COLUMN]: _value, ...row }) => row,
+      );
+    } else if (countMode === 'exact') {
+      pagination = PaginationService.generateMetadata(page, limit, total);
+    } else {
+      pagination = PaginationService.generateEstimatedMetadata(page, limit, {
+        hasMore: rows.length > limit,
+        total,
+      });
+      rows = rows.slice(0, limit);
+    }
 
     // Filter sensitive fields from all records
-    const filteredData = filterOutputArray(result.rows, metadata);
+    let filteredData = filterOutputArray(rows, metadata);
+    if (search.fullText) {
+      filteredData = filteredData.map(withMatchedHighlights);
+    }
+    filteredData = await attachIncludes(
+      db,
+      filteredData,
+      includes,
+      options.includeRls,
+    );
 
     return {
       data: filteredData,
       pagination,
       appliedFilters: {
         search: options.search || null,
+        searchMode: searchMode(search),
         filters: filterOptions,
         sortBy: options.sortBy || defaultSort.field,
         sortOrder: options.sortOrder || defaultSort.order,
+        count: countMode,
       },
       rlsApplied,
     };
@@ -484,6 +694,9 @@ class GenericEntityService {
    * @param {string} field - Field name to search by (must be in filterableFields)
    * @param {any} value - Value to match
    * @param {Object} [rlsContext] - RLS context from middleware
+   * @param {Object} [options={}] - include / includeRls, as in findAll()
+   * @param {Object} [options.client] - Transaction client to read through
+   *   (sees the caller's uncommitted writes)
    * @returns {Promise<Object|null>} Entity record or null if not found
    * @throws {Error} If entityName invalid or field not in filterableFields
    *
@@ -491,7 +704,13 @@ class GenericEntityService {
    *   const user = await GenericEntityService.findByField('user', 'email', 'test@example.com');
    *   // Returns: { id: 1, email: 'test@example.com', ... } or null
    */
-  static async findByField(entityName, field, value, rlsContext = null) {
+  static async findByField(
+    entityName,
+    field,
+    value,
+    rlsContext = null,
+    options = {},
+  ) {
     // Get metadata (throws if invalid entityName)
     const metadata = this._getMetadata(entityName);
 
@@ -557,6 +776,20 @@ class GenericEntityService {
       });
     }
 
+    // Requested includes (see findAll)
+    const includes = resolveIncludes(metadata, options.include);
+    const includeJoins = buildIncludeJoins(
+      tableName,
+      includes,
+      options.includeRls,
+      params.length,
+    );
+    if (includeJoins.selectParts.length > 0) {
+      selectClause += `, ${includeJoins.selectParts.join(', ')}`;
+      joinClause += ` ${includeJoins.joinParts.join(' ')}`;
+      params.push(...includeJoins.params);
+    }
+
     // Build parameterized query with optional JOINs
     const query = `SELECT ${selectClause} FROM ${tableName} ${joinClause} WHERE ${whereClauses.join(' AND ')} LIMIT 1`;
 
@@ -569,11 +802,21 @@ class GenericEntityService {
     });
 
     // Execute query
-    const result = await db.query(query, params);
+    const client = options.client || db;
+    const result = await client.query(query, params);
 
     // Return first row or null (with sensitive fields filtered)
     const record = result.rows[0] || null;
-    return record ? filterOutput(record, metadata) : null;
+    if (!record) {
+      return null;
+    }
+    const [withIncludes] = await attachIncludes(
+      client,
+      [filterOutput(record, metadata)],
+      includes,
+      options.includeRls,
+    );
+    return withIncludes;
   }
 
   /**
@@ -587,7 +830,8 @@ class GenericEntityService {
    * - count('customer', { is_active: true }) → count active customers
    *
    * @param {string} entityName - Entity name (e.g., 'user', 'role', 'customer')
-   * @param {Object} [filters={}] - Filters to apply (must be in filterableFields)
+   * @param {Object} [filters={}] - Filters to apply (must be in filterableFields),
+   *   with optional and/or/not groups
    * @param {Object} [rlsContext] - RLS context from middleware
    * @returns {Promise<number>} Count of matching records
    * @throws {Error} If entityName invalid
@@ -599,18 +843,25 @@ class GenericEntityService {
    * @example
    *   const usersInRole = await GenericEntityService.count('user', { role_id: 5 });
    *   // Returns: 10
+   *
+   * @example
+   *   const open = await GenericEntityService.count('work_order', {
+   *     or: [{ status: 'pending' }, { status: 'assigned' }],
+   *   });
    */
   static async count(entityName, filters = {}, rlsContext = null) {
     // Get metadata (throws if invalid entityName)
     const metadata = this._getMetadata(entityName);
 
-    const { tableName, filterableFields = [] } = metadata;
+    const { tableName, filterableFields = [], fields } = metadata;
 
     // Build filter clause
     const filterResult = QueryBuilderService.buildFilterClause(
       filters,
       filterableFields,
       0, // paramOffset
+      null,
+      fields,
     );
 
     const whereClauses = [];
@@ -670,8 +921,16 @@ class GenericEntityService {
    * @param {Object} data - Entity data to insert
    * @param {Object} [options={}] - Additional options
    * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @param {string} [options.userRole] - Acting role for statusTransitions and
+   *   force checks (omit for internal operations; initial states are still
+   *   enforced)
+   * @param {boolean} [options.force=false] - Allow a metadata.scheduleConflicts
+   *   overlap (scheduleConflicts.overrideRole; the override is audited)
    * @returns {Promise<Object>} Created entity with all fields (RETURNING *)
    * @throws {Error} If entityName invalid, required fields missing, or DB error
+   * @throws {AppError} 409/403/422 if the status is not a permitted initial state
+   * @throws {AppError} 403 FORBIDDEN if force is set below scheduleConflicts.overrideRole
+   * @throws {AppError} 409 SCHEDULE_CONFLICT if the booking window overlaps another
    *
    * @example
    *   const customer = await GenericEntityService.create('customer', {
@@ -755,6 +1014,15 @@ class GenericEntityService {
       }
     }
 
+    // Enforce metadata.statusTransitions entry states and their fields
+    assertStatusTransition(metadata, null, filteredData, options.userRole);
+
+    // Derive status from quantity vs reorder level per metadata.stockStatus
+    Object.assign(
+      filteredData,
+      stockStatusChanges(metadata, null, filteredData),
+    );
+
     // Check we have at least one field to insert
     const fields = Object.keys(filteredData);
     if (fields.length === 0) {
@@ -785,8 +1053,22 @@ class GenericEntityService {
       fields,
     });
 
-    // Execute query
-    const result = await db.query(query, values);
+    // Reject double-booking per metadata.scheduleConflicts (unless forced).
+    // A booking is checked and inserted in one transaction, under the
+    // resource's schedule lock, so concurrent bookings cannot both pass.
+    const insert = async (client) => {
+      const overrides = await assertNoScheduleConflicts(
+        client,
+        metadata,
+        filteredData,
+        { force: options.force, userRole: options.userRole },
+      );
+      return { overrides, result: await client.query(query, values) };
+    };
+    const booking = booksResource(metadata, filteredData);
+    const { overrides: scheduleOverrides, result } = booking
+      ? await withTransaction(insert)
+      : await insert(db);
 
     logger.info(`${entityName} created`, {
       id: result.rows[0]?.[metadata.primaryKey],
@@ -804,8 +1086,24 @@ class GenericEntityService {
         filteredResult,
         options.auditContext,
       );
+      if (scheduleOverrides.length > 0) {
+        await logScheduleConflictOverride(
+          entityName,
+          filteredResult,
+          scheduleOverrides,
+          options.auditContext,
+        );
+      }
     }
 
+    await publishEntityEvent(
+      entityName,
+      ENTITY_EVENTS.CREATED,
+      filteredResult,
+      null,
+      options.auditContext,
+    );
+
     return filteredResult;
   }
 
@@ -819,8 +1117,21 @@ class GenericEntityService {
    * @param {Object} data - Fields to update
    * @param {Object} [options={}] - Additional options
    * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @param {string} [options.userRole] - Acting role for statusTransitions and
+   *   force checks (omit for internal operations; transition pairs are still
+   *   enforced)
+   * @param {boolean} [options.force=false] - Allow a metadata.scheduleConflicts
+   *   overlap (scheduleConflicts.overrideRole; the override is audited)
+   * @param {Object} [options.client] - Caller's transaction client. Reads and
+   *   the write go through it, and the entity event is pushed onto
+   *   options.changes for the caller to publish once it commits.
+   * @param {Object[]} [options.changes] - Collects { entity, action, record,
+   *   previous } when options.client is set (see EntityEvents.publishAll)
    * @returns {Promise<Object|null>} Updated entity or null if not found
    * @throws {Error} If entityName invalid, id invalid, or no valid fields provided
+   * @throws {AppError} 409/403/422 if a status change violates metadata.statusTransitions
+   * @throws {AppError} 403 FORBIDDEN if force is set below scheduleConflicts.overrideRole
+   * @throws {AppError} 409 SCHEDULE_CONFLICT if the booking window overlaps another
    *
    * @example
    *   const updated = await GenericEntityService.update('customer', 1, {
@@ -860,6 +1171,9 @@ class GenericEntityService {
       );
     }
 
+    // Reads go through the caller's transaction when there is one
+    const readOptions = options.client ? { client: options.client } : {};
+
     // =========================================================================
     // UNIVERSAL DATA HYGIENE (type-based, not field-based)
     // Trims all strings, lowercases enums, etc. based on metadata.fields types
@@ -899,7 +1213,12 @@ class GenericEntityService {
 
       if (attemptedImmutable.length > 0) {
         // Need to fetch record to check if it's protected
-        const record = await this.findById(entityName, safeId);
+        const record = await this.findById(
+          entityName,
+          safeId,
+          null,
+          readOptions,
+        );
 
         if (record) {
           // Use protectedByField if specified, otherwise fall back to identityField
@@ -918,6 +1237,25 @@ class GenericEntityService {
       }
     }
 
+    // =========================================================================
+    // STOCK STATUS (metadata.stockStatus) - derived against the current row
+    // =========================================================================
+    let currentRecord = null;
+    if (touchesStockLevel(metadata, filteredData)) {
+      currentRecord = await this.findById(
+        entityName,
+        safeId,
+        null,
+        readOptions,
+      );
+      if (currentRecord) {
+        Object.assign(
+          filteredData,
+          stockStatusChanges(metadata, currentRecord, filteredData),
+        );
+      }
+    }
+
     // Use buildUpdateClause with EXCLUSION pattern
     // All fields allowed except those in immutableFields (+ universal immutables)
     // Extract JSONB field names from metadata for proper serialization
@@ -942,12 +1280,38 @@ class GenericEntityService {
     }
 
     // =========================================================================
-    // CAPTURE OLD VALUES FOR AUDIT (before update)
+    // STATUS TRANSITION + SCHEDULE CONFLICT CHECKS, CAPTURE OLD VALUES FOR AUDIT
     // =========================================================================
+    const statusField = getStatusField(metadata);
+    const changesStatus =
+      statusField !== null && filteredData[statusField] !== undefined;
+    const changesSchedule = touchesSchedule(metadata, filteredData);
+    const captureAudit = options.auditContext && isAuditEnabled(entityName);
+    const watched = EntityEvents.isWatched(entityName);
+
     let oldValues = null;
-    if (options.auditContext && isAuditEnabled(entityName)) {
-      const oldRecord = await this.findById(entityName, safeId);
-      if (oldRecord) {
+    let previousRecord = currentRecord;
+    let scheduleRecord = null;
+    if (changesStatus || changesSchedule || captureAudit || watched) {
+      const oldRecord =
+        currentRecord ||
+        (await this.findById(entityName, safeId, null, readOptions));
+      previousRecord = oldRecord;
+
+      if (changesStatus) {
+        assertStatusTransition(
+          metadata,
+          oldRecord,
+          filteredData,
+          options.userRole,
+        );
+      }
+
+      if (changesSchedule && oldRecord) {
+        scheduleRecord = { ...oldRecord, ...filteredData };
+      }
+
+      if (oldRecord && captureAudit) {
         oldValues = oldRecord;
       }
     }
@@ -970,8 +1334,30 @@ class GenericEntityService {
       fieldsUpdated: updates.length,
     });
 
-    // Execute query
-    const result = await db.query(query, values);
+    // Reject double-booking per metadata.scheduleConflicts (unless forced).
+    // A booking is checked and written in one transaction, under the
+    // resource's schedule lock, so concurrent bookings cannot both pass.
+    // A caller's client is already that transaction.
+    const write = async (client) => {
+      const overrides = scheduleRecord
+        ? await assertNoScheduleConflicts(client, metadata, scheduleRecord, {
+          excludeId: safeId,
+          force: options.force,
+          userRole: options.userRole,
+        })
+        : [];
+      return { overrides, result: await client.query(query, values) };
+    };
+    const booking = scheduleRecord && booksResource(metadata, scheduleRecord);
+    let written;
+    if (options.client) {
+      written = await write(options.client);
+    } else if (booking) {
+      written = await withTransaction(write);
+    } else {
+      written = await write(db);
+    }
+    const { overrides: scheduleOverrides, result } = written;
 
     // Return null if not found (no rows updated)
     if (result.rows.length === 0) {
@@ -985,7 +1371,17 @@ class GenericEntityService {
 
     // Re-fetch using findById to include JOINs (defaultIncludes)
     // This ensures the returned record has all relationship data
-    const updatedRecord = await this.findById(entityName, safeId);
+    const updatedRecord = await this.findById(
+      entityName,
+      safeId,
+      null,
+      readOptions,
+    );
+
+    // Notify per metadata.stockStatus when stock drops below reorder level
+    if (crossedBelowReorder(metadata, currentRecord, updatedRecord)) {
+      await alertBelowReorder(metadata, updatedRecord);
+    }
 
     // Log audit event (blocking to ensure audit is written before response)
     if (options.auditContext && isAuditEnabled(entityName)) {
@@ -996,6 +1392,32 @@ class GenericEntityService {
         options.auditContext,
         oldValues,
       );
+      if (scheduleOverrides.length > 0) {
+        await logScheduleConflictOverride(
+          entityName,
+          updatedRecord,
+          scheduleOverrides,
+          options.auditContext,
+        );
+      }
+    }
+
+    // Inside the caller's transaction the event waits for its commit
+    if (options.client) {
+      options.changes?.push({
+        entity: entityName,
+        action: ENTITY_EVENTS.UPDATED,
+        record: updatedRecord,
+        previous: previousRecord,
+      });
+    } else {
+      await publishEntityEvent(
+        entityName,
+        ENTITY_EVENTS.UPDATED,
+        updatedRecord,
+        previousRecord,
+        options.auditContext,
+      );
     }
 
     return updatedRecord;
@@ -1113,6 +1535,14 @@ class GenericEntityService {
         );
       }
 
+      await publishEntityEvent(
+        entityName,
+        ENTITY_EVENTS.DELETED,
+        filteredResult,
+        filteredOldValues,
+        options.auditContext,
+      );
+
       return filteredResult;
     } catch (error) {
       await client.query('ROLLBACK');
@@ -1148,8 +1578,10 @@ class GenericEntityService {
    * @param {string} operations[].operation - 'create' | 'update' | 'delete'
    * @param {number|string} [operations[].id] - Required for update/delete
    * @param {Object} [operations[].data] - Required for create/update
+   * @param {boolean} [operations[].force] - Allow a scheduleConflicts overlap (audited)
    * @param {Object} [options={}] - Additional options
    * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @param {string} [options.userRole] - Acting role for statusTransitions checks
    * @param {boolean} [options.continueOnError=false] - Continue processing after first error
    * @returns {Promise<Object>} { success: boolean, results: [...], errors: [...], stats: {...} }
    *
@@ -1236,11 +1668,13 @@ class GenericEntityService {
       requiredFields = [],
       immutableFields = [],
     } = metadata;
-    const { continueOnError = false, auditContext } = options;
+    const { continueOnError = false, auditContext, userRole } = options;
 
     const results = [];
     const errors = [];
     const stats = { created: 0, updated: 0, deleted: 0, failed: 0 };
+    const reorderAlerts = []; // sent after COMMIT (metadata.stockStatus)
+    const events = []; // published after COMMIT (services/entity-events.js)
 
     // Get a client for transaction
     const client = await db.pool.connect();
@@ -1292,6 +1726,13 @@ class GenericEntityService {
                 }
               }
 
+              assertStatusTransition(metadata, null, filteredData, userRole);
+
+              Object.assign(
+                filteredData,
+                stockStatusChanges(metadata, null, filteredData),
+              );
+
               const fields = Object.keys(filteredData);
               if (fields.length === 0) {
                 throw new AppError(
@@ -1301,6 +1742,14 @@ class GenericEntityService {
                 );
               }
 
+              // Checked on the transaction client so earlier ops are visible
+              const scheduleOverrides = await assertNoScheduleConflicts(
+                client,
+                metadata,
+                filteredData,
+                { force: op.force, userRole },
+              );
+
               const columns = fields.join(', ');
               const placeholders = fields.map((_, j) => `$${j + 1}`).join(', ');
               const values = fields.map((field) => filteredData[field]);
@@ -1309,6 +1758,7 @@ class GenericEntityService {
               const dbResult = await client.query(query, values);
               result = filterOutput(dbResult.rows[0], metadata);
               stats.created++;
+              events.push([ENTITY_EVENTS.CREATED, result, null]);
 
               // Audit (blocking to ensure audit is written before transaction completes)
               if (auditContext && isAuditEnabled(entityName)) {
@@ -1318,6 +1768,14 @@ class GenericEntityService {
                   result,
                   auditContext,
                 );
+                if (scheduleOverrides.length > 0) {
+                  await logScheduleConflictOverride(
+                    entityName,
+                    result,
+                    scheduleOverrides,
+                    auditContext,
+                  );
+                }
               }
               break;
             }
@@ -1352,6 +1810,11 @@ class GenericEntityService {
                 }
               }
 
+              Object.assign(
+                updateData,
+                stockStatusChanges(metadata, oldRecord, updateData),
+              );
+
               const fields = Object.keys(updateData);
               if (fields.length === 0) {
                 throw new AppError(
@@ -1361,6 +1824,18 @@ class GenericEntityService {
                 );
               }
 
+              // Enforce metadata.statusTransitions against the pre-update row
+              assertStatusTransition(metadata, oldRecord, updateData, userRole);
+
+              const scheduleOverrides = touchesSchedule(metadata, updateData)
+                ? await assertNoScheduleConflicts(
+                  client,
+                  metadata,
+                  { ...oldRecord, ...updateData },
+                  { excludeId: safeId, force: op.force, userRole },
+                )
+                : [];
+
               // Build UPDATE clause
               const setClause = fields
                 .map((field, j) => `${field} = $${j + 2}`)
@@ -1374,6 +1849,15 @@ class GenericEntityService {
               const dbResult = await client.query(query, values);
               result = filterOutput(dbResult.rows[0], metadata);
               stats.updated++;
+              events.push([
+                ENTITY_EVENTS.UPDATED,
+                result,
+                filterOutput(oldRecord, metadata),
+              ]);
+
+              if (crossedBelowReorder(metadata, oldRecord, dbResult.rows[0])) {
+                reorderAlerts.push(dbResult.rows[0]);
+              }
 
               // Audit with oldValues (blocking to ensure audit is written before transaction completes)
               if (auditContext && isAuditEnabled(entityName)) {
@@ -1385,6 +1869,14 @@ class GenericEntityService {
                   auditContext,
                   filteredOld,
                 );
+                if (scheduleOverrides.length > 0) {
+                  await logScheduleConflictOverride(
+                    entityName,
+                    result,
+                    scheduleOverrides,
+                    auditContext,
+                  );
+                }
               }
               break;
             }
@@ -1414,6 +1906,11 @@ class GenericEntityService {
               const dbResult = await client.query(query, [safeId]);
               result = filterOutput(dbResult.rows[0], metadata);
               stats.deleted++;
+              events.push([
+                ENTITY_EVENTS.DELETED,
+                result,
+                filterOutput(oldRecord, metadata),
+              ]);
 
               // Audit with oldValues (blocking to ensure audit is written before transaction completes)
               if (auditContext && isAuditEnabled(entityName)) {
@@ -1445,6 +1942,15 @@ class GenericEntityService {
             success: false,
             error: opError.message,
           };
+          if (opError.statusCode) {
+            errorEntry.statusCode = opError.statusCode;
+          }
+          if (opError.code) {
+            errorEntry.code = opError.code;
+          }
+          if (opError.details) {
+            errorEntry.details = opError.details;
+          }
 
           errors.push(errorEntry);
           results.push(errorEntry);
@@ -1474,6 +1980,20 @@ class GenericEntityService {
       // This is intentional - caller requested partial success
       await client.query('COMMIT');
 
+      for (const record of reorderAlerts) {
+        await alertBelowReorder(metadata, record);
+      }
+
+      for (const [action, record, previous] of events) {
+        await publishEntityEvent(
+          entityName,
+          action,
+          record,
+          previous,
+          auditContext,
+        );
+      }
+
       const success = errors.length === 0;
 
       logger.info(`Batch ${entityName} completed`, {
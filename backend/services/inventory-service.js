@@ -0,0 +1,81 @@
+/**
+ * Inventory Service
+ *
+ * SRP LITERALISM: ONLY builds inventory reports that don't fit generic CRUD
+ *
+ * PHILOSOPHY:
+ * - METADATA-DRIVEN: Quantity, reorder level, status and supplier columns
+ *   come from inventory metadata.stockStatus
+ * - READ-ONLY: Stock itself is written through StockMovementService and
+ *   WorkOrderPartService, which keep status in step with quantity
+ *
+ * USAGE:
+ *   const report = await InventoryService.getReorderReport();
+ *   // { suppliers: [{ supplier, itemCount, totalShortfall, items }], totalItems }
+ */
+
+const db = require('../db/connection');
+const inventoryMetadata = require('../config/models/inventory-metadata');
+const { getStockStatusConfig } = require('../db/helpers/stock-status-helper');
+
+class InventoryService {
+  /**
+   * Items below their reorder level, grouped by supplier
+   *
+   * Only active items outside the manual statuses (discontinued) are listed.
+   * shortfall is how many units bring the item back up to its reorder level.
+   * Suppliers are ordered by name with items that have no supplier last;
+   * items within a supplier by largest shortfall first.
+   *
+   * @returns {Promise<Object>} { suppliers: [{ supplier, itemCount,
+   *   totalShortfall, items }], totalItems }
+   */
+  static async getReorderReport() {
+    const { tableName, primaryKey, identityField, displayField } =
+      inventoryMetadata;
+    const {
+      quantityField,
+      thresholdField,
+      statusField,
+      manualStatuses,
+      supplierField,
+    } = getStockStatusConfig(inventoryMetadata);
+
+    const result = await db.query(
+      `SELECT ${primaryKey}, ${identityField}, ${displayField},
+              ${quantityField}, ${thresholdField},
+              ${thresholdField} - ${quantityField} AS shortfall,
+              ${statusField}, location, ${supplierField}
+       FROM ${tableName}
+       WHERE is_active = true
+         AND NOT (${statusField} = ANY($1::text[]))
+         AND ${quantityField} < ${thresholdField}
+       ORDER BY ${supplierField} NULLS LAST, shortfall DESC, ${identityField}`,
+      [manualStatuses],
+    );
+
+    const groups = new Map();
+    for (const row of result.rows) {
+      const supplier = row[supplierField] || null;
+      if (!groups.has(supplier)) {
+        groups.set(supplier, {
+          supplier,
+          itemCount: 0,
+          totalShortfall: 0,
+          items: [],
+        });
+      }
+      const group = groups.get(supplier);
+      group.itemCount++;
+      group.totalShortfall += row.shortfall;
+      group.items.push(row);
+    }
+
+    return {
+      suppliers: [...groups.values()],
+      totalItems: result.rows.length,
+    };
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,688 @@
+/**
+ * Invoice Service
+ *
+ * SRP LITERALISM: ONLY builds invoices from their line items - drafting them
+ * from completed work orders, editing lines, and keeping the invoice totals
+ * equal to the sum of its lines
+ *
+ * PHILOSOPHY:
+ * - LINES ARE THE TRUTH: A line's amount is quantity x unit_price and its tax
+ *   is amount x the rate its tax_code resolves to, both computed here. Every
+ *   line change recomputes the invoice's amount, tax and total in the same
+ *   transaction.
+ * - DRAFTS ONLY: Lines can be added, edited or removed while the invoice is
+ *   a draft; after that they are refused with 409 INVOICE_NOT_DRAFT
+ * - NEVER BELOW PAID: A draft can hold a deposit, so a line change that
+ *   would take the total below amount_paid is refused with 409
+ *   BELOW_AMOUNT_PAID (the balance never goes negative)
+ * - FROM THE JOB: A completed work order becomes one labour line per
+ *   technician (billable hours x hourly_rate) and one line per part
+ *   (unit_cost snapshot plus the parts markup)
+ * - RATES: Markup, tax codes and payment terms come from the 'invoicing'
+ *   system setting (SystemSettingsService.getInvoicingSettings). The
+ *   'standard' code is tax_rate_percent; tax_codes adds others.
+ * - UNPRICED LINES: A technician without an hourly_rate or a part without a
+ *   unit_cost is still listed, at 0, so office staff can see what to fix
+ * - ONCE: A work order is invoiced at most once. A new invoice is refused
+ *   with 409 ALREADY_INVOICED unless every earlier invoice is void
+ * - LOCKED: The work order or invoice row is locked (FOR UPDATE) while
+ *   lines are written, so concurrent edits cannot race the totals
+ * - CENTS: Money is computed in whole cents and stored as DECIMAL(10,2)
+ * - EVENTS: New invoices, line changes and the totals they move are
+ *   published as entity events once the transaction commits
+ *
+ * USAGE:
+ *   const { invoice, line_items } = await InvoiceService.createFromWorkOrder(
+ *     42, { due_date: '2026-11-30' }, { auditContext },
+ *   );
+ *   await InvoiceService.addLineItem(invoice.id,
+ *     { description: 'Call-out fee', quantity: 1, unit_price: 45 },
+ *     { auditContext },
+ *   );
+ */
+
+const GenericEntityService = require('./generic-entity-service');
+const { withTransaction } = require('../db/helpers/transaction-helper');
+const {
+  logEntityAudit,
+  logEntityEvent,
+} = require('../db/helpers/audit-helper');
+const { generateIdentifier } = require('../utils/identifier-generator');
+const SystemSettingsService = require('./system-settings-service');
+const TimeEntryService = require('./time-entry-service');
+const EntityEvents = require('./entity-events');
+const { ENTITY_EVENTS } = require('../config/constants');
+const { AuditActions } = require('./audit-constants');
+const AppError = require('../utils/app-error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work order statuses that can be invoiced
+ */
+const INVOICEABLE_STATUSES = ['completed'];
+
+/**
+ * Invoice status that releases a work order for invoicing again
+ */
+const RELEASED_STATUS = 'void';
+
+/**
+ * Invoice status whose lines can still change
+ */
+const EDITABLE_STATUS = 'draft';
+
+/**
+ * Tax code that resolves to the invoicing tax_rate_percent
+ */
+const STANDARD_TAX_CODE = 'standard';
+
+/**
+ * Line columns written on insert, in parameter order after invoice_id
+ * @private
+ */
+const LINE_COLUMNS = [
+  'description',
+  'quantity',
+  'unit_price',
+  'tax_code',
+  'tax_rate',
+  'amount',
+  'tax',
+  'inventory_id',
+  'technician_id',
+];
+
+/**
+ * Dollars to whole cents, and back
+ * @private
+ */
+const toCents = (value) => Math.round(Number(value) * 100);
+const fromCents = (cents) => cents / 100;
+
+class InvoiceService {
+  /**
+   * Create a draft invoice for a completed work order
+   *
+   * @param {number} workOrderId - Work order ID
+   * @param {Object} [input]
+   * @param {string} [input.summary] - Defaults to the work order's summary
+   * @param {Date|string} [input.due_date] - Defaults to today + payment terms
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<Object>} { invoice (with totals), line_items }
+   * @throws {AppError} 400 if the work order is not active or has nothing to bill
+   * @throws {AppError} 404 if the work order is not found
+   * @throws {AppError} 409 INVALID_STATUS_TRANSITION if the work order is not completed
+   * @throws {AppError} 409 ALREADY_INVOICED if a non-void invoice exists for it
+   */
+  static async createFromWorkOrder(workOrderId, input = {}, options = {}) {
+    const { auditContext } = options;
+    const rates = await SystemSettingsService.getInvoicingSettings();
+
+    const { invoice, lineItems } = await withTransaction(async (client) => {
+      const woResult = await client.query(
+        `SELECT wo.id, wo.work_order_number, wo.status, wo.is_active,
+                wo.summary, wo.customer_id, c.first_name, c.last_name
+         FROM work_orders wo
+         JOIN customers c ON c.id = wo.customer_id
+         WHERE wo.id = $1
+         FOR UPDATE OF wo`,
+        [workOrderId],
+      );
+      const workOrder = woResult.rows[0];
+
+      if (!workOrder) {
+        throw new AppError('Work order not found', 404, 'NOT_FOUND');
+      }
+      if (!workOrder.is_active) {
+        throw new AppError(
+          `Work order ${workOrder.work_order_number} is not active`,
+          400,
+          'BAD_REQUEST',
+        );
+      }
+      if (!INVOICEABLE_STATUSES.includes(workOrder.status)) {
+        throw new AppError(
+          `Cannot invoice a work order that is '${workOrder.status}'`,
+          409,
+          'INVALID_STATUS_TRANSITION',
+          { status: workOrder.status, allowed: INVOICEABLE_STATUSES },
+        );
+      }
+
+      const existingResult = await client.query(
+        `SELECT id, invoice_number, status FROM invoices
+         WHERE work_order_id = $1 AND status <> $2 AND is_active = true
+         ORDER BY id
+         LIMIT 1`,
+        [workOrder.id, RELEASED_STATUS],
+      );
+      const existing = existingResult.rows[0];
+
+      if (existing) {
+        throw new AppError(
+          `Work order ${workOrder.work_order_number} is already invoiced on ${existing.invoice_number}`,
+          409,
+          'ALREADY_INVOICED',
+          {
+            invoice_id: existing.id,
+            invoice_number: existing.invoice_number,
+            status: existing.status,
+          },
+        );
+      }
+
+      const labor = await TimeEntryService.getBillableTime(
+        client,
+        workOrder.id,
+      );
+      const partsResult = await client.query(
+        `SELECT p.id AS work_order_part_id, p.inventory_id, i.sku, i.name,
+                p.quantity, p.unit_cost
+         FROM work_order_parts p
+         JOIN inventory i ON i.id = p.inventory_id
+         WHERE p.work_order_id = $1 AND p.is_active = true
+         ORDER BY p.id`,
+        [workOrder.id],
+      );
+
+      if (labor.length === 0 && partsResult.rows.length === 0) {
+        throw new AppError(
+          `Work order ${workOrder.work_order_number} has no billable time or parts to invoice`,
+          400,
+          'BAD_REQUEST',
+        );
+      }
+
+      const invoiceNumber = await generateIdentifier('invoice');
+      const summary =
+        input.summary ||
+        workOrder.summary ||
+        `Work order ${workOrder.work_order_number}`;
+      const dueDate = input.due_date
+        ? new Date(input.due_date)
+        : new Date(Date.now() + rates.payment_terms_days * DAY_MS);
+
+      // Totals start at zero and are recomputed from the lines below
+      const inserted = await client.query(
+        `INSERT INTO invoices
+           (invoice_number, name, summary, work_order_id, customer_id,
+            status, amount, tax, total, due_date)
+         VALUES ($1, $2, $3, $4, $5, $6, 0, 0, 0, $7)
+         RETURNING id`,
+        [
+          invoiceNumber,
+          `${workOrder.first_name} ${workOrder.last_name}: ${summary}: ${invoiceNumber}`,
+          summary,
+          workOrder.id,
+          workOrder.customer_id,
+          EDITABLE_STATUS,
+          dueDate.toISOString().slice(0, 10),
+        ],
+      );
+      const invoiceId = inserted.rows[0].id;
+
+      const lineItems = [];
+      for (const line of this.buildWorkOrderLines(
+        { labor, parts: partsResult.rows },
+        rates,
+      )) {
+        lineItems.push(await this._insertLine(client, invoiceId, line, rates));
+      }
+
+      return {
+        invoice: await this.recalculateTotals(client, invoiceId),
+        lineItems,
+      };
+    });
+
+    if (auditContext) {
+      await logEntityEvent(
+        AuditActions.INVOICE_CREATE,
+        'invoice',
+        invoice,
+        auditContext,
+        {
+          newValues: {
+            invoice_number: invoice.invoice_number,
+            work_order_id: invoice.work_order_id,
+            customer_id: invoice.customer_id,
+            amount: invoice.amount,
+            tax: invoice.tax,
+            total: invoice.total,
+            line_items: lineItems.length,
+          },
+        },
+      );
+    }
+
+    await EntityEvents.publishAll(
+      [
+        { entity: 'invoice', action: ENTITY_EVENTS.CREATED, record: invoice },
+        ...lineItems.map((record) => ({
+          entity: 'invoice_line_item',
+          action: ENTITY_EVENTS.CREATED,
+          record,
+        })),
+      ],
+      auditContext?.userId ?? null,
+    );
+
+    return { invoice, line_items: lineItems };
+  }
+
+  /**
+   * Turn a work order's billable time and parts into invoice lines
+   *
+   * Labour is one line per technician: billable hours (to 2 places) at the
+   * technician's hourly_rate. Parts are one line per part line: unit_cost
+   * plus markup, rounded to the cent. Unpriced lines get unit_price 0.
+   *
+   * @param {Object} source
+   * @param {Array} source.labor - TimeEntryService.getBillableTime rows
+   * @param {Array} source.parts - Part lines ({ inventory_id, sku, name,
+   *   quantity, unit_cost })
+   * @param {Object} rates - { parts_markup_percent }
+   * @returns {Array<Object>} Line inputs ({ description, quantity,
+   *   unit_price, tax_code, technician_id | inventory_id })
+   */
+  static buildWorkOrderLines({ labor, parts }, rates) {
+    const markup = 1 + Number(rates.parts_markup_percent) / 100;
+
+    const laborLines = labor.map((row) => ({
+      description: `Labour: ${row.first_name} ${row.last_name}`,
+      quantity: Math.round((row.billable_minutes / 60) * 100) / 100,
+      unit_price: row.hourly_rate === null ? 0 : Number(row.hourly_rate),
+      tax_code: STANDARD_TAX_CODE,
+      technician_id: row.technician_id,
+    }));
+
+    const partLines = parts.map((row) => ({
+      description: `${row.sku} - ${row.name}`,
+      quantity: row.quantity,
+      unit_price:
+        row.unit_cost === null
+          ? 0
+          : fromCents(Math.round(toCents(row.unit_cost) * markup)),
+      tax_code: STANDARD_TAX_CODE,
+      inventory_id: row.inventory_id,
+    }));
+
+    // Zero-hour labour (breaks only) has nothing to bill
+    return [...laborLines.filter((line) => line.quantity > 0), ...partLines];
+  }
+
+  // ===========================================================================
+  // LINE ITEMS
+  // ===========================================================================
+
+  /**
+   * List the line items on an invoice
+   *
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} [pagination] - { page, limit } (GenericEntityService defaults)
+   * @returns {Promise<Object>} findAll result: { data, pagination, appliedFilters }
+   */
+  static async listLineItems(invoiceId, pagination = {}) {
+    return GenericEntityService.findAll('invoice_line_item', {
+      ...pagination,
+      filters: { invoice_id: invoiceId },
+    });
+  }
+
+  /**
+   * Add a line to a draft invoice and recompute its totals
+   *
+   * @param {number} invoiceId - Invoice ID (caller has checked access)
+   * @param {Object} line
+   * @param {string} line.description - What is billed
+   * @param {number} line.quantity - Quantity (> 0, 2 decimal places)
+   * @param {number} line.unit_price - Price per unit (>= 0)
+   * @param {string} [line.tax_code='standard'] - Tax code from the invoicing setting
+   * @param {number} [line.inventory_id] - Inventory item billed
+   * @param {number} [line.technician_id] - Technician whose labour is billed
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<Object>} { line_item, invoice (with new totals) }
+   * @throws {AppError} 400 if the tax code is unknown
+   * @throws {AppError} 404 if the invoice is not found
+   * @throws {AppError} 409 INVOICE_NOT_DRAFT if the invoice is not a draft
+   */
+  static async addLineItem(invoiceId, line, options = {}) {
+    const { auditContext } = options;
+    const rates = await SystemSettingsService.getInvoicingSettings();
+
+    const result = await withTransaction(async (client) => {
+      const before = await this.lockDraftInvoice(client, invoiceId);
+      const lineItem = await this._insertLine(client, before.id, line, rates);
+      const invoice = await this.recalculateTotals(client, before.id);
+      return { lineItem, before, invoice };
+    });
+
+    await this._auditLineChange('create', result, auditContext);
+    await this._publishLineChange(ENTITY_EVENTS.CREATED, result, auditContext);
+
+    return { line_item: result.lineItem, invoice: result.invoice };
+  }
+
+  /**
+   * Edit a line on a draft invoice and recompute its totals
+   *
+   * Amount and tax are recomputed from the merged line; the tax code is
+   * resolved again at the current rate.
+   *
+   * @param {number} invoiceId - Invoice ID (caller has checked access)
+   * @param {number} lineItemId - Line item ID
+   * @param {Object} changes - Any of the addLineItem line fields
+   * @param {Object} [options] - Same as addLineItem
+   * @returns {Promise<Object>} { line_item, invoice (with new totals) }
+   * @throws {AppError} 400 if the tax code is unknown
+   * @throws {AppError} 404 if the invoice is not found or the line is not on it
+   * @throws {AppError} 409 INVOICE_NOT_DRAFT if the invoice is not a draft
+   * @throws {AppError} 409 BELOW_AMOUNT_PAID if the new total is less than
+   *   what has been paid
+   */
+  static async updateLineItem(invoiceId, lineItemId, changes, options = {}) {
+    const { auditContext } = options;
+    const rates = await SystemSettingsService.getInvoicingSettings();
+
+    const result = await withTransaction(async (client) => {
+      const before = await this.lockDraftInvoice(client, invoiceId);
+      const oldLine = await this._findLine(client, before.id, lineItemId);
+      const line = this._priceLine({ ...oldLine, ...changes }, rates);
+
+      const updated = await client.query(
+        `UPDATE invoice_line_items
+         SET ${LINE_COLUMNS.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+         WHERE id = $1 AND invoice_id = $2
+         RETURNING *`,
+        [
+          oldLine.id,
+          before.id,
+          ...LINE_COLUMNS.map((column) => line[column] ?? null),
+        ],
+      );
+      const invoice = await this.recalculateTotals(client, before.id);
+
+      return { oldLine, lineItem: updated.rows[0], before, invoice };
+    });
+
+    await this._auditLineChange('update', result, auditContext);
+    await this._publishLineChange(ENTITY_EVENTS.UPDATED, result, auditContext);
+
+    return { line_item: result.lineItem, invoice: result.invoice };
+  }
+
+  /**
+   * Remove a line from a draft invoice and recompute its totals
+   *
+   * @param {number} invoiceId - Invoice ID (caller has checked access)
+   * @param {number} lineItemId - Line item ID
+   * @param {Object} [options] - Same as addLineItem
+   * @returns {Promise<Object>} { line_item (removed), invoice (with new totals) }
+   * @throws {AppError} 404 if the invoice is not found or the line is not on it
+   * @throws {AppError} 409 INVOICE_NOT_DRAFT if the invoice is not a draft
+   * @throws {AppError} 409 BELOW_AMOUNT_PAID if the new total is less than
+   *   what has been paid
+   */
+  static async removeLineItem(invoiceId, lineItemId, options = {}) {
+    const { auditContext } = options;
+
+    const result = await withTransaction(async (client) => {
+      const before = await this.lockDraftInvoice(client, invoiceId);
+      const deleted = await client.query(
+        'DELETE FROM invoice_line_items WHERE id = $1 AND invoice_id = $2 RETURNING *',
+        [lineItemId, before.id],
+      );
+      const lineItem = deleted.rows[0];
+
+      if (!lineItem) {
+        throw new AppError(
+          'Line item not found on this invoice',
+          404,
+          'NOT_FOUND',
+        );
+      }
+
+      const invoice = await this.recalculateTotals(client, before.id);
+      return { lineItem, before, invoice };
+    });
+
+    await this._auditLineChange('delete', result, auditContext);
+    await this._publishLineChange(ENTITY_EVENTS.DELETED, result, auditContext);
+
+    return { line_item: result.lineItem, invoice: result.invoice };
+  }
+
+  // ===========================================================================
+  // TOTALS & PRICING
+  // ===========================================================================
+
+  /**
+   * Lock an invoice whose lines are about to change
+   *
+   * @param {Object} client - Transaction client
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Promise<Object>} The locked invoice row
+   * @throws {AppError} 404 if the invoice is not found
+   * @throws {AppError} 409 INVOICE_NOT_DRAFT if the invoice is not a draft
+   */
+  static async lockDraftInvoice(client, invoiceId) {
+    const result = await client.query(
+      'SELECT * FROM invoices WHERE id = $1 FOR UPDATE',
+      [invoiceId],
+    );
+    const invoice = result.rows[0];
+
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+    }
+    if (invoice.status !== EDITABLE_STATUS) {
+      throw new AppError(
+        `Line items on ${invoice.invoice_number} cannot change once it is '${invoice.status}'`,
+        409,
+        'INVOICE_NOT_DRAFT',
+        { status: invoice.status },
+      );
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Set an invoice's amount, tax and total to the sums of its active lines
+   *
+   * Throws inside the caller's transaction, so a refused change rolls back.
+   *
+   * @param {Object} client - Transaction client
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Promise<Object>} The updated invoice row
+   * @throws {AppError} 409 BELOW_AMOUNT_PAID if the new total is less than
+   *   amount_paid
+   */
+  static async recalculateTotals(client, invoiceId) {
+    const result = await client.query(
+      `UPDATE invoices i
+       SET amount = s.amount, tax = s.tax, total = s.amount + s.tax
+       FROM (
+         SELECT COALESCE(SUM(amount), 0) AS amount,
+                COALESCE(SUM(tax), 0) AS tax
+         FROM invoice_line_items
+         WHERE invoice_id = $1 AND is_active = true
+       ) s
+       WHERE i.id = $1
+       RETURNING i.*`,
+      [invoiceId],
+    );
+    const invoice = result.rows[0];
+
+    if (toCents(invoice.total) < toCents(invoice.amount_paid)) {
+      throw new AppError(
+        `The total of ${invoice.invoice_number} cannot drop below the ${Number(invoice.amount_paid)} already paid`,
+        409,
+        'BELOW_AMOUNT_PAID',
+        {
+          total: Number(invoice.total),
+          amount_paid: Number(invoice.amount_paid),
+        },
+      );
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Resolve a tax code to its rate (percent)
+   *
+   * @param {string} [taxCode='standard'] - Tax code
+   * @param {Object} rates - { tax_rate_percent, tax_codes }
+   * @returns {number} Rate in percent
+   * @throws {AppError} 400 if the code is not configured
+   */
+  static resolveTaxRate(taxCode = STANDARD_TAX_CODE, rates) {
+    if (taxCode === STANDARD_TAX_CODE) {
+      return Number(rates.tax_rate_percent);
+    }
+
+    const rate = rates.tax_codes?.[taxCode];
+    if (rate === undefined || rate === null) {
+      const known = [STANDARD_TAX_CODE, ...Object.keys(rates.tax_codes || {})];
+      throw new AppError(
+        `Unknown tax code '${taxCode}' (expected one of: ${known.join(', ')})`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+    return Number(rate);
+  }
+
+  /**
+   * Fill in a line's tax code, tax rate, amount and tax
+   *
+   * amount = quantity x unit_price and tax = amount x rate, each rounded to
+   * the cent.
+   *
+   * @private
+   * @param {Object} line - Line input ({ quantity, unit_price, tax_code, ... })
+   * @param {Object} rates - Invoicing settings
+   * @returns {Object} The line with tax_code, tax_rate, amount and tax set
+   */
+  static _priceLine(line, rates) {
+    const taxCode = line.tax_code || STANDARD_TAX_CODE;
+    const taxRate = this.resolveTaxRate(taxCode, rates);
+    const amountCents = Math.round(
+      Number(line.quantity) * toCents(line.unit_price),
+    );
+    const taxCents = Math.round((amountCents * taxRate) / 100);
+
+    return {
+      ...line,
+      tax_code: taxCode,
+      tax_rate: taxRate,
+      amount: fromCents(amountCents),
+      tax: fromCents(taxCents),
+    };
+  }
+
+  /**
+   * Price and insert one line
+   * @private
+   */
+  static async _insertLine(client, invoiceId, line, rates) {
+    const priced = this._priceLine(line, rates);
+    const inserted = await client.query(
+      `INSERT INTO invoice_line_items (invoice_id, ${LINE_COLUMNS.join(', ')})
+       VALUES ($1, ${LINE_COLUMNS.map((_column, i) => `$${i + 2}`).join(', ')})
+       RETURNING *`,
+      [invoiceId, ...LINE_COLUMNS.map((column) => priced[column] ?? null)],
+    );
+    return inserted.rows[0];
+  }
+
+  /**
+   * Lock one line of an invoice
+   * @private
+   * @throws {AppError} 404 if the line is not on the invoice
+   */
+  static async _findLine(client, invoiceId, lineItemId) {
+    const result = await client.query(
+      `SELECT * FROM invoice_line_items
+       WHERE id = $1 AND invoice_id = $2
+       FOR UPDATE`,
+      [lineItemId, invoiceId],
+    );
+    if (!result.rows[0]) {
+      throw new AppError(
+        'Line item not found on this invoice',
+        404,
+        'NOT_FOUND',
+      );
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Audit a line change and the invoice totals it moved (skipped without
+   * an audit context)
+   *
+   * @private
+   * @param {string} operation - 'create' | 'update' | 'delete'
+   * @param {Object} change - { lineItem, oldLine, before, invoice }
+   * @param {Object} [auditContext] - Audit context
+   */
+  static async _auditLineChange(operation, change, auditContext) {
+    if (!auditContext) {
+      return;
+    }
+    const totals = ({ amount, tax, total }) => ({ amount, tax, total });
+
+    await logEntityAudit(
+      operation,
+      'invoice_line_item',
+      change.lineItem,
+      auditContext,
+      change.oldLine,
+    );
+    await logEntityAudit(
+      'update',
+      'invoice',
+      change.invoice,
+      { ...auditContext, newValues: totals(change.invoice) },
+      totals(change.before),
+    );
+  }
+
+  /**
+   * Publish a line change and the invoice totals it moved
+   *
+   * @private
+   * @param {string} action - ENTITY_EVENTS value for the line
+   * @param {Object} change - { lineItem, oldLine, before, invoice }
+   * @param {Object} [auditContext] - Supplies the acting user
+   * @returns {Promise<void>}
+   */
+  static _publishLineChange(action, change, auditContext) {
+    const deleted = action === ENTITY_EVENTS.DELETED;
+
+    return EntityEvents.publishAll(
+      [
+        {
+          entity: 'invoice_line_item',
+          action,
+          record: change.lineItem,
+          previous: deleted ? change.lineItem : change.oldLine || null,
+        },
+        {
+          entity: 'invoice',
+          action: ENTITY_EVENTS.UPDATED,
+          record: change.invoice,
+          previous: change.before,
+        },
+      ],
+      auditContext?.userId ?? null,
+    );
+  }
+}
+
+module.exports = InvoiceService;
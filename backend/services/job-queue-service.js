@@ -0,0 +1,506 @@
+/**
+ * Job Queue Service
+ *
+ * SRP LITERALISM: ONLY stores background jobs, hands each due job to one
+ * worker, and records attempts, progress and outcome
+ *
+ * PHILOSOPHY:
+ * - DURABLE: Jobs are background_jobs rows; nothing is lost on a restart
+ * - SKIP LOCKED: Every backend instance runs a worker that claims due jobs
+ *   with FOR UPDATE SKIP LOCKED, so instances never take the same job and
+ *   never wait on each other
+ * - TYPED: A job's type names its handler in config/job-types.js; the
+ *   payload is validated against the type's schema when enqueued
+ * - RETRIES: A failed attempt is retried after an exponential backoff
+ *   (JOB_QUEUE.BACKOFF_*); after max_attempts, or on a 4xx AppError, the
+ *   job is dead-lettered (status 'dead') with its last error
+ * - LEASED: A running job's worker checks in (locked_at) while it runs;
+ *   a job whose worker went quiet for JOB_QUEUE.LEASE_MS is retried
+ * - SHARED POOL: Uses db/connection like every other service
+ *
+ * USAGE (from a service or a POST route):
+ *   const job = await JobQueueService.enqueue('notification.fan-out', {
+ *     role: 'manager',
+ *     notification: { title: 'Price list updated' },
+ *   }, { submittedBy: req.dbUser.id });
+ *   return ResponseFormatter.accepted(res, JobQueueService.toStatus(job));
+ *
+ * The submitter polls GET /api/jobs/:id.
+ */
+
+const os = require('os');
+const db = require('../db/connection');
+const AppError = require('../utils/app-error');
+const jobTypes = require('../config/job-types');
+const { JOB_QUEUE } = require('../config/constants');
+const { logger } = require('../config/logger');
+
+const { STATUSES } = JOB_QUEUE;
+
+/**
+ * This process's worker identity (background_jobs.locked_by)
+ */
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Worker state: poll timer, whether started, jobs in flight
+ */
+let pollTimer = null;
+let started = false;
+let inFlight = 0;
+
+/**
+ * Columns a submitter sees when polling a job
+ */
+const STATUS_FIELDS = Object.freeze([
+  'id',
+  'type',
+  'status',
+  'progress',
+  'progress_message',
+  'attempts',
+  'max_attempts',
+  'result',
+  'last_error',
+  'run_at',
+  'created_at',
+  'started_at',
+  'finished_at',
+]);
+
+class JobQueueService {
+  /**
+   * Add a job to the queue
+   *
+   * @param {string} type - Job type from config/job-types.js
+   * @param {Object} [payload={}] - Handler input (JSON)
+   * @param {Object} [options]
+   * @param {number} [options.submittedBy] - User who asked for the work
+   * @param {Date} [options.runAt] - Not before this time (default now)
+   * @param {Object} [options.client] - Transaction client, so the job only
+   *   exists if the caller's transaction commits
+   * @returns {Promise<Object>} The queued background_jobs row
+   * @throws {Error} If the type is not defined
+   * @throws {AppError} 400 if the payload does not match the type's schema
+   */
+  static async enqueue(type, payload = {}, options = {}) {
+    const definition = this.getType(type);
+    const { submittedBy = null, runAt = null, client = db } = options;
+
+    let value = payload;
+    if (definition.schema) {
+      const validation = definition.schema.validate(payload);
+      if (validation.error) {
+        throw new AppError(
+          `Invalid payload for job type '${type}': ${validation.error.message}`,
+          400,
+          'VALIDATION_ERROR',
+        );
+      }
+      value = validation.value;
+    }
+
+    const result = await client.query(
+      `INSERT INTO background_jobs
+         (type, payload, max_attempts, run_at, submitted_by)
+       VALUES ($1, $2, $3, COALESCE($4, NOW()), $5)
+       RETURNING *`,
+      [
+        type,
+        JSON.stringify(value),
+        definition.maxAttempts || JOB_QUEUE.DEFAULT_MAX_ATTEMPTS,
+        runAt ? runAt.toISOString() : null,
+        submittedBy,
+      ],
+    );
+
+    const job = result.rows[0];
+    logger.info('Background job queued', {
+      jobId: job.id,
+      type,
+      submittedBy,
+    });
+    return job;
+  }
+
+  /**
+   * A job type definition
+   *
+   * @param {string} type - Job type
+   * @returns {Object} Definition from config/job-types.js
+   * @throws {Error} If the type is not defined (a programming error)
+   */
+  static getType(type) {
+    const definition = Object.prototype.hasOwnProperty.call(jobTypes, type)
+      ? jobTypes[type]
+      : null;
+    if (!definition) {
+      throw new Error(`Unknown background job type: ${type}`);
+    }
+    return definition;
+  }
+
+  /**
+   * A job as its submitter sees it
+   *
+   * @param {number} jobId - Job ID
+   * @param {number} userId - Requesting user
+   * @returns {Promise<Object>} toStatus() view
+   * @throws {AppError} 404 if the job does not exist or was submitted by
+   *   someone else
+   */
+  static async getForUser(jobId, userId) {
+    const result = await db.query(
+      'SELECT * FROM background_jobs WHERE id = $1 AND submitted_by = $2',
+      [jobId, userId],
+    );
+    if (result.rows.length === 0) {
+      throw new AppError('Job not found', 404, 'NOT_FOUND');
+    }
+    return this.toStatus(result.rows[0]);
+  }
+
+  /**
+   * Public view of a job row (no payload or worker details); the result
+   * is only shown once the job succeeded
+   *
+   * @param {Object} job - background_jobs row
+   * @returns {Object}
+   */
+  static toStatus(job) {
+    const view = {};
+    for (const field of STATUS_FIELDS) {
+      view[field] = job[field] === undefined ? null : job[field];
+    }
+    if (job.status !== STATUSES.SUCCEEDED) {
+      view.result = null;
+    }
+    return view;
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  /**
+   * Start this process's worker (safe to call twice)
+   */
+  static start() {
+    if (started) {
+      return;
+    }
+    started = true;
+    logger.info('Background job worker started', {
+      worker: WORKER_ID,
+      concurrency: JOB_QUEUE.CONCURRENCY,
+      types: Object.keys(jobTypes),
+    });
+    this._poll();
+  }
+
+  /**
+   * Stop claiming jobs (jobs in flight finish on their own)
+   */
+  static stop() {
+    started = false;
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  /**
+   * Put running jobs whose worker stopped checking in back in the queue
+   * (or dead-letter them when out of attempts)
+   *
+   * Run by the 'background-job-recovery' scheduled job.
+   *
+   * @returns {Promise<Object>} { requeued, dead }
+   */
+  static async recoverLost() {
+    const result = await db.query(
+      `UPDATE background_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN $1 ELSE $2 END,
+           finished_at = CASE WHEN attempts >= max_attempts THEN NOW() END,
+           last_error = 'Worker stopped responding',
+           locked_by = NULL,
+           locked_at = NULL,
+           updated_at = NOW()
+       WHERE status = $3
+         AND locked_at < NOW() - ($4::int * INTERVAL '1 millisecond')
+       RETURNING id, status`,
+      [STATUSES.DEAD, STATUSES.QUEUED, STATUSES.RUNNING, JOB_QUEUE.LEASE_MS],
+    );
+
+    const dead = result.rows.filter((row) => row.status === STATUSES.DEAD);
+    if (result.rows.length > 0) {
+      logger.warn('Recovered background jobs from lost workers', {
+        jobIds: result.rows.map((row) => row.id),
+      });
+    }
+    return { requeued: result.rows.length - dead.length, dead: dead.length };
+  }
+
+  /**
+   * Delete succeeded and dead jobs finished more than N days ago
+   *
+   * Run by the 'background-job-cleanup' scheduled job.
+   *
+   * @param {number} [days=JOB_QUEUE.RETENTION_DAYS]
+   * @returns {Promise<number>} Jobs deleted
+   */
+  static async cleanupFinished(days = JOB_QUEUE.RETENTION_DAYS) {
+    const result = await db.query(
+      `DELETE FROM background_jobs
+       WHERE status IN ($1, $2)
+         AND finished_at < NOW() - ($3::int * INTERVAL '1 day')`,
+      [STATUSES.SUCCEEDED, STATUSES.DEAD, days],
+    );
+    return result.rowCount;
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Claim jobs up to the concurrency limit, then poll again later
+   * @private
+   */
+  static async _poll() {
+    pollTimer = null;
+    try {
+      while (started && inFlight < JOB_QUEUE.CONCURRENCY) {
+        const job = await this._claim();
+        if (!job) {
+          break;
+        }
+        inFlight++;
+        this._process(job).finally(() => {
+          inFlight--;
+        });
+      }
+    } catch (error) {
+      logger.error('Background job poll failed', { error: error.message });
+    }
+
+    if (started) {
+      pollTimer = setTimeout(() => this._poll(), JOB_QUEUE.POLL_INTERVAL_MS);
+      // Never keep the process alive just for the worker
+      if (typeof pollTimer.unref === 'function') {
+        pollTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * Take the oldest due job of a type this process knows
+   *
+   * @private
+   * @returns {Promise<Object|null>} Claimed row (status 'running'), or null
+   */
+  static async _claim() {
+    const result = await db.query(
+      `UPDATE background_jobs
+       SET status = $1,
+           attempts = attempts + 1,
+           locked_by = $2,
+           locked_at = NOW(),
+           started_at = COALESCE(started_at, NOW()),
+           updated_at = NOW()
+       WHERE id = (
+         SELECT id
+         FROM background_jobs
+         WHERE status = $3
+           AND run_at <= NOW()
+           AND type = ANY($4::text[])
+         ORDER BY run_at, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [STATUSES.RUNNING, WORKER_ID, STATUSES.QUEUED, Object.keys(jobTypes)],
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Run one claimed attempt and record its outcome
+   *
+   * Never throws; outcome is written to the row.
+   *
+   * @private
+   * @param {Object} job - Claimed background_jobs row
+   */
+  static async _process(job) {
+    const definition = this.getType(job.type);
+    const heartbeat = setInterval(
+      () => this._checkIn(job.id).catch(() => {}),
+      JOB_QUEUE.LEASE_MS / 3,
+    );
+    if (typeof heartbeat.unref === 'function') {
+      heartbeat.unref();
+    }
+
+    let result;
+    try {
+      result = await definition.handle(job.payload, {
+        id: job.id,
+        type: job.type,
+        attempt: job.attempts,
+        maxAttempts: job.max_attempts,
+        submittedBy: job.submitted_by,
+        reportProgress: (percent, message) =>
+          this._reportProgress(job.id, percent, message),
+      });
+    } catch (error) {
+      await this._fail(job, error).catch((recordError) =>
+        logger.error('Failed to record background job failure', {
+          jobId: job.id,
+          error: recordError.message,
+        }),
+      );
+      return;
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    // Outside the handler's try: the work is done, so failing to record
+    // that must not count as a failed attempt and run it again
+    await this._succeed(job, result).catch((recordError) =>
+      logger.error('Failed to record background job success', {
+        jobId: job.id,
+        error: recordError.message,
+      }),
+    );
+  }
+
+  /**
+   * @private
+   */
+  static async _succeed(job, result) {
+    await db.query(
+      `UPDATE background_jobs
+       SET status = $3, progress = 100, result = $4, last_error = NULL,
+           finished_at = NOW(), locked_by = NULL, locked_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = $5`,
+      [
+        job.id,
+        WORKER_ID,
+        STATUSES.SUCCEEDED,
+        JSON.stringify(result ?? null),
+        STATUSES.RUNNING,
+      ],
+    );
+    logger.info('Background job succeeded', {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+    });
+  }
+
+  /**
+   * Retry after backoff, or dead-letter when out of attempts or permanent
+   * @private
+   */
+  static async _fail(job, error) {
+    const permanent =
+      error instanceof AppError &&
+      error.statusCode >= 400 &&
+      error.statusCode < 500;
+    const dead = permanent || job.attempts >= job.max_attempts;
+
+    if (dead) {
+      await db.query(
+        `UPDATE background_jobs
+         SET status = $3, last_error = $4, finished_at = NOW(),
+             locked_by = NULL, locked_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND locked_by = $2 AND status = $5`,
+        [job.id, WORKER_ID, STATUSES.DEAD, error.message, STATUSES.RUNNING],
+      );
+      logger.error('Background job dead-lettered', {
+        jobId: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        error: error.message,
+      });
+      return;
+    }
+
+    const delayMs = this._backoffMs(job.attempts);
+    await db.query(
+      `UPDATE background_jobs
+       SET status = $3, last_error = $4,
+           run_at = NOW() + ($5::int * INTERVAL '1 millisecond'),
+           locked_by = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = $6`,
+      [
+        job.id,
+        WORKER_ID,
+        STATUSES.QUEUED,
+        error.message,
+        delayMs,
+        STATUSES.RUNNING,
+      ],
+    );
+    logger.warn('Background job attempt failed, retrying', {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      retryInMs: delayMs,
+      error: error.message,
+    });
+  }
+
+  /**
+   * Delay before the attempt after a failed one
+   *
+   * @private
+   * @param {number} attempt - Attempt that failed (1-based)
+   * @returns {number} Milliseconds
+   */
+  static _backoffMs(attempt) {
+    return Math.min(
+      JOB_QUEUE.BACKOFF_BASE_MS * 2 ** (attempt - 1),
+      JOB_QUEUE.BACKOFF_MAX_MS,
+    );
+  }
+
+  /**
+   * Store progress (0-100, clamped) and check in
+   * @private
+   */
+  static async _reportProgress(jobId, percent, message = null) {
+    const progress = Math.min(
+      Math.max(Math.round(Number(percent) || 0), 0),
+      100,
+    );
+    await db.query(
+      `UPDATE background_jobs
+       SET progress = $3, progress_message = $4, locked_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1 AND locked_by = $2`,
+      [
+        jobId,
+        WORKER_ID,
+        progress,
+        message ? String(message).slice(0, 255) : null,
+      ],
+    );
+  }
+
+  /**
+   * Renew a running job's lease
+   * @private
+   */
+  static async _checkIn(jobId) {
+    await db.query(
+      `UPDATE background_jobs SET locked_at = NOW()
+       WHERE id = $1 AND locked_by = $2`,
+      [jobId, WORKER_ID],
+    );
+  }
+}
+
+module.exports = JobQueueService;
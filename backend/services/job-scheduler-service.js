@@ -0,0 +1,455 @@
+/**
+ * Job Scheduler Service
+ *
+ * SRP LITERALISM: ONLY decides when the scheduled jobs in
+ * config/scheduled-jobs.js run, makes sure each run happens once, and
+ * records how it went
+ *
+ * PHILOSOPHY:
+ * - IN-PROCESS: A minute timer matches each job's cron schedule (UTC); no
+ *   external cron or worker needed
+ * - ONCE ACROSS INSTANCES: A run holds a Postgres advisory lock on its job
+ *   (a second run of the same job is skipped, or refused when manual), and
+ *   a scheduled run claims its cron tick in scheduled_job_runs (unique per
+ *   job and tick), so N backend instances still run each tick once
+ * - HISTORY: Every run is a scheduled_job_runs row: trigger, start, finish,
+ *   status, error message, and the job's result summary
+ * - PAUSABLE: A paused job (scheduled_jobs.paused) skips its scheduled and
+ *   startup runs; admins can still run it by hand
+ * - SELF-HEALING: A 'running' row found while holding the job's lock was
+ *   left by a process that died mid-run and is marked failed
+ *
+ * USAGE:
+ *   JobSchedulerService.start();           // server startup
+ *   await JobSchedulerService.runNow('lifecycle-sweep', { userId });
+ */
+
+const db = require('../db/connection');
+const AppError = require('../utils/app-error');
+const jobs = require('../config/scheduled-jobs');
+const { parseCron, matches, nextRun } = require('../utils/cron');
+const { SCHEDULED_JOBS } = require('../config/constants');
+const { logger } = require('../config/logger');
+
+const { RUN_STATUSES, TRIGGERS } = SCHEDULED_JOBS;
+
+/**
+ * Parsed schedules by job name (a bad expression fails at load)
+ */
+const SCHEDULES = new Map(
+  jobs.map((job) => [job.name, parseCron(job.schedule)]),
+);
+
+/**
+ * Advisory lock key prefix (hashed with the job name)
+ */
+const LOCK_PREFIX = 'scheduled_job:';
+
+/**
+ * Pending tick timer (null when stopped)
+ */
+let timer = null;
+
+class JobSchedulerService {
+  /**
+   * Start ticking every minute and run the runOnStart jobs
+   *
+   * Safe to call twice (the second call does nothing).
+   */
+  static start() {
+    if (timer) {
+      return;
+    }
+
+    this._scheduleTick();
+    logger.info('Scheduled jobs enabled', {
+      jobs: jobs.filter((job) => this.isEnabled(job)).map((job) => job.name),
+    });
+
+    this._runDue(
+      jobs.filter((job) => job.runOnStart),
+      TRIGGERS.STARTUP,
+    ).catch((error) =>
+      logger.error('Scheduled job startup runs failed', {
+        error: error.message,
+      }),
+    );
+  }
+
+  /**
+   * Stop ticking (runs in progress finish on their own)
+   */
+  static stop() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Whether a job is switched on (its enabledEnv is not 'false')
+   *
+   * @param {Object} job - Job definition
+   * @returns {boolean}
+   */
+  static isEnabled(job) {
+    return !job.enabledEnv || process.env[job.enabledEnv] !== 'false';
+  }
+
+  /**
+   * All jobs with their pause state, last run and next scheduled run
+   *
+   * @returns {Promise<Object[]>} One entry per job, in definition order
+   */
+  static async listJobs() {
+    const [stateResult, lastRunResult] = await Promise.all([
+      db.query('SELECT name, paused, paused_at, paused_by FROM scheduled_jobs'),
+      db.query(
+        `SELECT DISTINCT ON (job_name) *
+         FROM scheduled_job_runs
+         ORDER BY job_name, started_at DESC, id DESC`,
+      ),
+    ]);
+
+    const states = new Map(stateResult.rows.map((row) => [row.name, row]));
+    const lastRuns = new Map(
+      lastRunResult.rows.map((row) => [row.job_name, row]),
+    );
+
+    return jobs.map((job) => {
+      const state = states.get(job.name) || {};
+      const enabled = this.isEnabled(job);
+      const paused = state.paused === true;
+
+      return {
+        name: job.name,
+        schedule: job.schedule,
+        description: job.description,
+        enabled,
+        paused,
+        paused_at: paused ? state.paused_at : null,
+        paused_by: paused ? state.paused_by : null,
+        next_run_at:
+          enabled && !paused ? nextRun(SCHEDULES.get(job.name)) : null,
+        last_run: lastRuns.get(job.name) || null,
+      };
+    });
+  }
+
+  /**
+   * Run history of one job, newest first
+   *
+   * @param {string} name - Job name
+   * @param {Object} [options]
+   * @param {number} [options.limit=SCHEDULED_JOBS.RUNS_DEFAULT_LIMIT] - Capped
+   *   at SCHEDULED_JOBS.RUNS_MAX_LIMIT
+   * @returns {Promise<Object[]>} scheduled_job_runs rows
+   * @throws {AppError} 404 if the job does not exist
+   */
+  static async getRuns(name, options = {}) {
+    this._getJob(name);
+
+    const requested =
+      Number(options.limit) || SCHEDULED_JOBS.RUNS_DEFAULT_LIMIT;
+    const limit = Math.min(
+      Math.max(requested, 1),
+      SCHEDULED_JOBS.RUNS_MAX_LIMIT,
+    );
+
+    const result = await db.query(
+      `SELECT *
+       FROM scheduled_job_runs
+       WHERE job_name = $1
+       ORDER BY started_at DESC, id DESC
+       LIMIT $2`,
+      [name, limit],
+    );
+    return result.rows;
+  }
+
+  /**
+   * Stop a job's scheduled (and startup) runs until resumed
+   *
+   * @param {string} name - Job name
+   * @param {number} userId - Admin pausing it
+   * @returns {Promise<Object>} scheduled_jobs row
+   * @throws {AppError} 404 if the job does not exist
+   */
+  static async pause(name, userId) {
+    this._getJob(name);
+
+    const result = await db.query(
+      `INSERT INTO scheduled_jobs (name, paused, paused_at, paused_by, updated_at)
+       VALUES ($1, true, NOW(), $2, NOW())
+       ON CONFLICT (name) DO UPDATE
+         SET paused = true,
+             paused_at = NOW(),
+             paused_by = EXCLUDED.paused_by,
+             updated_at = NOW()
+       RETURNING *`,
+      [name, userId],
+    );
+
+    logger.info('Scheduled job paused', { job: name, userId });
+    return result.rows[0];
+  }
+
+  /**
+   * Let a paused job run on schedule again
+   *
+   * @param {string} name - Job name
+   * @param {number} userId - Admin resuming it
+   * @returns {Promise<Object>} scheduled_jobs row
+   * @throws {AppError} 404 if the job does not exist
+   */
+  static async resume(name, userId) {
+    this._getJob(name);
+
+    const result = await db.query(
+      `INSERT INTO scheduled_jobs (name, paused, updated_at)
+       VALUES ($1, false, NOW())
+       ON CONFLICT (name) DO UPDATE
+         SET paused = false,
+             paused_at = NULL,
+             paused_by = NULL,
+             updated_at = NOW()
+       RETURNING *`,
+      [name],
+    );
+
+    logger.info('Scheduled job resumed', { job: name, userId });
+    return result.rows[0];
+  }
+
+  /**
+   * Run a job now and wait for it (paused or disabled jobs too)
+   *
+   * @param {string} name - Job name
+   * @param {Object} [options]
+   * @param {number} [options.userId] - Admin triggering the run
+   * @returns {Promise<Object>} Finished scheduled_job_runs row (status
+   *   'succeeded' or 'failed')
+   * @throws {AppError} 404 if the job does not exist, 409 if it is running
+   */
+  static async runNow(name, options = {}) {
+    const job = this._getJob(name);
+
+    return this._execute(job, {
+      trigger: TRIGGERS.MANUAL,
+      triggeredBy: options.userId || null,
+    });
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Job definition by name
+   *
+   * @private
+   * @throws {AppError} 404 if there is none
+   */
+  static _getJob(name) {
+    const job = jobs.find((candidate) => candidate.name === name);
+    if (!job) {
+      throw new AppError(`Scheduled job '${name}' not found`, 404, 'NOT_FOUND');
+    }
+    return job;
+  }
+
+  /**
+   * Set the timer for the start of the next minute
+   * @private
+   */
+  static _scheduleTick() {
+    const delay =
+      SCHEDULED_JOBS.TICK_MS - (Date.now() % SCHEDULED_JOBS.TICK_MS);
+
+    timer = setTimeout(() => {
+      const minute = new Date(
+        Math.floor(Date.now() / SCHEDULED_JOBS.TICK_MS) *
+          SCHEDULED_JOBS.TICK_MS,
+      );
+      this._scheduleTick();
+      this._tick(minute).catch((error) =>
+        logger.error('Job scheduler tick failed', { error: error.message }),
+      );
+    }, delay);
+
+    // Never keep the process alive just for the scheduler
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  }
+
+  /**
+   * Run every job whose schedule matches a minute
+   *
+   * @private
+   * @param {Date} minute - Start of the tick's minute
+   */
+  static async _tick(minute) {
+    const due = jobs.filter((job) => matches(SCHEDULES.get(job.name), minute));
+    await this._runDue(due, TRIGGERS.SCHEDULE, minute);
+  }
+
+  /**
+   * Run jobs one after another, skipping disabled and paused ones
+   *
+   * @private
+   * @param {Object[]} candidates - Job definitions
+   * @param {string} trigger - TRIGGERS.SCHEDULE or TRIGGERS.STARTUP
+   * @param {Date} [scheduledFor] - Cron tick (scheduled runs)
+   */
+  static async _runDue(candidates, trigger, scheduledFor = null) {
+    const enabled = candidates.filter((job) => this.isEnabled(job));
+    if (enabled.length === 0) {
+      return;
+    }
+
+    const result = await db.query(
+      'SELECT name FROM scheduled_jobs WHERE paused = true',
+    );
+    const paused = new Set(result.rows.map((row) => row.name));
+
+    for (const job of enabled) {
+      if (paused.has(job.name)) {
+        logger.debug('Scheduled job paused, skipping', { job: job.name });
+        continue;
+      }
+      await this._execute(job, { trigger, scheduledFor });
+    }
+  }
+
+  /**
+   * Run a job once under its advisory lock and record the run
+   *
+   * Job failures are recorded, not thrown.
+   *
+   * @private
+   * @param {Object} job - Job definition
+   * @param {Object} options
+   * @param {string} options.trigger - TRIGGERS value
+   * @param {Date} [options.scheduledFor] - Cron tick (scheduled runs)
+   * @param {number} [options.triggeredBy] - User (manual runs)
+   * @returns {Promise<Object|null>} Finished run, or null when skipped
+   *   because the job is running or the tick was already claimed
+   * @throws {AppError} 409 if a manual run finds the job running
+   */
+  static async _execute(job, options) {
+    const { trigger, scheduledFor = null, triggeredBy = null } = options;
+    const client = await db.getClient();
+    let locked = false;
+
+    try {
+      const lockResult = await client.query(
+        'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+        [LOCK_PREFIX + job.name],
+      );
+      locked = lockResult.rows[0].locked === true;
+
+      if (!locked) {
+        if (trigger === TRIGGERS.MANUAL) {
+          throw new AppError(
+            `Scheduled job '${job.name}' is already running`,
+            409,
+            'JOB_RUNNING',
+          );
+        }
+        logger.debug('Scheduled job already running, skipping', {
+          job: job.name,
+          trigger,
+        });
+        return null;
+      }
+
+      // Holding the lock, so no live run exists: these were cut short
+      await client.query(
+        `UPDATE scheduled_job_runs
+         SET status = $2, finished_at = NOW(), error = 'Interrupted before finishing'
+         WHERE job_name = $1 AND status = $3`,
+        [job.name, RUN_STATUSES.FAILED, RUN_STATUSES.RUNNING],
+      );
+
+      const claimResult = await client.query(
+        `INSERT INTO scheduled_job_runs
+           (job_name, trigger_type, scheduled_for, triggered_by, status)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [
+          job.name,
+          trigger,
+          scheduledFor ? scheduledFor.toISOString() : null,
+          triggeredBy,
+          RUN_STATUSES.RUNNING,
+        ],
+      );
+      if (claimResult.rows.length === 0) {
+        // Another instance ran this tick already
+        return null;
+      }
+
+      return await this._runJob(client, job, claimResult.rows[0].id, trigger);
+    } finally {
+      if (locked) {
+        await client
+          .query('SELECT pg_advisory_unlock(hashtext($1))', [
+            LOCK_PREFIX + job.name,
+          ])
+          .catch((error) =>
+            logger.warn('Failed to release scheduled job lock', {
+              job: job.name,
+              error: error.message,
+            }),
+          );
+      }
+      client.release();
+    }
+  }
+
+  /**
+   * Call a job's run() and store its outcome on the claimed run row
+   *
+   * @private
+   * @returns {Promise<Object>} Finished scheduled_job_runs row
+   */
+  static async _runJob(client, job, runId, trigger) {
+    const startedAt = Date.now();
+    let status = RUN_STATUSES.SUCCEEDED;
+    let result = null;
+    let errorMessage = null;
+
+    try {
+      result = (await job.run()) ?? null;
+    } catch (error) {
+      status = RUN_STATUSES.FAILED;
+      errorMessage = error.message;
+    }
+
+    const updateResult = await client.query(
+      `UPDATE scheduled_job_runs
+       SET status = $2, finished_at = NOW(), error = $3, result = $4
+       WHERE id = $1
+       RETURNING *`,
+      [runId, status, errorMessage, JSON.stringify(result)],
+    );
+
+    const details = {
+      job: job.name,
+      trigger,
+      runId,
+      durationMs: Date.now() - startedAt,
+    };
+    if (status === RUN_STATUSES.FAILED) {
+      logger.error('Scheduled job failed', { ...details, error: errorMessage });
+    } else {
+      logger.info('Scheduled job finished', { ...details, result });
+    }
+
+    return updateResult.rows[0];
+  }
+}
+
+module.exports = JobSchedulerService;
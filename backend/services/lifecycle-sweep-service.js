@@ -0,0 +1,262 @@
+/**
+ * Lifecycle Sweep Service
+ *
+ * SRP LITERALISM: ONLY moves invoices and contracts to the statuses the
+ * calendar puts them in, and reminds about contracts about to expire
+ *
+ * PHILOSOPHY:
+ * - DATE-DRIVEN: A 'sent' invoice past its due_date becomes 'overdue'; an
+ *   'active' contract past its end_date becomes 'expired'. Nothing else
+ *   set these statuses before.
+ * - SYSTEM ACTOR: Changes go through GenericEntityService.update (status
+ *   transitions, audit) with a system audit context (user_id NULL, user
+ *   agent 'system:lifecycle-sweep'), plus an invoice_overdue /
+ *   contract_expired event
+ * - NOTIFIES: The status changes raise the 'invoice-overdue' and
+ *   'contract-expired' notification rules (config/notification-rules.js);
+ *   the sweep itself reminds managers (and admins) and the customer's
+ *   portal users about contracts expiring in N days
+ *   (LIFECYCLE_SWEEP.CONTRACT_EXPIRY_REMINDER_DAYS)
+ * - IDEMPOTENT: Only rows still in the old status are picked up, and each
+ *   expiry reminder is sent once per user, so a rerun changes nothing new
+ * - ISOLATED: One failing row is logged and counted, the rest carry on
+ * - DAYS: "Past" means before the run's 'YYYY-MM-DD' day (UTC)
+ *
+ * USAGE:
+ *   const summary = await LifecycleSweepService.run();
+ *
+ * run() is the nightly 'lifecycle-sweep' scheduled job
+ * (config/scheduled-jobs.js).
+ */
+
+const db = require('../db/connection');
+const GenericEntityService = require('./generic-entity-service');
+const NotificationService = require('./notification-service');
+const { logEntityEvent } = require('../db/helpers/audit-helper');
+const { AuditActions } = require('./audit-constants');
+const { LIFECYCLE_SWEEP } = require('../config/constants');
+const { buildSystemAuditContext } = require('../utils/request-context');
+const { logger } = require('../config/logger');
+
+/**
+ * Job name for the system audit context and logs
+ */
+const JOB_NAME = 'lifecycle-sweep';
+
+/**
+ * Role whose members (and higher) get the contract expiry reminders
+ */
+const RESPONSIBLE_ROLE = 'manager';
+
+/**
+ * Normalize a Date or ISO string to a 'YYYY-MM-DD' UTC day
+ * @private
+ */
+function toDay(value) {
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+  return value.toISOString().slice(0, 10);
+}
+
+class LifecycleSweepService {
+  /**
+   * Mark 'sent' invoices past their due_date as 'overdue'
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.asOf=new Date()] - Day of the run
+   * @param {Object} [options.auditContext] - Defaults to the system actor
+   * @returns {Promise<Object>} { updated, failed, invoiceIds }
+   */
+  static async markOverdueInvoices(options = {}) {
+    const { asOf = new Date(), auditContext = this.auditContext() } = options;
+
+    const result = await db.query(
+      `SELECT id, to_char(due_date, 'YYYY-MM-DD') AS due_day
+       FROM invoices
+       WHERE status = 'sent'
+         AND is_active = true
+         AND due_date < $1
+       ORDER BY id`,
+      [toDay(asOf)],
+    );
+
+    return this._sweep(result.rows, 'invoice', async (invoice) => {
+      const updated = await GenericEntityService.update(
+        'invoice',
+        invoice.id,
+        { status: 'overdue' },
+        { auditContext },
+      );
+      await logEntityEvent(
+        AuditActions.INVOICE_OVERDUE,
+        'invoice',
+        updated,
+        auditContext,
+        {
+          oldValues: { status: 'sent' },
+          newValues: { status: 'overdue', due_date: invoice.due_day },
+        },
+      );
+    });
+  }
+
+  /**
+   * Mark 'active' contracts past their end_date as 'expired'
+   *
+   * @param {Object} [options] - Same as markOverdueInvoices
+   * @returns {Promise<Object>} { updated, failed, contractIds }
+   */
+  static async expireContracts(options = {}) {
+    const { asOf = new Date(), auditContext = this.auditContext() } = options;
+
+    const result = await db.query(
+      `SELECT id, to_char(end_date, 'YYYY-MM-DD') AS end_day
+       FROM contracts
+       WHERE status = 'active'
+         AND is_active = true
+         AND end_date < $1
+       ORDER BY id`,
+      [toDay(asOf)],
+    );
+
+    return this._sweep(result.rows, 'contract', async (contract) => {
+      const updated = await GenericEntityService.update(
+        'contract',
+        contract.id,
+        { status: 'expired' },
+        { auditContext },
+      );
+      await logEntityEvent(
+        AuditActions.CONTRACT_EXPIRED,
+        'contract',
+        updated,
+        auditContext,
+        {
+          oldValues: { status: 'active' },
+          newValues: { status: 'expired', end_date: contract.end_day },
+        },
+      );
+    });
+  }
+
+  /**
+   * Remind about 'active' contracts ending in exactly one of the reminder
+   * day counts (each reminder reaches a user once)
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.asOf=new Date()] - Day of the run
+   * @param {number[]} [options.reminderDays=LIFECYCLE_SWEEP.CONTRACT_EXPIRY_REMINDER_DAYS]
+   * @returns {Promise<Object>} { contracts, notified }
+   */
+  static async remindExpiringContracts(options = {}) {
+    const {
+      asOf = new Date(),
+      reminderDays = LIFECYCLE_SWEEP.CONTRACT_EXPIRY_REMINDER_DAYS,
+    } = options;
+
+    const result = await db.query(
+      `SELECT id, contract_number, customer_id,
+              to_char(end_date, 'YYYY-MM-DD') AS end_day,
+              end_date - $1::date AS days_left
+       FROM contracts
+       WHERE status = 'active'
+         AND is_active = true
+         AND end_date - $1::date = ANY($2::int[])
+       ORDER BY id`,
+      [toDay(asOf), [...reminderDays]],
+    );
+
+    let notified = 0;
+    for (const contract of result.rows) {
+      const days =
+        contract.days_left === 1 ? '1 day' : `${contract.days_left} days`;
+      const reminder = {
+        type: 'reminder',
+        resourceType: 'contract',
+        resourceId: contract.id,
+        once: true,
+      };
+
+      notified += await NotificationService.notifyRole(RESPONSIBLE_ROLE, {
+        ...reminder,
+        title: `Contract ${contract.contract_number} expires in ${days}`,
+        body: `${contract.contract_number} ends on ${contract.end_day}.`,
+      });
+      notified += await NotificationService.notifyCustomer(
+        contract.customer_id,
+        {
+          ...reminder,
+          title: `Your contract ${contract.contract_number} expires in ${days}`,
+          body: `Your service contract ends on ${contract.end_day}. Contact us to renew.`,
+        },
+      );
+    }
+
+    return { contracts: result.rows.length, notified };
+  }
+
+  /**
+   * Run the whole sweep: overdue invoices, expired contracts, reminders
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.asOf=new Date()] - Day of the run
+   * @returns {Promise<Object>} { asOf, invoices, contracts, reminders }
+   */
+  static async run(options = {}) {
+    const asOf = toDay(options.asOf || new Date());
+    const auditContext = this.auditContext();
+
+    const invoices = await this.markOverdueInvoices({ asOf, auditContext });
+    const contracts = await this.expireContracts({ asOf, auditContext });
+    const reminders = await this.remindExpiringContracts({ asOf });
+
+    return { asOf, invoices, contracts, reminders };
+  }
+
+  /**
+   * Audit context every sweep change is attributed to
+   *
+   * @returns {Object} System audit context
+   */
+  static auditContext() {
+    return buildSystemAuditContext(JOB_NAME);
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Apply one change per row, isolating failures
+   *
+   * @private
+   * @param {Object[]} rows - Rows to change
+   * @param {string} entityName - 'invoice' or 'contract' (summary key)
+   * @param {Function} apply - async (row) => void
+   * @returns {Promise<Object>} { updated, failed, <entity>Ids }
+   */
+  static async _sweep(rows, entityName, apply) {
+    const ids = [];
+    let failed = 0;
+
+    for (const row of rows) {
+      try {
+        await apply(row);
+        ids.push(row.id);
+      } catch (error) {
+        // e.g. paid or terminated since the rows were read
+        failed++;
+        logger.error('Lifecycle sweep change failed', {
+          entity: entityName,
+          id: row.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return { updated: ids.length, failed, [`${entityName}Ids`]: ids };
+  }
+}
+
+module.exports = LifecycleSweepService;
@@ -0,0 +1,102 @@
+/**
+ * Notification Digest Service
+ *
+ * SRP LITERALISM: ONLY sends the daily digest notification
+ *
+ * PHILOSOPHY:
+ * - OPT-IN: Only users with preferences.notification_digest = true get one;
+ *   the outbox sends them no email per notification, only the digest
+ * - ONE ROW PER USER: The unread notifications created since the user's last
+ *   digest (at most one day back on the first run) are counted by type and
+ *   resource_type into a single 'digest' notification
+ * - NOTHING NEW, NOTHING SENT: Users without new unread notifications are
+ *   skipped, so a repeated run does not repeat a digest
+ * - THROUGH NotificationService: The digest is an ordinary notification, so
+ *   it respects notifications_enabled and reaches the email channel
+ *
+ * USAGE:
+ *   await NotificationDigestService.send(); // 'notification-digest' job
+ */
+
+const db = require('../db/connection');
+const NotificationService = require('./notification-service');
+const { NOTIFICATIONS } = require('../config/constants');
+
+class NotificationDigestService {
+  /**
+   * Send every opted-in user their digest
+   *
+   * @returns {Promise<Object>} { users, notifications } - digests created and
+   *   the unread notifications they cover
+   */
+  static async send() {
+    const result = await db.query(
+      `SELECT n.user_id, n.type, n.resource_type, COUNT(*)::int AS count
+       FROM notifications n
+       JOIN users u ON u.id = n.user_id
+       JOIN preferences p ON p.id = u.id
+       WHERE p.notification_digest = true
+         AND n.is_read = false
+         AND n.type <> $1
+         AND n.created_at > COALESCE(
+           (SELECT MAX(d.created_at)
+            FROM notifications d
+            WHERE d.user_id = n.user_id AND d.type = $1),
+           NOW() - INTERVAL '1 day'
+         )
+       GROUP BY n.user_id, n.type, n.resource_type
+       ORDER BY n.user_id, count DESC, n.type, n.resource_type`,
+      [NOTIFICATIONS.DIGEST_TYPE],
+    );
+
+    const groupsByUser = new Map();
+    for (const row of result.rows) {
+      if (!groupsByUser.has(row.user_id)) {
+        groupsByUser.set(row.user_id, []);
+      }
+      groupsByUser.get(row.user_id).push(row);
+    }
+
+    const summary = { users: 0, notifications: 0 };
+    for (const [userId, groups] of groupsByUser) {
+      const total = groups.reduce((sum, group) => sum + group.count, 0);
+      const created = await NotificationService.notifyUser(userId, {
+        title: `Daily digest: ${total} unread notification${total === 1 ? '' : 's'}`,
+        body: this.summarize(groups),
+        type: NOTIFICATIONS.DIGEST_TYPE,
+      });
+      if (created > 0) {
+        summary.users += 1;
+        summary.notifications += total;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Digest body: one line per group, largest first
+   *
+   * @param {Object[]} groups - { type, resource_type, count }, sorted
+   * @returns {string} e.g. "3 assignment (work order)\n1 info"
+   */
+  static summarize(groups) {
+    const listed = groups.slice(0, NOTIFICATIONS.DIGEST_MAX_GROUPS);
+    const lines = listed.map(({ type, resource_type, count }) =>
+      resource_type
+        ? `${count} ${type} (${resource_type.replace(/_/g, ' ')})`
+        : `${count} ${type}`,
+    );
+
+    const rest = groups
+      .slice(NOTIFICATIONS.DIGEST_MAX_GROUPS)
+      .reduce((sum, group) => sum + group.count, 0);
+    if (rest > 0) {
+      lines.push(`${rest} other`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = NotificationDigestService;
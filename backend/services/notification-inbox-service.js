@@ -0,0 +1,94 @@
+/**
+ * Notification Inbox Service
+ *
+ * SRP LITERALISM: ONLY changes notifications users already have, in bulk
+ *
+ * PHILOSOPHY:
+ * - GROUPS: markRead() marks a user's unread notifications read by
+ *   resource_type and/or type in one statement (the notification tray's
+ *   "mark these read"); single rows still go through PATCH on the generic
+ *   notification routes
+ * - OWN ROWS ONLY: Every bulk change is scoped to one user
+ * - RETENTION: cleanupRead() deletes read notifications older than each
+ *   user's preferences.notification_retention_days (the
+ *   'notification-retention' scheduled job). Unread ones are never deleted
+ *
+ * USAGE:
+ *   await NotificationInboxService.markRead(userId, { resourceType: 'work_order' });
+ *   await NotificationInboxService.cleanupRead();
+ */
+
+const db = require('../db/connection');
+const { NOTIFICATIONS } = require('../config/constants');
+const { logger } = require('../config/logger');
+
+class NotificationInboxService {
+  /**
+   * Mark a user's unread notifications read
+   *
+   * @param {number} userId - Owner of the notifications
+   * @param {Object} [group] - Narrow the rows marked (both optional; none
+   *   marks every unread notification)
+   * @param {string} [group.resourceType] - Linked entity key
+   * @param {string} [group.type] - Notification type
+   * @returns {Promise<number>} Notifications marked read
+   */
+  static async markRead(userId, { resourceType, type } = {}) {
+    const params = [userId];
+    const conditions = ['user_id = $1', 'is_read = false'];
+    if (resourceType) {
+      params.push(resourceType);
+      conditions.push(`resource_type = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`type = $${params.length}`);
+    }
+
+    // read_at is set by the trigger_notification_read_at trigger
+    const result = await db.query(
+      `UPDATE notifications
+       SET is_read = true
+       WHERE ${conditions.join(' AND ')}`,
+      params,
+    );
+
+    logger.info('Notifications marked read', {
+      userId,
+      resourceType,
+      type,
+      count: result.rowCount,
+    });
+
+    return result.rowCount;
+  }
+
+  /**
+   * Delete read notifications past their owner's retention period
+   *
+   * @returns {Promise<number>} Notifications deleted
+   */
+  static async cleanupRead() {
+    const result = await db.query(
+      `DELETE FROM notifications n
+       WHERE n.is_read = true
+         AND n.created_at < NOW() - make_interval(days => COALESCE(
+           (SELECT p.notification_retention_days
+            FROM preferences p
+            WHERE p.id = n.user_id),
+           $1::int
+         ))`,
+      [NOTIFICATIONS.DEFAULT_RETENTION_DAYS],
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('Expired read notifications deleted', {
+        count: result.rowCount,
+      });
+    }
+
+    return result.rowCount;
+  }
+}
+
+module.exports = NotificationInboxService;
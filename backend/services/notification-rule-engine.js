@@ -0,0 +1,197 @@
+/**
+ * Notification Rule Engine
+ *
+ * SRP LITERALISM: ONLY turns entity lifecycle events into notifications,
+ * as declared in config/notification-rules.js
+ *
+ * PHILOSOPHY:
+ * - DECLARATIVE: Who hears about what lives in the rules, not in the
+ *   services that change the data
+ * - AFTER THE WRITE: Runs as an EntityEvents subscriber; a failure is
+ *   logged by the bus and never fails the write
+ * - PREFERENCES: Recipients are resolved by NotificationService, which
+ *   skips users with notifications turned off
+ * - NOT THE ACTOR: The user who made the change is never notified about it
+ *
+ * USAGE:
+ *   NotificationRuleEngine.register(); // once, at startup (server.js)
+ */
+
+const EntityEvents = require('./entity-events');
+const GenericEntityService = require('./generic-entity-service');
+const NotificationService = require('./notification-service');
+const NOTIFICATION_RULES = require('../config/notification-rules');
+const { ENTITY_EVENTS } = require('../config/constants');
+const { logger } = require('../config/logger');
+
+/**
+ * EntityEvents subscriber name
+ */
+const SUBSCRIBER = 'notification-rules';
+
+/**
+ * Format a template value: dates as 'YYYY-MM-DD' (local, as pg returns
+ * DATE columns), null/undefined as ''
+ * @private
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value);
+}
+
+class NotificationRuleEngine {
+  /**
+   * Subscribe to events for every entity the rules watch
+   *
+   * @param {Object[]} [rules=NOTIFICATION_RULES]
+   */
+  static register(rules = NOTIFICATION_RULES) {
+    const entities = [...new Set(rules.map((rule) => rule.entity))];
+    EntityEvents.subscribe(SUBSCRIBER, (event) => this.handle(event, rules), {
+      entities,
+    });
+  }
+
+  /**
+   * Stop reacting to events
+   */
+  static unregister() {
+    EntityEvents.unsubscribe(SUBSCRIBER);
+  }
+
+  /**
+   * Notify the recipients of every rule the event matches
+   *
+   * @param {Object} event - EntityEvents event
+   * @param {Object[]} [rules=NOTIFICATION_RULES]
+   * @returns {Promise<number>} Number of notifications created
+   */
+  static async handle(event, rules = NOTIFICATION_RULES) {
+    const candidates = rules.filter(
+      (rule) => rule.entity === event.entity && rule.on.includes(event.action),
+    );
+    if (candidates.length === 0) {
+      return 0;
+    }
+
+    // file_uploaded carries no record; notify about the current row
+    const record =
+      event.record ||
+      (await GenericEntityService.findById(event.entity, event.id));
+    if (!record) {
+      return 0;
+    }
+
+    let notified = 0;
+    for (const rule of candidates) {
+      if (!this._matches(rule, event, record)) {
+        continue;
+      }
+      for (const target of rule.notify) {
+        notified += await this._notify(rule, target, event, record);
+      }
+      logger.debug('Notification rule matched', {
+        rule: rule.name,
+        entity: event.entity,
+        id: event.id,
+      });
+    }
+    return notified;
+  }
+
+  /**
+   * Fill {field} and {file.field} placeholders
+   *
+   * @param {string} template
+   * @param {Object} record - Row the event is about
+   * @param {Object} [file] - Uploaded file (file_uploaded)
+   * @returns {string}
+   */
+  static render(template, record, file) {
+    return template.replace(/\{([\w.]+)\}/g, (_, path) => {
+      const [source, field] = path.startsWith('file.')
+        ? [file || {}, path.slice(5)]
+        : [record, path];
+      return formatValue(source[field]);
+    });
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Whether the record meets the rule's 'when' conditions
+   *
+   * @private
+   * @param {Object} rule
+   * @param {Object} event
+   * @param {Object} record
+   * @returns {boolean}
+   */
+  static _matches(rule, event, record) {
+    const { changed, to } = rule.when || {};
+    if (!changed) {
+      return true;
+    }
+
+    const value = record[changed];
+    if (to !== undefined && ![].concat(to).includes(value)) {
+      return false;
+    }
+    if (event.action === ENTITY_EVENTS.CREATED) {
+      return value !== null && value !== undefined;
+    }
+    // Without the previous row there is no telling what changed
+    return (
+      Boolean(event.previous) &&
+      formatValue(event.previous[changed]) !== formatValue(value)
+    );
+  }
+
+  /**
+   * Send one rule's notification to one recipient
+   *
+   * @private
+   * @param {Object} rule
+   * @param {Object} target - One entry of rule.notify
+   * @param {Object} event
+   * @param {Object} record
+   * @returns {Promise<number>} Number of notifications created
+   */
+  static async _notify(rule, target, event, record) {
+    const title = target.title || rule.title;
+    const body = target.body || rule.body;
+    const notification = {
+      title: this.render(title, record, event.file),
+      body: body ? this.render(body, record, event.file) : null,
+      type: target.type || rule.type || 'info',
+      resourceType: event.entity,
+      resourceId: event.id,
+      exceptUserId: event.actorId,
+    };
+
+    if (target.role) {
+      return NotificationService.notifyRole(target.role, notification);
+    }
+    if (target.technician) {
+      const technicianId = record[target.technician];
+      return technicianId
+        ? NotificationService.notifyTechnician(technicianId, notification)
+        : 0;
+    }
+    const customerId = record[target.customer];
+    return customerId
+      ? NotificationService.notifyCustomer(customerId, notification)
+      : 0;
+  }
+}
+
+module.exports = NotificationRuleEngine;
@@ -0,0 +1,235 @@
+/**
+ * Notification Service
+ *
+ * SRP LITERALISM: ONLY creates in-app notification rows for users
+ *
+ * PHILOSOPHY:
+ * - NON-BLOCKING: A failed notification is logged, never thrown - the
+ *   business write that triggered it has already happened. Background jobs
+ *   pass throwOnError so the queue can retry the attempt; their rows and
+ *   outbox messages are written in one transaction, so a retry never
+ *   notifies anyone twice.
+ * - RESPECTS PREFERENCES: Users with notifications_enabled = false are skipped
+ *   (users without a preferences row get the default, enabled)
+ * - ACTIVE USERS ONLY: Inactive and non-active-status users are skipped
+ * - ONCE: Reminders can ask to skip users already sent the same title for
+ *   the same resource, so repeated runs do not repeat them
+ * - OTHER CHANNELS: Every row created is also handed to the outbox
+ *   (services/outbox-service.js), which emails users who have email on
+ *
+ * Reading, marking read and deleting notifications go through the generic
+ * notification entity routes; this service only writes new rows.
+ *
+ * USAGE:
+ *   await NotificationService.notifyRole('manager', {
+ *     title: 'Reorder needed: FLT-20X25',
+ *     body: 'Air filter is down to 3, below its reorder level of 10.',
+ *     type: 'warning',
+ *     resourceType: 'inventory',
+ *     resourceId: 7,
+ *   });
+ */
+
+const db = require('../db/connection');
+const { withTransaction } = require('../db/helpers/transaction-helper');
+const OutboxService = require('./outbox-service');
+const { logger } = require('../config/logger');
+
+/**
+ * Recipient filters shared by every notify* method (users table alias u)
+ */
+const ELIGIBLE_RECIPIENT = `u.is_active = true
+           AND u.status = 'active'
+           AND COALESCE(p.notifications_enabled, true) = true`;
+
+class NotificationService {
+  /**
+   * Notify every active user at or above a role
+   *
+   * @param {string} minimumRole - Role name; users with this role's priority
+   *   or higher are notified (e.g. 'manager' also reaches admins)
+   * @param {Object} notification
+   * @param {string} notification.title - Short title
+   * @param {string} [notification.body] - Longer text
+   * @param {string} [notification.type='info'] - info, success, warning,
+   *   error, assignment or reminder
+   * @param {string} [notification.resourceType] - Linked entity key
+   * @param {number} [notification.resourceId] - Linked entity ID
+   * @param {boolean} [notification.once=false] - Skip users who already have
+   *   a notification with this title for this resource
+   * @param {number} [notification.exceptUserId] - Skip this user (the one
+   *   who made the change being announced)
+   * @param {Object} [options]
+   * @param {boolean} [options.throwOnError=false] - Rethrow a failure
+   *   instead of returning 0 (background jobs, which retry). The rows and
+   *   their outbox messages then commit together or not at all.
+   * @returns {Promise<number>} Number of notifications created (0 on failure)
+   */
+  static async notifyRole(minimumRole, notification, options = {}) {
+    return this._insert(
+      `JOIN roles r ON r.id = u.role_id
+         LEFT JOIN preferences p ON p.id = u.id
+         WHERE r.priority >= (SELECT priority FROM roles WHERE name = $1)`,
+      minimumRole,
+      notification,
+      { minimumRole },
+      options,
+    );
+  }
+
+  /**
+   * Notify the portal users linked to a customer (users.customer_profile_id)
+   *
+   * @param {number} customerId - Customer ID
+   * @param {Object} notification - Same shape as notifyRole
+   * @param {Object} [options] - Same as notifyRole
+   * @returns {Promise<number>} Number of notifications created (0 on failure)
+   */
+  static async notifyCustomer(customerId, notification, options = {}) {
+    return this._insert(
+      `LEFT JOIN preferences p ON p.id = u.id
+         WHERE u.customer_profile_id = $1`,
+      customerId,
+      notification,
+      { customerId },
+      options,
+    );
+  }
+
+  /**
+   * Notify the user linked to a technician (users.technician_profile_id)
+   *
+   * @param {number} technicianId - Technician ID
+   * @param {Object} notification - Same shape as notifyRole
+   * @param {Object} [options] - Same as notifyRole
+   * @returns {Promise<number>} Number of notifications created (0 on failure)
+   */
+  static async notifyTechnician(technicianId, notification, options = {}) {
+    return this._insert(
+      `LEFT JOIN preferences p ON p.id = u.id
+         WHERE u.technician_profile_id = $1`,
+      technicianId,
+      notification,
+      { technicianId },
+      options,
+    );
+  }
+
+  /**
+   * Notify one user
+   *
+   * @param {number} userId - User ID
+   * @param {Object} notification - Same shape as notifyRole
+   * @param {Object} [options] - Same as notifyRole
+   * @returns {Promise<number>} Number of notifications created (0 on failure)
+   */
+  static async notifyUser(userId, notification, options = {}) {
+    return this._insert(
+      `LEFT JOIN preferences p ON p.id = u.id
+         WHERE u.id = $1`,
+      userId,
+      notification,
+      { userId },
+      options,
+    );
+  }
+
+  /**
+   * Insert one notification per eligible user matched by the recipient SQL
+   *
+   * @private
+   * @param {string} recipients - JOINs and WHERE over users u; $1 is the
+   *   recipient key
+   * @param {*} recipientKey - Value for $1
+   * @param {Object} notification - See notifyRole
+   * @param {Object} logContext - Recipient fields for the log lines
+   * @param {Object} [options] - { throwOnError }
+   * @returns {Promise<number>} Number of notifications created (0 on failure)
+   * @throws {Error} The failure, when options.throwOnError is set
+   */
+  static async _insert(
+    recipients,
+    recipientKey,
+    notification,
+    logContext,
+    options = {},
+  ) {
+    const {
+      title,
+      body = null,
+      type = 'info',
+      resourceType = null,
+      resourceId = null,
+      once = false,
+      exceptUserId = null,
+    } = notification;
+
+    const params = [recipientKey, title, body, type, resourceType, resourceId];
+    let exceptClause = '';
+    if (exceptUserId) {
+      params.push(exceptUserId);
+      exceptClause = `AND u.id <> $${params.length}`;
+    }
+
+    const onceClause = once
+      ? `AND NOT EXISTS (
+             SELECT 1 FROM notifications n
+             WHERE n.user_id = u.id
+               AND n.title = $2
+               AND n.resource_type IS NOT DISTINCT FROM $5
+               AND n.resource_id IS NOT DISTINCT FROM $6::integer
+           )`
+      : '';
+
+    const insert = (client) =>
+      client.query(
+        `INSERT INTO notifications (user_id, title, body, type, resource_type, resource_id)
+         SELECT u.id, $2, $3, $4, $5, $6
+         FROM users u
+         ${recipients}
+           AND ${ELIGIBLE_RECIPIENT}
+           ${onceClause}
+           ${exceptClause}
+         RETURNING id`,
+        params,
+      );
+    const ids = (result) => result.rows.map((row) => row.id);
+
+    try {
+      let result;
+      if (options.throwOnError) {
+        result = await withTransaction(async (client) => {
+          const inserted = await insert(client);
+          await OutboxService.queue(ids(inserted), { client });
+          return inserted;
+        });
+      } else {
+        result = await insert(db);
+        await OutboxService.queue(ids(result));
+      }
+
+      logger.info('Notifications created', {
+        ...logContext,
+        type,
+        resourceType,
+        resourceId,
+        count: result.rowCount,
+      });
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to create notifications', {
+        ...logContext,
+        resourceType,
+        resourceId,
+        error: error.message,
+      });
+      if (options.throwOnError) {
+        throw error;
+      }
+      return 0;
+    }
+  }
+}
+
+module.exports = NotificationService;
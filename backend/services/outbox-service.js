@@ -0,0 +1,409 @@
+/**
+ * Outbox Service
+ *
+ * SRP LITERALISM: ONLY records and delivers notification messages for the
+ * channels besides in-app (config/notification-channels.js)
+ *
+ * PHILOSOPHY:
+ * - OUTBOX: Each message is rendered once into an outbox row together with
+ *   its 'outbox.deliver' background job (same transaction), so a queued
+ *   message is never lost and is delivered as written
+ * - RETRIES: Delivery runs in the background job queue; a failed attempt is
+ *   retried with its backoff, and the row shows attempts and the last error.
+ *   After OUTBOX.MAX_ATTEMPTS, or a permanent rejection, the row is 'failed'
+ * - PREFERENCES: Users who turned a channel off (its preferences column) get
+ *   no messages on it; users without notifications get no rows at all.
+ *   Users on the daily digest get only the digest notification
+ * - NON-BLOCKING: queue() logs failures and never throws - the notification
+ *   it delivers has already been created. Given the transaction that
+ *   creates the notifications, it writes in that one and rethrows instead,
+ *   so the notifications and their messages commit or roll back together
+ * - VISIBLE: Admins list rows by status and retry failed ones
+ *   (/api/admin/system/outbox)
+ *
+ * USAGE:
+ *   await OutboxService.queue([notificationId, ...]); // NotificationService
+ *   await OutboxService.list({ status: 'failed' });
+ *   await OutboxService.retry(outboxId);
+ */
+
+const db = require('../db/connection');
+const JobQueueService = require('./job-queue-service');
+const NOTIFICATION_CHANNELS = require('../config/notification-channels');
+const { OUTBOX, NOTIFICATIONS } = require('../config/constants');
+const AppError = require('../utils/app-error');
+const { logger } = require('../config/logger');
+
+/**
+ * Background job type that delivers one outbox row (config/job-types.js)
+ */
+const DELIVER_JOB = 'outbox.deliver';
+
+/**
+ * Columns returned by list() (bodies left out)
+ */
+const LIST_COLUMNS = `id, channel, notification_id, user_id, recipient, subject,
+       status, attempts, last_error, sent_at, created_at, updated_at`;
+
+class OutboxService {
+  /**
+   * Queue notifications on every enabled channel
+   *
+   * @param {number[]} notificationIds - notifications rows just created
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Transaction client that created the
+   *   notifications; the messages are written in it and a failure is
+   *   rethrown, since the transaction cannot go on after it
+   * @returns {Promise<number>} Messages queued (0 on failure)
+   * @throws {Error} The failure, when options.client is set
+   */
+  static async queue(notificationIds, options = {}) {
+    const { client = null } = options;
+    const channels = Object.entries(NOTIFICATION_CHANNELS).filter(
+      ([, channel]) => channel.isEnabled(),
+    );
+    if (notificationIds.length === 0 || channels.length === 0) {
+      return 0;
+    }
+
+    let queued = 0;
+    for (const [name, channel] of channels) {
+      try {
+        queued += await this._queueChannel(
+          name,
+          channel,
+          notificationIds,
+          client,
+        );
+      } catch (error) {
+        logger.error('Failed to queue notification messages', {
+          channel: name,
+          notificationIds,
+          error: error.message,
+        });
+        if (client) {
+          throw error;
+        }
+      }
+    }
+    return queued;
+  }
+
+  /**
+   * Deliver one outbox row (the 'outbox.deliver' job handler)
+   *
+   * @param {number} outboxId - outbox row ID
+   * @param {Object} job - Background job context (attempt, maxAttempts)
+   * @returns {Promise<Object>} { sent: true } or { skipped: status }
+   * @throws {Error} To retry the attempt
+   * @throws {AppError} 422 DELIVERY_REJECTED when the channel refuses the
+   *   message for good (not retried)
+   */
+  static async deliver(outboxId, job) {
+    const result = await db.query('SELECT * FROM outbox WHERE id = $1', [
+      outboxId,
+    ]);
+    const message = result.rows[0];
+    if (!message) {
+      throw new AppError(
+        `Outbox message ${outboxId} not found`,
+        404,
+        'NOT_FOUND',
+      );
+    }
+    if (message.status !== OUTBOX.STATUSES.PENDING) {
+      return { skipped: message.status };
+    }
+
+    const channel = NOTIFICATION_CHANNELS[message.channel];
+    try {
+      if (!channel || !channel.isEnabled()) {
+        throw new Error(`Channel '${message.channel}' is not configured`);
+      }
+      await channel.send(message);
+    } catch (error) {
+      const permanent = error.permanent === true;
+      const failed = permanent || job.attempt >= job.maxAttempts;
+      await db.query(
+        `UPDATE outbox
+         SET status = $2, attempts = attempts + 1, last_error = $3,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [
+          outboxId,
+          failed ? OUTBOX.STATUSES.FAILED : OUTBOX.STATUSES.PENDING,
+          error.message,
+        ],
+      );
+      if (permanent) {
+        throw new AppError(error.message, 422, 'DELIVERY_REJECTED');
+      }
+      throw error;
+    }
+
+    await db.query(
+      `UPDATE outbox
+       SET status = $2, attempts = attempts + 1, last_error = NULL,
+           sent_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [outboxId, OUTBOX.STATUSES.SENT],
+    );
+    return { sent: true };
+  }
+
+  /**
+   * Outbox rows, newest first, with the number of rows per status
+   *
+   * @param {Object} [filters]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=OUTBOX.LIST_DEFAULT_LIMIT] - Max LIST_MAX_LIMIT
+   * @param {string} [filters.status] - pending, sent or failed
+   * @param {string} [filters.channel] - e.g. 'email'
+   * @returns {Promise<Object>} { data, pagination, counts }
+   * @throws {AppError} 400 for an unknown status
+   */
+  static async list(filters = {}) {
+    const page = Math.max(Number(filters.page) || 1, 1);
+    const limit = Math.min(
+      Math.max(Number(filters.limit) || OUTBOX.LIST_DEFAULT_LIMIT, 1),
+      OUTBOX.LIST_MAX_LIMIT,
+    );
+    const { status = null, channel = null } = filters;
+
+    if (status && !Object.values(OUTBOX.STATUSES).includes(status)) {
+      throw new AppError(
+        `Invalid status '${status}'. Valid: ${Object.values(OUTBOX.STATUSES).join(', ')}`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    const params = [];
+    const conditions = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (channel) {
+      params.push(channel);
+      conditions.push(`channel = $${params.length}`);
+    }
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT ${LIST_COLUMNS}
+         FROM outbox
+         ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit],
+      ),
+      db.query(
+        `SELECT status, COUNT(*)::int AS count
+         FROM outbox
+         ${channel ? 'WHERE channel = $1' : ''}
+         GROUP BY status`,
+        channel ? [channel] : [],
+      ),
+    ]);
+
+    const counts = Object.fromEntries(
+      Object.values(OUTBOX.STATUSES).map((value) => [value, 0]),
+    );
+    for (const row of countResult.rows) {
+      counts[row.status] = row.count;
+    }
+    const total = status
+      ? counts[status]
+      : Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+      counts,
+    };
+  }
+
+  /**
+   * Send a failed message again (a new set of attempts)
+   *
+   * @param {number} outboxId - outbox row ID
+   * @param {number} [userId] - Admin retrying it (job submitter)
+   * @returns {Promise<Object>} The outbox row, pending again
+   * @throws {AppError} 404 if missing, 409 OUTBOX_NOT_FAILED unless failed
+   */
+  static async retry(outboxId, userId = null) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'SELECT status FROM outbox WHERE id = $1 FOR UPDATE',
+        [outboxId],
+      );
+      if (result.rows.length === 0) {
+        throw new AppError('Outbox message not found', 404, 'NOT_FOUND');
+      }
+      if (result.rows[0].status !== OUTBOX.STATUSES.FAILED) {
+        throw new AppError(
+          `Only failed messages can be retried (this one is ${result.rows[0].status})`,
+          409,
+          'OUTBOX_NOT_FAILED',
+        );
+      }
+
+      const updated = await client.query(
+        `UPDATE outbox
+         SET status = $2, attempts = 0, updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${LIST_COLUMNS}`,
+        [outboxId, OUTBOX.STATUSES.PENDING],
+      );
+      await JobQueueService.enqueue(
+        DELIVER_JOB,
+        { outboxId },
+        { client, submittedBy: userId },
+      );
+      await client.query('COMMIT');
+
+      logger.info('Outbox message requeued', { outboxId, userId });
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete sent messages older than the retention period
+   *
+   * @param {number} [days=OUTBOX.RETENTION_DAYS]
+   * @returns {Promise<number>} Rows deleted
+   */
+  static async cleanupSent(days = OUTBOX.RETENTION_DAYS) {
+    const result = await db.query(
+      `DELETE FROM outbox
+       WHERE status = $1
+         AND sent_at < NOW() - $2::int * INTERVAL '1 day'`,
+      [OUTBOX.STATUSES.SENT, days],
+    );
+    return result.rowCount;
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Render and queue one channel's messages for the notifications' users
+   * who have the channel on
+   *
+   * @private
+   * @param {string} name - Channel key
+   * @param {Object} channel - config/notification-channels.js entry
+   * @param {number[]} notificationIds
+   * @param {Object|null} callerClient - Caller's transaction client, or
+   *   null to write the messages in a transaction of their own
+   * @returns {Promise<number>} Messages queued
+   */
+  static async _queueChannel(name, channel, notificationIds, callerClient) {
+    const result = await (callerClient || db).query(
+      `SELECT n.id, n.user_id, n.title, n.body, n.type,
+              n.resource_type, n.resource_id,
+              u.first_name, u.last_name, u.email
+       FROM notifications n
+       JOIN users u ON u.id = n.user_id
+       LEFT JOIN preferences p ON p.id = u.id
+       WHERE n.id = ANY($1::int[])
+         AND COALESCE(p.${channel.preferenceField}, true) = true
+         AND (COALESCE(p.notification_digest, false) = false OR n.type = $2)`,
+      [notificationIds, NOTIFICATIONS.DIGEST_TYPE],
+    );
+
+    const messages = [];
+    for (const row of result.rows) {
+      const { first_name, last_name, email, ...notification } = row;
+      const user = { id: row.user_id, first_name, last_name, email };
+      const recipient = channel.address(user);
+      if (recipient) {
+        messages.push({
+          notification,
+          recipient,
+          ...channel.render(notification, user),
+        });
+      }
+    }
+    if (messages.length === 0) {
+      return 0;
+    }
+
+    if (callerClient) {
+      await this._insertMessages(callerClient, name, messages);
+    } else {
+      const client = await db.getClient();
+      try {
+        await client.query('BEGIN');
+        await this._insertMessages(client, name, messages);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    logger.info('Notification messages queued', {
+      channel: name,
+      count: messages.length,
+    });
+    return messages.length;
+  }
+
+  /**
+   * Write each message's outbox row and its delivery job
+   *
+   * @private
+   * @param {Object} client - Transaction client
+   * @param {string} name - Channel key
+   * @param {Object[]} messages - Rendered messages from _queueChannel
+   * @returns {Promise<void>}
+   */
+  static async _insertMessages(client, name, messages) {
+    for (const message of messages) {
+      const inserted = await client.query(
+        `INSERT INTO outbox
+           (channel, notification_id, user_id, recipient, subject,
+            body_text, body_html)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [
+          name,
+          message.notification.id,
+          message.notification.user_id,
+          message.recipient,
+          message.subject,
+          message.text,
+          message.html || null,
+        ],
+      );
+      await JobQueueService.enqueue(
+        DELIVER_JOB,
+        { outboxId: inserted.rows[0].id },
+        { client },
+      );
+    }
+  }
+}
+
+module.exports = OutboxService;
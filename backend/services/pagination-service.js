@@ -11,8 +11,21 @@
  *
  * Note: Does NOT use toSafeInteger because pagination should gracefully
  * cap values (user-friendly) rather than throw errors (strict validation)
+ *
+ * Two modes:
+ * - OFFSET: ?page=&limit= (validateParams, generateMetadata)
+ * - CURSOR (keyset): ?cursor=&limit= continues after (or before) the row a
+ *   cursor points at, ordered by the active sort plus an id tiebreaker, so
+ *   rows inserted or deleted meanwhile are never skipped or repeated. An
+ *   empty cursor starts at the first page. Cursors are opaque base64url
+ *   JSON; a malformed one is the only error this service throws.
+ *
+ * Either mode takes a count mode (COUNT_MODES): an exact COUNT(*), a
+ * planner estimate, or none at all (db/helpers/count-helper.js).
  */
 
+const AppError = require('../utils/app-error');
+
 /**
  * Safely parse and clamp an integer value
  * SRP: ONLY for pagination - gracefully caps instead of throwing
@@ -41,6 +54,23 @@ const DEFAULTS = {
   MAX_LIMIT: 200,
 };
 
+/**
+ * Total count modes: exact COUNT(*), planner estimate, or no count
+ */
+const COUNT_MODES = Object.freeze(['exact', 'estimated', 'none']);
+
+/**
+ * Cursor directions: the page after or before the cursor row
+ */
+const CURSOR_DIRECTIONS = Object.freeze(['next', 'prev']);
+
+/**
+ * Column alias list queries select the sort value into (as text) in cursor
+ * mode. Text keeps full precision: JSON would round timestamps to
+ * milliseconds and the keyset comparison would repeat the cursor row.
+ */
+const CURSOR_VALUE_COLUMN = 'cursor_sort_value';
+
 /**
  * Validate and normalize pagination parameters
  *
@@ -115,6 +145,211 @@ function buildLimitClause(limit, offset) {
   return `LIMIT ${limit} OFFSET ${offset}`;
 }
 
+/**
+ * Generate pagination metadata without an exact total
+ *
+ * SRP: ONLY generates metadata object - hasNext comes from fetching one row
+ * past the page (hasMore), not from the total
+ *
+ * @param {number} page - Current page number
+ * @param {number} limit - Items per page
+ * @param {Object} options
+ * @param {boolean} options.hasMore - Whether a row exists past this page
+ * @param {number|null} [options.total=null] - Estimated total, or null
+ * @returns {Object} { page, limit, total, totalEstimated, totalPages, hasNext, hasPrev }
+ */
+function generateEstimatedMetadata(page, limit, { hasMore, total = null }) {
+  const estimated = total === null ? null : Math.max(0, total);
+
+  return {
+    page,
+    limit,
+    total: estimated,
+    totalEstimated: estimated !== null,
+    totalPages:
+      estimated === null ? null : Math.max(1, Math.ceil(estimated / limit)),
+    hasNext: hasMore,
+    hasPrev: page > 1,
+  };
+}
+
+/**
+ * Encode a cursor pointing at a row
+ *
+ * @param {Object} row - Row with id and CURSOR_VALUE_COLUMN
+ * @param {Object} sort - { field, order } the page is sorted by
+ * @param {string} direction - 'next' (rows after) or 'prev' (rows before)
+ * @returns {string} Opaque base64url cursor
+ */
+function encodeCursor(row, sort, direction) {
+  const payload = {
+    f: sort.field,
+    o: sort.order,
+    v: row[CURSOR_VALUE_COLUMN] ?? null,
+    id: row.id,
+    d: direction,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor()
+ *
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {Object} { field, order, value, id, direction }
+ * @throws {AppError} 400 if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch {
+    payload = null;
+  }
+
+  const valid =
+    payload !== null &&
+    typeof payload === 'object' &&
+    typeof payload.f === 'string' &&
+    ['ASC', 'DESC'].includes(payload.o) &&
+    (payload.v === null || typeof payload.v === 'string') &&
+    Number.isInteger(payload.id) &&
+    CURSOR_DIRECTIONS.includes(payload.d);
+
+  if (!valid) {
+    throw new AppError('Invalid pagination cursor', 400, 'BAD_REQUEST');
+  }
+
+  return {
+    field: payload.f,
+    order: payload.o,
+    value: payload.v,
+    id: payload.id,
+    direction: payload.d,
+  };
+}
+
+/**
+ * Build the WHERE condition for the rows past a cursor
+ *
+ * SRP: ONLY builds SQL string - does NOT execute query
+ *
+ * Rows are ordered by (column, idColumn) with NULLs last, so a row is past
+ * the cursor if its sort value is further along, or equal with a further id.
+ *
+ * @param {Object} cursor - Decoded cursor (decodeCursor)
+ * @param {Object} columns
+ * @param {string} columns.column - Sort column (with table prefix if needed)
+ * @param {string} columns.idColumn - Tiebreaker id column
+ * @param {number} [paramOffset=0] - Number of params already in the query
+ * @returns {Object} { clause, params }
+ */
+function buildKeysetClause(cursor, { column, idColumn }, paramOffset = 0) {
+  const forward = cursor.direction === 'next';
+  const op = forward === (cursor.order === 'ASC') ? '>' : '<';
+  const first = `$${paramOffset + 1}`;
+
+  if (column === idColumn) {
+    return { clause: `${idColumn} ${op} ${first}`, params: [cursor.id] };
+  }
+
+  // NULL sort values come last: only NULLs follow a NULL row
+  if (cursor.value === null) {
+    const clause = forward
+      ? `(${column} IS NULL AND ${idColumn} ${op} ${first})`
+      : `(${column} IS NOT NULL OR ${idColumn} ${op} ${first})`;
+    return { clause, params: [cursor.id] };
+  }
+
+  const second = `$${paramOffset + 2}`;
+  const nulls = forward ? ` OR ${column} IS NULL` : '';
+  return {
+    clause:
+      `(${column} ${op} ${first} OR ` +
+      `(${column} = ${first} AND ${idColumn} ${op} ${second})${nulls})`,
+    params: [cursor.value, cursor.id],
+  };
+}
+
+/**
+ * Build the ORDER BY for a cursor page
+ *
+ * SRP: ONLY builds SQL string - does NOT execute query
+ *
+ * 'prev' pages are read in reverse (nearest the cursor first) and put back
+ * in order by sliceCursorPage().
+ *
+ * @param {Object} sort - { field, order }
+ * @param {Object} columns - { column, idColumn } as for buildKeysetClause
+ * @param {string} [direction='next'] - 'next' or 'prev'
+ * @returns {string} ORDER BY clause (without ORDER BY)
+ */
+function buildKeysetOrder(sort, { column, idColumn }, direction = 'next') {
+  let order = sort.order;
+  let nulls = 'NULLS LAST';
+  if (direction === 'prev') {
+    order = order === 'ASC' ? 'DESC' : 'ASC';
+    nulls = 'NULLS FIRST';
+  }
+
+  if (column === idColumn) {
+    return `${idColumn} ${order}`;
+  }
+  return `${column} ${order} ${nulls}, ${idColumn} ${order}`;
+}
+
+/**
+ * Cut a cursor page from rows fetched with LIMIT limit + 1
+ *
+ * @param {Object[]} rows - Rows in query order
+ * @param {number} limit - Page size
+ * @param {string} [direction='next'] - 'next' or 'prev'
+ * @returns {Object} { rows: page rows in sort order, hasMore }
+ */
+function sliceCursorPage(rows, limit, direction = 'next') {
+  const page = rows.slice(0, limit);
+  return {
+    rows: direction === 'prev' ? page.reverse() : page,
+    hasMore: rows.length > limit,
+  };
+}
+
+/**
+ * Generate pagination metadata for a cursor page
+ *
+ * SRP: ONLY generates metadata object - does NOT query
+ *
+ * @param {Object[]} rows - Page rows in sort order (sliceCursorPage)
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {Object} options.sort - { field, order } of the page
+ * @param {Object|null} options.cursor - Decoded request cursor, null for the first page
+ * @param {boolean} options.hasMore - Whether rows exist past the page (sliceCursorPage)
+ * @param {number|null} [options.total=null] - Total count, if counted
+ * @param {boolean} [options.totalEstimated=false] - Whether total is an estimate
+ * @returns {Object} { limit, total, totalEstimated, hasNext, hasPrev, nextCursor, prevCursor }
+ */
+function generateCursorMetadata(
+  rows,
+  { limit, sort, cursor, hasMore, total = null, totalEstimated = false },
+) {
+  const forward = !cursor || cursor.direction === 'next';
+  const hasNext = forward ? hasMore : true;
+  const hasPrev = forward ? Boolean(cursor) : hasMore;
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  return {
+    limit,
+    total,
+    totalEstimated,
+    hasNext,
+    hasPrev,
+    nextCursor: hasNext && last ? encodeCursor(last, sort, 'next') : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, sort, 'prev') : null,
+  };
+}
+
 /**
  * Complete pagination workflow
  * Convenience method that combines validate + metadata generation
@@ -132,8 +367,18 @@ function paginate(options, total) {
 
 module.exports = {
   DEFAULTS,
+  COUNT_MODES,
+  CURSOR_DIRECTIONS,
+  CURSOR_VALUE_COLUMN,
   validateParams,
   generateMetadata,
+  generateEstimatedMetadata,
   buildLimitClause,
   paginate,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetClause,
+  buildKeysetOrder,
+  sliceCursorPage,
+  generateCursorMetadata,
 };
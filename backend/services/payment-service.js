@@ -0,0 +1,380 @@
+/**
+ * Payment Service
+ *
+ * SRP LITERALISM: ONLY writes the payments ledger and keeps each invoice's
+ * amount_paid and paid status in step with it
+ *
+ * PHILOSOPHY:
+ * - APPEND-ONLY: Money received is a 'payment' row, money returned a
+ *   'refund', a payment that did not clear (bounced check, chargeback) a
+ *   'reversal' pointing at it. Rows are never updated or deleted.
+ * - BALANCE: invoices.amount_paid moves by each entry's net effect and
+ *   invoices.balance (total - amount_paid) follows in the database
+ * - STATUS FOLLOWS MONEY: A sent or overdue invoice whose balance reaches
+ *   zero becomes paid (paid_at = when the settling payment was received).
+ *   A refund or reversal that leaves a paid invoice owing puts it back to
+ *   sent and clears paid_at.
+ * - NO OVERPAYMENT: A payment larger than the balance is refused, as is a
+ *   refund or reversal larger than what has been paid
+ * - ONE TRANSACTION: The invoice row is locked (FOR UPDATE) while the entry
+ *   is checked and written, so concurrent payments cannot overshoot
+ * - CENTS: Money is compared and summed in whole cents
+ * - EVENTS: The new entry (created) and the invoice (updated) are published
+ *   as entity events once the transaction commits
+ *
+ * USAGE:
+ *   const { payment, invoice } = await PaymentService.recordPayment(70,
+ *     { amount: 250, method: 'check', reference: '1042' },
+ *     { auditContext },
+ *   );
+ *   await PaymentService.reverse(70, payment.id,
+ *     { notes: 'Check returned NSF' }, { auditContext },
+ *   );
+ */
+
+const { withTransaction } = require('../db/helpers/transaction-helper');
+const { logEntityEvent } = require('../db/helpers/audit-helper');
+const { PAYMENT_ENTRY_TYPES, ENTITY_EVENTS } = require('../config/constants');
+const { AuditActions } = require('./audit-constants');
+const EntityEvents = require('./entity-events');
+const AppError = require('../utils/app-error');
+
+/**
+ * Invoice statuses that can take a payment (a draft can take a deposit)
+ */
+const PAYABLE_STATUSES = ['draft', 'sent', 'overdue'];
+
+/**
+ * Invoice statuses that become paid when the balance reaches zero
+ */
+const SETTLING_STATUSES = ['sent', 'overdue'];
+
+const PAID_STATUS = 'paid';
+
+/**
+ * Status a paid invoice returns to when it owes money again
+ */
+const REOPENED_STATUS = 'sent';
+
+/**
+ * Dollars to whole cents, and back
+ * @private
+ */
+const toCents = (value) => Math.round(Number(value) * 100);
+const fromCents = (cents) => cents / 100;
+
+class PaymentService {
+  /**
+   * Record money received on an invoice
+   *
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} payment
+   * @param {number} payment.amount - Amount received (> 0, at most the balance)
+   * @param {string} payment.method - cash | check | card | bank_transfer | other
+   * @param {string} [payment.reference] - Check number, card receipt, transfer ID
+   * @param {Date|string} [payment.received_at] - Defaults to now
+   * @param {string} [payment.notes] - Internal notes
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<{payment: Object, invoice: Object}>} The ledger row and
+   *   the invoice after it
+   * @throws {AppError} 404 if the invoice is not found
+   * @throws {AppError} 409 INVOICE_NOT_PAYABLE if the invoice is paid,
+   *   cancelled or void
+   * @throws {AppError} 409 OVERPAYMENT if the amount is more than the balance
+   */
+  static async recordPayment(invoiceId, payment, options = {}) {
+    return this._record(
+      AuditActions.PAYMENT_RECEIVED,
+      invoiceId,
+      options,
+      async (client, invoice) => {
+        if (!PAYABLE_STATUSES.includes(invoice.status)) {
+          throw new AppError(
+            `Cannot take a payment on ${invoice.invoice_number} while it is '${invoice.status}'`,
+            409,
+            'INVOICE_NOT_PAYABLE',
+            { status: invoice.status, allowed: PAYABLE_STATUSES },
+          );
+        }
+
+        const balance = toCents(invoice.total) - toCents(invoice.amount_paid);
+        if (toCents(payment.amount) > balance) {
+          throw new AppError(
+            `Payment of ${payment.amount} is more than the ${fromCents(balance)} owed on ${invoice.invoice_number}`,
+            409,
+            'OVERPAYMENT',
+            { balance: fromCents(balance) },
+          );
+        }
+
+        return { ...payment, entry_type: PAYMENT_ENTRY_TYPES.PAYMENT };
+      },
+    );
+  }
+
+  /**
+   * Record money returned to the customer
+   *
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} refund - Same fields as recordPayment; amount is at
+   *   most what has been paid
+   * @param {Object} [options] - Same as recordPayment
+   * @returns {Promise<{payment: Object, invoice: Object}>}
+   * @throws {AppError} 404 if the invoice is not found
+   * @throws {AppError} 409 EXCEEDS_AMOUNT_PAID if more than has been paid
+   */
+  static async refund(invoiceId, refund, options = {}) {
+    return this._record(
+      AuditActions.PAYMENT_REFUNDED,
+      invoiceId,
+      options,
+      async (client, invoice) => {
+        this._assertWithinPaid(invoice, refund.amount);
+        return { ...refund, entry_type: PAYMENT_ENTRY_TYPES.REFUND };
+      },
+    );
+  }
+
+  /**
+   * Cancel one payment that did not clear (bounced check, chargeback)
+   *
+   * The reversal repeats the payment's amount, method and reference.
+   *
+   * @param {number} invoiceId - Invoice ID
+   * @param {number} paymentId - The 'payment' entry to reverse
+   * @param {Object} [reversal]
+   * @param {Date|string} [reversal.received_at] - When it bounced (defaults to now)
+   * @param {string} [reversal.notes] - Why it is reversed
+   * @param {Object} [options] - Same as recordPayment
+   * @returns {Promise<{payment: Object, invoice: Object}>} The reversal row
+   *   and the invoice after it
+   * @throws {AppError} 400 if the entry is a refund or reversal
+   * @throws {AppError} 404 if the invoice or payment (on it) is not found
+   * @throws {AppError} 409 ALREADY_REVERSED if the payment is already reversed
+   * @throws {AppError} 409 EXCEEDS_AMOUNT_PAID if refunds already cover it
+   */
+  static async reverse(invoiceId, paymentId, reversal = {}, options = {}) {
+    return this._record(
+      AuditActions.PAYMENT_REVERSED,
+      invoiceId,
+      options,
+      async (client, invoice) => {
+        const result = await client.query(
+          `SELECT p.*, r.id AS reversal_id
+           FROM payments p
+           LEFT JOIN payments r ON r.reverses_payment_id = p.id
+           WHERE p.id = $1 AND p.invoice_id = $2`,
+          [paymentId, invoice.id],
+        );
+        const original = result.rows[0];
+
+        if (!original) {
+          throw new AppError(
+            'Payment not found on this invoice',
+            404,
+            'NOT_FOUND',
+          );
+        }
+        if (original.entry_type !== PAYMENT_ENTRY_TYPES.PAYMENT) {
+          throw new AppError(
+            `Only payments can be reversed, not a ${original.entry_type}`,
+            400,
+            'BAD_REQUEST',
+          );
+        }
+        if (original.reversal_id) {
+          throw new AppError(
+            `Payment ${original.id} is already reversed`,
+            409,
+            'ALREADY_REVERSED',
+            { reversal_id: original.reversal_id },
+          );
+        }
+        this._assertWithinPaid(invoice, original.amount);
+
+        return {
+          entry_type: PAYMENT_ENTRY_TYPES.REVERSAL,
+          amount: original.amount,
+          method: original.method,
+          reference: original.reference,
+          received_at: reversal.received_at,
+          notes: reversal.notes,
+          reverses_payment_id: original.id,
+        };
+      },
+    );
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Refuse to return more than has been paid
+   *
+   * @private
+   * @throws {AppError} 409 EXCEEDS_AMOUNT_PAID
+   */
+  static _assertWithinPaid(invoice, amount) {
+    if (toCents(amount) > toCents(invoice.amount_paid)) {
+      throw new AppError(
+        `Cannot return ${Number(amount)}: only ${Number(invoice.amount_paid)} has been paid on ${invoice.invoice_number}`,
+        409,
+        'EXCEEDS_AMOUNT_PAID',
+        { amount_paid: Number(invoice.amount_paid) },
+      );
+    }
+  }
+
+  /**
+   * Status and paid_at for an invoice after its amount_paid changes
+   *
+   * @private
+   * @param {Object} invoice - Locked invoice row (before)
+   * @param {number} amountPaidCents - amount_paid after the entry
+   * @param {Date} receivedAt - When the entry's money moved
+   * @returns {{status: string, paid_at: (Date|null)}}
+   */
+  static _settle(invoice, amountPaidCents, receivedAt) {
+    const owing = toCents(invoice.total) - amountPaidCents > 0;
+
+    if (!owing && SETTLING_STATUSES.includes(invoice.status)) {
+      return { status: PAID_STATUS, paid_at: receivedAt };
+    }
+    if (owing && invoice.status === PAID_STATUS) {
+      return { status: REOPENED_STATUS, paid_at: null };
+    }
+    return { status: invoice.status, paid_at: invoice.paid_at };
+  }
+
+  /**
+   * Lock the invoice, build and write one ledger entry, move amount_paid
+   * and status, then audit once it has committed
+   *
+   * @private
+   * @param {string} action - AuditActions value for the entry
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} options - { auditContext }
+   * @param {Function} build - async (client, invoice) => entry fields;
+   *   throws to refuse the entry
+   * @returns {Promise<{payment: Object, invoice: Object}>}
+   */
+  static async _record(action, invoiceId, options, build) {
+    const { auditContext } = options;
+
+    const { before, payment, invoice } = await withTransaction(
+      async (client) => {
+        const locked = await client.query(
+          'SELECT * FROM invoices WHERE id = $1 FOR UPDATE',
+          [invoiceId],
+        );
+        const current = locked.rows[0];
+
+        if (!current) {
+          throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+        }
+
+        const entry = await build(client, current);
+        const inserted = await client.query(
+          `INSERT INTO payments
+             (invoice_id, entry_type, amount, method, reference, received_at,
+              notes, reverses_payment_id, created_by)
+           VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP), $7, $8, $9)
+           RETURNING *`,
+          [
+            current.id,
+            entry.entry_type,
+            entry.amount,
+            entry.method,
+            entry.reference || null,
+            entry.received_at || null,
+            entry.notes || null,
+            entry.reverses_payment_id || null,
+            auditContext?.userId || null,
+          ],
+        );
+        const row = inserted.rows[0];
+
+        const delta =
+          entry.entry_type === PAYMENT_ENTRY_TYPES.PAYMENT
+            ? toCents(row.amount)
+            : -toCents(row.amount);
+        const amountPaidCents = toCents(current.amount_paid) + delta;
+        const settled = this._settle(current, amountPaidCents, row.received_at);
+
+        const updated = await client.query(
+          `UPDATE invoices
+           SET amount_paid = $2, status = $3, paid_at = $4
+           WHERE id = $1
+           RETURNING *`,
+          [
+            current.id,
+            fromCents(amountPaidCents),
+            settled.status,
+            settled.paid_at,
+          ],
+        );
+
+        return { before: current, payment: row, invoice: updated.rows[0] };
+      },
+    );
+
+    if (auditContext) {
+      const standing = ({ amount_paid, balance, status }) => ({
+        amount_paid,
+        balance,
+        status,
+      });
+
+      await logEntityEvent(action, 'payment', payment, auditContext, {
+        oldValues: standing(before),
+        newValues: {
+          ...standing(invoice),
+          invoice_id: payment.invoice_id,
+          entry_type: payment.entry_type,
+          amount: payment.amount,
+          method: payment.method,
+          reference: payment.reference,
+          reverses_payment_id: payment.reverses_payment_id,
+        },
+      });
+
+      if (invoice.status !== before.status) {
+        await logEntityEvent(
+          invoice.status === PAID_STATUS
+            ? AuditActions.INVOICE_PAID
+            : AuditActions.INVOICE_UPDATE,
+          'invoice',
+          invoice,
+          auditContext,
+          {
+            oldValues: { status: before.status, paid_at: before.paid_at },
+            newValues: {
+              status: invoice.status,
+              paid_at: invoice.paid_at,
+              payment_id: payment.id,
+            },
+          },
+        );
+      }
+    }
+
+    await EntityEvents.publishAll(
+      [
+        { entity: 'payment', action: ENTITY_EVENTS.CREATED, record: payment },
+        {
+          entity: 'invoice',
+          action: ENTITY_EVENTS.UPDATED,
+          record: invoice,
+          previous: before,
+        },
+      ],
+      auditContext?.userId ?? null,
+    );
+
+    return { payment, invoice };
+  }
+}
+
+module.exports = PaymentService;
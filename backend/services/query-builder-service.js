@@ -11,24 +11,130 @@
  * - JOIN-AWARE: All clauses support table prefixes for unambiguous column references
  *
  * USAGE:
- *   const search = QueryBuilderService.buildSearchClause(term, metadata.searchableFields, 'users');
+ *   const search = QueryBuilderService.buildSearchClause(term, metadata.searchableFields, 'users', metadata.searchWeights);
  *   const filters = QueryBuilderService.buildFilterClause(params, metadata.filterableFields, 0, 'users');
  *   const sort = QueryBuilderService.buildSortClause(sortBy, order, metadata.sortableFields, metadata.defaultSort, 'users');
  *   const where = QueryBuilderService.combineWhereClauses([search.clause, filters.clause]);
  */
 
+const AppError = require('../utils/app-error');
+const { FILTERS, SEARCH } = require('../config/constants');
+const {
+  RELATIVE_DATE_EXAMPLES,
+  resolveRelativeDate,
+} = require('../utils/relative-dates');
+
+// Metadata field types, grouped by the operators that make sense for them
+const NUMERIC_TYPES = [
+  'integer',
+  'number',
+  'decimal',
+  'currency',
+  'foreignKey',
+];
+const TEMPORAL_TYPES = ['date', 'timestamp'];
+const TEXT_TYPES = ['string', 'text', 'email', 'phone', 'url'];
+const SCALAR_TYPES = [
+  ...NUMERIC_TYPES,
+  ...TEMPORAL_TYPES,
+  ...TEXT_TYPES,
+  'boolean',
+  'enum',
+  'uuid',
+];
+const ORDERED_TYPES = [...NUMERIC_TYPES, ...TEMPORAL_TYPES, ...TEXT_TYPES];
+
+// Filter operator -> field types it applies to (null = any type).
+// Fields of a type missing from metadata accept every operator.
+const FILTER_OPERATORS = Object.freeze({
+  eq: SCALAR_TYPES,
+  not: SCALAR_TYPES,
+  gt: ORDERED_TYPES,
+  gte: ORDERED_TYPES,
+  lt: ORDERED_TYPES,
+  lte: ORDERED_TYPES,
+  between: ORDERED_TYPES,
+  in: SCALAR_TYPES,
+  nin: SCALAR_TYPES,
+  isnull: null,
+  notnull: null,
+  contains: TEXT_TYPES,
+  icontains: TEXT_TYPES,
+  startswith: TEXT_TYPES,
+});
+
+// Single-value comparisons -> SQL
+const COMPARISONS = Object.freeze({
+  eq: '=',
+  not: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+});
+
+// Operators that take a list (array or comma-separated string)
+const LIST_OPERATORS = ['in', 'nin', 'between'];
+
+// Boolean operator values (isnull/notnull); '' is a bare ?field[isnull]
+const FLAG_VALUES = Object.freeze({
+  true: true,
+  '': true,
+  false: false,
+});
+
+/**
+ * Plain object check (filter groups and operator objects, not arrays)
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * List operator value as an array ('1,2,3' -> ['1', '2', '3'])
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value)
+    .split(',')
+    .map((v) => v.trim());
+}
+
+/**
+ * Escape LIKE wildcards so contains/startswith match literally
+ */
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
 class QueryBuilderService {
   // ==========================================================================
-  // SEARCH (Text Search with ILIKE)
+  // SEARCH (Full-Text with ts_rank, ILIKE fallback)
   // ==========================================================================
 
   /**
-   * Build case-insensitive search clause across multiple fields
+   * Build search clause across multiple fields
+   *
+   * Entities with searchWeights (metadata) match the term against their
+   * generated, GIN-indexed tsvector column (SEARCH.VECTOR_COLUMN) with
+   * websearch_to_tsquery, so words are stemmed and the term can use web
+   * search syntax ("water heater" -gas or leak). The result then carries
+   * SQL for ranking (ts_rank) and highlighted snippets (ts_headline).
+   *
+   * Everything else is a case-insensitive ILIKE '%term%' across the fields:
+   * entities without searchWeights, terms under SEARCH.MIN_FULL_TEXT_LENGTH
+   * and single tokens with digits or punctuation, which are identifier
+   * lookups (WO-2026-, jane@example.com) that stemming would not match.
    *
    * @param {string} searchTerm - User's search input
    * @param {string[]} searchableFields - Fields to search (from metadata)
    * @param {string} [tablePrefix] - Table name prefix for JOIN queries (optional)
-   * @returns {Object} { clause: string, params: array, paramOffset: number }
+   * @param {Object} [searchWeights] - Field -> tsvector weight 'A'-'D' (metadata.searchWeights)
+   * @returns {Object} { clause: string, params: array, paramOffset: number },
+   *   plus for full-text search { fullText: true, rank: string, highlights: string }
+   *   (select expressions: relevance, and a JSON object of field -> snippet)
    *
    * @example
    *   buildSearchClause('john', ['first_name', 'last_name', 'email'], 'users')
@@ -37,11 +143,23 @@ class QueryBuilderService {
    *   //   params: ['%john%', '%john%', '%john%'],
    *   //   paramOffset: 3
    *   // }
+   *
+   * @example
+   *   buildSearchClause('leaking heater', ['name', 'summary'], 'work_orders', { name: 'A', summary: 'B' })
+   *   // Returns: {
+   *   //   clause: "work_orders.search_vector @@ websearch_to_tsquery('english', $1)",
+   *   //   params: ['leaking heater'],
+   *   //   paramOffset: 1,
+   *   //   fullText: true,
+   *   //   rank: "ts_rank(work_orders.search_vector, websearch_to_tsquery('english', $1))",
+   *   //   highlights: "json_build_object('name', ts_headline(...), 'summary', ts_headline(...))"
+   *   // }
    */
   static buildSearchClause(
     searchTerm,
     searchableFields = [],
     tablePrefix = null,
+    searchWeights = null,
   ) {
     // No search term or no searchable fields = no search clause
     if (!searchTerm || searchableFields.length === 0) {
@@ -54,8 +172,35 @@ class QueryBuilderService {
       return { clause: null, params: [], paramOffset: 0 };
     }
 
-    // Build ILIKE clause for each field (with optional table prefix)
     const prefix = tablePrefix ? `${tablePrefix}.` : '';
+
+    if (
+      searchWeights &&
+      Object.keys(searchWeights).length > 0 &&
+      !this.isIdentifierSearch(sanitized)
+    ) {
+      const vector = `${prefix}${SEARCH.VECTOR_COLUMN}`;
+      const query = `websearch_to_tsquery('${SEARCH.LANGUAGE}', $1)`;
+      const options =
+        `StartSel="${SEARCH.HIGHLIGHT_START}", StopSel="${SEARCH.HIGHLIGHT_STOP}", ` +
+        `MaxWords=${SEARCH.HIGHLIGHT_MAX_WORDS}, MaxFragments=${SEARCH.HIGHLIGHT_MAX_FRAGMENTS}`;
+      const headlines = searchableFields.map(
+        (field) =>
+          `'${field}', ts_headline('${SEARCH.LANGUAGE}', ` +
+          `coalesce(${prefix}${field}::text, ''), ${query}, '${options}')`,
+      );
+
+      return {
+        clause: `${vector} @@ ${query}`,
+        params: [sanitized],
+        paramOffset: 1,
+        fullText: true,
+        rank: `ts_rank(${vector}, ${query})`,
+        highlights: `json_build_object(${headlines.join(', ')})`,
+      };
+    }
+
+    // Build ILIKE clause for each field (with optional table prefix)
     const conditions = searchableFields.map((field, index) => {
       return `${prefix}${field} ILIKE $${index + 1}`;
     });
@@ -73,27 +218,98 @@ class QueryBuilderService {
     };
   }
 
+  /**
+   * Whether a search term is an identifier lookup (ILIKE, not full-text):
+   * shorter than SEARCH.MIN_FULL_TEXT_LENGTH, or one token with a digit or
+   * punctuation
+   *
+   * @param {string} term - Trimmed search term
+   * @returns {boolean}
+   *
+   * @example
+   *   isIdentifierSearch('WO-2026-') // true
+   *   isIdentifierSearch('water heater') // false
+   */
+  static isIdentifierSearch(term) {
+    if (term.length < SEARCH.MIN_FULL_TEXT_LENGTH) {
+      return true;
+    }
+    return !/\s/.test(term) && /[\d\W_]/.test(term);
+  }
+
+  /**
+   * Generated column expression for an entity's search vector
+   *
+   * The SEARCH.VECTOR_COLUMN of every entity with searchWeights is
+   * `GENERATED ALWAYS AS (<this>) STORED` in schema.sql and its migration;
+   * a unit test keeps them in step with metadata.
+   *
+   * @param {Object} searchWeights - Field -> weight 'A'-'D' (metadata.searchWeights)
+   * @returns {string} SQL expression
+   *
+   * @example
+   *   buildSearchVectorExpression({ name: 'A', summary: 'B' })
+   *   // Returns: "setweight(to_tsvector('english', coalesce(name, '')), 'A') || " +
+   *   //          "setweight(to_tsvector('english', coalesce(summary, '')), 'B')"
+   */
+  static buildSearchVectorExpression(searchWeights) {
+    return Object.entries(searchWeights)
+      .map(
+        ([field, weight]) =>
+          `setweight(to_tsvector('${SEARCH.LANGUAGE}', coalesce(${field}, '')), '${weight}')`,
+      )
+      .join(' || ');
+  }
+
   // ==========================================================================
-  // FILTERS (Exact Match & Operators)
+  // FILTERS (Exact Match, Operators & Boolean Groups)
   // ==========================================================================
 
   /**
-   * Build filter clauses from query parameters
+   * Build filter clauses from query parameters or a filter expression
    *
    * Supports operators:
    *   - Exact match: ?role_id=2
+   *   - Equal: ?role_id[eq]=2 (alongside other operators on the field)
    *   - Greater than: ?priority[gt]=5
    *   - Greater/equal: ?priority[gte]=5
    *   - Less than: ?priority[lt]=10
    *   - Less/equal: ?priority[lte]=10
    *   - In list: ?id[in]=1,2,3
+   *   - Not in list: ?status[nin]=cancelled,completed
    *   - Not equal: ?is_active[not]=false
+   *   - Range (inclusive): ?priority[between]=1,5
+   *   - Null checks: ?assigned_technician_id[isnull]=true, ?completed_at[notnull]=true
+   *   - Text: ?organization_name[contains]=LLC (icontains ignores case),
+   *     ?work_order_number[startswith]=WO-2026-
+   *
+   * Date and timestamp fields also take relative date tokens (see
+   * utils/relative-dates): ?due_date[eq]=this_month, ?created_at[gte]=-7d,
+   * ?scheduled_start[between]=today,+2w. A period token is a range, so
+   * eq means "within it", gt "after it" and lt "before it".
+   *
+   * With fieldDefinitions (metadata.fields) each operator is checked
+   * against the field type, e.g. contains only on text and gt not on
+   * booleans, and values against it (numbers for numeric fields, dates or
+   * tokens for dates). Violations are a 400 at any level.
+   *
+   * Supports boolean groups of any depth (FILTERS.GROUPS), whose members
+   * have the same shape as the filters object itself:
+   *   - { or: [{ status: 'pending' }, { priority: 'urgent' }] }
+   *   - { and: [{ or: [...] }, { not: { status: 'cancelled' } }] }
+   *
+   * Fields outside filterableFields and unknown operators at the top level
+   * are skipped (query strings carry other params); inside a group they
+   * are rejected with a 400, see parseFilterExpression().
    *
    * @param {Object} filters - Key-value filter object from query params
    * @param {string[]} filterableFields - Fields allowed (from metadata)
    * @param {number} paramOffset - Starting parameter index (for combining clauses)
    * @param {string} [tablePrefix] - Table name prefix for JOIN queries (optional)
+   * @param {Object} [fieldDefinitions] - Field definitions for type checks (metadata.fields)
    * @returns {Object} { clause: string, params: array, paramOffset: number }
+   * @throws {AppError} 400 if a group is malformed or an operator/value
+   *   does not fit the field type
    *
    * @example
    *   buildFilterClause({ role_id: '2', is_active: 'true' }, ['role_id', 'is_active'], 0, 'users')
@@ -102,12 +318,24 @@ class QueryBuilderService {
    *   //   params: ['2', 'true'],
    *   //   paramOffset: 2
    *   // }
+   *
+   * @example
+   *   buildFilterClause(
+   *     { is_active: true, or: [{ status: 'pending' }, { priority: { in: ['high', 'urgent'] } }] },
+   *     ['is_active', 'status', 'priority'],
+   *   )
+   *   // Returns: {
+   *   //   clause: 'is_active = $1 AND (status = $2 OR priority IN ($3, $4))',
+   *   //   params: [true, 'pending', 'high', 'urgent'],
+   *   //   paramOffset: 4
+   *   // }
    */
   static buildFilterClause(
     filters = {},
     filterableFields = [],
     paramOffset = 0,
     tablePrefix = null,
+    fieldDefinitions = {},
   ) {
     // No filters or no filterable fields = no filter clause
     if (
@@ -118,80 +346,540 @@ class QueryBuilderService {
       return { clause: null, params: [], paramOffset };
     }
 
-    const conditions = [];
-    const params = [];
-    let currentOffset = paramOffset;
-    const prefix = tablePrefix ? `${tablePrefix}.` : '';
+    const context = this._createFilterContext(
+      filterableFields,
+      fieldDefinitions,
+      paramOffset,
+      tablePrefix,
+    );
+
+    const conditions = this._buildFilterNode(filters, context, 0, false);
+
+    // No valid filters found
+    if (conditions.length === 0) {
+      return { clause: null, params: [], paramOffset };
+    }
 
-    // Process each filter
-    for (const [field, value] of Object.entries(filters)) {
-      // Security: Only allow whitelisted fields
-      if (!filterableFields.includes(field)) {
-        continue; // Skip unauthorized fields silently
+    // Combine with AND (match ALL filters)
+    const clause = conditions.join(' AND ');
+
+    return {
+      clause,
+      params: context.params,
+      paramOffset: paramOffset + context.params.length,
+    };
+  }
+
+  /**
+   * Parse and validate a filter expression from a request
+   *
+   * Accepts the `filter` query param (JSON string) or a parsed POST body
+   * value. Every field must be in filterableFields and every operator
+   * known (and valid for the field type), at any depth.
+   *
+   * @param {string|Object} input - JSON string or object
+   * @param {string[]} filterableFields - Fields allowed (from metadata)
+   * @param {Object} [fieldDefinitions] - Field definitions (metadata.fields)
+   * @returns {Object|null} The expression, or null when input is empty
+   * @throws {AppError} 400 if the expression is not valid
+   *
+   * @example
+   *   const expression = parseFilterExpression(req.query.filter, metadata.filterableFields);
+   *   const filters = mergeFilterExpression(flatFilters, expression);
+   */
+  static parseFilterExpression(
+    input,
+    filterableFields = [],
+    fieldDefinitions = {},
+  ) {
+    if (input === undefined || input === null || input === '') {
+      return null;
+    }
+
+    let expression = input;
+    if (typeof input === 'string') {
+      try {
+        expression = JSON.parse(input);
+      } catch {
+        throw new AppError('filter must be valid JSON', 400, 'BAD_REQUEST');
       }
+    }
 
-      // Handle operator-based filters (e.g., priority[gt]=5)
-      if (typeof value === 'object' && value !== null) {
-        const operators = {
-          gt: '>',
-          gte: '>=',
-          lt: '<',
-          lte: '<=',
-          not: '!=',
-          in: 'IN',
-        };
-
-        for (const [operator, operatorValue] of Object.entries(value)) {
-          const sqlOperator = operators[operator];
-          if (!sqlOperator) {
-            continue;
-          } // Unknown operator
-
-          currentOffset++;
-
-          // Special handling for IN operator (expects array)
-          if (operator === 'in') {
-            // Parse comma-separated values
-            const values = Array.isArray(operatorValue)
-              ? operatorValue
-              : operatorValue.split(',').map((v) => v.trim());
-
-            const placeholders = values
-              .map((_, i) => `$${currentOffset + i}`)
-              .join(', ');
-            conditions.push(`${prefix}${field} IN (${placeholders})`);
-            params.push(...values);
-            currentOffset += values.length - 1; // Adjust for multiple params
-          } else {
-            conditions.push(
-              `${prefix}${field} ${sqlOperator} $${currentOffset}`,
-            );
-            params.push(operatorValue);
-          }
+    // Compile once to validate; the caller builds the real clause later
+    this._buildFilterNode(
+      expression,
+      this._createFilterContext(filterableFields, fieldDefinitions),
+      0,
+      true,
+    );
+
+    return expression;
+  }
+
+  /**
+   * Operators a field accepts, from its metadata type
+   *
+   * @param {Object} [fieldDefinition] - metadata.fields[field]; omit for
+   *   every operator
+   * @returns {string[]} Operator names, e.g. ['eq', 'not', 'in', ...]
+   *
+   * @example
+   *   getFieldOperators({ type: 'boolean' })
+   *   // Returns: ['eq', 'not', 'in', 'nin', 'isnull', 'notnull']
+   */
+  static getFieldOperators(fieldDefinition) {
+    const type = fieldDefinition && fieldDefinition.type;
+    return Object.keys(FILTER_OPERATORS).filter((operator) =>
+      this._operatorAllowsType(operator, type),
+    );
+  }
+
+  /**
+   * Add a filter expression to a flat filters object
+   *
+   * The expression becomes an AND group, so it narrows the other filters
+   * (and the is_active default added by list queries) without replacing them.
+   *
+   * @param {Object} [filters] - Flat filters (field -> value)
+   * @param {Object|null} expression - From parseFilterExpression()
+   * @returns {Object|undefined} Combined filters
+   */
+  static mergeFilterExpression(filters, expression) {
+    if (!expression) {
+      return filters;
+    }
+    return { ...filters, [FILTERS.GROUPS.AND]: [expression] };
+  }
+
+  /**
+   * Shared state for compiling one filter: whitelist, field types, params
+   *
+   * @private
+   */
+  static _createFilterContext(
+    filterableFields,
+    fieldDefinitions,
+    paramOffset = 0,
+    tablePrefix = null,
+  ) {
+    return {
+      filterableFields,
+      // Only an object map carries types (some callers pass field lists)
+      fieldDefinitions: isPlainObject(fieldDefinitions) ? fieldDefinitions : {},
+      prefix: tablePrefix ? `${tablePrefix}.` : '',
+      paramOffset,
+      params: [],
+      conditionCount: 0,
+      now: new Date(),
+    };
+  }
+
+  /**
+   * Compile one filter object (the top level or a group member) into
+   * conditions that are ANDed by the caller
+   *
+   * @private
+   * @param {Object} node - Field conditions and/or groups
+   * @param {Object} context - Shared params, offset and field whitelist
+   * @param {number} depth - Group nesting level
+   * @param {boolean} strict - Reject unknown fields/operators (inside groups)
+   * @returns {string[]} SQL conditions
+   */
+  static _buildFilterNode(node, context, depth, strict) {
+    if (!isPlainObject(node)) {
+      throw new AppError('Filter must be an object', 400, 'BAD_REQUEST');
+    }
+    if (depth > FILTERS.MAX_DEPTH) {
+      throw new AppError(
+        `Filter groups cannot be nested more than ${FILTERS.MAX_DEPTH} levels deep`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    const { AND, OR, NOT } = FILTERS.GROUPS;
+    const conditions = [];
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === AND || key === OR) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new AppError(
+            `'${key}' must be a non-empty array of filters`,
+            400,
+            'BAD_REQUEST',
+          );
+        }
+        const members = value.map((member) =>
+          this._buildFilterGroupMember(member, context, depth + 1),
+        );
+        if (key === AND) {
+          conditions.push(...members);
+        } else {
+          conditions.push(
+            members.length === 1 ? members[0] : `(${members.join(' OR ')})`,
+          );
+        }
+      } else if (key === NOT) {
+        const member = this._buildFilterGroupMember(value, context, depth + 1);
+        conditions.push(
+          member.startsWith('(') ? `NOT ${member}` : `NOT (${member})`,
+        );
+      } else if (!context.filterableFields.includes(key)) {
+        // Security: Only allow whitelisted fields
+        if (strict) {
+          throw new AppError(
+            `'${key}' is not a filterable field`,
+            400,
+            'BAD_REQUEST',
+          );
         }
       } else {
-        // Simple exact match
-        currentOffset++;
-        conditions.push(`${prefix}${field} = $${currentOffset}`);
-        params.push(value);
+        conditions.push(
+          ...this._buildFieldConditions(key, value, context, strict),
+        );
       }
     }
 
-    // No valid filters found
+    return conditions;
+  }
+
+  /**
+   * Compile a group member into a single condition (parenthesized when it
+   * holds several)
+   *
+   * @private
+   */
+  static _buildFilterGroupMember(member, context, depth) {
+    const conditions = this._buildFilterNode(member, context, depth, true);
     if (conditions.length === 0) {
-      return { clause: null, params: [], paramOffset };
+      throw new AppError('Filter groups cannot be empty', 400, 'BAD_REQUEST');
     }
+    return conditions.length === 1
+      ? conditions[0]
+      : `(${conditions.join(' AND ')})`;
+  }
 
-    // Combine with AND (match ALL filters)
-    const clause = conditions.join(' AND ');
+  /**
+   * Compile the conditions on one field: a value (exact match) or an
+   * operator object (e.g. { gte: 5, lt: 10 })
+   *
+   * @private
+   */
+  static _buildFieldConditions(field, value, context, strict) {
+    const column = `${context.prefix}${field}`;
 
+    // Handle operator-based filters (e.g., priority[gt]=5)
+    if (typeof value === 'object' && value !== null && !isPlainObject(value)) {
+      if (strict) {
+        throw new AppError(
+          `Filter on '${field}' must be a value or an operator object`,
+          400,
+          'BAD_REQUEST',
+        );
+      }
+      return [];
+    }
+
+    if (!isPlainObject(value)) {
+      // Simple exact match
+      this._assertOperatorValue(field, 'eq', value, context, strict);
+      return [
+        this._buildOperatorCondition(field, column, 'eq', value, context),
+      ];
+    }
+
+    const conditions = [];
+    for (const [operator, operatorValue] of Object.entries(value)) {
+      if (!Object.hasOwn(FILTER_OPERATORS, operator)) {
+        if (strict) {
+          throw new AppError(
+            `Unknown filter operator '${operator}' on '${field}'. ` +
+              `Allowed: ${Object.keys(FILTER_OPERATORS).join(', ')}`,
+            400,
+            'BAD_REQUEST',
+          );
+        }
+        continue; // Unknown operator
+      }
+
+      this._assertOperatorValue(
+        field,
+        operator,
+        operatorValue,
+        context,
+        strict,
+      );
+      conditions.push(
+        this._buildOperatorCondition(
+          field,
+          column,
+          operator,
+          operatorValue,
+          context,
+        ),
+      );
+    }
+
+    if (strict && conditions.length === 0) {
+      throw new AppError(
+        `Filter on '${field}' has no operators`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+    return conditions;
+  }
+
+  /**
+   * Compile one operator into a parameterized condition
+   *
+   * @private
+   */
+  static _buildOperatorCondition(field, column, operator, value, context) {
+    context.conditionCount++;
+    if (context.conditionCount > FILTERS.MAX_CONDITIONS) {
+      throw new AppError(
+        `Filters cannot have more than ${FILTERS.MAX_CONDITIONS} conditions`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    const addParam = (param) => {
+      context.params.push(param);
+      return `$${context.paramOffset + context.params.length}`;
+    };
+    const temporal = TEMPORAL_TYPES.includes(this._fieldType(field, context));
+
+    switch (operator) {
+      case 'isnull':
+      case 'notnull': {
+        const isNull = FLAG_VALUES[String(value)] === (operator === 'isnull');
+        return `${column} IS ${isNull ? '' : 'NOT '}NULL`;
+      }
+
+      case 'in':
+      case 'nin': {
+        let values = toList(value);
+        if (temporal) {
+          values = values.map((v) => this._resolveDate(v, context).start);
+        }
+        const placeholders = values.map(addParam).join(', ');
+        return `${column} ${operator === 'in' ? 'IN' : 'NOT IN'} (${placeholders})`;
+      }
+
+      case 'between': {
+        const [from, to] = toList(value);
+        if (!temporal) {
+          return `${column} BETWEEN ${addParam(from)} AND ${addParam(to)}`;
+        }
+        // From the start of the first bound to the end of the second
+        const lower = `${column} >= ${addParam(this._resolveDate(from, context).start)}`;
+        const end = this._resolveDate(to, context);
+        const upper = end.end
+          ? `${column} < ${addParam(end.end)}`
+          : `${column} <= ${addParam(end.start)}`;
+        return `(${lower} AND ${upper})`;
+      }
+
+      case 'contains':
+      case 'icontains': {
+        const like = operator === 'icontains' ? 'ILIKE' : 'LIKE';
+        return `${column} ${like} ${addParam(`%${escapeLike(value)}%`)}`;
+      }
+
+      case 'startswith':
+        return `${column} LIKE ${addParam(`${escapeLike(value)}%`)}`;
+
+      default:
+        break;
+    }
+
+    const comparison = COMPARISONS[operator];
+    if (!temporal) {
+      return `${column} ${comparison} ${addParam(value)}`;
+    }
+
+    const range = this._resolveDate(value, context);
+    if (!range.end) {
+      return `${column} ${comparison} ${addParam(range.start)}`;
+    }
+
+    // Period tokens (today, this_month): [start, end)
+    const start = () => addParam(range.start);
+    const end = () => addParam(range.end);
+    switch (operator) {
+      case 'eq':
+        return `(${column} >= ${start()} AND ${column} < ${end()})`;
+      case 'not':
+        return `(${column} < ${start()} OR ${column} >= ${end()})`;
+      case 'gt':
+        return `${column} >= ${end()}`;
+      case 'gte':
+        return `${column} >= ${start()}`;
+      case 'lt':
+        return `${column} < ${start()}`;
+      default:
+        return `${column} < ${end()}`;
+    }
+  }
+
+  /**
+   * A date filter value as { start, end } params (ISO strings): a token's
+   * period, or a point (end null) for offsets and absolute dates, which
+   * are passed through for Postgres to parse. Internal callers may pass
+   * Date objects.
+   *
+   * @private
+   */
+  static _resolveDate(value, context) {
+    if (value instanceof Date) {
+      return { start: value.toISOString(), end: null };
+    }
+    const range = resolveRelativeDate(value, context.now);
+    if (!range) {
+      return { start: value, end: null };
+    }
     return {
-      clause,
-      params,
-      paramOffset: currentOffset,
+      start: range.start.toISOString(),
+      end: range.end && range.end.toISOString(),
     };
   }
 
+  /**
+   * Metadata type of a field, if known
+   *
+   * @private
+   */
+  static _fieldType(field, context) {
+    const definition = context.fieldDefinitions[field];
+    return definition && definition.type;
+  }
+
+  /**
+   * Whether an operator applies to a field type (unknown types take all)
+   *
+   * @private
+   */
+  static _operatorAllowsType(operator, type) {
+    const types = FILTER_OPERATORS[operator];
+    return !type || types === null || types.includes(type);
+  }
+
+  /**
+   * Check an operator and its value against the field type
+   *
+   * @private
+   */
+  static _assertOperatorValue(field, operator, value, context, strict) {
+    const type = this._fieldType(field, context);
+
+    if (!this._operatorAllowsType(operator, type)) {
+      throw new AppError(
+        `Operator '${operator}' is not supported on '${field}' (${type}). ` +
+          `Allowed: ${this.getFieldOperators({ type }).join(', ')}`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    if (operator === 'isnull' || operator === 'notnull') {
+      if (!Object.hasOwn(FLAG_VALUES, String(value))) {
+        throw new AppError(
+          `'${operator}' on '${field}' must be true or false`,
+          400,
+          'BAD_REQUEST',
+        );
+      }
+      return;
+    }
+
+    if (!LIST_OPERATORS.includes(operator)) {
+      if (strict) {
+        this._assertFilterValue(field, value);
+      }
+      if (COMPARISONS[operator]) {
+        this._assertTypedValue(field, type, value);
+      }
+      return;
+    }
+
+    if (strict && !Array.isArray(value)) {
+      this._assertFilterValue(field, value);
+    }
+    const values = toList(value);
+    if (operator === 'between' && values.length !== 2) {
+      throw new AppError(
+        `'between' on '${field}' needs two values (from, to)`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+    if (values.length === 0) {
+      throw new AppError(
+        `'${operator}' on '${field}' needs at least one value`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+    values.forEach((v) => {
+      if (strict) {
+        this._assertFilterValue(field, v);
+      }
+      this._assertTypedValue(field, type, v);
+    });
+  }
+
+  /**
+   * Numeric fields take numbers; date fields take dates (strings or, from
+   * internal callers, Date objects) or relative tokens
+   *
+   * @private
+   */
+  static _assertTypedValue(field, type, value) {
+    if (NUMERIC_TYPES.includes(type)) {
+      const numeric =
+        (typeof value === 'number' || typeof value === 'string') &&
+        String(value).trim() !== '' &&
+        Number.isFinite(Number(value));
+      if (!numeric) {
+        throw new AppError(
+          `Filter value for '${field}' must be a number`,
+          400,
+          'BAD_REQUEST',
+        );
+      }
+    } else if (TEMPORAL_TYPES.includes(type)) {
+      const valid =
+        (value instanceof Date && !Number.isNaN(value.getTime())) ||
+        resolveRelativeDate(value) !== null ||
+        (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+      if (!valid) {
+        throw new AppError(
+          `Filter value for '${field}' must be a date or a relative date ` +
+            `(${RELATIVE_DATE_EXAMPLES.join(', ')})`,
+          400,
+          'BAD_REQUEST',
+        );
+      }
+    }
+  }
+
+  /**
+   * Filter values in expressions are scalars
+   *
+   * @private
+   */
+  static _assertFilterValue(field, value) {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new AppError(
+        `Filter value for '${field}' must be a string, number or boolean`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+  }
+
   // ==========================================================================
   // SORT (ORDER BY)
   // ==========================================================================
@@ -217,6 +905,31 @@ class QueryBuilderService {
     defaultSort = {},
     tablePrefix = null,
   ) {
+    const { field, order } = this.resolveSort(
+      sortBy,
+      sortOrder,
+      sortableFields,
+      defaultSort,
+    );
+
+    const prefix = tablePrefix ? `${tablePrefix}.` : '';
+    return `${prefix}${field} ${order}`;
+  }
+
+  /**
+   * Resolve the sort field and order a request gets (see buildSortClause)
+   *
+   * @param {string} sortBy - Field to sort by
+   * @param {string} sortOrder - 'ASC' or 'DESC'
+   * @param {string[]} sortableFields - Fields allowed (from metadata)
+   * @param {Object} defaultSort - Fallback sort (from metadata)
+   * @returns {Object} { field, order } with order 'ASC' or 'DESC'
+   *
+   * @example
+   *   resolveSort('bogus', 'asc', ['id'], { field: 'created_at', order: 'DESC' })
+   *   // Returns: { field: 'created_at', order: 'DESC' }
+   */
+  static resolveSort(sortBy, sortOrder, sortableFields = [], defaultSort = {}) {
     // Determine if we're using the requested field or falling back to default
     const isValidField = sortableFields.includes(sortBy);
     const field = isValidField
@@ -238,8 +951,7 @@ class QueryBuilderService {
           : (defaultSort.order || 'ASC').toUpperCase();
     }
 
-    const prefix = tablePrefix ? `${tablePrefix}.` : '';
-    return `${prefix}${field} ${order}`;
+    return { field, order };
   }
 
   // ==========================================================================
@@ -312,17 +1024,30 @@ class QueryBuilderService {
    */
   static buildQuery(options = {}, metadata = {}) {
     const { search, filters, sortBy, sortOrder } = options;
-    const { searchableFields, filterableFields, sortableFields, defaultSort } =
-      metadata;
+    const {
+      searchableFields,
+      searchWeights,
+      filterableFields,
+      sortableFields,
+      defaultSort,
+      fields,
+    } = metadata;
 
     // Build search clause
-    const searchResult = this.buildSearchClause(search, searchableFields);
+    const searchResult = this.buildSearchClause(
+      search,
+      searchableFields,
+      null,
+      searchWeights,
+    );
 
     // Build filter clause (offset by search params)
     const filterResult = this.buildFilterClause(
       filters,
       filterableFields,
       searchResult.paramOffset,
+      null,
+      fields,
     );
 
     // Build sort clause
@@ -14,6 +14,7 @@
  */
 
 const db = require('../db/connection');
+const { SEARCH } = require('../config/constants');
 
 class SchemaIntrospectionService {
   /**
@@ -83,9 +84,10 @@ class SchemaIntrospectionService {
       FROM information_schema.columns
       WHERE table_schema = 'public'
         AND table_name = $1
+        AND column_name <> $2 -- Internal full-text search column
       ORDER BY ordinal_position
     `,
-      [tableName],
+      [tableName, SEARCH.VECTOR_COLUMN],
     );
 
     return result.rows;
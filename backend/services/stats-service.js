@@ -44,7 +44,8 @@ class StatsService {
    *
    * @param {string} entityName - Entity name (e.g., 'work_order')
    * @param {Object} req - Express request (for RLS context)
-   * @param {Object} [filters={}] - Optional filter object
+   * @param {Object} [filters={}] - Optional filter object (and/or/not groups
+   *   allowed, see QueryBuilderService.buildFilterClause)
    * @returns {Promise<number>} Record count
    *
    * @example
@@ -53,7 +54,7 @@ class StatsService {
    */
   static async count(entityName, req, filters = {}) {
     const metadata = this._getMetadata(entityName);
-    const { tableName, filterableFields = [] } = metadata;
+    const { tableName, filterableFields = [], fields } = metadata;
 
     // Build RLS filter
     const rlsResult = buildRLSFilter(req, metadata, 0);
@@ -65,6 +66,7 @@ class StatsService {
       filterableFields,
       paramOffset,
       tableName,
+      fields,
     );
 
     // Combine clauses
@@ -109,7 +111,7 @@ class StatsService {
    */
   static async countGrouped(entityName, req, groupByField, filters = {}) {
     const metadata = this._getMetadata(entityName);
-    const { tableName, filterableFields = [] } = metadata;
+    const { tableName, filterableFields = [], fields } = metadata;
 
     // Validate groupByField is filterable
     if (!filterableFields.includes(groupByField)) {
@@ -130,6 +132,7 @@ class StatsService {
       filterableFields,
       paramOffset,
       tableName,
+      fields,
     );
 
     // Combine clauses
@@ -182,7 +185,7 @@ class StatsService {
    */
   static async sum(entityName, req, field, filters = {}) {
     const metadata = this._getMetadata(entityName);
-    const { tableName, filterableFields = [] } = metadata;
+    const { tableName, filterableFields = [], fields } = metadata;
 
     // SECURITY: Validate field is a numeric/summable field before interpolation
     // Build list of allowed sum fields from metadata
@@ -206,6 +209,7 @@ class StatsService {
       filterableFields,
       paramOffset,
       tableName,
+      fields,
     );
 
     // Combine clauses
@@ -0,0 +1,495 @@
+/**
+ * Stock Movement Service
+ *
+ * SRP LITERALISM: ONLY writes the stock_movements ledger and keeps the
+ * inventory.quantity roll-up in step with it
+ *
+ * PHILOSOPHY:
+ * - APPEND-ONLY: Every change to stock at a location is a new movement row
+ *   (receipt, transfer, consumption, return, adjustment) with reason and
+ *   user. Rows are never updated; mistakes are corrected by adjustments.
+ * - DERIVED ON-HAND: Stock at a location is SUM(in) - SUM(out) over the
+ *   ledger, never a stored column
+ * - ROLL-UP: Each movement moves inventory.quantity by its net effect
+ *   (transfers net to zero) and re-derives status in the same UPDATE
+ * - ONE TRANSACTION: The inventory row is locked (FOR UPDATE) before
+ *   on-hand is checked, so concurrent moves of the same item cannot take
+ *   a location below zero
+ * - EVENTS: The movement (created) and the inventory row (updated) are
+ *   published as entity events once the transaction commits
+ * - WorkOrderPartService reuses lockItem/resolveLocation/getOnHand/
+ *   recordMovement inside its own transaction for consumption and returns
+ *
+ * USAGE:
+ *   await StockMovementService.receive(7, { quantity: 20 }, { auditContext });
+ *   await StockMovementService.transfer(7,
+ *     { from_location_id: 1, to_location_id: 4, quantity: 5 },
+ *     { auditContext },
+ *   );
+ *   const { inventory, locations } = await StockMovementService.getStockLevels(7);
+ */
+
+const db = require('../db/connection');
+const { withTransaction } = require('../db/helpers/transaction-helper');
+const { logEntityEvent } = require('../db/helpers/audit-helper');
+const {
+  buildStockStatusSql,
+  crossedBelowReorder,
+  alertBelowReorder,
+} = require('../db/helpers/stock-status-helper');
+const inventoryMetadata = require('../config/models/inventory-metadata');
+const { STOCK_MOVEMENT_TYPES, ENTITY_EVENTS } = require('../config/constants');
+const { AuditActions } = require('./audit-constants');
+const EntityEvents = require('./entity-events');
+const AppError = require('../utils/app-error');
+
+class StockMovementService {
+  /**
+   * Current stock of an item at each location, derived from the ledger
+   *
+   * Locations whose movements net to zero are left out.
+   *
+   * @param {number} inventoryId - Inventory item ID
+   * @returns {Promise<Object>} { inventory: { id, sku, name, quantity, status },
+   *   locations: [{ location_id, name, location_type, technician_id, quantity }] }
+   * @throws {AppError} 404 if the inventory item is not found
+   */
+  static async getStockLevels(inventoryId) {
+    const itemResult = await db.query(
+      'SELECT id, sku, name, quantity, status FROM inventory WHERE id = $1',
+      [inventoryId],
+    );
+    const inventory = itemResult.rows[0];
+
+    if (!inventory) {
+      throw new AppError('Inventory item not found', 404, 'NOT_FOUND');
+    }
+
+    const result = await db.query(
+      `SELECT l.id AS location_id, l.name, l.location_type, l.technician_id,
+              SUM(CASE WHEN m.to_location_id = l.id THEN m.quantity ELSE -m.quantity END)::int AS quantity
+       FROM stock_movements m
+       JOIN stock_locations l ON l.id IN (m.from_location_id, m.to_location_id)
+       WHERE m.inventory_id = $1
+       GROUP BY l.id
+       HAVING SUM(CASE WHEN m.to_location_id = l.id THEN m.quantity ELSE -m.quantity END) <> 0
+       ORDER BY l.name`,
+      [inventoryId],
+    );
+
+    return { inventory, locations: result.rows };
+  }
+
+  /**
+   * Book stock into a location (delivery from a supplier)
+   *
+   * @param {number} inventoryId - Inventory item ID
+   * @param {Object} receipt
+   * @param {number} receipt.quantity - Quantity received (> 0)
+   * @param {number} [receipt.to_location_id] - Defaults to the default location
+   * @param {string} [receipt.reason] - e.g. purchase order or packing slip
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<{movement: Object, inventory: Object}>} The movement and
+   *   the item's { id, sku, quantity, status } after it
+   * @throws {AppError} 404 if the item or location is not found
+   * @throws {AppError} 400 if the item or location is not active
+   */
+  static async receive(inventoryId, receipt, options = {}) {
+    const { quantity, to_location_id: toLocationId, reason = null } = receipt;
+
+    return this._move(
+      AuditActions.INVENTORY_RECEIPT,
+      options,
+      async (client) => {
+        const item = await this.lockItem(client, inventoryId);
+        const location = await this.resolveLocation(client, toLocationId);
+
+        return {
+          item,
+          ...(await this.recordMovement(
+            client,
+            {
+              inventory_id: item.id,
+              movement_type: STOCK_MOVEMENT_TYPES.RECEIPT,
+              quantity,
+              to_location_id: location.id,
+              reason,
+            },
+            { ...options, item },
+          )),
+        };
+      },
+    );
+  }
+
+  /**
+   * Correct the stock at one location after a count (either direction)
+   *
+   * @param {number} inventoryId - Inventory item ID
+   * @param {Object} adjustment
+   * @param {number} adjustment.location_id - Location counted
+   * @param {number} adjustment.quantity_change - Units found (+) or missing (-), non-zero
+   * @param {string} adjustment.reason - Why the count differs (required)
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<{movement: Object, inventory: Object}>}
+   * @throws {AppError} 404 if the item or location is not found
+   * @throws {AppError} 400 if the item or location is not active
+   * @throws {AppError} 409 INSUFFICIENT_STOCK if the location would go below zero
+   */
+  static async adjust(inventoryId, adjustment, options = {}) {
+    const {
+      location_id: locationId,
+      quantity_change: quantityChange,
+      reason,
+    } = adjustment;
+
+    return this._move(
+      AuditActions.INVENTORY_ADJUSTMENT,
+      options,
+      async (client) => {
+        const item = await this.lockItem(client, inventoryId);
+        const location = await this.resolveLocation(client, locationId);
+        const quantity = Math.abs(quantityChange);
+
+        if (quantityChange < 0) {
+          await this._assertOnHand(client, item, location, quantity);
+        }
+
+        return {
+          item,
+          ...(await this.recordMovement(
+            client,
+            {
+              inventory_id: item.id,
+              movement_type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+              quantity,
+              from_location_id: quantityChange < 0 ? location.id : null,
+              to_location_id: quantityChange > 0 ? location.id : null,
+              reason,
+            },
+            { ...options, item },
+          )),
+        };
+      },
+    );
+  }
+
+  /**
+   * Move stock between two locations atomically
+   *
+   * The roll-up quantity is unchanged; only the per-location split moves.
+   *
+   * @param {number} inventoryId - Inventory item ID
+   * @param {Object} transfer
+   * @param {number} transfer.from_location_id - Source location
+   * @param {number} transfer.to_location_id - Destination location (different)
+   * @param {number} transfer.quantity - Quantity moved (> 0)
+   * @param {string} [transfer.reason] - e.g. "Restock truck 3"
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<{movement: Object, inventory: Object}>}
+   * @throws {AppError} 400 if both locations are the same or either is inactive
+   * @throws {AppError} 404 if the item or a location is not found
+   * @throws {AppError} 409 INSUFFICIENT_STOCK if the source holds too little
+   */
+  static async transfer(inventoryId, transfer, options = {}) {
+    const {
+      from_location_id: fromLocationId,
+      to_location_id: toLocationId,
+      quantity,
+      reason = null,
+    } = transfer;
+
+    if (fromLocationId === toLocationId) {
+      throw new AppError(
+        'Cannot transfer stock to the location it is already in',
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    return this._move(
+      AuditActions.INVENTORY_TRANSFER,
+      options,
+      async (client) => {
+        const item = await this.lockItem(client, inventoryId);
+        const from = await this.resolveLocation(client, fromLocationId);
+        const to = await this.resolveLocation(client, toLocationId);
+
+        await this._assertOnHand(client, item, from, quantity);
+
+        return {
+          item,
+          ...(await this.recordMovement(
+            client,
+            {
+              inventory_id: item.id,
+              movement_type: STOCK_MOVEMENT_TYPES.TRANSFER,
+              quantity,
+              from_location_id: from.id,
+              to_location_id: to.id,
+              reason,
+            },
+            { ...options, item },
+          )),
+        };
+      },
+    );
+  }
+
+  // ==========================================================================
+  // TRANSACTION BUILDING BLOCKS (shared with WorkOrderPartService)
+  // ==========================================================================
+
+  /**
+   * Lock an active inventory row for the rest of the transaction
+   *
+   * @param {Object} client - Transaction client
+   * @param {number} inventoryId - Inventory item ID
+   * @returns {Promise<Object>} The locked row
+   * @throws {AppError} 404 if not found, 400 if not active
+   */
+  static async lockItem(client, inventoryId) {
+    const result = await client.query(
+      'SELECT * FROM inventory WHERE id = $1 FOR UPDATE',
+      [inventoryId],
+    );
+    const item = result.rows[0];
+
+    if (!item) {
+      throw new AppError('Inventory item not found', 404, 'NOT_FOUND');
+    }
+    if (!item.is_active) {
+      throw new AppError(
+        `Inventory item ${item.sku} is not active`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    return item;
+  }
+
+  /**
+   * Load an active stock location, or the default location when none given
+   *
+   * @param {Object} client - Transaction client
+   * @param {number} [locationId] - Location ID (null/undefined = default)
+   * @returns {Promise<Object>} { id, name, is_active }
+   * @throws {AppError} 404 if not found (or no default is configured)
+   * @throws {AppError} 400 if the location is not active
+   */
+  static async resolveLocation(client, locationId) {
+    const useDefault = locationId === null || locationId === undefined;
+    const result = await client.query(
+      `SELECT id, name, is_active FROM stock_locations
+       WHERE ${useDefault ? 'is_default = true' : 'id = $1'}`,
+      useDefault ? [] : [locationId],
+    );
+    const location = result.rows[0];
+
+    if (!location) {
+      throw new AppError(
+        useDefault
+          ? 'No default stock location is configured'
+          : 'Stock location not found',
+        404,
+        'NOT_FOUND',
+      );
+    }
+    if (!location.is_active) {
+      throw new AppError(
+        `Stock location ${location.name} is not active`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    return location;
+  }
+
+  /**
+   * Stock of an item at one location, summed from the ledger
+   *
+   * @param {Object} client - Transaction client (or db)
+   * @param {number} inventoryId - Inventory item ID
+   * @param {number} locationId - Stock location ID
+   * @returns {Promise<number>} On-hand quantity (may be negative after an override)
+   */
+  static async getOnHand(client, inventoryId, locationId) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(CASE WHEN to_location_id = $2 THEN quantity ELSE -quantity END), 0)::int AS on_hand
+       FROM stock_movements
+       WHERE inventory_id = $1
+         AND (from_location_id = $2 OR to_location_id = $2)`,
+      [inventoryId, locationId],
+    );
+    return result.rows[0].on_hand;
+  }
+
+  /**
+   * Append a movement and move the inventory.quantity roll-up with it
+   *
+   * Callers lock the item and check on-hand first. A transfer nets to zero
+   * but still runs the UPDATE so updated_at reflects the move.
+   *
+   * @param {Object} client - Transaction client
+   * @param {Object} movement - stock_movements columns (inventory_id,
+   *   movement_type, quantity, from_location_id, to_location_id, reason,
+   *   work_order_id)
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - created_by comes from its userId
+   * @param {Object} [options.item] - Row from lockItem(), the inventory
+   *   event's previous values
+   * @returns {Promise<{movement: Object, inventory: Object, changes: Object[]}>}
+   *   The new row, the item's { id, sku, quantity, status } after it, and
+   *   the changes to publish once the transaction commits
+   *   (EntityEvents.publishAll)
+   */
+  static async recordMovement(client, movement, options = {}) {
+    const {
+      inventory_id: inventoryId,
+      movement_type: movementType,
+      quantity,
+      from_location_id: fromLocationId = null,
+      to_location_id: toLocationId = null,
+      reason = null,
+      work_order_id: workOrderId = null,
+    } = movement;
+
+    const inserted = await client.query(
+      `INSERT INTO stock_movements
+         (inventory_id, movement_type, quantity, from_location_id, to_location_id,
+          reason, work_order_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        inventoryId,
+        movementType,
+        quantity,
+        fromLocationId,
+        toLocationId,
+        reason || null,
+        workOrderId,
+        options.auditContext?.userId || null,
+      ],
+    );
+
+    const delta =
+      (toLocationId !== null ? quantity : 0) -
+      (fromLocationId !== null ? quantity : 0);
+
+    const updated = await client.query(
+      `UPDATE inventory
+       SET quantity = quantity + $2,
+           status = ${buildStockStatusSql(inventoryMetadata, 'quantity + $2')}
+       WHERE id = $1
+       RETURNING *`,
+      [inventoryId, delta],
+    );
+    const row = updated.rows[0];
+
+    return {
+      movement: inserted.rows[0],
+      inventory: {
+        id: row.id,
+        sku: row.sku,
+        quantity: row.quantity,
+        status: row.status,
+      },
+      changes: [
+        {
+          entity: 'stock_movement',
+          action: ENTITY_EVENTS.CREATED,
+          record: inserted.rows[0],
+        },
+        {
+          entity: 'inventory',
+          action: ENTITY_EVENTS.UPDATED,
+          record: row,
+          previous: options.item || null,
+        },
+      ],
+    };
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Refuse to take a location below zero
+   *
+   * @private
+   * @throws {AppError} 409 INSUFFICIENT_STOCK
+   */
+  static async _assertOnHand(client, item, location, quantity) {
+    const available = await this.getOnHand(client, item.id, location.id);
+
+    if (available < quantity) {
+      throw new AppError(
+        `Insufficient stock for ${item.sku} at ${location.name}: ${available} available, ${quantity} requested`,
+        409,
+        'INSUFFICIENT_STOCK',
+        {
+          inventory_id: item.id,
+          location_id: location.id,
+          available,
+          requested: quantity,
+        },
+      );
+    }
+  }
+
+  /**
+   * Run a movement transaction, then alert, audit and publish once it has
+   * committed
+   *
+   * @private
+   * @param {string} action - AuditActions value for the movement
+   * @param {Object} options - { auditContext }
+   * @param {Function} work - async (client) => { item, movement, inventory,
+   *   changes }
+   * @returns {Promise<{movement: Object, inventory: Object}>}
+   */
+  static async _move(action, options, work) {
+    const { item, changes, ...result } = await withTransaction(work);
+
+    const after = { ...item, ...result.inventory };
+    if (crossedBelowReorder(inventoryMetadata, item, after)) {
+      await alertBelowReorder(inventoryMetadata, after);
+    }
+
+    if (options.auditContext) {
+      const { movement } = result;
+      await logEntityEvent(
+        action,
+        'inventory',
+        { id: item.id },
+        options.auditContext,
+        {
+          oldValues: { quantity: item.quantity },
+          newValues: {
+            quantity: result.inventory.quantity,
+            stock_movement_id: movement.id,
+            movement_type: movement.movement_type,
+            from_location_id: movement.from_location_id,
+            to_location_id: movement.to_location_id,
+            reason: movement.reason,
+          },
+        },
+      );
+    }
+
+    await EntityEvents.publishAll(
+      changes,
+      options.auditContext?.userId ?? null,
+    );
+
+    return result;
+  }
+}
+
+module.exports = StockMovementService;
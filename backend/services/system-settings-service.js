@@ -12,6 +12,7 @@
  * - No entity metadata (simple table, not a business entity)
  * - Admin-only write access enforced at route level
  * - Maintenance mode has special helper for middleware use
+ * - Invoicing rates have a helper that fills unset keys from defaults
  * - Static class (no instance state)
  */
 
@@ -35,6 +36,13 @@ const DEFAULT_SETTINGS = {
     file_attachments: true,
     audit_logging: true,
   },
+  invoicing: {
+    parts_markup_percent: 20,
+    // Rate for the 'standard' tax code; tax_codes adds other codes
+    tax_rate_percent: 0,
+    tax_codes: { exempt: 0 },
+    payment_terms_days: 30,
+  },
 };
 
 class SystemSettingsService {
@@ -238,6 +246,22 @@ class SystemSettingsService {
     const flags = await SystemSettingsService.getFeatureFlags();
     return flags[featureName] === true;
   }
+
+  // ===========================================================================
+  // INVOICING HELPERS
+  // ===========================================================================
+
+  /**
+   * Get invoicing rates (parts markup, tax rates, payment terms)
+   * Keys missing from the stored setting fall back to the defaults
+   *
+   * @returns {Promise<Object>} { parts_markup_percent, tax_rate_percent,
+   *   tax_codes: { code: percent }, payment_terms_days }
+   */
+  static async getInvoicingSettings() {
+    const setting = await SystemSettingsService.getSetting('invoicing');
+    return { ...DEFAULT_SETTINGS.invoicing, ...setting?.value };
+  }
 }
 
 module.exports = SystemSettingsService;
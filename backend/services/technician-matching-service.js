@@ -0,0 +1,214 @@
+/**
+ * Technician Matching Service
+ *
+ * SRP LITERALISM: ONLY ranks technicians as candidates for a work order
+ *
+ * PHILOSOPHY:
+ * - SINGLE QUERY: One round-trip gathers skills, certifications and workload
+ * - SECURE: Technician RLS applied via buildRLSFilter, parameterized queries
+ * - PURE SCORING: scoreCandidate() has no I/O and is unit-testable in isolation
+ *
+ * ELIGIBILITY:
+ *   Active technicians (is_active, status = 'active') whose availability is
+ *   'available'. Technicians lacking required skills are still returned, ranked
+ *   lower, so dispatchers can see the best partial match.
+ *
+ * SCORING (0..1, weights in MATCH_WEIGHTS):
+ *   coverage       - share of required skills the technician has
+ *   proficiency    - average proficiency across matched skills
+ *   certifications - share of held certifications that are unexpired
+ *   workload       - 1 / (1 + open assigned/in_progress work orders)
+ *
+ * USAGE:
+ *   const candidates = await TechnicianMatchingService.findCandidates(workOrder, {
+ *     rlsContext: { policy: 'all_records', userId: 7 },
+ *     limit: 10,
+ *   });
+ */
+
+const db = require('../db/connection');
+const technicianMetadata = require('../config/models/technician-metadata');
+const technicianSkillMetadata = require('../config/models/technician-skill-metadata');
+const { buildRLSFilter } = require('../db/helpers/rls-filter-helper');
+
+/**
+ * Relative weight of each scoring component (sums to 1)
+ */
+const MATCH_WEIGHTS = Object.freeze({
+  coverage: 0.5,
+  proficiency: 0.2,
+  certifications: 0.15,
+  workload: 0.15,
+});
+
+/**
+ * Work order statuses that count toward a technician's current workload
+ */
+const ACTIVE_WORK_ORDER_STATUSES = Object.freeze(['assigned', 'in_progress']);
+
+/**
+ * Proficiency levels, lowest → highest (SSOT: technician_skill metadata)
+ */
+const PROFICIENCY_LEVELS = technicianSkillMetadata.fields.proficiency.values;
+
+/**
+ * Round a score to 4 decimal places for stable API output
+ * @private
+ */
+function roundScore(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class TechnicianMatchingService {
+  /**
+   * Score a single candidate row
+   *
+   * @param {Object} row - Candidate row from the matching query
+   * @param {number[]} row.matched_skill_ids - Required skills the technician has
+   * @param {string[]} row.proficiencies - Proficiency per matched skill (same order)
+   * @param {number} row.valid_certifications - Unexpired certifications held
+   * @param {number} row.expired_certifications - Expired certifications held
+   * @param {number} row.active_work_orders - Open assigned/in_progress work orders
+   * @param {number[]} requiredSkillIds - Skills required by the work order
+   * @returns {Object} Score breakdown plus matched/missing skill ids
+   */
+  static scoreCandidate(row, requiredSkillIds) {
+    const matchedSkillIds = row.matched_skill_ids || [];
+    const proficiencies = row.proficiencies || [];
+    const validCertifications = row.valid_certifications || 0;
+    const expiredCertifications = row.expired_certifications || 0;
+    const activeWorkOrders = row.active_work_orders || 0;
+
+    const coverage =
+      requiredSkillIds.length === 0
+        ? 1
+        : matchedSkillIds.length / requiredSkillIds.length;
+
+    const proficiencyPoints = proficiencies.reduce(
+      (sum, level) => sum + PROFICIENCY_LEVELS.indexOf(level) + 1,
+      0,
+    );
+    const proficiency =
+      proficiencies.length === 0
+        ? 0
+        : proficiencyPoints /
+          (proficiencies.length * PROFICIENCY_LEVELS.length);
+
+    const totalCertifications = validCertifications + expiredCertifications;
+    const certifications =
+      totalCertifications === 0 ? 0 : validCertifications / totalCertifications;
+
+    const workload = 1 / (1 + activeWorkOrders);
+
+    const score =
+      coverage * MATCH_WEIGHTS.coverage +
+      proficiency * MATCH_WEIGHTS.proficiency +
+      certifications * MATCH_WEIGHTS.certifications +
+      workload * MATCH_WEIGHTS.workload;
+
+    return {
+      score: roundScore(score),
+      breakdown: {
+        coverage: roundScore(coverage),
+        proficiency: roundScore(proficiency),
+        certifications: roundScore(certifications),
+        workload: roundScore(workload),
+      },
+      matchedSkillIds,
+      missingSkillIds: requiredSkillIds.filter(
+        (id) => !matchedSkillIds.includes(id),
+      ),
+    };
+  }
+
+  /**
+   * Rank eligible technicians for a work order
+   *
+   * @param {Object} workOrder - Work order record (needs id, required_skills)
+   * @param {Object} [options]
+   * @param {Object} [options.rlsContext] - RLS context for the technicians resource
+   * @param {number} [options.limit=10] - Maximum candidates to return
+   * @returns {Promise<Object[]>} Candidates sorted best-first
+   */
+  static async findCandidates(workOrder, options = {}) {
+    const { rlsContext = null, limit = 10 } = options;
+    const requiredSkillIds = workOrder.required_skills || [];
+
+    const params = [requiredSkillIds, workOrder.id, ACTIVE_WORK_ORDER_STATUSES];
+    const rlsResult = buildRLSFilter(
+      rlsContext,
+      technicianMetadata,
+      params.length,
+    );
+    const rlsClause = rlsResult.clause ? `AND ${rlsResult.clause}` : '';
+    params.push(...rlsResult.params);
+
+    const query = `
+      SELECT
+        t.id, t.first_name, t.last_name, t.email, t.availability,
+        COALESCE(sk.matched_skill_ids, '{}') AS matched_skill_ids,
+        COALESCE(sk.proficiencies, '{}') AS proficiencies,
+        cert.valid_certifications,
+        cert.expired_certifications,
+        wl.active_work_orders
+      FROM technicians t
+      LEFT JOIN LATERAL (
+        SELECT
+          array_agg(ts.skill_id ORDER BY ts.skill_id) AS matched_skill_ids,
+          array_agg(ts.proficiency ORDER BY ts.skill_id) AS proficiencies
+        FROM technician_skills ts
+        WHERE ts.technician_id = t.id
+          AND ts.is_active = true
+          AND ts.skill_id = ANY($1::int[])
+      ) sk ON true
+      LEFT JOIN LATERAL (
+        SELECT
+          COUNT(*) FILTER (
+            WHERE tc.expiry_date IS NULL OR tc.expiry_date >= CURRENT_DATE
+          )::int AS valid_certifications,
+          COUNT(*) FILTER (
+            WHERE tc.expiry_date < CURRENT_DATE
+          )::int AS expired_certifications
+        FROM technician_certifications tc
+        WHERE tc.technician_id = t.id AND tc.is_active = true
+      ) cert ON true
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*)::int AS active_work_orders
+        FROM work_orders w
+        WHERE w.assigned_technician_id = t.id
+          AND w.id <> $2
+          AND w.status = ANY($3::text[])
+      ) wl ON true
+      WHERE t.is_active = true
+        AND t.status = 'active'
+        AND t.availability = 'available'
+        ${rlsClause}
+    `;
+
+    const result = await db.query(query, params);
+
+    return result.rows
+      .map((row) => ({
+        technician: {
+          id: row.id,
+          first_name: row.first_name,
+          last_name: row.last_name,
+          email: row.email,
+          availability: row.availability,
+        },
+        ...this.scoreCandidate(row, requiredSkillIds),
+        validCertifications: row.valid_certifications,
+        expiredCertifications: row.expired_certifications,
+        activeWorkOrders: row.active_work_orders,
+      }))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          a.activeWorkOrders - b.activeWorkOrders ||
+          a.technician.id - b.technician.id,
+      )
+      .slice(0, limit);
+  }
+}
+
+module.exports = TechnicianMatchingService;
@@ -0,0 +1,532 @@
+/**
+ * Time Entry Service
+ *
+ * SRP LITERALISM: ONLY clocks technicians in and out of work orders and
+ * summarises the resulting time_entries into timesheets and billable time
+ *
+ * PHILOSOPHY:
+ * - ONE OPEN ENTRY: A technician is on the clock for at most one work order
+ *   at a time (409 ALREADY_CLOCKED_IN; backed by a partial unique index)
+ * - ONE TRANSACTION: The technician and work order rows are locked
+ *   (FOR UPDATE) while the entry is opened or closed, so a double-tap
+ *   cannot open two entries or race the status change
+ * - SIDE EFFECTS: Clocking in moves an assigned work order to in_progress
+ *   (through GenericEntityService.update on the same transaction, so the
+ *   status transition rules and the update audit apply) and sets the
+ *   technician's availability to on_job; clocking out puts availability
+ *   back to available (unless someone changed it meanwhile). The new entry
+ *   and every row changed are published as entity events once the
+ *   transaction commits.
+ * - SELF BY DEFAULT: The technician is the caller's linked technician
+ *   profile. Clocking someone else in or out takes dispatcher+.
+ * - ASSIGNED ONLY: Only the work order's assigned technician can clock in
+ *   on it (409 NOT_ASSIGNED)
+ * - WORKED TIME: ended_at - started_at - break_minutes, whole minutes;
+ *   open entries are not counted in timesheets until they are closed
+ *
+ * USAGE:
+ *   const { time_entry } = await TimeEntryService.clockIn(42, {},
+ *     { userId: 7, userRole: 'technician', auditContext },
+ *   );
+ *   await TimeEntryService.clockOut(42, { break_minutes: 30 },
+ *     { userId: 7, userRole: 'technician', auditContext },
+ *   );
+ *   const sheet = await TimeEntryService.getTimesheet({ from, to, period: 'week' });
+ */
+
+const db = require('../db/connection');
+const { withTransaction } = require('../db/helpers/transaction-helper');
+const { logEntityEvent } = require('../db/helpers/audit-helper');
+const { TIME_TRACKING, ENTITY_EVENTS } = require('../config/constants');
+const { AuditActions } = require('./audit-constants');
+const EntityEvents = require('./entity-events');
+const GenericEntityService = require('./generic-entity-service');
+const { hasMinimumRole } = require('../config/permissions-loader');
+const AppError = require('../utils/app-error');
+
+/**
+ * Minimum role allowed to clock another technician in or out
+ */
+const CLOCK_OTHERS_ROLE = 'dispatcher';
+
+/**
+ * Work order statuses a technician can clock in on. Assigned work orders
+ * move to in_progress on the first clock-in.
+ */
+const CLOCK_IN_STATUSES = ['assigned', 'in_progress'];
+
+/**
+ * Worked minutes of a closed entry (never negative)
+ * @private
+ */
+const WORKED_MINUTES_SQL =
+  'GREATEST(FLOOR(EXTRACT(EPOCH FROM (e.ended_at - e.started_at)) / 60) - e.break_minutes, 0)';
+
+class TimeEntryService {
+  /**
+   * Put a technician on the clock for a work order
+   *
+   * @param {number} workOrderId - Work order ID
+   * @param {Object} [entry]
+   * @param {number} [entry.technician_id] - Defaults to the caller's technician profile
+   * @param {string} [entry.notes] - Note on the entry
+   * @param {Object} [options]
+   * @param {number} [options.userId] - Acting user (resolves the default technician)
+   * @param {string} [options.userRole] - Acting role, checked when clocking in someone else
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<Object>} { time_entry, work_order: { id, status },
+   *   technician: { id, availability } }
+   * @throws {AppError} 400 if no technician is given or linked, or it is not active
+   * @throws {AppError} 403 if clocking in someone else below dispatcher
+   * @throws {AppError} 404 if the technician or work order is not found
+   * @throws {AppError} 409 INVALID_STATUS_TRANSITION if the work order is not
+   *   assigned or in progress
+   * @throws {AppError} 409 NOT_ASSIGNED if the technician is not the one
+   *   assigned to the work order
+   * @throws {AppError} 409 ALREADY_CLOCKED_IN if the technician has an open entry
+   */
+  static async clockIn(workOrderId, entry = {}, options = {}) {
+    const { technician_id: technicianId, notes = null } = entry;
+    const { auditContext, userRole } = options;
+
+    const result = await withTransaction(async (client) => {
+      const technician = await this.lockTechnician(
+        client,
+        technicianId,
+        options,
+      );
+
+      const woResult = await client.query(
+        'SELECT * FROM work_orders WHERE id = $1 FOR UPDATE',
+        [workOrderId],
+      );
+      const workOrder = woResult.rows[0];
+
+      if (!workOrder) {
+        throw new AppError('Work order not found', 404, 'NOT_FOUND');
+      }
+      if (!workOrder.is_active) {
+        throw new AppError(
+          `Work order ${workOrder.work_order_number} is not active`,
+          400,
+          'BAD_REQUEST',
+        );
+      }
+      if (!CLOCK_IN_STATUSES.includes(workOrder.status)) {
+        throw new AppError(
+          `Cannot clock in on a work order that is '${workOrder.status}'`,
+          409,
+          'INVALID_STATUS_TRANSITION',
+          { status: workOrder.status, allowed: CLOCK_IN_STATUSES },
+        );
+      }
+      if (workOrder.assigned_technician_id !== technician.id) {
+        throw new AppError(
+          `Technician ${technician.id} is not assigned to work order ${workOrder.work_order_number}`,
+          409,
+          'NOT_ASSIGNED',
+          {
+            technician_id: technician.id,
+            assigned_technician_id: workOrder.assigned_technician_id,
+          },
+        );
+      }
+
+      const openResult = await client.query(
+        `SELECT id, work_order_id FROM time_entries
+         WHERE technician_id = $1 AND ended_at IS NULL`,
+        [technician.id],
+      );
+      const open = openResult.rows[0];
+
+      if (open) {
+        throw new AppError(
+          `Technician ${technician.id} is already clocked in on work order ${open.work_order_id}`,
+          409,
+          'ALREADY_CLOCKED_IN',
+          { time_entry_id: open.id, work_order_id: open.work_order_id },
+        );
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO time_entries (technician_id, work_order_id, started_at, notes)
+         VALUES ($1, $2, CURRENT_TIMESTAMP, $3)
+         RETURNING *`,
+        [technician.id, workOrder.id, notes || null],
+      );
+      const changes = [
+        {
+          entity: 'time_entry',
+          action: ENTITY_EVENTS.CREATED,
+          record: inserted.rows[0],
+        },
+      ];
+
+      if (technician.availability !== 'on_job') {
+        changes.push(await this._setAvailability(client, technician, 'on_job'));
+      }
+
+      // Last write in the transaction: update() audits straight away
+      if (workOrder.status === 'assigned') {
+        await GenericEntityService.update(
+          'work_order',
+          workOrder.id,
+          { status: 'in_progress' },
+          { client, changes, auditContext, userRole },
+        );
+      }
+
+      return { timeEntry: inserted.rows[0], workOrder, technician, changes };
+    });
+
+    const { timeEntry, workOrder, technician, changes } = result;
+
+    if (auditContext) {
+      await logEntityEvent(
+        AuditActions.TIME_CLOCK_IN,
+        'time_entry',
+        timeEntry,
+        auditContext,
+        {
+          oldValues: { availability: technician.availability },
+          newValues: {
+            technician_id: timeEntry.technician_id,
+            work_order_id: timeEntry.work_order_id,
+            started_at: timeEntry.started_at,
+            availability: 'on_job',
+          },
+        },
+      );
+    }
+
+    await EntityEvents.publishAll(changes, auditContext?.userId ?? null);
+
+    return {
+      time_entry: timeEntry,
+      work_order: { id: workOrder.id, status: 'in_progress' },
+      technician: { id: technician.id, availability: 'on_job' },
+    };
+  }
+
+  /**
+   * Take a technician off the clock for a work order
+   *
+   * @param {number} workOrderId - Work order ID
+   * @param {Object} [entry]
+   * @param {number} [entry.technician_id] - Defaults to the caller's technician profile
+   * @param {number} [entry.break_minutes] - Unpaid break taken during the stint
+   * @param {boolean} [entry.is_billable] - Override the billable flag
+   * @param {string} [entry.notes] - Replaces the entry's note
+   * @param {Object} [options] - Same as clockIn
+   * @returns {Promise<Object>} { time_entry (with worked_minutes),
+   *   technician: { id, availability } }
+   * @throws {AppError} 400 if the break is longer than the time on the clock
+   * @throws {AppError} 403 if clocking out someone else below dispatcher
+   * @throws {AppError} 404 if the technician is not found
+   * @throws {AppError} 409 NOT_CLOCKED_IN if there is no open entry on this work order
+   */
+  static async clockOut(workOrderId, entry = {}, options = {}) {
+    const {
+      technician_id: technicianId,
+      break_minutes: breakMinutes = null,
+      is_billable: isBillable = null,
+      notes = null,
+    } = entry;
+    const { auditContext } = options;
+
+    const { timeEntry, technician, availability, changes } =
+      await withTransaction(async (client) => {
+        const technician = await this.lockTechnician(
+          client,
+          technicianId,
+          options,
+        );
+
+        const updated = await client.query(
+          `UPDATE time_entries e
+           SET ended_at = GREATEST(CURRENT_TIMESTAMP, e.started_at),
+               break_minutes = COALESCE($3, e.break_minutes),
+               is_billable = COALESCE($4, e.is_billable),
+               notes = COALESCE($5, e.notes)
+           WHERE e.technician_id = $1 AND e.work_order_id = $2
+             AND e.ended_at IS NULL
+           RETURNING e.*, ${WORKED_MINUTES_SQL}::int AS worked_minutes,
+             FLOOR(EXTRACT(EPOCH FROM (e.ended_at - e.started_at)) / 60)::int AS elapsed_minutes`,
+          [technician.id, workOrderId, breakMinutes, isBillable, notes || null],
+        );
+        const closed = updated.rows[0];
+
+        if (!closed) {
+          throw new AppError(
+            `Technician ${technician.id} is not clocked in on work order ${workOrderId}`,
+            409,
+            'NOT_CLOCKED_IN',
+          );
+        }
+        if (closed.break_minutes > closed.elapsed_minutes) {
+          throw new AppError(
+            `Break of ${closed.break_minutes} minutes is longer than the ${closed.elapsed_minutes} minutes on the clock`,
+            400,
+            'BAD_REQUEST',
+          );
+        }
+
+        const { elapsed_minutes: _elapsed, ...timeEntry } = closed;
+        const changes = [
+          {
+            entity: 'time_entry',
+            action: ENTITY_EVENTS.UPDATED,
+            record: timeEntry,
+          },
+        ];
+
+        let availability = technician.availability;
+        if (availability === 'on_job') {
+          changes.push(
+            await this._setAvailability(client, technician, 'available'),
+          );
+          availability = 'available';
+        }
+
+        return { timeEntry, technician, availability, changes };
+      });
+
+    if (auditContext) {
+      await logEntityEvent(
+        AuditActions.TIME_CLOCK_OUT,
+        'time_entry',
+        timeEntry,
+        auditContext,
+        {
+          oldValues: { ended_at: null, availability: technician.availability },
+          newValues: {
+            ended_at: timeEntry.ended_at,
+            break_minutes: timeEntry.break_minutes,
+            worked_minutes: timeEntry.worked_minutes,
+            availability,
+          },
+        },
+      );
+    }
+
+    await EntityEvents.publishAll(changes, auditContext?.userId ?? null);
+
+    return {
+      time_entry: timeEntry,
+      technician: { id: technician.id, availability },
+    };
+  }
+
+  /**
+   * Worked and billable time per technician per period
+   *
+   * Only closed, active entries count; an entry belongs to the period its
+   * started_at falls in. billable_amount uses the technician's current
+   * hourly_rate (null when no rate is set).
+   *
+   * @param {Object} options
+   * @param {Date} options.from - Window start (inclusive, by started_at)
+   * @param {Date} options.to - Window end (exclusive)
+   * @param {string} [options.period='week'] - 'day', 'week' or 'month'
+   * @param {number} [options.technicianId] - Limit to one technician
+   * @returns {Promise<Object>} { from, to, period, rows: [{ technician_id,
+   *   first_name, last_name, hourly_rate, period_start, entries,
+   *   worked_minutes, billable_minutes, worked_hours, billable_hours,
+   *   billable_amount }], totals: { entries, worked_minutes,
+   *   billable_minutes, billable_amount } }
+   * @throws {AppError} 400 if period is not supported
+   */
+  static async getTimesheet(options) {
+    const {
+      from,
+      to,
+      period = TIME_TRACKING.TIMESHEET_DEFAULT_PERIOD,
+      technicianId = null,
+    } = options;
+
+    if (!TIME_TRACKING.TIMESHEET_PERIODS.includes(period)) {
+      throw new AppError(
+        `period must be one of: ${TIME_TRACKING.TIMESHEET_PERIODS.join(', ')}`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    const params = [period, from, to];
+    let technicianClause = '';
+    if (technicianId !== null) {
+      params.push(technicianId);
+      technicianClause = `AND e.technician_id = $${params.length}`;
+    }
+
+    const result = await db.query(
+      `SELECT t.id AS technician_id, t.first_name, t.last_name, t.hourly_rate,
+              date_trunc($1, e.started_at) AS period_start,
+              COUNT(*)::int AS entries,
+              SUM(${WORKED_MINUTES_SQL})::int AS worked_minutes,
+              SUM(CASE WHEN e.is_billable THEN ${WORKED_MINUTES_SQL} ELSE 0 END)::int AS billable_minutes
+       FROM time_entries e
+       JOIN technicians t ON t.id = e.technician_id
+       WHERE e.is_active = true
+         AND e.ended_at IS NOT NULL
+         AND e.started_at >= $2 AND e.started_at < $3
+         ${technicianClause}
+       GROUP BY t.id, period_start
+       ORDER BY period_start, t.last_name, t.first_name`,
+      params,
+    );
+
+    const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+    const totals = {
+      entries: 0,
+      worked_minutes: 0,
+      billable_minutes: 0,
+      billable_amount: 0,
+    };
+
+    const rows = result.rows.map((row) => {
+      const rate = row.hourly_rate === null ? null : Number(row.hourly_rate);
+      const billableAmount =
+        rate === null
+          ? null
+          : Math.round((row.billable_minutes / 60) * rate * 100) / 100;
+
+      totals.entries += row.entries;
+      totals.worked_minutes += row.worked_minutes;
+      totals.billable_minutes += row.billable_minutes;
+      totals.billable_amount += billableAmount || 0;
+
+      return {
+        ...row,
+        hourly_rate: rate,
+        worked_hours: toHours(row.worked_minutes),
+        billable_hours: toHours(row.billable_minutes),
+        billable_amount: billableAmount,
+      };
+    });
+    totals.billable_amount = Math.round(totals.billable_amount * 100) / 100;
+
+    return { from, to, period, rows, totals };
+  }
+
+  /**
+   * Billable time on one work order, per technician
+   *
+   * Same rules as timesheets: only closed, active, billable entries count.
+   * Runs on the caller's client so invoicing reads it inside its transaction.
+   *
+   * @param {Object} client - Database client (or pool)
+   * @param {number} workOrderId - Work order ID
+   * @returns {Promise<Array>} [{ technician_id, first_name, last_name,
+   *   hourly_rate, entries, billable_minutes }] (hourly_rate null when unset)
+   */
+  static async getBillableTime(client, workOrderId) {
+    const result = await client.query(
+      `SELECT t.id AS technician_id, t.first_name, t.last_name, t.hourly_rate,
+              COUNT(*)::int AS entries,
+              SUM(${WORKED_MINUTES_SQL})::int AS billable_minutes
+       FROM time_entries e
+       JOIN technicians t ON t.id = e.technician_id
+       WHERE e.work_order_id = $1
+         AND e.is_active = true
+         AND e.is_billable = true
+         AND e.ended_at IS NOT NULL
+       GROUP BY t.id
+       ORDER BY t.last_name, t.first_name`,
+      [workOrderId],
+    );
+
+    return result.rows.map((row) => ({
+      ...row,
+      hourly_rate: row.hourly_rate === null ? null : Number(row.hourly_rate),
+    }));
+  }
+
+  /**
+   * Resolve and lock the technician being clocked in or out
+   *
+   * With no technician_id the caller's linked technician profile is used.
+   * Naming a technician other than yourself takes dispatcher+.
+   *
+   * @param {Object} client - Transaction client
+   * @param {number} [technicianId] - Requested technician
+   * @param {Object} options - { userId, userRole }
+   * @returns {Promise<Object>} The locked technicians row
+   * @throws {AppError} 400 if none given and none linked, or not active
+   * @throws {AppError} 403 if naming someone else below dispatcher
+   * @throws {AppError} 404 if not found
+   */
+  static async lockTechnician(client, technicianId, options = {}) {
+    const { userId = null, userRole } = options;
+    const requested = technicianId ?? null;
+    const canClockOthers = hasMinimumRole(userRole, CLOCK_OTHERS_ROLE);
+
+    let ownId = null;
+    if (userId !== null && (requested === null || !canClockOthers)) {
+      const userResult = await client.query(
+        'SELECT technician_profile_id FROM users WHERE id = $1',
+        [userId],
+      );
+      ownId = userResult.rows[0]?.technician_profile_id ?? null;
+    }
+
+    if (requested === null && ownId === null) {
+      throw new AppError(
+        'technician_id is required: your account is not linked to a technician profile',
+        400,
+        'BAD_REQUEST',
+      );
+    }
+    if (requested !== null && requested !== ownId && !canClockOthers) {
+      throw new AppError(
+        `Clocking in or out for another technician requires ${CLOCK_OTHERS_ROLE} role or higher`,
+        403,
+        'FORBIDDEN',
+      );
+    }
+
+    const result = await client.query(
+      'SELECT * FROM technicians WHERE id = $1 FOR UPDATE',
+      [requested ?? ownId],
+    );
+    const technician = result.rows[0];
+
+    if (!technician) {
+      throw new AppError('Technician not found', 404, 'NOT_FOUND');
+    }
+    if (!technician.is_active || technician.status !== 'active') {
+      throw new AppError(
+        `Technician ${technician.id} is not active`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    return technician;
+  }
+
+  /**
+   * Set a locked technician's availability
+   *
+   * @private
+   * @param {Object} client - Transaction client
+   * @param {Object} technician - Row from lockTechnician()
+   * @param {string} availability - New availability
+   * @returns {Promise<Object>} The change to publish ({ entity, action,
+   *   record, previous })
+   */
+  static async _setAvailability(client, technician, availability) {
+    const updated = await client.query(
+      'UPDATE technicians SET availability = $2 WHERE id = $1 RETURNING *',
+      [technician.id, availability],
+    );
+    return {
+      entity: 'technician',
+      action: ENTITY_EVENTS.UPDATED,
+      record: updated.rows[0],
+      previous: technician,
+    };
+  }
+}
+
+module.exports = TimeEntryService;
@@ -0,0 +1,490 @@
+/**
+ * Webhook Service
+ *
+ * SRP LITERALISM: ONLY queues and delivers outbound webhooks for entity
+ * events (webhook_subscriptions -> webhook_deliveries)
+ *
+ * PHILOSOPHY:
+ * - ONE ROW PER DELIVERY: Every create/update/delete on the entity events
+ *   bus that matches an active subscription (its events and entity filter)
+ *   becomes a webhook_deliveries row with the payload as it will be sent,
+ *   inserted together with its 'webhook.deliver' background job
+ * - SIGNED: Each attempt is POSTed with the event type, event ID, delivery
+ *   ID and a Unix timestamp, signed with the subscription secret:
+ *   X-Tross-Signature: sha256=HMAC_SHA256(secret, "<timestamp>.<body>")
+ *   Receivers recompute it over the raw body and reject old timestamps
+ * - RETRIES: A non-2xx answer, a timeout or a network error fails the
+ *   attempt; the job queue retries it with exponential backoff. After
+ *   WEBHOOKS.MAX_ATTEMPTS the row is 'failed'. The row keeps the last
+ *   response code, body and error
+ * - REDELIVER: Admins send any finished delivery again; the copy keeps the
+ *   event ID (receivers can dedupe) and points at the original
+ *
+ * PAYLOAD:
+ *   { id, type: '<entity>.<action>', created_at, entity, action, actor_id,
+ *     data: { id, record, previous } }
+ *   record is the row after the change (null when deleted); previous is the
+ *   row before it (updates and deletes)
+ *
+ * USAGE:
+ *   WebhookService.register();                 // server.js, once
+ *   await WebhookService.list({ status: 'failed' });
+ *   await WebhookService.redeliver(deliveryId, adminId);
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const EntityEvents = require('./entity-events');
+const JobQueueService = require('./job-queue-service');
+const { WEBHOOKS, ENTITY_EVENTS } = require('../config/constants');
+const AppError = require('../utils/app-error');
+const { logger } = require('../config/logger');
+
+/**
+ * EntityEvents subscriber name
+ */
+const SUBSCRIBER = 'webhooks';
+
+/**
+ * Background job type that delivers one webhook_deliveries row
+ * (config/job-types.js)
+ */
+const DELIVER_JOB = 'webhook.deliver';
+
+/**
+ * Columns returned by list() and redeliver() (payload left out)
+ */
+const LIST_COLUMNS = `id, subscription_id, event_id, event_type, status,
+       attempts, response_status, response_body, last_error, duration_ms,
+       delivered_at, redelivery_of, created_at, updated_at`;
+
+class WebhookService {
+  /**
+   * Queue webhooks for every entity change
+   */
+  static register() {
+    EntityEvents.subscribe(SUBSCRIBER, (event) => this.dispatch(event));
+  }
+
+  /**
+   * Stop queueing webhooks
+   */
+  static unregister() {
+    EntityEvents.unsubscribe(SUBSCRIBER);
+  }
+
+  /**
+   * Queue one delivery per active subscription that wants the event
+   *
+   * @param {Object} event - EntityEvents event
+   * @returns {Promise<number>} Deliveries queued
+   */
+  static async dispatch(event) {
+    if (!WEBHOOKS.EVENTS.includes(event.action)) {
+      return 0;
+    }
+
+    const result = await db.query(
+      `SELECT id FROM webhook_subscriptions
+       WHERE is_active = true
+         AND $1 = ANY(events)
+         AND (cardinality(entities) = 0 OR $2 = ANY(entities))`,
+      [event.action, event.entity],
+    );
+    if (result.rows.length === 0) {
+      return 0;
+    }
+
+    const payload = this.buildPayload(event);
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      for (const subscription of result.rows) {
+        const inserted = await client.query(
+          `INSERT INTO webhook_deliveries
+             (subscription_id, event_id, event_type, payload)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+          [subscription.id, payload.id, payload.type, payload],
+        );
+        await JobQueueService.enqueue(
+          DELIVER_JOB,
+          { deliveryId: inserted.rows[0].id },
+          { client },
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Webhooks queued', {
+      event: payload.type,
+      id: event.id,
+      count: result.rows.length,
+    });
+    return result.rows.length;
+  }
+
+  /**
+   * Payload sent for an entity event (see PAYLOAD)
+   *
+   * @param {Object} event - EntityEvents event
+   * @returns {Object} Payload with a new event ID
+   */
+  static buildPayload(event) {
+    return {
+      id: crypto.randomUUID(),
+      type: `${event.entity}.${event.action}`,
+      created_at: new Date().toISOString(),
+      entity: event.entity,
+      action: event.action,
+      actor_id: event.actorId ?? null,
+      data: {
+        id: event.id,
+        record:
+          event.action === ENTITY_EVENTS.DELETED ? null : event.record || null,
+        previous: event.previous || null,
+      },
+    };
+  }
+
+  /**
+   * Signature header value for a request body
+   *
+   * @param {string} secret - Subscription secret
+   * @param {number|string} timestamp - Unix seconds (X-Tross-Timestamp)
+   * @param {string} body - Raw JSON body
+   * @returns {string} 'sha256=<hex>'
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac(WEBHOOKS.SIGNATURE_ALGORITHM, secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `${WEBHOOKS.SIGNATURE_ALGORITHM}=${digest}`;
+  }
+
+  /**
+   * POST one delivery and record the outcome (the 'webhook.deliver' job
+   * handler)
+   *
+   * @param {number} deliveryId - webhook_deliveries row ID
+   * @param {Object} job - Background job context (attempt, maxAttempts)
+   * @returns {Promise<Object>} { delivered: true, status } or { skipped }
+   * @throws {Error} To retry the attempt
+   */
+  static async deliver(deliveryId, job) {
+    const result = await db.query(
+      `SELECT d.id, d.event_id, d.event_type, d.payload, d.status,
+              s.url, s.secret, s.is_active
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.id = $1`,
+      [deliveryId],
+    );
+    const delivery = result.rows[0];
+    if (!delivery) {
+      throw new AppError(
+        `Webhook delivery ${deliveryId} not found`,
+        404,
+        'NOT_FOUND',
+      );
+    }
+    if (delivery.status !== WEBHOOKS.STATUSES.PENDING) {
+      return { skipped: delivery.status };
+    }
+    if (!delivery.is_active) {
+      await this._recordAttempt(deliveryId, WEBHOOKS.STATUSES.FAILED, {
+        error: 'Subscription is inactive',
+      });
+      return { skipped: 'inactive' };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await this._post(delivery.url, body, {
+        [WEBHOOKS.HEADERS.EVENT]: delivery.event_type,
+        [WEBHOOKS.HEADERS.EVENT_ID]: delivery.event_id,
+        [WEBHOOKS.HEADERS.DELIVERY]: String(delivery.id),
+        [WEBHOOKS.HEADERS.TIMESTAMP]: String(timestamp),
+        [WEBHOOKS.HEADERS.SIGNATURE]: this.sign(
+          delivery.secret,
+          timestamp,
+          body,
+        ),
+      });
+    } catch (error) {
+      const message =
+        error.name === 'TimeoutError'
+          ? `No response within ${WEBHOOKS.TIMEOUT_MS / 1000}s`
+          : error.cause?.message || error.message; // fetch wraps socket errors
+      await this._recordAttempt(deliveryId, this._retryStatus(job), {
+        error: message,
+        durationMs: Date.now() - startedAt,
+      });
+      throw new Error(message);
+    }
+
+    const outcome = {
+      responseStatus: response.status,
+      responseBody: response.body,
+      durationMs: Date.now() - startedAt,
+    };
+    if (response.status < 200 || response.status >= 300) {
+      const message = `Receiver answered HTTP ${response.status}`;
+      await this._recordAttempt(deliveryId, this._retryStatus(job), {
+        ...outcome,
+        error: message,
+      });
+      throw new Error(message);
+    }
+
+    await this._recordAttempt(deliveryId, WEBHOOKS.STATUSES.DELIVERED, outcome);
+    return { delivered: true, status: response.status };
+  }
+
+  /**
+   * Deliveries, newest first, with the number of rows per status
+   *
+   * @param {Object} [filters]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=WEBHOOKS.LIST_DEFAULT_LIMIT] - Max LIST_MAX_LIMIT
+   * @param {string} [filters.status] - pending, delivered or failed
+   * @param {number} [filters.subscriptionId]
+   * @returns {Promise<Object>} { data, pagination, counts }
+   * @throws {AppError} 400 for an unknown status or subscription ID
+   */
+  static async list(filters = {}) {
+    const page = Math.max(Number(filters.page) || 1, 1);
+    const limit = Math.min(
+      Math.max(Number(filters.limit) || WEBHOOKS.LIST_DEFAULT_LIMIT, 1),
+      WEBHOOKS.LIST_MAX_LIMIT,
+    );
+    const { status = null } = filters;
+    const subscriptionId =
+      filters.subscriptionId === undefined || filters.subscriptionId === null
+        ? null
+        : Number(filters.subscriptionId);
+
+    if (status && !Object.values(WEBHOOKS.STATUSES).includes(status)) {
+      throw new AppError(
+        `Invalid status '${status}'. Valid: ${Object.values(WEBHOOKS.STATUSES).join(', ')}`,
+        400,
+        'BAD_REQUEST',
+      );
+    }
+    if (
+      subscriptionId !== null &&
+      (!Number.isInteger(subscriptionId) || subscriptionId < 1)
+    ) {
+      throw new AppError(
+        'subscription_id must be a positive integer',
+        400,
+        'BAD_REQUEST',
+      );
+    }
+
+    const params = [];
+    const conditions = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (subscriptionId !== null) {
+      params.push(subscriptionId);
+      conditions.push(`subscription_id = $${params.length}`);
+    }
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT ${LIST_COLUMNS}
+         FROM webhook_deliveries
+         ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit],
+      ),
+      db.query(
+        `SELECT status, COUNT(*)::int AS count
+         FROM webhook_deliveries
+         ${subscriptionId !== null ? 'WHERE subscription_id = $1' : ''}
+         GROUP BY status`,
+        subscriptionId !== null ? [subscriptionId] : [],
+      ),
+    ]);
+
+    const counts = Object.fromEntries(
+      Object.values(WEBHOOKS.STATUSES).map((value) => [value, 0]),
+    );
+    for (const row of countResult.rows) {
+      counts[row.status] = row.count;
+    }
+    const total = status
+      ? counts[status]
+      : Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+      counts,
+    };
+  }
+
+  /**
+   * Send a finished delivery again as a new delivery of the same event
+   *
+   * @param {number} deliveryId - webhook_deliveries row ID
+   * @param {number} [userId] - Admin redelivering it (job submitter)
+   * @returns {Promise<Object>} The new delivery row (pending)
+   * @throws {AppError} 404 if missing, 409 WEBHOOK_DELIVERY_PENDING while
+   *   the original is still being attempted
+   */
+  static async redeliver(deliveryId, userId = null) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'SELECT status FROM webhook_deliveries WHERE id = $1 FOR UPDATE',
+        [deliveryId],
+      );
+      if (result.rows.length === 0) {
+        throw new AppError('Webhook delivery not found', 404, 'NOT_FOUND');
+      }
+      if (result.rows[0].status === WEBHOOKS.STATUSES.PENDING) {
+        throw new AppError(
+          'This delivery is still being attempted',
+          409,
+          'WEBHOOK_DELIVERY_PENDING',
+        );
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO webhook_deliveries
+           (subscription_id, event_id, event_type, payload, redelivery_of)
+         SELECT subscription_id, event_id, event_type, payload, id
+         FROM webhook_deliveries
+         WHERE id = $1
+         RETURNING ${LIST_COLUMNS}`,
+        [deliveryId],
+      );
+      const delivery = inserted.rows[0];
+      await JobQueueService.enqueue(
+        DELIVER_JOB,
+        { deliveryId: delivery.id },
+        { client, submittedBy: userId },
+      );
+      await client.query('COMMIT');
+
+      logger.info('Webhook redelivery queued', {
+        deliveryId: delivery.id,
+        redeliveryOf: deliveryId,
+        userId,
+      });
+      return delivery;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete delivered rows older than the retention period
+   *
+   * @param {number} [days=WEBHOOKS.RETENTION_DAYS]
+   * @returns {Promise<number>} Rows deleted
+   */
+  static async cleanupDelivered(days = WEBHOOKS.RETENTION_DAYS) {
+    const result = await db.query(
+      `DELETE FROM webhook_deliveries
+       WHERE status = $1
+         AND delivered_at < NOW() - $2::int * INTERVAL '1 day'`,
+      [WEBHOOKS.STATUSES.DELIVERED, days],
+    );
+    return result.rowCount;
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * POST a JSON body; redirects are not followed (a 3xx fails the attempt)
+   *
+   * @private
+   * @returns {Promise<Object>} { status, body } (body truncated)
+   * @throws {Error} On network errors and timeouts (name 'TimeoutError')
+   */
+  static async _post(url, body, headers) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': WEBHOOKS.USER_AGENT,
+        ...headers,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOKS.TIMEOUT_MS),
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      status: response.status,
+      body: text.slice(0, WEBHOOKS.RESPONSE_BODY_MAX_LENGTH),
+    };
+  }
+
+  /**
+   * Status after a failed attempt: retried until the job's last attempt
+   * @private
+   */
+  static _retryStatus(job) {
+    return job.attempt >= job.maxAttempts
+      ? WEBHOOKS.STATUSES.FAILED
+      : WEBHOOKS.STATUSES.PENDING;
+  }
+
+  /**
+   * Record one attempt on the delivery row
+   * @private
+   */
+  static async _recordAttempt(deliveryId, status, outcome) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = attempts + 1,
+           response_status = $3, response_body = $4, last_error = $5,
+           duration_ms = $6,
+           delivered_at = CASE WHEN $7 THEN NOW() END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [
+        deliveryId,
+        status,
+        outcome.responseStatus ?? null,
+        outcome.responseBody ?? null,
+        outcome.error ?? null,
+        outcome.durationMs ?? null,
+        status === WEBHOOKS.STATUSES.DELIVERED,
+      ],
+    );
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,330 @@
+/**
+ * Work Order Part Service
+ *
+ * SRP LITERALISM: ONLY records parts used on a work order and moves the
+ * matching stock in and out of inventory
+ *
+ * PHILOSOPHY:
+ * - ONE TRANSACTION: The inventory row is locked (FOR UPDATE) while the line
+ *   is written, so concurrent jobs drawing the same part cannot oversell it
+ * - LEDGER: Parts are drawn from a stock location (the default location
+ *   unless stock_location_id is given) as a consumption movement; removing
+ *   the line records a return to the same location. StockMovementService
+ *   keeps the inventory.quantity roll-up and status in step.
+ * - COST SNAPSHOT: unit_cost is copied from inventory when the part is used
+ * - NO NEGATIVE STOCK: A line that would take the location below zero is
+ *   refused with 409 INSUFFICIENT_STOCK unless a manager forces it (audited,
+ *   and the line is marked stock_override)
+ * - STOCK STATUS: Taking an item below its reorder level notifies managers
+ *   once the transaction has committed
+ * - EVENTS: The line, its stock movement and the inventory row are
+ *   published as entity events once the transaction has committed
+ *
+ * USAGE:
+ *   const { part, inventory } = await WorkOrderPartService.addPart(42,
+ *     { inventory_id: 7, quantity: 2 },
+ *     { userRole: 'technician', auditContext },
+ *   );
+ *   await WorkOrderPartService.removePart(42, part.id, { auditContext });
+ */
+
+const GenericEntityService = require('./generic-entity-service');
+const StockMovementService = require('./stock-movement-service');
+const { withTransaction } = require('../db/helpers/transaction-helper');
+const { logEntityEvent } = require('../db/helpers/audit-helper');
+const {
+  crossedBelowReorder,
+  alertBelowReorder,
+} = require('../db/helpers/stock-status-helper');
+const inventoryMetadata = require('../config/models/inventory-metadata');
+const { STOCK_MOVEMENT_TYPES, ENTITY_EVENTS } = require('../config/constants');
+const { AuditActions } = require('./audit-constants');
+const EntityEvents = require('./entity-events');
+const { hasMinimumRole } = require('../config/permissions-loader');
+const { logger } = require('../config/logger');
+const AppError = require('../utils/app-error');
+
+/**
+ * Minimum role allowed to take stock below zero
+ */
+const STOCK_OVERRIDE_ROLE = 'manager';
+
+class WorkOrderPartService {
+  /**
+   * List the parts used on a work order
+   *
+   * @param {number} workOrderId - Work order ID
+   * @param {Object} [pagination] - { page, limit } (GenericEntityService defaults)
+   * @returns {Promise<Object>} findAll result: { data, pagination, appliedFilters }
+   */
+  static async listForWorkOrder(workOrderId, pagination = {}) {
+    return GenericEntityService.findAll('work_order_part', {
+      ...pagination,
+      filters: { work_order_id: workOrderId },
+    });
+  }
+
+  /**
+   * Add a part line and take its quantity out of inventory
+   *
+   * @param {number} workOrderId - Work order ID (caller has checked access)
+   * @param {Object} part
+   * @param {number} part.inventory_id - Inventory item used
+   * @param {number} part.quantity - Quantity used (> 0)
+   * @param {number} [part.stock_location_id] - Location drawn from
+   *   (defaults to the default stock location)
+   * @param {string} [part.notes] - Free-text note
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Allow stock below zero (manager+, audited)
+   * @param {string} [options.userRole] - Acting role, checked when force is needed
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<{part: Object, inventory: Object}>} The new line and the
+   *   item's { id, sku, quantity, status } after the change
+   * @throws {AppError} 404 if the inventory item or location is not found
+   * @throws {AppError} 400 if the inventory item or location is not active
+   * @throws {AppError} 409 INSUFFICIENT_STOCK if the location would go negative
+   * @throws {AppError} 403 if force is needed and the role is below manager
+   */
+  static async addPart(workOrderId, part, options = {}) {
+    const { force = false, userRole, auditContext } = options;
+    const {
+      inventory_id: inventoryId,
+      stock_location_id: stockLocationId,
+      quantity,
+      notes = null,
+    } = part;
+
+    const { item, available, changes, ...result } = await withTransaction(
+      async (client) => {
+        const item = await StockMovementService.lockItem(client, inventoryId);
+        const location = await StockMovementService.resolveLocation(
+          client,
+          stockLocationId,
+        );
+        const available = await StockMovementService.getOnHand(
+          client,
+          item.id,
+          location.id,
+        );
+
+        const stockOverride = available - quantity < 0;
+
+        if (stockOverride && !force) {
+          throw new AppError(
+            `Insufficient stock for ${item.sku} at ${location.name}: ${available} available, ${quantity} requested`,
+            409,
+            'INSUFFICIENT_STOCK',
+            {
+              inventory_id: item.id,
+              location_id: location.id,
+              available,
+              requested: quantity,
+            },
+          );
+        }
+        if (stockOverride && !hasMinimumRole(userRole, STOCK_OVERRIDE_ROLE)) {
+          throw new AppError(
+            `Only ${STOCK_OVERRIDE_ROLE}s can take stock below zero`,
+            403,
+            'FORBIDDEN',
+          );
+        }
+
+        const { inventory, changes } =
+          await StockMovementService.recordMovement(
+            client,
+            {
+              inventory_id: item.id,
+              movement_type: STOCK_MOVEMENT_TYPES.CONSUMPTION,
+              quantity,
+              from_location_id: location.id,
+              work_order_id: workOrderId,
+            },
+            { auditContext, item },
+          );
+
+        const inserted = await client.query(
+          `INSERT INTO work_order_parts
+             (work_order_id, inventory_id, quantity, unit_cost, notes,
+              stock_override, added_by, stock_location_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [
+            workOrderId,
+            item.id,
+            quantity,
+            item.unit_cost,
+            notes || null,
+            stockOverride,
+            auditContext?.userId || null,
+            location.id,
+          ],
+        );
+
+        return {
+          part: inserted.rows[0],
+          item,
+          available,
+          inventory,
+          changes: [
+            {
+              entity: 'work_order_part',
+              action: ENTITY_EVENTS.CREATED,
+              record: inserted.rows[0],
+            },
+            ...changes,
+          ],
+        };
+      },
+    );
+
+    const after = { ...item, ...result.inventory };
+    if (crossedBelowReorder(inventoryMetadata, item, after)) {
+      await alertBelowReorder(inventoryMetadata, after);
+    }
+
+    await this._auditStockChange(
+      result.part,
+      result.inventory,
+      -quantity,
+      auditContext,
+    );
+
+    if (result.part.stock_override) {
+      logger.warn('Inventory taken below zero by override', {
+        workOrderId,
+        inventoryId: result.inventory.id,
+        quantity: result.inventory.quantity,
+        userId: auditContext?.userId,
+      });
+
+      if (auditContext) {
+        await logEntityEvent(
+          AuditActions.INVENTORY_STOCK_OVERRIDE,
+          'work_order_part',
+          result.part,
+          auditContext,
+          {
+            newValues: {
+              work_order_id: workOrderId,
+              inventory_id: result.inventory.id,
+              stock_location_id: result.part.stock_location_id,
+              requested: quantity,
+              available,
+            },
+          },
+        );
+      }
+    }
+
+    await EntityEvents.publishAll(changes, auditContext?.userId ?? null);
+
+    return result;
+  }
+
+  /**
+   * Remove a part line and return its quantity to the location it came from
+   *
+   * @param {number} workOrderId - Work order ID (caller has checked access)
+   * @param {number} partId - Part line ID
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
+   * @returns {Promise<{part: Object, inventory: Object}>} The removed line and
+   *   the item's { id, sku, quantity, status } after the change
+   * @throws {AppError} 404 if the line does not belong to the work order
+   */
+  static async removePart(workOrderId, partId, options = {}) {
+    const { auditContext } = options;
+
+    const { changes, ...result } = await withTransaction(async (client) => {
+      const deleted = await client.query(
+        'DELETE FROM work_order_parts WHERE id = $1 AND work_order_id = $2 RETURNING *',
+        [partId, workOrderId],
+      );
+      const part = deleted.rows[0];
+
+      if (!part) {
+        throw new AppError(
+          'Part not found on this work order',
+          404,
+          'NOT_FOUND',
+        );
+      }
+
+      // Back to where it was drawn from; lines recorded before stock
+      // locations existed go to the default location
+      const locationId =
+        part.stock_location_id ??
+        (await StockMovementService.resolveLocation(client)).id;
+
+      const { inventory, changes } = await StockMovementService.recordMovement(
+        client,
+        {
+          inventory_id: part.inventory_id,
+          movement_type: STOCK_MOVEMENT_TYPES.RETURN,
+          quantity: part.quantity,
+          to_location_id: locationId,
+          work_order_id: workOrderId,
+        },
+        { auditContext },
+      );
+
+      return {
+        part,
+        inventory,
+        changes: [
+          {
+            entity: 'work_order_part',
+            action: ENTITY_EVENTS.DELETED,
+            record: part,
+            previous: part,
+          },
+          ...changes,
+        ],
+      };
+    });
+
+    await this._auditStockChange(
+      result.part,
+      result.inventory,
+      result.part.quantity,
+      auditContext,
+    );
+
+    await EntityEvents.publishAll(changes, auditContext?.userId ?? null);
+
+    return result;
+  }
+
+  /**
+   * Audit an inventory quantity change made by a part line (non-blocking)
+   *
+   * @private
+   * @param {Object} part - Work order part row
+   * @param {Object} inventory - { id, quantity } after the change
+   * @param {number} delta - Quantity added to (+) or taken from (-) stock
+   * @param {Object} [auditContext] - Audit context (skipped when absent)
+   */
+  static async _auditStockChange(part, inventory, delta, auditContext) {
+    if (!auditContext) {
+      return;
+    }
+
+    await logEntityEvent(
+      AuditActions.INVENTORY_ADJUSTMENT,
+      'inventory',
+      { id: inventory.id },
+      auditContext,
+      {
+        oldValues: { quantity: inventory.quantity - delta },
+        newValues: {
+          quantity: inventory.quantity,
+          work_order_id: part.work_order_id,
+          work_order_part_id: part.id,
+        },
+      },
+    );
+  }
+}
+
+module.exports = WorkOrderPartService;
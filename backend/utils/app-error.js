@@ -8,13 +8,15 @@
  * throw new AppError('User not found', 404, 'NOT_FOUND');
  * throw new AppError('Token expired', 401, 'UNAUTHORIZED');
  * throw new AppError('Email is required', 400, 'BAD_REQUEST');
+ * throw new AppError('Invalid transition', 409, 'CONFLICT', { from, to });
  *
  * Common status codes:
  * - 400: Bad Request (validation, missing fields, invalid input)
  * - 401: Unauthorized (auth failed, token expired)
  * - 403: Forbidden (permission denied)
  * - 404: Not Found (resource doesn't exist)
- * - 409: Conflict (duplicate, already exists)
+ * - 409: Conflict (duplicate, already exists, invalid state transition)
+ * - 422: Unprocessable Entity (well-formed but semantically incomplete)
  * - 500: Internal Server Error (unexpected errors)
  */
 class AppError extends Error {
@@ -22,12 +24,16 @@ class AppError extends Error {
    * @param {string} message - Human-readable error message
    * @param {number} statusCode - HTTP status code (default: 500)
    * @param {string} code - Machine-readable error code (default: 'INTERNAL_ERROR')
+   * @param {Object} [details] - Structured context surfaced as response.details
    */
-  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details) {
     super(message);
     this.name = 'AppError';
     this.statusCode = statusCode;
     this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
 
     // Capture stack trace (excludes constructor from trace)
     Error.captureStackTrace(this, this.constructor);
@@ -0,0 +1,189 @@
+/**
+ * Cron Expression Utility
+ *
+ * Parses five-field cron expressions and matches them against times:
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-6, Sunday = 0 or 7)
+ *   * * * * *
+ *
+ * Each field takes '*', a value, a range 'a-b', any of those followed by a
+ * '/n' step (every n-th value), or a comma-separated list of those. Names
+ * (JAN, MON) and @-aliases are not supported.
+ *
+ * As in classic cron, when both day of month and day of week are
+ * restricted a day matching EITHER runs the job.
+ *
+ * All times are UTC.
+ *
+ * @module utils/cron
+ */
+
+'use strict';
+
+/**
+ * Field order and bounds
+ */
+const FIELDS = Object.freeze([
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+]);
+
+/**
+ * Longest search for a next run (a Feb 29 schedule can be 8 years out)
+ */
+const MAX_SEARCH_YEARS = 8;
+
+/**
+ * Parse one field into the set of values it allows
+ * @private
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: '${text}'`);
+    }
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? min : Number(start);
+    let to = from;
+    if (start === '*') {
+      to = max;
+    } else if (end !== undefined) {
+      to = Number(end);
+    } else if (step !== undefined) {
+      to = max;
+    }
+    const by = step === undefined ? 1 : Number(step);
+
+    if (from < min || to > max || from > to || by < 1) {
+      throw new Error(
+        `Invalid cron ${name} field: '${text}' (allowed ${min}-${max})`,
+      );
+    }
+
+    for (let value = from; value <= to; value += by) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ *
+ * @param {string} expression - e.g. '0 2 * * *' (02:00 UTC daily)
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month,
+ *   dayOfWeek, dayOfMonthRestricted, dayOfWeekRestricted }
+ * @throws {Error} If the expression is malformed or out of range
+ */
+function parseCron(expression) {
+  const parts = String(expression || '')
+    .trim()
+    .split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      `Invalid cron expression '${expression}': expected ${FIELDS.length} fields`,
+    );
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.delete(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Whether a schedule runs on the given UTC day
+ * @private
+ */
+function matchesDay(schedule, date) {
+  const byMonthDay = schedule.dayOfMonth.has(date.getUTCDate());
+  const byWeekDay = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return byMonthDay || byWeekDay;
+  }
+  return byMonthDay && byWeekDay;
+}
+
+/**
+ * Whether a schedule runs in the minute containing a time
+ *
+ * @param {Object|string} schedule - parseCron() result or expression
+ * @param {Date} date - Time to check (seconds are ignored)
+ * @returns {boolean}
+ */
+function matches(schedule, date) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+
+  return (
+    parsed.minute.has(date.getUTCMinutes()) &&
+    parsed.hour.has(date.getUTCHours()) &&
+    parsed.month.has(date.getUTCMonth() + 1) &&
+    matchesDay(parsed, date)
+  );
+}
+
+/**
+ * First minute strictly after a time at which a schedule runs
+ *
+ * @param {Object|string} schedule - parseCron() result or expression
+ * @param {Date} [after=new Date()] - Search start (exclusive)
+ * @returns {Date|null} Start of the next matching minute, or null if none
+ *   within MAX_SEARCH_YEARS (e.g. '0 0 31 2 *')
+ */
+function nextRun(schedule, after = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+
+  const next = new Date(after);
+  next.setUTCSeconds(0, 0);
+  next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+  const limit = new Date(after);
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match
+  while (next <= limit) {
+    if (!parsed.month.has(next.getUTCMonth() + 1)) {
+      next.setUTCMonth(next.getUTCMonth() + 1, 1);
+      next.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, next)) {
+      next.setUTCDate(next.getUTCDate() + 1);
+      next.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(next.getUTCHours())) {
+      next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(next.getUTCMinutes())) {
+      next.setUTCMinutes(next.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return next;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  matches,
+  nextRun,
+};
@@ -0,0 +1,167 @@
+/**
+ * Relative Date Utility
+ *
+ * Resolves the relative date tokens accepted by date and timestamp filters:
+ *
+ *   now                              the current instant
+ *   today, yesterday, tomorrow       a whole day
+ *   this_week, last_week, next_week  a whole ISO week (Monday to Sunday)
+ *   this_month, last_month, ...      a whole calendar month
+ *   this_year, last_year, ...        a whole calendar year
+ *   -7d, +2w, 3m                     an offset from now: h(ours), d(ays),
+ *                                    w(eeks), m(onths) or y(ears); no sign
+ *                                    means the future
+ *
+ * A token resolves to either a point in time or a period [start, end). The
+ * filter builder decides what each operator means for a period (e.g.
+ * `eq: 'this_month'` is "within this month", `lt: 'today'` is "before today").
+ *
+ * All times are UTC.
+ *
+ * @module utils/relative-dates
+ */
+
+'use strict';
+
+/**
+ * Period tokens: this_/last_/next_ + unit
+ */
+const PERIOD_PATTERN = /^(this|last|next)_(week|month|year)$/;
+
+/**
+ * Offset tokens: optional sign, amount, unit. A '+' sent unencoded in a
+ * query string arrives as a space, so the sign is optional.
+ */
+const OFFSET_PATTERN = /^([+-]?)(\d+)([hdwmy])$/;
+
+/**
+ * Named day tokens and their offset from today
+ */
+const DAY_OFFSETS = Object.freeze({ yesterday: -1, today: 0, tomorrow: 1 });
+
+/**
+ * Examples of every token form (for docs and error messages)
+ */
+const RELATIVE_DATE_EXAMPLES = Object.freeze([
+  'now',
+  'today',
+  'yesterday',
+  'tomorrow',
+  'this_week',
+  'last_month',
+  'next_year',
+  '-7d',
+  '+2w',
+]);
+
+/**
+ * Midnight UTC at the start of the day containing a time
+ * @private
+ */
+function startOfDay(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+}
+
+/**
+ * Move a time by an amount of a unit (h, d, w, m, y)
+ * @private
+ */
+function shift(date, amount, unit) {
+  const result = new Date(date);
+  switch (unit) {
+    case 'h':
+      result.setUTCHours(result.getUTCHours() + amount);
+      break;
+    case 'd':
+      result.setUTCDate(result.getUTCDate() + amount);
+      break;
+    case 'w':
+      result.setUTCDate(result.getUTCDate() + amount * 7);
+      break;
+    case 'm':
+      result.setUTCMonth(result.getUTCMonth() + amount);
+      break;
+    default:
+      result.setUTCFullYear(result.getUTCFullYear() + amount);
+  }
+  return result;
+}
+
+/**
+ * Start of the week, month or year containing a time
+ * @private
+ */
+function startOfPeriod(date, unit) {
+  switch (unit) {
+    case 'week': {
+      const day = startOfDay(date);
+      // getUTCDay(): Sunday = 0, ISO weeks start on Monday
+      day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+      return day;
+    }
+    case 'month':
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    default:
+      return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  }
+}
+
+/**
+ * Resolve a relative date token
+ *
+ * @param {*} value - Filter value, e.g. 'today', '-7d', 'this_month'
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object|null} { start, end } where end is null for a point in
+ *   time, or null if the value is not a relative date token
+ */
+function resolveRelativeDate(value, now = new Date()) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const token = value.trim().toLowerCase();
+
+  if (token === 'now') {
+    return { start: new Date(now), end: null };
+  }
+
+  if (token in DAY_OFFSETS) {
+    const start = shift(startOfDay(now), DAY_OFFSETS[token], 'd');
+    return { start, end: shift(start, 1, 'd') };
+  }
+
+  const period = PERIOD_PATTERN.exec(token);
+  if (period) {
+    const [, which, unit] = period;
+    const step = { last: -1, this: 0, next: 1 }[which];
+    const shortUnit = unit.charAt(0);
+    const start = shift(startOfPeriod(now, unit), step, shortUnit);
+    return { start, end: shift(start, 1, shortUnit) };
+  }
+
+  const offset = OFFSET_PATTERN.exec(token);
+  if (offset) {
+    const [, sign, amount, unit] = offset;
+    const signed = sign === '-' ? -Number(amount) : Number(amount);
+    return { start: shift(now, signed, unit), end: null };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a value is a relative date token
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isRelativeDate(value) {
+  return resolveRelativeDate(value) !== null;
+}
+
+module.exports = {
+  RELATIVE_DATE_EXAMPLES,
+  resolveRelativeDate,
+  isRelativeDate,
+};
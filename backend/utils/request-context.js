@@ -55,7 +55,29 @@ function buildAuditContext(req) {
   };
 }
 
+/**
+ * Build audit context for work done by the backend itself (no request)
+ *
+ * audit_logs.user_id stays NULL for system work; the user agent names the
+ * job so its entries can be told apart from dev-token requests.
+ *
+ * @param {string} job - Job name (e.g., 'lifecycle-sweep')
+ * @returns {Object} Audit context { userId: null, ipAddress: null, userAgent }
+ *
+ * @example
+ *   const auditContext = buildSystemAuditContext('lifecycle-sweep');
+ *   await GenericEntityService.update('invoice', 7, { status: 'overdue' }, { auditContext });
+ */
+function buildSystemAuditContext(job) {
+  return {
+    userId: null,
+    ipAddress: null,
+    userAgent: `system:${job}`,
+  };
+}
+
 module.exports = {
   buildRlsContext,
   buildAuditContext,
+  buildSystemAuditContext,
 };
@@ -130,6 +130,25 @@ class ResponseFormatter {
     });
   }
 
+  /**
+   * Response for work handed to the background job queue
+   *
+   * 202 Accepted with a Location header the client polls for status.
+   *
+   * @param {Object} res - Express response object
+   * @param {Object} job - Job status (JobQueueService.toStatus)
+   * @param {string} [message] - Optional message
+   */
+  static accepted(res, job, message = 'Job queued') {
+    res.location(`/api/jobs/${job.id}`);
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      data: job,
+      message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   /**
    * Success response for UPDATE operations
    *
@@ -0,0 +1,327 @@
+/**
+ * SMTP Client Utility
+ *
+ * Sends one message per connection to an SMTP server: greeting, EHLO,
+ * optional AUTH PLAIN, MAIL FROM, RCPT TO, DATA, QUIT.
+ *
+ * Covers what the outbox needs against a relay or a local stand-in such as
+ * MailHog: plain connections (secure = false) or implicit TLS (secure =
+ * true, usually port 465). STARTTLS is not supported.
+ *
+ * Bodies are sent base64-encoded, as multipart/alternative when there is
+ * both a text and an HTML part, so no line-length or 8-bit handling is
+ * needed on the server side.
+ *
+ * A reply with an unexpected code rejects with an SmtpError carrying the
+ * code (responseCode); 5xx codes are permanent, 4xx worth retrying.
+ *
+ * @module utils/smtp-client
+ */
+
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Default socket timeout for any single step
+ */
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Error for a failed SMTP conversation
+ */
+class SmtpError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [responseCode] - SMTP reply code, when the server sent one
+   */
+  constructor(message, responseCode = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.responseCode = responseCode;
+  }
+
+  /**
+   * Whether retrying cannot help (5xx reply)
+   * @returns {boolean}
+   */
+  get permanent() {
+    return this.responseCode !== null && this.responseCode >= 500;
+  }
+}
+
+/**
+ * Bare address from 'Name <address>' or 'address'
+ * @private
+ */
+function addressOf(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * RFC 2047 encoded-word for non-ASCII header values
+ * @private
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 body wrapped at 76 characters
+ * @private
+ */
+function encodeBody(text) {
+  return Buffer.from(text, 'utf8')
+    .toString('base64')
+    .replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build the RFC 5322 message sent after DATA
+ *
+ * @param {Object} message
+ * @param {string} message.from - Sender mailbox
+ * @param {string} message.to - Recipient mailbox
+ * @param {string} message.subject
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @param {Date} [message.date=new Date()]
+ * @returns {string} CRLF-separated message (not dot-stuffed)
+ */
+function buildMessage({ from, to, subject, text, html, date = new Date() }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+  ];
+
+  const part = (type, body) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(body),
+  ];
+
+  if (!html) {
+    return [...headers, ...part('text/plain', text)].join('\r\n');
+  }
+
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...part('text/plain', text),
+    `--${boundary}`,
+    ...part('text/html', html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * One SMTP connection: sends commands and reads replies in order
+ * @private
+ */
+class Connection {
+  constructor(socket, timeoutMs) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.failure = null;
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs);
+    socket.on('data', (chunk) => this._receive(chunk));
+    socket.on('timeout', () =>
+      this._fail(new SmtpError('SMTP server timed out')),
+    );
+    socket.on('error', (error) => this._fail(new SmtpError(error.message)));
+    socket.on('close', () =>
+      this._fail(new SmtpError('SMTP connection closed')),
+    );
+  }
+
+  /**
+   * Next complete reply: { code, text }
+   * @returns {Promise<Object>}
+   */
+  read() {
+    const reply = this._takeReply();
+    if (reply) {
+      return Promise.resolve(reply);
+    }
+    if (this.failure) {
+      return Promise.reject(this.failure);
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Send a command and check the reply code
+   *
+   * @param {string|null} line - Command (null to only read)
+   * @param {number[]} expected - Accepted reply codes
+   * @returns {Promise<Object>} The reply
+   */
+  async command(line, expected) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      const sent = line === null ? 'greeting' : line.split(' ')[0];
+      throw new SmtpError(
+        `SMTP ${sent} failed: ${reply.code} ${reply.text}`,
+        reply.code,
+      );
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+
+  _receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      this.lines.push(this.buffer.slice(0, index));
+      this.buffer = this.buffer.slice(index + 2);
+    }
+    this._deliver();
+  }
+
+  _takeReply() {
+    // A reply ends at a line whose code is followed by a space (not '-')
+    const last = this.lines.findIndex((line) => line.charAt(3) !== '-');
+    if (last === -1) {
+      return null;
+    }
+    const lines = this.lines.splice(0, last + 1);
+    return {
+      code: parseInt(lines[last].slice(0, 3), 10),
+      text: lines.map((line) => line.slice(4)).join('\n'),
+    };
+  }
+
+  _deliver() {
+    if (!this.waiting) {
+      return;
+    }
+    const reply = this._takeReply();
+    if (reply) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(reply);
+    }
+  }
+
+  _fail(error) {
+    this.failure = this.failure || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+}
+
+/**
+ * Open a connection and wait for it to be ready
+ * @private
+ */
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => reject(new SmtpError(error.message));
+    const onConnect = () => {
+      socket.off('error', onError);
+      resolve(socket);
+    };
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, onConnect)
+      : net.connect({ host, port }, onConnect);
+    socket.once('error', onError);
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(new SmtpError(`Could not connect to ${host}:${port}`));
+    });
+  });
+}
+
+/**
+ * Send one message
+ *
+ * @param {Object} transport
+ * @param {string} transport.host
+ * @param {number} transport.port
+ * @param {boolean} [transport.secure=false] - Implicit TLS
+ * @param {string} [transport.user] - AUTH PLAIN user (no AUTH when empty)
+ * @param {string} [transport.password]
+ * @param {number} [transport.timeoutMs=30000]
+ * @param {Object} message - See buildMessage
+ * @returns {Promise<Object>} { messageId, response } - the server's reply
+ *   to the message data
+ * @throws {SmtpError}
+ */
+async function sendMail(transport, message) {
+  const {
+    host,
+    port,
+    secure = false,
+    user,
+    password,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = transport;
+
+  const socket = await connect({ host, port, secure, timeoutMs });
+  const connection = new Connection(socket, timeoutMs);
+
+  try {
+    await connection.command(null, [220]);
+    await connection.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${password || ''}`).toString(
+        'base64',
+      );
+      await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await connection.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    await connection.command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+    await connection.command('DATA', [354]);
+
+    const data = buildMessage(message);
+    const messageId = /^Message-ID: (.+)$/m.exec(data)[1];
+    // Dot-stuffing: a line starting with '.' gets a second one
+    const stuffed = data.replace(/^\./gm, '..');
+    const reply = await connection.command(`${stuffed}\r\n.`, [250]);
+
+    await connection.command('QUIT', [221]).catch(() => {});
+    return { messageId, response: `${reply.code} ${reply.text}` };
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  sendMail,
+  buildMessage,
+  SmtpError,
+};
@@ -0,0 +1,82 @@
+/**
+ * Template Renderer Utility
+ *
+ * Handlebars-style templates for messages built from data:
+ *
+ *   {{path}}                   value at a dotted path, HTML-escaped when
+ *                              rendering HTML
+ *   {{{path}}}                 value, never escaped
+ *   {{#if path}}...{{/if}}     block kept when the value is truthy
+ *   {{#if path}}...{{else}}...{{/if}}
+ *
+ * Missing values render as ''. Blocks do not nest; helpers, partials and
+ * loops are not supported.
+ *
+ * @module utils/template-renderer
+ */
+
+'use strict';
+
+const HTML_ESCAPES = Object.freeze({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+});
+
+/**
+ * Value at a dotted path ('user.first_name')
+ * @private
+ */
+function lookup(context, path) {
+  return path
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined ? undefined : value[key],
+      context,
+    );
+}
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Render a template
+ *
+ * @param {string} template
+ * @param {Object} context - Values for the placeholders
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - Escape {{path}} values for HTML
+ * @returns {string}
+ */
+function renderTemplate(template, context, options = {}) {
+  const { html = false } = options;
+  const text = (value) =>
+    value === null || value === undefined ? '' : String(value);
+
+  return template
+    .replace(
+      /\{\{#if ([\w.]+)\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+      (_, path, whenTrue, whenFalse = '') =>
+        lookup(context, path) ? whenTrue : whenFalse,
+    )
+    .replace(/\{\{\{([\w.]+)\}\}\}/g, (_, path) => text(lookup(context, path)))
+    .replace(/\{\{([\w.]+)\}\}/g, (_, path) => {
+      const value = text(lookup(context, path));
+      return html ? escapeHtml(value) : value;
+    });
+}
+
+module.exports = {
+  renderTemplate,
+  escapeHtml,
+};
@@ -72,6 +72,12 @@ const TYPE_BUILDERS = {
 
   object: () => Joi.object(), // JSONB - ONLY for saved_views.settings per design
 
+  // Postgres array column (e.g. INTEGER[]) - items typed via fieldDef.items
+  array: (fieldDef) => {
+    const itemBuilder = TYPE_BUILDERS[fieldDef.items] || TYPE_BUILDERS.string;
+    return Joi.array().items(itemBuilder(fieldDef)).unique();
+  },
+
   // ---- Date/Time types ----
   date: () => Joi.date(), // Date only (YYYY-MM-DD) - DB: DATE
   // time is defined above in String-based types (HH:MM:SS pattern validation)
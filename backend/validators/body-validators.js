@@ -9,10 +9,19 @@
  * 1. Auth-related validators (login, token refresh, callbacks)
  * 2. Profile update validator (stricter than general user update)
  * 3. Role assignment validator
+ * 4. Dispatch board move validator
+ * 5. Work order part line validator
+ * 6. Stock movement validators (receive, adjust, transfer)
+ * 7. Time tracking validators (clock-in, clock-out)
+ * 8. Invoicing validators (work order invoice, invoice line items, payments)
+ * 9. Notification validators (bulk mark-read)
  *
  * Philosophy: Explicit is better than implicit. No auto-generation.
  */
 const Joi = require('joi');
+const { PAYMENT_METHODS } = require('../config/constants');
+const notificationMetadata = require('../config/models/notification-metadata');
+const { getRoleHierarchy } = require('../config/permissions-loader');
 const ResponseFormatter = require('../utils/response-formatter');
 
 /**
@@ -150,6 +159,383 @@ const validateRefreshToken = createValidator(
   }),
 );
 
+// ============================================================================
+// DISPATCH VALIDATORS
+// ============================================================================
+// Used by POST /api/dispatch/move - a board action, not entity CRUD
+
+/**
+ * Dispatch Move Validation
+ * Validates: POST /api/dispatch/move
+ * Reassign (assigned_technician_id, null = unassign) and/or reschedule
+ */
+const validateDispatchMove = createValidator(
+  Joi.object({
+    work_order_id: Joi.number().integer().positive().required().messages({
+      'number.base': 'Work order ID must be a number',
+      'number.integer': 'Work order ID must be an integer',
+      'number.positive': 'Work order ID must be positive',
+      'any.required': 'Work order ID is required',
+    }),
+    assigned_technician_id: Joi.number()
+      .integer()
+      .positive()
+      .allow(null)
+      .messages({
+        'number.base': 'Technician ID must be a number',
+        'number.integer': 'Technician ID must be an integer',
+        'number.positive': 'Technician ID must be positive',
+      }),
+    scheduled_start: Joi.date().iso().messages({
+      'date.format': 'scheduled_start must be an ISO 8601 date',
+      'date.base': 'scheduled_start must be an ISO 8601 date',
+    }),
+    scheduled_end: Joi.date().iso().messages({
+      'date.format': 'scheduled_end must be an ISO 8601 date',
+      'date.base': 'scheduled_end must be an ISO 8601 date',
+    }),
+    force: Joi.boolean().default(false),
+  })
+    .or('assigned_technician_id', 'scheduled_start', 'scheduled_end')
+    .messages({
+      'object.missing':
+        'At least one of assigned_technician_id, scheduled_start or scheduled_end must be provided',
+    }),
+);
+
+/**
+ * Work Order Part Validation
+ * Validates: POST /api/work_orders/:id/parts
+ * force=true lets a manager take stock below zero
+ */
+const validateWorkOrderPart = createValidator(
+  Joi.object({
+    inventory_id: Joi.number().integer().positive().required().messages({
+      'number.base': 'Inventory ID must be a number',
+      'number.integer': 'Inventory ID must be an integer',
+      'number.positive': 'Inventory ID must be positive',
+      'any.required': 'Inventory ID is required',
+    }),
+    quantity: Joi.number().integer().positive().required().messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'number.positive': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required',
+    }),
+    stock_location_id: Joi.number().integer().positive().messages({
+      'number.base': 'Stock location ID must be a number',
+      'number.integer': 'Stock location ID must be an integer',
+      'number.positive': 'Stock location ID must be positive',
+    }),
+    notes: Joi.string().trim().max(5000).allow('', null),
+    force: Joi.boolean().default(false),
+  }),
+);
+
+// ============================================================================
+// STOCK MOVEMENT VALIDATORS
+// ============================================================================
+// Used by POST /api/inventory/:id/receive, /adjust and /transfer - ledger
+// actions, not entity CRUD (stock_movements is append-only)
+
+/**
+ * Stock location ID schema (shared by the stock movement validators)
+ * @param {string} label - Field label for messages
+ */
+const stockLocationId = (label) =>
+  Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.base': `${label} must be a number`,
+      'number.integer': `${label} must be an integer`,
+      'number.positive': `${label} must be positive`,
+      'any.required': `${label} is required`,
+    });
+
+/**
+ * Stock Receipt Validation
+ * Validates: POST /api/inventory/:id/receive
+ * to_location_id defaults to the default stock location
+ */
+const validateStockReceipt = createValidator(
+  Joi.object({
+    quantity: Joi.number().integer().positive().required().messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'number.positive': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required',
+    }),
+    to_location_id: stockLocationId('Destination location ID'),
+    reason: Joi.string().trim().max(5000).allow('', null),
+  }),
+);
+
+/**
+ * Stock Adjustment Validation
+ * Validates: POST /api/inventory/:id/adjust
+ * A count correction at one location - needs a reason
+ */
+const validateStockAdjustment = createValidator(
+  Joi.object({
+    location_id: stockLocationId('Location ID').required(),
+    quantity_change: Joi.number().integer().invalid(0).required().messages({
+      'number.base': 'Quantity change must be a number',
+      'number.integer': 'Quantity change must be a whole number',
+      'any.invalid': 'Quantity change cannot be zero',
+      'any.required': 'Quantity change is required',
+    }),
+    reason: Joi.string().trim().min(1).max(5000).required().messages({
+      'string.empty': 'Reason is required for an adjustment',
+      'any.required': 'Reason is required for an adjustment',
+    }),
+  }),
+);
+
+/**
+ * Stock Transfer Validation
+ * Validates: POST /api/inventory/:id/transfer
+ */
+const validateStockTransfer = createValidator(
+  Joi.object({
+    from_location_id: stockLocationId('Source location ID').required(),
+    to_location_id: stockLocationId('Destination location ID')
+      .required()
+      .invalid(Joi.ref('from_location_id'))
+      .messages({
+        'any.invalid': 'Destination must differ from the source location',
+      }),
+    quantity: Joi.number().integer().positive().required().messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'number.positive': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required',
+    }),
+    reason: Joi.string().trim().max(5000).allow('', null),
+  }),
+);
+
+// ============================================================================
+// TIME TRACKING VALIDATORS
+// ============================================================================
+// Used by POST /api/work_orders/:id/clock-in and /clock-out
+
+const technicianId = Joi.number().integer().positive().messages({
+  'number.base': 'Technician ID must be a number',
+  'number.integer': 'Technician ID must be an integer',
+  'number.positive': 'Technician ID must be positive',
+});
+
+/**
+ * Clock-In Validation
+ * Validates: POST /api/work_orders/:id/clock-in
+ * technician_id defaults to the caller's own technician profile
+ */
+const validateClockIn = createValidator(
+  Joi.object({
+    technician_id: technicianId,
+    notes: Joi.string().trim().max(10000).allow('', null),
+  }),
+);
+
+/**
+ * Clock-Out Validation
+ * Validates: POST /api/work_orders/:id/clock-out
+ */
+const validateClockOut = createValidator(
+  Joi.object({
+    technician_id: technicianId,
+    break_minutes: Joi.number().integer().min(0).messages({
+      'number.base': 'Break minutes must be a number',
+      'number.integer': 'Break minutes must be a whole number',
+      'number.min': 'Break minutes cannot be negative',
+    }),
+    is_billable: Joi.boolean(),
+    notes: Joi.string().trim().max(10000).allow('', null),
+  }),
+);
+
+// ============================================================================
+// INVOICING VALIDATORS
+// ============================================================================
+// Used by POST /api/work_orders/:id/invoice, /api/invoices/:id/line_items
+// and the payment ledger endpoints under /api/invoices/:id. Line amount, tax
+// and the invoice totals are computed by InvoiceService; balance and paid
+// status by PaymentService.
+
+/**
+ * Work Order Invoice Validation
+ * Validates: POST /api/work_orders/:id/invoice
+ * Amounts come from the work order; only the wording and due date can be set
+ */
+const validateWorkOrderInvoice = createValidator(
+  Joi.object({
+    summary: Joi.string().trim().max(255).allow('', null),
+    due_date: Joi.date().iso().messages({
+      'date.base': 'Due date must be a valid date',
+      'date.format': 'Due date must be in ISO 8601 format',
+    }),
+  }),
+);
+
+/**
+ * Invoice line fields. Quantity and unit_price are rounded to 2 places;
+ * tax_code is checked against the invoicing setting by InvoiceService
+ * (unknown codes are a 400 there).
+ */
+const lineItemFields = {
+  description: Joi.string().trim().min(1).max(255).messages({
+    'string.empty': 'Description is required',
+    'string.max': 'Description cannot exceed 255 characters',
+  }),
+  quantity: Joi.number().positive().precision(2).messages({
+    'number.base': 'Quantity must be a number',
+    'number.positive': 'Quantity must be greater than 0',
+  }),
+  unit_price: Joi.number().min(0).precision(2).messages({
+    'number.base': 'Unit price must be a number',
+    'number.min': 'Unit price cannot be negative',
+  }),
+  tax_code: Joi.string().trim().min(1).max(50),
+  inventory_id: Joi.number().integer().positive().allow(null).messages({
+    'number.base': 'Inventory ID must be a number',
+    'number.integer': 'Inventory ID must be an integer',
+    'number.positive': 'Inventory ID must be positive',
+  }),
+  technician_id: technicianId.allow(null),
+};
+
+/**
+ * Invoice Line Item Validation
+ * Validates: POST /api/invoices/:id/line_items
+ */
+const validateInvoiceLineItem = createValidator(
+  Joi.object({
+    ...lineItemFields,
+    description: lineItemFields.description
+      .required()
+      .messages({ 'any.required': 'Description is required' }),
+    quantity: lineItemFields.quantity
+      .required()
+      .messages({ 'any.required': 'Quantity is required' }),
+    unit_price: lineItemFields.unit_price
+      .required()
+      .messages({ 'any.required': 'Unit price is required' }),
+  }),
+);
+
+/**
+ * Invoice Line Item Update Validation
+ * Validates: PATCH /api/invoices/:id/line_items/:lineItemId
+ */
+const validateInvoiceLineItemUpdate = createValidator(
+  Joi.object(lineItemFields)
+    .min(1)
+    .messages({ 'object.min': 'At least one field must be provided' }),
+);
+
+const receivedAt = Joi.date().iso().max('now').messages({
+  'date.base': 'Received at must be a valid date',
+  'date.format': 'Received at must be in ISO 8601 format',
+  'date.max': 'Received at cannot be in the future',
+});
+
+/**
+ * Invoice Payment / Refund Validation
+ * Validates: POST /api/invoices/:id/payments and /api/invoices/:id/refunds
+ */
+const validateInvoicePayment = createValidator(
+  Joi.object({
+    amount: Joi.number().positive().precision(2).required().messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be greater than 0',
+      'any.required': 'Amount is required',
+    }),
+    method: Joi.string()
+      .valid(...Object.values(PAYMENT_METHODS))
+      .required()
+      .messages({
+        'any.only': `Method must be one of: ${Object.values(PAYMENT_METHODS).join(', ')}`,
+        'any.required': 'Method is required',
+      }),
+    reference: Joi.string().trim().max(100).allow('', null),
+    received_at: receivedAt,
+    notes: Joi.string().trim().max(5000).allow('', null),
+  }),
+);
+
+/**
+ * Payment Reversal Validation
+ * Validates: POST /api/invoices/:id/payments/:paymentId/reverse
+ * Amount, method and reference are copied from the payment reversed
+ */
+const validatePaymentReversal = createValidator(
+  Joi.object({
+    received_at: receivedAt,
+    notes: Joi.string().trim().max(5000).allow('', null),
+  }),
+);
+
+// ============================================================================
+// NOTIFICATION VALIDATORS
+// ============================================================================
+
+const NOTIFICATION_TYPES = notificationMetadata.enums.type.values;
+const ROLE_NAMES = Object.keys(getRoleHierarchy());
+
+/**
+ * Notification Mark-Read Validation
+ * Validates: POST /api/notifications/mark-read
+ * Both filters optional - none marks every unread notification, so an
+ * empty body is allowed
+ */
+const validateNotificationMarkRead = createValidator(
+  Joi.object({
+    resource_type: Joi.string().trim().max(50).allow(null),
+    type: Joi.string()
+      .valid(...NOTIFICATION_TYPES)
+      .allow(null)
+      .messages({
+        'any.only': `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`,
+      }),
+  }).default({}),
+);
+
+/**
+ * Notification Broadcast Validation
+ * Validates: POST /api/notifications/broadcast
+ * Exactly one audience: every user at or above a role, or a customer's
+ * portal users
+ */
+const validateNotificationBroadcast = createValidator(
+  Joi.object({
+    role: Joi.string()
+      .valid(...ROLE_NAMES)
+      .messages({
+        'any.only': `Role must be one of: ${ROLE_NAMES.join(', ')}`,
+      }),
+    customer_id: Joi.number().integer().positive().messages({
+      'number.base': 'Customer ID must be a number',
+      'number.positive': 'Customer ID must be positive',
+    }),
+    title: Joi.string().trim().max(255).required().messages({
+      'string.empty': 'Title is required',
+      'any.required': 'Title is required',
+    }),
+    body: Joi.string().trim().max(5000).allow('', null),
+    type: Joi.string()
+      .valid(...NOTIFICATION_TYPES)
+      .messages({
+        'any.only': `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`,
+      }),
+  })
+    .xor('role', 'customer_id')
+    .messages({
+      'object.missing': 'Either role or customer_id is required',
+      'object.xor': 'Give either role or customer_id, not both',
+    }),
+);
+
 module.exports = {
   // Profile validator (stricter than general user update)
   validateProfileUpdate,
@@ -162,4 +548,30 @@ module.exports = {
   validateAuth0Token,
   validateAuth0Refresh,
   validateRefreshToken,
+
+  // Dispatch board validator
+  validateDispatchMove,
+
+  // Work order parts validator
+  validateWorkOrderPart,
+
+  // Stock movement validators
+  validateStockReceipt,
+  validateStockAdjustment,
+  validateStockTransfer,
+
+  // Time tracking validators
+  validateClockIn,
+  validateClockOut,
+
+  // Invoicing validators
+  validateWorkOrderInvoice,
+  validateInvoiceLineItem,
+  validateInvoiceLineItemUpdate,
+  validateInvoicePayment,
+  validatePaymentReversal,
+
+  // Notification validators
+  validateNotificationMarkRead,
+  validateNotificationBroadcast,
 };
@@ -16,6 +16,7 @@ const {
   toSafeUuid,
   toSafeString,
   toSafeEmail,
+  toSafeDate,
 } = require('./type-coercion');
 
 // Export URL param validators
@@ -27,6 +28,8 @@ const {
   validateSearch,
   validateSort,
   validateQuery, // Metadata-driven query validation
+  validateInclude,
+  validateDateRange,
 } = require('./query-validators');
 
 // Export logging utilities
@@ -46,6 +49,20 @@ const {
   validateAuth0Token,
   validateAuth0Refresh,
   validateRefreshToken,
+  validateDispatchMove,
+  validateWorkOrderPart,
+  validateStockReceipt,
+  validateStockAdjustment,
+  validateStockTransfer,
+  validateClockIn,
+  validateClockOut,
+  validateWorkOrderInvoice,
+  validateInvoiceLineItem,
+  validateInvoiceLineItemUpdate,
+  validateInvoicePayment,
+  validatePaymentReversal,
+  validateNotificationMarkRead,
+  validateNotificationBroadcast,
 } = require('./body-validators');
 
 module.exports = {
@@ -57,6 +74,7 @@ module.exports = {
   toSafeUuid,
   toSafeString,
   toSafeEmail,
+  toSafeDate,
 
   // URL Param Validators
   validateIdParam,
@@ -67,6 +85,8 @@ module.exports = {
   validateSearch,
   validateSort,
   validateQuery,
+  validateInclude,
+  validateDateRange,
 
   // Body Validators (special-case only, not entity CRUD)
   validateProfileUpdate,
@@ -75,6 +95,20 @@ module.exports = {
   validateAuth0Token,
   validateAuth0Refresh,
   validateRefreshToken,
+  validateDispatchMove,
+  validateWorkOrderPart,
+  validateStockReceipt,
+  validateStockAdjustment,
+  validateStockTransfer,
+  validateClockIn,
+  validateClockOut,
+  validateWorkOrderInvoice,
+  validateInvoiceLineItem,
+  validateInvoiceLineItemUpdate,
+  validateInvoicePayment,
+  validatePaymentReversal,
+  validateNotificationMarkRead,
+  validateNotificationBroadcast,
 
   // Logging
   logValidationFailure,
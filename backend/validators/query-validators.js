@@ -6,26 +6,58 @@
  *
  * All validators attach validated values to req.validated.query = {}
  */
-const { toSafePagination } = require('./type-coercion');
+const { toSafePagination, toSafeDate } = require('./type-coercion');
 const { logValidationFailure } = require('./validation-logger');
 const ResponseFormatter = require('../utils/response-formatter');
+const QueryBuilderService = require('../services/query-builder-service');
+const PaginationService = require('../services/pagination-service');
+const AppError = require('../utils/app-error');
+const { resolveIncludes } = require('../db/helpers/include-helper');
 
 /**
  * Validate pagination query parameters
  *
  * Usage:
  *   router.get('/', validatePagination(), handler)
- *   // Access: req.validated.query.page, req.validated.query.limit, req.validated.query.offset
+ *   // Access: req.validated.pagination.page, .limit, .offset
+ *
+ * Also takes the cursor pagination parameters, set on req.validated.pagination
+ * only when sent:
+ *   cursor - '' for the first page, or a nextCursor/prevCursor (checked here)
+ *   count  - 'exact', 'estimated' or 'none' (PaginationService.COUNT_MODES)
  *
  * @param {Object} limits - Pagination limits
  * @param {number} limits.defaultLimit - Default items per page (default: 50)
  * @param {number} limits.maxLimit - Maximum items per page (default: 200)
+ * @param {Object} [options]
+ * @param {string} [options.source='query'] - 'body' for POST search routes
  * @returns {Function} Express middleware
  */
-function validatePagination(limits = { defaultLimit: 50, maxLimit: 200 }) {
+function validatePagination(
+  limits = { defaultLimit: 50, maxLimit: 200 },
+  { source = 'query' } = {},
+) {
   return (req, res, next) => {
     try {
-      const pagination = toSafePagination(req.query, limits);
+      const input = req[source] || {};
+      const pagination = toSafePagination(input, limits);
+
+      if (input.cursor !== undefined && input.cursor !== null) {
+        pagination.cursor = String(input.cursor);
+        if (pagination.cursor) {
+          PaginationService.decodeCursor(pagination.cursor);
+        }
+      }
+      if (input.count !== undefined) {
+        if (!PaginationService.COUNT_MODES.includes(input.count)) {
+          throw new AppError(
+            `count must be one of: ${PaginationService.COUNT_MODES.join(', ')}`,
+            400,
+            'BAD_REQUEST',
+          );
+        }
+        pagination.count = input.count;
+      }
 
       if (!req.validated) {
         req.validated = {};
@@ -37,7 +69,7 @@ function validatePagination(limits = { defaultLimit: 50, maxLimit: 200 }) {
       logValidationFailure({
         validator: 'validatePagination',
         field: 'pagination',
-        value: req.query,
+        value: req[source],
         reason: error.message,
         context: { url: req.url, method: req.method },
       });
@@ -211,22 +243,36 @@ function validateSort(
  *   // Access: req.validated.query.search, req.validated.query.filters,
  *   //         req.validated.query.sortBy, req.validated.query.sortOrder
  *
+ * Boolean filter groups come as a JSON `filter` param (or a `filter`
+ * object in a POST search body), e.g.
+ *   ?filter={"or":[{"status":"pending"},{"priority":"urgent"}]}
+ * and are ANDed with the field params (see QueryBuilderService.buildFilterClause).
+ * Operators and values are checked against metadata.fields types, e.g.
+ * ?due_date[eq]=this_month or ?organization_name[contains]=LLC, and a
+ * mismatch is a 400.
+ *
  * @param {Object} metadata - Model metadata from config/models
  * @param {string[]} metadata.searchableFields - Fields that can be searched
  * @param {string[]} metadata.filterableFields - Fields that can be filtered
  * @param {string[]} metadata.sortableFields - Fields that can be sorted
  * @param {Object} metadata.defaultSort - Default sort configuration
+ * @param {Object} [metadata.fields] - Field definitions (operator type checks)
+ * @param {Object} [options]
+ * @param {string} [options.source='query'] - 'body' for POST search routes
  * @returns {Function} Express middleware
  */
-function validateQuery(metadata) {
+function validateQuery(metadata, { source = 'query' } = {}) {
   const {
     searchableFields: _searchableFields = [],
     filterableFields = [],
     sortableFields = [],
     defaultSort: _defaultSort = { field: 'id', order: 'ASC' },
+    fields: fieldDefinitions,
   } = metadata;
+  const operators = QueryBuilderService.getFieldOperators();
 
   return (req, res, next) => {
+    const input = req[source] || {};
     try {
       if (!req.validated) {
         req.validated = {};
@@ -236,7 +282,7 @@ function validateQuery(metadata) {
       }
 
       // Validate search (optional)
-      const search = req.query.search || req.query.q;
+      const search = input.search || input.q;
       if (search && typeof search === 'string') {
         const trimmed = search.trim();
         if (trimmed.length > 255) {
@@ -259,16 +305,15 @@ function validateQuery(metadata) {
       for (const field of filterableFields) {
         // Support both direct filters and operator-based filters
         // e.g., ?role_id=2 or ?priority[gte]=50
-        const directValue = req.query[field];
+        const directValue = input[field];
         if (directValue !== undefined) {
           filters[field] = directValue;
         }
 
         // Check for operator-based filters (field[operator]=value)
-        const operators = ['gt', 'gte', 'lt', 'lte', 'in', 'not'];
         for (const op of operators) {
           const opKey = `${field}[${op}]`;
-          if (req.query[opKey] !== undefined) {
+          if (input[opKey] !== undefined) {
             if (!filters[field]) {
               filters[field] = {};
             }
@@ -276,11 +321,11 @@ function validateQuery(metadata) {
               typeof filters[field] === 'object' &&
               !Array.isArray(filters[field])
             ) {
-              filters[field][op] = req.query[opKey];
+              filters[field][op] = input[opKey];
             } else {
               // If direct value exists, create object
               const directVal = filters[field];
-              filters[field] = { [op]: req.query[opKey] };
+              filters[field] = { [op]: input[opKey] };
               if (directVal !== undefined) {
                 filters[field].eq = directVal;
               }
@@ -288,12 +333,49 @@ function validateQuery(metadata) {
           }
         }
       }
+
+      // Validate operators and values against field types, and boolean
+      // filter groups (optional)
+      let expression;
+      let invalidParam = 'filters';
+      try {
+        QueryBuilderService.buildFilterClause(
+          filters,
+          filterableFields,
+          0,
+          null,
+          fieldDefinitions,
+        );
+        invalidParam = 'filter';
+        expression = QueryBuilderService.parseFilterExpression(
+          input.filter,
+          filterableFields,
+          fieldDefinitions,
+        );
+      } catch (error) {
+        logValidationFailure({
+          validator: 'validateQuery',
+          field: invalidParam,
+          value: invalidParam === 'filter' ? input.filter : filters,
+          reason: error.message,
+          context: { url: req.url, method: req.method },
+        });
+
+        return ResponseFormatter.badRequest(res, error.message, [
+          { field: invalidParam, message: error.message },
+        ]);
+      }
+
+      const combined = QueryBuilderService.mergeFilterExpression(
+        filters,
+        expression,
+      );
       req.validated.query.filters =
-        Object.keys(filters).length > 0 ? filters : undefined;
+        Object.keys(combined).length > 0 ? combined : undefined;
 
       // Validate sort (optional)
-      const sortBy = req.query.sortBy || req.query.sort;
-      const sortOrder = req.query.sortOrder || req.query.order;
+      const sortBy = input.sortBy || input.sort;
+      const sortOrder = input.sortOrder || input.order;
 
       if (sortBy && !sortableFields.includes(sortBy)) {
         logValidationFailure({
@@ -337,7 +419,7 @@ function validateQuery(metadata) {
       logValidationFailure({
         validator: 'validateQuery',
         field: 'query',
-        value: req.query,
+        value: input,
         reason: error.message,
         context: { url: req.url, method: req.method },
       });
@@ -349,9 +431,125 @@ function validateQuery(metadata) {
   };
 }
 
+/**
+ * Validate the include parameter (related records to nest under `included`)
+ *
+ * Usage:
+ *   router.get('/', validateInclude(workOrderMetadata), handler)
+ *   // ?include=customer,assignedTechnician,invoices
+ *   // Access: req.validated.include (relationship names, [] when not sent)
+ *
+ * A comma-separated string, or an array in a POST search body. Each name
+ * must be a relationship in metadata.relationships (see include-helper).
+ *
+ * @param {Object} metadata - Model metadata from config/models
+ * @param {Object} [options]
+ * @param {string} [options.source='query'] - 'body' for POST search routes
+ * @returns {Function} Express middleware
+ */
+function validateInclude(metadata, { source = 'query' } = {}) {
+  return (req, res, next) => {
+    const input = req[source] || {};
+    try {
+      const raw = input.include ?? [];
+      const names = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map((name) => String(name).trim())
+        .filter(Boolean);
+
+      resolveIncludes(metadata, names);
+
+      if (!req.validated) {
+        req.validated = {};
+      }
+      req.validated.include = [...new Set(names)];
+
+      next();
+    } catch (error) {
+      logValidationFailure({
+        validator: 'validateInclude',
+        field: 'include',
+        value: input.include,
+        reason: error.message,
+        context: { url: req.url, method: req.method },
+      });
+
+      return ResponseFormatter.badRequest(res, error.message, [
+        { field: 'include', message: error.message },
+      ]);
+    }
+  };
+}
+
+/**
+ * Validate a from/to date window in the query string
+ *
+ * Usage:
+ *   router.get('/:id/schedule', validateDateRange({ defaultDays: 7, maxDays: 90 }), handler)
+ *   // Access: req.validated.dateRange.from, req.validated.dateRange.to (Date objects)
+ *
+ * from defaults to now; to defaults to from + defaultDays.
+ * With lookback (reports over past activity) it runs the other way:
+ * to defaults to now; from defaults to to - defaultDays.
+ *
+ * @param {Object} options - Range options
+ * @param {number} options.defaultDays - Window length when a bound is omitted (default: 7)
+ * @param {number} options.maxDays - Maximum window length (default: 90)
+ * @param {boolean} options.lookback - Default the window to end now (default: false)
+ * @returns {Function} Express middleware
+ */
+function validateDateRange(options = {}) {
+  const { defaultDays = 7, maxDays = 90, lookback = false } = options;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  return (req, res, next) => {
+    try {
+      let from = toSafeDate(req.query.from, 'from', { allowNull: true });
+      let to = toSafeDate(req.query.to, 'to', { allowNull: true });
+
+      if (lookback) {
+        to =
+          to ||
+          (from ? new Date(from.getTime() + defaultDays * DAY_MS) : new Date());
+        from = from || new Date(to.getTime() - defaultDays * DAY_MS);
+      } else {
+        from = from || new Date();
+        to = to || new Date(from.getTime() + defaultDays * DAY_MS);
+      }
+
+      if (to <= from) {
+        throw new Error('to must be after from');
+      }
+      if (to - from > maxDays * DAY_MS) {
+        throw new Error(`Date range cannot exceed ${maxDays} days`);
+      }
+
+      if (!req.validated) {
+        req.validated = {};
+      }
+      req.validated.dateRange = { from, to };
+
+      next();
+    } catch (error) {
+      logValidationFailure({
+        validator: 'validateDateRange',
+        field: 'dateRange',
+        value: { from: req.query.from, to: req.query.to },
+        reason: error.message,
+        context: { url: req.url, method: req.method },
+      });
+
+      return ResponseFormatter.badRequest(res, error.message, [
+        { field: 'dateRange', message: error.message },
+      ]);
+    }
+  };
+}
+
 module.exports = {
   validatePagination,
   validateSearch,
   validateSort,
   validateQuery, // Metadata-driven query validation (replaced validateFilters)
+  validateInclude,
+  validateDateRange,
 };
@@ -506,6 +506,53 @@ function toSafeEmail(value, fieldName = 'email', options = {}) {
   return email.toLowerCase(); // Normalize to lowercase
 }
 
+/**
+ * Safely coerce a date/timestamp value
+ *
+ * Accepts Date instances, ISO 8601 strings and epoch milliseconds.
+ *
+ * @param {*} value - Value to coerce
+ * @param {string} fieldName - Name of field (for logging)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowNull - Allow null/undefined as valid (default: false)
+ * @returns {Date|null} Validated Date or null
+ * @throws {AppError} If value is not a parseable date
+ */
+function toSafeDate(value, fieldName = 'date', options = {}) {
+  const { allowNull = false } = options;
+
+  if (value === null || value === undefined || value === '') {
+    if (allowNull) {
+      return null;
+    }
+    logValidationFailure({
+      validator: 'toSafeDate',
+      field: fieldName,
+      value,
+      reason: `Field is required but received ${value}`,
+    });
+    throw new AppError(`${fieldName} is required`, 400, 'BAD_REQUEST');
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    logValidationFailure({
+      validator: 'toSafeDate',
+      field: fieldName,
+      value,
+      reason: 'Not a valid date',
+    });
+    throw new AppError(
+      `${fieldName} must be a valid ISO 8601 date`,
+      400,
+      'BAD_REQUEST',
+    );
+  }
+
+  return date;
+}
+
 module.exports = {
   toSafeInteger,
   toSafeUserId,
@@ -514,4 +561,5 @@ module.exports = {
   toSafeUuid,
   toSafeString,
   toSafeEmail,
+  toSafeDate,
 };
@@ -64,7 +64,7 @@ class ApiEndpoints {
   // EXPORT ENDPOINTS
   // ============================================================================
 
-  /// Export entity data as CSV
+  /// Queue a CSV export (background job, polled at /jobs/:id)
   static String export(String entityName) => '/export/$entityName';
 
   /// Get exportable fields for an entity
@@ -6,6 +6,7 @@
 ///
 /// Uses the backend export API which:
 /// - Respects RLS/permissions (only exports data user can see)
+/// - Runs the export as a background job (polled until the CSV is ready)
 /// - Returns full query results (not paginated)
 /// - Excludes sensitive fields automatically
 ///
@@ -21,7 +22,6 @@ import 'dart:js_interop';
 import 'dart:typed_data';
 import 'package:web/web.dart' as web;
 import 'package:http/http.dart' as http;
-import '../config/app_config.dart';
 import 'api/api_client.dart';
 import 'auth/token_provider.dart';
 import 'error_service.dart';
@@ -93,18 +93,20 @@ class ExportService {
     }
   }
 
+  /// How often to poll the export job, and how long to wait for it
+  static const Duration _pollInterval = Duration(seconds: 1);
+  static const Duration _exportTimeout = Duration(minutes: 2);
+
   /// Export entity data as CSV and trigger download
   ///
+  /// The backend queues the export as a background job (202 with the job);
+  /// this polls /jobs/:id until it succeeds and downloads the CSV it holds.
+  ///
   /// [entityName] - The entity to export (e.g., 'workOrders', 'users')
   /// [filters] - Optional filter parameters to apply (same as list query)
   /// [selectedFields] - Optional list of field names to include
   ///
   /// Returns true if download was initiated successfully
-  ///
-  /// NOTE: Uses raw http instead of ApiClient for:
-  /// - Custom Accept header (text/csv)
-  /// - Extended 2-minute timeout for large exports
-  /// - Access to bodyBytes for binary download
   Future<bool> exportToCsv({
     required String entityName,
     Map<String, dynamic>? filters,
@@ -131,46 +133,38 @@ class ExportService {
         queryParams['fields'] = selectedFields.join(',');
       }
 
-      final uri = Uri.parse(
-        '${AppConfig.baseUrl}/export/$entityName',
-      ).replace(queryParameters: queryParams.isNotEmpty ? queryParams : null);
-
-      final response = await http
-          .get(
-            uri,
-            headers: {'Authorization': 'Bearer $token', 'Accept': 'text/csv'},
-          )
-          .timeout(
-            const Duration(minutes: 2),
-          ); // Longer timeout for large exports
+      final query = queryParams.isNotEmpty
+          ? '?${Uri(queryParameters: queryParams).query}'
+          : '';
+      final response = await _apiClient.authenticatedRequest(
+        'POST',
+        '/export/$entityName$query',
+        token: token,
+      );
 
-      if (response.statusCode == 200) {
-        // Get filename from Content-Disposition header or generate default
-        final contentDisposition = response.headers['content-disposition'];
-        String filename =
-            _extractFilename(contentDisposition) ??
-            '${entityName}_export_${DateTime.now().toIso8601String().split('T')[0]}.csv';
+      if (response.statusCode != 202) {
+        throw Exception(_errorMessage(response, 'Export failed'));
+      }
 
-        // Trigger browser download
-        _downloadFile(response.bodyBytes, filename, 'text/csv');
+      final jobId = json.decode(response.body)['data']['id'];
+      final result = await _waitForJob(jobId, token);
+      final filename =
+          result['filename'] as String? ??
+          '${entityName}_export_${DateTime.now().toIso8601String().split('T')[0]}.csv';
+
+      // Trigger browser download
+      _downloadFile(
+        utf8.encode(result['csv'] as String? ?? ''),
+        filename,
+        'text/csv',
+      );
 
-        ErrorService.logInfo(
-          'CSV export completed',
-          context: {'entity': entityName, 'filename': filename},
-        );
+      ErrorService.logInfo(
+        'CSV export completed',
+        context: {'entity': entityName, 'filename': filename},
+      );
 
-        return true;
-      } else {
-        // Try to parse error message
-        String errorMessage = 'Export failed';
-        try {
-          final error = json.decode(response.body);
-          errorMessage = error['message'] ?? errorMessage;
-        } catch (_) {
-          errorMessage = 'Export failed with status ${response.statusCode}';
-        }
-        throw Exception(errorMessage);
-      }
+      return true;
     } catch (e) {
       ErrorService.logError(
         'CSV export failed',
@@ -181,15 +175,41 @@ class ExportService {
     }
   }
 
-  /// Extract filename from Content-Disposition header
-  static String? _extractFilename(String? contentDisposition) {
-    if (contentDisposition == null) return null;
+  /// Poll a background job until it succeeds (returns its result) or dies
+  Future<Map<String, dynamic>> _waitForJob(dynamic jobId, String token) async {
+    final deadline = DateTime.now().add(_exportTimeout);
 
-    // Parse: attachment; filename="workOrders_export.csv"
-    final filenameMatch = RegExp(
-      r'filename="?([^";\s]+)"?',
-    ).firstMatch(contentDisposition);
-    return filenameMatch?.group(1);
+    while (DateTime.now().isBefore(deadline)) {
+      final response = await _apiClient.authenticatedRequest(
+        'GET',
+        '/jobs/$jobId',
+        token: token,
+      );
+      if (response.statusCode != 200) {
+        throw Exception(_errorMessage(response, 'Export status unavailable'));
+      }
+
+      final job = json.decode(response.body)['data'] as Map<String, dynamic>;
+      switch (job['status']) {
+        case 'succeeded':
+          return job['result'] as Map<String, dynamic>;
+        case 'dead':
+          throw Exception(job['last_error'] ?? 'Export failed');
+      }
+      await Future<void>.delayed(_pollInterval);
+    }
+
+    throw Exception('Export is taking too long - try fewer rows');
+  }
+
+  /// Message from an error response body, or a fallback with the status
+  static String _errorMessage(http.Response response, String fallback) {
+    try {
+      final error = json.decode(response.body);
+      return error['message'] ?? fallback;
+    } catch (_) {
+      return '$fallback with status ${response.statusCode}';
+    }
   }
 
   /// Trigger browser file download using modern web APIs
@@ -261,6 +261,7 @@ class _NotificationItem extends StatelessWidget {
       'error' => (Icons.error, Colors.red),
       'assignment' => (Icons.assignment_ind, theme.colorScheme.primary),
       'reminder' => (Icons.schedule, Colors.blue),
+      'digest' => (Icons.summarize, Colors.blue),
       _ => (Icons.info, Colors.blue), // info and default
     };
 
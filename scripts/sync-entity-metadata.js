@@ -253,7 +253,7 @@ function transformModel(entityName, backendMeta, allModels) {
     .split(/(?=[A-Z])/)
     .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
     .join(" ")
-    .replace("_", " ");
+    .replace(/_/g, " ");
   result.displayName = displayName;
   result.displayNamePlural = getPluralForm(displayName);
 